@@ -167,16 +167,21 @@ const PROVIDERS = {
   // ──────────────────────── Custom / self-hosted ─────────────────────────
   // The 'custom' provider lets users point at any OpenAI-compatible endpoint
   // (local Ollama, vLLM, LM Studio, private deployment). The endpoint_url
-  // comes from ai_credentials.endpoint_url on a per-key basis.
+  // comes from ai_credentials.endpoint_url on a per-key basis. Its model
+  // list is discovered per org from that endpoint (ModelDiscoveryService.
+  // discoverOrgModels); ids can also be typed in free-form. Cost defaults to
+  // zero; orgs that want to charge back GPU time set per-model rates in
+  // ai_settings.custom_model_rates.
   custom: {
-    label: 'Custom (OpenAI-compatible)',
-    adapter: 'openai-compatible',
+    label: 'Self-hosted (OpenAI-compatible)',
+    adapter: 'self-hosted',
     envKey: null,                            // no platform fallback
     endpoint: null,                          // must be supplied per-credential
     requiresEndpoint: true,
-    keyHint: 'any string the endpoint accepts',
+    keyOptional: true,                       // most local servers take no key
+    keyHint: 'optional — only if your endpoint checks one',
     models: [
-      // Users type a model id manually when this provider is selected
+      // Discovered per org, or typed manually
     ],
     allowFreeFormModel: true,
     costPerMillion: { default: { input: 0, output: 0 } },  // self-hosted = no platform cost
@@ -206,6 +211,7 @@ const CALL_TYPES = [
   { id: 'prospecting_draft',         label: 'Prospect outreach drafts',   group: 'prospecting' },
   { id: 'prospecting_ai_enhancement', label: 'Prospect AI enhancement',   group: 'prospecting' },
   { id: 'discovery_call_prep',       label: 'Discovery call prep skill',  group: 'deals'       },
+  { id: 'mutual_action_plan',        label: 'Mutual action plan skill',   group: 'deals'       },
   { id: 'action_completion_detect',  label: 'Action completion detection', group: 'workflow'   },
 ];
 
@@ -217,6 +223,7 @@ function listProviders() {
     label:           p.label,
     keyHint:         p.keyHint,
     requiresEndpoint: !!p.requiresEndpoint,
+    keyOptional:     !!p.keyOptional,
     allowFreeFormModel: !!p.allowFreeFormModel,
     models: p.models,
   }));
@@ -0,0 +1,60 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_129_crm_write_back_hubspot.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_129_crm_write_back_hubspot.sql
+--
+-- Lets crm/writeBack.js push completed actions to HubSpot as engagements,
+-- not just to Salesforce as Tasks.
+--
+-- WHY THIS EXISTS
+--   sf_activity_log is the dedup ledger for write-back: a completed action
+--   with an 'outbound' row is never pushed again. It was keyed implicitly on
+--   Salesforce — every row was an SF object. Once HubSpot writes back too, the
+--   same action can legitimately be pushed to BOTH CRMs (an org connected to
+--   SF and HubSpot during a migration), so "has this action been pushed" has
+--   to be asked per CRM. crm_type answers that.
+--
+--   The table keeps its name. Renaming it would touch the legacy
+--   salesforce.sync.service.js inbound path for no behavioural gain; the
+--   column comment records that it now covers every write-back CRM.
+--
+-- UNIQUENESS
+--   (org_id, sf_object_id) stays the conflict target used by every INSERT.
+--   HubSpot engagement IDs are numeric strings and SF IDs are 15/18-char
+--   key-prefixed IDs, so the two namespaces cannot collide within an org.
+--   sf_object_id is widened to 64 so a future CRM with longer IDs (UUIDs)
+--   fits without another migration.
+--
+-- NUMBERING: 128 = msteams_channel_readability. This is 129.
+--   psql "$DATABASE_URL" -f 2026_129_crm_write_back_hubspot.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.sf_activity_log
+  ADD COLUMN IF NOT EXISTS crm_type character varying(20) DEFAULT 'salesforce' NOT NULL;
+
+ALTER TABLE public.sf_activity_log
+  ALTER COLUMN sf_object_id TYPE character varying(64);
+
+-- Write-back's "already pushed to this CRM?" probe, per action.
+CREATE INDEX IF NOT EXISTS idx_sf_activity_log_outbound_action
+  ON public.sf_activity_log (org_id, crm_type, gw_action_id)
+  WHERE direction = 'outbound';
+
+COMMENT ON COLUMN public.sf_activity_log.crm_type IS
+  'Which CRM the logged object lives in: salesforce or hubspot. Historical rows are all Salesforce, hence the default. Write-back dedup is per (action, crm_type) so an org connected to two CRMs gets the action in both.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP INDEX IF EXISTS public.idx_sf_activity_log_outbound_action;
+--   DELETE FROM public.sf_activity_log WHERE crm_type <> 'salesforce';
+--   ALTER TABLE public.sf_activity_log DROP COLUMN IF EXISTS crm_type;
+--   ALTER TABLE public.sf_activity_log
+--     ALTER COLUMN sf_object_id TYPE character varying(18);
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,58 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_130_crm_pipedrive.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_130_crm_pipedrive.sql
+--
+-- Admits 'pipedrive' as a CRM type alongside salesforce and hubspot.
+--
+-- WHY THIS EXISTS
+--   services/crm/adapters/pipedrive.adapter.js plugs Pipedrive into the sync
+--   orchestrator and the baseline assessment. pipedrive.auth.js records the
+--   OAuth connection in org_integrations (integration_type is free text) and
+--   then mirrors it into crm_connections via upsertPointerConnection — which
+--   the 2026_60 CHECK rejects. Discovery and capture write crm_type into the
+--   2026_61 snapshot tables, which carry the same two-value CHECK.
+--
+--   oauth_tokens.provider has no CHECK; nothing to change there.
+--
+-- NUMBERING: 129 = crm_write_back_hubspot. This is 130.
+--   psql "$DATABASE_URL" -f 2026_130_crm_pipedrive.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.crm_connections
+  DROP CONSTRAINT IF EXISTS crm_connections_crm_type_check;
+ALTER TABLE public.crm_connections
+  ADD CONSTRAINT crm_connections_crm_type_check
+    CHECK (crm_type IN ('salesforce', 'hubspot', 'pipedrive'));
+
+ALTER TABLE public.baseline_snapshots
+  DROP CONSTRAINT IF EXISTS baseline_snapshots_crm_type_check;
+ALTER TABLE public.baseline_snapshots
+  ADD CONSTRAINT baseline_snapshots_crm_type_check
+    CHECK (crm_type IN ('salesforce', 'hubspot', 'pipedrive'));
+
+ALTER TABLE public.crm_schema_snapshots
+  DROP CONSTRAINT IF EXISTS crm_schema_snapshots_crm_type_check;
+ALTER TABLE public.crm_schema_snapshots
+  ADD CONSTRAINT crm_schema_snapshots_crm_type_check
+    CHECK (crm_type IN ('salesforce', 'hubspot', 'pipedrive'));
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK (fails while any pipedrive rows exist — delete them first):
+--   BEGIN;
+--   ALTER TABLE public.crm_connections DROP CONSTRAINT crm_connections_crm_type_check;
+--   ALTER TABLE public.crm_connections ADD CONSTRAINT crm_connections_crm_type_check
+--     CHECK (crm_type IN ('salesforce', 'hubspot'));
+--   ALTER TABLE public.baseline_snapshots DROP CONSTRAINT baseline_snapshots_crm_type_check;
+--   ALTER TABLE public.baseline_snapshots ADD CONSTRAINT baseline_snapshots_crm_type_check
+--     CHECK (crm_type IN ('salesforce', 'hubspot'));
+--   ALTER TABLE public.crm_schema_snapshots DROP CONSTRAINT crm_schema_snapshots_crm_type_check;
+--   ALTER TABLE public.crm_schema_snapshots ADD CONSTRAINT crm_schema_snapshots_crm_type_check
+--     CHECK (crm_type IN ('salesforce', 'hubspot'));
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,140 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_131_forecasting.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_131_forecasting.sql
+--
+-- Forecast categories, rep/manager forecast calls, per-user quotas and frozen
+-- weekly snapshots. Read and written by services/forecast.service.js.
+--
+-- WHY THIS EXISTS
+--   dealsReporting.forecast() is a weighted-pipeline sum: value × probability
+--   per close-date bucket. That answers "what does the maths say", never "what
+--   is the team calling". A forecast needs three things the schema lacked:
+--
+--   deals.forecast_category
+--     Commit / best case / pipeline / omitted. NULL = derived from the deal's
+--     probability (forecast.service.js categoryOf) so nothing has to be
+--     back-filled; a rep sets it only to override the derivation.
+--
+--   forecast_submissions
+--     The CALL. Append-only: every submit is a new row, the latest per
+--     (user, period) is current. History is the point — "you called 400k in
+--     week 2 and landed 310k" is the accuracy conversation managers want. A
+--     manager's row is their call for their whole team (rolled up through
+--     org_hierarchy), not a sum of their reps' rows.
+--
+--   quotas
+--     One amount per (user, period). Period keys are the same strings the
+--     service produces: 'YYYY-Qn' or 'YYYY-MM'.
+--
+--   forecast_snapshots
+--     Weekly freeze of every open/won deal touching a period, for "what changed
+--     since last week" waterfalls. deals is mutable and deal_stage_history only
+--     records stage moves — value and close-date slips are lost without a
+--     freeze. One row per (org, period, week_start); immutable once written
+--     (same trigger approach as baseline_snapshots in 2026_61).
+--
+-- NUMBERING: 130 = crm_pipedrive. This is 131.
+--   psql "$DATABASE_URL" -f 2026_131_forecasting.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Deal-level category override ─────────────────────────────────────────────
+ALTER TABLE public.deals
+  ADD COLUMN IF NOT EXISTS forecast_category character varying(20);
+
+ALTER TABLE public.deals
+  DROP CONSTRAINT IF EXISTS deals_forecast_category_check;
+ALTER TABLE public.deals
+  ADD CONSTRAINT deals_forecast_category_check
+    CHECK (forecast_category IS NULL
+           OR forecast_category IN ('commit', 'best_case', 'pipeline', 'omitted'));
+
+COMMENT ON COLUMN public.deals.forecast_category IS
+  'Rep override of the forecast category. NULL = derived from probability at read time (forecast.service.js categoryOf).';
+
+-- ── Forecast calls ───────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.forecast_submissions (
+  id                serial PRIMARY KEY,
+  org_id            integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id           integer NOT NULL REFERENCES public.users(id)         ON DELETE CASCADE,
+  period_key        character varying(10) NOT NULL,
+
+  -- The call itself. commit is required; best_case defaults to commit in the
+  -- service when omitted.
+  commit_amount     numeric(15,2) NOT NULL,
+  best_case_amount  numeric(15,2),
+
+  -- What the system said at submit time, for the accuracy comparison later.
+  -- Captured, not recomputed: the deals move after the call is made.
+  system_commit     numeric(15,2),
+  system_best_case  numeric(15,2),
+  system_pipeline   numeric(15,2),
+  closed_won        numeric(15,2),
+
+  -- true when the submitter had reports at submit time: the row covers their
+  -- whole subtree, not just their own deals.
+  is_rollup         boolean NOT NULL DEFAULT false,
+  notes             text,
+  submitted_at      timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forecast_submissions_latest
+  ON public.forecast_submissions (org_id, period_key, user_id, submitted_at DESC);
+
+-- ── Quotas ───────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.quotas (
+  id          serial PRIMARY KEY,
+  org_id      integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id     integer NOT NULL REFERENCES public.users(id)         ON DELETE CASCADE,
+  period_key  character varying(10) NOT NULL,
+  amount      numeric(15,2) NOT NULL CHECK (amount >= 0),
+  set_by      integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at  timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at  timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT quotas_org_user_period_key UNIQUE (org_id, user_id, period_key)
+);
+
+-- ── Weekly snapshots ─────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.forecast_snapshots (
+  id           serial PRIMARY KEY,
+  org_id       integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  period_key   character varying(10) NOT NULL,
+  -- Monday (UTC) of the captured week. The unique key makes the weekly cron
+  -- idempotent: a re-run in the same week is a no-op.
+  week_start   date NOT NULL,
+  captured_at  timestamp with time zone NOT NULL DEFAULT now(),
+  -- [{ id, name, owner_id, value, probability, stage, category,
+  --    expected_close_date, won }]
+  deals        jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- { commit, best_case, pipeline, closed_won, by_owner: { <id>: {...} } }
+  totals       jsonb NOT NULL DEFAULT '{}'::jsonb,
+  CONSTRAINT forecast_snapshots_org_period_week_key UNIQUE (org_id, period_key, week_start)
+);
+
+CREATE OR REPLACE FUNCTION public.forecast_snapshots_immutable()
+RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'forecast_snapshots rows are frozen and cannot be modified';
+END $$;
+
+DROP TRIGGER IF EXISTS trg_forecast_snapshots_immutable ON public.forecast_snapshots;
+CREATE TRIGGER trg_forecast_snapshots_immutable
+  BEFORE UPDATE ON public.forecast_snapshots
+  FOR EACH ROW EXECUTE FUNCTION public.forecast_snapshots_immutable();
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.forecast_snapshots;
+--   DROP FUNCTION IF EXISTS public.forecast_snapshots_immutable();
+--   DROP TABLE IF EXISTS public.quotas;
+--   DROP TABLE IF EXISTS public.forecast_submissions;
+--   ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_forecast_category_check;
+--   ALTER TABLE public.deals DROP COLUMN IF EXISTS forecast_category;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
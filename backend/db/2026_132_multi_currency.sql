@@ -0,0 +1,97 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_132_multi_currency.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_132_multi_currency.sql
+--
+-- Deal / product currencies and an org-maintained, dated exchange-rate table.
+-- Read and written by services/currency.service.js.
+--
+-- WHY THIS EXISTS
+--   deals.value and product_catalog.list_price were unitless: every roll-up in
+--   dealsReporting / forecast summed USD, EUR and INR deals as one number.
+--
+--   deals.currency / product_catalog.currency
+--     ISO 4217 code. NULL = the org's corporate currency
+--     (organizations.settings->>'corporate_currency', default 'USD'), so
+--     nothing has to be back-filled. currency.service.setCorporateCurrency
+--     stamps NULL rows with the OLD code before switching, so changing the
+--     corporate currency never silently re-denominates existing deals.
+--     deals.value stays in the deal's own currency — conversion happens at
+--     read time, the original amount is never overwritten.
+--     deal_products lines are priced in their deal's currency (no column).
+--     contracts.currency already exists (NOT NULL, default 'USD').
+--
+--   exchange_rates
+--     One row per (org, base, currency, effective_date): 1 unit of `currency`
+--     = `rate` units of `base_currency`. base_currency is the corporate
+--     currency the rate was entered against. A corporate-currency change
+--     rebases the table onto the new base in the same transaction
+--     (currency.service setCorporateCurrency); the old rows stay behind,
+--     unmatched.
+--     Reporting uses the latest rate on or before the deal's close date
+--     (close_date → closed_at → expected_close_date → today); if the only
+--     rates are later than that, the earliest one.
+--
+-- NUMBERING: 131 = forecasting. This is 132.
+--   psql "$DATABASE_URL" -f 2026_132_multi_currency.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Deal and product currency ────────────────────────────────────────────────
+ALTER TABLE public.deals
+  ADD COLUMN IF NOT EXISTS currency character(3);
+
+ALTER TABLE public.deals
+  DROP CONSTRAINT IF EXISTS deals_currency_check;
+ALTER TABLE public.deals
+  ADD CONSTRAINT deals_currency_check
+    CHECK (currency IS NULL OR currency ~ '^[A-Z]{3}$');
+
+COMMENT ON COLUMN public.deals.currency IS
+  'ISO 4217 code of deals.value. NULL = org corporate currency (settings.corporate_currency).';
+
+ALTER TABLE public.product_catalog
+  ADD COLUMN IF NOT EXISTS currency character(3);
+
+ALTER TABLE public.product_catalog
+  DROP CONSTRAINT IF EXISTS product_catalog_currency_check;
+ALTER TABLE public.product_catalog
+  ADD CONSTRAINT product_catalog_currency_check
+    CHECK (currency IS NULL OR currency ~ '^[A-Z]{3}$');
+
+COMMENT ON COLUMN public.product_catalog.currency IS
+  'ISO 4217 code of list_price. NULL = org corporate currency (settings.corporate_currency).';
+
+-- ── Exchange rates ───────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id              serial PRIMARY KEY,
+  org_id          integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  base_currency   character(3) NOT NULL CHECK (base_currency ~ '^[A-Z]{3}$'),
+  currency        character(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+  rate            numeric(20,10) NOT NULL CHECK (rate > 0),
+  effective_date  date NOT NULL,
+  created_by      integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at      timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at      timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT exchange_rates_not_self CHECK (currency <> base_currency),
+  CONSTRAINT exchange_rates_org_pair_date_key
+    UNIQUE (org_id, base_currency, currency, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup
+  ON public.exchange_rates (org_id, base_currency, currency, effective_date DESC);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.exchange_rates;
+--   ALTER TABLE public.product_catalog DROP CONSTRAINT IF EXISTS product_catalog_currency_check;
+--   ALTER TABLE public.product_catalog DROP COLUMN IF EXISTS currency;
+--   ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_currency_check;
+--   ALTER TABLE public.deals DROP COLUMN IF EXISTS currency;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,91 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_133_outbound_webhooks.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_133_outbound_webhooks.sql
+--
+-- Outbound webhook subscriptions and their delivery log.
+-- Read and written by services/outboundWebhook.service.js; delivered by the
+-- 'outbound-webhooks' Bull queue in jobs/outboundWebhookJob.js.
+--
+-- WHY THIS EXISTS
+--   webhooks.routes.js and activity-webhooks.routes.js are inbound only. Org
+--   admins need to point their own systems at GoWarm events instead of
+--   polling the API.
+--
+--   webhook_subscriptions
+--     One HTTPS endpoint + the event types it wants. The signing secret is
+--     stored AES-256-GCM encrypted (services/credentials/encryption.js, same
+--     columns as twilio_accounts); only the last 4 characters are ever
+--     returned by the API after creation.
+--
+--   webhook_deliveries
+--     One row per (event, subscription). The payload is frozen at emit time so
+--     a retry or a manual re-deliver sends byte-identical JSON with the same
+--     event_id — receivers dedupe on it. A manual re-deliver is a NEW row
+--     pointing at the original through redelivery_of, so the log keeps both.
+--
+--     status: pending → delivered | failed. attempt_count / last_* describe the
+--     most recent attempt; Bull owns the retry schedule.
+--
+-- NUMBERING: 132 = multi-currency. This is 133.
+--   psql "$DATABASE_URL" -f 2026_133_outbound_webhooks.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.webhook_subscriptions (
+  id                 serial PRIMARY KEY,
+  org_id             integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  name               varchar(120) NOT NULL,
+  url                text NOT NULL CHECK (url ~* '^https://'),
+  events             text[] NOT NULL DEFAULT '{}',
+  is_active          boolean NOT NULL DEFAULT TRUE,
+  secret_ciphertext  bytea NOT NULL,
+  secret_iv          bytea NOT NULL,
+  secret_tag         bytea NOT NULL,
+  secret_last4       varchar(4) NOT NULL,
+  created_by         integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at         timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at         timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_org_active
+  ON public.webhook_subscriptions (org_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id                    bigserial PRIMARY KEY,
+  org_id                integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  subscription_id       integer NOT NULL REFERENCES public.webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id              uuid NOT NULL,
+  event_type            varchar(60) NOT NULL,
+  payload               jsonb NOT NULL,
+  status                varchar(20) NOT NULL DEFAULT 'pending'
+                          CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempt_count         integer NOT NULL DEFAULT 0,
+  last_attempt_at       timestamp with time zone,
+  last_response_status  integer,
+  last_response_body    text,
+  last_error            text,
+  duration_ms           integer,
+  delivered_at          timestamp with time zone,
+  redelivery_of         bigint REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+  requested_by          integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at            timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON public.webhook_deliveries (subscription_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending
+  ON public.webhook_deliveries (created_at) WHERE status = 'pending';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.webhook_deliveries;
+--   DROP TABLE IF EXISTS public.webhook_subscriptions;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,137 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_134_saml_sso.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_134_saml_sso.sql
+--
+-- Per-org SAML single sign-on. Read and written by services/samlSso.service.js;
+-- configured from Org Admin → Single Sign-On (routes/org-sso.routes.js).
+--
+-- WHY THIS EXISTS
+--   Login is our own email + password (auth.routes.js) plus invitations.
+--   Enterprise customers need to sign in against their own IdP, have new
+--   people provisioned on first login, and turn password login off.
+--
+--   org_sso_configs
+--     One row per org. The IdP signing certificate is public material, so it
+--     is stored in the clear (unlike webhook secrets / Twilio tokens).
+--     email_domains drives discovery from the login screen: typing
+--     jane@acme.com finds the org whose domains include 'acme.com'. Every
+--     one of them must be verified in org_domains before SSO can be enabled.
+--
+--     default_role         org_users.role given to JIT-provisioned users.
+--     default_org_role_id  functional role (org_roles, org-roles.routes.js)
+--                          stamped on org_users.org_role_id for them.
+--     enforce_sso          password login is refused for everyone in the org
+--                          except owners (break-glass if the IdP is down).
+--
+--   org_users.org_role_id
+--     The member's functional role. Until now org_roles were only referenced
+--     per project (project_members.role_id) and per invitation.
+--
+--   org_domains
+--     Domains the org has proven it owns with a DNS TXT record
+--     (services/orgDomains.service.js). Without the proof, any admin could
+--     list someone else's domain (or gmail.com), point it at an IdP they run
+--     and sign in as anyone with an address there. Several orgs may claim a
+--     domain; only one can verify it, so a squatter's pending claim never
+--     blocks the real owner. SCIM create/link is held to the same list.
+--
+--   sso_request_cache
+--     Outstanding AuthnRequest IDs, so a SAMLResponse is only accepted as the
+--     answer to a request we sent (InResponseTo) and only once.
+--
+--   sso_login_codes
+--     One-time, 60-second codes. The ACS redirects the browser to the app with
+--     a code instead of a JWT so the token never lands in a URL; the app
+--     exchanges it at POST /api/auth/sso/exchange. Only the SHA-256 is stored.
+--
+-- NUMBERING: 133 = outbound webhooks. This is 134.
+--   psql "$DATABASE_URL" -f 2026_134_saml_sso.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.org_users
+  ADD COLUMN IF NOT EXISTS org_role_id integer REFERENCES public.org_roles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.org_sso_configs (
+  org_id               integer PRIMARY KEY REFERENCES public.organizations(id) ON DELETE CASCADE,
+  enabled              boolean NOT NULL DEFAULT FALSE,
+  idp_entity_id        text,
+  idp_sso_url          text CHECK (idp_sso_url IS NULL OR idp_sso_url ~* '^https://'),
+  idp_cert             text,
+  email_domains        text[] NOT NULL DEFAULT '{}',
+  default_role         varchar(20) NOT NULL DEFAULT 'member'
+                         CHECK (default_role IN ('admin', 'member', 'viewer')),
+  default_org_role_id  integer REFERENCES public.org_roles(id) ON DELETE SET NULL,
+  jit_provisioning     boolean NOT NULL DEFAULT TRUE,
+  enforce_sso          boolean NOT NULL DEFAULT FALSE,
+  last_login_at        timestamp with time zone,
+  updated_by           integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at           timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at           timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_sso_configs_domains
+  ON public.org_sso_configs USING gin (email_domains);
+
+CREATE TABLE IF NOT EXISTS public.org_domains (
+  org_id              integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  domain              text NOT NULL CHECK (domain = lower(domain)),
+  verification_token  varchar(64) NOT NULL,
+  verified_at         timestamp with time zone,
+  last_checked_at     timestamp with time zone,
+  created_at          timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, domain)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_org_domains_verified
+  ON public.org_domains (domain) WHERE verified_at IS NOT NULL;
+
+-- An earlier revision of this file enforced one org per domain on the config
+-- itself, first come first served. Ownership is org_domains' job now.
+DROP TRIGGER IF EXISTS trg_org_sso_configs_unique_domains ON public.org_sso_configs;
+DROP FUNCTION IF EXISTS public.org_sso_configs_unique_domains();
+
+-- Nothing is verified yet on a fresh org_domains, so a config enabled under
+-- that revision is switched off (and stops enforcing) until its domains are.
+UPDATE public.org_sso_configs c
+   SET enabled = FALSE, enforce_sso = FALSE, updated_at = now()
+ WHERE c.enabled
+   AND EXISTS (
+     SELECT 1 FROM unnest(c.email_domains) AS d
+      WHERE NOT EXISTS (
+        SELECT 1 FROM public.org_domains od
+         WHERE od.org_id = c.org_id AND od.domain = d AND od.verified_at IS NOT NULL));
+
+CREATE TABLE IF NOT EXISTS public.sso_request_cache (
+  request_id  varchar(255) PRIMARY KEY,
+  value       text NOT NULL,
+  created_at  timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_request_cache_created
+  ON public.sso_request_cache (created_at);
+
+CREATE TABLE IF NOT EXISTS public.sso_login_codes (
+  code_hash   char(64) PRIMARY KEY,
+  user_id     integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  org_id      integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  expires_at  timestamp with time zone NOT NULL,
+  used_at     timestamp with time zone,
+  created_at  timestamp with time zone NOT NULL DEFAULT now()
+);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.sso_login_codes;
+--   DROP TABLE IF EXISTS public.sso_request_cache;
+--   DROP TABLE IF EXISTS public.org_domains;
+--   DROP TABLE IF EXISTS public.org_sso_configs;
+--   ALTER TABLE public.org_users DROP COLUMN IF EXISTS org_role_id;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,85 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_135_scim_provisioning.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_135_scim_provisioning.sql
+--
+-- SCIM 2.0 provisioning (routes/scim.routes.js) and member offboarding
+-- (services/memberLifecycle.service.js).
+--
+-- WHY THIS EXISTS
+--   People are invited and deactivated by hand (orgAdmin.routes.js). A
+--   deactivated member's mailboxes, OAuth grants, sequences and open actions
+--   kept running until somebody noticed. The org's IdP now drives the member
+--   list, and every deactivation — SCIM or the Members screen — hands the
+--   departing user's open work to a successor.
+--
+--   org_scim_configs
+--     One row per org. The bearer token the IdP presents is stored as a
+--     SHA-256 (like password_reset_tokens) — it is shown once, on generate.
+--     group_dimension: SCIM Groups become teams (teamService.js) in this
+--     dimension. fallback_owner_id: successor when the departing user has no
+--     active manager in org_hierarchy.
+--
+--   org_users.scim_external_id / teams.scim_external_id
+--     The IdP's own identifier, echoed back as externalId.
+--
+--   member_offboardings
+--     One row per deactivation: who took over and how much moved, so an admin
+--     can see what happened after the IdP turned someone off.
+--
+-- NUMBERING: 134 = SAML SSO. This is 135.
+--   psql "$DATABASE_URL" -f 2026_135_scim_provisioning.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.org_scim_configs (
+  org_id             integer PRIMARY KEY REFERENCES public.organizations(id) ON DELETE CASCADE,
+  enabled            boolean NOT NULL DEFAULT FALSE,
+  token_hash         char(64) UNIQUE,
+  token_last4        varchar(4),
+  token_created_at   timestamp with time zone,
+  group_dimension    varchar(50) NOT NULL DEFAULT 'function',
+  fallback_owner_id  integer REFERENCES public.users(id) ON DELETE SET NULL,
+  last_request_at    timestamp with time zone,
+  updated_by         integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at         timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at         timestamp with time zone NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.org_users ADD COLUMN IF NOT EXISTS scim_external_id text;
+ALTER TABLE public.teams     ADD COLUMN IF NOT EXISTS scim_external_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_org_users_scim_external_id
+  ON public.org_users (org_id, scim_external_id) WHERE scim_external_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_teams_scim_external_id
+  ON public.teams (org_id, scim_external_id) WHERE scim_external_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.member_offboardings (
+  id            serial PRIMARY KEY,
+  org_id        integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id       integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  successor_id  integer REFERENCES public.users(id) ON DELETE SET NULL,
+  source        varchar(20) NOT NULL CHECK (source IN ('scim', 'admin')),
+  triggered_by  integer REFERENCES public.users(id) ON DELETE SET NULL,
+  counts        jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at    timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_offboardings_org
+  ON public.member_offboardings (org_id, created_at DESC);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.member_offboardings;
+--   DROP INDEX IF EXISTS public.uq_teams_scim_external_id;
+--   DROP INDEX IF EXISTS public.uq_org_users_scim_external_id;
+--   ALTER TABLE public.teams     DROP COLUMN IF EXISTS scim_external_id;
+--   ALTER TABLE public.org_users DROP COLUMN IF EXISTS scim_external_id;
+--   DROP TABLE IF EXISTS public.org_scim_configs;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,111 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_136_two_factor_auth.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_136_two_factor_auth.sql
+--
+-- TOTP two-factor authentication (services/twoFactor.service.js).
+--
+-- WHY THIS EXISTS
+--   Password login was the only factor, while the app holds mailbox,
+--   LinkedIn, WhatsApp and CRM credentials. Users can now enrol an
+--   authenticator app; orgs can require it for admins or for everyone.
+--
+--   user_mfa
+--     One row per user who has started enrolment. The TOTP secret is
+--     AES-256-GCM encrypted (services/credentials/encryption.js, same as
+--     outbound webhook secrets). pending_* holds a secret between "show QR"
+--     and "confirm first code"; enabled_at IS NOT NULL means 2FA is on.
+--     last_used_step blocks replay of a code inside its 30s window.
+--
+--   user_mfa_recovery_codes
+--     Ten single-use codes per enrolment, SHA-256 hashed. Regenerating
+--     deletes the old set.
+--
+--   mfa_login_challenges
+--     The gap between "password OK" (or "IdP OK") and "code OK". The login
+--     response carries a random token; only its SHA-256 is stored (like
+--     sso_login_codes). 10-minute expiry, 5 attempts, each claimed by an
+--     atomic increment before the code is checked. purpose 'enroll' is a
+--     login where org policy requires 2FA and the user has none yet. org_id
+--     is the org an SSO login was for, so the session issued after the code
+--     stays scoped to it; NULL for password logins.
+--
+--   organizations.mfa_policy
+--     'off' | 'admins' (owners + admins) | 'all'. Checked at password login
+--     and at the SSO code exchange alike — an IdP's own MFA is invisible to
+--     us, so it does not count.
+--
+-- NUMBERING: 135 = SCIM provisioning. This is 136.
+--   psql "$DATABASE_URL" -f 2026_136_two_factor_auth.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.user_mfa (
+  user_id              integer PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  secret_ciphertext    bytea,
+  secret_iv            bytea,
+  secret_tag           bytea,
+  pending_ciphertext   bytea,
+  pending_iv           bytea,
+  pending_tag          bytea,
+  pending_created_at   timestamp with time zone,
+  enabled_at           timestamp with time zone,
+  last_used_step       bigint,
+  last_used_at         timestamp with time zone,
+  created_at           timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at           timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.user_mfa_recovery_codes (
+  id          serial PRIMARY KEY,
+  user_id     integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  code_hash   char(64) NOT NULL,
+  used_at     timestamp with time zone,
+  created_at  timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_mfa_recovery_codes_user
+  ON public.user_mfa_recovery_codes (user_id) WHERE used_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.mfa_login_challenges (
+  id           serial PRIMARY KEY,
+  user_id      integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash   char(64) NOT NULL UNIQUE,
+  purpose      varchar(10) NOT NULL CHECK (purpose IN ('verify', 'enroll')),
+  attempts     integer NOT NULL DEFAULT 0,
+  expires_at   timestamp with time zone NOT NULL,
+  consumed_at  timestamp with time zone,
+  created_at   timestamp with time zone NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.mfa_login_challenges
+  ADD COLUMN IF NOT EXISTS org_id integer REFERENCES public.organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_mfa_login_challenges_expires
+  ON public.mfa_login_challenges (expires_at);
+
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS mfa_policy varchar(10) NOT NULL DEFAULT 'off';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'organizations_mfa_policy_check') THEN
+    ALTER TABLE public.organizations
+      ADD CONSTRAINT organizations_mfa_policy_check CHECK (mfa_policy IN ('off', 'admins', 'all'));
+  END IF;
+END $$;
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   ALTER TABLE public.organizations DROP CONSTRAINT IF EXISTS organizations_mfa_policy_check;
+--   ALTER TABLE public.organizations DROP COLUMN IF EXISTS mfa_policy;
+--   DROP TABLE IF EXISTS public.mfa_login_challenges;
+--   DROP TABLE IF EXISTS public.user_mfa_recovery_codes;
+--   DROP TABLE IF EXISTS public.user_mfa;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
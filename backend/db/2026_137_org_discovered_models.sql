@@ -0,0 +1,50 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_137_org_discovered_models.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_137_org_discovered_models.sql
+--
+-- Per-org model discovery for the self-hosted ('custom') AI provider.
+--
+-- WHY THIS EXISTS
+--   discovered_models is platform-wide: a vendor's model list is the same
+--   whichever key lists it. A self-hosted endpoint (vLLM, Ollama, LM Studio)
+--   is different — each org points at its own server, with its own models,
+--   often on a private network. Those lists must never leak into another
+--   org's dropdown, so they get their own org-scoped table.
+--
+--   org_discovered_models
+--     One row per (org, provider, model) seen on the org's endpoint. Written
+--     by ModelDiscoveryService.discoverOrgModels (on "Refresh models" and by
+--     the discovery cron); merged into that org's model list only. Models
+--     that disappear from the endpoint are pruned on the next successful run.
+--
+--   Per-model cost rates for self-hosted models are config, not discovery
+--   output, and live in org_action_config.ai_settings.custom_model_rates
+--   (no schema change).
+--
+-- NUMBERING: 136 = two-factor auth. This is 137.
+--   psql "$DATABASE_URL" -f 2026_137_org_discovered_models.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.org_discovered_models (
+  id             bigserial PRIMARY KEY,
+  org_id         integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  provider       text NOT NULL,
+  model_id       text NOT NULL,
+  raw            jsonb,
+  first_seen_at  timestamp with time zone NOT NULL DEFAULT now(),
+  last_seen_at   timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE (org_id, provider, model_id)
+);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.org_discovered_models;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,142 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_138_skill_evals.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_138_skill_evals.sql
+--
+-- Skill evaluation harness (services/skillEval.service.js).
+--
+-- WHY THIS EXISTS
+--   Skills are published as versioned bundles (2026_63), but nothing checked
+--   whether a new version writes better or worse drafts than the one it
+--   replaces. An eval set is a golden dataset for one skill: fixed context
+--   payloads with expectations. A comparison run executes two versions of
+--   the skill against every case and scores both; publishing is blocked when
+--   the candidate's pass rate regresses.
+--
+--   skill_eval_sets
+--     One golden dataset for one skill. scope 'platform' (owner_org_id NULL,
+--     created from the CLI) gates platform publishes; scope 'org' gates that
+--     org's own publishes. regression_tolerance is how many percentage
+--     points of pass rate the candidate may lose before the gate closes;
+--     min_pass_rate is an absolute floor (NULL = none).
+--
+--   skill_eval_cases
+--     A fixture: the exact payload SkillRunnerService would send the model
+--     (prospect/deal context, org_context, _meta), an optional methodology,
+--     and expectations — rubric checks scored after OutreachValidator:
+--       { route, required_fields[], must_include[], must_not_include[],
+--         equals{path: value}, max_words{path: n} }
+--     source_run_id records the skill_runs row a case was captured from.
+--
+--   skill_eval_runs
+--     One comparison: baseline vs candidate bundle (NULL bundle id = the
+--     on-disk working copy). candidate_content_hash is a version-independent
+--     hash of the candidate files, so a publish can be matched to the run
+--     that evaluated exactly those files. report holds the per-case
+--     comparison.
+--
+--   skill_eval_results
+--     One row per (run, case, side) with the parsed output, validation and
+--     check outcomes.
+--
+--   skill_runs rows produced by an eval carry bundle_source = 'eval' and
+--   are excluded from the skill-run analytics.
+--
+-- NUMBERING: 137 = org discovered models. This is 138.
+--   psql "$DATABASE_URL" -f 2026_138_skill_evals.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.skill_eval_sets (
+  id                    serial PRIMARY KEY,
+  scope                 varchar(20) NOT NULL CHECK (scope IN ('platform', 'org')),
+  owner_org_id          integer REFERENCES public.organizations(id) ON DELETE CASCADE,
+  skill_name            varchar(100) NOT NULL,
+  name                  varchar(200) NOT NULL,
+  description           text,
+  regression_tolerance  numeric(5,2) NOT NULL DEFAULT 0,
+  min_pass_rate         numeric(5,2),
+  is_active             boolean NOT NULL DEFAULT TRUE,
+  created_by            integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at            timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at            timestamp with time zone NOT NULL DEFAULT now(),
+  CHECK ((scope = 'platform') = (owner_org_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_eval_sets_skill
+  ON public.skill_eval_sets (skill_name, owner_org_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS public.skill_eval_cases (
+  id               serial PRIMARY KEY,
+  set_id           integer NOT NULL REFERENCES public.skill_eval_sets(id) ON DELETE CASCADE,
+  label            varchar(200) NOT NULL,
+  context_payload  jsonb NOT NULL,
+  methodology      varchar(40),
+  expectations     jsonb NOT NULL DEFAULT '{}'::jsonb,
+  source_run_id    bigint,
+  sort_order       integer NOT NULL DEFAULT 0,
+  created_at       timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at       timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_eval_cases_set
+  ON public.skill_eval_cases (set_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS public.skill_eval_runs (
+  id                      serial PRIMARY KEY,
+  org_id                  integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  set_id                  integer NOT NULL REFERENCES public.skill_eval_sets(id) ON DELETE CASCADE,
+  skill_name              varchar(100) NOT NULL,
+  baseline_bundle_id      integer REFERENCES public.skill_bundles(id),
+  baseline_label          varchar(60),
+  candidate_bundle_id     integer REFERENCES public.skill_bundles(id),
+  candidate_label         varchar(60),
+  candidate_content_hash  char(64) NOT NULL,
+  status                  varchar(20) NOT NULL DEFAULT 'running'
+                            CHECK (status IN ('running', 'completed', 'failed')),
+  case_count              integer NOT NULL DEFAULT 0,
+  baseline_pass_rate      numeric(5,2),
+  candidate_pass_rate     numeric(5,2),
+  regressed               boolean,
+  report                  jsonb,
+  error                   text,
+  triggered_by            integer REFERENCES public.users(id) ON DELETE SET NULL,
+  started_at              timestamp with time zone NOT NULL DEFAULT now(),
+  completed_at            timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_eval_runs_gate
+  ON public.skill_eval_runs (skill_name, candidate_content_hash, completed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_skill_eval_runs_set
+  ON public.skill_eval_runs (set_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.skill_eval_results (
+  id            bigserial PRIMARY KEY,
+  run_id        integer NOT NULL REFERENCES public.skill_eval_runs(id) ON DELETE CASCADE,
+  case_id       integer NOT NULL REFERENCES public.skill_eval_cases(id) ON DELETE CASCADE,
+  side          varchar(10) NOT NULL CHECK (side IN ('baseline', 'candidate')),
+  status        varchar(30) NOT NULL,
+  passed        boolean NOT NULL DEFAULT FALSE,
+  score         numeric(5,2) NOT NULL DEFAULT 0,
+  output        jsonb,
+  validation    jsonb,
+  checks        jsonb,
+  skill_run_id  bigint,
+  error         text,
+  created_at    timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE (run_id, case_id, side)
+);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.skill_eval_results;
+--   DROP TABLE IF EXISTS public.skill_eval_runs;
+--   DROP TABLE IF EXISTS public.skill_eval_cases;
+--   DROP TABLE IF EXISTS public.skill_eval_sets;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,55 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_139_skill_drafts.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_139_skill_drafts.sql
+--
+-- Org-authored skills (services/skillDrafts.service.js).
+--
+-- WHY THIS EXISTS
+--   Skill authoring was repo-only: a new version meant a platform developer
+--   editing backend/skills/<name>/ and publishing from disk. Enablement teams
+--   want to fork a skill, edit SKILL.md / templates / reference in the
+--   browser, preview it against a real prospect or deal, and publish an org
+--   version of their own.
+--
+--   skill_bundle_drafts
+--     The org's working copy of one skill — the browser equivalent of the
+--     skill folder on disk. One draft per (org, skill). files has the same
+--     shape as skill_bundles.files. base_* records what it was forked from.
+--     Publishing creates an ordinary org-scoped skill_bundles row (immutable,
+--     same as any other) and, by default, pins the org to it so
+--     resolveForRun picks it up; the draft stays for the next version.
+--
+--   skill_runs rows from draft previews carry bundle_source = 'draft' and,
+--   like eval runs (2026_138), are excluded from skill-run analytics.
+--
+-- NUMBERING: 138 = skill evals. This is 139.
+--   psql "$DATABASE_URL" -f 2026_139_skill_drafts.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.skill_bundle_drafts (
+  id                      serial PRIMARY KEY,
+  org_id                  integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  skill_name              varchar(100) NOT NULL,
+  base_bundle_id          integer REFERENCES public.skill_bundles(id) ON DELETE SET NULL,
+  base_label              varchar(60),
+  files                   jsonb NOT NULL DEFAULT '{}'::jsonb,
+  last_published_bundle_id integer REFERENCES public.skill_bundles(id) ON DELETE SET NULL,
+  created_by              integer REFERENCES public.users(id) ON DELETE SET NULL,
+  updated_by              integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at              timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at              timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE (org_id, skill_name)
+);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.skill_bundle_drafts;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
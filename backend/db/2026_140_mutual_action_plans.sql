@@ -0,0 +1,65 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_140_mutual_action_plans.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_140_mutual_action_plans.sql
+--
+-- Mutual action plans / close plans (services/mutualActionPlan.service.js,
+-- skills/mutual-action-plan).
+--
+-- WHY THIS EXISTS
+--   discovery-call-prep is the only deal-side skill and its output lives only
+--   in skill_runs. A close plan is a working document: the rep edits it,
+--   shares it with the buyer and turns milestones into actions and plays, so
+--   it needs a row of its own.
+--
+--   mutual_action_plans
+--     One plan per generation; the newest non-archived plan is the deal's
+--     current one. skill_run_id links back to the run that drafted it.
+--     milestones is an ordered jsonb array:
+--       { id, title, description, due_date, owner_side (buyer|seller|joint),
+--         owner_name, owner_contact_id, success_criteria, meddpicc, play_ref,
+--         channel, status (open|done), action_id, play_instance_id }
+--     action_id / play_instance_id record a conversion so a milestone is
+--     never turned into a second action or play.
+--     share_token — public read-only buyer link, same trust model as
+--     baseline_reports.share_token (2026_62). NULL = not shared.
+--
+-- NUMBERING: 139 = skill drafts. This is 140.
+--   psql "$DATABASE_URL" -f 2026_140_mutual_action_plans.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.mutual_action_plans (
+  id                  serial PRIMARY KEY,
+  org_id              integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  deal_id             integer NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  skill_run_id        bigint REFERENCES public.skill_runs(id) ON DELETE SET NULL,
+  title               varchar(255) NOT NULL,
+  summary             text,
+  target_close_date   date,
+  milestones          jsonb NOT NULL DEFAULT '[]'::jsonb,
+  risks               jsonb NOT NULL DEFAULT '[]'::jsonb,
+  confidence_notes    text,
+  status              varchar(20) NOT NULL DEFAULT 'draft'
+                        CHECK (status IN ('draft', 'shared', 'archived')),
+  share_token         varchar(64) UNIQUE,
+  shared_at           timestamp with time zone,
+  created_by          integer REFERENCES public.users(id) ON DELETE SET NULL,
+  updated_by          integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at          timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at          timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mutual_action_plans_deal
+  ON public.mutual_action_plans (org_id, deal_id, created_at DESC);
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.mutual_action_plans;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,58 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_141_play_durations.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_141_play_durations.sql
+--
+-- Planned duration for project plays, for the schedule / critical path
+-- (services/projectSchedule.service.js).
+--
+-- WHY THIS EXISTS
+--   A play carries a due date and, since 2026_117, its prerequisites — but
+--   nothing says how long the work takes. Without a duration a forward pass
+--   can only say "B finishes after A", not "B finishes 5 days after A", so
+--   there is no float, no critical path and nothing to push a successor's
+--   due date by when a predecessor slips.
+--
+--   project_play_instances.duration_days
+--     Planned span in CALENDAR days ending on due_date: a play due on the
+--     10th with duration 3 is planned to start on the 7th, and a successor
+--     may start on the 10th. finish = start + duration, no off-by-one.
+--     0 = milestone (a point in time, e.g. "contract signed").
+--     NULL = not estimated; the scheduler treats it as 1 day rather than
+--     refusing to schedule, and the Gantt shows the bar as unestimated.
+--
+--   Calendar rather than working days: the due dates it is measured
+--   against are calendar dates, and no org has a working calendar in this
+--   schema yet. Mixing the two would make every computed date wrong by the
+--   weekends in between.
+--
+-- NUMBERING: 140 = mutual action plans. This is 141.
+--   psql "$DATABASE_URL" -f 2026_141_play_durations.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.project_play_instances
+  ADD COLUMN IF NOT EXISTS duration_days integer;
+
+ALTER TABLE public.project_play_instances
+  DROP CONSTRAINT IF EXISTS project_play_instances_duration_chk;
+ALTER TABLE public.project_play_instances
+  ADD CONSTRAINT project_play_instances_duration_chk
+  CHECK (duration_days IS NULL OR (duration_days >= 0 AND duration_days <= 3650));
+
+COMMENT ON COLUMN public.project_play_instances.duration_days IS
+  'Planned span in calendar days ending on due_date (start = due_date - duration_days). 0 = milestone. '
+  'NULL = not estimated; the scheduler assumes 1 day.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   ALTER TABLE public.project_play_instances
+--     DROP CONSTRAINT IF EXISTS project_play_instances_duration_chk;
+--   ALTER TABLE public.project_play_instances DROP COLUMN IF EXISTS duration_days;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,92 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_142_resource_capacity.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_142_resource_capacity.sql
+--
+-- Resource capacity planning across implementation projects
+-- (services/resourceCapacity.service.js).
+--
+-- WHY THIS EXISTS
+--   /team-members/:userId/projects and /dashboard show what one person is on,
+--   but not how much work that is or when it lands. Answering "is the team
+--   overbooked next month" needs two numbers per person per week: hours of
+--   planned work and hours available. Neither was stored.
+--
+--   project_play_instances.effort_hours
+--     Estimated hands-on hours for the play's owner. Spread evenly over the
+--     play's window (due_date - duration_days .. due_date, 2026_141). NULL =
+--     not estimated; counted separately so an empty heatmap cell cannot be
+--     mistaken for a free week.
+--
+--   resource_capacity
+--     One row per person: their standard weekly hours for project work. No
+--     row = the service default (40). Part-timers and people who split their
+--     week with support are the reason this is per person, not per org.
+--
+--   resource_capacity_weeks
+--     Exceptions for a single week — leave, training, a public holiday.
+--     week_start is always a Monday (CHECK), so the lookup is an equality
+--     join rather than a range test.
+--
+-- NUMBERING: 141 = play durations. This is 142.
+--   psql "$DATABASE_URL" -f 2026_142_resource_capacity.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.project_play_instances
+  ADD COLUMN IF NOT EXISTS effort_hours numeric(7,2);
+
+ALTER TABLE public.project_play_instances
+  DROP CONSTRAINT IF EXISTS project_play_instances_effort_chk;
+ALTER TABLE public.project_play_instances
+  ADD CONSTRAINT project_play_instances_effort_chk
+  CHECK (effort_hours IS NULL OR (effort_hours >= 0 AND effort_hours <= 10000));
+
+COMMENT ON COLUMN public.project_play_instances.effort_hours IS
+  'Estimated hours of work for the owner, spread over due_date - duration_days .. due_date. '
+  'NULL = not estimated.';
+
+-- Capacity is looked up by owner across every active project.
+CREATE INDEX IF NOT EXISTS idx_ppi_owner_open
+  ON public.project_play_instances (org_id, owner_user_id)
+  WHERE owner_user_id IS NOT NULL
+    AND status NOT IN ('completed', 'skipped', 'cancelled');
+
+CREATE TABLE IF NOT EXISTS public.resource_capacity (
+  org_id        integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id       integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  weekly_hours  numeric(5,2) NOT NULL CHECK (weekly_hours >= 0 AND weekly_hours <= 168),
+  updated_by    integer REFERENCES public.users(id) ON DELETE SET NULL,
+  updated_at    timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.resource_capacity_weeks (
+  org_id        integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id       integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  week_start    date    NOT NULL CHECK (EXTRACT(ISODOW FROM week_start) = 1),
+  hours         numeric(5,2) NOT NULL CHECK (hours >= 0 AND hours <= 168),
+  note          varchar(255),
+  updated_by    integer REFERENCES public.users(id) ON DELETE SET NULL,
+  updated_at    timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, user_id, week_start)
+);
+
+COMMENT ON TABLE public.resource_capacity_weeks IS
+  'Per-week capacity override (leave, holidays). week_start is a Monday. Replaces resource_capacity.weekly_hours for that week.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.resource_capacity_weeks;
+--   DROP TABLE IF EXISTS public.resource_capacity;
+--   DROP INDEX IF EXISTS public.idx_ppi_owner_open;
+--   ALTER TABLE public.project_play_instances
+--     DROP CONSTRAINT IF EXISTS project_play_instances_effort_chk;
+--   ALTER TABLE public.project_play_instances DROP COLUMN IF EXISTS effort_hours;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
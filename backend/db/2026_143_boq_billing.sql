@@ -0,0 +1,136 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_143_boq_billing.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_143_boq_billing.sql
+--
+-- Billing schedule and progress claims on a Bill of Quantities
+-- (services/boqBilling.service.js).
+--
+-- WHY THIS EXISTS
+--   2026_113 records what work was done and what it cost at the bill rate, but
+--   not what may be invoiced for it. Finance was rebuilding that in a
+--   spreadsheet each month: measured value to date, less retention, less what
+--   was claimed last time. Three things were missing:
+--
+--   boqs.retention_pct
+--     Share of every claim held back until practical completion. Applied to
+--     the cumulative gross, so changing it mid-contract re-bases retention on
+--     everything claimed so far rather than only on new work.
+--
+--   boq_billing_milestones
+--     How a line, or a stage of the project, becomes invoiceable when it is
+--     NOT simply paid by measure. Exactly one of:
+--       boq_item_id  bill_pct of the line's sanctioned amount, earned once
+--                    measured completion reaches trigger_pct. A line with any
+--                    milestone is billed by its milestones only, never also by
+--                    measure — otherwise the same work is claimed twice.
+--       stage_key    a fixed amount, earned when every play in that project
+--                    stage is completed. For lump sums that are not a bill
+--                    line: mobilisation, documentation, handover.
+--     Lines without milestones are billed by measure: executed value, capped
+--     at the sanctioned amount. Work beyond sanction needs a variation first.
+--
+--   boq_claims
+--     One row per issued progress claim. The figures and the per-line
+--     breakdown are SNAPSHOTS: a reversal or backdated entry after issue must
+--     not change a claim that has gone to the client. It surfaces in the next
+--     claim instead, because every claim is cumulative to date less the last
+--     one. A wrong claim is voided, never edited or deleted, and only the
+--     latest may be voided so the previous-claim chain stays intact.
+--
+-- NUMBERING: 142 = resource capacity. This is 143.
+--   psql "$DATABASE_URL" -f 2026_143_boq_billing.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.boqs
+  ADD COLUMN IF NOT EXISTS retention_pct numeric(5,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.boqs DROP CONSTRAINT IF EXISTS boqs_retention_chk;
+ALTER TABLE public.boqs
+  ADD CONSTRAINT boqs_retention_chk CHECK (retention_pct >= 0 AND retention_pct <= 100);
+
+CREATE TABLE IF NOT EXISTS public.boq_billing_milestones (
+  id           serial PRIMARY KEY,
+  org_id       integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  boq_id       integer NOT NULL REFERENCES public.boqs(id) ON DELETE CASCADE,
+  name         text    NOT NULL,
+  boq_item_id  integer REFERENCES public.boq_items(id) ON DELETE CASCADE,
+  stage_key    text,
+  bill_pct     numeric(5,2),
+  trigger_pct  numeric(5,2),
+  amount       numeric(18,2),
+  sort_order   integer NOT NULL DEFAULT 0,
+  created_by   integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at   timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at   timestamp with time zone NOT NULL DEFAULT now(),
+  -- The two kinds carry different figures; a row with both or neither would
+  -- have no single meaning.
+  CONSTRAINT boq_billing_milestones_shape_chk CHECK (
+       (boq_item_id IS NOT NULL AND stage_key IS NULL
+        AND bill_pct IS NOT NULL AND trigger_pct IS NOT NULL AND amount IS NULL)
+    OR (boq_item_id IS NULL AND stage_key IS NOT NULL
+        AND amount IS NOT NULL AND bill_pct IS NULL AND trigger_pct IS NULL)
+  ),
+  CONSTRAINT boq_billing_milestones_pct_chk CHECK (
+    (bill_pct IS NULL OR (bill_pct > 0 AND bill_pct <= 100))
+    AND (trigger_pct IS NULL OR (trigger_pct >= 0 AND trigger_pct <= 100))
+  ),
+  CONSTRAINT boq_billing_milestones_amount_chk CHECK (amount IS NULL OR amount >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_boq_billing_milestones_boq
+  ON public.boq_billing_milestones (boq_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS public.boq_claims (
+  id                 serial PRIMARY KEY,
+  org_id             integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  boq_id             integer NOT NULL REFERENCES public.boqs(id) ON DELETE CASCADE,
+  claim_no           integer NOT NULL,
+  period_start       date    NOT NULL,
+  period_end         date    NOT NULL,
+  status             text    NOT NULL DEFAULT 'issued',
+  currency           text    NOT NULL,
+  retention_pct      numeric(5,2)  NOT NULL,
+  -- Cumulative to period_end.
+  gross_to_date      numeric(18,2) NOT NULL,
+  retention_to_date  numeric(18,2) NOT NULL,
+  released_to_date   numeric(18,2) NOT NULL DEFAULT 0,
+  net_to_date        numeric(18,2) NOT NULL,
+  -- net_to_date of the claim before this one, so amount_due is checkable
+  -- from this row alone.
+  previous_net       numeric(18,2) NOT NULL DEFAULT 0,
+  amount_due         numeric(18,2) NOT NULL,
+  lines              jsonb   NOT NULL DEFAULT '[]'::jsonb,
+  notes              text,
+  issued_by          integer REFERENCES public.users(id) ON DELETE SET NULL,
+  issued_at          timestamp with time zone NOT NULL DEFAULT now(),
+  voided_by          integer REFERENCES public.users(id) ON DELETE SET NULL,
+  voided_at          timestamp with time zone,
+  void_reason        text,
+  CONSTRAINT boq_claims_status_chk CHECK (status IN ('issued', 'void')),
+  CONSTRAINT boq_claims_period_chk CHECK (period_end >= period_start),
+  CONSTRAINT boq_claims_void_shape_chk CHECK (status <> 'void' OR voided_at IS NOT NULL),
+  -- Claim numbers are never reused, including after a void: the client may
+  -- already hold the voided document.
+  CONSTRAINT uq_boq_claims_no UNIQUE (boq_id, claim_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_boq_claims_boq ON public.boq_claims (boq_id, claim_no DESC);
+
+COMMENT ON TABLE public.boq_claims IS
+  'Issued progress claims. Figures and lines are snapshots at issue; later ledger changes flow into the next claim.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.boq_claims;
+--   DROP TABLE IF EXISTS public.boq_billing_milestones;
+--   ALTER TABLE public.boqs DROP CONSTRAINT IF EXISTS boqs_retention_chk;
+--   ALTER TABLE public.boqs DROP COLUMN IF EXISTS retention_pct;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
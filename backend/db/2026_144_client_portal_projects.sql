@@ -0,0 +1,115 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_144_client_portal_projects.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_144_client_portal_projects.sql
+--
+-- Project status in the client portal (services/clientPortalProjects.service.js).
+--
+-- WHY THIS EXISTS
+--   The portal showed a client their pipeline and support cases but nothing
+--   about the project being delivered to them, so status went out by email and
+--   the client's replies came back the same way — outside the plan, and
+--   invisible to whoever picked the project up next. Four things were missing:
+--
+--   project_play_instances.client_action
+--     The task is the CLIENT's to do: provide site access, approve a design,
+--     upload a drawing. Owner fields cannot say this — owner_user_id is a
+--     user of this org, and a client contact is not one. Only flagged tasks are
+--     listed to the client as theirs; everything else shows as progress.
+--
+--   play_notes.author_portal_user_id
+--     A comment from the portal is an ordinary note on the task, so the
+--     delivery team reads it in the thread they already use. author_id stays
+--     NULL for these rows; this says who wrote it. Portal notes are never
+--     internal — the client wrote them, there is nobody to hide them from.
+--
+--   portal_evidence_submissions
+--     A file the client uploaded against a task. NOT play_evidence: evidence
+--     is something the delivery team ACCEPTED (accepted_by is a user and the
+--     row is immutable), and a client upload has not been accepted by anyone
+--     yet. Accepting a submission writes the play_evidence row and records it
+--     here; rejecting keeps the reason so the client can see what to resend.
+--     The bytes go to the org's Drive/OneDrive like every other project file.
+--
+--   project_stage_signoffs
+--     The client's decision on a finished stage: approved, or changes
+--     requested with a comment. Append-only history — a later decision is a
+--     new row, and the latest row per stage is the current position.
+--
+-- NUMBERING: 143 = BoQ billing. This is 144.
+--   psql "$DATABASE_URL" -f 2026_144_client_portal_projects.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.project_play_instances
+  ADD COLUMN IF NOT EXISTS client_action boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.play_notes
+  ADD COLUMN IF NOT EXISTS author_portal_user_id integer
+    REFERENCES public.client_portal_users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.portal_evidence_submissions (
+  id                        serial PRIMARY KEY,
+  org_id                    integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  handover_id               integer NOT NULL REFERENCES public.sales_handovers(id) ON DELETE CASCADE,
+  project_play_instance_id  integer NOT NULL REFERENCES public.project_play_instances(id) ON DELETE CASCADE,
+  portal_user_id            integer REFERENCES public.client_portal_users(id) ON DELETE SET NULL,
+  storage_file_id           integer REFERENCES public.storage_files(id) ON DELETE SET NULL,
+  -- Snapshot, so the row still says what was sent if the file is later moved
+  -- or removed from Drive.
+  file_name                 text    NOT NULL,
+  mime_type                 text,
+  file_size                 bigint,
+  note                      text,
+  status                    text    NOT NULL DEFAULT 'pending',
+  evidence_id               integer REFERENCES public.play_evidence(id) ON DELETE SET NULL,
+  reviewed_by               integer REFERENCES public.users(id) ON DELETE SET NULL,
+  reviewed_at               timestamp with time zone,
+  review_note               text,
+  created_at                timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT portal_evidence_submissions_status_chk
+    CHECK (status IN ('pending', 'accepted', 'rejected')),
+  CONSTRAINT portal_evidence_submissions_review_chk
+    CHECK (status = 'pending' OR reviewed_at IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portal_evidence_submissions_handover
+  ON public.portal_evidence_submissions (handover_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_portal_evidence_submissions_play
+  ON public.portal_evidence_submissions (project_play_instance_id);
+
+CREATE TABLE IF NOT EXISTS public.project_stage_signoffs (
+  id              serial PRIMARY KEY,
+  org_id          integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  handover_id     integer NOT NULL REFERENCES public.sales_handovers(id) ON DELETE CASCADE,
+  stage_key       text    NOT NULL,
+  portal_user_id  integer REFERENCES public.client_portal_users(id) ON DELETE SET NULL,
+  decision        text    NOT NULL,
+  comment         text,
+  created_at      timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT project_stage_signoffs_decision_chk
+    CHECK (decision IN ('approved', 'changes_requested')),
+  -- "Changes requested" with nothing to act on is not a decision.
+  CONSTRAINT project_stage_signoffs_comment_chk
+    CHECK (decision = 'approved' OR length(btrim(coalesce(comment, ''))) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_stage_signoffs_stage
+  ON public.project_stage_signoffs (handover_id, stage_key, created_at DESC);
+
+COMMENT ON TABLE public.project_stage_signoffs IS
+  'Client stage decisions from the portal. Append-only; the latest row per stage is current.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.project_stage_signoffs;
+--   DROP TABLE IF EXISTS public.portal_evidence_submissions;
+--   ALTER TABLE public.play_notes DROP COLUMN IF EXISTS author_portal_user_id;
+--   ALTER TABLE public.project_play_instances DROP COLUMN IF EXISTS client_action;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
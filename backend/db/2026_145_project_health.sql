@@ -0,0 +1,88 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_145_project_health.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_145_project_health.sql
+--
+-- Scored project health (services/handoverHealthService.js → scoreProject).
+--
+-- WHY THIS EXISTS
+--   Project health was computed on every read from handover_deliverable_rollup
+--   by threshold rules: red / yellow / green, nothing in between, nothing kept.
+--   "Is this project getting worse?" had no answer, and a project that slid
+--   from barely-green to barely-red overnight looked the same as one that had
+--   been red for a month. Deals have had a persisted score since
+--   dealHealthService; projects now get the same shape:
+--
+--   sales_handovers.health_*
+--     The latest score (0–100), its status and the per-component breakdown
+--     that explains it — schedule slip, overdue gates, open commitments,
+--     client engagement, cost variance. Written by the nightly sweep and by
+--     an explicit recompute. Mirrors deals.health_score / _breakdown /
+--     _updated_at so both read the same way.
+--
+--   project_health_snapshots
+--     One row per project per day. The trend line, and what the portfolio
+--     view compares against to say "dropped 20 points this week" or "turned
+--     red". A same-day recompute overwrites that day's row rather than adding
+--     another, so the history stays one point per day.
+--
+-- health_status uses the portfolio vocabulary (green / yellow / red), not
+-- red/amber/green spelled out — the rollup, the R/Y/G rules and the UI already
+-- say yellow.
+--
+-- NUMBERING: 144 = client portal projects. This is 145.
+--   psql "$DATABASE_URL" -f 2026_145_project_health.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+ALTER TABLE public.sales_handovers
+  ADD COLUMN IF NOT EXISTS health_score      smallint,
+  ADD COLUMN IF NOT EXISTS health_status     text,
+  ADD COLUMN IF NOT EXISTS health_breakdown  jsonb,
+  ADD COLUMN IF NOT EXISTS health_scored_at  timestamp with time zone;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'sales_handovers_health_status_chk') THEN
+    ALTER TABLE public.sales_handovers
+      ADD CONSTRAINT sales_handovers_health_status_chk
+      CHECK (health_status IS NULL OR health_status IN ('green', 'yellow', 'red'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.project_health_snapshots (
+  id             serial PRIMARY KEY,
+  org_id         integer  NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  handover_id    integer  NOT NULL REFERENCES public.sales_handovers(id) ON DELETE CASCADE,
+  snapshot_date  date     NOT NULL DEFAULT CURRENT_DATE,
+  score          smallint NOT NULL,
+  status         text     NOT NULL,
+  breakdown      jsonb,
+  created_at     timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT project_health_snapshots_score_chk  CHECK (score BETWEEN 0 AND 100),
+  CONSTRAINT project_health_snapshots_status_chk CHECK (status IN ('green', 'yellow', 'red')),
+  CONSTRAINT project_health_snapshots_day_uq     UNIQUE (handover_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_health_snapshots_org_date
+  ON public.project_health_snapshots (org_id, snapshot_date);
+
+COMMENT ON TABLE public.project_health_snapshots IS
+  'Daily project health score history. One row per project per day; a same-day recompute overwrites it.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.project_health_snapshots;
+--   ALTER TABLE public.sales_handovers
+--     DROP CONSTRAINT IF EXISTS sales_handovers_health_status_chk,
+--     DROP COLUMN IF EXISTS health_scored_at,
+--     DROP COLUMN IF EXISTS health_breakdown,
+--     DROP COLUMN IF EXISTS health_status,
+--     DROP COLUMN IF EXISTS health_score;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
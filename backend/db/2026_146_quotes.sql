@@ -0,0 +1,198 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_146_quotes.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_146_quotes.sql
+--
+-- Quotes built from the product catalog (services/quote.service.js,
+-- routes/quotes.routes.js). Replaces /api/proposals.
+--
+-- WHY THIS EXISTS
+--   A "proposal" was one flat row — tier name, user count, annual value,
+--   discount — typed in by hand with no link to the catalog or to the deal's
+--   line items, so the number on the proposal and the number on the deal
+--   drifted apart the moment either was edited. What a quote needs:
+--
+--   price_books / price_book_entries / price_book_tiers
+--     What a product costs for a given segment (SMB, enterprise, public
+--     sector …). A product with no entry in the quote's book falls back to
+--     its catalog list_price. An entry is one of:
+--       flat    — unit_price per unit, whatever the quantity
+--       volume  — the whole quantity at the rate of the band it lands in
+--       tiered  — graduated: units 1–10 at one rate, 11–50 at the next …
+--     Bands are rows in price_book_tiers keyed by the quantity they START at;
+--     the band starting at 1 (or the lowest) covers everything below it too.
+--     The book also carries the tax rate applied to is_taxable products, so a
+--     regional book brings its own rate.
+--
+--   accounts.pricing_segment
+--     Which book a new quote for this account starts from. Free text matched
+--     against price_books.segment; no match (or NULL) = the org's default
+--     book.
+--
+--   quotes / quote_lines
+--     Versioned per deal: v1, v2 … each a full copy, never edited once sent.
+--     Lines are copied from the deal's line items when the quote is created
+--     and repriced from the book; prices are stored on the line so a later
+--     price-book change does not rewrite a quote the customer already has.
+--     quote_lines.ramp is the per-year schedule of a recurring line on a
+--     multi-year quote — [{ year, quantity, discountPct }] — NULL = the same
+--     every year. Totals are stored on the quote for listing; the line-level
+--     maths is in quote.service.priceQuote.
+--     Accepting a quote replaces the deal's line items with the quote's (one
+--     per year for recurring lines) and re-syncs deals.value from them — the
+--     same sum POST /products/deals/:id/items/sync-value has always taken.
+--     At most one accepted quote per deal; the others become 'superseded'.
+--
+--   proposals is left in place, unread. Nothing in the app wrote it except
+--   the route this replaces.
+--
+-- NUMBERING: 145 = project health. This is 146.
+--   psql "$DATABASE_URL" -f 2026_146_quotes.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Price books ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.price_books (
+  id          serial PRIMARY KEY,
+  org_id      integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  name        varchar(120) NOT NULL,
+  segment     varchar(60),
+  description text,
+  -- NULL = the org's corporate currency, as on product_catalog.
+  currency    character(3),
+  tax_rate    numeric(6,3) NOT NULL DEFAULT 0,
+  is_default  boolean NOT NULL DEFAULT false,
+  is_active   boolean NOT NULL DEFAULT true,
+  created_at  timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at  timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT price_books_currency_check CHECK (currency IS NULL OR currency ~ '^[A-Z]{3}$'),
+  CONSTRAINT price_books_tax_rate_check CHECK (tax_rate >= 0 AND tax_rate <= 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_price_books_org_name
+  ON public.price_books (org_id, lower(name));
+CREATE UNIQUE INDEX IF NOT EXISTS uq_price_books_org_default
+  ON public.price_books (org_id) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS public.price_book_entries (
+  id             serial PRIMARY KEY,
+  org_id         integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  price_book_id  integer NOT NULL REFERENCES public.price_books(id) ON DELETE CASCADE,
+  product_id     integer NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+  pricing_model  varchar(10) NOT NULL DEFAULT 'flat',
+  -- The flat price. Volume and tiered entries price from their bands.
+  unit_price     numeric(14,2) NOT NULL DEFAULT 0,
+  created_at     timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at     timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT price_book_entries_model_check CHECK (pricing_model IN ('flat', 'volume', 'tiered')),
+  CONSTRAINT price_book_entries_price_check CHECK (unit_price >= 0),
+  CONSTRAINT price_book_entries_uq UNIQUE (price_book_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.price_book_tiers (
+  id            serial PRIMARY KEY,
+  entry_id      integer NOT NULL REFERENCES public.price_book_entries(id) ON DELETE CASCADE,
+  min_quantity  numeric(12,2) NOT NULL,
+  unit_price    numeric(14,2) NOT NULL,
+  CONSTRAINT price_book_tiers_check CHECK (min_quantity > 0 AND unit_price >= 0),
+  CONSTRAINT price_book_tiers_uq UNIQUE (entry_id, min_quantity)
+);
+
+ALTER TABLE public.accounts
+  ADD COLUMN IF NOT EXISTS pricing_segment varchar(60);
+
+COMMENT ON COLUMN public.accounts.pricing_segment IS
+  'Matched against price_books.segment to pick the book a new quote starts from. NULL = org default book.';
+
+-- ── Quotes ───────────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.quotes (
+  id              serial PRIMARY KEY,
+  org_id          integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  deal_id         integer NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  version         integer NOT NULL,
+  status          varchar(20) NOT NULL DEFAULT 'draft',
+  price_book_id   integer REFERENCES public.price_books(id) ON DELETE SET NULL,
+  -- Always the deal's currency at creation (deal_products has no currency of
+  -- its own), stored so the quote stays readable if the deal's changes.
+  currency        character(3) NOT NULL,
+  term_months     integer NOT NULL DEFAULT 12,
+  start_date      date,
+  valid_until     date,
+  tax_rate        numeric(6,3) NOT NULL DEFAULT 0,
+  notes           text,
+  list_total      numeric(16,2) NOT NULL DEFAULT 0,
+  discount_total  numeric(16,2) NOT NULL DEFAULT 0,
+  net_total       numeric(16,2) NOT NULL DEFAULT 0,
+  tax_total       numeric(16,2) NOT NULL DEFAULT 0,
+  grand_total     numeric(16,2) NOT NULL DEFAULT 0,
+  created_by      integer REFERENCES public.users(id) ON DELETE SET NULL,
+  sent_at         timestamp with time zone,
+  sent_by         integer REFERENCES public.users(id) ON DELETE SET NULL,
+  decided_at      timestamp with time zone,
+  decided_by      integer REFERENCES public.users(id) ON DELETE SET NULL,
+  decision_note   text,
+  created_at      timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at      timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT quotes_status_check
+    CHECK (status IN ('draft', 'sent', 'accepted', 'rejected', 'superseded')),
+  CONSTRAINT quotes_term_check CHECK (term_months BETWEEN 1 AND 120),
+  CONSTRAINT quotes_tax_rate_check CHECK (tax_rate >= 0 AND tax_rate <= 100),
+  CONSTRAINT quotes_deal_version_uq UNIQUE (deal_id, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_quotes_one_accepted
+  ON public.quotes (deal_id) WHERE status = 'accepted';
+CREATE INDEX IF NOT EXISTS idx_quotes_org_status
+  ON public.quotes (org_id, status, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.quote_lines (
+  id                   serial PRIMARY KEY,
+  org_id               integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  quote_id             integer NOT NULL REFERENCES public.quotes(id) ON DELETE CASCADE,
+  product_id           integer REFERENCES public.product_catalog(id) ON DELETE SET NULL,
+  product_name         varchar(200) NOT NULL,
+  group_path           text,
+  revenue_type         varchar(20) NOT NULL DEFAULT 'one_time',
+  billing_frequency    varchar(20),
+  is_taxable           boolean NOT NULL DEFAULT false,
+  pricing_model        varchar(10) NOT NULL DEFAULT 'flat',
+  quantity             numeric(12,2) NOT NULL DEFAULT 1,
+  -- Per unit per billing period, as priced from the book for `quantity`.
+  list_unit_price      numeric(14,2) NOT NULL DEFAULT 0,
+  -- Rep-entered price; replaces the book price when set. Custom lines (no
+  -- product) always carry one.
+  unit_price_override  numeric(14,2),
+  discount_pct         numeric(5,2) NOT NULL DEFAULT 0,
+  ramp                 jsonb,
+  -- Snapshot of the book pricing used, so a sent quote re-renders identically.
+  price_source         jsonb,
+  list_amount          numeric(16,2) NOT NULL DEFAULT 0,
+  net_amount           numeric(16,2) NOT NULL DEFAULT 0,
+  sort_order           integer NOT NULL DEFAULT 0,
+  CONSTRAINT quote_lines_revenue_type_check CHECK (revenue_type IN ('one_time', 'recurring')),
+  CONSTRAINT quote_lines_discount_check CHECK (discount_pct >= 0 AND discount_pct <= 100),
+  CONSTRAINT quote_lines_quantity_check CHECK (quantity >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_lines_quote
+  ON public.quote_lines (quote_id, sort_order);
+
+COMMENT ON TABLE public.proposals IS
+  'Superseded by quotes (2026_146). No longer read or written.';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.quote_lines;
+--   DROP TABLE IF EXISTS public.quotes;
+--   ALTER TABLE public.accounts DROP COLUMN IF EXISTS pricing_segment;
+--   DROP TABLE IF EXISTS public.price_book_tiers;
+--   DROP TABLE IF EXISTS public.price_book_entries;
+--   DROP TABLE IF EXISTS public.price_books;
+--   COMMENT ON TABLE public.proposals IS NULL;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
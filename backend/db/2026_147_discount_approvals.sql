@@ -0,0 +1,126 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_147_discount_approvals.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_147_discount_approvals.sql
+--
+-- Discount approval on quotes and deal line items
+-- (services/discountApproval.service.js).
+--
+-- WHY THIS EXISTS
+--   A rep could put any discount_pct on a deal line item or a quote line and
+--   send it. Contracts have had a threshold-driven internal approval chain
+--   (contract_approval_config / contract_approvals) for a long time; discounts
+--   get the same shape:
+--
+--   discount_bands
+--     Per product group (NULL = every product no band is closer to, and
+--     custom lines). A group inherits the nearest band up its parent chain.
+--       ≤ rep_max_pct       no approval
+--       ≤ manager_max_pct   the deal owner's manager (org_hierarchy)
+--       above that          manager, then finance (teams.dimension='finance')
+--       > ceiling_pct       nobody — the line cannot be saved. NULL = no cap.
+--     No band configured at all = no approval, as before this migration.
+--
+--   quotes.approval_*
+--     What the current draft needs ('not_required' / 'required') and where
+--     its request stands ('pending' / 'approved' / 'rejected'). A draft that
+--     needs approval cannot be sent until it is approved. approval_basis is
+--     the level, per-line discounts and net total the request was made on; an
+--     edit that changes any of them withdraws the request.
+--
+--   quote_approvals
+--     One row per approver per step, like contract_approvals. Step 1 is the
+--     manager, step 2 finance; the first approver at a step to decide decides
+--     for the step, and a step only opens once the one before it is approved.
+--
+--   The trail is also written to deal_activities (discount_approval_*), so it
+--   shows on the deal whether or not anyone opens the quote.
+--
+--   Deal line items are not quoted documents, so they get a guardrail rather
+--   than a workflow: a discount above the rep limit is refused there and the
+--   rep is pointed at a quote. Lines an approved quote writes on acceptance
+--   are not checked again.
+--
+-- NUMBERING: 146 = quotes. This is 147.
+--   psql "$DATABASE_URL" -f 2026_147_discount_approvals.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.discount_bands (
+  id               serial PRIMARY KEY,
+  org_id           integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  group_id         integer REFERENCES public.product_groups(id) ON DELETE CASCADE,
+  rep_max_pct      numeric(5,2) NOT NULL DEFAULT 0,
+  manager_max_pct  numeric(5,2) NOT NULL,
+  ceiling_pct      numeric(5,2),
+  created_at       timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at       timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT discount_bands_order_check
+    CHECK (rep_max_pct >= 0 AND rep_max_pct <= manager_max_pct AND manager_max_pct <= 100),
+  CONSTRAINT discount_bands_ceiling_check
+    CHECK (ceiling_pct IS NULL OR (ceiling_pct >= manager_max_pct AND ceiling_pct <= 100))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_discount_bands_org_group
+  ON public.discount_bands (org_id, COALESCE(group_id, 0));
+
+ALTER TABLE public.quotes
+  ADD COLUMN IF NOT EXISTS approval_status        varchar(20) NOT NULL DEFAULT 'not_required',
+  ADD COLUMN IF NOT EXISTS approval_level         varchar(10),
+  ADD COLUMN IF NOT EXISTS approval_basis         jsonb,
+  ADD COLUMN IF NOT EXISTS approval_requested_by  integer REFERENCES public.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS approval_requested_at  timestamp with time zone;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'quotes_approval_status_check') THEN
+    ALTER TABLE public.quotes
+      ADD CONSTRAINT quotes_approval_status_check
+      CHECK (approval_status IN ('not_required', 'required', 'pending', 'approved', 'rejected'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'quotes_approval_level_check') THEN
+    ALTER TABLE public.quotes
+      ADD CONSTRAINT quotes_approval_level_check
+      CHECK (approval_level IS NULL OR approval_level IN ('manager', 'finance'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.quote_approvals (
+  id                serial PRIMARY KEY,
+  org_id            integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  quote_id          integer NOT NULL REFERENCES public.quotes(id) ON DELETE CASCADE,
+  step_order        smallint NOT NULL,
+  approver_role     varchar(20) NOT NULL,
+  approver_user_id  integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  status            varchar(20) NOT NULL DEFAULT 'pending',
+  decision_note     text,
+  decided_at        timestamp with time zone,
+  created_at        timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT quote_approvals_role_check   CHECK (approver_role IN ('manager', 'finance')),
+  CONSTRAINT quote_approvals_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_approvals_quote
+  ON public.quote_approvals (quote_id, step_order);
+CREATE INDEX IF NOT EXISTS idx_quote_approvals_pending
+  ON public.quote_approvals (org_id, approver_user_id) WHERE status = 'pending';
+
+COMMIT;
+
+-- ─────────────────────────────────────────────────────────────────────────────
+-- ROLLBACK:
+--   BEGIN;
+--   DROP TABLE IF EXISTS public.quote_approvals;
+--   ALTER TABLE public.quotes
+--     DROP CONSTRAINT IF EXISTS quotes_approval_level_check,
+--     DROP CONSTRAINT IF EXISTS quotes_approval_status_check,
+--     DROP COLUMN IF EXISTS approval_requested_at,
+--     DROP COLUMN IF EXISTS approval_requested_by,
+--     DROP COLUMN IF EXISTS approval_basis,
+--     DROP COLUMN IF EXISTS approval_level,
+--     DROP COLUMN IF EXISTS approval_status;
+--   DROP TABLE IF EXISTS public.discount_bands;
+--   COMMIT;
+-- ─────────────────────────────────────────────────────────────────────────────
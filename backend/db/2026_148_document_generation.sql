@@ -0,0 +1,97 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_148_document_generation.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_148_document_generation.sql
+--
+-- Branded PDFs for quotes and contracts, rendered on the server
+-- (services/documentGeneration.service.js, routes/documents.routes.js).
+--
+-- WHY THIS EXISTS
+--   contract_templates only pointed at a file someone uploaded, so every
+--   customer-ready document was a rep filling in a Word file by hand. Two
+--   additions:
+--
+--   contract_templates.body
+--     The template text with merge fields — {{account.name}},
+--     {{deal.value}}, {{contact.full_name}} … — plus {{line_items}} and
+--     {{signatures}} blocks. A template can now have a body, a file, or both;
+--     only templates with a body can be generated from.
+--
+--   generated_documents
+--     Every PDF we render, as bytes. access_token is the credential on the
+--     public download URL (same trust model as shared baseline reports): it
+--     is what goes into contract_document_versions.document_url, so an
+--     e-signature provider can fetch the file without a session.
+--     merge_data is the values the document was rendered with, kept so
+--     "what did we send them" has an answer after the deal has moved on.
+--
+--   Org branding (logo, colours, footer) lives in organizations.settings
+--   under 'document_branding' — no column needed.
+--
+-- NUMBERING: 147 = discount approvals. This is 148.
+--   psql "$DATABASE_URL" -f 2026_148_document_generation.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Template bodies ──────────────────────────────────────────────────────────
+ALTER TABLE public.contract_templates
+  ADD COLUMN IF NOT EXISTS body text;
+
+ALTER TABLE public.contract_templates ALTER COLUMN file_url  DROP NOT NULL;
+ALTER TABLE public.contract_templates ALTER COLUMN file_name DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'contract_templates_content_check') THEN
+    ALTER TABLE public.contract_templates
+      ADD CONSTRAINT contract_templates_content_check
+      CHECK (file_url IS NOT NULL OR body IS NOT NULL);
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.contract_templates.body IS
+  'Merge-field template text rendered to PDF by documentGeneration.service. NULL = file-only template.';
+
+-- ── Generated documents ──────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.generated_documents (
+  id                   serial PRIMARY KEY,
+  org_id               integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  source_type          varchar(20) NOT NULL,
+  deal_id              integer REFERENCES public.deals(id) ON DELETE SET NULL,
+  quote_id             integer REFERENCES public.quotes(id) ON DELETE SET NULL,
+  contract_id          integer REFERENCES public.contracts(id) ON DELETE SET NULL,
+  template_id          integer REFERENCES public.contract_templates(id) ON DELETE SET NULL,
+  -- Set when the PDF was filed as a contract document version.
+  contract_version_id  integer REFERENCES public.contract_document_versions(id) ON DELETE SET NULL,
+  title                text NOT NULL,
+  file_name            text NOT NULL,
+  byte_size            integer NOT NULL,
+  content              bytea NOT NULL,
+  access_token         varchar(64) NOT NULL,
+  merge_data           jsonb NOT NULL DEFAULT '{}'::jsonb,
+  generated_by         integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at           timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT generated_documents_source_check CHECK (source_type IN ('quote', 'contract')),
+  CONSTRAINT generated_documents_token_uq UNIQUE (access_token)
+);
+
+CREATE INDEX IF NOT EXISTS idx_generated_documents_quote
+  ON public.generated_documents (quote_id, created_at DESC) WHERE quote_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_generated_documents_contract
+  ON public.generated_documents (contract_id, created_at DESC) WHERE contract_id IS NOT NULL;
+
+COMMIT;
+
+-- ── ROLLBACK ─────────────────────────────────────────────────────────────────
+-- BEGIN;
+-- DROP TABLE IF EXISTS public.generated_documents;
+-- ALTER TABLE public.contract_templates DROP CONSTRAINT IF EXISTS contract_templates_content_check;
+-- DELETE FROM public.contract_templates WHERE file_url IS NULL;   -- body-only templates
+-- ALTER TABLE public.contract_templates ALTER COLUMN file_url  SET NOT NULL;
+-- UPDATE public.contract_templates SET file_name = '' WHERE file_name IS NULL;
+-- ALTER TABLE public.contract_templates ALTER COLUMN file_name SET NOT NULL;
+-- ALTER TABLE public.contract_templates DROP COLUMN IF EXISTS body;
+-- UPDATE public.organizations SET settings = settings - 'document_branding';
+-- COMMIT;
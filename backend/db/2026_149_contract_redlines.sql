@@ -0,0 +1,116 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_149_contract_redlines.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_149_contract_redlines.sql
+--
+-- Redline comparison between contract document versions, and a clause
+-- library the incoming versions are checked against
+-- (services/contractRedline.service.js, services/documents/textDiff.js).
+--
+-- WHY THIS EXISTS
+--   A version is a link to a file, so legal could see THAT the customer sent
+--   new redlines but not WHAT changed, and "is this our standard liability
+--   cap?" was answered from memory. Three pieces:
+--
+--   contract_version_texts
+--     The plain text of each version, extracted from the file after upload
+--     (Drive / OneDrive through the uploader's connection, our own generated
+--     PDFs, or any public link). One row per version; status says whether it
+--     worked. When a file cannot be read, someone pastes the text and the row
+--     is marked 'manual'. Kept out of contract_document_versions so loading a
+--     contract does not drag every version's full text along.
+--
+--   contract_clauses + contract_clause_variants
+--     The library. A clause is a topic ("Limitation of liability") with the
+--     phrases that locate it in a document; its variants are the wordings
+--     legal has taken a position on:
+--       approved   — our standard; no review needed
+--       fallback   — acceptable if the customer pushes back; worth a look
+--       forbidden  — never sign this
+--     Contract types narrow a clause to, say, MSAs (empty = every type).
+--     is_required flags a clause whose absence is itself a problem.
+--
+--   contract_document_versions.clause_flags
+--     The result of checking a version's text against the library — one entry
+--     per clause found (or required and missing) with the closest variant and
+--     how close it is. Anything forbidden, non-standard or missing is a flag;
+--     legal is notified when an uploaded version raises one.
+--
+-- NUMBERING: 148 = document generation. This is 149.
+--   psql "$DATABASE_URL" -f 2026_149_contract_redlines.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Extracted text ───────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.contract_version_texts (
+  version_id     integer PRIMARY KEY REFERENCES public.contract_document_versions(id) ON DELETE CASCADE,
+  org_id         integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  status         varchar(20) NOT NULL DEFAULT 'pending',
+  source         varchar(30),             -- googledrive | onedrive | generated | url | manual
+  content        text,
+  char_count     integer,
+  error          text,
+  extracted_by   integer REFERENCES public.users(id) ON DELETE SET NULL,
+  extracted_at   timestamp with time zone,
+  updated_at     timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT contract_version_texts_status_check
+    CHECK (status IN ('pending', 'extracted', 'manual', 'failed'))
+);
+
+-- ── Clause check result on the version ───────────────────────────────────────
+ALTER TABLE public.contract_document_versions
+  ADD COLUMN IF NOT EXISTS clause_flags      jsonb,
+  ADD COLUMN IF NOT EXISTS clause_checked_at timestamp with time zone;
+
+COMMENT ON COLUMN public.contract_document_versions.clause_flags IS
+  'Clause library check of this version''s text (2026_149): [{ clauseId, clause, status, variantId, similarity, paragraph, excerpt }]. NULL = not checked.';
+
+-- ── Clause library ───────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.contract_clauses (
+  id              serial PRIMARY KEY,
+  org_id          integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  name            text NOT NULL,
+  guidance        text,
+  contract_types  text[] NOT NULL DEFAULT '{}',
+  match_terms     text[] NOT NULL DEFAULT '{}',
+  is_required     boolean NOT NULL DEFAULT false,
+  is_active       boolean NOT NULL DEFAULT true,
+  sort_order      integer NOT NULL DEFAULT 0,
+  created_by      integer REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at      timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at      timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_clauses_org
+  ON public.contract_clauses (org_id, sort_order) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS public.contract_clause_variants (
+  id          serial PRIMARY KEY,
+  clause_id   integer NOT NULL REFERENCES public.contract_clauses(id) ON DELETE CASCADE,
+  org_id      integer NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  position    varchar(20) NOT NULL,
+  label       text,
+  body        text NOT NULL,
+  notes       text,
+  sort_order  integer NOT NULL DEFAULT 0,
+  created_at  timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT contract_clause_variants_position_check
+    CHECK (position IN ('approved', 'fallback', 'forbidden'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_clause_variants_clause
+  ON public.contract_clause_variants (clause_id, sort_order);
+
+COMMIT;
+
+-- ── ROLLBACK ─────────────────────────────────────────────────────────────────
+-- BEGIN;
+-- DROP TABLE IF EXISTS public.contract_clause_variants;
+-- DROP TABLE IF EXISTS public.contract_clauses;
+-- DROP TABLE IF EXISTS public.contract_version_texts;
+-- ALTER TABLE public.contract_document_versions
+--   DROP COLUMN IF EXISTS clause_flags,
+--   DROP COLUMN IF EXISTS clause_checked_at;
+-- COMMIT;
@@ -0,0 +1,112 @@
+-- ─────────────────────────────────────────────────────────────────────────────
+-- 2026_150_contract_renewals.sql
+--
+-- DROP-IN LOCATION: backend/db/2026_150_contract_renewals.sql
+--
+-- Renewal pipeline for contracts (services/contractRenewal.service.js).
+--
+-- WHY THIS EXISTS
+--   Contracts carry expiry_date / agreement_end_date and the hourly cron
+--   flips active → expired, but nothing acted on an upcoming expiry: renewal
+--   deals were created by hand (or not at all), auto-renewing contracts were
+--   "expired" like any other, and nobody tracked the date by which the
+--   customer could still walk away.
+--
+--   contracts — renewal terms
+--     auto_renew            the contract rolls into a new term on its end date
+--                           unless notice of non-renewal has been given
+--     renewal_term_months   length of that new term (NULL = 12)
+--     notice_period_days    days before the end date by which notice must be
+--                           given. With auto_renew this is the customer's
+--                           last day to cancel; without it, the date we must
+--                           have the renewal agreed by
+--     non_renewal_notice_at the date notice was given — stops the auto-renew
+--                           and marks the renewal at risk
+--
+--   contracts — renewal tracking (written by the daily sweep)
+--     renewal_deal_id       the renewal deal for the current term. Cleared
+--                           when an auto-renew rolls the term, so the next
+--                           term gets its own deal
+--     renewal_notices_sent  which owner notices have gone out this term
+--                           ('opened', 'notice_30', 'notice_7') — the sweep
+--                           is safe to run any number of times a day
+--
+--   deals.renewal_of_contract_id
+--     Marks a deal as the renewal of a contract. Several deals can point at
+--     one auto-renewing contract over the years.
+--
+--   contract_workflow_config — org settings
+--     renewal_deals_enabled   the sweep creates renewal deals at all
+--     renewal_lead_days       how far ahead of the end date (default 90)
+--     renewal_contract_types  which contract types renew — NDAs and
+--                             amendments are left out by default
+--
+-- NUMBERING: 149 = contract redlines. This is 150.
+--   psql "$DATABASE_URL" -f 2026_150_contract_renewals.sql
+-- Safe to run more than once.
+-- ─────────────────────────────────────────────────────────────────────────────
+
+BEGIN;
+
+-- ── Renewal terms + tracking on the contract ─────────────────────────────────
+ALTER TABLE public.contracts
+  ADD COLUMN IF NOT EXISTS auto_renew            boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS renewal_term_months   integer,
+  ADD COLUMN IF NOT EXISTS notice_period_days    integer,
+  ADD COLUMN IF NOT EXISTS non_renewal_notice_at date,
+  ADD COLUMN IF NOT EXISTS renewal_deal_id       integer REFERENCES public.deals(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS renewal_notices_sent  text[] NOT NULL DEFAULT '{}';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'contracts_renewal_terms_chk') THEN
+    ALTER TABLE public.contracts
+      ADD CONSTRAINT contracts_renewal_terms_chk
+      CHECK ((renewal_term_months IS NULL OR renewal_term_months BETWEEN 1 AND 120)
+         AND (notice_period_days  IS NULL OR notice_period_days  BETWEEN 0 AND 730));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.contracts.auto_renew IS
+  'Rolls into a new term of renewal_term_months on its end date unless non_renewal_notice_at is set (2026_150).';
+COMMENT ON COLUMN public.contracts.renewal_deal_id IS
+  'Renewal deal for the current term, created by the renewal sweep or by hand (2026_150).';
+
+-- The sweep's working set: live contracts with an end date.
+CREATE INDEX IF NOT EXISTS idx_contracts_renewal_due
+  ON public.contracts (org_id, (COALESCE(expiry_date, agreement_end_date)))
+  WHERE status IN ('signed', 'active') AND deleted_at IS NULL;
+
+-- ── Renewal deals ────────────────────────────────────────────────────────────
+ALTER TABLE public.deals
+  ADD COLUMN IF NOT EXISTS renewal_of_contract_id integer REFERENCES public.contracts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_deals_renewal_of_contract
+  ON public.deals (renewal_of_contract_id) WHERE renewal_of_contract_id IS NOT NULL;
+
+-- ── Org settings ─────────────────────────────────────────────────────────────
+ALTER TABLE public.contract_workflow_config
+  ADD COLUMN IF NOT EXISTS renewal_deals_enabled  boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS renewal_lead_days      integer NOT NULL DEFAULT 90,
+  ADD COLUMN IF NOT EXISTS renewal_contract_types text[]  NOT NULL DEFAULT '{msa,sow,order_form,custom}';
+
+COMMIT;
+
+-- ── ROLLBACK ─────────────────────────────────────────────────────────────────
+-- BEGIN;
+-- ALTER TABLE public.contract_workflow_config
+--   DROP COLUMN IF EXISTS renewal_deals_enabled,
+--   DROP COLUMN IF EXISTS renewal_lead_days,
+--   DROP COLUMN IF EXISTS renewal_contract_types;
+-- DROP INDEX IF EXISTS public.idx_deals_renewal_of_contract;
+-- ALTER TABLE public.deals DROP COLUMN IF EXISTS renewal_of_contract_id;
+-- DROP INDEX IF EXISTS public.idx_contracts_renewal_due;
+-- ALTER TABLE public.contracts
+--   DROP CONSTRAINT IF EXISTS contracts_renewal_terms_chk,
+--   DROP COLUMN IF EXISTS auto_renew,
+--   DROP COLUMN IF EXISTS renewal_term_months,
+--   DROP COLUMN IF EXISTS notice_period_days,
+--   DROP COLUMN IF EXISTS non_renewal_notice_at,
+--   DROP COLUMN IF EXISTS renewal_deal_id,
+--   DROP COLUMN IF EXISTS renewal_notices_sent;
+-- COMMIT;
@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// jobs/outboundWebhookJob.js
+//
+// Delivers outbound webhooks (services/outboundWebhook.service.js).
+//
+//   • enqueue(deliveryId) — called by emit() / redeliver() / sendTest(). One
+//                           Bull job per webhook_deliveries row; Bull owns the
+//                           retry schedule.
+//   • runSweep()          — re-queues rows still 'pending' long after their
+//                           last attempt: a Redis outage or a deploy mid-flight
+//                           drops jobs, and the row is the source of truth.
+//
+// RETRIES
+//   8 attempts, exponential from 30s: 30s, 1m, 2m, 4m, 8m, 16m, 32m — about an
+//   hour end to end, which rides out a receiver's deploy or a short outage.
+//   Only retryable outcomes throw (timeouts, network errors, 408/429/5xx).
+//   A 4xx is the receiver telling us no; sending it again changes nothing.
+//
+// Wiring: required from jobs/worker.js (processor + sweep).
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const Queue = require('bull');
+const cron  = require('node-cron');
+
+const webhooks = require('../services/outboundWebhook.service');
+
+const SCHEDULE = process.env.OUTBOUND_WEBHOOK_SWEEP_CRON || '*/10 * * * *';
+const ATTEMPTS = 8;
+
+const webhookQueue = new Queue('outbound-webhooks', process.env.REDIS_URL, {
+  defaultJobOptions: {
+    attempts: ATTEMPTS,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: 500,
+    removeOnFail:     200,
+  },
+});
+
+webhookQueue.process(async (job) => {
+  const { deliveryId } = job.data;
+  const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || ATTEMPTS);
+  const result = await webhooks.deliver(deliveryId, { finalAttempt });
+  if (result.retryable) throw new Error(result.reason || 'delivery failed');
+  return result;
+});
+
+webhookQueue.on('failed', (job, err) => {
+  console.warn(`[webhooks] delivery ${job.data?.deliveryId} attempt ${job.attemptsMade} failed: ${err.message}`);
+});
+
+/**
+ * Queue one delivery. Never throws — the row stays 'pending' and the sweep
+ * picks it up.
+ */
+async function enqueue(deliveryId) {
+  const jobId = `webhook-delivery-${deliveryId}`;
+  try {
+    // Same fixed-jobId dance as whatsappMediaJob: a finished job with this id
+    // would make add() a silent no-op, so clear it; leave a live one alone.
+    const existing = await webhookQueue.getJob(jobId);
+    if (existing) {
+      const state = await existing.getState();
+      if (['waiting', 'active', 'delayed'].includes(state)) return true;
+      await existing.remove();
+    }
+    await webhookQueue.add({ deliveryId }, { jobId });
+    return true;
+  } catch (err) {
+    console.warn(`[webhooks] could not enqueue delivery ${deliveryId}: ${err.message} — the sweep will retry`);
+    return false;
+  }
+}
+
+async function runSweep() {
+  try {
+    const stale = await webhooks.listStalePending(45);
+    if (!stale.length) return;
+    console.log(`[webhooks] re-queueing ${stale.length} stale delivery(ies)`);
+    for (const id of stale) await enqueue(id);
+  } catch (err) {
+    console.error('[webhooks] sweep failed:', err.message);
+  }
+}
+
+function startScheduler() {
+  cron.schedule(SCHEDULE, runSweep);
+  console.log(`🪝 Outbound webhook sweep started (cron: ${SCHEDULE})`);
+}
+
+module.exports = { webhookQueue, enqueue, runSweep, startScheduler };
@@ -53,6 +53,7 @@ const BounceDetectionService = require('../services/BounceDetectionService');
 const OutboundInsightEngine = require('../services/OutboundInsightEngine');                                 // Insights/WBR Phase 3
 const PostmasterHealthService = require('../services/PostmasterHealthService');                             // Insights/WBR Phase 6
 const sfSync            = require('../services/crm');                                                        // Phase 6 SF
+const ForecastService   = require('../services/forecast.service');
 
 
 
@@ -1123,6 +1124,18 @@ function startScheduler() {
     }
   }, { timezone: 'UTC' });
 
+  // ── Case SLA breach sweep — every 10 minutes ─────────────────────────────
+  // Flags open cases that went past their response/resolution due time with
+  // no activity, and fires the case.sla_breached outbound webhook for each.
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      const r = await SupportService.sweepBreaches();
+      if (r.flagged) console.log(`⏰ Case SLA breach sweep — checked: ${r.checked}, newly breached: ${r.flagged}`);
+    } catch (err) {
+      console.error('❌ Case SLA breach sweep error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
   // ── Handovers diagnostic sweep — nightly at 02:30 UTC ────────────────────
   // Runs HandoverRulesEngine for every non-draft handover in every active org.
   // Upserts Type A diagnostic alerts (no kickoff, overdue commitments, stalled,
@@ -1366,6 +1379,43 @@ function startScheduler() {
     }
   }, { timezone: 'UTC' });
 
+  // ── Pipedrive sync — nightly at 04:45 UTC ────────────────────────────────
+  // Same orchestrator as the SF sync, pipedrive adapter. Cursor is the last
+  // update_time seen, so only changed records are pulled after the first run.
+  // Staggered after the 04:30 write-back slot.
+  cron.schedule('45 4 * * *', async () => {
+    console.log('🌙 Running nightly Pipedrive sync...');
+    try {
+      const orgIds = await sfSync.getConnectedOrgs('pipedrive');
+      if (orgIds.length === 0) {
+        console.log('  ℹ️  No orgs with active Pipedrive connection — skipping');
+        return;
+      }
+      let totalAccounts = 0, totalContacts = 0, totalDeals = 0, totalErrors = 0;
+      for (const orgId of orgIds) {
+        try {
+          const r = await sfSync.runSyncForOrg(orgId, 'pipedrive');
+          totalAccounts += r.results.accounts?.upserted || 0;
+          totalContacts += r.results.contacts?.upserted || 0;
+          totalDeals    += r.results.deals?.upserted    || 0;
+          if (r.errors.length > 0) totalErrors += r.errors.length;
+        } catch (err) {
+          console.error(`❌ Pipedrive sync error for org ${orgId}:`, err.message);
+          totalErrors++;
+        }
+        // Pipedrive rate limits are per company token; a short gap is enough
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      console.log(
+        `✅ Pipedrive sync done — orgs: ${orgIds.length}, ` +
+        `accounts: ${totalAccounts}, contacts: ${totalContacts}, ` +
+        `deals: ${totalDeals}, errors: ${totalErrors}`
+      );
+    } catch (err) {
+      console.error('❌ Pipedrive sync cron error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
   // ── Salesforce write-back — nightly at 04:30 UTC ─────────────────────────  // Phase 6
   // Phase 3: GoWarm actions → SF GoWarm_Action__c object.
   // NOT YET IMPLEMENTED — placeholder for Phase 3 build.
@@ -1376,8 +1426,24 @@ function startScheduler() {
     // console.log('🌙 Running nightly Salesforce write-back (Phase 3)...');
   }, { timezone: 'UTC' });
 
+  // ── Forecast snapshots — weekly, Monday 05:00 UTC ────────────────────────
+  // Freezes every org's current/next quarter and month into forecast_snapshots
+  // for the "what changed since last week" waterfall. Idempotent per week
+  // (UNIQUE org/period/week_start), so a restart-triggered re-run is a no-op.
+  // After the nightly CRM syncs so the freeze reflects this morning's data.
+  cron.schedule('0 5 * * 1', async () => {
+    console.log('📸 Capturing weekly forecast snapshots...');
+    try {
+      const r = await ForecastService.runWeeklySnapshots();
+      console.log(`✅ Forecast snapshots done — orgs: ${r.orgs}, snapshots: ${r.snapshots}, errors: ${r.errors}`);
+    } catch (err) {
+      console.error('❌ Forecast snapshot cron error:', err.message);
+    }
+  }, { timezone: 'UTC' });
+
   console.log('✅ Deal action scheduler started (nightly 01:00 UTC)');
   console.log('✅ Cases diagnostic scheduler started (nightly 02:15 UTC)');
+  console.log('✅ Case SLA breach sweep started (every 10 min)');
   console.log('✅ Handovers diagnostic scheduler started (nightly 02:30 UTC)');
   console.log('✅ Prospecting diagnostic scheduler started (nightly 02:45 UTC)');
   console.log('✅ STRAP nightly sweep started (nightly 03:00 UTC)');             // Phase 5
@@ -1388,6 +1454,8 @@ function startScheduler() {
   console.log('✅ Postmaster domain-health pull started (nightly 04:15 UTC)');   // Insights/WBR Phase 6
   console.log('✅ Salesforce sync started (nightly 04:00 UTC)');                 // Phase 6
   console.log('✅ Salesforce write-back started (nightly 04:30 UTC)');           // Phase 6
+  console.log('✅ Pipedrive sync started (nightly 04:45 UTC)');
+  console.log('✅ Forecast snapshots started (weekly Mon 05:00 UTC)');
 }
 
 module.exports = {
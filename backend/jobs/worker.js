@@ -18,11 +18,16 @@ require('./msteamsDiscoveryScheduler').startScheduler();
 // jobs/worker.js, beside the discovery scheduler
 require('./msteamsSubscriptionRenewal').startScheduler();
 
+// Outbound webhooks: queue processor + stale-delivery sweep
+const { webhookQueue } = require('./outboundWebhookJob');
+require('./outboundWebhookJob').startScheduler();
+
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing worker...');
   await emailQueue.close();
   await notificationQueue.close();
+  await webhookQueue.close();
   process.exit(0);
 });
 
@@ -30,9 +35,10 @@ process.on('SIGINT', async () => {
   console.log('SIGINT received, closing worker...');
   await emailQueue.close();
   await notificationQueue.close();
+  await webhookQueue.close();
   process.exit(0);
 });
 
 console.log('✅ Worker started successfully');
-console.log(`Queues: ${emailQueue.name}, ${notificationQueue.name}`);
+console.log(`Queues: ${emailQueue.name}, ${notificationQueue.name}, ${webhookQueue.name}`);
 console.log('Waiting for jobs...');
@@ -15,7 +15,7 @@
 // NOTE: this is ESM. We bridge to your CommonJS db + services via createRequire.
 
 import express from 'express';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { jwtVerify, createRemoteJWKSet } from 'jose';
 import { z } from 'zod';
@@ -24,6 +24,13 @@ import { createRequire } from 'module';
 // --- Bridge to the existing CommonJS backend (db helper + hierarchy service) ---
 const require = createRequire(import.meta.url);
 const db = require('./config/database'); // exposes db.query(text, params)
+const AccessPolicy = require('./services/AccessPolicy');
+const { assertOrgWritesAllowed } = require('./services/crmConnections.service');
+const ActionCompletion = require('./services/actionCompletion.service');
+const ProspectWriter = require('./services/prospectWriter.service');
+const DealContextBuilder = require('./services/DealContextBuilder');
+const AccountContextBuilder = require('./services/AccountContextBuilder');
+const { scoreDeal } = require('./services/dealHealthService');
 
 const AUTHKIT_DOMAIN = (process.env.AUTHKIT_DOMAIN || '').replace(/\/$/, '');
 const MCP_RESOURCE_URL = process.env.MCP_RESOURCE_URL || 'https://gowarmcrm.com/mcp';
@@ -80,17 +87,113 @@ async function safeSubordinates(orgId, userId) {
 }
 
 // Build the owner filter for the action queue, matching the /unified route.
-// `alias` MUST qualify user_id to the action table (e.g. 'a' or 'pa'); both
-// queries join a second table that also has user_id, so a bare column is ambiguous.
-async function buildOwnerFilter(actor, scope, params, alias) {
+// `alias` MUST qualify the owner column (e.g. 'a' or 'pa'); both action
+// queries join a second table that also has user_id, so a bare column is
+// ambiguous. Deals pass col='owner_id'.
+async function buildOwnerFilter(actor, scope, params, alias, col = 'user_id') {
   if (scope === 'team') {
     const subs = await safeSubordinates(actor.orgId, actor.userId);
     params.push([actor.userId, ...subs]);
-    return `AND ${alias}.user_id = ANY($${params.length}::int[])`;
+    return `AND ${alias}.${col} = ANY($${params.length}::int[])`;
   }
   if (scope === 'org') return '';
   params.push(actor.userId);
-  return `AND ${alias}.user_id = $${params.length}`;
+  return `AND ${alias}.${col} = $${params.length}`;
+}
+
+// ── Pipeline read scope ────────────────────────────────────────────────────────
+// A deal's detail (get_deal, get_deal_health, the timeline resource) is visible
+// to its owner, anyone above the owner in the hierarchy, and org admins — the
+// READ rule from AccessPolicy, deals having no shared/private flag.
+const isOrgAdmin = (actor) => actor.role === 'owner' || actor.role === 'admin';
+
+async function loadVisibleDeal(actor, dealId) {
+  const { rows } = await db.query(
+    `SELECT * FROM deals WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+    [dealId, actor.orgId]
+  );
+  if (!rows.length) return null;
+  const deal = rows[0];
+  if (deal.owner_id === actor.userId || isOrgAdmin(actor)) return deal;
+  const subs = await safeSubordinates(actor.orgId, actor.userId);
+  return subs.includes(deal.owner_id) ? deal : null;
+}
+
+// One chronological feed for a deal: logged activities, emails, meetings, and
+// stage moves that arrived from a CRM sync / history import. Stage changes
+// made in GoWarmCRM are already deal_activities 'stage_change' rows, so
+// 'manual' ledger rows are skipped rather than listed twice.
+async function loadDealTimeline(orgId, dealId, limit = 200) {
+  const { rows } = await db.query(
+    `SELECT * FROM (
+       SELECT 'activity' AS kind, a.activity_type AS type, a.description AS summary,
+              a.created_at AS occurred_at, a.user_id, a.metadata
+         FROM deal_activities a
+        WHERE a.deal_id = $1
+       UNION ALL
+       SELECT 'stage_change', h.source, COALESCE(h.from_stage, '(none)') || ' → ' || h.to_stage,
+              h.changed_at, NULL, NULL
+         FROM deal_stage_history h
+        WHERE h.deal_id = $1 AND h.org_id = $2 AND h.source <> 'manual'
+       UNION ALL
+       SELECT 'email', e.direction, e.subject, e.sent_at, e.user_id,
+              jsonb_build_object('email_id', e.id, 'from', e.from_address, 'to', e.to_address)
+         FROM emails e
+        WHERE e.deal_id = $1 AND e.org_id = $2 AND e.deleted_at IS NULL
+       UNION ALL
+       SELECT 'meeting', m.meeting_type, m.title, m.start_time, m.user_id,
+              jsonb_build_object('meeting_id', m.id, 'status', m.status, 'end_time', m.end_time)
+         FROM meetings m
+        WHERE m.deal_id = $1 AND m.org_id = $2 AND m.deleted_at IS NULL
+     ) t
+     WHERE t.occurred_at IS NOT NULL
+     ORDER BY t.occurred_at DESC
+     LIMIT $3`,
+    [dealId, orgId, limit]
+  );
+  return rows;
+}
+
+const dealTimelineUri = (dealId) => `gowarmcrm://deals/${dealId}/timeline`;
+
+// ── Write tier: org gate + edit scope ──────────────────────────────────────────
+// Every write tool runs writeGate() first (assessment orgs are read-only, same
+// hard gate as CRM write-back) and canEdit() against the row's owner. canEdit
+// goes through AccessPolicy.canEditItem with the slice of an Express req it
+// reads; _cachedRole pre-seeds CampaignAccess.isAdmin so it skips the lookup.
+async function writeGate(actor) {
+  if (!actor) return fail('No GoWarmCRM user found for this session.');
+  try {
+    await assertOrgWritesAllowed(actor.orgId);
+  } catch (err) {
+    if (err.code === 'ASSESSMENT_ORG_READONLY') return fail(err.message);
+    throw err;
+  }
+  return null;
+}
+
+async function canEdit(actor, ownerId) {
+  const req = {
+    userId: actor.userId,
+    orgId: actor.orgId,
+    subordinateIds: await safeSubordinates(actor.orgId, actor.userId),
+    _cachedRole: actor.role ?? null,
+  };
+  return AccessPolicy.canEditItem(req, ownerId);
+}
+
+// Loads a deal or prospecting action and applies the edit check. Returns
+// { row } or { error } (a ready-to-return fail()).
+async function loadEditableAction(actor, source, actionId) {
+  const table = source === 'deal' ? 'actions' : 'prospecting_actions';
+  const { rows } = await db.query(
+    `SELECT * FROM ${table} WHERE id = $1 AND org_id = $2`,
+    [actionId, actor.orgId]
+  );
+  if (!rows.length) return { error: fail('Action not found.') };
+  const { allowed, reason } = await canEdit(actor, rows[0].user_id);
+  if (!allowed) return { error: fail(reason) };
+  return { row: rows[0] };
 }
 
 // ── Verify AuthKit-issued access tokens, audience-bound to this MCP server ─────
@@ -117,7 +220,7 @@ function setCors(res) {
 
 // ── Build a fresh MCP server per request (stateless), scoped to the actor ──────
 async function buildServer(auth) {
-  const server = new McpServer({ name: 'gowarmcrm', version: '0.2.0' });
+  const server = new McpServer({ name: 'gowarmcrm', version: '0.4.0' });
   const actor = await getActor(auth);
 
   // ── whoami (read) ───────────────────────────────────────────────────────────
@@ -390,8 +493,549 @@ async function buildServer(auth) {
     },
   );
 
-  // --- WRITE TIER (next pass): create_prospecting_campaign, add_prospects,
-  //     generate_drafts, execute_prospecting_campaign (preview-first). ---
+  // ── search_deals (read) ───────────────────────────────────────────────────────
+  server.registerTool(
+    'search_deals',
+    {
+      title: 'Search deals',
+      description:
+        "Finds deals by name or account, with optional stage / health / close-date filters, soonest close first. Use to build a pipeline-review list, then get_deal or get_deal_health on the ones that matter. 'org' scope is for org admins.",
+      inputSchema: {
+        query: z.string().max(200).optional().describe('Matches deal name or account name (case-insensitive).'),
+        scope: z.enum(['mine', 'team', 'org']).default('mine')
+          .describe("Whose deals: 'mine' (default), 'team' (you + your reports), or 'org' (admins only)."),
+        stage: z.string().max(50).optional().describe('Exact stage key, e.g. "proposal".'),
+        health: z.enum(['healthy', 'watch', 'risk']).optional(),
+        include_closed: z.boolean().default(false).describe('Include closed_won / closed_lost deals.'),
+        closing_before: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional()
+          .describe('YYYY-MM-DD — only deals expected to close on or before this date.'),
+        limit: z.number().int().min(1).max(100).default(25),
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    async ({ query, scope, stage, health, include_closed, closing_before, limit }) => {
+      if (!actor) return fail('No GoWarmCRM user found for this session.');
+      if (scope === 'org' && !isOrgAdmin(actor)) return fail("'org' scope is limited to org admins; use 'team'.");
+      try {
+        const params = [actor.orgId];
+        const where = [await buildOwnerFilter(actor, scope, params, 'd', 'owner_id')];
+        if (query) {
+          params.push(`%${query}%`);
+          where.push(`AND (d.name ILIKE $${params.length} OR acc.name ILIKE $${params.length})`);
+        }
+        if (stage) { params.push(stage); where.push(`AND d.stage = $${params.length}`); }
+        if (health) { params.push(health); where.push(`AND d.health = $${params.length}`); }
+        if (!include_closed) where.push(`AND d.stage NOT IN ('closed_won', 'closed_lost')`);
+        if (closing_before) { params.push(closing_before); where.push(`AND d.expected_close_date <= $${params.length}`); }
+        params.push(limit);
+
+        const r = await db.query(
+          `SELECT d.id, d.name, d.value, d.currency, d.stage, d.health, d.health_score,
+                  d.expected_close_date, d.probability, d.owner_id, d.updated_at,
+                  acc.id AS account_id, acc.name AS account_name,
+                  u.first_name AS owner_first_name, u.last_name AS owner_last_name
+             FROM deals d
+             LEFT JOIN accounts acc ON acc.id = d.account_id
+             LEFT JOIN users u ON u.id = d.owner_id
+            WHERE d.org_id = $1 AND d.deleted_at IS NULL ${where.join(' ')}
+            ORDER BY d.expected_close_date ASC NULLS LAST, d.value DESC
+            LIMIT $${params.length}`,
+          params
+        );
+        return ok({ scope, count: r.rows.length, deals: r.rows });
+      } catch (err) {
+        console.error('[mcp:search_deals]', err.message);
+        return fail('Failed to search deals.');
+      }
+    },
+  );
+
+  // ── get_deal (read) ───────────────────────────────────────────────────────────
+  // DealContextBuilder is the same context the action engine reasons over;
+  // the raw email / meeting / file arrays are summarised here and the full
+  // history is left to the timeline resource.
+  server.registerTool(
+    'get_deal',
+    {
+      title: 'Get deal detail',
+      description:
+        "Returns one deal with its account, buying-group contacts, last/next meeting, engagement signals (days since last touch, unanswered emails, stagnation, close-date risk) and the playbook guidance for its current stage. The full history is the deal's timeline resource (timeline_uri).",
+      inputSchema: {
+        deal_id: z.number().int().describe('The deal id (from search_deals).'),
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    async ({ deal_id }) => {
+      if (!actor) return fail('No GoWarmCRM user found for this session.');
+      try {
+        const row = await loadVisibleDeal(actor, deal_id);
+        if (!row) return fail('Deal not found or not within your visibility.');
+        const ctx = await DealContextBuilder.build(row.id, row.owner_id, actor.orgId);
+        const d = ctx.derived;
+        const meetingSummary = (m) => (m ? { id: m.id, title: m.title, start_time: m.start_time, status: m.status } : null);
+
+        return ok({
+          deal: ctx.deal,
+          account: ctx.account,
+          contacts: ctx.contacts.map((c) => ({
+            id: c.id, first_name: c.first_name, last_name: c.last_name, title: c.title,
+            email: c.email, role_type: c.role_type, deal_role: c.deal_role,
+          })),
+          health: { score: ctx.healthScore, status: ctx.healthStatus, updated_at: ctx.deal.health_score_updated_at },
+          signals: {
+            last_meeting: meetingSummary(d.lastMeeting),
+            next_meeting: meetingSummary(
+              [...d.upcomingMeetings].sort((a, b) => new Date(a.start_time) - new Date(b.start_time))[0]
+            ),
+            days_since_last_meeting: d.daysSinceLastMeeting,
+            days_since_last_email: d.daysSinceLastEmail,
+            emails_sent: d.sentEmails.length,
+            emails_received: d.receivedEmails.length,
+            unanswered_emails: d.unansweredEmails.length,
+            decision_makers: d.decisionMakers.length,
+            champions: d.champions.length,
+            days_in_stage: d.daysInStage,
+            days_until_close: d.daysUntilClose,
+            is_past_close: d.isPastClose,
+            closing_imminently: d.closingImminently,
+            is_stagnant: d.isStagnant,
+            is_high_value: d.isHighValue,
+          },
+          playbook: ctx.playbook ? { id: ctx.playbook.id, name: ctx.playbook.name } : null,
+          stage_guidance: ctx.playbookStageGuidance,
+          stage_plays: (ctx.playbookStageActions || []).map((p) => ({ id: p.id, title: p.title, channel: p.channel })),
+          timeline_uri: dealTimelineUri(row.id),
+        });
+      } catch (err) {
+        console.error('[mcp:get_deal]', err.message);
+        return fail('Failed to load the deal.');
+      }
+    },
+  );
+
+  // ── get_deal_health (read; optional rescore) ───────────────────────────────────
+  // The score, status and per-category/param breakdown are dealHealthService
+  // .scoreDeal output as persisted on the deal. recalculate=true re-runs it
+  // first (writing the fresh score back) using the OWNER's health config, so
+  // the stored score doesn't change depending on who asked.
+  server.registerTool(
+    'get_deal_health',
+    {
+      title: 'Get deal health',
+      description:
+        'Returns the deal health score (0-100), status (healthy / watch / risk) and the breakdown by category and signal — close-date credibility, buyer engagement, process, deal size, competition, momentum. Pass recalculate=true to rescore from current data first.',
+      inputSchema: {
+        deal_id: z.number().int(),
+        recalculate: z.boolean().default(false)
+          .describe('Re-run scoring now and save the result (default false: return the last saved score).'),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    async ({ deal_id, recalculate }) => {
+      if (!actor) return fail('No GoWarmCRM user found for this session.');
+      try {
+        const row = await loadVisibleDeal(actor, deal_id);
+        if (!row) return fail('Deal not found or not within your visibility.');
+
+        if (recalculate) {
+          const { score, health, breakdown } = await scoreDeal(row.id, row.owner_id, actor.orgId);
+          return ok({ deal_id: row.id, score, health, breakdown, scored_at: new Date().toISOString(), recalculated: true });
+        }
+
+        const breakdown = typeof row.health_score_breakdown === 'string'
+          ? JSON.parse(row.health_score_breakdown)
+          : row.health_score_breakdown;
+        return ok({
+          deal_id: row.id,
+          score: row.health_score,
+          health: row.health,
+          breakdown: breakdown || null,
+          scored_at: row.health_score_updated_at,
+          recalculated: false,
+          note: row.health_score_updated_at ? undefined : 'Never scored — call again with recalculate=true.',
+        });
+      } catch (err) {
+        console.error('[mcp:get_deal_health]', err.message);
+        return fail('Failed to load deal health.');
+      }
+    },
+  );
+
+  // ── get_account (read) ────────────────────────────────────────────────────────
+  // Accounts are org-wide in GoWarmCRM (the Accounts list offers an 'org'
+  // scope to everyone), so any account in the actor's org is readable; the
+  // deals listed under it are filtered to the ones the actor may open.
+  server.registerTool(
+    'get_account',
+    {
+      title: 'Get account detail',
+      description:
+        'Returns an account with its deals, contacts, linked prospects, who on the team has engaged it, and account-level signals (revenue, renewal candidates, whitespace, staleness, champion gap).',
+      inputSchema: {
+        account_id: z.number().int(),
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    async ({ account_id }) => {
+      if (!actor) return fail('No GoWarmCRM user found for this session.');
+      try {
+        const exists = await db.query(
+          `SELECT id FROM accounts WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+          [account_id, actor.orgId]
+        );
+        if (!exists.rows.length) return fail('Account not found.');
+
+        const ctx = await AccountContextBuilder.build(account_id, actor.userId, actor.orgId);
+        const visibleOwners = isOrgAdmin(actor)
+          ? null
+          : new Set([actor.userId, ...(await safeSubordinates(actor.orgId, actor.userId))]);
+        const deals = ctx.deals.filter((dl) => !visibleOwners || visibleOwners.has(dl.owner_id));
+
+        return ok({
+          account: ctx.account,
+          deals,
+          other_deals_hidden: ctx.deals.length - deals.length,
+          contacts: ctx.contacts,
+          prospects: ctx.prospects,
+          team_engagement: ctx.teamEngagement,
+          recent_emails: ctx.emailHistory.slice(0, 20),
+          signals: ctx.derived,
+        });
+      } catch (err) {
+        console.error('[mcp:get_account]', err.message);
+        return fail('Failed to load the account.');
+      }
+    },
+  );
+
+  // ── deal timeline (resource) ──────────────────────────────────────────────────
+  // gowarmcrm://deals/{deal_id}/timeline — newest first, 200 entries. Listing
+  // offers the actor's own open deals; any visible deal id can be read.
+  server.registerResource(
+    'deal-timeline',
+    new ResourceTemplate('gowarmcrm://deals/{deal_id}/timeline', {
+      list: async () => {
+        if (!actor) return { resources: [] };
+        const { rows } = await db.query(
+          `SELECT id, name FROM deals
+            WHERE org_id = $1 AND owner_id = $2 AND deleted_at IS NULL
+              AND stage NOT IN ('closed_won', 'closed_lost')
+            ORDER BY expected_close_date ASC NULLS LAST
+            LIMIT 50`,
+          [actor.orgId, actor.userId]
+        );
+        return {
+          resources: rows.map((r) => ({
+            uri: dealTimelineUri(r.id), name: `${r.name} — timeline`, mimeType: 'application/json',
+          })),
+        };
+      },
+    }),
+    {
+      title: 'Deal timeline',
+      description:
+        'Chronological history of a deal — logged activities and notes, emails, meetings and CRM-synced stage changes — newest first.',
+      mimeType: 'application/json',
+    },
+    async (uri, { deal_id }) => {
+      if (!actor) throw new Error('No GoWarmCRM user found for this session.');
+      const row = await loadVisibleDeal(actor, parseInt(deal_id, 10));
+      if (!row) throw new Error('Deal not found or not within your visibility.');
+      const events = await loadDealTimeline(actor.orgId, row.id);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: 'application/json',
+          text: JSON.stringify({ deal: { id: row.id, name: row.name, stage: row.stage }, count: events.length, events }),
+        }],
+      };
+    },
+  );
+
+  // ── complete_action (write) ───────────────────────────────────────────────────
+  // Same follow-through as PATCH /api/actions/:id/status and
+  // /api/prospecting-actions/:id/status (services/actionCompletion.service.js).
+  // Hooks run as the action's owner so an unlocked next step lands in THEIR
+  // queue when a manager completes it for them; completed_by records the actor.
+  server.registerTool(
+    'complete_action',
+    {
+      title: 'Complete an action',
+      description:
+        'Marks a deal or prospecting action from get_action_queue as completed and runs the same follow-through as the app (playbook next steps, CRM write-back, prospect stage advance). Use once the rep has actually done the step.',
+      inputSchema: {
+        source: z.enum(['deal', 'prospecting']).describe("The action's actionSource from get_action_queue."),
+        action_id: z.number().int().describe('The action id.'),
+        outcome: z.string().max(50).optional()
+          .describe("Prospecting only — e.g. 'replied', 'call_connected', 'meeting_booked', 'no_answer'. A response outcome advances the prospect to engaged."),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    async ({ source, action_id, outcome }) => {
+      const gated = await writeGate(actor);
+      if (gated) return gated;
+      try {
+        const { row, error } = await loadEditableAction(actor, source, action_id);
+        if (error) return error;
+        if (row.status === 'completed') return fail('Action is already completed.');
+
+        if (source === 'deal') {
+          const r = await db.query(
+            `UPDATE actions
+                SET status = 'completed', completed = true,
+                    completed_at = CURRENT_TIMESTAMP, completed_by = $1,
+                    updated_at = CURRENT_TIMESTAMP
+              WHERE id = $2 AND org_id = $3
+              RETURNING *`,
+            [actor.userId, row.id, actor.orgId]
+          );
+          const action = r.rows[0];
+          const nextAction = await ActionCompletion.applyDealCompletion(action, actor.orgId, action.user_id);
+          ActionCompletion.queueRealtimeWriteBack(actor.orgId, action.id);
+          return ok({ source, action, next_action: nextAction });
+        }
+
+        const r = await db.query(
+          `UPDATE prospecting_actions
+              SET status = 'completed', outcome = COALESCE($1, outcome),
+                  completed_at = CURRENT_TIMESTAMP, completed_by = $2,
+                  updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND org_id = $4
+            RETURNING *`,
+          [outcome || null, actor.userId, row.id, actor.orgId]
+        );
+        const action = r.rows[0];
+        await ActionCompletion.applyProspectingCompletion(action, actor.orgId, action.user_id, outcome);
+        return ok({ source, action });
+      } catch (err) {
+        console.error('[mcp:complete_action]', err.message);
+        return fail('Failed to complete the action.');
+      }
+    },
+  );
+
+  // ── snooze_action (write) ─────────────────────────────────────────────────────
+  server.registerTool(
+    'snooze_action',
+    {
+      title: 'Snooze an action',
+      description:
+        "Snoozes a deal or prospecting action so it drops out of the active queue until the snooze expires. 'stage_change' (deal actions only) and 'indefinite' never auto-expire.",
+      inputSchema: {
+        source: z.enum(['deal', 'prospecting']).describe("The action's actionSource from get_action_queue."),
+        action_id: z.number().int().describe('The action id.'),
+        duration: z.enum(['1_week', '2_weeks', '1_month', 'stage_change', 'indefinite']),
+        reason: z.string().max(500).optional().describe('Why it is being snoozed — shown to the owner.'),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    async ({ source, action_id, duration, reason }) => {
+      const gated = await writeGate(actor);
+      if (gated) return gated;
+      if (duration === 'stage_change' && source !== 'deal') {
+        return fail("'stage_change' snoozes apply to deal actions only.");
+      }
+      try {
+        const { row, error } = await loadEditableAction(actor, source, action_id);
+        if (error) return error;
+        if (row.status === 'completed') return fail('Action is already completed.');
+
+        const table = source === 'deal' ? 'actions' : 'prospecting_actions';
+        const r = await db.query(
+          `UPDATE ${table}
+              SET status = 'snoozed', snoozed_until = $1, snooze_reason = $2,
+                  snooze_duration = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND org_id = $5
+            RETURNING *`,
+          [ActionCompletion.snoozedUntilFor(duration), reason || null, duration, row.id, actor.orgId]
+        );
+        return ok({ source, action: r.rows[0] });
+      } catch (err) {
+        console.error('[mcp:snooze_action]', err.message);
+        return fail('Failed to snooze the action.');
+      }
+    },
+  );
+
+  // ── log_activity (write) ──────────────────────────────────────────────────────
+  // Deal calls/notes → deal_activities. Prospect notes → prospect_notes (the
+  // Notes tab); prospect calls → prospecting_activities 'call_logged' so they
+  // count under Call in the activity feed and metric snapshots.
+  server.registerTool(
+    'log_activity',
+    {
+      title: 'Log a call or note',
+      description:
+        'Logs a call or a note against a deal or a prospect, attributed to the authenticated rep. Use after a conversation so the record stays current without opening GoWarmCRM.',
+      inputSchema: {
+        entity: z.enum(['deal', 'prospect']),
+        entity_id: z.number().int().describe('The deal id or prospect id.'),
+        kind: z.enum(['call', 'note']),
+        body: z.string().min(1).max(5000).describe('The note text, or a summary of the call.'),
+        outcome: z.string().max(50).optional().describe("Calls only — e.g. 'connected', 'voicemail', 'no_answer'."),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    async ({ entity, entity_id, kind, body, outcome }) => {
+      const gated = await writeGate(actor);
+      if (gated) return gated;
+      const text = body.trim();
+      if (!text) return fail('body is required.');
+      try {
+        const { rows } = await db.query(
+          entity === 'deal'
+            ? `SELECT id, owner_id FROM deals WHERE id = $1 AND org_id = $2`
+            : `SELECT id, owner_id FROM prospects WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+          [entity_id, actor.orgId]
+        );
+        if (!rows.length) return fail(`${entity === 'deal' ? 'Deal' : 'Prospect'} not found.`);
+        const { allowed, reason } = await canEdit(actor, rows[0].owner_id);
+        if (!allowed) return fail(reason);
+
+        const metadata = JSON.stringify({ source: 'mcp', outcome: kind === 'call' ? (outcome || null) : undefined });
+
+        if (entity === 'deal') {
+          const r = await db.query(
+            `INSERT INTO deal_activities (deal_id, user_id, activity_type, description, metadata)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [entity_id, actor.userId, kind === 'call' ? 'call_logged' : 'note_added', text, metadata]
+          );
+          return ok({ entity, kind, activity: r.rows[0] });
+        }
+
+        if (kind === 'note') {
+          const r = await db.query(
+            `INSERT INTO prospect_notes (org_id, prospect_id, user_id, body)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, prospect_id, user_id, body, created_at`,
+            [actor.orgId, entity_id, actor.userId, text]
+          );
+          return ok({ entity, kind, note: r.rows[0] });
+        }
+
+        const r = await db.query(
+          `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description, metadata)
+           VALUES ($1, $2, $3, 'call_logged', $4, $5)
+           RETURNING *`,
+          [actor.orgId, entity_id, actor.userId, text, metadata]
+        );
+        return ok({ entity, kind, activity: r.rows[0] });
+      } catch (err) {
+        console.error('[mcp:log_activity]', err.message);
+        return fail('Failed to log the activity.');
+      }
+    },
+  );
+
+  // ── create_prospect (write) ───────────────────────────────────────────────────
+  // Same writer as POST /api/prospects (services/prospectWriter.service.js):
+  // email dedup, account resolution, default playbook, 'created' activity.
+  server.registerTool(
+    'create_prospect',
+    {
+      title: 'Create a prospect',
+      description:
+        'Creates a prospect owned by the authenticated rep, optionally assigning a campaign and enrolling in a sequence in the same call. Fails if a prospect with the same email already exists (the error names it).',
+      inputSchema: {
+        first_name: z.string().min(1).max(100),
+        last_name: z.string().min(1).max(100),
+        email: z.string().email().optional(),
+        phone: z.string().max(50).optional(),
+        title: z.string().max(200).optional(),
+        company_name: z.string().max(200).optional(),
+        company_domain: z.string().max(200).optional(),
+        linkedin_url: z.string().url().optional(),
+        campaign_id: z.number().int().optional().describe('Assign to this campaign (from list_campaigns).'),
+        sequence_id: z.number().int().optional().describe('Enroll in this active sequence (from list_sequences).'),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    async (input) => {
+      const gated = await writeGate(actor);
+      if (gated) return gated;
+      try {
+        await ProspectWriter.assertEmailAvailable(actor.orgId, input.email);
+        const prospect = await ProspectWriter.createProspect(actor.orgId, actor.userId, {
+          firstName: input.first_name,
+          lastName: input.last_name,
+          email: input.email,
+          phone: input.phone,
+          title: input.title,
+          companyName: input.company_name,
+          companyDomain: input.company_domain,
+          linkedinUrl: input.linkedin_url,
+          source: 'mcp',
+        });
+
+        let enrollment = null;
+        let enrollmentError = null;
+        if (input.campaign_id != null || input.sequence_id != null) {
+          try {
+            ({ enrollment, enrollmentError } = await ProspectWriter.assignCampaignAndEnroll({
+              orgId: actor.orgId,
+              userId: actor.userId,
+              prospectId: prospect.id,
+              campaignId: input.campaign_id ?? null,
+              sequenceId: input.sequence_id ?? null,
+            }));
+            if (input.campaign_id != null) prospect.campaign_id = input.campaign_id;
+          } catch (assignErr) {
+            // Prospect already exists at this point — report, don't fail.
+            enrollmentError = assignErr.message;
+          }
+        }
+        return ok({ prospect, enrollment, enrollment_error: enrollmentError });
+      } catch (err) {
+        if (err.code === 'DUPLICATE_EMAIL') return fail(err.message);
+        console.error('[mcp:create_prospect]', err.message);
+        return fail('Failed to create the prospect.');
+      }
+    },
+  );
+
+  // ── enroll_in_sequence (write) ────────────────────────────────────────────────
+  server.registerTool(
+    'enroll_in_sequence',
+    {
+      title: 'Enroll a prospect in a sequence',
+      description:
+        'Enrolls an existing prospect in an active outreach sequence. Enrolling a prospect who is already in that sequence is a no-op and reports already_enrolled.',
+      inputSchema: {
+        prospect_id: z.number().int(),
+        sequence_id: z.number().int().describe('An active sequence id (from list_sequences).'),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    async ({ prospect_id, sequence_id }) => {
+      const gated = await writeGate(actor);
+      if (gated) return gated;
+      try {
+        const { rows } = await db.query(
+          `SELECT id, owner_id FROM prospects WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+          [prospect_id, actor.orgId]
+        );
+        if (!rows.length) return fail('Prospect not found.');
+        const { allowed, reason } = await canEdit(actor, rows[0].owner_id);
+        if (!allowed) return fail(reason);
+
+        const { enrollment, enrollmentError } = await ProspectWriter.assignCampaignAndEnroll({
+          orgId: actor.orgId,
+          userId: actor.userId,
+          prospectId: prospect_id,
+          sequenceId: sequence_id,
+        });
+        if (enrollmentError) return fail(enrollmentError);
+        return ok({ prospect_id, sequence_id, enrollment, already_enrolled: !enrollment });
+      } catch (err) {
+        console.error('[mcp:enroll_in_sequence]', err.message);
+        return fail('Failed to enroll the prospect.');
+      }
+    },
+  );
+
+  // --- Campaign write tools (next pass): create_prospecting_campaign,
+  //     add_prospects, generate_drafts, execute_prospecting_campaign (preview-first). ---
 
   return server;
 }
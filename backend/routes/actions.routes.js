@@ -9,6 +9,7 @@ const ActionConfigService = require('../services/actionConfig.service');
 const ActionCompletionDetector = require('../services/actionCompletionDetector.service');
 const StrapEngine = require('../services/StrapEngine');
 const StrapActionGenerator = require('../services/StrapActionGenerator');
+const ActionCompletion = require('../services/actionCompletion.service');
 
 // ── Auth + org context on every route in this file ───────────
 // authenticateToken  → validates JWT, sets req.userId + req.user
@@ -1131,140 +1132,17 @@ router.patch('/:id/status', async (req, res) => {
     if (result.rows.length === 0) return res.status(404).json({ error: { message: 'Action not found' } });
 
     const completedAction = result.rows[0];
-    let nextAction = null;
 
-    // STRAP auto-resolve check
-    if (isCompleting && completedAction.strap_id) {
-      StrapActionGenerator.checkAutoResolve(completedAction.strap_id, req.user.userId, req.orgId)
-        .catch(err => console.error('STRAP auto-resolve check error:', err.message));
-    }
-
-    // ── Phase 2: Gated next-action generation ────────────────────────────────
-    // When a gate play action is completed, check if it unlocks a follow-on play.
-    if (isCompleting && completedAction.playbook_play_id) {
-      try {
-        const gateRes = await db.query(
-          `SELECT * FROM playbook_plays
-           WHERE id = $1 AND org_id = $2 AND is_gate = true AND unlocks_play_id IS NOT NULL`,
-          [completedAction.playbook_play_id, req.orgId]
-        );
-
-        if (gateRes.rows.length > 0) {
-          const unlockedRes = await db.query(
-            `SELECT * FROM playbook_plays WHERE id = $1 AND org_id = $2`,
-            [gateRes.rows[0].unlocks_play_id, req.orgId]
-          );
-
-          if (unlockedRes.rows.length > 0) {
-            const unlockedPlay = unlockedRes.rows[0];
-            const fireConditions = typeof unlockedPlay.fire_conditions === 'string'
-              ? JSON.parse(unlockedPlay.fire_conditions)
-              : (unlockedPlay.fire_conditions || []);
-
-            // Evaluate conditions if any, using a lightweight context
-            let conditionsMet = true;
-            if (fireConditions.length > 0 && completedAction.deal_id) {
-              const PlaybookService = require('../services/playbook.service');
-              const dealRes = await db.query('SELECT * FROM deals WHERE id = $1', [completedAction.deal_id]);
-              if (dealRes.rows.length > 0) {
-                const deal = dealRes.rows[0];
-                const [cR, eR, mR, fR] = await Promise.all([
-                  db.query('SELECT * FROM contacts WHERE account_id = $1 AND org_id = $2', [deal.account_id, req.orgId]),
-                  db.query('SELECT * FROM emails WHERE deal_id = $1 AND org_id = $2', [deal.id, req.orgId]),
-                  db.query('SELECT * FROM meetings WHERE deal_id = $1 AND org_id = $2', [deal.id, req.orgId]),
-                  db.query("SELECT * FROM storage_files WHERE deal_id = $1 AND org_id = $2 AND processing_status = 'completed'", [deal.id, req.orgId]),
-                ]);
-                const ActionsGenerator = require('../services/actionsGenerator');
-                const context = await ActionsGenerator.buildContextPublic(
-                  deal, cR.rows, eR.rows, mR.rows, fR.rows, req.user.userId, req.orgId
-                );
-                conditionsMet = PlaybookService.evaluateConditions(fireConditions, context);
-              }
-            }
-
-            if (conditionsMet) {
-              const dueDate = new Date();
-              dueDate.setDate(dueDate.getDate() + (unlockedPlay.due_offset_days || 3));
-
-              const insertRes = await db.query(
-                `INSERT INTO actions (
-                   org_id, user_id, type, title, description, action_type, priority,
-                   due_date, deal_id, account_id, source, source_rule, next_step,
-                   playbook_play_id, status, suggested_action, created_at
-                 ) VALUES (
-                   $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,
-                   'playbook','playbook_gate_unlock',$11,$12,'not_started',$13,NOW()
-                 ) RETURNING *`,
-                [
-                  req.orgId, req.user.userId,
-                  unlockedPlay.channel || 'follow_up',
-                  unlockedPlay.title,
-                  unlockedPlay.description || `Unlocked after completing: ${completedAction.title}`,
-                  unlockedPlay.channel || 'follow_up',
-                  unlockedPlay.priority || 'medium',
-                  dueDate,
-                  completedAction.deal_id   || null,
-                  completedAction.account_id || null,
-                  unlockedPlay.channel || 'email',
-                  unlockedPlay.id,
-                  unlockedPlay.suggested_action || null,
-                ]
-              );
-              nextAction = insertRes.rows[0];
-
-              // Create calendar entry for the next action
-              try {
-                const startTime = new Date(dueDate);
-                startTime.setHours(9, 0, 0, 0);
-                const endTime = new Date(startTime);
-                endTime.setMinutes(endTime.getMinutes() + 30);
-                await db.query(
-                  `INSERT INTO meetings (
-                     org_id, user_id, deal_id, title, description,
-                     start_time, end_time, meeting_type, source, status, action_id, created_at
-                   ) VALUES ($1,$2,$3,$4,$5,$6,$7,'task','action','scheduled',$8,NOW())`,
-                  [
-                    req.orgId, req.user.userId, completedAction.deal_id || null,
-                    unlockedPlay.title,
-                    `Next step unlocked from playbook gate: ${completedAction.title}`,
-                    startTime, endTime,
-                    nextAction.id,
-                  ]
-                );
-              } catch (calErr) {
-                console.error('Calendar entry for next action failed (non-blocking):', calErr.message);
-              }
-            }
-          }
-        }
-      } catch (gateErr) {
-        console.error('Gate unlock error (non-blocking):', gateErr.message);
-      }
-    }
+    // STRAP auto-resolve + playbook gate unlock — services/actionCompletion.service.js
+    const nextAction = isCompleting
+      ? await ActionCompletion.applyDealCompletion(completedAction, req.orgId, req.user.userId)
+      : null;
 
     res.json({ action: completedAction, nextAction: nextAction || null });
 
-    // ── Salesforce write-back (realtime mode) ────────────────────────────────
+    // ── CRM write-back (realtime mode) ───────────────────────────────────────
     // Fire-and-forget after response is sent — never blocks the API caller.
-    // Only runs if write_back_enabled=true AND write_back_mode='realtime'.
-    if (isCompleting) {
-      setImmediate(async () => {
-        try {
-          const intRes = await db.query(
-            `SELECT settings FROM org_integrations
-             WHERE org_id = $1 AND integration_type = 'salesforce'`,
-            [req.orgId]
-          );
-          const settings = intRes.rows[0]?.settings || {};
-          if (settings.write_back_enabled && settings.write_back_mode === 'realtime') {
-            const { runWriteBackForOrg } = require('../services/crm/writeBack');
-            await runWriteBackForOrg(req.orgId, { actionId: completedAction.id });
-          }
-        } catch (err) {
-          console.error(`[WriteBack] realtime push failed for action ${completedAction.id}:`, err.message);
-        }
-      });
-    }
+    if (isCompleting) ActionCompletion.queueRealtimeWriteBack(req.orgId, completedAction.id);
   } catch (error) {
     console.error('Status update error:', error);
     res.status(500).json({ error: { message: 'Failed to update status' } });
@@ -1286,18 +1164,8 @@ router.patch('/:id/snooze', async (req, res) => {
       });
     }
 
-    // Compute snoozed_until based on duration
-    let snoozedUntil = null;
-    if (duration === '1_week') {
-      snoozedUntil = new Date(Date.now() + 7  * 24 * 60 * 60 * 1000);
-    } else if (duration === '2_weeks') {
-      snoozedUntil = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000);
-    } else if (duration === '1_month') {
-      const d = new Date();
-      d.setMonth(d.getMonth() + 1);
-      snoozedUntil = d;
-    }
     // 'stage_change' and 'indefinite' → snoozed_until stays NULL
+    const snoozedUntil = ActionCompletion.snoozedUntilFor(duration);
 
     const result = await db.query(
       `UPDATE actions
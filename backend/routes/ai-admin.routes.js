@@ -19,6 +19,7 @@ const {
 const CredentialsStore  = require('../services/ai/CredentialsStore');
 const AIClientResolver  = require('../services/ai/AIClientResolver');
 const ModelDiscoveryService = require('../services/ai/ModelDiscoveryService');
+const { KEY_PLACEHOLDER }   = require('../services/ai/adapters/OpenAICompatibleAdapter');
 
 const router = express.Router();
 router.use(authenticateToken, orgContext);
@@ -27,12 +28,13 @@ const adminOnly = requireRole('owner', 'admin');
 // ─────────────────────────────────────────────────────────────────────────
 // GET /api/org/admin/ai/providers
 // Catalog of providers/models — drives admin UI dropdowns.
-// Model lists are MERGED: static registry + live-discovered models.
+// Model lists are MERGED: static registry + live-discovered models, plus
+// whatever this org's self-hosted endpoint reported.
 // ─────────────────────────────────────────────────────────────────────────
 router.get('/providers', adminOnly, async (req, res) => {
   try {
     const providers = listProviders();
-    const merged    = await ModelDiscoveryService.getAllMergedModels();
+    const merged    = await ModelDiscoveryService.getAllMergedModels(req.orgId);
 
     // Overlay the merged model list onto each provider entry. Registry
     // models keep their metadata; discovered-only models appear flagged
@@ -71,9 +73,13 @@ router.get('/providers', adminOnly, async (req, res) => {
 // is a single SHARED platform-level operation, globally debounced. If a run
 // happened within the SuperAdmin-configured window, returns the cached
 // result instead of re-calling providers.
+//
+// The org's own self-hosted endpoint is always re-listed (not debounced —
+// it only calls the org's server) and reported under `self_hosted`.
 // ─────────────────────────────────────────────────────────────────────────
 router.post('/refresh-models', adminOnly, async (req, res) => {
   try {
+    const self_hosted = await ModelDiscoveryService.discoverOrgModels(req.orgId);
     const result = await ModelDiscoveryService.refreshOnDemand();
 
     if (!result.ran && result.reason === 'ondemand_disabled') {
@@ -83,6 +89,7 @@ router.post('/refresh-models', adminOnly, async (req, res) => {
         reason: 'disabled',
         message: 'On-demand refresh is disabled by the platform admin. Model lists update automatically on a schedule.',
         last_run_at: result.state?.last_run_at || null,
+        self_hosted,
       });
     }
 
@@ -93,6 +100,7 @@ router.post('/refresh-models', adminOnly, async (req, res) => {
         reason: 'debounced',
         message: `Models were refreshed ${result.age_minutes} minute(s) ago — already current.`,
         last_run_at: result.state?.last_run_at || null,
+        self_hosted,
       });
     }
 
@@ -102,6 +110,7 @@ router.post('/refresh-models', adminOnly, async (req, res) => {
       message: 'Model list refreshed.',
       last_run_at: result.state?.last_run_at || null,
       providers: result.state?.providers || {},
+      self_hosted,
     });
   } catch (err) {
     console.error('POST /org/admin/ai/refresh-models error:', err);
@@ -144,6 +153,7 @@ router.get('/config', adminOnly, async (req, res) => {
         models_by_call_type: ai_settings.models_by_call_type || {},
         allow_user_override: ai_settings.allow_user_override !== false,
         allow_user_byok:     ai_settings.allow_user_byok     === true,
+        custom_model_rates:  ai_settings.custom_model_rates  || {},
       },
       provider_status,
     });
@@ -174,12 +184,16 @@ router.get('/effective', adminOnly, async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────
 // PATCH /api/org/admin/ai/config
 // Body: { ai_provider?, default_model?, models_by_call_type?,
-//         allow_user_override?, allow_user_byok? }
+//         allow_user_override?, allow_user_byok?, custom_model_rates? }
+//
+// custom_model_rates prices self-hosted models in USD per million tokens:
+// { '<model id>': { input, output } }. Replaces the whole map; models not
+// listed cost zero.
 // ─────────────────────────────────────────────────────────────────────────
 router.patch('/config', adminOnly, async (req, res) => {
   const patch = {};
   const { ai_provider, default_model, models_by_call_type,
-          allow_user_override, allow_user_byok } = req.body;
+          allow_user_override, allow_user_byok, custom_model_rates } = req.body;
 
   if (ai_provider !== undefined) {
     if (!isValidProvider(ai_provider)) {
@@ -238,6 +252,23 @@ router.patch('/config', adminOnly, async (req, res) => {
     }
     patch.models_by_call_type = models_by_call_type;
   }
+  if (custom_model_rates !== undefined) {
+    if (!custom_model_rates || typeof custom_model_rates !== 'object' || Array.isArray(custom_model_rates)) {
+      return res.status(400).json({ error: { message: 'custom_model_rates must be an object' } });
+    }
+    const rates = {};
+    for (const [modelId, r] of Object.entries(custom_model_rates)) {
+      const input  = Number(r?.input);
+      const output = Number(r?.output);
+      if (!modelId.trim() || !(input >= 0) || !(output >= 0) || !isFinite(input) || !isFinite(output)) {
+        return res.status(400).json({
+          error: { message: `custom_model_rates.${modelId}: input and output must be non-negative numbers (USD per million tokens)` },
+        });
+      }
+      rates[modelId.trim()] = { input, output };
+    }
+    patch.custom_model_rates = rates;
+  }
   if (typeof allow_user_override === 'boolean') patch.allow_user_override = allow_user_override;
   if (typeof allow_user_byok     === 'boolean') patch.allow_user_byok     = allow_user_byok;
 
@@ -281,7 +312,9 @@ router.get('/credentials', adminOnly, async (req, res) => {
 // Body: { provider, api_key, label?, endpoint_url?, test_model? }
 //
 // Validates the key by making a 1-token call BEFORE storing. If validation
-// fails, nothing is persisted.
+// fails, nothing is persisted. api_key may be omitted for self-hosted
+// endpoints (keyOptional); a placeholder is stored so the credential row,
+// which carries the endpoint, still exists.
 // ─────────────────────────────────────────────────────────────────────────
 router.post('/credentials', adminOnly, async (req, res) => {
   const { provider, api_key, label, endpoint_url, test_model } = req.body || {};
@@ -289,10 +322,11 @@ router.post('/credentials', adminOnly, async (req, res) => {
   if (!provider || !isValidProvider(provider)) {
     return res.status(400).json({ error: { message: `Unknown provider: ${provider}` } });
   }
-  if (!api_key || typeof api_key !== 'string') {
+  const def = getProvider(provider);
+  const apiKey = api_key || (def.keyOptional ? KEY_PLACEHOLDER : null);
+  if (!apiKey || typeof apiKey !== 'string') {
     return res.status(400).json({ error: { message: 'api_key required' } });
   }
-  const def = getProvider(provider);
   if (def.requiresEndpoint && !endpoint_url) {
     return res.status(400).json({ error: { message: `Provider ${provider} requires endpoint_url` } });
   }
@@ -304,7 +338,7 @@ router.post('/credentials', adminOnly, async (req, res) => {
 
   // Validate first
   const validation = await AIClientResolver.validateKey({
-    provider, apiKey: api_key, endpointUrl: endpoint_url, model: test_model,
+    provider, apiKey, endpointUrl: endpoint_url, model: test_model,
   });
   if (!validation.ok) {
     return res.status(400).json({
@@ -317,13 +351,16 @@ router.post('/credentials', adminOnly, async (req, res) => {
       orgId:       req.orgId,
       userId:      null,
       provider,
-      apiKey:      api_key,
+      apiKey,
       label,
       endpointUrl: endpoint_url,
       createdBy:   req.userId,
     });
     await CredentialsStore.markValidated(stored.id, true);
     AIClientResolver._clearCache();
+    if (def.adapter === 'self-hosted') {
+      await ModelDiscoveryService.discoverOrgModels(req.orgId);
+    }
 
     res.status(201).json({
       credential: { ...stored, last_validated_at: new Date().toISOString() },
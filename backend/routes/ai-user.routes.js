@@ -20,6 +20,7 @@ const {
 const CredentialsStore  = require('../services/ai/CredentialsStore');
 const AIClientResolver  = require('../services/ai/AIClientResolver');
 const ModelDiscoveryService = require('../services/ai/ModelDiscoveryService');
+const { KEY_PLACEHOLDER }   = require('../services/ai/adapters/OpenAICompatibleAdapter');
 
 const router = express.Router();
 router.use(authenticateToken, orgContext);
@@ -57,7 +58,7 @@ router.get('/config', async (req, res) => {
     // is unavailable, so this endpoint never hard-fails on it.
     let providers;
     try {
-      const merged = await ModelDiscoveryService.getAllMergedModels();
+      const merged = await ModelDiscoveryService.getAllMergedModels(req.orgId);
       providers = listProviders().map(p => ({
         ...p,
         models: merged[p.id] || p.models,
@@ -219,9 +220,12 @@ router.post('/credentials', async (req, res) => {
   if (!provider || !isValidProvider(provider)) {
     return res.status(400).json({ error: { message: `Unknown provider: ${provider}` } });
   }
-  if (!api_key) return res.status(400).json({ error: { message: 'api_key required' } });
-
   const def = getProvider(provider);
+  // Self-hosted endpoints usually take no key; store a placeholder so the
+  // credential row (which carries the endpoint) still exists.
+  const apiKey = api_key || (def.keyOptional ? KEY_PLACEHOLDER : null);
+  if (!apiKey) return res.status(400).json({ error: { message: 'api_key required' } });
+
   if (def.requiresEndpoint && !endpoint_url) {
     return res.status(400).json({ error: { message: `Provider ${provider} requires endpoint_url` } });
   }
@@ -230,7 +234,7 @@ router.post('/credentials', async (req, res) => {
   }
 
   const validation = await AIClientResolver.validateKey({
-    provider, apiKey: api_key, endpointUrl: endpoint_url, model: test_model,
+    provider, apiKey, endpointUrl: endpoint_url, model: test_model,
   });
   if (!validation.ok) {
     return res.status(400).json({
@@ -243,7 +247,7 @@ router.post('/credentials', async (req, res) => {
       orgId:       req.orgId,
       userId:      req.userId,
       provider,
-      apiKey:      api_key,
+      apiKey,
       label,
       endpointUrl: endpoint_url,
       createdBy:   req.userId,
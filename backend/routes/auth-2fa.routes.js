@@ -0,0 +1,67 @@
+/**
+ * /api/auth/2fa — public second step of password and SSO login
+ *
+ * POST /api/auth/login and POST /api/auth/sso/exchange answer
+ * 401 { error: { code, challengeToken } } when a code is needed:
+ *   MFA_REQUIRED         → POST /verify           { challengeToken, code }
+ *   MFA_ENROLL_REQUIRED  → POST /enroll/start     { challengeToken }
+ *                            → { secret, otpauthUrl, qrDataUrl }
+ *                          POST /enroll/confirm   { challengeToken, code }
+ *                            → { user, token, recoveryCodes }
+ * /verify answers { user, token } — the same body as a successful login.
+ * `code` may be a 6-digit TOTP or a recovery code.
+ *
+ * Logic lives in services/twoFactor.service.js. Sits under /api/auth/ so the
+ * auth rate limiter applies on top of the per-challenge attempt limit.
+ *
+ * Mount in server.js:
+ *   app.use('/api/auth/2fa', require('./routes/auth-2fa.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+const db      = require('../config/database');
+const TwoFactor = require('../services/twoFactor.service');
+const { issueSession } = require('../services/authSession.service');
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('2fa challenge route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.status ? e.message : 'Verification failed', code: e.code } });
+  });
+
+// An SSO challenge carries the IdP's org; the session stays scoped to it.
+async function sessionFor(userId, { orgId = null } = {}) {
+  const { rows: [user] } = await db.query(
+    'SELECT id, email, first_name, last_name, role, timezone FROM users WHERE id = $1', [userId]);
+  const session = await issueSession(user, { orgId });
+  if (orgId && session.user.org_id !== orgId) {
+    throw Object.assign(new Error('Your access to this organization has been removed.'), { status: 403 });
+  }
+  return session;
+}
+
+router.post('/verify', (req, res) => send(res, TwoFactor.useChallenge(
+  req.body?.challengeToken, 'verify',
+  async (userId, scope) => {
+    await TwoFactor.verify(userId, req.body?.code);
+    return sessionFor(userId, scope);
+  },
+)));
+
+router.post('/enroll/start', (req, res) => send(res, TwoFactor.useChallenge(
+  req.body?.challengeToken, 'enroll',
+  (userId) => TwoFactor.beginSetup(userId),
+  { keepOpen: true },
+)));
+
+router.post('/enroll/confirm', (req, res) => send(res, TwoFactor.useChallenge(
+  req.body?.challengeToken, 'enroll',
+  async (userId, scope) => {
+    const { recoveryCodes } = await TwoFactor.confirmSetup(userId, req.body?.code);
+    return { ...(await sessionFor(userId, scope)), recoveryCodes };
+  },
+)));
+
+module.exports = router;
@@ -24,48 +24,12 @@ const loginSchema = Joi.object({
 });
 
 // ─────────────────────────────────────────────────────────────
-// Helper: look up org membership for a user and return the
-// payload fields needed for the JWT and the /verify response.
-// Returns { org_id, role, org_name, org_slug } — all null
-// (except role which defaults to 'member') if user has no org.
-//
-// We JOIN organizations so the /verify response can carry the
-// human-readable org name. The Chrome extension consumes this
-// to display "Saving as <email> · <org_name>" so reps can tell
-// at a glance which workspace their LinkedIn captures land in.
-// JWT payload still only carries id+role to keep tokens small.
+// Session helpers live in services/authSession.service.js so the
+// SAML SSO exchange (routes/sso.routes.js) issues the same session.
 // ─────────────────────────────────────────────────────────────
-async function getOrgPayload(userId) {
-  const result = await db.query(
-    `SELECT ou.org_id, ou.role, o.name AS org_name, o.slug AS org_slug
-     FROM org_users ou
-     LEFT JOIN organizations o ON o.id = ou.org_id
-     WHERE ou.user_id = $1 AND ou.is_active = TRUE
-     ORDER BY ou.joined_at ASC
-     LIMIT 1`,
-    [userId]
-  );
-  return {
-    org_id:   result.rows[0]?.org_id   ?? null,
-    role:     result.rows[0]?.role     ?? 'member',
-    org_name: result.rows[0]?.org_name ?? null,
-    org_slug: result.rows[0]?.org_slug ?? null,
-  };
-}
-
-// ─────────────────────────────────────────────────────────────
-// Helper: check if user has active super admin access.
-// Returns boolean — used to include is_super_admin in login
-// response so the frontend can gate the Platform Admin nav item
-// without an extra round-trip.
-// ─────────────────────────────────────────────────────────────
-async function isSuperAdmin(userId) {
-  const result = await db.query(
-    `SELECT 1 FROM super_admins WHERE user_id = $1 AND revoked_at IS NULL`,
-    [userId]
-  );
-  return result.rows.length > 0;
-}
+const { getOrgPayload, isSuperAdmin, signToken, issueSession } = require('../services/authSession.service');
+const SamlSso = require('../services/samlSso.service');
+const TwoFactor = require('../services/twoFactor.service');
 
 // ─────────────────────────────────────────────────────────────
 // POST /api/auth/register
@@ -133,37 +97,7 @@ router.post('/register', async (req, res) => {
       await moduleAccess.grantAllEnabledToUser(1, user.id);
     } catch (e) { console.error('module grant (register):', e.message); }
 
-    // Build JWT payload with org context
-    const orgPayload = await getOrgPayload(user.id);
-    const superAdmin = await isSuperAdmin(user.id);
-
-    const token = jwt.sign(
-      {
-        userId: user.id,        // kept as userId to match existing convention
-        email:  user.email,
-        org_id: orgPayload.org_id,
-        role:   orgPayload.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    res.status(201).json({
-      user: {
-        id:             user.id,
-        email:          user.email,
-        firstName:      user.first_name,
-        lastName:       user.last_name,
-        role:           user.role,
-        timezone:       user.timezone,
-        org_id:         orgPayload.org_id,
-        org_role:       orgPayload.role,
-        org_name:       orgPayload.org_name,
-        org_slug:       orgPayload.org_slug,
-        is_super_admin: superAdmin,
-      },
-      token
-    });
+    res.status(201).json(await issueSession(user));
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ error: { message: 'Registration failed' } });
@@ -202,9 +136,18 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: { message: 'Invalid credentials' } });
     }
 
-    // Get org membership
-    const orgPayload = await getOrgPayload(user.id);
-    const superAdmin = await isSuperAdmin(user.id);
+    // SSO-only orgs refuse password login (owners keep it as break-glass
+    // for when the IdP is down or misconfigured).
+    const enforced = await SamlSso.enforcementFor(user.id);
+    if (enforced) {
+      return res.status(403).json({
+        error: {
+          message:  'Your organization requires single sign-on. Continue with SSO.',
+          code:     'SSO_REQUIRED',
+          loginUrl: enforced.loginUrl,
+        },
+      });
+    }
 
     // First-login timezone capture: only set if not already stored, so a
     // value the rep later edits in settings is never overwritten by a login
@@ -220,39 +163,31 @@ router.post('/login', async (req, res) => {
         console.warn('Timezone capture on login failed (non-fatal):', tzErr.message);
       }
     }
-    const token = jwt.sign(
-      {
-        userId: user.id,        // kept as userId to match existing convention
-        email:  user.email,
-        org_id: orgPayload.org_id,
-        role:   orgPayload.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
 
-    res.json({
-      user: {
-        id:             user.id,
-        email:          user.email,
-        firstName:      user.first_name,
-        lastName:       user.last_name,
-        role:           user.role,
-        timezone:       user.timezone,
-        org_id:         orgPayload.org_id,
-        org_role:       orgPayload.role,
-        org_name:       orgPayload.org_name,
-        org_slug:       orgPayload.org_slug,
-        is_super_admin: superAdmin,
-      },
-      token
-    });
+    // Second factor: enrolled users (or users an org policy covers) get a
+    // challenge token instead of a session — finished at /api/auth/2fa.
+    const mfa = await TwoFactor.loginGate(user);
+    if (mfa) {
+      return res.status(401).json({ error: mfa });
+    }
+
+    res.json(await issueSession(user));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: { message: 'Login failed' } });
   }
 });
 
+// The token's own org while the user is still active in it, else the
+// default (first-joined) org.
+async function tokenOrgPayload(userId, tokenOrgId) {
+  if (tokenOrgId) {
+    const scoped = await getOrgPayload(userId, tokenOrgId);
+    if (scoped.org_id) return scoped;
+  }
+  return getOrgPayload(userId);
+}
+
 // ─────────────────────────────────────────────────────────────
 // GET /api/auth/verify
 // Used by the frontend on page load to rehydrate user state.
@@ -277,8 +212,9 @@ router.get('/verify', async (req, res) => {
     const user = result.rows[0];
 
     // Always do a fresh DB lookup for org — handles cases where
-    // the JWT is old and doesn't carry org_id yet
-    const orgPayload = await getOrgPayload(user.id);
+    // the JWT is old and doesn't carry org_id yet. A token scoped to an
+    // org (SSO) stays on it while the membership is active.
+    const orgPayload = await tokenOrgPayload(user.id, decoded.org_id);
     const superAdmin = await isSuperAdmin(user.id);
 
     res.json({
@@ -362,18 +298,9 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: { message: 'User not found', code: 'TOKEN_INVALID' } });
     }
     const user = userRes.rows[0];
-    const orgPayload = await getOrgPayload(user.id);
-
-    const newToken = jwt.sign(
-      {
-        userId: user.id,        // kept as userId to match existing convention
-        email:  user.email,
-        org_id: orgPayload.org_id,
-        role:   orgPayload.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const orgPayload = await tokenOrgPayload(user.id, decoded.org_id);
+
+    const newToken = signToken(user, orgPayload);
 
     res.json({ token: newToken });
   } catch (error) {
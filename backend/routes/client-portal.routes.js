@@ -12,12 +12,29 @@
  * GET    /me                         get current portal user info
  * GET    /dashboard                  full read-only dashboard for the client
  * POST   /cases                      raise a support case (optional)
+ *
+ * Projects (2026_144 — services/clientPortalProjects.service.js)
+ * GET    /projects                                  delivery projects for this client
+ * GET    /projects/:id                              live, client-safe status
+ * GET    /projects/:id/plays/:playId/comments       comments on a task
+ * POST   /projects/:id/plays/:playId/comments       add a comment
+ * POST   /projects/:id/plays/:playId/evidence       upload a file (multipart: file, note)
+ * POST   /projects/:id/stages/:stageKey/signoff     approve a stage or request changes
  */
 
 const express = require('express');
 const router  = express.Router();
 const jwt     = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const portalProjects = require('../services/clientPortalProjects.service');
+
+// Same arrangement as handovers.routes.js: the buffer goes straight to the
+// org's Drive/OneDrive and never to this container's disk.
+const multer = require('multer');
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 },
+});
 
 const JWT_SECRET  = process.env.JWT_SECRET || 'changeme';
 const PORTAL_EXPIRY = '7d';
@@ -284,4 +301,76 @@ router.post('/cases', portalAuth, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Projects — what is being delivered, and what the client owes (2026_144)
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/projects', portalAuth, async (req, res) => {
+  try {
+    res.json(await portalProjects.listProjects(req.portalUser));
+  } catch (err) {
+    console.error('GET /portal/projects', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to load projects' } });
+  }
+});
+
+router.get('/projects/:id', portalAuth, async (req, res) => {
+  try {
+    res.json(await portalProjects.getProjectStatus(req.portalUser, parseInt(req.params.id)));
+  } catch (err) {
+    console.error('GET /portal/projects/:id', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to load project' } });
+  }
+});
+
+router.get('/projects/:id/plays/:playId/comments', portalAuth, async (req, res) => {
+  try {
+    res.json(await portalProjects.listComments(
+      req.portalUser, parseInt(req.params.id), parseInt(req.params.playId)));
+  } catch (err) {
+    console.error('GET /portal/projects/:id/plays/:playId/comments', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to load comments' } });
+  }
+});
+
+router.post('/projects/:id/plays/:playId/comments', portalAuth, async (req, res) => {
+  try {
+    res.status(201).json(await portalProjects.addComment(
+      req.portalUser, parseInt(req.params.id), parseInt(req.params.playId), req.body || {}));
+  } catch (err) {
+    console.error('POST /portal/projects/:id/plays/:playId/comments', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to add comment' } });
+  }
+});
+
+router.post('/projects/:id/plays/:playId/evidence', portalAuth, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: { message: 'No file received' } });
+    res.status(201).json(await portalProjects.submitEvidence(
+      req.portalUser, parseInt(req.params.id), parseInt(req.params.playId),
+      {
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        buffer:   req.file.buffer,
+        note:     (req.body || {}).note,
+      }
+    ));
+  } catch (err) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: { message: 'That file is over the 100 MB limit.' } });
+    }
+    console.error('POST /portal/projects/:id/plays/:playId/evidence', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Upload failed' } });
+  }
+});
+
+router.post('/projects/:id/stages/:stageKey/signoff', portalAuth, async (req, res) => {
+  try {
+    res.status(201).json(await portalProjects.signOffStage(
+      req.portalUser, parseInt(req.params.id), req.params.stageKey, req.body || {}));
+  } catch (err) {
+    console.error('POST /portal/projects/:id/stages/:stageKey/signoff', err);
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to record sign-off' } });
+  }
+});
+
 module.exports = router;
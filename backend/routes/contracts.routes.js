@@ -17,6 +17,9 @@ const ContractActionsGenerator = require('../services/ContractActionsGenerator')
 const PlaybookActionGenerator  = require('../services/PlaybookActionGenerator');
 const ActionWriter             = require('../services/ActionWriter');
 const PlaybookService          = require('../services/playbook.service');
+const DocumentGeneration       = require('../services/documentGeneration.service');
+const Redline                  = require('../services/contractRedline.service');
+const Renewals                 = require('../services/contractRenewal.service');
 
 router.use(auth);
 router.use(orgContext);
@@ -53,7 +56,11 @@ router.use(gate);
 // ── Contract Templates ────────────────────────────────────────────────
 // Table: contract_templates (already exists in DB)
 // Columns: id, org_id, contract_type, name, description,
-//          file_url, file_name, file_size, is_active, uploaded_by, created_at, updated_at
+//          file_url, file_name, file_size, is_active, uploaded_by, created_at, updated_at,
+//          body (2026_148 — merge-field text for POST /:id/generate)
+//
+// A template needs a file, a body, or both. Bodies are checked against the
+// known merge fields on save so a typo fails here, not in front of a rep.
 //
 // NOTE: file_url is aliased as document_url in SELECT so ContractCreateModal
 //       (which reads tpl.document_url) and OACLMTemplates (which reads t.file_url)
@@ -64,7 +71,7 @@ router.get('/templates', async (req, res) => {
   try {
     const r = await db.query(
       `SELECT id, org_id, contract_type, name, description,
-              file_url, file_url AS document_url, file_name, file_size,
+              file_url, file_url AS document_url, file_name, file_size, body,
               is_active, uploaded_by, created_at, updated_at
        FROM contract_templates
        WHERE org_id = $1 AND is_active = TRUE
@@ -85,7 +92,7 @@ router.get('/templates/by-type/:contractType', async (req, res) => {
     const { contractType } = req.params;
     const r = await db.query(
       `SELECT id, org_id, contract_type, name, description,
-              file_url, file_url AS document_url, file_name, file_size,
+              file_url, file_url AS document_url, file_name, file_size, body,
               is_active, uploaded_by, created_at, updated_at
        FROM contract_templates
        WHERE org_id = $1 AND contract_type = $2 AND is_active = TRUE
@@ -100,29 +107,68 @@ router.get('/templates/by-type/:contractType', async (req, res) => {
 });
 
 // POST /templates — create template (admin/owner only, used by OACLMTemplates)
-// Payload: { contractType, name, description?, fileUrl, fileName?, fileSize? }
+// Payload: { contractType, name, description?, fileUrl?, fileName?, fileSize?, body? }
 router.post('/templates', requireRole('admin', 'owner'), async (req, res) => {
   try {
     const { contractType, name, description = '', fileUrl, fileName = '', fileSize = null } = req.body;
-    if (!contractType || !name?.trim() || !fileUrl?.trim()) {
-      return res.status(400).json({ error: { message: 'contractType, name, and fileUrl are required' } });
+    const body = req.body.body?.trim() || null;
+    if (!contractType || !name?.trim() || (!fileUrl?.trim() && !body)) {
+      return res.status(400).json({ error: { message: 'contractType, name, and a fileUrl or template text are required' } });
     }
+    if (body) DocumentGeneration.validateTemplateBody(body);
     const r = await db.query(
       `INSERT INTO contract_templates
-         (org_id, contract_type, name, description, file_url, file_name, file_size, uploaded_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         (org_id, contract_type, name, description, file_url, file_name, file_size, body, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING id, org_id, contract_type, name, description,
-                 file_url, file_url AS document_url, file_name, file_size,
+                 file_url, file_url AS document_url, file_name, file_size, body,
                  is_active, uploaded_by, created_at, updated_at`,
-      [req.orgId, contractType, name.trim(), description, fileUrl.trim(), fileName, fileSize, req.userId]
+      [req.orgId, contractType, name.trim(), description, fileUrl?.trim() || null,
+       fileUrl?.trim() ? fileName : null, fileSize, body, req.userId]
     );
     res.status(201).json({ template: r.rows[0] });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
     console.error('POST /contracts/templates error:', err);
     res.status(500).json({ error: { message: 'Failed to create template' } });
   }
 });
 
+// PUT /templates/:id — edit name, description, file or body (admin/owner only)
+// Send body: '' to clear the text; a template must keep a file or a body.
+router.put('/templates/:id', requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const { name, description, fileUrl, fileName } = req.body;
+    const body = req.body.body === undefined ? undefined : (req.body.body?.trim() || null);
+    if (body) DocumentGeneration.validateTemplateBody(body);
+    const r = await db.query(
+      `UPDATE contract_templates SET
+         name        = COALESCE($3, name),
+         description = COALESCE($4, description),
+         file_url    = CASE WHEN $5::boolean THEN $6 ELSE file_url END,
+         file_name   = CASE WHEN $5::boolean THEN $7 ELSE file_name END,
+         body        = CASE WHEN $8::boolean THEN $9 ELSE body END,
+         updated_at  = NOW()
+       WHERE id = $1 AND org_id = $2 AND is_active = TRUE
+       RETURNING id, org_id, contract_type, name, description,
+                 file_url, file_url AS document_url, file_name, file_size, body,
+                 is_active, uploaded_by, created_at, updated_at`,
+      [parseInt(req.params.id, 10), req.orgId, name?.trim() || null, description ?? null,
+       fileUrl !== undefined, fileUrl?.trim() || null, fileUrl?.trim() ? (fileName || null) : null,
+       body !== undefined, body ?? null]
+    );
+    if (!r.rows[0]) return res.status(404).json({ error: { message: 'Template not found' } });
+    res.json({ template: r.rows[0] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    if (err.code === '23514') {
+      return res.status(400).json({ error: { message: 'A template needs a file or template text' } });
+    }
+    console.error('PUT /contracts/templates/:id error:', err);
+    res.status(500).json({ error: { message: 'Failed to update template' } });
+  }
+});
+
 // DELETE /templates/:id — soft delete (admin/owner only, used by OACLMTemplates)
 router.delete('/templates/:id', requireRole('admin', 'owner'), async (req, res) => {
   try {
@@ -146,6 +192,59 @@ router.delete('/templates/:id', requireRole('admin', 'owner'), async (req, res)
   }
 });
 
+// ── Clause library (2026_149) ───────────────────────────────────────────
+// Approved / fallback / forbidden wordings that incoming versions are checked
+// against. Anyone can read it (the redline view shows it); legal team members
+// and admins maintain it.
+
+async function legalOrAdmin(req, res, next) {
+  try {
+    if (await CS.isLegalTeamMember(req.orgId, req.userId)) return next();
+    const r = await db.query(
+      `SELECT role FROM org_users WHERE user_id=$1 AND org_id=$2 AND is_active=TRUE`,
+      [req.userId, req.orgId]
+    );
+    if (['owner', 'admin'].includes(r.rows[0]?.role)) return next();
+    res.status(403).json({ error: { message: 'Legal team or admins only' } });
+  } catch (err) { res.status(500).json({ error: { message: 'Failed' } }); }
+}
+
+function clauseError(res, err, label) {
+  if (!err.status) console.error(`${label} error:`, err);
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to save clause' } });
+}
+
+router.get('/clauses', async (req, res) => {
+  try {
+    const clauses = await Redline.listClauses(req.orgId, { contractType: req.query.contractType || null });
+    res.json({ clauses });
+  } catch (err) {
+    console.error('GET /contracts/clauses error:', err);
+    res.status(500).json({ error: { message: 'Failed to load clause library' } });
+  }
+});
+
+// Payload: { name, guidance?, contractTypes?: [], matchTerms?: [], isRequired?,
+//            variants: [{ position: 'approved'|'fallback'|'forbidden', label?, body, notes? }] }
+router.post('/clauses', legalOrAdmin, async (req, res) => {
+  try {
+    res.status(201).json({ clause: await Redline.createClause(req.orgId, req.userId, req.body || {}) });
+  } catch (err) { clauseError(res, err, 'POST /contracts/clauses'); }
+});
+
+// Same payload, every field optional; variants, when sent, replace the set.
+router.put('/clauses/:clauseId', legalOrAdmin, async (req, res) => {
+  try {
+    res.json({ clause: await Redline.updateClause(req.orgId, parseInt(req.params.clauseId, 10), req.body || {}) });
+  } catch (err) { clauseError(res, err, 'PUT /contracts/clauses/:id'); }
+});
+
+router.delete('/clauses/:clauseId', legalOrAdmin, async (req, res) => {
+  try {
+    res.json(await Redline.deleteClause(req.orgId, parseInt(req.params.clauseId, 10)));
+  } catch (err) { clauseError(res, err, 'DELETE /contracts/clauses/:id'); }
+});
+
 // ── Legal team ────────────────────────────────────────────────────────
 router.get('/legal/team-status', async (req, res) => {
   try {
@@ -222,6 +321,20 @@ router.put('/admin/workflow-config', requireRole('admin','owner'), async (req, r
   }
 });
 
+// ── Admin: renewal config (2026_150) ───────────────────────────────────
+router.get('/admin/renewal-config', requireRole('admin','owner'), async (req, res) => {
+  try { res.json({ config: await Renewals.getRenewalConfig(req.orgId) }); }
+  catch (err) { res.status(500).json({ error: { message: 'Failed to fetch renewal settings' } }); }
+});
+
+router.put('/admin/renewal-config', requireRole('admin','owner'), async (req, res) => {
+  try { res.json({ config: await Renewals.saveRenewalConfig(req.orgId, req.body) }); }
+  catch (err) {
+    if (!err.status) console.error('Save renewal config error:', err);
+    res.status(err.status||500).json({ error: { message: err.status ? err.message : 'Failed to save renewal settings' } });
+  }
+});
+
 // ── Admin: approval config ─────────────────────────────────────────────
 router.get('/admin/approval-config', requireRole('admin','owner'), async (req, res) => {
   try { res.json({ config: await AS.getApprovalConfig(req.orgId) }); }
@@ -297,6 +410,16 @@ router.post('/bulk-submit-legal', async (req, res) => {
   } catch (err) { res.status(err.status||500).json({ error: { message: err.message } }); }
 });
 
+// ── Renewals (2026_150) ────────────────────────────────────────────────
+// Upcoming and just-lapsed contracts with their renewal deal and at-risk
+// flags. scope=mine → contracts, accounts or renewal deals the caller owns.
+router.get('/renewals', async (req, res) => {
+  try {
+    const { scope, days } = req.query;
+    res.json(await Renewals.listRenewals(req.orgId, { userId: req.userId, scope, days }));
+  } catch (err) { console.error('List renewals error:', err); res.status(500).json({ error: { message: 'Failed to fetch renewals' } }); }
+});
+
 // ── Contracts CRUD ─────────────────────────────────────────────────────
 router.get('/', async (req, res) => {
   try {
@@ -341,8 +464,10 @@ router.delete('/:id', async (req, res) => {
 router.get('/:id/versions', async (req, res) => {
   try {
     const r = await db.query(
-      `SELECT cdv.*, u.first_name, u.last_name FROM contract_document_versions cdv
+      `SELECT cdv.*, u.first_name, u.last_name, cvt.status AS text_status
+       FROM contract_document_versions cdv
        LEFT JOIN users u ON u.id=cdv.uploaded_by
+       LEFT JOIN contract_version_texts cvt ON cvt.version_id=cdv.id
        WHERE cdv.contract_id=$1 AND cdv.org_id=$2
        ORDER BY cdv.version_major DESC, cdv.version_minor DESC, cdv.created_at DESC`,
       [parseInt(req.params.id,10), req.orgId]
@@ -355,6 +480,7 @@ router.post('/:id/versions', async (req, res) => {
   try {
     const contractId = parseInt(req.params.id,10);
     const version = await CS.uploadDocumentVersion(req.orgId, contractId, req.userId, req.body);
+    extractText(req, version.id);
     const ct = await db.query(
       `SELECT title, legal_assignee_id, status, review_sub_status FROM contracts WHERE id=$1`,
       [contractId]
@@ -368,6 +494,82 @@ router.post('/:id/versions', async (req, res) => {
   } catch (err) { res.status(err.status||500).json({ error: { message: err.message } }); }
 });
 
+// Render a template to a branded PDF and file it as the next version (2026_148).
+// Body: { templateId, quoteId?, versionType?: 'major'|'minor', comment? }
+router.post('/:id/generate', async (req, res) => {
+  try {
+    const contractId = parseInt(req.params.id,10);
+    const result = await DocumentGeneration.generateContractPdf(req.orgId, req.userId, contractId, req.body || {});
+    if (result.document.contractVersionId) extractText(req, result.document.contractVersionId);
+    const ct = await db.query(
+      `SELECT title, legal_assignee_id, review_sub_status FROM contracts WHERE id=$1`,
+      [contractId]
+    );
+    const contract = ct.rows[0];
+    if (contract?.legal_assignee_id && contract?.review_sub_status === 'with_sales') {
+      NS.notifyResubmittedToLegal(req.orgId, contractId, contract.title, contract.legal_assignee_id, [], req.userId).catch(() => {});
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error('POST /contracts/:id/generate error:', err);
+    res.status(status).json({ error: { message: status >= 500 ? 'Failed to generate document' : err.message } });
+  }
+});
+
+// ── Redlines (2026_149) ─────────────────────────────────────────────────
+// Each version's text is extracted in the background after upload and checked
+// against the clause library; these routes read it, retry it, take pasted text
+// when the file cannot be read, and compare two versions.
+
+function extractText(req, versionId) {
+  Redline.extractVersionText(req.orgId, versionId, { userId: req.userId, notify: true })
+    .catch(err => console.error('[redline] extract after upload:', err.message));
+}
+
+function redlineError(res, err, label) {
+  if (!err.status) console.error(`${label} error:`, err);
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed' } });
+}
+
+// GET /:id/versions/compare?from=<versionId>&to=<versionId>
+router.get('/:id/versions/compare', async (req, res) => {
+  try {
+    const result = await Redline.compareVersions(req.orgId, parseInt(req.params.id, 10),
+      parseInt(req.query.from, 10) || null, parseInt(req.query.to, 10) || null);
+    res.json(result);
+  } catch (err) { redlineError(res, err, 'GET /contracts/:id/versions/compare'); }
+});
+
+router.get('/:id/versions/:versionId/text', async (req, res) => {
+  try {
+    res.json({ text: await Redline.getVersionText(req.orgId, parseInt(req.params.versionId, 10)) });
+  } catch (err) { redlineError(res, err, 'GET /contracts/:id/versions/:vid/text'); }
+});
+
+// Re-read the file now (waits for the result, unlike the upload hook).
+router.post('/:id/versions/:versionId/extract', async (req, res) => {
+  try {
+    res.json(await Redline.extractVersionText(req.orgId, parseInt(req.params.versionId, 10), { userId: req.userId }));
+  } catch (err) { redlineError(res, err, 'POST /contracts/:id/versions/:vid/extract'); }
+});
+
+// Body: { text } — for scans and files the uploader's connection cannot open.
+router.put('/:id/versions/:versionId/text', async (req, res) => {
+  try {
+    res.json(await Redline.setManualText(req.orgId, parseInt(req.params.versionId, 10), req.userId, req.body?.text));
+  } catch (err) { redlineError(res, err, 'PUT /contracts/:id/versions/:vid/text'); }
+});
+
+// Re-run the clause check, e.g. after the library changed.
+router.post('/:id/versions/:versionId/check', async (req, res) => {
+  try {
+    const flags = await Redline.checkVersion(req.orgId, parseInt(req.params.versionId, 10));
+    if (!flags) return res.status(409).json({ error: { message: 'This version has no text yet' } });
+    res.json({ flags });
+  } catch (err) { redlineError(res, err, 'POST /contracts/:id/versions/:vid/check'); }
+});
+
 // ── Transitions ────────────────────────────────────────────────────────
 
 // Submit draft to legal review (draft → in_review/with_legal)
@@ -605,12 +807,29 @@ router.post('/:id/upload-executed', async (req, res) => {
   try {
     const contractId = parseInt(req.params.id,10);
     const result = await CS.uploadExecutedDocument(req.orgId, contractId, req.userId, req.body);
+    extractText(req, result.version.id);
     NS.notifyAllSigned(req.orgId, contractId, result.title, result.ownerId).catch(() => {});
     NS.notifyPendingBooking(req.orgId, contractId, result.title, result.ownerId).catch(() => {});
     res.status(201).json({ version: result.version });
   } catch (err) { res.status(err.status||500).json({ error: { message: err.message } }); }
 });
 
+// ── Renewal terms + renewal deal ───────────────────────────────────────
+router.put('/:id/renewal', async (req, res) => {
+  try {
+    const terms = await Renewals.updateRenewalTerms(req.orgId, parseInt(req.params.id,10), req.userId, req.body);
+    res.json({ terms });
+  } catch (err) { res.status(err.status||500).json({ error: { message: err.message } }); }
+});
+
+router.post('/:id/renewal-deal', async (req, res) => {
+  try {
+    const created = await Renewals.createRenewalDeal(req.orgId, parseInt(req.params.id,10), { userId: req.userId });
+    Renewals.notifyOpened(req.orgId, created, { exceptUserId: req.userId }).catch(() => {});
+    res.status(201).json({ deal: created.deal, lineItems: created.lineItems });
+  } catch (err) { res.status(err.status||500).json({ error: { message: err.message } }); }
+});
+
 // ── Hierarchy ──────────────────────────────────────────────────────────
 router.get('/:id/hierarchy', async (req, res) => {
   try {
@@ -10,6 +10,8 @@ const DealContextBuilder      = require('../services/DealContextBuilder');
 const PlaybookActionGenerator = require('../services/PlaybookActionGenerator');
 const ActionWriter            = require('../services/ActionWriter');
 const PlaybookService         = require('../services/playbook.service');
+const CurrencyService         = require('../services/currency.service');
+const OutboundWebhooks        = require('../services/outboundWebhook.service');
 const { workflowRulesMiddleware } = require('../middleware/workflowRules.middleware');
 
 router.use(authenticateToken);
@@ -102,15 +104,20 @@ router.get('/', async (req, res) => {
 
     query += ' GROUP BY d.id, acc.id, u.id ORDER BY d.expected_close_date ASC';
 
-    const result = await db.query(query, params);
+    const [result, corporateCurrency] = await Promise.all([
+      db.query(query, params),
+      CurrencyService.getCorporateCurrency(req.orgId),
+    ]);
 
     res.json({
+      corporateCurrency,
       deals: result.rows.map(row => ({
         id:                  row.id,
         user_id:             row.owner_id,
         account_id:          row.account_id,
         name:                row.name,
         value:               parseFloat(row.value),
+        currency:            row.currency || corporateCurrency,
         stage:               row.stage,
         stage_type:          row.stage_type || null,
         health:              row.health,
@@ -140,8 +147,12 @@ router.get('/pipeline/summary', async (req, res) => {
   try {
     const { scope = 'mine' } = req.query;
 
+    // Totals are in the corporate currency ($2); deals with no usable rate
+    // are left out of total_value and counted in unconverted.
     let ownerFilter;
-    const params = [req.orgId];
+    const corporateCurrency = await CurrencyService.getCorporateCurrency(req.orgId);
+    const fx = CurrencyService.fxSql('d', '$2');
+    const params = [req.orgId, corporateCurrency];
 
     if (scope === 'team' && req.subordinateIds?.length > 0) {
       const teamIds = [req.user.userId, ...req.subordinateIds];
@@ -162,10 +173,12 @@ router.get('/pipeline/summary', async (req, res) => {
          ds.stage_type,
          ds.is_terminal,
          COUNT(d.id)   AS count,
-         SUM(d.value)  AS total_value
+         SUM(${fx.value})  AS total_value,
+         COUNT(d.id) FILTER (WHERE ${fx.unconverted}) AS unconverted
        FROM deals d
        LEFT JOIN pipeline_stages ds
          ON ds.org_id = d.org_id AND ds.pipeline = 'sales' AND ds.key = d.stage
+       ${fx.join}
        WHERE d.org_id   = $1
          ${ownerFilter}
          AND (ds.is_terminal = FALSE OR ds.is_terminal IS NULL)
@@ -175,6 +188,7 @@ router.get('/pipeline/summary', async (req, res) => {
     );
 
     res.json({
+      currency: corporateCurrency,
       pipeline: result.rows.map(row => ({
         stage:      row.stage,
         stageName:  row.stage_name  || row.stage,
@@ -182,6 +196,7 @@ router.get('/pipeline/summary', async (req, res) => {
         sortOrder:  parseInt(row.stage_order) || 0,
         count:      parseInt(row.count),
         totalValue: parseFloat(row.total_value) || 0,
+        unconverted: parseInt(row.unconverted) || 0,
       }))
     });
   } catch (error) {
@@ -214,6 +229,7 @@ router.get('/:id', async (req, res) => {
     }
 
     const deal = dealQuery.rows[0];
+    const corporateCurrency = await CurrencyService.getCorporateCurrency(req.orgId);
 
     const [contactsQuery, activitiesQuery] = await Promise.all([
       db.query(
@@ -238,6 +254,7 @@ router.get('/:id', async (req, res) => {
         account_id:          deal.account_id,
         name:                deal.name,
         value:               parseFloat(deal.value),
+        currency:            deal.currency || corporateCurrency,
         stage:               deal.stage,
         stage_type:          deal.stage_type || null,
         health:              deal.health,
@@ -313,6 +330,10 @@ router.post('/', workflowRulesMiddleware('deal', 'create'), async (req, res) =>
   try {
     const p = req.mutatedPayload || req.body;
     const { accountId, name, value, stage, health, expectedCloseDate, probability, notes, playbookId } = p;
+    // Stamp the currency explicitly so a later corporate-currency change
+    // cannot re-denominate the deal.
+    const currency = CurrencyService.normalizeCurrency(p.currency)
+      || await CurrencyService.getCorporateCurrency(req.orgId);
 
     let resolvedStage;
     if (stage) {
@@ -331,12 +352,12 @@ router.post('/', workflowRulesMiddleware('deal', 'create'), async (req, res) =>
     const result = await db.query(
       `INSERT INTO deals
          (org_id, account_id, owner_id, name, value, stage, health,
-          expected_close_date, original_close_date, probability, notes, playbook_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11)
+          expected_close_date, original_close_date, probability, notes, playbook_id, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, $12)
        RETURNING *`,
       [req.orgId, accountId, req.user.userId, name, value,
        resolvedStage, health || 'healthy',
-       expectedCloseDate, probability || 50, notes, resolvedPlaybookId]
+       expectedCloseDate, probability || 50, notes, resolvedPlaybookId, currency]
     );
 
     const newDeal = result.rows[0];
@@ -356,7 +377,7 @@ router.post('/', workflowRulesMiddleware('deal', 'create'), async (req, res) =>
     res.status(201).json(response);
   } catch (error) {
     console.error('Create deal error:', error);
-    if (error.message?.includes('Invalid stage') || error.message?.includes('inactive')) {
+    if (error.status === 400 || error.message?.includes('Invalid stage') || error.message?.includes('inactive')) {
       return res.status(400).json({ error: { message: error.message } });
     }
     res.status(500).json({ error: { message: 'Failed to create deal' } });
@@ -377,6 +398,7 @@ router.post('/bulk', async (req, res) => {
     }
 
     const defaultStage = await resolveDefaultStage(req.orgId);
+    const corporateCurrency = await CurrencyService.getCorporateCurrency(req.orgId);
     const defaultPbRes = await db.query(
       `SELECT id FROM playbooks WHERE org_id = $1 AND is_default = TRUE LIMIT 1`,
       [req.orgId]
@@ -400,6 +422,14 @@ router.post('/bulk', async (req, res) => {
           continue;
         }
 
+        let currency;
+        try {
+          currency = CurrencyService.normalizeCurrency(row.currency) || corporateCurrency;
+        } catch (err) {
+          errors.push({ row: rowNum, message: err.message });
+          continue;
+        }
+
         let resolvedStage = defaultStage;
         if (row.stage) {
           try {
@@ -413,14 +443,14 @@ router.post('/bulk', async (req, res) => {
         const result = await db.query(
           `INSERT INTO deals
              (org_id, account_id, owner_id, name, value, stage, health,
-              expected_close_date, original_close_date, probability, notes, playbook_id)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11)
+              expected_close_date, original_close_date, probability, notes, playbook_id, currency)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, $12)
            RETURNING *`,
           [req.orgId, row.accountId || null, req.user.userId,
            row.name.trim(), value, resolvedStage, row.health || 'healthy',
            row.expectedCloseDate || null,
            row.probability ? parseInt(row.probability) : 50,
-           row.notes || null, defaultPlaybookId]
+           row.notes || null, defaultPlaybookId, currency]
         );
         imported.push(result.rows[0]);
       } catch (err) {
@@ -441,6 +471,7 @@ router.put('/:id', workflowRulesMiddleware('deal', 'update'), async (req, res) =
   try {
     const p = req.mutatedPayload || req.body;
     const { name, value, stage, health, expectedCloseDate, probability, notes, playbookId } = p;
+    const currency = CurrencyService.normalizeCurrency(p.currency);
 
     if (stage) {
       await validateStage(req.orgId, stage);
@@ -487,6 +518,7 @@ router.put('/:id', workflowRulesMiddleware('deal', 'update'), async (req, res) =
            probability         = COALESCE($6, probability),
            notes               = COALESCE($7, notes),
            playbook_id         = COALESCE($12, playbook_id),
+           currency            = COALESCE($14, currency),
            close_date_push_count = close_date_push_count + $10,
            updated_at          = CURRENT_TIMESTAMP,
            closed_at           = CASE WHEN $13 THEN CURRENT_TIMESTAMP ELSE closed_at END
@@ -494,7 +526,7 @@ router.put('/:id', workflowRulesMiddleware('deal', 'update'), async (req, res) =
        RETURNING *`,
       [name, value, stage, health, expectedCloseDate, probability, notes,
        req.params.id, req.orgId, closeDatePushIncrement, req.user.userId,
-       playbookId || null, willClose]
+       playbookId || null, willClose, currency]
     );
 
     if (result.rows.length === 0) {
@@ -508,6 +540,22 @@ router.put('/:id', workflowRulesMiddleware('deal', 'update'), async (req, res) =
         [req.params.id, req.user.userId, `Stage changed from ${current.stage} to ${stage}`]
       );
 
+      const updated = result.rows[0];
+      OutboundWebhooks.emit(req.orgId, 'deal.stage_changed', {
+        deal: {
+          id:                updated.id,
+          name:              updated.name,
+          accountId:         updated.account_id,
+          ownerId:           updated.owner_id,
+          value:             updated.value != null ? parseFloat(updated.value) : null,
+          currency:          updated.currency || null,
+          expectedCloseDate: updated.expected_close_date,
+        },
+        fromStage: current.stage,
+        toStage:   stage,
+        changedBy: req.user.userId,
+      });
+
       try {
         const config = await ActionConfigService.getConfig(req.user.userId, req.orgId);
         if (config.generate_on_stage_change) {
@@ -573,7 +621,7 @@ router.put('/:id', workflowRulesMiddleware('deal', 'update'), async (req, res) =
     res.json(putResponse);
   } catch (error) {
     console.error('Update deal error:', error);
-    if (error.message?.includes('Invalid stage') || error.message?.includes('inactive')) {
+    if (error.status === 400 || error.message?.includes('Invalid stage') || error.message?.includes('inactive')) {
       return res.status(400).json({ error: { message: error.message } });
     }
     res.status(500).json({ error: { message: 'Failed to update deal' } });
@@ -0,0 +1,86 @@
+/**
+ * documents.routes.js
+ *
+ * DROP-IN LOCATION: backend/routes/documents.routes.js
+ *
+ * Mount in server.js:
+ *   app.use('/api/documents', require('./routes/documents.routes'));
+ *
+ * Generated PDFs and the branding they carry (2026_148,
+ * services/documentGeneration.service.js). Generating lives with what is
+ * being generated: POST /api/quotes/:id/pdf and POST /api/contracts/:id/generate.
+ *
+ *   GET  /file/:token        — PUBLIC, the PDF itself. The token is the
+ *                              credential; this is the URL filed on contract
+ *                              document versions and fetched by e-signature.
+ *   GET  /                   — ?quoteId= | ?contractId= | ?dealId= → generated PDFs
+ *   GET  /merge-fields       — what template bodies may use
+ *   GET  /branding
+ *   PUT  /branding           (admin) { companyName, logoUrl, primaryColor,
+ *                                      accentColor, footerText }
+ */
+
+const express = require('express');
+const router  = express.Router();
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const documents = require('../services/documentGeneration.service');
+
+function _err(res, err, fallback) {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error('[documents]', err.message);
+  res.status(status).json({ error: { message: status >= 500 ? fallback : err.message } });
+}
+
+// ── PUBLIC: GET /file/:token ─────────────────────────────────────────────────
+// Registered before the auth middleware, same as shared baseline reports.
+
+router.get('/file/:token', async (req, res) => {
+  try {
+    const file = await documents.getFileByToken(req.params.token);
+    if (!file) return res.status(404).send('Document not found');
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${file.fileName.replace(/["\\]/g, '_')}"`);
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(file.content);
+  } catch (err) {
+    console.error('[documents] file error:', err.message);
+    res.status(500).send('Error loading document');
+  }
+});
+
+router.use(authenticateToken);
+router.use(orgContext);
+
+const _id = (v) => (v ? parseInt(v, 10) : null);
+
+router.get('/', async (req, res) => {
+  try {
+    const { quoteId, contractId, dealId } = req.query;
+    if (!quoteId && !contractId && !dealId) {
+      return res.status(400).json({ error: { message: 'quoteId, contractId or dealId is required' } });
+    }
+    res.json({ documents: await documents.listDocuments(req.orgId, {
+      quoteId: _id(quoteId), contractId: _id(contractId), dealId: _id(dealId),
+    }) });
+  } catch (err) { _err(res, err, 'Failed to fetch documents'); }
+});
+
+router.get('/merge-fields', (req, res) => {
+  res.json({ groups: documents.listMergeFields() });
+});
+
+router.get('/branding', async (req, res) => {
+  try {
+    res.json({ branding: await documents.getBranding(req.orgId) });
+  } catch (err) { _err(res, err, 'Failed to fetch branding'); }
+});
+
+router.put('/branding', requireRole('owner', 'admin'), async (req, res) => {
+  try {
+    res.json({ branding: await documents.saveBranding(req.orgId, req.body || {}) });
+  } catch (err) { _err(res, err, 'Failed to save branding'); }
+});
+
+module.exports = router;
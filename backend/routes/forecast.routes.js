@@ -0,0 +1,128 @@
+/**
+ * routes/forecast.routes.js
+ *
+ * Mount at: /api/forecast
+ *
+ * Forecast calls, quotas, category overrides and weekly snapshots.
+ * All logic lives in services/forecast.service.js.
+ *
+ * Visibility follows orgContext: a user sees themselves and req.subordinateIds;
+ * org owners/admins see anyone. Nobody submits a call on someone else's behalf.
+ *
+ *   GET   /?period=&userId=            → categorised forecast + roll-up rows
+ *   POST  /submissions                 → submit own call { periodKey, commitAmount, bestCaseAmount?, notes? }
+ *   GET   /submissions?period=&userId= → call history
+ *   GET   /quotas?period=              → quotas for the visible team
+ *   PUT   /quotas                      → set { userId, periodKey, amount } (admin or manager of userId)
+ *   PATCH /deals/:id/category          → { category | null } (owner, their manager, or admin)
+ *   GET   /snapshots?period=           → frozen weekly snapshots (totals for the visible team)
+ *   POST  /snapshots                   → capture this week's snapshots now (admin)
+ *   GET   /waterfall?period=&userId=&snapshotId=
+ */
+
+const express = require('express');
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const { pool } = require('../config/database');
+const forecast = require('../services/forecast.service');
+const hierarchyService = require('../services/hierarchyService');
+
+const router = express.Router();
+router.use(authenticateToken, orgContext);
+const adminOnly = requireRole('owner', 'admin');
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('forecast route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message } });
+  });
+
+async function isOrgAdmin(req) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM org_users
+      WHERE user_id = $1 AND org_id = $2 AND is_active = TRUE AND role IN ('owner', 'admin')`,
+    [req.userId, req.orgId]
+  );
+  return rows.length > 0;
+}
+
+/** The user a read is about: self by default; a subordinate, or anyone for admins. */
+async function resolveSubject(req) {
+  const self = req.user.userId || req.userId;
+  const requested = req.query.userId ? parseInt(req.query.userId, 10) : self;
+  if (!Number.isInteger(requested)) {
+    const e = new Error('userId must be an integer'); e.status = 400; throw e;
+  }
+  if (requested === self || req.subordinateIds.includes(requested) || await isOrgAdmin(req)) {
+    return requested;
+  }
+  const e = new Error('You can only view forecasts for yourself and your team'); e.status = 403; throw e;
+}
+
+const periodOf = (req) => req.query.period || forecast.periodKeyOf(new Date(), 'quarter');
+
+router.get('/', (req, res) => send(res, (async () => {
+  const subject = await resolveSubject(req);
+  return forecast.getForecast(req.orgId, subject, periodOf(req));
+})()));
+
+router.post('/submissions', (req, res) => send(res,
+  forecast.submitForecast(req.orgId, req.user.userId || req.userId, req.body || {})));
+
+router.get('/submissions', (req, res) => send(res, (async () => {
+  const subject = await resolveSubject(req);
+  return { submissions: await forecast.listSubmissions(req.orgId, periodOf(req), subject) };
+})()));
+
+router.get('/quotas', (req, res) => send(res, (async () => {
+  const scope = await isOrgAdmin(req) ? null : req.teamUserIds;
+  return { quotas: await forecast.listQuotas(req.orgId, periodOf(req), scope) };
+})()));
+
+router.put('/quotas', (req, res) => send(res, (async () => {
+  const { userId, periodKey, amount } = req.body || {};
+  const target = parseInt(userId, 10);
+  if (!Number.isInteger(target)) {
+    const e = new Error('userId is required'); e.status = 400; throw e;
+  }
+  // Managers set quotas for their subtree; only admins set their own or
+  // anyone else's.
+  if (!req.subordinateIds.includes(target) && !(await isOrgAdmin(req))) {
+    const e = new Error('Only an admin or the user\'s manager can set their quota'); e.status = 403; throw e;
+  }
+  return forecast.setQuota(req.orgId, { userId: target, periodKey, amount, setBy: req.user.userId || req.userId });
+})()));
+
+router.patch('/deals/:id/category', (req, res) => send(res, (async () => {
+  const dealId = parseInt(req.params.id, 10);
+  const { rows } = await pool.query(
+    `SELECT owner_id FROM deals WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+    [dealId, req.orgId]
+  );
+  if (!rows.length) { const e = new Error('Deal not found'); e.status = 404; throw e; }
+  if (!req.teamUserIds.includes(rows[0].owner_id) && !(await isOrgAdmin(req))) {
+    const e = new Error('Only the deal owner, their manager or an admin can change its forecast category');
+    e.status = 403; throw e;
+  }
+  const category = req.body?.category === undefined ? null : req.body.category;
+  return forecast.setDealCategory(req.orgId, dealId, category);
+})()));
+
+router.get('/snapshots', (req, res) => send(res, (async () => {
+  const scope = await isOrgAdmin(req) ? null : req.teamUserIds;
+  return { snapshots: await forecast.listSnapshots(req.orgId, periodOf(req), scope) };
+})()));
+
+router.post('/snapshots', adminOnly, (req, res) => send(res, (async () => ({
+  captured: await forecast.captureSnapshots(req.orgId),
+}))()));
+
+router.get('/waterfall', (req, res) => send(res, (async () => {
+  const subject = await resolveSubject(req);
+  const subs = await hierarchyService.getSubordinates(req.orgId, subject);
+  const snapshotId = req.query.snapshotId ? parseInt(req.query.snapshotId, 10) : null;
+  return forecast.waterfall(req.orgId, periodOf(req), [subject, ...subs], { snapshotId });
+})()));
+
+module.exports = router;
@@ -47,6 +47,11 @@ const upload  = multer({
 const projectSettings = require('../services/projectSettings.service');
 const planVariance    = require('../services/planVariance.service');   // 2026_111
 const boq             = require('../services/boq.service');            // 2026_113/114
+const projectSchedule = require('../services/projectSchedule.service'); // 2026_141
+const capacity        = require('../services/resourceCapacity.service'); // 2026_142
+const boqBilling      = require('../services/boqBilling.service');      // 2026_143
+const portalProjects  = require('../services/clientPortalProjects.service'); // 2026_144
+const handoverHealth  = require('../services/handoverHealthService');        // 2026_145
 router.use(authenticateToken);
 router.use(orgContext);
 
@@ -598,6 +603,65 @@ router.get('/sales/:id/variance/stages', async (req, res) => {
   }
 });
 
+// ── Health score (2026_145) ──────────────────────────────────────────────────
+
+// GET /sales/:id/health — stored score, component breakdown, daily history
+router.get('/sales/:id/health', async (req, res) => {
+  try {
+    res.json(await handoverHealth.getProjectHealth(
+      parseInt(req.params.id, 10), req.orgId, { days: req.query.days }));
+  } catch (err) {
+    console.error('Project health error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// POST /sales/:id/health/recompute — score now instead of waiting for the sweep
+router.post('/sales/:id/health/recompute', async (req, res) => {
+  try {
+    const handoverId = parseInt(req.params.id, 10);
+    await handoverHealth.scoreProject(handoverId, req.orgId);
+    res.json(await handoverHealth.getProjectHealth(handoverId, req.orgId));
+  } catch (err) {
+    console.error('Project health recompute error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// ── Schedule / critical path (2026_141) ──────────────────────────────────────
+
+// GET /sales/:id/schedule — early/late dates, float and critical path per play
+router.get('/sales/:id/schedule', async (req, res) => {
+  try {
+    res.json(await projectSchedule.getSchedule(parseInt(req.params.id, 10), req.orgId));
+  } catch (err) {
+    console.error('Project schedule error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message, code: err.code } });
+  }
+});
+
+// GET /sales/:id/schedule/propagation — due dates a predecessor slip would move
+router.get('/sales/:id/schedule/propagation', async (req, res) => {
+  try {
+    res.json(await projectSchedule.previewPropagation(parseInt(req.params.id, 10), req.orgId));
+  } catch (err) {
+    console.error('Schedule propagation preview error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message, code: err.code } });
+  }
+});
+
+// POST /sales/:id/schedule/propagation — apply the reviewed moves
+// Body: { changes: [{ playInstanceId, toDueDate }] }  (as returned by the GET)
+router.post('/sales/:id/schedule/propagation', async (req, res) => {
+  try {
+    res.json(await projectSchedule.applyPropagation(
+      parseInt(req.params.id, 10), req.orgId, req.user.userId, req.body?.changes));
+  } catch (err) {
+    console.error('Schedule propagation apply error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message, code: err.code } });
+  }
+});
+
 // GET /sales/:id/plays/:instanceId/revisions — date history for one play
 router.get('/sales/:id/plays/:instanceId/revisions', async (req, res) => {
   try {
@@ -968,6 +1032,133 @@ router.get('/sales/:id/boq/summary', async (req, res) => {
   }
 });
 
+// ── Billing milestones and progress claims (2026_143) ────────────────────────
+// Milestones are edited like bill lines. Issuing or voiding a claim commits
+// the organisation to a figure in front of the client, so those two are gated
+// on project management rights, the same as approving a variation.
+router.get('/boq/:boqId/milestones', async (req, res) => {
+  try {
+    res.json(await boqBilling.listMilestones(parseInt(req.params.boqId), req.orgId));
+  } catch (err) {
+    console.error('List billing milestones error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.post('/boq/:boqId/milestones', async (req, res) => {
+  try {
+    res.json(await boqBilling.addMilestone(
+      parseInt(req.params.boqId), req.orgId, req.user.userId, req.body || {}));
+  } catch (err) {
+    console.error('Add billing milestone error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.patch('/boq/milestones/:milestoneId', async (req, res) => {
+  try {
+    res.json(await boqBilling.updateMilestone(
+      parseInt(req.params.milestoneId), req.orgId, req.body || {}));
+  } catch (err) {
+    console.error('Update billing milestone error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.delete('/boq/milestones/:milestoneId', async (req, res) => {
+  try {
+    res.json(await boqBilling.removeMilestone(parseInt(req.params.milestoneId), req.orgId));
+  } catch (err) {
+    console.error('Remove billing milestone error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.get('/boq/:boqId/claims', async (req, res) => {
+  try {
+    res.json(await boqBilling.listClaims(parseInt(req.params.boqId), req.orgId));
+  } catch (err) {
+    console.error('List progress claims error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// ?periodEnd=YYYY-MM-DD&releaseRetentionPct=0..100 — nothing is written.
+router.get('/boq/:boqId/claims/preview', async (req, res) => {
+  try {
+    res.json(await boqBilling.previewClaim(parseInt(req.params.boqId), req.orgId, req.query));
+  } catch (err) {
+    console.error('Preview progress claim error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.get('/boq/claims/:claimId', async (req, res) => {
+  try {
+    res.json(await boqBilling.getClaim(parseInt(req.params.claimId), req.orgId));
+  } catch (err) {
+    console.error('Get progress claim error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.post('/sales/:id/boq/:boqId/claims', async (req, res) => {
+  try {
+    const handoverId = parseInt(req.params.id);
+    const allowed = await handoverService.canRebaseline(handoverId, req.orgId, req.user.userId);
+    if (!allowed) {
+      return res.status(403).json({
+        error: { message: 'You do not have rights to issue claims on this project.' } });
+    }
+    res.json(await boqBilling.issueClaim(
+      handoverId, parseInt(req.params.boqId), req.orgId, req.user.userId, req.body || {}));
+  } catch (err) {
+    console.error('Issue progress claim error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message, code: err.code } });
+  }
+});
+
+router.post('/sales/:id/boq/claims/:claimId/void', async (req, res) => {
+  try {
+    const handoverId = parseInt(req.params.id);
+    const allowed = await handoverService.canRebaseline(handoverId, req.orgId, req.user.userId);
+    if (!allowed) {
+      return res.status(403).json({
+        error: { message: 'You do not have rights to void claims on this project.' } });
+    }
+    res.json(await boqBilling.voidClaim(
+      handoverId, parseInt(req.params.claimId), req.orgId, req.user.userId, (req.body || {}).reason));
+  } catch (err) {
+    console.error('Void progress claim error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// ── Client portal activity (2026_144) ───────────────────────────────────────
+// What the client did in the portal: files waiting for review, stage
+// decisions, comments. Accepting a file turns it into ordinary evidence.
+
+router.get('/sales/:id/portal', async (req, res) => {
+  try {
+    res.json(await portalProjects.getPortalActivity(
+      parseInt(req.params.id), req.orgId, req.user.userId));
+  } catch (err) {
+    console.error('Get portal activity error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.post('/sales/:id/portal/submissions/:submissionId/review', async (req, res) => {
+  try {
+    res.json(await portalProjects.reviewSubmission(
+      parseInt(req.params.id), req.orgId, parseInt(req.params.submissionId),
+      req.user.userId, req.body || {}));
+  } catch (err) {
+    console.error('Review portal submission error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
 // ── DELETE /sales/:id/plays/:instanceId  — remove an ad-hoc checklist item ─────
 
 router.delete('/sales/:id/plays/:instanceId', async (req, res) => {
@@ -1005,6 +1196,83 @@ router.get('/team-members/:userId/dashboard', async (req, res) => {
   }
 });
 
+// ── Resource capacity (2026_142) ─────────────────────────────────────────────
+//
+// Reading the heatmap is open to anyone who can see the Dashboard tab. Setting
+// someone's capacity is for an org owner/admin or that person's manager
+// (solid or dotted line, as resolved by orgContext) — it decides how much
+// work they are expected to carry.
+
+async function _canManageCapacity(req, userId) {
+  const role = await projectSettings.resolveRole(req.orgId, req.user.userId);
+  return ['owner', 'admin'].includes(role) || (req.subordinateIds || []).includes(userId);
+}
+
+// GET /capacity?weeks=8&from=2026-11-02 — utilisation heatmap
+router.get('/capacity', async (req, res) => {
+  try {
+    res.json(await capacity.getUtilisation(req.orgId, {
+      weeks: req.query.weeks, from: req.query.from }));
+  } catch (err) {
+    console.error('Capacity heatmap error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// POST /capacity/check — would this assignment overload the owner?
+// Body: { userId, playInstanceId?, effortHours?, dueDate?, durationDays? }
+router.post('/capacity/check', async (req, res) => {
+  try {
+    res.json(await capacity.checkAssignment(req.orgId, req.body || {}));
+  } catch (err) {
+    console.error('Capacity check error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// PUT /capacity/:userId — { weeklyHours } (null resets to the default)
+router.put('/capacity/:userId', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!(await _canManageCapacity(req, userId))) {
+      return res.status(403).json({ error: { message: "Only an org admin or this person's manager can set their capacity" } });
+    }
+    res.json(await capacity.setWeeklyCapacity(
+      req.orgId, req.user.userId, userId, req.body?.weeklyHours ?? null));
+  } catch (err) {
+    console.error('Set capacity error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+// PUT /capacity/:userId/weeks/:weekStart — { hours, note } one-week override
+router.put('/capacity/:userId/weeks/:weekStart', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!(await _canManageCapacity(req, userId))) {
+      return res.status(403).json({ error: { message: "Only an org admin or this person's manager can set their capacity" } });
+    }
+    res.json(await capacity.setWeekCapacity(
+      req.orgId, req.user.userId, userId, req.params.weekStart, req.body || {}));
+  } catch (err) {
+    console.error('Set week capacity error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
+router.delete('/capacity/:userId/weeks/:weekStart', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!(await _canManageCapacity(req, userId))) {
+      return res.status(403).json({ error: { message: "Only an org admin or this person's manager can set their capacity" } });
+    }
+    res.json(await capacity.clearWeekCapacity(req.orgId, userId, req.params.weekStart));
+  } catch (err) {
+    console.error('Clear week capacity error:', err);
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  }
+});
+
 // ── GET /contacts/:contactId/communications — customer-contact comms drill-down
 
 router.get('/contacts/:contactId/communications', async (req, res) => {
@@ -12,7 +12,8 @@
  *   POST /trigger       → Manual sync trigger
  *   GET  /stages        → Live deal pipeline stage values (for Stage Mapping UI)
  *   GET  /settings      → Get org integration settings
- *   PATCH /settings     → Update stage_map, field_map, sync_objects, form_inflow
+ *   PATCH /settings     → Update stage_map, field_map, sync_objects, form_inflow,
+ *                         write_back_enabled, write_back_mode
  *   GET  /inflow        → Recent activity-inflow events (P8 form submissions)
  *   POST /inflow/:id/approve → Execute a parked (pending_review) inflow event
  *   POST /inflow/:id/dismiss → Skip a parked inflow event
@@ -149,9 +150,12 @@ router.get('/settings', async (req, res) => {
   }
 });
 
-// PATCH /settings — update stage_map, field_map, sync_objects
+// PATCH /settings — update stage_map, field_map, sync_objects, write_back config
 router.patch('/settings', async (req, res) => {
-  const ALLOWED_KEYS = ['sync_objects', 'stage_map', 'field_map', 'form_inflow'];
+  const ALLOWED_KEYS = [
+    'sync_objects', 'stage_map', 'field_map', 'form_inflow',
+    'write_back_enabled', 'write_back_mode',
+  ];
 
   const updates = {};
   for (const key of ALLOWED_KEYS) {
@@ -162,6 +166,33 @@ router.patch('/settings', async (req, res) => {
     return res.status(400).json({ success: false, error: 'No valid settings keys provided' });
   }
 
+  // Validate write_back_mode
+  if (updates.write_back_mode && !['nightly', 'realtime'].includes(updates.write_back_mode)) {
+    return res.status(400).json({ success: false, error: 'write_back_mode must be nightly or realtime' });
+  }
+
+  // Same gates as Salesforce write-back: assessment orgs never, and the
+  // SuperAdmin platform flag must be on before an org can opt in.
+  if (updates.write_back_enabled === true) {
+    try {
+      await crmConnections.assertOrgWritesAllowed(req.orgId);
+    } catch (gateErr) {
+      return res.status(gateErr.statusCode || 403).json({
+        success: false, error: gateErr.message, code: gateErr.code,
+      });
+    }
+    const platformRes = await pool.query(
+      `SELECT value FROM platform_settings WHERE key = 'hubspot_write_back_enabled'`
+    ).catch(() => ({ rows: [] }));
+    const globalEnabled = platformRes.rows[0]?.value?.enabled || false;
+    if (!globalEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'HubSpot write-back is not enabled on this platform. Contact your GoWarm administrator.',
+      });
+    }
+  }
+
   try {
     let settingsExpr = 'settings';
     const params = [req.orgId];
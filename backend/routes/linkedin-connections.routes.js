@@ -60,6 +60,7 @@ const { orgContext }    = require('../middleware/orgContext.middleware');
 const requireModule     = require('../middleware/requireModule.middleware');
 
 const Sync = require('../services/LinkedInConnectionSyncService');
+const OutboundWebhooks = require('../services/outboundWebhook.service');
 
 router.use(authenticateToken);
 router.use(orgContext);
@@ -535,6 +536,7 @@ router.post('/reconcile-messages', async (req, res) => {
       invalid_messages: 0, verified: 0, verification_mismatches: 0,
     };
     const updated = [];
+    const replies = [];   // counted inbound messages — webhooks fire after COMMIT
 
     for (const t of threads) {
       const pUrn = t && t.participantUrn;
@@ -617,6 +619,7 @@ router.post('/reconcile-messages', async (req, res) => {
         });
         appliedForProspect++;
         channelDataDirty = false;   // apply persisted channel_data (incl. verified stamp)
+        if (direction === 'inbound') replies.push({ prospect, urn, occurredAtIso });
       }
 
       // Verified stamp with no counted messages → persist it explicitly.
@@ -639,6 +642,21 @@ router.post('/reconcile-messages', async (req, res) => {
 
     await client.query('COMMIT');
 
+    for (const r of replies) {
+      OutboundWebhooks.emit(orgId, 'prospect.replied', {
+        prospect: {
+          id:          r.prospect.id,
+          firstName:   r.prospect.first_name,
+          lastName:    r.prospect.last_name,
+          companyName: r.prospect.company_name,
+          ownerId:     r.prospect.owner_id,
+        },
+        channel:   'linkedin',
+        repliedAt: r.occurredAtIso,
+        message:   { urn: r.urn },
+      });
+    }
+
     console.log(
       `🔗 linkedin-connections/reconcile-messages org=${orgId} user=${userId} seat=${viewerSlug} ` +
       `threads=${s.received_threads} msgs=${s.received_messages} mine=${s.matched_mine} ` +
@@ -0,0 +1,48 @@
+/**
+ * routes/me-2fa.routes.js
+ *
+ * Mount at: /api/me/2fa
+ *
+ * The signed-in user's own two-factor settings (Settings → Security).
+ *
+ *   GET    /                 { enabled, enabledAt, recoveryCodesRemaining, requiredBy[] }
+ *   POST   /setup            New pending secret → { secret, otpauthUrl, qrDataUrl }
+ *   POST   /enable           { code } → { recoveryCodes } (shown once)
+ *   POST   /disable          { password, code } — refused while an org requires 2FA
+ *   POST   /recovery-codes   { code } → { recoveryCodes } (replaces the old set)
+ *
+ * Logic lives in services/twoFactor.service.js.
+ */
+
+const express = require('express');
+const bcrypt  = require('bcryptjs');
+const authenticateToken = require('../middleware/auth.middleware');
+const db        = require('../config/database');
+const TwoFactor = require('../services/twoFactor.service');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('2fa settings route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message, code: e.code } });
+  });
+
+router.get('/', (req, res) => send(res, TwoFactor.status(req.userId)));
+
+router.post('/setup', (req, res) => send(res, TwoFactor.beginSetup(req.userId)));
+
+router.post('/enable', (req, res) => send(res, TwoFactor.confirmSetup(req.userId, req.body?.code)));
+
+router.post('/disable', (req, res) => send(res, (async () => {
+  const { rows: [u] } = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.userId]);
+  const ok = u && req.body?.password && await bcrypt.compare(String(req.body.password), u.password_hash);
+  if (!ok) throw Object.assign(new Error('Password is incorrect'), { status: 401 });
+  return TwoFactor.disable(req.userId, req.body?.code);
+})()));
+
+router.post('/recovery-codes', (req, res) => send(res, TwoFactor.regenerateRecoveryCodes(req.userId, req.body?.code)));
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * mutual-action-plans.routes.js
+ *
+ * DROP-IN LOCATION: backend/routes/mutual-action-plans.routes.js
+ *
+ * Mount in server.js (next to the deal-plays mount):
+ *   app.use('/api/mutual-action-plans', require('./routes/mutual-action-plans.routes'));
+ *
+ * Mutual action plans / close plans (2026_140, services/mutualActionPlan.service.js).
+ * Plans are drafted by POST /api/skills/mutual-action-plan/run; this router
+ * is everything after that. Auth + orgContext on everything except the
+ * shared page.
+ *
+ *   GET    /deal/:dealId                  — plans for a deal, newest first
+ *   GET    /:id                           — full plan
+ *   PATCH  /:id                           — title, summary, target_close_date,
+ *                                           milestones, risks, status
+ *   DELETE /:id
+ *   POST   /:id/convert                   — { milestone_ids, to: 'action'|'play' }
+ *   POST   /:id/share                     — mint/return the buyer link
+ *   POST   /:id/revoke-share
+ *   GET    /shared/:token                 — PUBLIC read-only plan (HTML)
+ */
+
+const express = require('express');
+const router  = express.Router();
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext }    = require('../middleware/orgContext.middleware');
+const mutualActionPlans = require('../services/mutualActionPlan.service');
+
+function _err(res, err, fallback) {
+  const status = err.statusCode || 500;
+  if (status >= 500) console.error('[mutual-action-plans]', err.message);
+  res.status(status).json({ error: { message: status >= 500 ? fallback : err.message } });
+}
+
+// ── PUBLIC: GET /shared/:token ───────────────────────────────────────────────
+// No auth — the token is the credential (same trust model as shared baseline
+// reports). Must be registered before the auth middleware below.
+
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const found = await mutualActionPlans.getSharedHtml(req.params.token);
+    if (!found) return res.status(404).send('Plan not found');
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('X-Robots-Tag', 'noindex');
+    res.send(found.html);
+  } catch (err) {
+    console.error('[mutual-action-plans] shared plan error:', err.message);
+    res.status(500).send('Error loading plan');
+  }
+});
+
+router.use(authenticateToken);
+router.use(orgContext);
+
+router.get('/deal/:dealId(\\d+)', async (req, res) => {
+  try {
+    const plans = await mutualActionPlans.listPlans(req.orgId, parseInt(req.params.dealId, 10));
+    res.json({ plans });
+  } catch (err) { _err(res, err, 'Failed to fetch plans'); }
+});
+
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    const plan = await mutualActionPlans.getPlan(req.orgId, parseInt(req.params.id, 10));
+    res.json({ plan });
+  } catch (err) { _err(res, err, 'Failed to fetch plan'); }
+});
+
+router.patch('/:id(\\d+)', async (req, res) => {
+  try {
+    const plan = await mutualActionPlans.updatePlan(
+      req.orgId, req.user.userId, parseInt(req.params.id, 10), req.body || {});
+    res.json({ plan });
+  } catch (err) { _err(res, err, 'Failed to update plan'); }
+});
+
+router.delete('/:id(\\d+)', async (req, res) => {
+  try {
+    const result = await mutualActionPlans.deletePlan(req.orgId, parseInt(req.params.id, 10));
+    res.json(result);
+  } catch (err) { _err(res, err, 'Failed to delete plan'); }
+});
+
+router.post('/:id(\\d+)/convert', async (req, res) => {
+  try {
+    const { milestone_ids, to } = req.body || {};
+    const result = await mutualActionPlans.convertMilestones(
+      req.orgId, req.user.userId, parseInt(req.params.id, 10), { milestoneIds: milestone_ids, to });
+    res.json(result);
+  } catch (err) { _err(res, err, 'Failed to convert milestones'); }
+});
+
+router.post('/:id(\\d+)/share', async (req, res) => {
+  try {
+    const result = await mutualActionPlans.enableShare(req.orgId, parseInt(req.params.id, 10));
+    res.json({ ...result, url: `/api/mutual-action-plans/shared/${result.shareToken}` });
+  } catch (err) { _err(res, err, 'Failed to share plan'); }
+});
+
+router.post('/:id(\\d+)/revoke-share', async (req, res) => {
+  try {
+    const result = await mutualActionPlans.revokeShare(req.orgId, parseInt(req.params.id, 10));
+    res.json(result);
+  } catch (err) { _err(res, err, 'Failed to revoke share'); }
+});
+
+module.exports = router;
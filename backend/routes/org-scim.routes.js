@@ -0,0 +1,59 @@
+/**
+ * /api/org/admin/scim
+ *
+ * SCIM provisioning settings and the offboarding log. The IdP-facing API is
+ * routes/scim.routes.js (/scim/v2); logic lives in services/scim.service.js
+ * and services/memberLifecycle.service.js.
+ *
+ *   GET    /              Config + the base URL to paste into the IdP
+ *   PUT    /              Save { enabled, groupDimension, fallbackOwnerId }
+ *   POST   /token         Generate (or rotate) the bearer token — returned once
+ *   DELETE /token         Revoke the token (also disables SCIM)
+ *   GET    /offboardings  Recent deactivations and what moved to whom
+ *
+ * Authorization: org owner/admin only. Same pattern as org-sso.routes.js.
+ *
+ * Mount in server.js:
+ *   app.use('/api/org/admin/scim', require('./routes/org-scim.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const Scim    = require('../services/scim.service');
+const Members = require('../services/memberLifecycle.service');
+
+router.use(authenticateToken);
+router.use(orgContext);
+router.use(requireRole('owner', 'admin'));
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('scim config route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message } });
+  });
+
+router.get('/', (req, res) => send(res, (async () => ({
+  scim: await Scim.getConfig(req.orgId),
+}))()));
+
+router.put('/', (req, res) => send(res, (async () => ({
+  scim: await Scim.saveConfig(req.orgId, req.userId, req.body || {}),
+}))()));
+
+router.post('/token', (req, res) => send(res, (async () => ({
+  scim: await Scim.rotateToken(req.orgId, req.userId),
+}))()));
+
+router.delete('/token', (req, res) => send(res, (async () => ({
+  scim: await Scim.revokeToken(req.orgId, req.userId),
+}))()));
+
+router.get('/offboardings', (req, res) => send(res, (async () => ({
+  offboardings: await Members.listOffboardings(req.orgId, req.query.limit),
+}))()));
+
+module.exports = router;
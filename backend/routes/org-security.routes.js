@@ -0,0 +1,71 @@
+/**
+ * /api/org/admin/security
+ *
+ * Org two-factor policy and who has enrolled.
+ *
+ *   GET  /   { mfaPolicy, members: [{ user_id, name, email, role, mfa_enabled, covered }] }
+ *   PUT  /   { mfaPolicy: 'off' | 'admins' | 'all' }
+ *
+ * The policy is checked at password login (services/twoFactor.service.js
+ * loginGate): covered members without 2FA must enrol before they get a
+ * session. Sessions already issued run to expiry.
+ *
+ * Authorization: org owner/admin only. Same pattern as org-sso.routes.js.
+ *
+ * Mount in server.js:
+ *   app.use('/api/org/admin/security', require('./routes/org-security.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+const { pool } = require('../config/database');
+
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+
+const POLICIES = ['off', 'admins', 'all'];
+
+router.use(authenticateToken);
+router.use(orgContext);
+router.use(requireRole('owner', 'admin'));
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('security route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message } });
+  });
+
+async function load(orgId) {
+  const { rows: [org] } = await pool.query(`SELECT mfa_policy FROM organizations WHERE id = $1`, [orgId]);
+  const { rows: members } = await pool.query(
+    `SELECT ou.user_id, ou.role, u.email, u.first_name || ' ' || u.last_name AS name,
+            (m.enabled_at IS NOT NULL) AS mfa_enabled, m.enabled_at AS mfa_enabled_at
+       FROM org_users ou
+       JOIN users u ON u.id = ou.user_id
+       LEFT JOIN user_mfa m ON m.user_id = ou.user_id
+      WHERE ou.org_id = $1 AND ou.is_active = TRUE
+      ORDER BY ou.role, u.first_name`, [orgId]);
+  const policy = org?.mfa_policy || 'off';
+  return {
+    mfaPolicy: policy,
+    members: members.map(m => ({
+      ...m,
+      covered: policy === 'all' || (policy === 'admins' && ['owner', 'admin'].includes(m.role)),
+    })),
+  };
+}
+
+router.get('/', (req, res) => send(res, load(req.orgId)));
+
+router.put('/', (req, res) => send(res, (async () => {
+  const policy = req.body?.mfaPolicy;
+  if (!POLICIES.includes(policy)) {
+    throw Object.assign(new Error(`mfaPolicy must be one of: ${POLICIES.join(', ')}`), { status: 400 });
+  }
+  await pool.query(`UPDATE organizations SET mfa_policy = $1, updated_at = NOW() WHERE id = $2`, [policy, req.orgId]);
+  console.log(`[2fa] org ${req.orgId} policy → ${policy} (by user ${req.userId})`);
+  return load(req.orgId);
+})()));
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * /api/org/admin/sso
+ *
+ * Per-org SAML single sign-on configuration. Logic lives in
+ * services/samlSso.service.js.
+ *
+ *   GET    /    Config + this org's SP URLs (entity ID, ACS, metadata, login)
+ *   PUT    /    Save { enabled, idpEntityId, idpSsoUrl, idpCert, emailDomains[],
+ *                      defaultRole, defaultOrgRoleId, jitProvisioning, enforceSso }
+ *   DELETE /    Remove the config (turns SSO and enforcement off)
+ *
+ *   GET    /domains                  Claimed email domains + their TXT records
+ *   POST   /domains/:domain/verify   Look the TXT record up; verified on a match
+ *   DELETE /domains/:domain          Drop a claim (refused while SSO uses it)
+ *
+ * Domains are claimed by listing them in emailDomains on PUT /; SSO can only
+ * be enabled once each is verified (services/orgDomains.service.js).
+ *
+ * Authorization: org owner/admin only. Same pattern as org-webhooks.routes.js.
+ *
+ * Mount in server.js:
+ *   app.use('/api/org/admin/sso', require('./routes/org-sso.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const SamlSso = require('../services/samlSso.service');
+const OrgDomains = require('../services/orgDomains.service');
+
+router.use(authenticateToken);
+router.use(orgContext);
+router.use(requireRole('owner', 'admin'));
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('sso config route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message } });
+  });
+
+router.get('/', (req, res) => send(res, (async () => ({
+  sso: await SamlSso.getConfig(req.orgId),
+}))()));
+
+router.put('/', (req, res) => send(res, (async () => ({
+  sso: await SamlSso.saveConfig(req.orgId, req.userId, req.body || {}),
+}))()));
+
+router.delete('/', (req, res) => send(res, SamlSso.deleteConfig(req.orgId)));
+
+router.get('/domains', (req, res) => send(res, (async () => ({
+  domains: await OrgDomains.listDomains(req.orgId),
+}))()));
+
+router.post('/domains/:domain/verify', (req, res) => send(res, (async () => ({
+  domain: await OrgDomains.verifyDomain(req.orgId, req.params.domain),
+}))()));
+
+router.delete('/domains/:domain', (req, res) => send(res, OrgDomains.removeDomain(req.orgId, req.params.domain)));
+
+module.exports = router;
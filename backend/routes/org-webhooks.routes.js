@@ -0,0 +1,86 @@
+/**
+ * /api/org/admin/webhooks
+ *
+ * Outbound webhook subscriptions and their delivery log. Logic lives in
+ * services/outboundWebhook.service.js; delivery runs on the worker queue
+ * (jobs/outboundWebhookJob.js).
+ *
+ *   GET    /events                       Event types that can be subscribed to
+ *   GET    /                             List subscriptions
+ *   POST   /                             Create { name, url, events[] } → includes `secret` once
+ *   PATCH  /:id                          Update { name?, url?, events?, isActive? }
+ *   DELETE /:id                          Delete (and its delivery log)
+ *   POST   /:id/rotate-secret            New signing secret → includes `secret` once
+ *   POST   /:id/test                     Queue a `ping` delivery
+ *   GET    /:id/deliveries?status=&before=&limit=
+ *   GET    /deliveries/:deliveryId       One delivery with payload + last response
+ *   POST   /deliveries/:deliveryId/redeliver
+ *
+ * Authorization: org owner/admin only. Same pattern as org-twilio.routes.js.
+ *
+ * Mount in server.js:
+ *   app.use('/api/org/admin/webhooks', require('./routes/org-webhooks.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const webhooks = require('../services/outboundWebhook.service');
+
+router.use(authenticateToken);
+router.use(orgContext);
+router.use(requireRole('owner', 'admin'));
+
+const send = (res, p, status = 200) => p
+  .then(o => res.status(status).json(o))
+  .catch(e => {
+    if (!e.status) console.error('webhooks route error:', e);
+    res.status(e.status || 500).json({ error: { message: e.message } });
+  });
+
+const idParam = (v) => {
+  const n = parseInt(v, 10);
+  if (!Number.isInteger(n)) { const e = new Error('Invalid id'); e.status = 400; throw e; }
+  return n;
+};
+
+router.get('/events', (req, res) => {
+  res.json({ events: Object.entries(webhooks.EVENTS).map(([key, description]) => ({ key, description })) });
+});
+
+router.get('/', (req, res) => send(res, (async () => ({
+  webhooks: await webhooks.listSubscriptions(req.orgId),
+}))()));
+
+router.post('/', (req, res) => send(res, (async () => ({
+  webhook: await webhooks.createSubscription(req.orgId, req.userId, req.body || {}),
+}))(), 201));
+
+router.patch('/:id', (req, res) => send(res, (async () => ({
+  webhook: await webhooks.updateSubscription(req.orgId, idParam(req.params.id), req.body || {}),
+}))()));
+
+router.delete('/:id', (req, res) => send(res, (async () =>
+  webhooks.deleteSubscription(req.orgId, idParam(req.params.id)))()));
+
+router.post('/:id/rotate-secret', (req, res) => send(res, (async () => ({
+  webhook: await webhooks.rotateSecret(req.orgId, idParam(req.params.id)),
+}))()));
+
+router.post('/:id/test', (req, res) => send(res, (async () =>
+  webhooks.sendTest(req.orgId, idParam(req.params.id), req.userId))()));
+
+router.get('/:id/deliveries', (req, res) => send(res, (async () => ({
+  deliveries: await webhooks.listDeliveries(req.orgId, idParam(req.params.id), req.query),
+}))()));
+
+router.get('/deliveries/:deliveryId', (req, res) => send(res, (async () => ({
+  delivery: await webhooks.getDelivery(req.orgId, idParam(req.params.deliveryId)),
+}))()));
+
+router.post('/deliveries/:deliveryId/redeliver', (req, res) => send(res, (async () =>
+  webhooks.redeliver(req.orgId, idParam(req.params.deliveryId), req.userId))()));
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { orgContext, requireRole } = require('../middleware/orgContext.middleware
 
 const ActionConfigService = require('../services/actionConfig.service');
 const { seedModulePlaybook, getSeedStatus } = require('../services/orgSeed.service');
+const Members = require('../services/memberLifecycle.service');
 
 router.use(authenticateToken, orgContext);
 
@@ -178,33 +179,24 @@ router.patch('/members/:userId', adminOnly, async (req, res) => {
 
 router.delete('/members/:userId', adminOnly, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = parseInt(req.params.userId, 10);
 
-    if (parseInt(userId) === req.userId) {
+    if (userId === req.userId) {
       return res.status(400).json({ error: { message: 'You cannot remove yourself' } });
     }
 
-    const targetRole = await pool.query(
-      `SELECT role FROM org_users WHERE org_id = $1 AND user_id = $2 AND is_active = TRUE`,
-      [req.orgId, userId]
-    );
-    if (targetRole.rows[0]?.role === 'owner') {
-      const ownerCount = await pool.query(
-        `SELECT COUNT(*) FROM org_users WHERE org_id = $1 AND role = 'owner' AND is_active = TRUE`,
-        [req.orgId]
-      );
-      if (parseInt(ownerCount.rows[0].count) <= 1) {
-        return res.status(400).json({ error: { message: 'Cannot remove the last owner' } });
-      }
-    }
-
-    await pool.query(
-      `UPDATE org_users SET is_active = FALSE WHERE org_id = $1 AND user_id = $2`,
-      [req.orgId, userId]
-    );
-    res.json({ message: 'Member deactivated' });
+    // Deactivate + hand open prospects, deals, actions and enrollments to a
+    // successor (body/query successorId, else manager → fallback → owner).
+    // Last-owner guard lives in offboardMember.
+    const successorId = req.body?.successorId || req.query.successorId;
+    const result = await Members.offboardMember(req.orgId, userId, {
+      successorId: successorId ? parseInt(successorId, 10) : null,
+      source:      'admin',
+      triggeredBy: req.userId,
+    });
+    res.json({ message: 'Member deactivated', ...result });
   } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
+    res.status(err.status || 500).json({ error: { message: err.message } });
   }
 });
 
@@ -2208,6 +2200,73 @@ router.patch('/evidence-settings', adminOnly, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// CURRENCIES
+// Corporate currency (organizations.settings.corporate_currency) and the
+// org's dated exchange-rate table. Logic lives in services/currency.service.js.
+//
+// GET    /api/org/admin/currency-settings   — any member (deal forms need the list)
+// PATCH  /api/org/admin/currency-settings   — { corporateCurrency }
+// GET    /api/org/admin/exchange-rates?currency=
+// PUT    /api/org/admin/exchange-rates      — { currency, rate, effectiveDate }
+// DELETE /api/org/admin/exchange-rates/:id
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CurrencyService = require('../services/currency.service');
+
+router.get('/currency-settings', async (req, res) => {
+  try {
+    res.json(await CurrencyService.getSettings(req.orgId));
+  } catch (err) {
+    console.error('GET /org/admin/currency-settings error:', err);
+    res.status(500).json({ error: { message: 'Failed to load currency settings' } });
+  }
+});
+
+router.patch('/currency-settings', adminOnly, async (req, res) => {
+  try {
+    res.json(await CurrencyService.setCorporateCurrency(req.orgId, req.body.corporateCurrency));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('PATCH /org/admin/currency-settings error:', err);
+    res.status(500).json({ error: { message: 'Failed to update corporate currency' } });
+  }
+});
+
+router.get('/exchange-rates', adminOnly, async (req, res) => {
+  try {
+    res.json(await CurrencyService.listRates(req.orgId, { currency: req.query.currency }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('GET /org/admin/exchange-rates error:', err);
+    res.status(500).json({ error: { message: 'Failed to load exchange rates' } });
+  }
+});
+
+router.put('/exchange-rates', adminOnly, async (req, res) => {
+  try {
+    const { currency, rate, effectiveDate } = req.body;
+    const saved = await CurrencyService.upsertRate(req.orgId, {
+      currency, rate, effectiveDate, userId: req.user.userId,
+    });
+    res.json({ rate: saved });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('PUT /org/admin/exchange-rates error:', err);
+    res.status(500).json({ error: { message: 'Failed to save exchange rate' } });
+  }
+});
+
+router.delete('/exchange-rates/:id', adminOnly, async (req, res) => {
+  try {
+    res.json(await CurrencyService.deleteRate(req.orgId, parseInt(req.params.id, 10)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: { message: err.message } });
+    console.error('DELETE /org/admin/exchange-rates error:', err);
+    res.status(500).json({ error: { message: 'Failed to delete exchange rate' } });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // HIERARCHY CSV IMPORT
 // POST /api/org/admin/hierarchy/import
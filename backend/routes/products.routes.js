@@ -8,6 +8,9 @@ const router  = express.Router();
 const authenticateToken = require('../middleware/auth.middleware');
 const { orgContext }   = require('../middleware/orgContext.middleware');
 const { pool }         = require('../config/database');
+const CurrencyService  = require('../services/currency.service');
+const { syncDealValue } = require('../services/dealProducts.service');
+const discountApprovals = require('../services/discountApproval.service');
 
 router.use(authenticateToken, orgContext);
 
@@ -160,21 +163,24 @@ router.post('/', async (req, res) => {
     const { name, sku, description, group_id, product_type, billing_frequency,
             fee_type, list_price, is_taxable, status, sort_order, unit_label } = req.body;
     if (!name?.trim()) return res.status(400).json({ success: false, error: { message: 'Product name is required' } });
+    const currency = CurrencyService.normalizeCurrency(req.body.currency)
+      || await CurrencyService.getCorporateCurrency(req.orgId);
     const { rows } = await pool.query(
       `INSERT INTO product_catalog
         (org_id, name, sku, description, group_id, product_type, billing_frequency,
-         fee_type, list_price, is_taxable, status, sort_order, unit_label)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+         fee_type, list_price, is_taxable, status, sort_order, unit_label, currency)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
        RETURNING *`,
       [req.orgId, name.trim(), sku?.trim() || null, description || null,
        group_id || null, product_type || 'one_time',
        billing_frequency || null, fee_type || null,
        list_price || 0, is_taxable ?? false, status || 'active', sort_order || 0,
-       unit_label?.trim() || null]
+       unit_label?.trim() || null, currency]
     );
     res.status(201).json({ success: true, data: { product: rows[0] } });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: { message: 'SKU already exists in your org' } });
+    if (err.status === 400) return res.status(400).json({ success: false, error: { message: err.message } });
     console.error('POST /products error:', err);
     res.status(500).json({ success: false, error: { message: 'Failed to create product' } });
   }
@@ -184,22 +190,25 @@ router.put('/:id', async (req, res) => {
   try {
     const { name, sku, description, group_id, product_type, billing_frequency,
             fee_type, list_price, is_taxable, status, sort_order, unit_label } = req.body;
+    const currency = CurrencyService.normalizeCurrency(req.body.currency);
     const { rows } = await pool.query(
       `UPDATE product_catalog SET
         name = COALESCE($1, name), sku = $2, description = $3, group_id = $4,
         product_type = COALESCE($5, product_type), billing_frequency = $6,
         fee_type = $7, list_price = COALESCE($8, list_price),
         is_taxable = COALESCE($9, is_taxable), status = COALESCE($10, status),
-        sort_order = COALESCE($11, sort_order), unit_label = $12
+        sort_order = COALESCE($11, sort_order), unit_label = $12,
+        currency = COALESCE($15, currency)
        WHERE id = $13 AND org_id = $14 RETURNING *`,
       [name?.trim(), sku?.trim() || null, description ?? null, group_id || null,
        product_type, billing_frequency || null, fee_type || null, list_price, is_taxable,
-       status, sort_order, unit_label?.trim() || null, req.params.id, req.orgId]
+       status, sort_order, unit_label?.trim() || null, req.params.id, req.orgId, currency]
     );
     if (!rows.length) return res.status(404).json({ success: false, error: { message: 'Product not found' } });
     res.json({ success: true, data: { product: rows[0] } });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: { message: 'SKU already exists in your org' } });
+    if (err.status === 400) return res.status(400).json({ success: false, error: { message: err.message } });
     console.error('PUT /products/:id error:', err);
     res.status(500).json({ success: false, error: { message: 'Failed to update product' } });
   }
@@ -248,7 +257,11 @@ router.get('/deals/:dealId/items', async (req, res) => {
       if (r.revenue_type === 'recurring') acc.recurring += val; else acc.one_time += val;
       return acc;
     }, { total: 0, one_time: 0, recurring: 0 });
-    res.json({ success: true, data: { items: rows, totals } });
+    // Line items are priced in the deal's currency.
+    const { rows: dealRows } = await pool.query(
+      `SELECT currency FROM deals WHERE id = $1 AND org_id = $2`, [req.params.dealId, req.orgId]);
+    const currency = dealRows[0]?.currency || await CurrencyService.getCorporateCurrency(req.orgId);
+    res.json({ success: true, data: { items: rows, totals, currency } });
   } catch (err) {
     console.error('GET /products/deals/:dealId/items error:', err);
     res.status(500).json({ success: false, error: { message: 'Failed to load deal products' } });
@@ -263,20 +276,35 @@ router.post('/deals/:dealId/items', async (req, res) => {
     let resolvedGroupPath = null, resolvedCatName = null;
     if (product_id) {
       const { rows: catRows } = await pool.query(
-        `SELECT p.name, p.list_price, p.product_type, g.name AS group_name, p.group_id
+        `SELECT p.name, p.list_price, p.product_type, g.name AS group_name, p.group_id,
+                p.currency, d.currency AS deal_currency
          FROM product_catalog p LEFT JOIN product_groups g ON g.id = p.group_id
+         LEFT JOIN deals d ON d.id = $3 AND d.org_id = p.org_id
          WHERE p.id = $1 AND p.org_id = $2`,
-        [product_id, req.orgId]
+        [product_id, req.orgId, req.params.dealId]
       );
       if (catRows.length) {
+        // A catalog price in another currency is converted into the deal's
+        // currency at today's rate; without a rate the caller must price it.
+        let listPrice = catRows[0].list_price;
+        if (resolvedPrice == null && catRows[0].currency !== catRows[0].deal_currency) {
+          listPrice = await CurrencyService.convertAmount(
+            req.orgId, listPrice, catRows[0].currency, catRows[0].deal_currency);
+          if (listPrice == null) {
+            return res.status(400).json({ success: false, error: {
+              message: `No exchange rate from ${catRows[0].currency} to ${catRows[0].deal_currency} — enter a unit price` } });
+          }
+        }
         resolvedName     = resolvedName  || catRows[0].name;
-        resolvedPrice    = resolvedPrice ?? catRows[0].list_price;
+        resolvedPrice    = resolvedPrice ?? listPrice;
         resolvedType     = resolvedType  || catRows[0].product_type;
         resolvedCatName  = catRows[0].group_name || null;
         resolvedGroupPath = await getGroupPath(req.orgId, catRows[0].group_id);
       }
     }
     if (!resolvedName?.trim()) return res.status(400).json({ success: false, error: { message: 'Product name is required' } });
+    // Above the rep's discount band the line has to go through a quote.
+    await discountApprovals.checkLineItemDiscount(req.orgId, product_id || null, discount_pct);
     const { rows } = await pool.query(
       `INSERT INTO deal_products
         (org_id, deal_id, product_id, product_name, category_name, group_path, quantity, unit_price, discount_pct,
@@ -291,6 +319,7 @@ router.post('/deals/:dealId/items', async (req, res) => {
     );
     res.status(201).json({ success: true, data: { item: rows[0] } });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ success: false, error: { message: err.message } });
     console.error('POST /products/deals/:dealId/items error:', err);
     res.status(500).json({ success: false, error: { message: 'Failed to add line item' } });
   }
@@ -300,6 +329,16 @@ router.put('/deals/:dealId/items/:itemId', async (req, res) => {
   try {
     const { product_name, quantity, unit_price, discount_pct,
             contract_term, effective_date, renewal_date, revenue_type, notes, sort_order } = req.body;
+    // Only a changed discount is checked: lines written by an approved quote
+    // keep theirs through other edits.
+    if (discount_pct != null) {
+      const { rows: cur } = await pool.query(
+        `SELECT product_id, discount_pct FROM deal_products WHERE id = $1 AND deal_id = $2 AND org_id = $3`,
+        [req.params.itemId, req.params.dealId, req.orgId]);
+      if (cur.length && Number(cur[0].discount_pct) !== Number(discount_pct)) {
+        await discountApprovals.checkLineItemDiscount(req.orgId, cur[0].product_id, discount_pct);
+      }
+    }
     const { rows } = await pool.query(
       `UPDATE deal_products SET
         product_name = COALESCE($1, product_name), quantity = COALESCE($2, quantity),
@@ -315,6 +354,7 @@ router.put('/deals/:dealId/items/:itemId', async (req, res) => {
     if (!rows.length) return res.status(404).json({ success: false, error: { message: 'Line item not found' } });
     res.json({ success: true, data: { item: rows[0] } });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ success: false, error: { message: err.message } });
     console.error('PUT /products/deals/:dealId/items/:itemId error:', err);
     res.status(500).json({ success: false, error: { message: 'Failed to update line item' } });
   }
@@ -336,13 +376,7 @@ router.delete('/deals/:dealId/items/:itemId', async (req, res) => {
 
 router.post('/deals/:dealId/items/sync-value', async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT COALESCE(SUM(total_value), 0)::numeric(16,2) AS total
-       FROM deal_products WHERE deal_id = $1 AND org_id = $2`,
-      [req.params.dealId, req.orgId]
-    );
-    const total = parseFloat(rows[0].total);
-    await pool.query(`UPDATE deals SET value = $1 WHERE id = $2 AND org_id = $3`, [total, req.params.dealId, req.orgId]);
+    const total = await syncDealValue(req.params.dealId, req.orgId);
     res.json({ success: true, data: { deal_value: total } });
   } catch (err) {
     console.error('POST /products/deals/:dealId/items/sync-value error:', err);
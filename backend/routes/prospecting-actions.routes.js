@@ -8,9 +8,9 @@ const requireModule = require('../middleware/requireModule.middleware');
 // Email send services (reused from existing infrastructure)
 const { sendEmail: sendGmailEmail }    = require('../services/googleService');
 const { sendEmail: sendOutlookEmail }  = require('../services/outlookService');
-const StrapActionGenerator             = require('../services/StrapActionGenerator');
 const PlayCompletionService            = require('../services/PlayCompletionService');  // Phase 6
 const { generateForProspectEvent }     = require('../services/prospectingActions.service'); // Phase 8
+const ActionCompletion                 = require('../services/actionCompletion.service');
 
 router.use(authenticateToken);
 router.use(orgContext);
@@ -243,97 +243,10 @@ router.patch('/:id/status', async (req, res) => {
 
     const action = result.rows[0];
 
-    // STRAP auto-resolve check
-    if (isCompleting && action.strap_id) {
-      StrapActionGenerator.checkAutoResolve(action.strap_id, req.user.userId, req.orgId)
-        .catch(err => console.error('STRAP auto-resolve check error (prospecting):', err.message));
-    }
-
-    // Phase 6 — fire next sequential play
-    if (isCompleting && action.play_id) {
-      PlayCompletionService.fireNextPlay(
-        'prospect', action.prospect_id, action.play_id, req.orgId, req.user.userId
-      ).catch(err => console.error('Next-play hook error (prospecting status):', err.message));
-    }
-
-    // Update prospect engagement tracking
-    if (isCompleting && action.channel) {
-      await db.query(
-        `UPDATE prospects
-         SET outreach_count = outreach_count + 1,
-             last_outreach_at = CURRENT_TIMESTAMP,
-             current_sequence_step = GREATEST(current_sequence_step, COALESCE($1, 0)),
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $2`,
-        [action.sequence_step, action.prospect_id]
-      );
-
-      // Auto-advance from target/research → outreach on first outreach
-      const prospect = await db.query(
-        'SELECT stage FROM prospects WHERE id = $1',
-        [action.prospect_id]
-      );
-      if (prospect.rows[0] && ['target', 'research'].includes(prospect.rows[0].stage)) {
-        await db.query(
-          `UPDATE prospects SET stage = 'outreach', stage_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1`,
-          [action.prospect_id]
-        );
-        await db.query(
-          `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
-           VALUES ($1, $2, $3, 'stage_change', 'Auto-advanced to outreach after first outreach')`,
-          [req.orgId, action.prospect_id, req.user.userId]
-        );
-      }
-
-      await db.query(
-        `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description, metadata)
-         VALUES ($1, $2, $3, 'outreach_sent', $4, $5)`,
-        [
-          req.orgId, action.prospect_id, req.user.userId,
-          `${action.channel} outreach: ${action.title}`,
-          JSON.stringify({ channel: action.channel, outcome: outcome || null, actionId: action.id }),
-        ]
-      );
-    }
-
-    // Response outcome tracking
-    if (isCompleting && ['replied', 'call_connected', 'meeting_booked'].includes(outcome)) {
-      await db.query(
-        `UPDATE prospects
-         SET response_count = response_count + 1,
-             last_response_at = CURRENT_TIMESTAMP,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $1`,
-        [action.prospect_id]
-      );
-
-      const prospect = await db.query(
-        'SELECT stage FROM prospects WHERE id = $1',
-        [action.prospect_id]
-      );
-      if (prospect.rows[0] && prospect.rows[0].stage === 'outreach') {
-        await db.query(
-          `UPDATE prospects SET stage = 'engaged', stage_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1`,
-          [action.prospect_id]
-        );
-        await db.query(
-          `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
-           VALUES ($1, $2, $3, 'stage_change', 'Auto-advanced to engaged after response received')`,
-          [req.orgId, action.prospect_id, req.user.userId]
-        );
-      }
-
-      await db.query(
-        `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description, metadata)
-         VALUES ($1, $2, $3, 'response_received', $4, $5)`,
-        [
-          req.orgId, action.prospect_id, req.user.userId,
-          `Response via ${action.channel}: ${outcome}`,
-          JSON.stringify({ channel: action.channel, outcome, actionId: action.id }),
-        ]
-      );
+    // STRAP, next play, engagement counters + stage auto-advance —
+    // services/actionCompletion.service.js
+    if (isCompleting) {
+      await ActionCompletion.applyProspectingCompletion(action, req.orgId, req.user.userId, outcome);
     }
 
     res.json({ action: mapActionRow(action) });
@@ -354,13 +267,7 @@ router.patch('/:id/snooze', async (req, res) => {
       });
     }
 
-    let snoozedUntil = null;
-    if (duration === '1_week')  snoozedUntil = new Date(Date.now() + 7  * 86400000);
-    if (duration === '2_weeks') snoozedUntil = new Date(Date.now() + 14 * 86400000);
-    if (duration === '1_month') {
-      snoozedUntil = new Date();
-      snoozedUntil.setMonth(snoozedUntil.getMonth() + 1);
-    }
+    const snoozedUntil = ActionCompletion.snoozedUntilFor(duration);
 
     const result = await db.query(
       `UPDATE prospecting_actions
@@ -16,6 +16,7 @@ const authenticateToken = require('../middleware/auth.middleware');
 const { orgContext }    = require('../middleware/orgContext.middleware');
 const requireModule     = require('../middleware/requireModule.middleware');
 const BounceDetectionService = require('../services/BounceDetectionService');
+const OutboundWebhooks  = require('../services/outboundWebhook.service');
 
 router.use(authenticateToken);
 router.use(orgContext);
@@ -958,6 +959,24 @@ router.post('/sync', async (req, res) => {
                 ]
               ).catch(() => {});
 
+              // Outbound webhook (non-blocking)
+              db.query(
+                `SELECT id, first_name, last_name, company_name, owner_id
+                   FROM prospects WHERE id = $1 AND org_id = $2`,
+                [prospectId, orgId]
+              ).then(({ rows: [p] }) => p && OutboundWebhooks.emit(orgId, 'prospect.replied', {
+                prospect: {
+                  id:          p.id,
+                  firstName:   p.first_name,
+                  lastName:    p.last_name,
+                  companyName: p.company_name,
+                  ownerId:     p.owner_id,
+                },
+                channel:   'email',
+                repliedAt: email.sentAt || new Date().toISOString(),
+                message:   { subject: email.subject, fromAddress: email.fromAddress },
+              })).catch(() => {});
+
               // Auto-advance outreach → engaged + update Responses/WK counter
               try {
                 const prospectRow = await db.query(
@@ -0,0 +1,245 @@
+/**
+ * quotes.routes.js
+ *
+ * DROP-IN LOCATION: backend/routes/quotes.routes.js
+ *
+ * Mount in server.js (replaces the /api/proposals mount):
+ *   app.use('/api/quotes', require('./routes/quotes.routes'));
+ *
+ * Quotes and price books (2026_146, services/quote.service.js). Auth +
+ * orgContext on everything; price-book writes and account segments are
+ * owner/admin.
+ *
+ *   GET    /deal/:dealId                  — versions for a deal, newest first
+ *   POST   /deal/:dealId                  — new version from the deal's line items
+ *                                           { priceBookId?, termMonths?, startDate?, validUntil? }
+ *   GET    /:id                           — full quote with lines and totals
+ *   PATCH  /:id                           — draft header: priceBookId, termMonths,
+ *                                           startDate, validUntil, taxRate, notes
+ *   PUT    /:id/lines                     — draft lines, replaced wholesale
+ *   POST   /:id/reprice                   — re-read catalog prices from the book
+ *   DELETE /:id                           — drafts only
+ *   POST   /:id/new-version               — copy into a new draft
+ *   POST   /:id/request-approval          — discount approval (2026_147)
+ *   POST   /:id/send                      — 409 while the discount is unapproved
+ *   POST   /:id/pdf                       — branded PDF (2026_148) { templateId?,
+ *                                           contractId?, versionType?, comment? };
+ *                                           with a contractId it becomes that
+ *                                           contract's next document version
+ *   POST   /:id/accept                    — { note? } → line items + deal value
+ *   POST   /:id/reject                    — { note? }
+ *
+ *   GET    /price-books                   — ?includeInactive=true
+ *   GET    /price-books/:id               — with entries and bands
+ *   POST   /price-books                   (admin)
+ *   PATCH  /price-books/:id               (admin)
+ *   DELETE /price-books/:id               (admin)
+ *   PUT    /price-books/:id/entries/:productId    (admin) { pricingModel, unitPrice, tiers }
+ *   DELETE /price-books/:id/entries/:productId    (admin)
+ *   PUT    /accounts/:accountId/segment           (admin) { segment }
+ *
+ *   GET    /discount-bands
+ *   PUT    /discount-bands                (admin) { bands: [{ groupId, repMaxPct,
+ *                                           managerMaxPct, ceilingPct }] }
+ *   GET    /approvals/pending             — quote approvals waiting on me
+ *   POST   /approvals/:approvalId/decide  — { decision: 'approved'|'rejected', note }
+ */
+
+const express = require('express');
+const router  = express.Router();
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const quotes = require('../services/quote.service');
+const discountApprovals = require('../services/discountApproval.service');
+const documentGeneration = require('../services/documentGeneration.service');
+
+const adminOnly = requireRole('owner', 'admin');
+
+function _err(res, err, fallback) {
+  const status = err.statusCode || err.status || 500;
+  if (status >= 500) console.error('[quotes]', err.message);
+  res.status(status).json({ error: { message: status >= 500 ? fallback : err.message } });
+}
+
+const _id = (v) => parseInt(v, 10);
+
+router.use(authenticateToken);
+router.use(orgContext);
+
+// ── Price books ──────────────────────────────────────────────────────────────
+
+router.get('/price-books', async (req, res) => {
+  try {
+    res.json(await quotes.listPriceBooks(req.orgId, { includeInactive: req.query.includeInactive === 'true' }));
+  } catch (err) { _err(res, err, 'Failed to fetch price books'); }
+});
+
+router.get('/price-books/:id(\\d+)', async (req, res) => {
+  try {
+    res.json({ priceBook: await quotes.getPriceBook(req.orgId, _id(req.params.id)) });
+  } catch (err) { _err(res, err, 'Failed to fetch price book'); }
+});
+
+router.post('/price-books', adminOnly, async (req, res) => {
+  try {
+    res.status(201).json({ priceBook: await quotes.createPriceBook(req.orgId, req.body || {}) });
+  } catch (err) { _err(res, err, 'Failed to create price book'); }
+});
+
+router.patch('/price-books/:id(\\d+)', adminOnly, async (req, res) => {
+  try {
+    res.json({ priceBook: await quotes.updatePriceBook(req.orgId, _id(req.params.id), req.body || {}) });
+  } catch (err) { _err(res, err, 'Failed to update price book'); }
+});
+
+router.delete('/price-books/:id(\\d+)', adminOnly, async (req, res) => {
+  try {
+    await quotes.deletePriceBook(req.orgId, _id(req.params.id));
+    res.json({ deleted: true });
+  } catch (err) { _err(res, err, 'Failed to delete price book'); }
+});
+
+router.put('/price-books/:id(\\d+)/entries/:productId(\\d+)', adminOnly, async (req, res) => {
+  try {
+    const entry = await quotes.upsertEntry(
+      req.orgId, _id(req.params.id), _id(req.params.productId), req.body || {});
+    res.json({ entry });
+  } catch (err) { _err(res, err, 'Failed to save price'); }
+});
+
+router.delete('/price-books/:id(\\d+)/entries/:productId(\\d+)', adminOnly, async (req, res) => {
+  try {
+    await quotes.removeEntry(req.orgId, _id(req.params.id), _id(req.params.productId));
+    res.json({ deleted: true });
+  } catch (err) { _err(res, err, 'Failed to remove price'); }
+});
+
+router.put('/accounts/:accountId(\\d+)/segment', adminOnly, async (req, res) => {
+  try {
+    const account = await quotes.setAccountSegment(
+      req.orgId, _id(req.params.accountId), (req.body || {}).segment);
+    res.json({ account });
+  } catch (err) { _err(res, err, 'Failed to set pricing segment'); }
+});
+
+// ── Discount approval ────────────────────────────────────────────────────────
+
+router.get('/discount-bands', async (req, res) => {
+  try {
+    res.json({ bands: await discountApprovals.listBands(req.orgId) });
+  } catch (err) { _err(res, err, 'Failed to fetch discount bands'); }
+});
+
+router.put('/discount-bands', adminOnly, async (req, res) => {
+  try {
+    res.json({ bands: await discountApprovals.saveBands(req.orgId, (req.body || {}).bands) });
+  } catch (err) { _err(res, err, 'Failed to save discount bands'); }
+});
+
+router.get('/approvals/pending', async (req, res) => {
+  try {
+    res.json({ approvals: await discountApprovals.listPending(req.orgId, req.user.userId) });
+  } catch (err) { _err(res, err, 'Failed to fetch approvals'); }
+});
+
+router.post('/approvals/:approvalId(\\d+)/decide', async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const result = await discountApprovals.decide(
+      req.orgId, _id(req.params.approvalId), req.user.userId, decision, note);
+    res.json({ ...result, quote: await quotes.getQuote(req.orgId, result.quoteId) });
+  } catch (err) { _err(res, err, 'Failed to record decision'); }
+});
+
+// ── Quotes ───────────────────────────────────────────────────────────────────
+
+router.get('/deal/:dealId(\\d+)', async (req, res) => {
+  try {
+    res.json({ quotes: await quotes.listForDeal(req.orgId, _id(req.params.dealId)) });
+  } catch (err) { _err(res, err, 'Failed to fetch quotes'); }
+});
+
+router.post('/deal/:dealId(\\d+)', async (req, res) => {
+  try {
+    const quote = await quotes.createFromDeal(
+      req.orgId, req.user.userId, _id(req.params.dealId), req.body || {});
+    res.status(201).json({ quote });
+  } catch (err) { _err(res, err, 'Failed to create quote'); }
+});
+
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json({ quote: await quotes.getQuote(req.orgId, _id(req.params.id)) });
+  } catch (err) { _err(res, err, 'Failed to fetch quote'); }
+});
+
+router.patch('/:id(\\d+)', async (req, res) => {
+  try {
+    const quote = await quotes.updateQuote(req.orgId, req.user.userId, _id(req.params.id), req.body || {});
+    res.json({ quote });
+  } catch (err) { _err(res, err, 'Failed to update quote'); }
+});
+
+router.put('/:id(\\d+)/lines', async (req, res) => {
+  try {
+    const quote = await quotes.replaceLines(
+      req.orgId, req.user.userId, _id(req.params.id), (req.body || {}).lines);
+    res.json({ quote });
+  } catch (err) { _err(res, err, 'Failed to save quote lines'); }
+});
+
+router.post('/:id(\\d+)/reprice', async (req, res) => {
+  try {
+    res.json({ quote: await quotes.reprice(req.orgId, req.user.userId, _id(req.params.id)) });
+  } catch (err) { _err(res, err, 'Failed to reprice quote'); }
+});
+
+router.delete('/:id(\\d+)', async (req, res) => {
+  try {
+    await quotes.deleteQuote(req.orgId, _id(req.params.id));
+    res.json({ deleted: true });
+  } catch (err) { _err(res, err, 'Failed to delete quote'); }
+});
+
+router.post('/:id(\\d+)/new-version', async (req, res) => {
+  try {
+    const quote = await quotes.newVersion(req.orgId, req.user.userId, _id(req.params.id));
+    res.status(201).json({ quote });
+  } catch (err) { _err(res, err, 'Failed to create version'); }
+});
+
+router.post('/:id(\\d+)/request-approval', async (req, res) => {
+  try {
+    await discountApprovals.requestApproval(req.orgId, req.user.userId, _id(req.params.id));
+    res.json({ quote: await quotes.getQuote(req.orgId, _id(req.params.id)) });
+  } catch (err) { _err(res, err, 'Failed to request approval'); }
+});
+
+router.post('/:id(\\d+)/send', async (req, res) => {
+  try {
+    res.json({ quote: await quotes.sendQuote(req.orgId, req.user.userId, _id(req.params.id)) });
+  } catch (err) { _err(res, err, 'Failed to send quote'); }
+});
+
+router.post('/:id(\\d+)/pdf', async (req, res) => {
+  try {
+    const result = await documentGeneration.generateQuotePdf(
+      req.orgId, req.user.userId, _id(req.params.id), req.body || {});
+    res.status(201).json(result);
+  } catch (err) { _err(res, err, 'Failed to generate PDF'); }
+});
+
+router.post('/:id(\\d+)/accept', async (req, res) => {
+  try {
+    res.json(await quotes.acceptQuote(req.orgId, req.user.userId, _id(req.params.id), req.body || {}));
+  } catch (err) { _err(res, err, 'Failed to accept quote'); }
+});
+
+router.post('/:id(\\d+)/reject', async (req, res) => {
+  try {
+    const quote = await quotes.rejectQuote(req.orgId, req.user.userId, _id(req.params.id), req.body || {});
+    res.json({ quote });
+  } catch (err) { _err(res, err, 'Failed to reject quote'); }
+});
+
+module.exports = router;
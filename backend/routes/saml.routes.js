@@ -0,0 +1,44 @@
+/**
+ * /sso/saml — browser-facing SAML endpoints (no auth; per-org by slug)
+ *
+ *   GET  /:slug/metadata   SP metadata XML (entity ID = this URL)
+ *   GET  /:slug/login      Start SP-initiated login → 302 to the IdP
+ *   POST /:slug/acs        Assertion Consumer Service → 302 to the app's
+ *                          #/sso-callback with a one-time ?code= (or ?error=)
+ *
+ * Logic lives in services/samlSso.service.js.
+ *
+ * Mounted OUTSIDE /api and AHEAD of the CORS middleware: the IdP's
+ * auto-submitting form POSTs from the IdP's origin, which the CORS allow-list
+ * would reject. Carries its own urlencoded parser for the same reason.
+ *
+ * Mount in server.js (before app.use(cors(...))):
+ *   app.use('/sso/saml', require('./routes/saml.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+const SamlSso = require('../services/samlSso.service');
+
+router.get('/:slug/metadata', async (req, res) => {
+  try {
+    res.type('application/samlmetadata+xml').send(await SamlSso.spMetadata(req.params.slug));
+  } catch (e) {
+    res.status(e.status || 500).type('text/plain').send(e.status ? e.message : 'Metadata unavailable');
+  }
+});
+
+router.get('/:slug/login', async (req, res) => {
+  try {
+    res.redirect(await SamlSso.loginRedirectUrl(req.params.slug));
+  } catch (e) {
+    if (!e.status) console.error('[sso] login redirect error:', e.message);
+    res.redirect(SamlSso.callbackUrl({ error: e.status ? e.message : 'Single sign-on is unavailable right now.' }));
+  }
+});
+
+router.post('/:slug/acs', express.urlencoded({ extended: false, limit: '2mb' }), async (req, res) => {
+  res.redirect(303, await SamlSso.handleAcs(req.params.slug, req.body));
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * /scim/v2 — SCIM 2.0 service provider (RFC 7644), one tenant per bearer token
+ *
+ *   GET    /ServiceProviderConfig
+ *   GET    /ResourceTypes
+ *   GET    /Users            ?filter=userName eq "x"&startIndex&count
+ *   GET    /Users/:id
+ *   POST   /Users            provision (seat-gated)
+ *   PUT    /Users/:id        replace name / email / externalId / active
+ *   PATCH  /Users/:id        PatchOp; active:false offboards
+ *   DELETE /Users/:id        offboard (the member row is kept, inactive)
+ *   GET    /Groups           teams in the org's SCIM group dimension
+ *   GET    /Groups/:id
+ *   POST   /Groups           create, or link a same-name team
+ *   PUT    /Groups/:id
+ *   PATCH  /Groups/:id       add / remove / replace members, rename
+ *   DELETE /Groups/:id       deactivate the team
+ *
+ * Logic lives in services/scim.service.js. Auth is the org's SCIM token
+ * (Org Admin → SCIM Provisioning), not a user JWT — the token identifies the
+ * org. Errors use the SCIM error schema rather than { error: { message } }.
+ *
+ * Mounted OUTSIDE /api: IdPs call server-to-server (no Origin, so CORS is a
+ * no-op) and send application/scim+json, which the global JSON parser skips —
+ * this router carries its own.
+ *
+ * Mount in server.js:
+ *   app.use('/scim/v2', require('./routes/scim.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+const Scim    = require('../services/scim.service');
+
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+
+router.use(express.json({ limit: '1mb', type: ['application/json', 'application/scim+json'] }));
+
+const scimError = (res, status, detail, scimType) => res
+  .status(status)
+  .type('application/scim+json')
+  .json({ schemas: [ERROR_SCHEMA], status: String(status), detail, ...(scimType ? { scimType } : {}) });
+
+router.use(async (req, res, next) => {
+  try {
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const cfg = m && await Scim.authenticate(m[1].trim());
+    if (!cfg) return scimError(res, 401, 'Invalid or disabled SCIM token');
+    req.scim = cfg;
+    next();
+  } catch (e) {
+    console.error('[scim] auth error:', e.message);
+    scimError(res, 500, 'Internal error');
+  }
+});
+
+const send = (res, p, status = 200) => p
+  .then(o => (o === undefined ? res.status(204).end() : res.status(status).type('application/scim+json').json(o)))
+  .catch(e => {
+    if (!e.status) console.error('[scim] route error:', e);
+    scimError(res, e.status || 500, e.status ? e.message : 'Internal error', e.scimType);
+  });
+
+router.get('/ServiceProviderConfig', (req, res) => send(res, Promise.resolve(Scim.serviceProviderConfig())));
+router.get('/ResourceTypes',         (req, res) => send(res, Promise.resolve(Scim.resourceTypes())));
+
+router.get('/Users',        (req, res) => send(res, Scim.listUsers(req.scim.org_id, req.query)));
+router.get('/Users/:id',    (req, res) => send(res, Scim.getUser(req.scim.org_id, req.params.id)));
+router.post('/Users',       (req, res) => send(res, Scim.createUser(req.scim, req.body || {}), 201));
+router.put('/Users/:id',    (req, res) => send(res, Scim.replaceUser(req.scim, req.params.id, req.body || {})));
+router.patch('/Users/:id',  (req, res) => send(res, Scim.patchUser(req.scim, req.params.id, req.body || {})));
+router.delete('/Users/:id', (req, res) => send(res, Scim.deleteUser(req.scim, req.params.id)));
+
+router.get('/Groups',        (req, res) => send(res, Scim.listGroups(req.scim, req.query)));
+router.get('/Groups/:id',    (req, res) => send(res, Scim.getGroup(req.scim, req.params.id)));
+router.post('/Groups',       (req, res) => send(res, Scim.createGroup(req.scim, req.body || {}), 201));
+router.put('/Groups/:id',    (req, res) => send(res, Scim.replaceGroup(req.scim, req.params.id, req.body || {})));
+router.patch('/Groups/:id',  (req, res) => send(res, Scim.patchGroup(req.scim, req.params.id, req.body || {})));
+router.delete('/Groups/:id', (req, res) => send(res, Scim.deleteGroup(req.scim, req.params.id)));
+
+router.use((req, res) => scimError(res, 404, 'Endpoint not found'));
+
+module.exports = router;
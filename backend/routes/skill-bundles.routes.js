@@ -26,7 +26,24 @@
  *   POST   /publish-from-disk      — org-scope publish of a disk skill
  *                                    (repo-based authoring for org custom
  *                                    methodologies; platform scope is CLI-only)
+ *                                    Blocked by the eval gate (409, code
+ *                                    'EVAL_GATE', gate report) unless
+ *                                    body.skip_eval_gate === true
  *   POST   /:id/archive            — archive an org-owned bundle
+ *
+ * Org authoring (2026_139, services/skillDrafts.service.js) — admin/owner:
+ *   GET    /authoring              — runnable skills: current resolution +
+ *                                    this org's draft
+ *   POST   /drafts                 — fork { skill_name, from?: 'current'|
+ *                                    'disk'|bundle id } into the org's draft
+ *   GET    /drafts/:id             — draft incl. file bodies
+ *   PUT    /drafts/:id/files/:path — create/replace a file { content }
+ *   DELETE /drafts/:id/files/:path — remove a file (not SKILL.md)
+ *   DELETE /drafts/:id             — discard the draft
+ *   POST   /drafts/:id/preview     — run against { prospect_id, step_intent? }
+ *                                    or { deal_id, methodology? }
+ *   POST   /drafts/:id/publish     — { version, notes?, pin? (default true),
+ *                                    skip_eval_gate? } → org bundle (+ pin)
  */
 
 const express = require('express');
@@ -34,6 +51,7 @@ const router  = express.Router();
 const authenticateToken = require('../middleware/auth.middleware');
 const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
 const skillBundles = require('../services/skillBundles.service');
+const skillDrafts  = require('../services/skillDrafts.service');
 const { SKILL_REGISTRY } = require('../services/SkillRunnerService');
 
 router.use(authenticateToken);
@@ -42,9 +60,11 @@ router.use(orgContext);
 function _err(res, err) {
   const status = err.statusCode || 500;
   if (status >= 500) console.error('[skill-bundles]', err.message);
-  res.status(status).json({ success: false, error: err.message, unmet: err.unmet });
+  res.status(status).json({ success: false, error: err.message, unmet: err.unmet, code: err.code, gate: err.gate });
 }
 
+const admin = requireRole('admin', 'owner');
+
 // ── GET / ────────────────────────────────────────────────────────────────────
 
 router.get('/', async (req, res) => {
@@ -174,13 +194,89 @@ router.post('/import', requireRole('admin', 'owner'), async (req, res) => {
 
 router.post('/publish-from-disk', requireRole('admin', 'owner'), async (req, res) => {
   try {
-    const { skill_name, version, manifest } = req.body || {};
+    const { skill_name, version, manifest, skip_eval_gate } = req.body || {};
     if (!skill_name || !version) {
       return res.status(400).json({ success: false, error: 'skill_name and version required' });
     }
     const result = await skillBundles.publishFromDisk(skill_name, {
       version, scope: 'org', orgId: req.orgId,
       publishedBy: req.userId, manifest: manifest || {},
+      skipEvalGate: skip_eval_gate === true,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) { _err(res, err); }
+});
+
+// ── org authoring (drafts) ───────────────────────────────────────────────────
+
+router.get('/authoring', admin, async (req, res) => {
+  try {
+    const skills = await skillDrafts.listAuthorableSkills(req.orgId);
+    res.json({ success: true, skills });
+  } catch (err) { _err(res, err); }
+});
+
+router.post('/drafts', admin, async (req, res) => {
+  try {
+    const { skill_name, from } = req.body || {};
+    if (!skill_name) return res.status(400).json({ success: false, error: 'skill_name required' });
+    const draft = await skillDrafts.forkDraft(req.orgId, req.userId, skill_name, {
+      from: from == null ? undefined : String(from),
+    });
+    res.status(201).json({ success: true, draft });
+  } catch (err) { _err(res, err); }
+});
+
+router.get('/drafts/:id(\\d+)', admin, async (req, res) => {
+  try {
+    const draft = await skillDrafts.getDraft(req.orgId, parseInt(req.params.id, 10));
+    res.json({ success: true, draft });
+  } catch (err) { _err(res, err); }
+});
+
+router.put('/drafts/:id(\\d+)/files/*', admin, async (req, res) => {
+  try {
+    const draft = await skillDrafts.saveFile(
+      req.orgId, req.userId, parseInt(req.params.id, 10),
+      decodeURIComponent(req.params[0] || ''), (req.body || {}).content);
+    res.json({ success: true, draft });
+  } catch (err) { _err(res, err); }
+});
+
+router.delete('/drafts/:id(\\d+)/files/*', admin, async (req, res) => {
+  try {
+    const draft = await skillDrafts.deleteFile(
+      req.orgId, req.userId, parseInt(req.params.id, 10), decodeURIComponent(req.params[0] || ''));
+    res.json({ success: true, draft });
+  } catch (err) { _err(res, err); }
+});
+
+router.delete('/drafts/:id(\\d+)', admin, async (req, res) => {
+  try {
+    const result = await skillDrafts.discardDraft(req.orgId, parseInt(req.params.id, 10));
+    res.json({ success: true, ...result });
+  } catch (err) { _err(res, err); }
+});
+
+router.post('/drafts/:id(\\d+)/preview', admin, async (req, res) => {
+  try {
+    const { prospect_id, deal_id, methodology, step_intent } = req.body || {};
+    const result = await skillDrafts.previewDraft(req.orgId, req.userId, parseInt(req.params.id, 10), {
+      prospectId: parseInt(prospect_id, 10) || null,
+      dealId: parseInt(deal_id, 10) || null,
+      methodology: methodology || null,
+      stepIntent: step_intent || null,
+    });
+    res.json({ success: true, result });
+  } catch (err) { _err(res, err); }
+});
+
+router.post('/drafts/:id(\\d+)/publish', admin, async (req, res) => {
+  try {
+    const { version, notes, pin, skip_eval_gate } = req.body || {};
+    if (!version) return res.status(400).json({ success: false, error: 'version required' });
+    const result = await skillDrafts.publishDraft(req.orgId, req.userId, parseInt(req.params.id, 10), {
+      version: String(version), notes, pin: pin !== false, skipEvalGate: skip_eval_gate === true,
     });
     res.json({ success: true, ...result });
   } catch (err) { _err(res, err); }
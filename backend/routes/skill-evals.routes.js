@@ -0,0 +1,158 @@
+/**
+ * skill-evals.routes.js
+ *
+ * DROP-IN LOCATION: backend/routes/skill-evals.routes.js
+ *
+ * Mount in server.js (next to the skills mounts):
+ *   app.use('/api/skill-evals', require('./routes/skill-evals.routes'));
+ *
+ * The skill evaluation harness (2026_138, services/skillEval.service.js).
+ * Auth + orgContext on everything; reads are open to members, anything that
+ * writes or spends AI tokens requires admin/owner. Platform sets are
+ * readable here but managed from the CLI (scripts/eval-skill.js).
+ *
+ *   GET    /sets                          — sets visible to this org
+ *                                           (?skill_name=), with last run
+ *   POST   /sets                          — create an org set
+ *   GET    /sets/:id                      — set + cases
+ *   PATCH  /sets/:id                      — name, description,
+ *                                           regression_tolerance,
+ *                                           min_pass_rate, is_active
+ *   DELETE /sets/:id
+ *   POST   /sets/:id/cases                — add a case
+ *                                           { label, context_payload,
+ *                                             methodology?, expectations? }
+ *   POST   /sets/:id/cases/from-run       — capture a skill_runs row
+ *                                           { run_id, label?, expectations? }
+ *   PATCH  /sets/:id/cases/:caseId
+ *   DELETE /sets/:id/cases/:caseId
+ *   POST   /sets/:id/runs                 — start a comparison (202)
+ *                                           { baseline?: 'current'|'disk'|id,
+ *                                             candidate?: 'current'|'disk'|id
+ *                                                         |'draft:<id>' }
+ *   GET    /runs                          — this org's runs (?set_id=&skill_name=)
+ *   GET    /runs/:id                      — run + report + per-case results
+ */
+
+const express = require('express');
+const router  = express.Router();
+const authenticateToken = require('../middleware/auth.middleware');
+const { orgContext, requireRole } = require('../middleware/orgContext.middleware');
+const skillEval = require('../services/skillEval.service');
+
+router.use(authenticateToken);
+router.use(orgContext);
+
+const admin = requireRole('admin', 'owner');
+
+function _err(res, err) {
+  const status = err.statusCode || 500;
+  if (status >= 500) console.error('[skill-evals]', err.message);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+// ── sets ─────────────────────────────────────────────────────────────────────
+
+router.get('/sets', async (req, res) => {
+  try {
+    const sets = await skillEval.listSets(req.orgId, { skillName: req.query.skill_name });
+    res.json({ success: true, sets });
+  } catch (err) { _err(res, err); }
+});
+
+router.post('/sets', admin, async (req, res) => {
+  try {
+    const set = await skillEval.createSet(req.orgId, req.userId, req.body);
+    res.status(201).json({ success: true, set });
+  } catch (err) { _err(res, err); }
+});
+
+router.get('/sets/:id(\\d+)', async (req, res) => {
+  try {
+    const set = await skillEval.getSet(req.orgId, parseInt(req.params.id, 10));
+    res.json({ success: true, set });
+  } catch (err) { _err(res, err); }
+});
+
+router.patch('/sets/:id(\\d+)', admin, async (req, res) => {
+  try {
+    const set = await skillEval.updateSet(req.orgId, parseInt(req.params.id, 10), req.body);
+    res.json({ success: true, set });
+  } catch (err) { _err(res, err); }
+});
+
+router.delete('/sets/:id(\\d+)', admin, async (req, res) => {
+  try {
+    const result = await skillEval.deleteSet(req.orgId, parseInt(req.params.id, 10));
+    res.json({ success: true, ...result });
+  } catch (err) { _err(res, err); }
+});
+
+// ── cases ────────────────────────────────────────────────────────────────────
+
+router.post('/sets/:id(\\d+)/cases', admin, async (req, res) => {
+  try {
+    const evalCase = await skillEval.addCase(req.orgId, parseInt(req.params.id, 10), req.body);
+    res.status(201).json({ success: true, case: evalCase });
+  } catch (err) { _err(res, err); }
+});
+
+router.post('/sets/:id(\\d+)/cases/from-run', admin, async (req, res) => {
+  try {
+    const { run_id, label, expectations } = req.body || {};
+    const runId = parseInt(run_id, 10);
+    if (!runId) return res.status(400).json({ success: false, error: 'run_id required' });
+    const evalCase = await skillEval.captureCaseFromRun(
+      req.orgId, parseInt(req.params.id, 10), runId, { label, expectations });
+    res.status(201).json({ success: true, case: evalCase });
+  } catch (err) { _err(res, err); }
+});
+
+router.patch('/sets/:id(\\d+)/cases/:caseId(\\d+)', admin, async (req, res) => {
+  try {
+    const evalCase = await skillEval.updateCase(
+      req.orgId, parseInt(req.params.id, 10), parseInt(req.params.caseId, 10), req.body);
+    res.json({ success: true, case: evalCase });
+  } catch (err) { _err(res, err); }
+});
+
+router.delete('/sets/:id(\\d+)/cases/:caseId(\\d+)', admin, async (req, res) => {
+  try {
+    const result = await skillEval.deleteCase(
+      req.orgId, parseInt(req.params.id, 10), parseInt(req.params.caseId, 10));
+    res.json({ success: true, ...result });
+  } catch (err) { _err(res, err); }
+});
+
+// ── runs ─────────────────────────────────────────────────────────────────────
+
+router.post('/sets/:id(\\d+)/runs', admin, async (req, res) => {
+  try {
+    const { baseline, candidate } = req.body || {};
+    const run = await skillEval.startRun(req.orgId, req.userId, parseInt(req.params.id, 10), {
+      baseline: baseline == null ? undefined : String(baseline),
+      candidate: candidate == null ? undefined : String(candidate),
+    });
+    res.status(202).json({ success: true, run });
+  } catch (err) { _err(res, err); }
+});
+
+router.get('/runs', async (req, res) => {
+  try {
+    const runs = await skillEval.listRuns(req.orgId, {
+      setId: parseInt(req.query.set_id, 10) || null,
+      skillName: req.query.skill_name || null,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, runs });
+  } catch (err) { _err(res, err); }
+});
+
+router.get('/runs/:id(\\d+)', async (req, res) => {
+  try {
+    const run = await skillEval.getRun(req.orgId, parseInt(req.params.id, 10));
+    res.json({ success: true, run });
+  } catch (err) { _err(res, err); }
+});
+
+module.exports = router;
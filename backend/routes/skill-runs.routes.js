@@ -67,7 +67,9 @@ router.get('/', async (req, res) => {
       [String(orgId)]
     );
 
-    const where = ['org_id = $1'];
+    // Eval-harness runs (2026_138) and draft previews (2026_139) are not
+    // real drafts.
+    const where = ['org_id = $1', `COALESCE(bundle_source, '') NOT IN ('eval', 'draft')`];
     const params = [orgId];
     let p = 2;
     if (skill)      { where.push(`skill_name = $${p}`);    params.push(skill);      p++; }
@@ -120,7 +122,7 @@ router.get('/summary', async (req, res) => {
     const skill = req.query.skill_name ? String(req.query.skill_name).trim() : null;
     const sinceDays = parseInt(req.query.since_days, 10);
 
-    const where = ['org_id = $1'];
+    const where = ['org_id = $1', `COALESCE(bundle_source, '') NOT IN ('eval', 'draft')`];
     const params = [orgId];
     let p = 2;
     if (skill) { where.push(`skill_name = $${p}`); params.push(skill); p++; }
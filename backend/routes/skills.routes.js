@@ -19,6 +19,12 @@
 //   POST /api/skills/discovery-call-prep/run
 //        body: { dealId, methodology?: 'meddic' | 'challenger' }
 //
+//   POST /api/skills/mutual-action-plan/run
+//        body: { dealId }
+//        Drafts a close plan and stores it (mutualActionPlan.service). The
+//        response is the run result plus `plan`; editing, sharing and
+//        conversion live under /api/mutual-action-plans.
+//
 //   POST /api/skills/outreach-personalization/run
 //        DEPRECATED — returns 410 Gone. Callers should use outreach-email
 //        and outreach-linkedin in parallel for the first-touch package.
@@ -32,6 +38,7 @@ const authenticateToken = require('../middleware/auth.middleware');
 const { orgContext }    = require('../middleware/orgContext.middleware');
 const requireModule     = require('../middleware/requireModule.middleware');
 const SkillRunnerService = require('../services/SkillRunnerService');
+const mutualActionPlans  = require('../services/mutualActionPlan.service');
 const ProspectClassifier = require('../services/ProspectClassifier');
 const { sanitizeOrgConfig } = require('../config/prospectingConfigSchema');
 
@@ -174,6 +181,23 @@ router.post('/discovery-call-prep/run', async (req, res) => {
   }
 });
 
+// ── POST /mutual-action-plan/run ─────────────────────────────────────────────
+// Deal-side skill, same gating as discovery-call-prep. Persists the plan.
+router.post('/mutual-action-plan/run', async (req, res) => {
+  const { dealId } = req.body || {};
+  if (!dealId || !/^\d+$/.test(String(dealId))) {
+    return res.status(400).json({ error: { message: 'dealId (numeric) is required' } });
+  }
+
+  try {
+    const result = await mutualActionPlans.generatePlan(
+      req.orgId, req.user.userId, parseInt(dealId, 10));
+    return res.json(result);
+  } catch (err) {
+    return sendSkillError(res, err, 'Mutual action plan skill failed');
+  }
+});
+
 // ── POST /classify/preview ───────────────────────────────────────────────────
 // Title-classifier keyword tuning loop. The config surface is KEYWORDS; this
 // endpoint runs them (after the SAME sanitization a save applies) against
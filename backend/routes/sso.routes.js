@@ -0,0 +1,35 @@
+/**
+ * /api/auth/sso — public SSO endpoints used by the login screen
+ *
+ *   POST /discover   { email } → { sso, enforced?, orgName?, loginUrl? }
+ *   POST /exchange   { code }  → { user, token } (same body as POST /api/auth/login),
+ *                    or 401 { error: { code: MFA_REQUIRED | MFA_ENROLL_REQUIRED,
+ *                    challengeToken } } finished at /api/auth/2fa
+ *
+ * The browser leg (metadata / login redirect / ACS) is routes/saml.routes.js.
+ * Logic lives in services/samlSso.service.js. Sits under /api/auth/ so the
+ * auth rate limiter applies.
+ *
+ * Mount in server.js:
+ *   app.use('/api/auth/sso', require('./routes/sso.routes'));
+ */
+
+const express = require('express');
+const router  = express.Router();
+const SamlSso = require('../services/samlSso.service');
+
+const send = (res, p) => p
+  .then(o => res.json(o))
+  .catch(e => {
+    if (!e.status) console.error('sso route error:', e);
+    res.status(e.status || 500).json({ error: {
+      message: e.status ? e.message : 'Single sign-on failed',
+      code: e.code, challengeToken: e.challengeToken,
+    } });
+  });
+
+router.post('/discover', (req, res) => send(res, SamlSso.discover(req.body?.email)));
+
+router.post('/exchange', (req, res) => send(res, SamlSso.exchangeCode(req.body?.code)));
+
+module.exports = router;
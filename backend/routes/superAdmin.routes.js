@@ -16,6 +16,7 @@ const { pool } = require('../config/database');
 const authenticateToken = require('../middleware/auth.middleware');
 const { requireSuperAdmin, auditLog } = require('../middleware/superAdmin.middleware');
 const { seedOrg } = require('../services/orgSeed.service');
+const TwoFactor = require('../services/twoFactor.service');
 
 // Apply auth + super admin guard to ALL routes in this file
 router.use(authenticateToken, requireSuperAdmin);
@@ -1303,7 +1304,7 @@ const IMPERSONATION_TTL = process.env.IMPERSONATION_TTL || '30m';
 // USERS — platform-wide user list (all orgs), for the Users tab
 // ═════════════════════════════════════════════════════════════════════════════
 
-// GET /super/users?search=&active=&new_30d=&page=&limit=
+// GET /super/users?search=&active=&new_30d=&mfa=on|off&page=&limit=
 router.get('/users', async (req, res) => {
   try {
     const page   = Math.max(parseInt(req.query.page, 10)  || 1, 1);
@@ -1331,6 +1332,9 @@ router.get('/users', async (req, res) => {
     if (req.query.new_30d === 'true') {
       where.push(`EXISTS (SELECT 1 FROM org_users oun WHERE oun.user_id = u.id AND oun.joined_at > now() - interval '30 days')`);
     }
+    if (req.query.mfa === 'on' || req.query.mfa === 'off') {
+      where.push(`${req.query.mfa === 'off' ? 'NOT ' : ''}EXISTS (SELECT 1 FROM user_mfa um WHERE um.user_id = u.id AND um.enabled_at IS NOT NULL)`);
+    }
 
     const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
@@ -1351,7 +1355,16 @@ router.get('/users', async (req, res) => {
                 EXISTS (
                   SELECT 1 FROM super_admins sa
                   WHERE sa.user_id = u.id AND sa.revoked_at IS NULL
-                ) AS is_super_admin
+                ) AS is_super_admin,
+                (SELECT um.enabled_at FROM user_mfa um WHERE um.user_id = u.id) AS mfa_enabled_at,
+                (SELECT COUNT(*)::int FROM user_mfa_recovery_codes rc
+                  WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS mfa_recovery_remaining,
+                EXISTS (
+                  SELECT 1 FROM org_users oum
+                  JOIN organizations om ON om.id = oum.org_id
+                  WHERE oum.user_id = u.id AND oum.is_active = TRUE
+                    AND (om.mfa_policy = 'all' OR (om.mfa_policy = 'admins' AND oum.role IN ('owner', 'admin')))
+                ) AS mfa_required
          FROM users u
          LEFT JOIN org_users ou     ON ou.user_id = u.id
          LEFT JOIN organizations o  ON o.id = ou.org_id
@@ -1383,6 +1396,24 @@ router.get('/users', async (req, res) => {
   }
 });
 
+// POST /super/users/:userId/reset-2fa — support path for a user who lost
+// both their authenticator and recovery codes. They sign in with password
+// only (and re-enrol if an org policy requires it).
+router.post('/users/:userId/reset-2fa', async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId, 10);
+    if (!Number.isInteger(targetUserId)) {
+      return res.status(400).json({ error: { message: 'Invalid user id' } });
+    }
+    const result = await TwoFactor.adminReset(targetUserId);
+    await auditLog(req, 'reset_user_2fa', 'user', targetUserId, result);
+    res.json(result);
+  } catch (err) {
+    console.error('POST /super/users/:userId/reset-2fa error:', err);
+    res.status(500).json({ error: { message: err.message } });
+  }
+});
+
 router.post('/users/:userId/impersonate', async (req, res) => {
   try {
     const targetUserId = parseInt(req.params.userId, 10);
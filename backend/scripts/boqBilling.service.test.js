@@ -0,0 +1,140 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// boqBilling.service claim maths (jest, no database) — driven through
+// previewClaim, which is compute() on an unlocked bill.
+//
+//   1. What each line earns to date: by measure capped at the sanctioned
+//      amount, item milestones once completion reaches the trigger, stage
+//      milestones once every live play is done.
+//   2. Claims are cumulative: this period = to date − the previous claim,
+//      and a line that vanished is reversed.
+//   3. Retention is taken on the cumulative gross; a release is a share of
+//      what is still held, so the whole contract re-bases.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../config/database');
+const { routePool } = require('./testUtils/routePool');
+const { previewClaim } = require('../services/boqBilling.service');
+
+const { route } = routePool(pool);
+
+const BILL = { id: 1, handover_id: 7, status: 'active', currency: 'GBP', retention_pct: '10', first_day: '2025-01-06' };
+
+// Item 1 by measure, overrun; item 2 by measure, with a variation; item 3 on
+// milestones at 50% complete; one stage milestone whose stage is done.
+const ITEMS = [
+  { id: 1, description: 'Groundworks', item_code: 'A1', planned_qty: '10', planned_amount: '1000', executed_qty: '12', executed_amount: '1200' },
+  { id: 2, description: 'Drainage',    item_code: 'A2', planned_qty: '5',  planned_amount: '500', variation_qty: '1', variation_amount: '100', executed_qty: '3', executed_amount: '300' },
+  { id: 3, description: 'Frame',       item_code: 'B1', planned_qty: '100', planned_amount: '2000', executed_qty: '50', executed_amount: '1000' },
+];
+const MILESTONES = [
+  { id: 11, boq_item_id: 3, name: 'Mobilise',  trigger_pct: '0',   bill_pct: '30' },
+  { id: 12, boq_item_id: 3, name: 'Half',      trigger_pct: '50',  bill_pct: '40' },
+  { id: 13, boq_item_id: 3, name: 'Complete',  trigger_pct: '100', bill_pct: '30' },
+  { id: 14, boq_item_id: null, stage_key: 'handover', name: 'Handover', amount: '250' },
+];
+
+function claimWith({ previous = null, items = ITEMS, stages = [{ key: 'handover', name: 'Handover', live: 2, done: 2 }], bill = BILL } = {}) {
+  route({
+    'max(claim_no)':        { rows: [{ n: previous ? previous.claim_no + 1 : 1 }] },
+    "status = 'proposed'":  { rows: [{ n: 0 }] },
+    'FROM boqs b':          { rows: [bill] },
+    "status = 'issued'":    { rows: previous ? [previous] : [] },
+    'FROM boq_items i':     { rows: items },
+    'boq_billing_milestones': { rows: MILESTONES },
+    'FROM project_stages':  { rows: stages },
+  });
+}
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('first claim', () => {
+  test('what each line has earned, and the totals', async () => {
+    claimWith();
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30' });
+    expect(c.lines.map(l => [l.key, l.valueToDate])).toEqual([
+      ['item:1', 1000], ['item:2', 300],
+      ['ms:11', 600], ['ms:12', 800], ['ms:13', 0],
+      ['ms:14', 250],
+    ]);
+    expect(c).toMatchObject({
+      claimNo: 1, periodStart: '2025-01-06', periodEnd: '2025-06-30',
+      grossToDate: 2150 + 800, retentionToDate: 295, releasedToDate: 0,
+      retentionHeld: 295, netToDate: 2655, amountDue: 2655,
+    });
+  });
+
+  test('work beyond sanction is reported, not claimed', async () => {
+    claimWith();
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30' });
+    expect(c.lines[0].unclaimedOverrun).toBe(200);
+    expect(c.warnings[0]).toMatch(/^A1: 200\.00 of measured work is beyond/);
+  });
+
+  test('a stage with a play still open earns nothing', async () => {
+    claimWith({ stages: [{ key: 'handover', name: 'Handover', live: 2, done: 1 }] });
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30' });
+    expect(c.lines.find(l => l.key === 'ms:14')).toMatchObject({ earned: false, valueToDate: 0 });
+  });
+});
+
+describe('cumulative claims', () => {
+  const PREVIOUS = {
+    id: 50, claim_no: 1, period_end: '2025-05-31',
+    gross_to_date: '2000', released_to_date: '0', net_to_date: '1800',
+    lines: [
+      { key: 'item:1', valueToDate: 800, description: 'Groundworks' },
+      { key: 'item:99', valueToDate: 100, description: 'Fencing' },
+    ],
+  };
+
+  test('this period is to-date less the previous claim; a vanished line is reversed', async () => {
+    claimWith({ previous: PREVIOUS });
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30' });
+    expect(c.periodStart).toBe('2025-06-01');
+    expect(c.lines.find(l => l.key === 'item:1')).toMatchObject({ previousValue: 800, thisPeriod: 200 });
+    expect(c.lines.find(l => l.key === 'item:99')).toMatchObject({
+      description: 'Fencing (no longer on the bill)', valueToDate: 0, previousValue: 100, thisPeriod: -100,
+    });
+    expect(c).toMatchObject({ grossThisPeriod: 950, netToDate: 2655, previousNet: 1800, amountDue: 855 });
+  });
+
+  test('a period end not after the previous claim is a 409', async () => {
+    claimWith({ previous: PREVIOUS });
+    await expect(previewClaim(1, 5, { periodEnd: '2025-05-31' })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('retention', () => {
+  const released = (releasedToDate) => ({
+    id: 50, claim_no: 1, period_end: '2025-05-31', lines: [],
+    gross_to_date: '2950', released_to_date: String(releasedToDate), net_to_date: '0',
+  });
+
+  test('a release is a share of what is still held', async () => {
+    claimWith({ previous: released(100) });
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30', releaseRetentionPct: 50 });
+    expect(c).toMatchObject({
+      retentionToDate: 295, releasedThisPeriod: 97.5, releasedToDate: 197.5,
+      retentionHeld: 97.5, netToDate: 2950 - 295 + 197.5,
+    });
+  });
+
+  test('releasing 100% empties the retention and never goes past it', async () => {
+    claimWith({ previous: released(100) });
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30', releaseRetentionPct: 100 });
+    expect(c).toMatchObject({ releasedThisPeriod: 195, releasedToDate: 295, retentionHeld: 0, netToDate: 2950 });
+  });
+
+  test('a lower retention_pct re-bases the whole contract; nothing is clawed back', async () => {
+    claimWith({ previous: released(200), bill: { ...BILL, retention_pct: '5' } });
+    const c = await previewClaim(1, 5, { periodEnd: '2025-06-30', releaseRetentionPct: 100 });
+    expect(c).toMatchObject({ retentionToDate: 147.5, releasedThisPeriod: 0, releasedToDate: 200 });
+  });
+
+  test('a release outside 0–100 is refused', async () => {
+    claimWith();
+    await expect(previewClaim(1, 5, { periodEnd: '2025-06-30', releaseRetentionPct: 150 }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
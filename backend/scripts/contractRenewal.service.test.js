@@ -0,0 +1,65 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// contractRenewal.service unit tests (jest, no database).
+//
+//   autoRenewDue: each round's term roll and its auto_renewed events commit
+//   together — a failed event insert rolls the term back rather than leaving
+//   a contract in a new term with no record of why.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() }, withOrgTransaction: jest.fn() }));
+jest.mock('../services/playbook.service', () => ({}));
+jest.mock('../services/actionsGenerator', () => ({}));
+jest.mock('../services/dealProducts.service', () => ({ syncDealValue: jest.fn() }));
+jest.mock('../services/contractNotificationService', () => ({}));
+
+const { pool } = require('../config/database');
+const Renewal = require('../services/contractRenewal.service');
+
+const ROW = { id: 3, org_id: 5, term_months: 12, previous_end: '2026-10-01', new_end: '2027-10-01', renewal_deal_id: 40 };
+
+let client;
+// Rows returned by each successive UPDATE; an empty round ends the run.
+let rounds;
+let eventFails;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  eventFails = false;
+  client = {
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      if (sql.includes('UPDATE contracts c')) {
+        const rows = rounds.shift() || [];
+        return { rows, rowCount: rows.length };
+      }
+      if (eventFails && sql.includes('INSERT INTO contract_events')) throw new Error('contract_events is locked');
+      return { rows: [], rowCount: 1 };
+    }),
+  };
+  pool.connect.mockResolvedValue(client);
+});
+
+const statements = () => client.query.mock.calls.map(([s]) => s.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('autoRenewDue', () => {
+  test('the roll and its event commit in one transaction per round', async () => {
+    rounds = [[ROW], [{ ...ROW, previous_end: '2027-10-01', new_end: '2028-10-01' }]];
+    await expect(Renewal.autoRenewDue()).resolves.toBe(2);
+    expect(statements()).toEqual([
+      'BEGIN', 'UPDATE contracts c', 'INSERT INTO contract_events', 'COMMIT',
+      'BEGIN', 'UPDATE contracts c', 'INSERT INTO contract_events', 'COMMIT',
+      'BEGIN', 'UPDATE contracts c', 'COMMIT',
+    ]);
+    const [, params] = client.query.mock.calls[2];
+    expect(params.slice(0, 2)).toEqual([3, 5]);
+    expect(JSON.parse(params[2])).toEqual({ previousEnd: '2026-10-01', newEnd: '2027-10-01', termMonths: 12, renewalDealId: 40 });
+    expect(client.release).toHaveBeenCalledTimes(3);
+  });
+
+  test('a failed event insert rolls the term back and surfaces the error', async () => {
+    rounds = [[ROW]];
+    eventFails = true;
+    await expect(Renewal.autoRenewDue()).rejects.toThrow('contract_events is locked');
+    expect(statements()).toEqual(['BEGIN', 'UPDATE contracts c', 'INSERT INTO contract_events', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
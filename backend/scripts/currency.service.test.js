@@ -0,0 +1,148 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// currency.service unit tests (jest, no database).
+//
+// Covers code normalisation, the fxSql fragments every roll-up embeds,
+// convertAmount's cross-rate math, and the corporate-currency switch: it must
+// rebase the rate table inside its transaction, and refuse when the new
+// currency has no rate to rebase through.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../config/database');
+const currency = require('../services/currency.service');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('normalizeCurrency', () => {
+  test('upper-cases and trims ISO codes', () => {
+    expect(currency.normalizeCurrency(' eur ')).toBe('EUR');
+  });
+
+  test('blank is the corporate currency unless required', () => {
+    expect(currency.normalizeCurrency('')).toBeNull();
+    expect(() => currency.normalizeCurrency(null, { allowNull: false })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('rejects anything that is not three letters', () => {
+    expect(() => currency.normalizeCurrency('EURO')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('fxSql', () => {
+  const fx = currency.fxSql('d', '$2');
+
+  test('joins the latest rate against the corporate base for foreign rows only', () => {
+    expect(fx.join).toMatch(/LEFT JOIN LATERAL/);
+    expect(fx.join).toContain('er.base_currency = $2');
+    expect(fx.join).toContain('er.currency = d.currency');
+    expect(fx.join).toContain('(d.currency IS NOT NULL AND d.currency <> $2)');
+    expect(fx.join).toContain('COALESCE(d.close_date, d.closed_at::date, d.expected_close_date, CURRENT_DATE)');
+    expect(fx.join).toMatch(/\) fx_d ON true$/);
+  });
+
+  test('value multiplies foreign rows by the rate and passes corporate rows through', () => {
+    expect(fx.value).toBe('(CASE WHEN (d.currency IS NOT NULL AND d.currency <> $2) THEN d.value * fx_d.rate ELSE d.value END)');
+    expect(fx.unconverted).toBe('((d.currency IS NOT NULL AND d.currency <> $2) AND fx_d.rate IS NULL)');
+  });
+
+  test('honours valueCol and dateExpr', () => {
+    const p = currency.fxSql('pc', '$3', { valueCol: 'list_price', dateExpr: 'CURRENT_DATE' });
+    expect(p.value).toContain('pc.list_price * fx_pc.rate');
+    expect(p.join).toContain('er.effective_date <= CURRENT_DATE');
+    expect(p.join).not.toContain('close_date');
+  });
+});
+
+describe('convertAmount', () => {
+  // Corporate USD; 1 EUR = 1.10 USD, 1 GBP = 1.25 USD.
+  const RATES = { EUR: 1.1, GBP: 1.25 };
+  beforeEach(() => {
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/corporate_currency/.test(sql)) return { rows: [{ code: 'USD' }] };
+      return { rows: RATES[params[2]] ? [{ rate: RATES[params[2]] }] : [] };
+    });
+  });
+
+  test('same currency is a no-op', async () => {
+    await expect(currency.convertAmount(1, 100, 'EUR', 'EUR')).resolves.toBe(100);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('foreign to corporate multiplies by the rate', async () => {
+    await expect(currency.convertAmount(1, 100, 'EUR', null)).resolves.toBe(110);
+  });
+
+  test('foreign to foreign crosses through the corporate currency, to the cent', async () => {
+    await expect(currency.convertAmount(1, 100, 'EUR', 'GBP')).resolves.toBe(88);
+    await expect(currency.convertAmount(1, 10, 'GBP', 'EUR')).resolves.toBe(11.36);
+  });
+
+  test('a missing rate converts to null, never to a guess', async () => {
+    await expect(currency.convertAmount(1, 100, 'JPY', 'USD')).resolves.toBeNull();
+  });
+});
+
+describe('setCorporateCurrency', () => {
+  let client;
+  const run = (answers) => {
+    client = {
+      query: jest.fn(async (sql) => {
+        const key = Object.keys(answers).find(k => sql.includes(k));
+        return key ? answers[key] : { rows: [], rowCount: 0 };
+      }),
+      release: jest.fn(),
+    };
+    pool.connect.mockResolvedValue(client);
+  };
+  const sqlOf = () => client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+  test('refuses with 409 when amounts or rates exist and the new currency has no rate', async () => {
+    run({
+      corporate_currency: { rows: [{ code: 'USD' }] },
+      has_rate:           { rows: [{ has_rate: false, needs_rate: true }] },
+    });
+    await expect(currency.setCorporateCurrency(1, 'eur')).rejects.toMatchObject({ status: 409 });
+    expect(sqlOf()).toContain('ROLLBACK');
+    expect(sqlOf().some(s => s.startsWith('UPDATE deals'))).toBe(false);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('restamps blank currencies, rebases the rates and switches in one transaction', async () => {
+    run({
+      corporate_currency:            { rows: [{ code: 'USD' }] },
+      has_rate:                      { rows: [{ has_rate: true, needs_rate: true }] },
+      'UPDATE deals':                { rowCount: 4 },
+      'UPDATE product_catalog':      { rowCount: 2 },
+      'INSERT INTO exchange_rates':  { rowCount: 3 },
+    });
+    const out = await currency.setCorporateCurrency(1, 'EUR');
+    expect(out).toEqual({ corporateCurrency: 'EUR', previous: 'USD', restamped: { deals: 4, products: 2 }, rebased: 3 });
+
+    const sql = sqlOf();
+    const at = (prefix) => sql.findIndex(s => s.startsWith(prefix));
+    expect(sql[0]).toBe('BEGIN');
+    expect(at('UPDATE deals')).toBeLessThan(at('INSERT INTO exchange_rates'));
+    expect(at('DELETE FROM exchange_rates')).toBeLessThan(at('INSERT INTO exchange_rates'));
+    expect(at('INSERT INTO exchange_rates')).toBeLessThan(at('UPDATE organizations'));
+    expect(sql[sql.length - 1]).toBe('COMMIT');
+
+    const insert = client.query.mock.calls.find(([s]) => s.includes('INSERT INTO exchange_rates'));
+    expect(insert[0]).toContain('er.rate / n.rate');
+    expect(insert[0]).toContain('1 / rate');
+    expect(insert[1]).toEqual([1, 'USD', 'EUR']);
+  });
+
+  test('an org with nothing to convert may switch without a rate', async () => {
+    run({
+      corporate_currency: { rows: [{ code: 'USD' }] },
+      has_rate:           { rows: [{ has_rate: false, needs_rate: false }] },
+    });
+    await expect(currency.setCorporateCurrency(1, 'GBP')).resolves.toMatchObject({ corporateCurrency: 'GBP', rebased: 0 });
+  });
+
+  test('switching to the current currency touches nothing', async () => {
+    run({ corporate_currency: { rows: [{ code: 'USD' }] } });
+    await currency.setCorporateCurrency(1, 'usd');
+    expect(sqlOf()).toEqual(['BEGIN', expect.stringContaining('corporate_currency'), 'COMMIT']);
+  });
+});
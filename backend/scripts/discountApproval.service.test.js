@@ -0,0 +1,144 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// discountApproval.service assessment unit tests (jest, no database).
+//
+//   1. _levelFor: at or under the rep limit needs nobody; up to the manager
+//      limit a manager; above it finance; above the ceiling nobody can.
+//   2. assess: a product takes the nearest band up its group's parent chain,
+//      else the org-wide band; the quote needs the highest level any line
+//      needs; no bands at all means no approval.
+//   3. checkLineItemDiscount: the deal line item guardrail.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() }, withOrgTransaction: jest.fn() }));
+jest.mock('../services/hierarchyService', () => ({}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+
+const { pool } = require('../config/database');
+const { routePool } = require('./testUtils/routePool');
+const { _levelFor, assess, checkLineItemDiscount } = require('../services/discountApproval.service');
+
+const { route } = routePool(pool);
+
+// Hardware (1) → Servers (2) → Blades (3); Software (4) has no band.
+const BANDS = [
+  { group_id: null, rep: 10, manager: 20, ceiling: null },
+  { group_id: 1,    rep: 5,  manager: 15, ceiling: 30 },
+];
+const GROUPS = [
+  { id: 1, parent_id: null, name: 'Hardware' },
+  { id: 2, parent_id: 1,    name: 'Servers' },
+  { id: 3, parent_id: 2,    name: 'Blades' },
+  { id: 4, parent_id: null, name: 'Software' },
+];
+const PRODUCTS = [{ id: 100, group_id: 3 }, { id: 200, group_id: 4 }, { id: 300, group_id: null }];
+
+const withBands = (bands = BANDS) => route({
+  'FROM discount_bands':   { rows: bands },
+  'FROM product_groups':   { rows: GROUPS },
+  'FROM product_catalog':  { rows: PRODUCTS },
+});
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('_levelFor', () => {
+  const band = { rep: 10, manager: 20, ceiling: 35 };
+
+  test.each([
+    [0, null], [10, null], [10.01, 'manager'], [20, 'manager'],
+    [20.01, 'finance'], [35, 'finance'], [35.01, 'blocked'],
+  ])('%d%% → %s', (pct, level) => {
+    expect(_levelFor(band, pct)).toBe(level);
+  });
+
+  test('no ceiling means finance can approve anything', () => {
+    expect(_levelFor({ rep: 10, manager: 20, ceiling: null }, 100)).toBe('finance');
+  });
+
+  test('no band means no approval', () => {
+    expect(_levelFor(null, 90)).toBeNull();
+  });
+});
+
+describe('assess', () => {
+  test('a product inherits the nearest band up its group chain', async () => {
+    withBands();
+    const out = await assess(pool, 5, [{ productId: 100, name: 'Blade X', discountPct: 12 }]);
+    expect(out).toEqual({
+      level: 'manager',
+      flagged: [{ name: 'Blade X', productId: 100, discountPct: 12, level: 'manager', limit: 5 }],
+    });
+  });
+
+  test('groups without a band, ungrouped products and custom lines use the org-wide band', async () => {
+    withBands();
+    const out = await assess(pool, 5, [
+      { productId: 200, name: 'Licence', discountPct: 12 },
+      { productId: 300, name: 'Support', discountPct: 9 },
+      { productId: null, name: 'Custom', discountPct: 25 },
+    ]);
+    expect(out.level).toBe('finance');
+    expect(out.flagged.map(f => [f.name, f.level, f.limit])).toEqual([
+      ['Licence', 'manager', 10],
+      ['Custom',  'finance', 20],
+    ]);
+  });
+
+  test('the quote needs the highest level any line needs', async () => {
+    withBands();
+    const out = await assess(pool, 5, [
+      { productId: 100, name: 'Blade X', discountPct: 16 },   // finance on Hardware
+      { productId: 200, name: 'Licence', discountPct: 15 },   // manager org-wide
+    ]);
+    expect(out.level).toBe('finance');
+  });
+
+  test('discounts are compared at two decimals', async () => {
+    withBands();
+    const out = await assess(pool, 5, [{ productId: 200, name: 'Licence', discountPct: 10.004 }]);
+    expect(out.level).toBeNull();
+  });
+
+  test('above the ceiling is refused outright, naming the band', async () => {
+    withBands();
+    await expect(assess(pool, 5, [{ productId: 100, name: 'Blade X', discountPct: 31 }]))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('30% discount ceiling for Hardware') });
+  });
+
+  test('an org with no bands needs no approval', async () => {
+    withBands([]);
+    await expect(assess(pool, 5, [{ productId: 100, name: 'Blade X', discountPct: 90 }]))
+      .resolves.toEqual({ level: null, flagged: [] });
+  });
+
+  test('a parent cycle does not hang the walk', async () => {
+    route({
+      'FROM discount_bands':  { rows: [{ group_id: 9, rep: 5, manager: 15, ceiling: null }] },
+      'FROM product_groups':  { rows: [{ id: 1, parent_id: 2 }, { id: 2, parent_id: 1 }] },
+      'FROM product_catalog': { rows: [{ id: 100, group_id: 1 }] },
+    });
+    await expect(assess(pool, 5, [{ productId: 100, name: 'Loop', discountPct: 50 }]))
+      .resolves.toEqual({ level: null, flagged: [] });
+  });
+});
+
+describe('checkLineItemDiscount', () => {
+  test('within the rep limit passes', async () => {
+    withBands();
+    await expect(checkLineItemDiscount(5, 100, 5)).resolves.toBeUndefined();
+  });
+
+  test('above it sends the rep to a quote', async () => {
+    withBands();
+    await expect(checkLineItemDiscount(5, 100, 6))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('need manager approval') });
+  });
+
+  test('above the ceiling nobody can', async () => {
+    withBands();
+    await expect(checkLineItemDiscount(5, 100, 40)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('no discount skips the lookup', async () => {
+    await expect(checkLineItemDiscount(5, 100, 0)).resolves.toBeUndefined();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// documentGeneration.service branding tests (jest, no database, no network).
+//
+// A logo link is downloaded once, on save, through utils/publicUrl and stored
+// as a data: URL; rendering only ever decodes what is stored.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../utils/publicUrl', () => ({ getPublic: jest.fn() }));
+jest.mock('../services/documents/documentRenderer', () => ({}));
+jest.mock('../services/quote.service', () => ({}));
+jest.mock('../services/contractService', () => ({}));
+jest.mock('../services/currency.service', () => ({}));
+
+const { pool } = require('../config/database');
+const { getPublic } = require('../utils/publicUrl');
+const Docs = require('../services/documentGeneration.service');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+
+let saved;
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  saved = null;
+  pool.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('UPDATE organizations')) { saved = JSON.parse(params[1]); return { rowCount: 1 }; }
+    return { rows: [{ name: 'Acme', branding: saved }] };
+  });
+});
+
+describe('saveBranding logo', () => {
+  test('an https link is downloaded through the public-host guard and stored as the image', async () => {
+    getPublic.mockResolvedValue({ data: PNG });
+    const out = await Docs.saveBranding(5, { logoUrl: 'https://cdn.acme.com/logo.png' });
+    expect(getPublic).toHaveBeenCalledWith('https://cdn.acme.com/logo.png', expect.objectContaining({ maxContentLength: 400 * 1024 }));
+    expect(out.logoUrl).toBe(`data:image/png;base64,${PNG.toString('base64')}`);
+  });
+
+  test('a link that cannot be downloaded is refused, without the network error', async () => {
+    getPublic.mockRejectedValue(Object.assign(new Error('169.254.169.254 resolves to a private address'), { code: 'PRIVATE_ADDRESS' }));
+    const err = await Docs.saveBranding(5, { logoUrl: 'https://metadata.evil.test/x.png' }).catch(e => e);
+    expect(err).toMatchObject({ status: 400 });
+    expect(err.message).not.toMatch(/169\.254/);
+    expect(saved).toBeNull();
+  });
+
+  test('something other than a PNG or JPEG is refused', async () => {
+    getPublic.mockResolvedValue({ data: Buffer.from('<html>login</html>') });
+    await expect(Docs.saveBranding(5, { logoUrl: 'https://cdn.acme.com/logo' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('an uploaded image is kept as is, with no fetch', async () => {
+    const logo = `data:image/png;base64,${PNG.toString('base64')}`;
+    await expect(Docs.saveBranding(5, { logoUrl: logo })).resolves.toMatchObject({ logoUrl: logo });
+    expect(getPublic).not.toHaveBeenCalled();
+  });
+});
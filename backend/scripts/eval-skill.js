@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * scripts/eval-skill.js
+ *
+ * DROP-IN LOCATION: backend/scripts/eval-skill.js
+ *
+ * Platform-side driver for the skill evaluation harness (2026_138,
+ * services/skillEval.service.js). Platform eval sets are authored as JSON
+ * next to the skill and imported here; comparison runs execute in a real
+ * org's AI config (its keys, its model routing), so --org and --user are
+ * required to run.
+ *
+ * Usage (from backend/, with DATABASE_URL set — Railway shell or local):
+ *   node scripts/eval-skill.js import <set.json>
+ *   node scripts/eval-skill.js list [skill-name] --org <id>
+ *   node scripts/eval-skill.js run <set-id> --org <id> --user <id>
+ *        [--baseline current|disk|<bundle-id>] [--candidate disk|<bundle-id>]
+ *
+ * set.json:
+ *   { "skill_name": "outreach-email", "name": "First touch — core",
+ *     "regression_tolerance": 5, "min_pass_rate": 80,
+ *     "cases": [{ "label": "...", "context_payload": { ... },
+ *                 "methodology": null,
+ *                 "expectations": { "route": "send",
+ *                                   "required_fields": ["subject", "body"],
+ *                                   "max_words": { "body": 120 } } }] }
+ * Re-importing a set with the same skill_name + name replaces its cases.
+ *
+ * `run` waits for the comparison, prints the report and exits 1 when the
+ * candidate regressed — the same verdict publish-skill.js enforces.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const skillEval = require('../services/skillEval.service');
+
+const POLL_MS = 3000;
+
+function flag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/eval-skill.js import <set.json>');
+  console.error('  node scripts/eval-skill.js list [skill-name] --org <id>');
+  console.error('  node scripts/eval-skill.js run <set-id> --org <id> --user <id> [--baseline ref] [--candidate ref]');
+  process.exit(1);
+}
+
+async function importCmd(file) {
+  if (!file) usage();
+  const def = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const result = await skillEval.importSet(def, { scope: 'platform' });
+  console.log(`✅ ${result.created ? 'Created' : 'Replaced'} platform eval set ${result.setId} ` +
+              `(${def.skill_name} / ${def.name}) — ${result.caseCount} case(s)`);
+}
+
+async function listCmd(skillName, orgId) {
+  const sets = await skillEval.listSets(orgId, { skillName });
+  if (!sets.length) { console.log('No eval sets.'); return; }
+  for (const s of sets) {
+    const last = s.last_run_id
+      ? `last run ${s.last_run_id}: ${s.last_run_status}` +
+        (s.last_run_status === 'completed'
+          ? ` ${s.last_baseline_pass_rate}% → ${s.last_candidate_pass_rate}%${s.last_run_regressed ? ' REGRESSED' : ''}`
+          : '')
+      : 'never run';
+    console.log(`${String(s.id).padStart(5)}  ${s.skill_name.padEnd(22)} ${s.scope.padEnd(8)} ` +
+                `${s.name} (${s.case_count} cases${s.is_active ? '' : ', inactive'}) — ${last}`);
+  }
+}
+
+async function runCmd(setId, orgId, userId, baseline, candidate) {
+  const started = await skillEval.startRun(orgId, userId, setId, { baseline, candidate });
+  console.log(`Eval run ${started.id}: ${started.baseline_label} vs ${started.candidate_label}, ` +
+              `${started.case_count} case(s)…`);
+
+  let run;
+  for (;;) {
+    await new Promise(r => setTimeout(r, POLL_MS));
+    run = await skillEval.getRun(orgId, started.id);
+    if (run.status !== 'running') break;
+    const done = run.results.filter(r => r.side === 'candidate').length;
+    process.stdout.write(`  ${done}/${run.case_count}\r`);
+  }
+
+  if (run.status === 'failed') {
+    console.error(`❌ Eval run failed: ${run.error}`);
+    return 1;
+  }
+  const rep = run.report;
+  for (const c of rep.cases) {
+    const mark = c.change === 'regressed' ? '▼' : c.change === 'improved' ? '▲' : ' ';
+    console.log(`  ${mark} ${c.label.padEnd(40)} baseline ${c.baseline.passed ? 'pass' : 'FAIL'} ` +
+                `(${c.baseline.score})  candidate ${c.candidate.passed ? 'pass' : 'FAIL'} (${c.candidate.score})` +
+                (c.candidate.failed_checks.length ? `  [${c.candidate.failed_checks.join(', ')}]` : ''));
+  }
+  console.log(`  pass rate: ${rep.baseline.pass_rate}% (${rep.baseline.label}) → ` +
+              `${rep.candidate.pass_rate}% (${rep.candidate.label})`);
+  if (run.regressed) {
+    console.error(`❌ Regressed: ${rep.reasons.join('; ')}`);
+    return 1;
+  }
+  console.log(`✅ No regression. Candidate content hash: ${run.candidate_content_hash}`);
+  return 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [cmd, arg] = args.filter((a, i) => !a.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+  const orgId  = parseInt(flag(args, 'org'), 10) || null;
+  const userId = parseInt(flag(args, 'user'), 10) || null;
+
+  try {
+    if (cmd === 'import') {
+      await importCmd(arg);
+    } else if (cmd === 'list') {
+      if (!orgId) usage();
+      await listCmd(arg, orgId);
+    } else if (cmd === 'run') {
+      const setId = parseInt(arg, 10);
+      if (!setId || !orgId || !userId) usage();
+      process.exit(await runCmd(setId, orgId, userId, flag(args, 'baseline'), flag(args, 'candidate')));
+    } else {
+      usage();
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
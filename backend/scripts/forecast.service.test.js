@@ -0,0 +1,72 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// forecast.service unit tests (jest, no database).
+//
+// Covers the pure pieces of services/forecast.service.js: period keys and
+// bounds, derived categories, and the team scoping GET /api/forecast/snapshots
+// applies to frozen totals so a rep never sees another team's numbers.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() } }));
+
+const forecast = require('../services/forecast.service');
+
+describe('periods', () => {
+  test('periodKeyOf quarters and months in UTC', () => {
+    expect(forecast.periodKeyOf('2026-05-31T23:00:00Z')).toBe('2026-Q2');
+    expect(forecast.periodKeyOf('2026-12-01T00:00:00Z', 'month')).toBe('2026-12');
+  });
+
+  test('periodBounds is half-open and rolls the year', () => {
+    expect(forecast.periodBounds('2026-Q4')).toEqual({ key: '2026-Q4', type: 'quarter', start: '2026-10-01', end: '2027-01-01' });
+    expect(forecast.periodBounds('2026-02')).toMatchObject({ start: '2026-02-01', end: '2026-03-01' });
+  });
+
+  test('periodBounds rejects malformed keys with a 400', () => {
+    expect(() => forecast.periodBounds('2026-Q5')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('weekStartOf is the Monday of the week', () => {
+    expect(forecast.weekStartOf(new Date('2026-10-18T12:00:00Z'))).toBe('2026-10-12');   // Sunday
+    expect(forecast.weekStartOf(new Date('2026-10-19T00:00:00Z'))).toBe('2026-10-19');   // Monday
+  });
+});
+
+describe('categoryOf', () => {
+  test('an explicit override wins', () => {
+    expect(forecast.categoryOf({ forecast_category: 'omitted', probability: 95 })).toBe('omitted');
+  });
+
+  test('derives from probability at the inclusive thresholds', () => {
+    expect(forecast.categoryOf({ probability: 90 })).toBe('commit');
+    expect(forecast.categoryOf({ probability: 89 })).toBe('best_case');
+    expect(forecast.categoryOf({ probability: 50 })).toBe('best_case');
+    expect(forecast.categoryOf({ probability: 49 })).toBe('pipeline');
+    expect(forecast.categoryOf({ probability: null })).toBe('best_case');
+  });
+});
+
+describe('scopeSnapshotTotals', () => {
+  const totals = {
+    closedWon: 600, commit: 300, best_case: 150, pipeline: 75, omitted: 0, count: 9,
+    by_owner: {
+      7:  { closedWon: 100.4, commit: 200, best_case: 0,   pipeline: 25, omitted: 0, count: 3 },
+      8:  { closedWon: 500,   commit: 100, best_case: 100, pipeline: 50, omitted: 0, count: 5 },
+      0:  { closedWon: 0,     commit: 0,   best_case: 50,  pipeline: 0,  omitted: 0, count: 1 },
+    },
+  };
+
+  test('null scope returns the org-wide totals untouched', () => {
+    expect(forecast.scopeSnapshotTotals(totals, null)).toBe(totals);
+  });
+
+  test('keeps only the team and re-sums the headline figures', () => {
+    const scoped = forecast.scopeSnapshotTotals(totals, [7]);
+    expect(Object.keys(scoped.by_owner)).toEqual(['7']);
+    expect(scoped).toMatchObject({ closedWon: 100, commit: 200, best_case: 0, pipeline: 25, count: 3 });
+  });
+
+  test('a team with no frozen deals sees zeros, not the org', () => {
+    const scoped = forecast.scopeSnapshotTotals(totals, [42]);
+    expect(scoped.by_owner).toEqual({});
+    expect(scoped).toMatchObject({ closedWon: 0, commit: 0, count: 0 });
+  });
+});
@@ -0,0 +1,69 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// memberLifecycle.service unit tests (jest, no database).
+//
+//   provisionMember runs in one transaction; the best-effort org_hierarchy
+//   placement sits behind a savepoint, so its failure cannot abort the
+//   transaction and silently roll back the membership at COMMIT.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../services/moduleAccess.service', () => ({ grantAllEnabledToUser: jest.fn(), invalidate: jest.fn() }));
+jest.mock('../services/inviteProvisioning.service', () => ({ seatAvailable: jest.fn(), notifySeatExceeded: jest.fn() }));
+jest.mock('../services/dealsReporting.service', () => ({ OPEN_CLAUSE: 'TRUE' }));
+
+const { pool } = require('../config/database');
+const { seatAvailable } = require('../services/inviteProvisioning.service');
+const Members = require('../services/memberLifecycle.service');
+
+let client;
+let hierarchyFails;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  hierarchyFails = false;
+  seatAvailable.mockResolvedValue({ available: true });
+  pool.query.mockResolvedValue({ rows: [{ id: 9, member: null }] });
+  client = {
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      if (hierarchyFails && sql.includes('INSERT INTO org_hierarchy')) throw new Error('relation locked');
+      return { rows: [], rowCount: 1 };
+    }),
+  };
+  pool.connect.mockResolvedValue(client);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const statements = () => client.query.mock.calls.map(([s]) => s.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('provisionMember', () => {
+  test('the hierarchy insert is wrapped in a released savepoint', async () => {
+    await expect(Members.provisionMember(5, { email: 'jane@acme.com', context: 'SCIM' }))
+      .resolves.toEqual({ userId: 9, createdUser: false });
+    expect(statements()).toEqual([
+      'BEGIN', 'INSERT INTO org_users', 'SAVEPOINT org_hierarchy',
+      'INSERT INTO org_hierarchy', 'RELEASE SAVEPOINT org_hierarchy', 'COMMIT',
+    ]);
+  });
+
+  test('a failed hierarchy insert rolls back to the savepoint and still commits', async () => {
+    hierarchyFails = true;
+    await expect(Members.provisionMember(5, { email: 'jane@acme.com', context: 'SCIM' }))
+      .resolves.toMatchObject({ userId: 9 });
+    expect(statements()).toEqual([
+      'BEGIN', 'INSERT INTO org_users', 'SAVEPOINT org_hierarchy',
+      'INSERT INTO org_hierarchy', 'ROLLBACK TO SAVEPOINT', 'COMMIT',
+    ]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('hierarchy placement (SCIM)'), 'relation locked');
+  });
+
+  test('a failed membership insert rolls the whole transaction back', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO org_users')) throw new Error('duplicate key');
+      return { rows: [], rowCount: 1 };
+    });
+    await expect(Members.provisionMember(5, { email: 'jane@acme.com' })).rejects.toThrow('duplicate key');
+    expect(statements()).toEqual(['BEGIN', 'INSERT INTO org_users', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
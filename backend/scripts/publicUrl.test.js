@@ -0,0 +1,115 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// utils/publicUrl unit tests (jest, no network — dns and axios are mocked).
+//
+//   1. isPrivateAddress covers loopback, RFC 1918, link-local (cloud
+//      metadata), CGNAT and IPv6 local ranges, v4-mapped included.
+//   2. getPublic refuses a private first hop and a private redirect hop,
+//      never lets axios follow redirects itself, and caps the hops.
+//   3. The socket's own lookup is checked too (a name that flips to a
+//      private address after assertPublicHost).
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('dns', () => {
+  const lookup = jest.fn();
+  return { lookup, promises: { lookup: jest.fn() } };
+});
+
+const dns = require('dns');
+const axios = require('axios');
+const { isPrivateAddress, assertPublicHost, getPublic } = require('../utils/publicUrl');
+
+// name → address, for both the pre-check and the socket lookup.
+const HOSTS = { 'files.example.com': '93.184.216.34', 'cdn.example.net': '151.101.1.1', 'metadata.evil.test': '169.254.169.254' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  dns.promises.lookup.mockImplementation(async (host) => {
+    if (!HOSTS[host]) throw Object.assign(new Error('nx'), { code: 'ENOTFOUND' });
+    return [{ address: HOSTS[host], family: 4 }];
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '10.1.2.3', '127.0.0.1', '0.0.0.0', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+    '192.168.1.1', '100.64.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1',
+  ])('%s is private', (ip) => expect(isPrivateAddress(ip)).toBe(true));
+
+  test.each(['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8'])(
+    '%s is public', (ip) => expect(isPrivateAddress(ip)).toBe(false));
+});
+
+describe('assertPublicHost', () => {
+  test('literal private addresses are refused without a lookup', async () => {
+    await expect(assertPublicHost('https://[::1]/x')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS', final: true });
+    await expect(assertPublicHost('https://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    expect(dns.promises.lookup).not.toHaveBeenCalled();
+  });
+
+  test('a public name that resolves to a private address is refused', async () => {
+    await expect(assertPublicHost('https://metadata.evil.test/')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    await expect(assertPublicHost('https://files.example.com/a.pdf')).resolves.toBeUndefined();
+  });
+});
+
+describe('getPublic', () => {
+  const ok = { status: 200, headers: { 'content-type': 'application/pdf' }, data: Buffer.from('%PDF') };
+  const redirect = (location) => ({ status: 302, headers: { location } });
+
+  test('a public file is fetched with redirects turned off in axios', async () => {
+    axios.get.mockResolvedValue(ok);
+    await expect(getPublic('https://files.example.com/a.pdf', { timeout: 5 })).resolves.toBe(ok);
+    const [url, opts] = axios.get.mock.calls[0];
+    expect(url).toBe('https://files.example.com/a.pdf');
+    expect(opts).toMatchObject({ timeout: 5, maxRedirects: 0, proxy: false });
+    expect(opts.httpsAgent).toBeDefined();
+  });
+
+  test('http and private first hops never reach axios', async () => {
+    await expect(getPublic('http://files.example.com/a.pdf')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    await expect(getPublic('https://10.0.0.5/a.pdf')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('each redirect hop is checked, relative locations included', async () => {
+    axios.get
+      .mockResolvedValueOnce(redirect('https://cdn.example.net/a.pdf'))
+      .mockResolvedValueOnce(redirect('/b.pdf'))
+      .mockResolvedValueOnce(ok);
+    await expect(getPublic('https://files.example.com/a.pdf')).resolves.toBe(ok);
+    expect(axios.get.mock.calls.map(([u]) => u)).toEqual([
+      'https://files.example.com/a.pdf', 'https://cdn.example.net/a.pdf', 'https://cdn.example.net/b.pdf',
+    ]);
+  });
+
+  test('a redirect to a private host is refused before it is requested', async () => {
+    axios.get.mockResolvedValueOnce(redirect('https://metadata.evil.test/latest/meta-data'));
+    await expect(getPublic('https://files.example.com/a.pdf')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('a redirect downgrade to http is refused', async () => {
+    axios.get.mockResolvedValueOnce(redirect('http://files.example.com/a.pdf'));
+    await expect(getPublic('https://files.example.com/a.pdf')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+  });
+
+  test('redirects are capped', async () => {
+    axios.get.mockResolvedValue(redirect('https://files.example.com/again'));
+    await expect(getPublic('https://files.example.com/a.pdf', { maxRedirects: 2 })).rejects.toThrow('Too many redirects');
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+
+  test('the socket lookup refuses a name that turned private after the pre-check', async () => {
+    axios.get.mockResolvedValue(ok);
+    await getPublic('https://files.example.com/a.pdf');
+    const { lookup } = axios.get.mock.calls[0][1].httpsAgent.options;
+
+    dns.lookup.mockImplementation((host, opts, cb) => cb(null, [{ address: '127.0.0.1', family: 4 }]));
+    const refused = await new Promise(res => lookup('files.example.com', { all: true }, res));
+    expect(refused).toMatchObject({ code: 'PRIVATE_ADDRESS' });
+
+    dns.lookup.mockImplementation((host, opts, cb) => cb(null, '93.184.216.34', 4));
+    const args = await new Promise(res => lookup('files.example.com', {}, (...a) => res(a)));
+    expect(args).toEqual([null, '93.184.216.34', 4]);
+  });
+});
@@ -10,13 +10,17 @@
  * (deploy-adjacent, like migrations); org-scope publishing has an API route.
  *
  * Usage (from backend/, with DATABASE_URL set — Railway shell or local):
- *   node scripts/publish-skill.js <skill-name> <version> [--dry-run]
+ *   node scripts/publish-skill.js <skill-name> <version> [--dry-run] [--skip-eval]
  *   node scripts/publish-skill.js outreach-email 1.0.0
  *   node scripts/publish-skill.js discovery-call-prep 1.1.0 --dry-run
  *
  * Rules enforced:
  *   - strict semver, strictly greater than any existing platform version
  *   - SKILL.md must exist; size/path caps apply
+ *   - eval gate (2026_138): every active platform eval set for the skill
+ *     needs a completed, non-regressed run against exactly these files —
+ *     run scripts/eval-skill.js first. --skip-eval bypasses it and records
+ *     eval_gate: 'skipped' in the bundle manifest.
  *   - prints the checksum — record it in the release notes / commit message
  *
  * First-time baseline: publish every active skill at 1.0.0 so 'platform'
@@ -30,10 +34,11 @@ const skillBundles = require('../services/skillBundles.service');
 async function main() {
   const args = process.argv.slice(2);
   const dryRun = args.includes('--dry-run');
+  const skipEval = args.includes('--skip-eval');
   const [skillName, version] = args.filter(a => !a.startsWith('--'));
 
   if (!skillName || !version) {
-    console.error('Usage: node scripts/publish-skill.js <skill-name> <version> [--dry-run]');
+    console.error('Usage: node scripts/publish-skill.js <skill-name> <version> [--dry-run] [--skip-eval]');
     process.exit(1);
   }
 
@@ -46,22 +51,33 @@ async function main() {
       console.log(`    ${p} (${Buffer.byteLength(c, 'utf8')} bytes)`);
     }
     console.log(`  checksum: ${checksum}`);
+    console.log(`  content hash (eval gate): ${skillBundles.contentHash(files)}`);
     console.log('  (no database write performed)');
     process.exit(0);
   }
 
   try {
     const result = await skillBundles.publishFromDisk(skillName, {
-      version, scope: 'platform', publishedBy: null,
+      version, scope: 'platform', publishedBy: null, skipEvalGate: skipEval,
     });
     console.log(`✅ Published platform bundle ${result.name}@${result.version}`);
     console.log(`   bundle id: ${result.bundleId}`);
     console.log(`   files:     ${result.fileCount}`);
     console.log(`   checksum:  ${result.checksum}`);
+    if (skipEval) {
+      console.log('   eval gate: SKIPPED');
+    } else if (result.evalGate && result.evalGate.sets.length) {
+      for (const g of result.evalGate.sets) {
+        console.log(`   eval:      ${g.name} — run ${g.run_id}, ${g.baseline_pass_rate}% → ${g.candidate_pass_rate}%`);
+      }
+    }
     console.log('   Record the checksum in the release commit.');
     process.exit(0);
   } catch (err) {
     console.error(`❌ Publish failed: ${err.message}`);
+    if (err.code === 'EVAL_GATE') {
+      console.error('   Run: node scripts/eval-skill.js run <set-id> --org <id> --user <id>');
+    }
     process.exit(1);
   }
 }
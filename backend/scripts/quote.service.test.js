@@ -0,0 +1,128 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// quote.service pricing unit tests (jest, pure functions, no database).
+//
+//   1. bandAmount: volume prices every unit at the band the quantity reaches;
+//      tiered (graduated) prices each band's units at that band's rate.
+//   2. priceLine: one-time vs recurring, periods per year, ramps, and the last
+//      year pro-rated for a term that is not whole years.
+//   3. effectiveDiscount: the deepest discount off the book price in any
+//      year — what discount approval is assessed on.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() }, withOrgTransaction: jest.fn() }));
+jest.mock('../services/discountApproval.service', () => ({}));
+
+const { bandAmount, priceLine, priceQuote, effectiveDiscount } = require('../services/quote.service');
+
+const TIERS = [
+  { minQuantity: 51, unitPrice: 5 },    // deliberately out of order
+  { minQuantity: 1,  unitPrice: 10 },
+  { minQuantity: 11, unitPrice: 8 },
+];
+const FLAT_100 = { model: 'flat', unitPrice: 100, tiers: [] };
+
+describe('bandAmount', () => {
+  test.each([
+    // qty   volume         tiered
+    [5,      5 * 10,        5 * 10],
+    [10,     10 * 10,       10 * 10],
+    [11,     11 * 8,        10 * 10 + 1 * 8],
+    [50,     50 * 8,        10 * 10 + 40 * 8],
+    [60,     60 * 5,        10 * 10 + 40 * 8 + 10 * 5],
+  ])('qty %i → volume %d, tiered %d', (qty, volume, tiered) => {
+    expect(bandAmount({ model: 'volume', tiers: TIERS }, qty)).toBe(volume);
+    expect(bandAmount({ model: 'tiered', tiers: TIERS }, qty)).toBe(tiered);
+  });
+
+  test('the lowest band also covers quantities below its start', () => {
+    const tiers = [{ minQuantity: 10, unitPrice: 7 }, { minQuantity: 20, unitPrice: 6 }];
+    expect(bandAmount({ model: 'volume', tiers }, 3)).toBe(21);
+    expect(bandAmount({ model: 'tiered', tiers }, 3)).toBe(21);
+    expect(bandAmount({ model: 'tiered', tiers }, 25)).toBe(19 * 7 + 6 * 6);
+  });
+
+  test('flat, or no bands, is quantity × unit price', () => {
+    expect(bandAmount({ model: 'flat', unitPrice: 12.5, tiers: TIERS }, 4)).toBe(50);
+    expect(bandAmount({ model: 'tiered', unitPrice: 12.5, tiers: [] }, 4)).toBe(50);
+  });
+});
+
+describe('priceLine', () => {
+  test('one-time: band amount less the line discount', () => {
+    const out = priceLine({ quantity: 60, discount_pct: 10, price_source: { model: 'tiered', tiers: TIERS } }, 12);
+    expect(out).toEqual({ listUnitPrice: 7.83, listAmount: 470, netAmount: 423, years: null });
+  });
+
+  test('an override prices flat and ignores the bands', () => {
+    const out = priceLine({ quantity: 60, unit_price_override: 4, price_source: { model: 'tiered', tiers: TIERS } }, 12);
+    expect(out.listAmount).toBe(240);
+  });
+
+  test('recurring: periods per year × years, last year pro-rated', () => {
+    const out = priceLine({
+      quantity: 2, discount_pct: 10, revenue_type: 'recurring', billing_frequency: 'monthly', price_source: FLAT_100,
+    }, 30);
+    expect(out.years.map(y => [y.fraction, y.listAmount, y.netAmount])).toEqual([
+      [1, 2400, 2160], [1, 2400, 2160], [0.5, 1200, 1080],
+    ]);
+    expect(out).toMatchObject({ listAmount: 6000, netAmount: 5400 });
+  });
+
+  test('a ramp overrides quantity and discount per year; bands follow the ramped quantity', () => {
+    const out = priceLine({
+      quantity: 10, discount_pct: 5, revenue_type: 'recurring', billing_frequency: 'quarterly',
+      price_source: { model: 'volume', tiers: TIERS },
+      ramp: [{ year: 2, quantity: 60, discountPct: 20 }, { year: 3, discountPct: 0 }],
+    }, 36);
+    expect(out.years.map(y => [y.quantity, y.discountPct, y.listAmount, y.netAmount])).toEqual([
+      [10, 5,  10 * 10 * 4, 380],
+      [60, 20, 60 * 5 * 4,  960],
+      [10, 0,  10 * 10 * 4, 400],
+    ]);
+  });
+
+  test('unset billing frequency (multi_year) is priced per year', () => {
+    const out = priceLine({ quantity: 1, revenue_type: 'recurring', billing_frequency: 'multi_year', price_source: FLAT_100 }, 18);
+    expect(out.years.map(y => y.listAmount)).toEqual([100, 50]);
+  });
+});
+
+describe('priceQuote', () => {
+  test('tax only on taxable lines, after discount', () => {
+    const { totals } = priceQuote({ term_months: 12, tax_rate: 20 }, [
+      { quantity: 1, discount_pct: 10, is_taxable: true,  price_source: FLAT_100 },
+      { quantity: 1, discount_pct: 0,  is_taxable: false, price_source: FLAT_100 },
+    ]);
+    expect(totals).toEqual({ listTotal: 200, discountTotal: 10, netTotal: 190, taxTotal: 18, grandTotal: 208 });
+  });
+});
+
+describe('effectiveDiscount', () => {
+  const book = { product_id: 7, quantity: 1, price_source: FLAT_100 };
+
+  test('an override below the book price counts as discount', () => {
+    expect(effectiveDiscount({ ...book, unit_price_override: 80 }, 12)).toBeCloseTo(20);
+    expect(effectiveDiscount({ ...book, unit_price_override: 80, discount_pct: 10 }, 12)).toBeCloseTo(28);
+  });
+
+  test('an override above the book price is not a negative discount', () => {
+    expect(effectiveDiscount({ ...book, unit_price_override: 120 }, 12)).toBe(0);
+  });
+
+  test('a custom line has no book price, so only its discount counts', () => {
+    expect(effectiveDiscount({ quantity: 1, unit_price_override: 80, discount_pct: 10 }, 12)).toBeCloseTo(10);
+  });
+
+  test('the deepest year of a ramp wins, pro-rated year included', () => {
+    const line = {
+      ...book, revenue_type: 'recurring', billing_frequency: 'annual', discount_pct: 10,
+      ramp: [{ year: 2, discountPct: 25 }, { year: 3, discountPct: 40 }],
+    };
+    expect(effectiveDiscount(line, 24)).toBeCloseTo(25);
+    expect(effectiveDiscount(line, 30)).toBeCloseTo(40);
+  });
+
+  test('volume bands: the reference is the book price at the same quantity', () => {
+    const line = { product_id: 7, quantity: 60, unit_price_override: 4, price_source: { model: 'volume', tiers: TIERS } };
+    expect(effectiveDiscount(line, 12)).toBeCloseTo(20);
+  });
+});
@@ -0,0 +1,205 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// samlSso.service + orgDomains.service unit tests (jest, no database, no IdP).
+//
+// The tenant-isolation rules around SAML sign-in:
+//   1. SSO cannot be enabled for a domain the org has not verified over DNS.
+//   2. The ACS refuses addresses in unverified domains.
+//   3. An existing account that belongs to another org is never linked or
+//      JIT-provisioned into this one.
+//   4. The exchanged session is scoped to the org whose IdP signed the user
+//      in, not to the user's first-joined org.
+//   5. 2FA applies to SSO logins too; the challenge carries the org along.
+//   6. Domain verification matches the published TXT value exactly.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() } }));
+jest.mock('@node-saml/node-saml', () => ({
+  ValidateInResponseTo: { always: 'always' },
+  SAML: jest.fn(),
+}));
+jest.mock('../services/memberLifecycle.service', () => ({ provisionMember: jest.fn() }));
+jest.mock('../services/authSession.service', () => ({ issueSession: jest.fn() }));
+jest.mock('../services/twoFactor.service', () => ({ loginGate: jest.fn() }));
+
+const { SAML } = require('@node-saml/node-saml');
+const { pool } = require('../config/database');
+const { routePool } = require('./testUtils/routePool');
+const { provisionMember } = require('../services/memberLifecycle.service');
+const { issueSession } = require('../services/authSession.service');
+const { loginGate } = require('../services/twoFactor.service');
+const SamlSso = require('../services/samlSso.service');
+const OrgDomains = require('../services/orgDomains.service');
+
+const { route } = routePool(pool);
+
+const errorOf = (url) => new URLSearchParams(url.split('?')[1]).get('error');
+const codeOf  = (url) => new URLSearchParams(url.split('?')[1]).get('code');
+
+const CFG = {
+  org_id: 5, slug: 'acme', enabled: true, idp_sso_url: 'https://idp.acme.com/sso',
+  idp_cert: 'MIIB', email_domains: ['acme.com'], jit_provisioning: true, default_role: 'member',
+};
+
+const mockValidate = jest.fn();
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  SAML.mockImplementation(() => ({ validatePostResponseAsync: mockValidate }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('saveConfig', () => {
+  test('listing a domain claims it with its own TXT token', async () => {
+    const claims = [];
+    route({
+      'SELECT slug FROM organizations': { rows: [{ slug: 'acme' }] },
+      'INSERT INTO org_domains':        (p) => { claims.push(p); return { rowCount: 1 }; },
+      'INSERT INTO org_sso_configs':    { rows: [{ ...CFG, enabled: false, email_domains: ['acme.com'] }] },
+    });
+    const out = await SamlSso.saveConfig(5, 1, { enabled: false, emailDomains: ['@Acme.com', 'acme.com'] });
+    expect(out.emailDomains).toEqual(['acme.com']);
+    expect(claims).toHaveLength(1);
+    expect(claims[0].slice(0, 2)).toEqual([5, 'acme.com']);
+    expect(claims[0][2]).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('every listed domain must be verified before enabling', async () => {
+    route({
+      'SELECT slug FROM organizations':   { rows: [{ slug: 'acme' }] },
+      'SELECT * FROM org_sso_configs':    { rows: [{ ...CFG, enabled: false }] },
+      'verified_at IS NOT NULL ORDER BY': { rows: [{ domain: 'acme.com' }] },
+    });
+    const err = await SamlSso.saveConfig(5, 1, { enabled: true, emailDomains: ['acme.com', 'gmail.com'] }).catch(e => e);
+    expect(err).toMatchObject({ status: 400, code: 'DOMAIN_NOT_VERIFIED' });
+    expect(err.message).toContain('gmail.com');
+    expect(err.message).not.toContain('acme.com,');
+    expect(pool.query.mock.calls.some(([s]) => s.includes('INSERT INTO org_sso_configs'))).toBe(false);
+  });
+});
+
+describe('handleAcs', () => {
+  const acs = (table) => {
+    route({
+      'FROM organizations o':       { rows: [CFG] },
+      'FROM org_domains WHERE':     { rows: [{ 1: 1 }] },
+      'INSERT INTO sso_login_codes': { rowCount: 1 },
+      ...table,
+    });
+    return SamlSso.handleAcs('acme', { SAMLResponse: 'x' });
+  };
+
+  test('an address outside the org\'s verified domains is refused', async () => {
+    mockValidate.mockResolvedValue({ profile: { nameID: 'victim@gmail.com' } });
+    const url = await acs({});
+    expect(errorOf(url)).toMatch(/not an SSO domain/);
+    expect(provisionMember).not.toHaveBeenCalled();
+  });
+
+  test('a listed but unverified domain is refused', async () => {
+    mockValidate.mockResolvedValue({ profile: { nameID: 'jane@acme.com' } });
+    const url = await acs({ 'FROM org_domains WHERE': { rows: [] } });
+    expect(errorOf(url)).toMatch(/not an SSO domain/);
+  });
+
+  test('an existing user from another org is never linked', async () => {
+    mockValidate.mockResolvedValue({ profile: { nameID: 'jane@acme.com' } });
+    const url = await acs({ 'FROM users u': { rows: [{ id: 9, is_active: null, other_org: true }] } });
+    expect(errorOf(url)).toMatch(/belongs to another organization/);
+    expect(provisionMember).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls.some(([s]) => s.includes('INSERT INTO sso_login_codes'))).toBe(false);
+  });
+
+  test('an active member gets a one-time code bound to this org', async () => {
+    mockValidate.mockResolvedValue({ profile: { nameID: 'Jane@Acme.com' } });
+    const url = await acs({ 'FROM users u': { rows: [{ id: 9, is_active: true, other_org: true }] } });
+    expect(codeOf(url)).toMatch(/^[0-9a-f]{64}$/);
+    const [, params] = pool.query.mock.calls.find(([s]) => s.includes('INSERT INTO sso_login_codes'));
+    expect(params.slice(1, 3)).toEqual([9, 5]);
+  });
+
+  test('a brand-new address is JIT-provisioned', async () => {
+    mockValidate.mockResolvedValue({ profile: { nameID: 'new@acme.com', firstName: 'New' } });
+    provisionMember.mockResolvedValue({ userId: 11 });
+    const url = await acs({ 'FROM users u': { rows: [] } });
+    expect(codeOf(url)).toBeTruthy();
+    expect(provisionMember).toHaveBeenCalledWith(5, expect.objectContaining({ email: 'new@acme.com', role: 'member' }));
+  });
+});
+
+describe('exchangeCode', () => {
+  const USER = { id: 9, email: 'jane@acme.com' };
+
+  test('issues the session for the code\'s org', async () => {
+    route({
+      'UPDATE sso_login_codes': { rows: [{ user_id: 9, org_id: 5 }] },
+      'FROM users WHERE id':    { rows: [USER] },
+    });
+    issueSession.mockResolvedValue({ user: { id: 9, org_id: 5 }, token: 't' });
+    await expect(SamlSso.exchangeCode('abc')).resolves.toEqual({ user: { id: 9, org_id: 5 }, token: 't' });
+    expect(issueSession).toHaveBeenCalledWith(USER, { orgId: 5 });
+  });
+
+  test('refuses when the membership went away after the IdP leg', async () => {
+    route({
+      'UPDATE sso_login_codes': { rows: [{ user_id: 9, org_id: 5 }] },
+      'FROM users WHERE id':    { rows: [USER] },
+    });
+    issueSession.mockResolvedValue({ user: { id: 9, org_id: null }, token: 't' });
+    await expect(SamlSso.exchangeCode('abc')).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('a second factor is asked for before any session exists', async () => {
+    route({
+      'UPDATE sso_login_codes': { rows: [{ user_id: 9, org_id: 5 }] },
+      'FROM users WHERE id':    { rows: [USER] },
+    });
+    loginGate.mockResolvedValue({ code: 'MFA_REQUIRED', message: 'Enter the code', challengeToken: 'ch' });
+    await expect(SamlSso.exchangeCode('abc'))
+      .rejects.toMatchObject({ status: 401, code: 'MFA_REQUIRED', challengeToken: 'ch' });
+    expect(loginGate).toHaveBeenCalledWith(USER, { orgId: 5 });
+    expect(issueSession).not.toHaveBeenCalled();
+  });
+
+  test('a used or expired code is a 401', async () => {
+    route({ 'UPDATE sso_login_codes': { rows: [] } });
+    await expect(SamlSso.exchangeCode('abc')).rejects.toMatchObject({ status: 401 });
+  });
+});
+
+describe('orgDomains.verifyDomain', () => {
+  const ROW = { org_id: 5, domain: 'acme.com', verification_token: 'tok123', verified_at: null };
+
+  test('publishes the TXT record under a dedicated host', () => {
+    expect(OrgDomains.txtHost('acme.com')).toBe('_gowarm-verification.acme.com');
+    expect(OrgDomains.txtValue('tok123')).toBe('gowarm-domain-verification=tok123');
+  });
+
+  test('verifies on an exact TXT match, including split strings', async () => {
+    route({
+      'SELECT * FROM org_domains':  { rows: [ROW] },
+      'SET verified_at = now()':    { rows: [{ ...ROW, verified_at: '2026-10-19' }] },
+    });
+    const resolver = jest.fn().mockResolvedValue([['v=spf1 -all'], ['gowarm-domain-', 'verification=tok123']]);
+    OrgDomains.setDnsResolver(resolver);
+    await expect(OrgDomains.verifyDomain(5, 'ACME.com')).resolves.toMatchObject({ domain: 'acme.com', verified: true });
+    expect(resolver).toHaveBeenCalledWith('_gowarm-verification.acme.com');
+  });
+
+  test('another token, or no record at all, is not proof', async () => {
+    route({ 'SELECT * FROM org_domains': { rows: [ROW] } });
+    OrgDomains.setDnsResolver(jest.fn().mockResolvedValue([['gowarm-domain-verification=someone-else']]));
+    await expect(OrgDomains.verifyDomain(5, 'acme.com')).rejects.toMatchObject({ code: 'DOMAIN_NOT_VERIFIED' });
+
+    OrgDomains.setDnsResolver(jest.fn().mockRejectedValue(Object.assign(new Error('nx'), { code: 'ENOTFOUND' })));
+    await expect(OrgDomains.verifyDomain(5, 'acme.com')).rejects.toMatchObject({ code: 'DOMAIN_NOT_VERIFIED' });
+    expect(pool.query.mock.calls.some(([s]) => s.includes('SET verified_at = now()'))).toBe(false);
+  });
+
+  test('a domain another org already verified is a 409', async () => {
+    route({
+      'SELECT * FROM org_domains': { rows: [ROW] },
+      'SET verified_at = now()':   () => { throw Object.assign(new Error('dup'), { code: '23505' }); },
+    });
+    OrgDomains.setDnsResolver(jest.fn().mockResolvedValue([['gowarm-domain-verification=tok123']]));
+    await expect(OrgDomains.verifyDomain(5, 'acme.com')).rejects.toMatchObject({ status: 409 });
+  });
+});
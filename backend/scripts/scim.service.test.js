@@ -0,0 +1,177 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// scim.service unit tests (jest, no database).
+//
+//   1. Filters: `attr eq "value"` on the attributes Okta and Entra send;
+//      anything else is a 400 invalidFilter.
+//   2. PATCH: the Okta ({ value: { active: false } }) and Entra
+//      ({ path: "active", value: "False" }, dotted keys) shapes.
+//   3. A token only speaks for the org's verified domains and never adopts or
+//      rewrites an account that belongs to another org.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../services/memberLifecycle.service', () => ({
+  provisionMember: jest.fn(), offboardMember: jest.fn(), reactivateMember: jest.fn(),
+}));
+jest.mock('../services/orgDomains.service', () => ({ isVerified: jest.fn() }));
+jest.mock('../services/teamService', () => ({}));
+
+const { pool } = require('../config/database');
+const { routePool } = require('./testUtils/routePool');
+const Members = require('../services/memberLifecycle.service');
+const OrgDomains = require('../services/orgDomains.service');
+const Scim = require('../services/scim.service');
+
+const { route, calls } = routePool(pool);
+
+const CFG = { org_id: 5, group_dimension: 'function' };
+const JANE = {
+  id: 9, email: 'jane@acme.com', first_name: 'Jane', last_name: 'Doe',
+  is_active: true, scim_external_id: 'okta-9', other_org: false,
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  OrgDomains.isVerified.mockImplementation(async (orgId, d) => d === 'acme.com');
+});
+
+describe('listUsers filter', () => {
+  const listWith = async (filter) => {
+    route({ 'COUNT(*)': { rows: [{ n: 0 }] } });
+    await Scim.listUsers(5, { filter });
+    return calls('COUNT(*)')[0];
+  };
+
+  test.each([
+    ['userName eq "Jane@Acme.com"',                'lower(u.email) = lower($2)', 'Jane@Acme.com'],
+    ['emails[type eq "work"].value eq "j@acme.com"', 'lower(u.email) = lower($2)', 'j@acme.com'],
+    ['externalId eq "00u1"',                       'ou.scim_external_id = $2',   '00u1'],
+    ['id eq "9"',                                  'u.id::text = $2',            '9'],
+  ])('%s', async (filter, where, value) => {
+    const [sql, params] = await listWith(filter);
+    expect(sql).toContain(where);
+    expect(params).toEqual([5, value]);
+  });
+
+  test('escaped quotes in the value are unescaped', async () => {
+    const [, params] = await listWith('userName eq "o\\"brien@acme.com"');
+    expect(params[1]).toBe('o"brien@acme.com');
+  });
+
+  test('other operators and attributes are invalidFilter', async () => {
+    await expect(Scim.listUsers(5, { filter: 'userName sw "j"' })).rejects.toMatchObject({ status: 400, scimType: 'invalidFilter' });
+    await expect(Scim.listUsers(5, { filter: 'title eq "CEO"' })).rejects.toMatchObject({ status: 400, scimType: 'invalidFilter' });
+  });
+});
+
+describe('patchUser', () => {
+  const patch = (Operations, user = JANE) => {
+    route({
+      'FROM org_users ou JOIN users u': { rows: [user] },
+      'UPDATE users u':                 { rowCount: 1 },
+    });
+    return Scim.patchUser(CFG, '9', { Operations });
+  };
+
+  test('Okta shape: value object without a path deactivates', async () => {
+    await patch([{ op: 'replace', value: { active: false } }]);
+    expect(Members.offboardMember).toHaveBeenCalledWith(5, 9, { source: 'scim' });
+  });
+
+  test('Entra shape: capitalised op, path and a string boolean', async () => {
+    await patch([{ op: 'Replace', path: 'active', value: 'False' }]);
+    expect(Members.offboardMember).toHaveBeenCalled();
+  });
+
+  test('Entra dotted keys inside the value object', async () => {
+    await patch([{ op: 'Add', value: { 'name.givenName': 'Janet', externalId: 'e-1' } }]);
+    const [, params] = calls('UPDATE users u')[0];
+    expect(params).toEqual([5, null, 'Janet', null, 9]);
+    expect(calls('UPDATE org_users SET scim_external_id')[0][1]).toEqual(['e-1', 5, 9]);
+  });
+
+  test('unchanged attributes write nothing to users', async () => {
+    await patch([{ op: 'replace', value: { userName: 'JANE@acme.com', name: { givenName: 'Jane', familyName: 'Doe' } } }]);
+    expect(calls('UPDATE users u')).toHaveLength(0);
+  });
+
+  test('remove, or no Operations, is invalidSyntax', async () => {
+    await expect(patch([{ op: 'remove', path: 'active' }])).rejects.toMatchObject({ status: 400, scimType: 'invalidSyntax' });
+    await expect(Scim.patchUser(CFG, '9', {})).rejects.toMatchObject({ status: 400, scimType: 'invalidSyntax' });
+  });
+
+  test('a non-numeric id is a 404', async () => {
+    await expect(Scim.patchUser(CFG, '9abc', { Operations: [] })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('identity columns', () => {
+  const put = (body, user = JANE, extra = {}) => {
+    route({
+      'FROM org_users ou JOIN users u': { rows: [user] },
+      'UPDATE users u':                 { rowCount: 1 },
+      ...extra,
+    });
+    return Scim.replaceUser(CFG, '9', body);
+  };
+
+  test('renaming someone who only belongs here updates users', async () => {
+    await put({ userName: 'jane.doe@acme.com', name: { givenName: 'Jane', familyName: 'Roe' } });
+    const [sql, params] = calls('UPDATE users u')[0];
+    expect(sql).toContain('o2.org_id <> $1');
+    expect(params).toEqual([5, 'jane.doe@acme.com', null, 'Roe', 9]);
+  });
+
+  test('a new email outside the verified domains is refused', async () => {
+    await expect(put({ userName: 'jane@gmail.com' })).rejects.toMatchObject({ status: 400, scimType: 'invalidValue' });
+    expect(calls('UPDATE users u')).toHaveLength(0);
+  });
+
+  test('someone who also belongs to another org is not rewritten', async () => {
+    const shared = { ...JANE, other_org: true };
+    await expect(put({ userName: 'ceo@acme.com' }, shared)).rejects.toMatchObject({ status: 400, scimType: 'mutability' });
+    await expect(put({ name: { familyName: 'Roe' } }, shared)).rejects.toMatchObject({ scimType: 'mutability' });
+    expect(calls('UPDATE users u')).toHaveLength(0);
+  });
+
+  test('…but their membership here can still be managed', async () => {
+    await put({ userName: 'jane@acme.com', externalId: 'okta-10', active: false }, { ...JANE, other_org: true });
+    expect(calls('UPDATE users u')).toHaveLength(0);
+    expect(calls('UPDATE org_users SET scim_external_id')).toHaveLength(1);
+    expect(Members.offboardMember).toHaveBeenCalledWith(5, 9, { source: 'scim' });
+  });
+
+  test('a membership added between the check and the write still blocks it', async () => {
+    await expect(put({ name: { familyName: 'Roe' } }, JANE, { 'UPDATE users u': { rowCount: 0 } }))
+      .rejects.toMatchObject({ scimType: 'mutability' });
+  });
+});
+
+describe('createUser', () => {
+  test('an address outside the verified domains is refused', async () => {
+    route({});
+    await expect(Scim.createUser(CFG, { userName: 'victim@gmail.com' }))
+      .rejects.toMatchObject({ status: 400, scimType: 'invalidValue' });
+    expect(Members.provisionMember).not.toHaveBeenCalled();
+  });
+
+  test('an account that belongs to another org is not adopted', async () => {
+    route({ 'FROM users u LEFT JOIN org_users': { rows: [{ other_org: true, member: null }] } });
+    await expect(Scim.createUser(CFG, { userName: 'jane@acme.com' }))
+      .rejects.toMatchObject({ status: 409, scimType: 'uniqueness' });
+    expect(Members.provisionMember).not.toHaveBeenCalled();
+  });
+
+  test('a new address in a verified domain is provisioned', async () => {
+    route({
+      'FROM users u LEFT JOIN org_users': { rows: [] },
+      'FROM org_sso_configs':            { rows: [] },
+      'FROM org_users ou JOIN users u':   { rows: [JANE] },
+    });
+    Members.provisionMember.mockResolvedValue({ userId: 9 });
+    await expect(Scim.createUser(CFG, { userName: 'Jane@Acme.com', externalId: 'okta-9' }))
+      .resolves.toMatchObject({ id: '9', userName: 'jane@acme.com', active: true });
+    expect(Members.provisionMember).toHaveBeenCalledWith(5, expect.objectContaining({
+      email: 'jane@acme.com', externalId: 'okta-9', role: 'member', context: 'SCIM',
+    }));
+  });
+});
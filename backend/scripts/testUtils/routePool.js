@@ -0,0 +1,24 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Shared pool.query mock for the service unit tests in scripts/.
+//
+//   const { route, calls } = routePool(pool);
+//   route({ 'FROM org_users': { rows: [...] }, 'UPDATE deals': (params) => ... });
+//   calls('UPDATE deals')   → the [sql, params] pairs that hit that fragment
+//
+// Each query is answered by the first table key its SQL contains (a value or
+// a function of the params); anything unmatched gets no rows. `pool` is the
+// jest.mock'd config/database export.
+// ─────────────────────────────────────────────────────────────────────────────
+function routePool(pool) {
+  const route = (table) => {
+    pool.query.mockImplementation(async (sql, params) => {
+      const hit = Object.keys(table).find(k => sql.includes(k));
+      const v = hit ? table[hit] : { rows: [], rowCount: 0 };
+      return typeof v === 'function' ? v(params) : v;
+    });
+  };
+  const calls = (frag) => pool.query.mock.calls.filter(([s]) => s.includes(frag));
+  return { route, calls };
+}
+
+module.exports = { routePool };
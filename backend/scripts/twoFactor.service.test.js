@@ -0,0 +1,147 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// twoFactor.service unit tests (jest, no database, no real secrets).
+//
+// TOTP is checked against the RFC 4226 appendix D vectors (secret
+// "12345678901234567890"; counter 1 → 287082, 2 → 359152, 3 → 969429,
+// 4 → 338314) with the clock pinned, so a step is 30s of Date.now().
+//
+//   1. verify: current step ±1 accepted, further out refused, replays refused
+//      (both the lastStep skip and the conditional UPDATE).
+//   2. Recovery codes: normalised, hashed, single use.
+//   3. useChallenge claims an attempt atomically before running anything and
+//      hands the challenge's org to the caller.
+// ─────────────────────────────────────────────────────────────────────────────
+jest.mock('../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../services/credentials/encryption', () => ({ decrypt: jest.fn(), isConfigured: jest.fn() }));
+jest.mock('qrcode', () => ({ toDataURL: jest.fn() }));
+
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { routePool } = require('./testUtils/routePool');
+const enc = require('../services/credentials/encryption');
+const TwoFactor = require('../services/twoFactor.service');
+
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';   // base32("12345678901234567890")
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+const { route, calls } = routePool(pool);
+
+const atStep = (step) => jest.spyOn(Date, 'now').mockReturnValue(step * 30000 + 15000);
+const enrolled = (extra = {}) => ({ rows: [{ user_id: 9, enabled_at: '2026-10-01', last_used_step: null, ...extra }] });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.restoreAllMocks();
+  enc.decrypt.mockReturnValue(RFC_SECRET);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('verify — TOTP', () => {
+  test('the current code is accepted and its step recorded', async () => {
+    atStep(1);
+    route({ 'SELECT * FROM user_mfa': enrolled(), 'UPDATE user_mfa SET last_used_step': { rowCount: 1 } });
+    await expect(TwoFactor.verify(9, '287 082')).resolves.toEqual({ method: 'totp' });
+    expect(calls('UPDATE user_mfa SET last_used_step')[0][1]).toEqual([9, 1]);
+  });
+
+  test('one step of drift either way, no more', async () => {
+    atStep(2);
+    route({ 'SELECT * FROM user_mfa': enrolled(), 'UPDATE user_mfa SET last_used_step': { rowCount: 1 } });
+    await expect(TwoFactor.verify(9, '287082')).resolves.toEqual({ method: 'totp' });
+    await expect(TwoFactor.verify(9, '969429')).resolves.toEqual({ method: 'totp' });
+    await expect(TwoFactor.verify(9, '338314')).rejects.toMatchObject({ status: 401, code: 'MFA_INVALID_CODE' });
+  });
+
+  test('a step at or before the last one used is a replay', async () => {
+    atStep(2);
+    route({ 'SELECT * FROM user_mfa': enrolled({ last_used_step: '2' }) });
+    await expect(TwoFactor.verify(9, '359152')).rejects.toMatchObject({ status: 401 });
+    await expect(TwoFactor.verify(9, '287082')).rejects.toMatchObject({ status: 401 });
+    expect(calls('UPDATE user_mfa SET last_used_step')).toHaveLength(0);
+  });
+
+  test('two requests racing with one code: the conditional UPDATE lets one through', async () => {
+    atStep(1);
+    route({ 'SELECT * FROM user_mfa': enrolled(), 'UPDATE user_mfa SET last_used_step': { rowCount: 0 } });
+    await expect(TwoFactor.verify(9, '287082')).rejects.toThrow('already used');
+    expect(calls('UPDATE user_mfa SET last_used_step')[0][0]).toContain('last_used_step < $2');
+  });
+
+  test('2FA not on is a 400', async () => {
+    route({ 'SELECT * FROM user_mfa': { rows: [] } });
+    await expect(TwoFactor.verify(9, '287082')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('verify — recovery codes', () => {
+  test('dashes, spaces and case are ignored; the code is burned', async () => {
+    route({ 'SELECT * FROM user_mfa': enrolled(), 'UPDATE user_mfa_recovery_codes': { rowCount: 1 } });
+    await expect(TwoFactor.verify(9, ' ABCDE-12345 ')).resolves.toEqual({ method: 'recovery' });
+    const [sql, params] = calls('UPDATE user_mfa_recovery_codes')[0];
+    expect(sql).toContain('used_at IS NULL');
+    expect(params).toEqual([9, sha256('abcde12345')]);
+    expect(enc.decrypt).not.toHaveBeenCalled();
+  });
+
+  test('an unknown or already used code is refused', async () => {
+    route({ 'SELECT * FROM user_mfa': enrolled(), 'UPDATE user_mfa_recovery_codes': { rowCount: 0 } });
+    await expect(TwoFactor.verify(9, 'abcde-12345')).rejects.toMatchObject({ status: 401, code: 'MFA_INVALID_CODE' });
+  });
+});
+
+describe('loginGate', () => {
+  test('an enrolled user gets a verify challenge that carries the SSO org', async () => {
+    route({ 'SELECT * FROM user_mfa': enrolled() });
+    const out = await TwoFactor.loginGate({ id: 9 }, { orgId: 5 });
+    expect(out).toMatchObject({ code: 'MFA_REQUIRED', challengeToken: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    const [, params] = calls('INSERT INTO mfa_login_challenges')[0];
+    expect(params).toEqual([9, sha256(out.challengeToken), 'verify', expect.any(Date), 5]);
+  });
+
+  test('an org policy without enrolment asks for enrolment', async () => {
+    route({ 'FROM org_users ou': { rows: [{ name: 'Acme' }] } });
+    await expect(TwoFactor.loginGate({ id: 9 })).resolves.toMatchObject({ code: 'MFA_ENROLL_REQUIRED' });
+    expect(calls('INSERT INTO mfa_login_challenges')[0][1][4]).toBeNull();
+  });
+
+  test('nobody asking for 2FA means no challenge', async () => {
+    route({});
+    await expect(TwoFactor.loginGate({ id: 9 })).resolves.toBeNull();
+  });
+});
+
+describe('useChallenge', () => {
+  test('the attempt is claimed in the same statement that checks the limit', async () => {
+    route({ 'SET attempts = attempts + 1': { rows: [{ id: 3, user_id: 9, org_id: 5 }] } });
+    const fn = jest.fn().mockResolvedValue('session');
+    await expect(TwoFactor.useChallenge('tok', 'verify', fn)).resolves.toBe('session');
+
+    const [sql, params] = calls('SET attempts = attempts + 1')[0];
+    expect(sql).toMatch(/attempts < \$3/);
+    expect(sql).toContain('RETURNING');
+    expect(params).toEqual([sha256('tok'), 'verify', 5]);
+    expect(fn).toHaveBeenCalledWith(9, { orgId: 5 });
+    expect(calls('SET consumed_at = now() WHERE id')[0][1]).toEqual([3]);
+  });
+
+  test('no claim, no verification — spent, expired or unknown all look the same', async () => {
+    route({ 'SET attempts = attempts + 1': { rows: [] } });
+    const fn = jest.fn();
+    await expect(TwoFactor.useChallenge('tok', 'verify', fn))
+      .rejects.toMatchObject({ status: 401, code: 'MFA_CHALLENGE_EXPIRED' });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('a wrong code leaves the challenge open and does not count twice', async () => {
+    route({ 'SET attempts = attempts + 1': { rows: [{ id: 3, user_id: 9, org_id: null }] } });
+    const bad = Object.assign(new Error('That code is not valid'), { status: 401 });
+    await expect(TwoFactor.useChallenge('tok', 'verify', jest.fn().mockRejectedValue(bad))).rejects.toBe(bad);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('keepOpen (enrolment QR step) does not consume', async () => {
+    route({ 'SET attempts = attempts + 1': { rows: [{ id: 3, user_id: 9, org_id: null }] } });
+    await TwoFactor.useChallenge('tok', 'enroll', jest.fn().mockResolvedValue({}), { keepOpen: true });
+    expect(calls('SET consumed_at = now()')).toHaveLength(0);
+  });
+});
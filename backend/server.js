@@ -63,6 +63,12 @@ const corsOptions = {
   exposedHeaders: ['Content-Range', 'X-Content-Range'],
   maxAge: 600,
 };
+
+// SAML browser endpoints (metadata / login redirect / ACS). The IdP's form
+// POSTs to the ACS from the IdP's own origin, which the allow-list above
+// would reject — so this mounts BEFORE cors. No auth; per-org by slug.
+app.use('/sso/saml', require('./routes/saml.routes'));
+
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
@@ -117,6 +123,11 @@ const authLimiter = rateLimit({
 // the HMAC token, not auth — see routes/tracking.routes.js header.
 app.use('/t', require('./routes/tracking.routes'));
 
+// SCIM 2.0 provisioning — called server-to-server by the org's IdP with the
+// org's SCIM bearer token (not a user JWT). Outside /api like /t; carries its
+// own application/scim+json parser. See routes/scim.routes.js header.
+app.use('/scim/v2', require('./routes/scim.routes'));
+
 app.use('/api/',      apiLimiter);
 app.use('/api/auth/', authLimiter);
 
@@ -202,6 +213,8 @@ app.get('/health', (req, res) => {
 app.use('/api/push',       require('./routes/push.routes'));
 app.use('/api/skills',     require('./routes/skills.routes'));
 app.use('/api/skill-runs', require('./routes/skill-runs.routes'));
+app.use('/api/skill-bundles', require('./routes/skill-bundles.routes'));
+app.use('/api/skill-evals', require('./routes/skill-evals.routes'));
 app.use('/api/prospecting-config', require('./routes/prospecting-config.routes'));
 app.use('/api/target-profiles', require('./routes/target-profiles.routes'));
 app.use('/api/signal-catalog', require('./routes/signal-catalog.routes'));
@@ -216,6 +229,8 @@ app.use('/api/help',                 require('./routes/help.routes'));   // Help
 app.use('/api/ndr-cleanup', 	     require('./routes/ndr-cleanup.routes'));
 
 // ── Core CRM ──────────────────────────────────────────────────────────────
+app.use('/api/auth/sso',      require('./routes/sso.routes'));   // PUBLIC (SSO discover + code exchange)
+app.use('/api/auth/2fa',      require('./routes/auth-2fa.routes'));  // PUBLIC (login 2FA challenge)
 app.use('/api/auth',          require('./routes/auth.routes'));
 app.use('/api/actions',       require('./routes/actions.routes'));
 app.use('/api/deals',         require('./routes/deals.routes'));
@@ -223,7 +238,8 @@ app.use('/api/contacts',      require('./routes/contacts.routes'));
 app.use('/api/accounts',      require('./routes/accounts.routes'));
 app.use('/api/emails',        require('./routes/emails.routes'));
 app.use('/api/meetings',      require('./routes/meetings.routes'));
-app.use('/api/proposals',     require('./routes/proposals.routes'));
+app.use('/api/quotes',        require('./routes/quotes.routes'));
+app.use('/api/documents',     require('./routes/documents.routes'));
 app.use('/api/calendar',      require('./routes/calendar.routes'));
 app.use('/api/dashboard',     require('./routes/dashboard.routes'));
 app.use('/api/agent',         require('./routes/agent.routes'));
@@ -237,6 +253,9 @@ app.use('/api/agent-auth',         require('./routes/agent-auth.routes'));
 // docs/SEQUENCE_REPORTING_DESIGN.md for the full design.
 app.use('/api/reporting',     require('./routes/reporting.routes'));
 
+// Forecast calls, quotas and weekly snapshots (services/forecast.service.js).
+app.use('/api/forecast',      require('./routes/forecast.routes'));
+
 // ── External integrations ────────────────────────────────────────────────
 app.use('/api/outlook',       require('./routes/outlook.routes'));
 // server.js — beside the other integration routes
@@ -248,6 +267,7 @@ app.use('/api/ai',            require('./routes/ai.routes'));
 app.use('/api/prompts',       require('./routes/prompts.routes'));
 app.use('/api/salesforce',    require('./routes/salesforce.routes'));
 app.use('/api/hubspot',       require('./routes/hubspot.routes'));
+app.use('/api/pipedrive',     require('./routes/pipedrive.routes'));
 app.use('/api/slack',         require('./routes/slack.routes'));   // ← add this line
 app.use('/api/whatsapp',      require('./routes/whatsapp.routes'));
 app.use('/api/whatsapp-templates', require('./routes/whatsappTemplates.routes'));
@@ -271,6 +291,7 @@ app.use('/api/preview',         require('./routes/preview.routes'));  // Mongo m
 
 app.use('/api/org/admin/ai',    require('./routes/ai-admin.routes'));
 app.use('/api/me/ai',           require('./routes/ai-user.routes'));
+app.use('/api/me/2fa',          require('./routes/me-2fa.routes'));
 app.use('/api/super-admin/ai',  require('./routes/ai-platform.routes'));
 
 // ── Twilio webhooks (Phase 3) ─────────────────────────────────────────────
@@ -310,6 +331,7 @@ app.use('/api/products',               require('./routes/products.routes'));
 app.use('/api/pipeline-stages',        require('./routes/pipeline-stages.routes'));
 app.use('/api/playbook-plays',         require('./routes/playbook-plays.routes'));
 app.use('/api/deal-plays',             require('./routes/deal-plays.routes'));
+app.use('/api/mutual-action-plans',    require('./routes/mutual-action-plans.routes'));
 
 // ── Prospecting ───────────────────────────────────────────────────────────
 app.use('/api/prospects',             require('./routes/prospects.routes'));
@@ -361,6 +383,22 @@ app.use('/api/prospecting/activity', require('./routes/prospecting-activity.rout
 // Owner/admin only (role enforced inside the routes file).
 app.use('/api/org/admin/twilio', require('./routes/org-twilio.routes'));
 
+// ── Outbound webhooks ─────────────────────────────────────────────────────
+// Admin-registered HTTPS endpoints for CRM events; delivered by the worker.
+app.use('/api/org/admin/webhooks', require('./routes/org-webhooks.routes'));
+
+// ── SAML single sign-on ───────────────────────────────────────────────────
+// Per-org IdP config + enforcement. Browser leg is /sso/saml (above CORS).
+app.use('/api/org/admin/sso', require('./routes/org-sso.routes'));
+
+// ── SCIM provisioning ─────────────────────────────────────────────────────
+// Token + settings + offboarding log. The IdP-facing API is /scim/v2 (above).
+app.use('/api/org/admin/scim', require('./routes/org-scim.routes'));
+
+// ── Two-factor policy ─────────────────────────────────────────────────────
+// Org 2FA requirement + enrolment roster. Login leg is /api/auth/2fa.
+app.use('/api/org/admin/security', require('./routes/org-security.routes'));
+
 // Browser dialing (Voice JS SDK v2): mints per-org subaccount access tokens.
 app.use('/api/twilio/voice',     require('./routes/twilio-voice.routes'));
 
@@ -540,8 +578,15 @@ app.listen(PORT, () => {
       }
     });
 
-    // Hourly: expire CLM contracts
+    // Hourly: roll auto-renewing CLM contracts into their next term, then
+    // expire the rest
     cron.schedule('0 * * * *', async () => {
+      try {
+        const renewed = await require('./services/contractRenewal.service').autoRenewDue();
+        if (renewed > 0) console.log(`📄 CLM Cron: auto-renewed ${renewed} contract term(s)`);
+      } catch (err) {
+        console.error('📄 CLM Cron autoRenewDue error:', err.message);
+      }
       try {
         const count = await require('./services/contractService').expireContracts();
         if (count > 0) console.log(`📄 CLM Cron: expired ${count} contracts`);
@@ -550,6 +595,18 @@ app.listen(PORT, () => {
       }
     });
 
+    // Daily 08:00: CLM renewal sweep — renewal deals inside each org's lead
+    // window and notice-deadline reminders. Before the 09:00 notifications so
+    // owners see the new deals alongside the expiry warnings.
+    cron.schedule('0 8 * * *', async () => {
+      try {
+        const r = await require('./services/contractRenewal.service').runRenewalSweep();
+        console.log(`📄 CLM Cron: renewal sweep — orgs: ${r.orgs}, deals: ${r.created}, notices: ${r.notices}, errors: ${r.errors}`);
+      } catch (err) {
+        console.error('📄 CLM Cron renewal sweep error:', err.message);
+      }
+    });
+
     // Daily 09:00: CLM contract notifications (unsigned + expiring)
     cron.schedule('0 9 * * *', async () => {
       try {
@@ -616,7 +673,7 @@ app.listen(PORT, () => {
     });
 
 
-    // Nightly 04:30 UTC: Salesforce write-back (30 min after inbound sync)
+    // Nightly 04:30 UTC: CRM write-back — Salesforce + HubSpot (30 min after inbound sync)
     cron.schedule('30 4 * * *', async () => {
       try {
         const { runNightlyWriteBack } = require('./services/crm/writeBack');
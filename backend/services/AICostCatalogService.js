@@ -13,9 +13,11 @@
 //      when historical data is thin (< 5 samples). Numbers come from
 //      reading the actual prompt templates and observed completions.
 //
-// Both are passed through TokenTrackingService.estimateCost, so the same
-// pricing logic the runtime uses for billing is the same pricing logic
-// the dashboard uses for projection. One source of truth on prices.
+// Both are passed through TokenTrackingService.estimateCostFromUsage, so the
+// same pricing logic the runtime uses for billing is the same pricing logic
+// the dashboard uses for projection. One source of truth on prices — which
+// includes self-hosted models: zero by default, or the org's own rates from
+// ai_settings.custom_model_rates (TokenTrackingService.selfHostedRates).
 //
 // Bundles roll up multi-call user actions:
 //   - "research_full" = research_account + research_person (cold), or
@@ -48,6 +50,7 @@ const FALLBACK_CATALOG = {
   outreach_email:         { typical_input:  500, typical_output:  500, cached_prefix: 20500, is_cached: true },
   outreach_linkedin:      { typical_input:  500, typical_output:  300, cached_prefix: 20500, is_cached: true },
   discovery_call_prep:    { typical_input:  500, typical_output:  800, cached_prefix: 18000, is_cached: true },
+  mutual_action_plan:     { typical_input: 1500, typical_output: 1500, cached_prefix:  4000, is_cached: true },
 
   // ── Inline AI features ──────────────────────────────────────────────
   action_generation:      { typical_input: 1500, typical_output:  600, is_cached: false },
@@ -69,6 +72,7 @@ const CALL_TYPE_META = {
   outreach_email:       { label: 'Outreach Email Skill',          desc: 'outreach-email skill direct invocation' },
   outreach_linkedin:    { label: 'Outreach LinkedIn Skill',       desc: 'outreach-linkedin skill direct invocation' },
   discovery_call_prep:  { label: 'Discovery Call Prep',           desc: 'Pre-call briefing from the discovery-call-prep skill' },
+  mutual_action_plan:   { label: 'Mutual Action Plan',            desc: 'Dated close plan from the mutual-action-plan skill' },
   action_generation:    { label: 'Action Generation',             desc: 'AI-suggested next-best actions on deals' },
   ai_enhancement:       { label: 'AI Enhancement',                desc: 'Field-level rewrite/improve actions' },
   email_analysis:       { label: 'Email Analysis',                desc: 'Email sentiment + intent classification' },
@@ -113,6 +117,7 @@ class AICostCatalogService {
    *       <call_type>: {
    *         label, desc,
    *         provider, model,           // resolved per call_type for THIS org
+   *         self_hosted,               // true when served by the org's own endpoint
    *         typical_input, typical_output,
    *         is_cached,                 // whether this call uses prompt caching
    *         cost_usd,                  // un-cached / first-call cost
@@ -140,14 +145,18 @@ class AICostCatalogService {
     // org-level resolution when userId is null; that's what we want here
     // because the dashboard is an org-wide projection, not per-user.
     const callTypes = Object.keys(FALLBACK_CATALOG);
+    //
+    // Self-hosted models also pick up their per-org rates here (null for
+    // vendor providers, which are priced by model name).
     const resolved = {};
     await Promise.all(callTypes.map(async (ct) => {
       try {
         const r = await AIClientResolver._resolveProviderAndModel(orgId, null, ct);
-        resolved[ct] = { provider: r.provider, model: r.model };
+        const rates = await TokenTrackingService.selfHostedRates(orgId, r.provider, r.model);
+        resolved[ct] = { provider: r.provider, model: r.model, rates };
       } catch (err) {
         console.warn(`AICostCatalog: resolve failed for ${ct}:`, err.message);
-        resolved[ct] = { provider: null, model: null };
+        resolved[ct] = { provider: null, model: null, rates: null };
       }
     }));
 
@@ -190,7 +199,7 @@ class AICostCatalogService {
       const cached_prefix  = fallback.cached_prefix || 0;
       const is_cached      = !!fallback.is_cached;
 
-      const model = resolved[ct].model;
+      const { model, rates } = resolved[ct];
 
       // Cold cost: no cache benefit. Even for cache-eligible call types,
       // the first call after a cache expiry pays the full input rate (the
@@ -198,23 +207,23 @@ class AICostCatalogService {
       // same since the typical_input includes the prefix in the historical
       // case). We deliberately use the simple (input + output) cost here
       // so the number is comparable across cached/non-cached call types.
-      const coldCost = TokenTrackingService.estimateCost(model, {
+      const coldCost = TokenTrackingService.estimateCostFromUsage(model, {
         input_tokens:                is_cached ? typical_input : (typical_input + cached_prefix),
         output_tokens:               typical_output,
         cache_creation_input_tokens: is_cached ? cached_prefix : 0,
         cache_read_input_tokens:     0,
-      }) || 0;
+      }, rates) || 0;
 
       // Warm cost: only meaningful for cache-eligible call types. The
       // cached prefix bills at the much cheaper cache-read rate; the
       // per-call user payload bills at full input rate.
       const warmCost = is_cached
-        ? (TokenTrackingService.estimateCost(model, {
+        ? (TokenTrackingService.estimateCostFromUsage(model, {
             input_tokens:                typical_input,
             output_tokens:               typical_output,
             cache_creation_input_tokens: 0,
             cache_read_input_tokens:     cached_prefix,
-          }) || 0)
+          }, rates) || 0)
         : null;
 
       const meta = CALL_TYPE_META[ct] || { label: ct, desc: '' };
@@ -224,6 +233,7 @@ class AICostCatalogService {
         desc:            meta.desc,
         provider:        resolved[ct].provider,
         model:           resolved[ct].model,
+        self_hosted:     !!rates,
         typical_input,
         typical_output,
         cached_prefix:   is_cached ? cached_prefix : null,
@@ -137,6 +137,31 @@ class OneDriveProvider extends StorageProviderBase {
     };
   }
 
+  /**
+   * Text of the file behind a OneDrive / SharePoint sharing link, read with
+   * the user's own connection through Graph's /shares endpoint — so it works
+   * for any link that user can open, not only files in their drive.
+   * Used for contract redlines (contractRedline.service).
+   */
+  async extractSharedLinkContent(userId, sharingUrl) {
+    const accessToken = await this._getAccessToken(userId);
+    const shareId = 'u!' + Buffer.from(sharingUrl).toString('base64')
+      .replace(/=+$/, '').replace(/\//g, '_').replace(/\+/g, '-');
+    const headers = { Authorization: `Bearer ${accessToken}` };
+
+    const meta = await axios.get(`${GRAPH_BASE}/shares/${shareId}/driveItem`, {
+      headers, params: { $select: 'id,name,size,file' },
+    });
+    assertSizeAllowed(meta.data.size, meta.data.name);
+
+    const download = await axios.get(`${GRAPH_BASE}/shares/${shareId}/driveItem/content`, {
+      headers, responseType: 'arraybuffer',
+    });
+    const rawText = await extractTextFromBuffer(
+      Buffer.from(download.data), meta.data.file?.mimeType, meta.data.name);
+    return { fileId: meta.data.id, fileName: meta.data.name, rawText };
+  }
+
   // Graph's simple upload tops out at 4 MB. WhatsApp video routinely exceeds
   // that, so anything larger goes through a resumable upload session.
   static get SIMPLE_UPLOAD_LIMIT() { return 4 * 1024 * 1024; }
@@ -37,6 +37,7 @@
 
 const { pool } = require('../config/database');
 const FitGate  = require('./FitGate');
+const DealContextBuilder = require('./DealContextBuilder');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Config resolvers for the org-configurable enforcement surfaces. Precedence is
@@ -1462,9 +1463,97 @@ async function buildDealSkillContext({ dealId }) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// buildClosePlanSkillContext — payload for the mutual-action-plan skill
+// (skills/mutual-action-plan/schema/gowarm-close-plan.json).
+//
+// The gowarm-deal payload above, plus what a close plan is dated against:
+//   stakeholders   ← DealContextBuilder contacts (deal_contacts.role +
+//                     contacts.role_type)
+//   meddpicc_gaps  ← the null keys of payload.meddpicc
+//   contracts      ← contracts on the deal (status drives the paper process)
+//   plays          ← DealContextBuilder stage plays + guidance, and the play
+//                     instances already on the deal
+//   today / deal.target_close_date — the two ends every milestone sits between
+//
+// userId resolves the playbook through DealContextBuilder (org default sales
+// playbook for that user). Throws 404 via buildDealSkillContext.
+// ─────────────────────────────────────────────────────────────────────────────
+async function buildClosePlanSkillContext({ dealId, userId }) {
+  const payload = await buildDealSkillContext({ dealId });
+  const orgId   = payload._meta.org_id;
+
+  const built = await DealContextBuilder.build(dealId, userId, orgId);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query(
+      `SELECT set_config('app.current_org_id', $1::text, true)`,
+      [String(orgId)]
+    );
+
+    const contracts = await safeQuery(client,
+      `SELECT title, contract_type, status, review_sub_status,
+              internal_approval_status, esign_status, updated_at
+         FROM contracts
+        WHERE deal_id = $1 AND org_id = $2 AND deleted_at IS NULL
+          AND parent_contract_id IS NULL
+        ORDER BY updated_at DESC
+        LIMIT 5`,
+      [dealId, orgId]);
+
+    const instances = await safeQuery(client,
+      `SELECT title, status, due_date, is_gate, stage_key
+         FROM deal_play_instances
+        WHERE deal_id = $1 AND org_id = $2
+          AND status NOT IN ('cancelled')
+        ORDER BY stage_key, sort_order
+        LIMIT 40`,
+      [dealId, orgId]);
+
+    const d = built.deal;
+    const targetClose = d.expected_close_date || d.close_date || null;
+
+    payload.today = new Date().toISOString().slice(0, 10);
+    payload.deal = {
+      ...payload.deal,
+      name: d.name,
+      target_close_date: targetClose ? new Date(targetClose).toISOString().slice(0, 10) : null,
+      close_date_push_count: d.close_date_push_count || 0,
+    };
+    payload.stakeholders = built.contacts.map(c => ({
+      contact_id: c.id,
+      name: [c.first_name, c.last_name].filter(Boolean).join(' '),
+      title: c.title || '',
+      role: c.deal_role || null,
+      role_type: c.role_type || null,
+      engagement_level: c.engagement_level || null,
+    }));
+    payload.meddpicc_gaps = Object.keys(payload.meddpicc).filter(k => payload.meddpicc[k] == null);
+    payload.contracts = contracts;
+    payload.plays = {
+      stage_guidance: built.playbookStageGuidance || null,
+      stage_plays: (built.playbookStageActions || []).map(p => ({
+        title: p.title,
+        description: p.description || null,
+        channel: p.channel || null,
+        is_gate: !!p.is_gate,
+        due_offset_days: p.due_offset_days ?? null,
+      })),
+      instances,
+    };
+
+    return payload;
+  } finally {
+    if (client) client.release();
+  }
+}
+
 module.exports = {
   buildProspectSkillContext,
   buildDealSkillContext,
+  buildClosePlanSkillContext,
   // Exported for unit tests of the resolution cascade. Not used by route code.
   buildOrgContext,
 };
@@ -13,8 +13,16 @@
 //   • direct skill_runs INSERT — instrumentation
 //
 // Public API:
-//   runProspectSkill({ orgId, userId, prospectId, skillName, hookPreferences? })
-//   runDealSkill({ orgId, userId, dealId, skillName, methodology? })
+//   runProspectSkill({ orgId, userId, prospectId, skillName, hookPreferences?,
+//                      bundleOverride? })
+//   runDealSkill({ orgId, userId, dealId, skillName, methodology?, bundleOverride? })
+//                              — discovery-call-prep, mutual-action-plan
+//                              — bundleOverride: run an explicit, unpublished
+//                                bundle (org draft preview, 2026_139)
+//   runSkillWithBundle({ orgId, userId, skillName, methodology?,
+//                        contextPayload, bundleOverride })
+//                              — evaluation path: a fixed payload against an
+//                                explicit bundle version (skillEval.service)
 //   validateSkillRegistry()    — boot-time sanity check; throws on misconfig
 //
 // Both run-functions return { ok, output, runId, status, usage }.
@@ -36,6 +44,7 @@ const ContextLint          = require('./ContextLint');
 const {
   buildProspectSkillContext,
   buildDealSkillContext,
+  buildClosePlanSkillContext,
 } = require('./SkillContextService');
 
 const SKILLS_DIR = path.join(__dirname, '..', 'skills');
@@ -59,7 +68,9 @@ function isPrefillRejectionError(err) {
 const ALLOWED_METHODOLOGIES = new Set(['meddic', 'challenger']);
 
 // Per-skill metadata: which callType to resolve a model with, max output
-// tokens, and which context builder + id field applies.
+// tokens, and which context builder + id field applies. Deal skills default to
+// buildDealSkillContext; `context: 'close_plan'` selects
+// buildClosePlanSkillContext (stakeholders, contracts, plays, dates).
 //
 // Slice 3: The retired 'outreach-personalization' skill is kept in the
 // registry so /api/skill-runs queries with skill_name=outreach-personalization
@@ -88,6 +99,12 @@ const SKILL_REGISTRY = {
     maxTokens:  4000,
     entity:     'deal',
   },
+  'mutual-action-plan': {
+    callType:   'mutual_action_plan',
+    maxTokens:  4000,
+    entity:     'deal',
+    context:    'close_plan',
+  },
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -441,6 +458,7 @@ async function persistSkippedRun({ orgId, userId, skillName, prospectId, context
 async function runSkill({
   orgId, userId, skillName, methodology,
   contextPayload, prospectId, dealId,
+  bundleOverride = null,
 }) {
   const meta = SKILL_REGISTRY[skillName];
   if (!meta) {
@@ -482,12 +500,18 @@ async function runSkill({
   // org pin → newest platform bundle → disk (loadSkill, unchanged). The DB
   // layer returns null on any miss or error, so disk remains the guaranteed
   // floor and day-one behaviour is identical for orgs with no bundles.
-  const resolved = await skillBundles.resolveForRun(
+  //
+  // An eval run (2026_138) or draft preview (2026_139) passes the exact
+  // bundle instead; its skill_runs row is attributed bundle_source 'eval' /
+  // 'draft' so analytics can leave it out.
+  const resolved = bundleOverride || await skillBundles.resolveForRun(
     orgId, skillName, methodology, ALLOWED_METHODOLOGIES);
   const bundle        = resolved ? resolved.bundle  : loadSkill(skillName, methodology);
   const bundleId      = resolved ? resolved.bundleId : null;
   const bundleVersion = resolved ? resolved.version  : null;
-  const bundleSource  = resolved ? resolved.source   : 'disk';
+  const bundleSource  = bundleOverride
+    ? (bundleOverride.source || 'eval')
+    : (resolved ? resolved.source : 'disk');
   const system = buildSystemPrompt(bundle);
 
   // The user message: the context payload + strict output instructions.
@@ -686,6 +710,7 @@ async function runProspectSkill({
   orgId, userId, prospectId, skillName, hookPreferences, stepIntent,
   signalContext,
   dryRun = false, forceGenerate = false, explain = false,
+  bundleOverride = null,
 }) {
   if (!orgId || !userId || !prospectId) {
     const e = new Error('orgId, userId and prospectId are required');
@@ -794,6 +819,7 @@ async function runProspectSkill({
   const result = await runSkill({
     orgId, userId, skillName, methodology: null,
     contextPayload, prospectId, dealId: null,
+    bundleOverride,
   });
 
   // Pass fit through, and deterministically pull a 'weak' verdict into the
@@ -815,7 +841,7 @@ async function runProspectSkill({
 // ─────────────────────────────────────────────────────────────────────────────
 // Public — runDealSkill
 // ─────────────────────────────────────────────────────────────────────────────
-async function runDealSkill({ orgId, userId, dealId, skillName, methodology }) {
+async function runDealSkill({ orgId, userId, dealId, skillName, methodology, bundleOverride = null }) {
   if (!orgId || !userId || !dealId) {
     const e = new Error('orgId, userId and dealId are required');
     e.statusCode = 400;
@@ -827,7 +853,10 @@ async function runDealSkill({ orgId, userId, dealId, skillName, methodology }) {
     throw e;
   }
 
-  const contextPayload = await buildDealSkillContext({ dealId });
+  const meta = SKILL_REGISTRY[skillName];
+  const contextPayload = meta && meta.context === 'close_plan'
+    ? await buildClosePlanSkillContext({ dealId, userId })
+    : await buildDealSkillContext({ dealId });
 
   // The deal-context _meta has no rep; attribute the run to the caller.
   contextPayload._meta = { ...(contextPayload._meta || {}), rep_user_id: userId };
@@ -835,13 +864,52 @@ async function runDealSkill({ orgId, userId, dealId, skillName, methodology }) {
   return runSkill({
     orgId, userId, skillName, methodology: methodology || null,
     contextPayload, prospectId: null, dealId,
+    bundleOverride,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public — runSkillWithBundle
+//
+// The evaluation path. Runs a stored fixture payload against one explicit
+// bundle version, skipping context building and the fit gate — the fixture
+// already is the payload the model sees. bundleOverride is
+// { bundle, bundleId, version } — a runtime bundle built by
+// skillBundles.toRuntimeBundle from skillBundles.loadEvalSource.
+// ─────────────────────────────────────────────────────────────────────────────
+async function runSkillWithBundle({
+  orgId, userId, skillName, methodology, contextPayload, bundleOverride,
+}) {
+  if (!orgId || !userId || !contextPayload || !bundleOverride) {
+    const e = new Error('orgId, userId, contextPayload and bundleOverride are required');
+    e.statusCode = 400;
+    throw e;
+  }
+  if (methodology && !ALLOWED_METHODOLOGIES.has(methodology)) {
+    const e = new Error(`Invalid methodology. Allowed: ${[...ALLOWED_METHODOLOGIES].join(', ')}`);
+    e.statusCode = 400;
+    throw e;
+  }
+  // Fixtures may have been captured in another org; the scope guard in
+  // runSkill compares _meta.org_id, so re-stamp it for the org running the
+  // eval. The payload content itself is left exactly as stored.
+  const payload = {
+    ...contextPayload,
+    _meta: { ...(contextPayload._meta || {}), org_id: orgId },
+  };
+  return runSkill({
+    orgId, userId, skillName, methodology: methodology || null,
+    contextPayload: payload, prospectId: null, dealId: null,
+    bundleOverride,
   });
 }
 
 module.exports = {
   runProspectSkill,
   runDealSkill,
+  runSkillWithBundle,
   validateSkillRegistry,
+  ALLOWED_METHODOLOGIES,
   // exported for unit testing
   loadSkill,
   buildSystemPrompt,
@@ -17,6 +17,7 @@
  */
 
 const db = require('../config/database');
+const { getProvider, getModelCost } = require('../config/aiProviders');
 
 // Anthropic prompt-cache pricing multipliers (applied to base input price):
 //   5-minute cache writes: 1.25x   1-hour cache writes: 2x   cache reads: 0.1x
@@ -99,7 +100,8 @@ class TokenTrackingService {
     const promptTokens      = uncachedTokens + cacheReadTokens + cacheWriteTokens;
     const completionTokens  = usage.output_tokens  || 0;
     const totalTokens       = promptTokens + completionTokens;
-    const estimatedCost     = this._estimateCostFromUsage(model, usage);
+    const rates             = await this.selfHostedRates(orgId, provider, model);
+    const estimatedCost     = this._estimateCostFromUsage(model, usage, rates);
 
     try {
       await db.query(
@@ -348,10 +350,45 @@ class TokenTrackingService {
    * @param {object} usage  { input_tokens, output_tokens,
    *                          cache_read_input_tokens, cache_creation_input_tokens,
    *                          cache_creation? }
+   * @param {object} [rates] per-token { input, output } override — see
+   *                         selfHostedRates(). Omit to price by model name.
    * @returns {number|null} USD cost, or null if model is missing.
    */
-  static estimateCostFromUsage(model, usage) {
-    return this._estimateCostFromUsage(model, usage);
+  static estimateCostFromUsage(model, usage, rates) {
+    return this._estimateCostFromUsage(model, usage, rates);
+  }
+
+  /**
+   * Per-token rates for a self-hosted provider's model, or null for vendor
+   * providers (which are priced by model name from MODEL_COST_TABLE).
+   *
+   * Self-hosted models cost nothing by default — the org runs the GPU — so
+   * a Llama model must not pick up Haiku-class DEFAULT_COSTS. Orgs that
+   * charge back compute set per-million rates in
+   * ai_settings.custom_model_rates: { '<model id>': { input, output } }.
+   */
+  static async selfHostedRates(orgId, provider, model) {
+    const def = provider ? getProvider(provider) : null;
+    if (!def || def.adapter !== 'self-hosted') return null;
+
+    let perMillion = null;
+    if (orgId && model) {
+      try {
+        const r = await db.query(
+          `SELECT ai_settings->'custom_model_rates'->$2 AS rate
+             FROM org_action_config WHERE org_id = $1`,
+          [orgId, model]
+        );
+        perMillion = r.rows[0]?.rate || null;
+      } catch (err) {
+        console.error('TokenTrackingService.selfHostedRates error:', err.message);
+      }
+    }
+    perMillion = perMillion || getModelCost(provider, model) || { input: 0, output: 0 };
+    return {
+      input:  (Number(perMillion.input)  || 0) / 1e6,
+      output: (Number(perMillion.output) || 0) / 1e6,
+    };
   }
 
   static _ratesFor(model) {
@@ -362,9 +399,9 @@ class TokenTrackingService {
     return DEFAULT_COSTS;
   }
 
-  static _estimateCostFromUsage(model, usage = {}) {
+  static _estimateCostFromUsage(model, usage = {}, rates = null) {
     if (!model) return null;
-    const costs = this._ratesFor(model);
+    const costs = rates || this._ratesFor(model);
 
     const uncached = usage.input_tokens  || 0;
     const output   = usage.output_tokens || 0;
@@ -0,0 +1,302 @@
+/**
+ * actionCompletion.service.js
+ *
+ * DROP-IN LOCATION: backend/services/actionCompletion.service.js
+ *
+ * What happens AFTER an action's status row is written. Lifted out of
+ * routes/actions.routes.js and routes/prospecting-actions.routes.js
+ * (PATCH /:id/status) so the MCP write tools (mcp-server.mjs complete_action /
+ * snooze_action) trigger exactly the same follow-through as the UI:
+ *
+ *   Deal actions (actions table)
+ *     applyDealCompletion()       STRAP auto-resolve + playbook gate unlock
+ *                                 (next action + calendar task). Returns the
+ *                                 unlocked next action, or null.
+ *     queueRealtimeWriteBack()    CRM push (services/crm/writeBack) after the
+ *                                 response — fire-and-forget.
+ *
+ *   Prospecting actions (prospecting_actions table)
+ *     applyProspectingCompletion()  STRAP auto-resolve, next sequential play,
+ *                                   outreach/response counters and the
+ *                                   target/research → outreach → engaged
+ *                                   auto-advance with their activities.
+ *
+ *   snoozedUntilFor(duration)     '1_week' | '2_weeks' | '1_month' → Date;
+ *                                 anything else ('stage_change', 'indefinite')
+ *                                 → null (no auto-expiry).
+ *
+ * Callers own the status UPDATE itself (and its ownership scope); everything
+ * here is best-effort follow-through and never throws for a side effect that
+ * the original routes treated as non-blocking.
+ */
+
+const db                    = require('../config/database');
+const StrapActionGenerator  = require('./StrapActionGenerator');
+const PlayCompletionService = require('./PlayCompletionService');
+
+const RESPONSE_OUTCOMES = ['replied', 'call_connected', 'meeting_booked'];
+
+function snoozedUntilFor(duration) {
+  if (duration === '1_week')  return new Date(Date.now() + 7  * 86400000);
+  if (duration === '2_weeks') return new Date(Date.now() + 14 * 86400000);
+  if (duration === '1_month') {
+    const d = new Date();
+    d.setMonth(d.getMonth() + 1);
+    return d;
+  }
+  return null;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Deal actions
+// ═════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the post-completion hooks for a just-completed deal action.
+ *
+ * @param {object} completedAction - the updated actions row
+ * @returns {Promise<object|null>} the gate-unlocked next action, if any
+ */
+async function applyDealCompletion(completedAction, orgId, userId) {
+  let nextAction = null;
+
+  // STRAP auto-resolve check
+  if (completedAction.strap_id) {
+    StrapActionGenerator.checkAutoResolve(completedAction.strap_id, userId, orgId)
+      .catch(err => console.error('STRAP auto-resolve check error:', err.message));
+  }
+
+  // ── Phase 2: Gated next-action generation ────────────────────────────────
+  // When a gate play action is completed, check if it unlocks a follow-on play.
+  if (completedAction.playbook_play_id) {
+    try {
+      const gateRes = await db.query(
+        `SELECT * FROM playbook_plays
+         WHERE id = $1 AND org_id = $2 AND is_gate = true AND unlocks_play_id IS NOT NULL`,
+        [completedAction.playbook_play_id, orgId]
+      );
+
+      if (gateRes.rows.length > 0) {
+        const unlockedRes = await db.query(
+          `SELECT * FROM playbook_plays WHERE id = $1 AND org_id = $2`,
+          [gateRes.rows[0].unlocks_play_id, orgId]
+        );
+
+        if (unlockedRes.rows.length > 0) {
+          const unlockedPlay = unlockedRes.rows[0];
+          const fireConditions = typeof unlockedPlay.fire_conditions === 'string'
+            ? JSON.parse(unlockedPlay.fire_conditions)
+            : (unlockedPlay.fire_conditions || []);
+
+          // Evaluate conditions if any, using a lightweight context
+          let conditionsMet = true;
+          if (fireConditions.length > 0 && completedAction.deal_id) {
+            const PlaybookService = require('./playbook.service');
+            const dealRes = await db.query('SELECT * FROM deals WHERE id = $1', [completedAction.deal_id]);
+            if (dealRes.rows.length > 0) {
+              const deal = dealRes.rows[0];
+              const [cR, eR, mR, fR] = await Promise.all([
+                db.query('SELECT * FROM contacts WHERE account_id = $1 AND org_id = $2', [deal.account_id, orgId]),
+                db.query('SELECT * FROM emails WHERE deal_id = $1 AND org_id = $2', [deal.id, orgId]),
+                db.query('SELECT * FROM meetings WHERE deal_id = $1 AND org_id = $2', [deal.id, orgId]),
+                db.query("SELECT * FROM storage_files WHERE deal_id = $1 AND org_id = $2 AND processing_status = 'completed'", [deal.id, orgId]),
+              ]);
+              const ActionsGenerator = require('./actionsGenerator');
+              const context = await ActionsGenerator.buildContextPublic(
+                deal, cR.rows, eR.rows, mR.rows, fR.rows, userId, orgId
+              );
+              conditionsMet = PlaybookService.evaluateConditions(fireConditions, context);
+            }
+          }
+
+          if (conditionsMet) {
+            const dueDate = new Date();
+            dueDate.setDate(dueDate.getDate() + (unlockedPlay.due_offset_days || 3));
+
+            const insertRes = await db.query(
+              `INSERT INTO actions (
+                 org_id, user_id, type, title, description, action_type, priority,
+                 due_date, deal_id, account_id, source, source_rule, next_step,
+                 playbook_play_id, status, suggested_action, created_at
+               ) VALUES (
+                 $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,
+                 'playbook','playbook_gate_unlock',$11,$12,'not_started',$13,NOW()
+               ) RETURNING *`,
+              [
+                orgId, userId,
+                unlockedPlay.channel || 'follow_up',
+                unlockedPlay.title,
+                unlockedPlay.description || `Unlocked after completing: ${completedAction.title}`,
+                unlockedPlay.channel || 'follow_up',
+                unlockedPlay.priority || 'medium',
+                dueDate,
+                completedAction.deal_id   || null,
+                completedAction.account_id || null,
+                unlockedPlay.channel || 'email',
+                unlockedPlay.id,
+                unlockedPlay.suggested_action || null,
+              ]
+            );
+            nextAction = insertRes.rows[0];
+
+            // Create calendar entry for the next action
+            try {
+              const startTime = new Date(dueDate);
+              startTime.setHours(9, 0, 0, 0);
+              const endTime = new Date(startTime);
+              endTime.setMinutes(endTime.getMinutes() + 30);
+              await db.query(
+                `INSERT INTO meetings (
+                   org_id, user_id, deal_id, title, description,
+                   start_time, end_time, meeting_type, source, status, action_id, created_at
+                 ) VALUES ($1,$2,$3,$4,$5,$6,$7,'task','action','scheduled',$8,NOW())`,
+                [
+                  orgId, userId, completedAction.deal_id || null,
+                  unlockedPlay.title,
+                  `Next step unlocked from playbook gate: ${completedAction.title}`,
+                  startTime, endTime,
+                  nextAction.id,
+                ]
+              );
+            } catch (calErr) {
+              console.error('Calendar entry for next action failed (non-blocking):', calErr.message);
+            }
+          }
+        }
+      }
+    } catch (gateErr) {
+      console.error('Gate unlock error (non-blocking):', gateErr.message);
+    }
+  }
+
+  return nextAction;
+}
+
+/**
+ * CRM write-back (realtime mode). Fire-and-forget on the next tick — call it
+ * after the response is sent so it never blocks the caller. Pushes to each
+ * connected CRM where write_back_enabled=true AND write_back_mode='realtime'.
+ */
+function queueRealtimeWriteBack(orgId, actionId) {
+  setImmediate(async () => {
+    try {
+      const { runRealtimeWriteBack } = require('./crm/writeBack');
+      await runRealtimeWriteBack(orgId, actionId);
+    } catch (err) {
+      console.error(`[WriteBack] realtime push failed for action ${actionId}:`, err.message);
+    }
+  });
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Prospecting actions
+// ═════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the post-completion hooks for a just-completed prospecting action.
+ *
+ * @param {object} action  - the updated prospecting_actions row
+ * @param {string} [outcome] - e.g. 'replied' | 'call_connected' | 'meeting_booked'
+ */
+async function applyProspectingCompletion(action, orgId, userId, outcome) {
+  // STRAP auto-resolve check
+  if (action.strap_id) {
+    StrapActionGenerator.checkAutoResolve(action.strap_id, userId, orgId)
+      .catch(err => console.error('STRAP auto-resolve check error (prospecting):', err.message));
+  }
+
+  // Phase 6 — fire next sequential play
+  if (action.play_id) {
+    PlayCompletionService.fireNextPlay(
+      'prospect', action.prospect_id, action.play_id, orgId, userId
+    ).catch(err => console.error('Next-play hook error (prospecting status):', err.message));
+  }
+
+  // Update prospect engagement tracking
+  if (action.channel) {
+    await db.query(
+      `UPDATE prospects
+       SET outreach_count = outreach_count + 1,
+           last_outreach_at = CURRENT_TIMESTAMP,
+           current_sequence_step = GREATEST(current_sequence_step, COALESCE($1, 0)),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [action.sequence_step, action.prospect_id]
+    );
+
+    // Auto-advance from target/research → outreach on first outreach
+    const prospect = await db.query(
+      'SELECT stage FROM prospects WHERE id = $1',
+      [action.prospect_id]
+    );
+    if (prospect.rows[0] && ['target', 'research'].includes(prospect.rows[0].stage)) {
+      await db.query(
+        `UPDATE prospects SET stage = 'outreach', stage_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [action.prospect_id]
+      );
+      await db.query(
+        `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
+         VALUES ($1, $2, $3, 'stage_change', 'Auto-advanced to outreach after first outreach')`,
+        [orgId, action.prospect_id, userId]
+      );
+    }
+
+    await db.query(
+      `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description, metadata)
+       VALUES ($1, $2, $3, 'outreach_sent', $4, $5)`,
+      [
+        orgId, action.prospect_id, userId,
+        `${action.channel} outreach: ${action.title}`,
+        JSON.stringify({ channel: action.channel, outcome: outcome || null, actionId: action.id }),
+      ]
+    );
+  }
+
+  // Response outcome tracking
+  if (RESPONSE_OUTCOMES.includes(outcome)) {
+    await db.query(
+      `UPDATE prospects
+       SET response_count = response_count + 1,
+           last_response_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [action.prospect_id]
+    );
+
+    const prospect = await db.query(
+      'SELECT stage FROM prospects WHERE id = $1',
+      [action.prospect_id]
+    );
+    if (prospect.rows[0] && prospect.rows[0].stage === 'outreach') {
+      await db.query(
+        `UPDATE prospects SET stage = 'engaged', stage_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [action.prospect_id]
+      );
+      await db.query(
+        `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
+         VALUES ($1, $2, $3, 'stage_change', 'Auto-advanced to engaged after response received')`,
+        [orgId, action.prospect_id, userId]
+      );
+    }
+
+    await db.query(
+      `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description, metadata)
+       VALUES ($1, $2, $3, 'response_received', $4, $5)`,
+      [
+        orgId, action.prospect_id, userId,
+        `Response via ${action.channel}: ${outcome}`,
+        JSON.stringify({ channel: action.channel, outcome, actionId: action.id }),
+      ]
+    );
+  }
+}
+
+module.exports = {
+  RESPONSE_OUTCOMES,
+  snoozedUntilFor,
+  applyDealCompletion,
+  queueRealtimeWriteBack,
+  applyProspectingCompletion,
+};
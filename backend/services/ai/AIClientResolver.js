@@ -45,6 +45,7 @@ const {
 
 const AnthropicAdapter = require('./adapters/AnthropicAdapter');
 const OpenAIAdapter    = require('./adapters/OpenAIAdapter');
+const OpenAICompatibleAdapter = require('./adapters/OpenAICompatibleAdapter');
 // Lazy-loaded so we don't require the Google SDK unless someone uses Gemini
 let GeminiAdapter      = null;
 
@@ -66,6 +67,8 @@ function _buildAdapter(provider, apiKey, endpoint) {
     case 'openai':
     case 'openai-compatible':
       return new OpenAIAdapter({ apiKey, endpoint: endpoint || def.endpoint });
+    case 'self-hosted':
+      return new OpenAICompatibleAdapter({ apiKey, endpoint });
     case 'gemini':
       if (!GeminiAdapter) GeminiAdapter = require('./adapters/GeminiAdapter');
       return new GeminiAdapter({ apiKey, endpoint });
@@ -236,10 +239,12 @@ class AIClientResolver {
     }
 
     if (!apiKey) {
-      throw new Error(
-        `No API key available for provider '${provider}' ` +
-        `(org=${orgId}, user=${userId || 'n/a'}). ` +
-        `Configure one in Admin → AI Settings or set ${def.envKey || '<provider env var>'}.`
+      throw new Error(def.requiresEndpoint
+        ? `No endpoint configured for provider '${provider}' ` +
+          `(org=${orgId}, user=${userId || 'n/a'}). Add one in Admin → AI Settings.`
+        : `No API key available for provider '${provider}' ` +
+          `(org=${orgId}, user=${userId || 'n/a'}). ` +
+          `Configure one in Admin → AI Settings or set ${def.envKey || '<provider env var>'}.`
       );
     }
 
@@ -359,12 +364,20 @@ class AIClientResolver {
     // accounts often can't call the flagship yet, so a liveness check
     // against it returns 404/403 even with a perfectly valid key. The
     // 'fast' tier model is the cheapest and most universally accessible.
+    //
+    // Free-form providers (self-hosted) have no registry models, so the
+    // endpoint's own GET /models supplies one — which also proves the base
+    // URL points at an OpenAI-compatible server.
     const fastModel = def.models?.find(m => m.tier === 'fast')?.id;
-    const useModel  = model || fastModel || def.models?.[0]?.id;
-    if (!useModel) return { ok: false, error: 'No model available to test with' };
+    let   useModel  = model || fastModel || def.models?.[0]?.id;
 
     try {
       const adapter = _buildAdapter(provider, apiKey, endpointUrl);
+      if (!useModel && def.allowFreeFormModel) {
+        const listed = await adapter.listModels();
+        useModel = listed[0]?.id;
+      }
+      if (!useModel) return { ok: false, error: 'No model available to test with' };
       await adapter.ping(useModel);
       return { ok: true, model: useModel };
     } catch (err) {
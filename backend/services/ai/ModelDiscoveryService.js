@@ -11,6 +11,10 @@
  *     regardless of which org's key is used, so we run on the platform
  *     env-var key and store ONE shared result. (Org keys are only consulted
  *     as a fallback if no platform key exists for that provider.)
+ *   - EXCEPT self-hosted providers ('custom'): each org points at its own
+ *     server, so those lists are discovered with the org's own credential
+ *     and stored per org in `org_discovered_models` (discoverOrgModels).
+ *     They only ever appear in that org's merged list.
  *   - Triggered two ways: a weekly/daily cron, and an on-demand refresh
  *     button on the OrgAdmin screen.
  *   - The on-demand path is DEBOUNCED globally: if a run happened within
@@ -30,6 +34,7 @@ const {
 
 const AnthropicAdapter = require('./adapters/AnthropicAdapter');
 const OpenAIAdapter    = require('./adapters/OpenAIAdapter');
+const OpenAICompatibleAdapter = require('./adapters/OpenAICompatibleAdapter');
 let   GeminiAdapter    = null;  // lazy — only if a Gemini key exists
 
 const SETTINGS_KEY = 'ai_model_discovery';
@@ -53,6 +58,8 @@ function _buildAdapter(providerId, apiKey, endpoint) {
     case 'openai':
     case 'openai-compatible':
       return new OpenAIAdapter({ apiKey, endpoint: endpoint || def.endpoint });
+    case 'self-hosted':
+      return new OpenAICompatibleAdapter({ apiKey, endpoint });
     case 'gemini':
       if (!GeminiAdapter) GeminiAdapter = require('./adapters/GeminiAdapter');
       return new GeminiAdapter({ apiKey, endpoint });
@@ -107,6 +114,11 @@ async function _discoveryKey(providerId) {
   return null;
 }
 
+/** Self-hosted providers are discovered per org, never platform-wide. */
+function _isOrgScoped(providerId) {
+  return getProvider(providerId)?.adapter === 'self-hosted';
+}
+
 // ── Settings / state in platform_settings ─────────────────────────────────
 
 class ModelDiscoveryService {
@@ -177,8 +189,8 @@ class ModelDiscoveryService {
   static async runDiscovery(source = 'cron') {
     const providerIds = Object.keys(PROVIDERS).filter(id => {
       const def = PROVIDERS[id];
-      // Skip 'custom' — user-defined endpoints, nothing to enumerate.
-      return def.adapter !== undefined && id !== 'custom';
+      // Self-hosted endpoints belong to one org each — handled below.
+      return def.adapter !== undefined && !_isOrgScoped(id);
     });
 
     const perProvider = {};
@@ -204,16 +216,86 @@ class ModelDiscoveryService {
       }
     }
 
+    // The scheduled run also refreshes every org's self-hosted endpoint.
+    // On-demand runs don't — the admin route refreshes just the caller's org.
+    // Org endpoint failures are reported separately and don't mark the
+    // platform run as failed (an org's server being down isn't our outage).
+    let orgScoped;
+    if (source === 'cron') {
+      orgScoped = { orgs: 0, ok: 0, errors: 0 };
+      const orgIds = await this._orgsWithSelfHostedKeys();
+      for (const orgId of orgIds) {
+        const result = await this.discoverOrgModels(orgId);
+        orgScoped.orgs++;
+        for (const r of Object.values(result)) {
+          if (r.ok) orgScoped.ok++;
+          else if (!r.skipped) orgScoped.errors++;
+        }
+      }
+    }
+
     const state = {
       last_run_at:     new Date().toISOString(),
       last_run_status: errCount === 0 ? 'ok' : (okCount > 0 ? 'partial' : 'error'),
       last_run_source: source,
       providers:       perProvider,
+      ...(orgScoped ? { org_scoped: orgScoped } : {}),
     };
     await this._saveState(state);
     return state;
   }
 
+  /**
+   * Discover models on an org's own self-hosted endpoint(s), using the org's
+   * active org-level credential for each self-hosted provider. Not debounced:
+   * it only calls the org's own server.
+   *
+   * @returns {Promise<object>} { [providerId]: { ok, count } | { ok:false, skipped|error } }
+   */
+  static async discoverOrgModels(orgId) {
+    const CredentialsStore = require('./CredentialsStore');
+    const out = {};
+    for (const providerId of Object.keys(PROVIDERS).filter(_isOrgScoped)) {
+      let cred = null;
+      try {
+        cred = await CredentialsStore.getActive(orgId, null, providerId);
+      } catch (err) {
+        out[providerId] = { ok: false, error: err.message };
+        continue;
+      }
+      if (!cred?.endpointUrl) {
+        out[providerId] = { ok: false, skipped: true, reason: 'no endpoint' };
+        continue;
+      }
+      try {
+        const adapter = _buildAdapter(providerId, cred.apiKey, cred.endpointUrl);
+        const models  = await adapter.listModels();
+        await this._storeOrgModels(orgId, providerId, models);
+        out[providerId] = { ok: true, count: models.length };
+      } catch (err) {
+        out[providerId] = { ok: false, error: err.message || String(err) };
+        console.error(`[ModelDiscovery] org ${orgId} ${providerId} failed:`, err.message);
+      }
+    }
+    return out;
+  }
+
+  static async _orgsWithSelfHostedKeys() {
+    const ids = Object.keys(PROVIDERS).filter(_isOrgScoped);
+    if (!ids.length) return [];
+    const r = await db.query(
+      `SELECT DISTINCT org_id
+         FROM org_credentials
+        WHERE provider = ANY($1::text[])
+          AND purpose  = 'ai'
+          AND user_id IS NULL
+          AND status   = 'active'
+          AND endpoint_url IS NOT NULL`,
+      [ids]
+    );
+    return r.rows.map(row => row.org_id);
+  }
+
   /**
    * Upsert discovered models for one provider. Models seen this run get
    * last_seen_at bumped; brand-new ones get a row with first_seen_at=now.
@@ -231,6 +313,29 @@ class ModelDiscoveryService {
     }
   }
 
+  /**
+   * Replace one org's discovered list for a self-hosted provider: upsert
+   * what the endpoint reports now, drop what it no longer serves.
+   */
+  static async _storeOrgModels(orgId, providerId, models) {
+    for (const m of models) {
+      await db.query(
+        `INSERT INTO org_discovered_models (org_id, provider, model_id, raw, first_seen_at, last_seen_at)
+         VALUES ($1, $2, $3, $4::jsonb, NOW(), NOW())
+         ON CONFLICT (org_id, provider, model_id) DO UPDATE
+           SET last_seen_at = NOW(),
+               raw = EXCLUDED.raw`,
+        [orgId, providerId, m.id, JSON.stringify(m.raw || {})]
+      );
+    }
+    await db.query(
+      `DELETE FROM org_discovered_models
+        WHERE org_id = $1 AND provider = $2
+          AND NOT (model_id = ANY($3::text[]))`,
+      [orgId, providerId, models.map(m => m.id)]
+    );
+  }
+
   // ── On-demand entry point (debounced) ────────────────────────────────────
 
   /**
@@ -284,11 +389,38 @@ class ModelDiscoveryService {
    * Registry always wins on label/tier/cost. Discovered-only models get a
    * generated label and 'balanced' tier so they're immediately selectable
    * (design Option A) — only the cost is unknown until someone backfills it.
+   *
+   * Self-hosted providers list only what the given org's endpoint reported,
+   * marked { source: 'endpoint' }; without an orgId they have no models.
+   * Their cost is never "pending" — it is zero unless the org set a rate.
    */
-  static async getMergedModels(providerId) {
+  static async getMergedModels(providerId, orgId = null) {
     const def = getProvider(providerId);
     if (!def) return [];
 
+    if (_isOrgScoped(providerId)) {
+      if (!orgId) return def.models || [];
+      try {
+        const r = await db.query(
+          `SELECT model_id, first_seen_at FROM org_discovered_models
+            WHERE org_id = $1 AND provider = $2
+            ORDER BY model_id`,
+          [orgId, providerId]
+        );
+        return r.rows.map(row => ({
+          id:    row.model_id,
+          label: row.model_id,
+          tier:  'balanced',
+          source: 'endpoint',
+          pricing_pending: false,
+          first_seen_at: row.first_seen_at,
+        }));
+      } catch (err) {
+        console.error('[ModelDiscovery] org model query failed:', err.message);
+        return def.models || [];
+      }
+    }
+
     const registryModels = def.models || [];
     const registryIds    = new Set(registryModels.map(m => m.id));
 
@@ -327,11 +459,14 @@ class ModelDiscoveryService {
     return merged;
   }
 
-  /** Convenience: merged models for ALL providers, keyed by provider id. */
-  static async getAllMergedModels() {
+  /**
+   * Convenience: merged models for ALL providers, keyed by provider id.
+   * Pass orgId to include that org's self-hosted endpoint models.
+   */
+  static async getAllMergedModels(orgId = null) {
     const out = {};
     for (const providerId of Object.keys(PROVIDERS)) {
-      out[providerId] = await this.getMergedModels(providerId);
+      out[providerId] = await this.getMergedModels(providerId, orgId);
     }
     return out;
   }
@@ -23,11 +23,12 @@ function isTemperatureRejectedError(err) {
 }
 
 class OpenAIAdapter extends BaseAdapter {
-  constructor({ apiKey, endpoint }) {
+  constructor({ apiKey, endpoint, clientOptions }) {
     super({ apiKey, endpoint });
     this.client = new OpenAI({
       apiKey,
       ...(endpoint ? { baseURL: endpoint } : {}),
+      ...(clientOptions || {}),
     });
   }
 
@@ -0,0 +1,46 @@
+/**
+ * services/ai/adapters/OpenAICompatibleAdapter.js
+ *
+ * Self-hosted models behind an OpenAI-compatible API — vLLM, Ollama,
+ * LM Studio, llama.cpp server, or an internal gateway. Used by the 'custom'
+ * provider so orgs that may not send prospect data to a third-party AI
+ * vendor can keep every call on their own infrastructure.
+ *
+ * Same wire format as OpenAIAdapter (completions, GET /models discovery,
+ * zero-filled usage when the server omits it). The differences are about
+ * what local servers do NOT guarantee:
+ *   - No API key. Most local servers ignore Authorization entirely, but the
+ *     OpenAI SDK refuses to construct without one, so a placeholder is sent.
+ *   - The base URL is per-org (org_credentials.endpoint_url) and is the
+ *     only way to reach the server — there is no default.
+ *   - Long first-token latency while a model loads into memory, so the
+ *     timeout is longer and SDK retries are kept low.
+ */
+
+const OpenAIAdapter = require('./OpenAIAdapter');
+
+const KEY_PLACEHOLDER = 'not-needed';
+const TIMEOUT_MS      = 120 * 1000;
+
+/** Trim whitespace and trailing slashes so cache keys and SDK paths agree. */
+function normalizeEndpoint(endpoint) {
+  return String(endpoint || '').trim().replace(/\/+$/, '');
+}
+
+class OpenAICompatibleAdapter extends OpenAIAdapter {
+  constructor({ apiKey, endpoint }) {
+    const baseURL = normalizeEndpoint(endpoint);
+    if (!baseURL) {
+      throw new Error('Self-hosted provider requires an endpoint URL (e.g. http://llm.internal:8000/v1)');
+    }
+    super({
+      apiKey:   apiKey || KEY_PLACEHOLDER,
+      endpoint: baseURL,
+      clientOptions: { timeout: TIMEOUT_MS, maxRetries: 1 },
+    });
+  }
+}
+
+module.exports = OpenAICompatibleAdapter;
+module.exports.KEY_PLACEHOLDER   = KEY_PLACEHOLDER;
+module.exports.normalizeEndpoint = normalizeEndpoint;
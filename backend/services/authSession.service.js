@@ -0,0 +1,110 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// authSession.service.js
+//
+// DROP-IN LOCATION: backend/services/authSession.service.js
+//
+// Session issuing shared by routes/auth.routes.js (register / login / verify /
+// refresh) and the SAML SSO exchange (routes/sso.routes.js), so a session that
+// starts at the IdP is byte-for-byte the session a password login gets.
+//
+//   getOrgPayload(userId, orgId?)
+//                           { org_id, role, org_name, org_slug } of the
+//                           first-joined active org, or of orgId when given
+//                           (role defaults to 'member')
+//   isSuperAdmin(userId)    boolean
+//   signToken(user, org)    7-day (JWT_EXPIRES_IN) JWT { userId, email, org_id, role }
+//   issueSession(user, { orgId }?)
+//                           { user, token } — the POST /api/auth/login body.
+//                           SSO passes the org whose IdP signed the user in
+// ─────────────────────────────────────────────────────────────────────────────
+const jwt = require('jsonwebtoken');
+const db  = require('../config/database');
+
+// ─────────────────────────────────────────────────────────────
+// Look up org membership for a user and return the payload
+// fields needed for the JWT and the /verify response.
+// Returns { org_id, role, org_name, org_slug } — all null
+// (except role which defaults to 'member') if user has no org.
+//
+// We JOIN organizations so the /verify response can carry the
+// human-readable org name. The Chrome extension consumes this
+// to display "Saving as <email> · <org_name>" so reps can tell
+// at a glance which workspace their LinkedIn captures land in.
+// JWT payload still only carries id+role to keep tokens small.
+//
+// orgId pins the lookup to that org (SSO sessions); an inactive
+// or missing membership there gives the all-null payload.
+// ─────────────────────────────────────────────────────────────
+async function getOrgPayload(userId, orgId = null) {
+  const result = await db.query(
+    `SELECT ou.org_id, ou.role, o.name AS org_name, o.slug AS org_slug
+     FROM org_users ou
+     LEFT JOIN organizations o ON o.id = ou.org_id
+     WHERE ou.user_id = $1 AND ou.is_active = TRUE
+       AND ($2::int IS NULL OR ou.org_id = $2)
+     ORDER BY ou.joined_at ASC
+     LIMIT 1`,
+    [userId, orgId]
+  );
+  return {
+    org_id:   result.rows[0]?.org_id   ?? null,
+    role:     result.rows[0]?.role     ?? 'member',
+    org_name: result.rows[0]?.org_name ?? null,
+    org_slug: result.rows[0]?.org_slug ?? null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Check if user has active super admin access.
+// Returns boolean — used to include is_super_admin in login
+// response so the frontend can gate the Platform Admin nav item
+// without an extra round-trip.
+// ─────────────────────────────────────────────────────────────
+async function isSuperAdmin(userId) {
+  const result = await db.query(
+    `SELECT 1 FROM super_admins WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return result.rows.length > 0;
+}
+
+function signToken(user, orgPayload) {
+  return jwt.sign(
+    {
+      userId: user.id,        // kept as userId to match existing convention
+      email:  user.email,
+      org_id: orgPayload.org_id,
+      role:   orgPayload.role,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+}
+
+/**
+ * Build the login response for a users row (needs id, email, first_name,
+ * last_name, role, timezone). `orgId` scopes the session to that org.
+ */
+async function issueSession(user, { orgId = null } = {}) {
+  const orgPayload = await getOrgPayload(user.id, orgId);
+  const superAdmin = await isSuperAdmin(user.id);
+
+  return {
+    user: {
+      id:             user.id,
+      email:          user.email,
+      firstName:      user.first_name,
+      lastName:       user.last_name,
+      role:           user.role,
+      timezone:       user.timezone,
+      org_id:         orgPayload.org_id,
+      org_role:       orgPayload.role,
+      org_name:       orgPayload.org_name,
+      org_slug:       orgPayload.org_slug,
+      is_super_admin: superAdmin,
+    },
+    token: signToken(user, orgPayload),
+  };
+}
+
+module.exports = { getOrgPayload, isSuperAdmin, signToken, issueSession };
@@ -31,6 +31,9 @@
  *   - HubSpot owner names: /crm/v3/owners paged map (id → name).
  *   - HubSpot closed-deal meta now derives from the SAME deals pull as open
  *     deals (one pass, no second pull).
+ *   - Pipedrive: dwell, activity recency and threading read straight off
+ *     the deal record (stage_change_time, last_activity_date,
+ *     participants_count) — one pass, like HubSpot.
  *
  * Design invariants (unchanged from v1):
  *   - Computes WITHOUT hydrating deals into the working tables.
@@ -44,8 +47,11 @@ const { pool } = require('../../config/database');
 
 const { createClient }         = require('../salesforce.client');
 const { createHubSpotAdapter } = require('../crm/adapters/hubspot.adapter');
-const { discoverSalesforce, discoverHubSpot } = require('../crm/schemaDiscovery');
-const { getSalesforceStageHistory, getHubSpotStageHistory } = require('../crm/stageHistory');
+const { createPipedriveAdapter, dealStageKey } = require('../crm/adapters/pipedrive.adapter');
+const { discoverSalesforce, discoverHubSpot, discoverPipedrive } = require('../crm/schemaDiscovery');
+const {
+  getSalesforceStageHistory, getHubSpotStageHistory, getPipedriveStageHistory,
+} = require('../crm/stageHistory');
 const defs = require('./metricDefs');
 
 const DEFAULT_BASELINE_CONFIG = {
@@ -95,6 +101,10 @@ async function _crmHandle(conn) {
     const hs = await createHubSpotAdapter(conn.org_id);
     return { type: 'hubspot', hs };
   }
+  if (conn.crm_type === 'pipedrive') {
+    const pd = await createPipedriveAdapter(conn.org_id);
+    return { type: 'pipedrive', pd };
+  }
   throw new Error(`Unsupported crm_type ${conn.crm_type}`);
 }
 
@@ -168,7 +178,9 @@ async function runDiscovery({ connectionId, orgId, userId }) {
 
     const payload = handle.type === 'salesforce'
       ? await discoverSalesforce(handle.sf, { historyMonths: cfg.history_months })
-      : await discoverHubSpot(handle.hs, { historyMonths: cfg.history_months });
+      : handle.type === 'pipedrive'
+        ? await discoverPipedrive(handle.pd, { historyMonths: cfg.history_months })
+        : await discoverHubSpot(handle.hs, { historyMonths: cfg.history_months });
 
     await pool.query(
       `UPDATE crm_schema_snapshots
@@ -295,7 +307,9 @@ async function _executeCapture(orgId, prep) {
     // ── Stage history ────────────────────────────────────────────────────────
     const { events, truncated } = handle.type === 'salesforce'
       ? await getSalesforceStageHistory(handle.sf, { historyMonths: cfg.history_months })
-      : await getHubSpotStageHistory(handle.hs, { historyMonths: cfg.history_months });
+      : handle.type === 'pipedrive'
+        ? await getPipedriveStageHistory(handle.pd, { historyMonths: cfg.history_months })
+        : await getHubSpotStageHistory(handle.hs, { historyMonths: cfg.history_months });
     if (truncated) warnings.push({ kind: 'history_truncated', detail: 'record ceiling reached; window partially covered' });
 
     // ── Deals + week-2 inputs ────────────────────────────────────────────────
@@ -305,6 +319,12 @@ async function _executeCapture(orgId, prep) {
       await _sfAttachContactRoles(handle.sf, openDeals, warnings);
       const closedDeals = await _sfClosedDealMeta(handle.sf, cfg, warnings);
       closedMeta = new Map(closedDeals.map(d => [d.crmId, d]));
+    } else if (handle.type === 'pipedrive') {
+      const allDeals = await _pdPullDeals(handle.pd, captureAt, cfg, warnings);
+      openDeals = allDeals;               // stall filters closed via resolver
+      closedMeta = new Map(allDeals.map(d => [d.crmId, {
+        crmId: d.crmId, ownerName: d.ownerName, segmentValues: d.segmentValues,
+      }]));
     } else {
       const ownerMap = await _hsOwnerMap(handle.hs, warnings);
       const allDeals = await _hsPullDeals(handle.hs, captureAt, cfg, ownerMap, warnings);
@@ -611,6 +631,56 @@ async function _hsPullDeals(hsAdapter, captureAt, cfg, ownerMap, warnings) {
   return out;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Pipedrive pulls
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pipedrive deals carry everything the week-2 inputs need on the record
+ * itself: stage_change_time, last_activity_date, participants_count,
+ * owner_name. Stage is keyed with the adapter's dealStageKey so it lines up
+ * with stage history and the approved stage_map ('won' / 'lost' / stage id).
+ */
+async function _pdPullDeals(pdAdapter, captureAt, cfg, warnings) {
+  const segFields = _segmentFieldList(cfg).filter(f => f.toLowerCase() !== 'amount');
+  const wantAmountBand = (cfg.segment_axes || []).some(a => a.field === 'Amount');
+  const pdTime = t => (t ? new Date(`${String(t).replace(' ', 'T')}Z`).toISOString() : null);
+  const out = [];
+  let start = 0;
+  try {
+    for (;;) {
+      const data = await pdAdapter._get('/v1/deals', {
+        status: 'all_not_deleted', start, limit: 500,
+      });
+      for (const d of (data.data || [])) {
+        const lastAct = _daysAgo(d.last_activity_date, captureAt);
+        const segmentValues = Object.fromEntries(segFields.map(f => [f, _axisValue(d, f)]));
+        if (wantAmountBand) segmentValues.Amount = _amountBand(d.value);
+        out.push({
+          crmId: String(d.id),
+          name: d.title || null,
+          stage: dealStageKey(d),
+          amount: d.value != null ? Number(d.value) : null,
+          createdAt: pdTime(d.add_time),
+          stageChangedAt: pdTime(d.stage_change_time),
+          ownerName: d.owner_name || null,
+          lastActivityAt: d.last_activity_date || null,
+          segmentValues,
+          contactRoleCount: d.participants_count != null ? Number(d.participants_count) : null,
+          activityLast14: lastAct == null ? null : (lastAct <= 14 ? 1 : 0),
+          activityLast30: lastAct == null ? null : (lastAct <= 30 ? 1 : 0),
+        });
+      }
+      const pg = data.additional_data && data.additional_data.pagination;
+      if (!pg || !pg.more_items_in_collection) break;
+      start = pg.next_start;
+    }
+  } catch (err) {
+    warnings.push({ kind: 'open_deal_pull_degraded', detail: err.message });
+  }
+  return out;
+}
+
 function _amountBand(amount) {
   const a = Number(amount);
   if (!Number.isFinite(a)) return '(blank)';
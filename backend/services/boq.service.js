@@ -59,7 +59,7 @@ async function getConfig(orgId) {
 async function getBill(handoverId, orgId) {
   const { rows: [bill] } = await pool.query(
     `SELECT b.id, b.handover_id, b.name, b.status, b.currency, b.notes,
-            b.created_at, b.updated_at,
+            b.retention_pct, b.created_at, b.updated_at,
             u.first_name || ' ' || u.last_name AS created_by_name
        FROM boqs b
        LEFT JOIN users u ON u.id = b.created_by
@@ -87,6 +87,7 @@ async function getBill(handoverId, orgId) {
     bill: {
       id: bill.id, handoverId: bill.handover_id, name: bill.name,
       status: bill.status, currency: bill.currency, notes: bill.notes,
+      retentionPct: num(bill.retention_pct),
       createdByName: bill.created_by_name, createdAt: bill.created_at,
     },
     items: mapped,
@@ -194,6 +195,12 @@ async function updateBill(boqId, orgId, data = {}) {
     if (!['draft', 'active', 'archived'].includes(data.status)) throw bad('Unknown bill status');
     add('status', data.status);
   }
+  // 2026_143: held back from every progress claim until released.
+  if (data.retentionPct !== undefined) {
+    const r = Number(data.retentionPct === '' || data.retentionPct === null ? 0 : data.retentionPct);
+    if (!Number.isFinite(r) || r < 0 || r > 100) throw bad('Retention must be between 0 and 100%.');
+    add('retention_pct', r);
+  }
   if (!sets.length) return { updated: false };
 
   sets.push('updated_at = now()');
@@ -0,0 +1,620 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// boqBilling.service.js — billing schedule and progress claims on a Bill of
+// Quantities (2026_143)
+//
+// A claim is CUMULATIVE. Every claim works out what is invoiceable from the
+// start of the contract to its period end, then subtracts the previous claim.
+// That is how a reversal or a backdated measurement after a claim went out
+// lands in the next one, without anyone reopening an issued claim.
+//
+// What a line earns by period_end:
+//   • By measure (no milestones on the line): executed value, capped at the
+//     sanctioned amount (planned + variations approved by period_end). Work
+//     beyond sanction is reported, not claimed — raising a variation is how it
+//     becomes invoiceable, and claiming it first is how disputes start.
+//   • By item milestone: bill_pct of the sanctioned amount, once measured
+//     completion reaches trigger_pct. A line with milestones is never also
+//     billed by measure.
+//   • By stage milestone: a fixed amount, once every live play in the stage
+//     was completed by period_end.
+//
+// Retention is taken on the cumulative gross and released as a share of what
+// is still held, so a change to the bill's retention_pct re-bases the whole
+// contract rather than only new work.
+//
+// Variations without a bill line are not billed here, for the same reason
+// boq_item_rollup leaves them out of the bill totals: there is nothing to
+// measure them against. Add the line, then approve the variation onto it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { pool } = require('../config/database');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS  = 86400000;
+
+function bad(message, status = 400, code) {
+  return Object.assign(new Error(message), { status }, code ? { code } : {});
+}
+
+function num(v) { return v === null || v === undefined ? 0 : Number(v); }
+function round2(n) { return Math.round(n * 100) / 100; }
+
+function nextDay(s) {
+  const [y, m, d] = s.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + DAY_MS).toISOString().slice(0, 10);
+}
+
+function todayStr() { return new Date().toISOString().slice(0, 10); }
+
+async function loadBill(boqId, orgId, db = pool, { lock = false } = {}) {
+  const { rows: [b] } = await db.query(
+    `SELECT b.id, b.handover_id, b.name, b.status, b.currency, b.retention_pct,
+            LEAST(b.created_at::date,
+                  (SELECT min(p.entry_date) FROM boq_progress p
+                     JOIN boq_items i ON i.id = p.boq_item_id
+                    WHERE i.boq_id = b.id))::text AS first_day
+       FROM boqs b
+      WHERE b.id = $1 AND b.org_id = $2
+      ${lock ? 'FOR UPDATE OF b' : ''}`,
+    [boqId, orgId]
+  );
+  if (!b) throw bad('Bill not found', 404);
+  return b;
+}
+
+// ── Milestones ───────────────────────────────────────────────────────────────
+
+function mapMilestone(r) {
+  return {
+    id:              r.id,
+    boqId:           r.boq_id,
+    name:            r.name,
+    kind:            r.boq_item_id ? 'item' : 'stage',
+    boqItemId:       r.boq_item_id,
+    itemCode:        r.item_code,
+    itemDescription: r.item_description,
+    stageKey:        r.stage_key,
+    stageName:       r.stage_name,
+    billPct:         r.bill_pct === null ? null : Number(r.bill_pct),
+    triggerPct:      r.trigger_pct === null ? null : Number(r.trigger_pct),
+    amount:          r.amount === null ? null : Number(r.amount),
+    sortOrder:       r.sort_order,
+  };
+}
+
+async function listMilestones(boqId, orgId) {
+  const { rows } = await pool.query(
+    `SELECT m.*, i.item_code, i.description AS item_description, ps.name AS stage_name
+       FROM boq_billing_milestones m
+       JOIN boqs b            ON b.id = m.boq_id
+       LEFT JOIN boq_items i  ON i.id = m.boq_item_id
+       LEFT JOIN project_stages ps
+              ON ps.handover_id = b.handover_id AND ps.key = m.stage_key
+      WHERE m.boq_id = $1 AND m.org_id = $2
+      ORDER BY m.sort_order, m.id`,
+    [boqId, orgId]
+  );
+  return { milestones: rows.map(mapMilestone) };
+}
+
+function pctOrThrow(v, label, { allowZero }) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n > 100 || n < 0 || (!allowZero && n === 0)) {
+    throw bad(`${label} must be ${allowZero ? 'between 0 and 100' : 'more than 0 and at most 100'}.`);
+  }
+  return n;
+}
+
+// The shares on one line must not add to more than the line. Over 100% would
+// claim more than was sanctioned for it.
+async function assertItemShare(boqItemId, billPct, excludeId) {
+  const { rows: [r] } = await pool.query(
+    `SELECT COALESCE(sum(bill_pct), 0) AS used
+       FROM boq_billing_milestones
+      WHERE boq_item_id = $1 AND ($2::int IS NULL OR id <> $2)`,
+    [boqItemId, excludeId || null]
+  );
+  const total = num(r.used) + billPct;
+  if (total > 100.0001) {
+    throw bad(`Milestones on this line would add up to ${round2(total)}%. They cannot exceed 100%.`, 409);
+  }
+}
+
+async function addMilestone(boqId, orgId, userId, data = {}) {
+  const bill = await loadBill(boqId, orgId);
+  if (bill.status === 'archived') throw bad('This bill is archived and cannot be changed.', 409);
+
+  const name = (data.name || '').trim();
+  if (!name) throw bad('A milestone name is required.');
+
+  const { rows: [{ next_order: nextOrder }] } = await pool.query(
+    `SELECT COALESCE(MAX(sort_order), 0) + 10 AS next_order
+       FROM boq_billing_milestones WHERE boq_id = $1`,
+    [boqId]
+  );
+
+  if (data.boqItemId) {
+    const { rows } = await pool.query(
+      `SELECT 1 FROM boq_items WHERE id = $1 AND boq_id = $2 AND org_id = $3`,
+      [data.boqItemId, boqId, orgId]
+    );
+    if (!rows.length) throw bad('That item is not part of this bill.', 400);
+    const billPct    = pctOrThrow(data.billPct, 'The billed share', { allowZero: false });
+    const triggerPct = data.triggerPct === undefined || data.triggerPct === null || data.triggerPct === ''
+      ? 100 : pctOrThrow(data.triggerPct, 'The completion trigger', { allowZero: true });
+    await assertItemShare(data.boqItemId, billPct, null);
+
+    const { rows: [m] } = await pool.query(
+      `INSERT INTO boq_billing_milestones
+         (org_id, boq_id, name, boq_item_id, bill_pct, trigger_pct, sort_order, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+      [orgId, boqId, name, data.boqItemId, billPct, triggerPct, nextOrder, userId]
+    );
+    return { id: m.id };
+  }
+
+  const stageKey = (data.stageKey || '').trim();
+  if (!stageKey) throw bad('Choose a bill line or a project stage for this milestone.');
+  const { rows: stage } = await pool.query(
+    `SELECT 1 FROM project_stages
+      WHERE handover_id = $1 AND org_id = $2 AND key = $3 AND is_active = TRUE`,
+    [bill.handover_id, orgId, stageKey]
+  );
+  if (!stage.length) throw bad('That stage is not on this project.', 400);
+  const amount = Number(data.amount);
+  if (!Number.isFinite(amount) || amount < 0) throw bad('Amount must be zero or more.');
+
+  const { rows: [m] } = await pool.query(
+    `INSERT INTO boq_billing_milestones
+       (org_id, boq_id, name, stage_key, amount, sort_order, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+    [orgId, boqId, name, stageKey, amount, nextOrder, userId]
+  );
+  return { id: m.id };
+}
+
+/**
+ * Edit a milestone's name or figures. What it is tied to is fixed: moving a
+ * milestone from one line to another is a different milestone, and the claim
+ * history keys on the id.
+ *
+ * Changing the figures of a milestone that has already been claimed is
+ * allowed — the next claim picks up the difference, positive or negative.
+ */
+async function updateMilestone(milestoneId, orgId, data = {}) {
+  const { rows: [m] } = await pool.query(
+    `SELECT m.id, m.boq_item_id, b.status AS bill_status
+       FROM boq_billing_milestones m JOIN boqs b ON b.id = m.boq_id
+      WHERE m.id = $1 AND m.org_id = $2`,
+    [milestoneId, orgId]
+  );
+  if (!m) throw bad('Milestone not found', 404);
+  if (m.bill_status === 'archived') throw bad('This bill is archived and cannot be changed.', 409);
+
+  const sets = [], params = [];
+  const add = (col, val) => { params.push(val); sets.push(`${col} = $${params.length}`); };
+
+  if (data.name !== undefined) {
+    const n = (data.name || '').trim();
+    if (!n) throw bad('A milestone name is required.');
+    add('name', n);
+  }
+  if (data.sortOrder !== undefined) {
+    const s = parseInt(data.sortOrder, 10);
+    if (!Number.isFinite(s) || s < 0) throw bad('Sort order must be zero or more.');
+    add('sort_order', s);
+  }
+  if (m.boq_item_id) {
+    if (data.billPct !== undefined) {
+      const p = pctOrThrow(data.billPct, 'The billed share', { allowZero: false });
+      await assertItemShare(m.boq_item_id, p, m.id);
+      add('bill_pct', p);
+    }
+    if (data.triggerPct !== undefined) {
+      add('trigger_pct', pctOrThrow(data.triggerPct, 'The completion trigger', { allowZero: true }));
+    }
+  } else if (data.amount !== undefined) {
+    const a = Number(data.amount);
+    if (!Number.isFinite(a) || a < 0) throw bad('Amount must be zero or more.');
+    add('amount', a);
+  }
+
+  if (!sets.length) return { updated: false };
+  sets.push('updated_at = now()');
+  params.push(milestoneId, orgId);
+  await pool.query(
+    `UPDATE boq_billing_milestones SET ${sets.join(', ')}
+      WHERE id = $${params.length - 1} AND org_id = $${params.length}`,
+    params
+  );
+  return { updated: true };
+}
+
+async function removeMilestone(milestoneId, orgId) {
+  const { rows: [m] } = await pool.query(
+    `SELECT m.id, m.boq_id,
+            EXISTS (
+              SELECT 1 FROM boq_claims c, jsonb_array_elements(c.lines) l
+               WHERE c.boq_id = m.boq_id AND c.status = 'issued'
+                 AND l->>'key' = 'ms:' || m.id
+                 AND (l->>'valueToDate')::numeric <> 0
+            ) AS claimed
+       FROM boq_billing_milestones m
+      WHERE m.id = $1 AND m.org_id = $2`,
+    [milestoneId, orgId]
+  );
+  if (!m) throw bad('Milestone not found', 404);
+  // Removing it would quietly credit the client on the next claim with no
+  // line to explain why. Setting its figure to zero does the same thing
+  // visibly.
+  if (m.claimed) {
+    throw bad('This milestone has been claimed and cannot be deleted. Set its amount or share to zero instead.', 409);
+  }
+  await pool.query(`DELETE FROM boq_billing_milestones WHERE id = $1 AND org_id = $2`, [milestoneId, orgId]);
+  return { removed: true };
+}
+
+// ── Claim calculation ────────────────────────────────────────────────────────
+
+async function latestClaim(boqId, db) {
+  const { rows: [c] } = await db.query(
+    `SELECT id, claim_no, period_end::text AS period_end, gross_to_date,
+            released_to_date, net_to_date, lines
+       FROM boq_claims
+      WHERE boq_id = $1 AND status = 'issued'
+      ORDER BY claim_no DESC LIMIT 1`,
+    [boqId]
+  );
+  return c || null;
+}
+
+async function compute(bill, orgId, data, db) {
+  const periodEnd = String(data.periodEnd || '').slice(0, 10) || todayStr();
+  if (!DATE_RE.test(periodEnd)) throw bad('Period end must be a date (YYYY-MM-DD).');
+  if (periodEnd > todayStr()) throw bad('A claim cannot cover work after today.');
+
+  const releasePct = data.releaseRetentionPct === undefined || data.releaseRetentionPct === ''
+    ? 0 : pctOrThrow(data.releaseRetentionPct, 'Retention release', { allowZero: true });
+
+  const previous = await latestClaim(bill.id, db);
+  if (previous && periodEnd <= previous.period_end) {
+    throw bad(`Claim ${previous.claim_no} already covers up to ${previous.period_end}. ` +
+              'Choose a later period end, or void that claim first.', 409);
+  }
+
+  const [items, milestones, stages, nextNo, pending] = await Promise.all([
+    db.query(
+      `SELECT i.id, i.section, i.item_code, i.description, i.unit,
+              i.planned_qty, i.rate, i.planned_amount,
+              COALESCE(v.qty, 0)    AS variation_qty,
+              COALESCE(v.amount, 0) AS variation_amount,
+              COALESCE(p.qty, 0)    AS executed_qty,
+              COALESCE(p.amount, 0) AS executed_amount
+         FROM boq_items i
+         LEFT JOIN LATERAL (
+           SELECT sum(vr.qty_delta) AS qty, sum(vr.amount_delta) AS amount
+             FROM boq_variations vr
+            WHERE vr.boq_item_id = i.id AND vr.status = 'approved'
+              AND vr.approved_at::date <= $2::date
+         ) v ON TRUE
+         LEFT JOIN LATERAL (
+           SELECT sum(pr.qty_delta) AS qty, sum(pr.amount_delta) AS amount
+             FROM boq_progress pr
+            WHERE pr.boq_item_id = i.id AND pr.entry_date <= $2::date
+         ) p ON TRUE
+        WHERE i.boq_id = $1
+        ORDER BY i.section NULLS LAST, i.sort_order, i.id`,
+      [bill.id, periodEnd]
+    ),
+    db.query(
+      `SELECT * FROM boq_billing_milestones WHERE boq_id = $1 ORDER BY sort_order, id`,
+      [bill.id]
+    ),
+    // Cancelled and skipped plays do not hold a stage open, the same rule
+    // the schedule and plan variance use.
+    db.query(
+      `SELECT ps.key, ps.name,
+              count(pi.id) FILTER (WHERE pi.status NOT IN ('cancelled', 'skipped'))::int AS live,
+              count(pi.id) FILTER (WHERE pi.status = 'completed'
+                                     AND pi.completed_at::date <= $3::date)::int     AS done
+         FROM project_stages ps
+         LEFT JOIN project_play_instances pi
+                ON pi.handover_id = ps.handover_id AND pi.stage_key = ps.key
+        WHERE ps.handover_id = $1 AND ps.org_id = $2
+        GROUP BY ps.key, ps.name`,
+      [bill.handover_id, orgId, periodEnd]
+    ),
+    db.query(`SELECT COALESCE(max(claim_no), 0) + 1 AS n FROM boq_claims WHERE boq_id = $1`, [bill.id]),
+    db.query(
+      `SELECT count(*)::int AS n FROM boq_variations WHERE boq_id = $1 AND status = 'proposed'`,
+      [bill.id]
+    ),
+  ]);
+
+  const prevValue = new Map(((previous && previous.lines) || []).map(l => [l.key, num(l.valueToDate)]));
+  const stageByKey = new Map(stages.rows.map(s => [s.key, s]));
+  const msByItem = new Map();
+  for (const m of milestones.rows) {
+    if (!m.boq_item_id) continue;
+    if (!msByItem.has(m.boq_item_id)) msByItem.set(m.boq_item_id, []);
+    msByItem.get(m.boq_item_id).push(m);
+  }
+
+  const lines = [];
+  const warnings = [];
+  const push = (line) => {
+    const previousValue = prevValue.get(line.key) || 0;
+    prevValue.delete(line.key);
+    lines.push({ ...line, previousValue, thisPeriod: round2(line.valueToDate - previousValue) });
+  };
+
+  for (const r of items.rows) {
+    const sanctionedQty    = num(r.planned_qty) + num(r.variation_qty);
+    const sanctionedAmount = round2(num(r.planned_amount) + num(r.variation_amount));
+    const executedQty      = num(r.executed_qty);
+    const executedAmount   = num(r.executed_amount);
+    const label = r.item_code || r.description;
+    const base = {
+      itemId: r.id, section: r.section, itemCode: r.item_code, unit: r.unit,
+      rate: num(r.rate), sanctionedQty, sanctionedAmount, qtyToDate: executedQty,
+    };
+
+    const ms = msByItem.get(r.id);
+    if (!ms) {
+      const valueToDate = round2(Math.min(Math.max(executedAmount, 0), Math.max(sanctionedAmount, 0)));
+      const overrun = round2(executedAmount - sanctionedAmount);
+      if (overrun > 0) {
+        warnings.push(`${label}: ${overrun.toFixed(2)} of measured work is beyond its sanctioned amount ` +
+                      'and is not claimed until a variation is approved.');
+      }
+      push({ key: `item:${r.id}`, basis: 'measure', description: r.description,
+             ...base, valueToDate, unclaimedOverrun: Math.max(overrun, 0) });
+      continue;
+    }
+
+    const completionPct = sanctionedQty > 0 ? (executedQty / sanctionedQty) * 100 : 0;
+    let share = 0;
+    for (const m of ms) {
+      const trigger = num(m.trigger_pct);
+      const earned  = trigger === 0 || (sanctionedQty > 0 && completionPct >= trigger);
+      share += num(m.bill_pct);
+      push({ key: `ms:${m.id}`, basis: 'item_milestone', milestoneId: m.id,
+             description: `${r.description} — ${m.name}`, ...base,
+             billPct: num(m.bill_pct), triggerPct: trigger,
+             completionPct: round2(completionPct), earned,
+             valueToDate: earned ? round2(sanctionedAmount * num(m.bill_pct) / 100) : 0 });
+    }
+    if (share < 99.9999) {
+      warnings.push(`${label}: milestones cover ${round2(share)}% of the line. ` +
+                    `The other ${round2(100 - share)}% will never be claimed.`);
+    }
+  }
+
+  for (const m of milestones.rows) {
+    if (m.boq_item_id) continue;
+    const s = stageByKey.get(m.stage_key);
+    const earned = Boolean(s && s.live > 0 && s.done === s.live);
+    push({ key: `ms:${m.id}`, basis: 'stage_milestone', milestoneId: m.id,
+           description: m.name, stageKey: m.stage_key, stageName: s ? s.name : m.stage_key,
+           stagePlays: s ? s.live : 0, stagePlaysDone: s ? Math.min(s.done, s.live) : 0,
+           amount: num(m.amount), earned, valueToDate: earned ? num(m.amount) : 0 });
+  }
+
+  // Anything the previous claim billed that no longer produces a line. Kept
+  // so the claim's own lines still add up to its totals.
+  for (const [key, value] of prevValue) {
+    if (!value) continue;
+    const old = previous.lines.find(l => l.key === key);
+    lines.push({ ...old, description: `${old.description} (no longer on the bill)`,
+                 valueToDate: 0, previousValue: value, thisPeriod: round2(-value) });
+  }
+
+  if (pending.rows[0].n > 0) {
+    warnings.push(`${pending.rows[0].n} proposed variation${pending.rows[0].n === 1 ? ' is' : 's are'} ` +
+                  'not included until approved.');
+  }
+
+  const retentionPct     = num(bill.retention_pct);
+  const grossToDate      = round2(lines.reduce((a, l) => a + l.valueToDate, 0));
+  const previousGross    = previous ? num(previous.gross_to_date) : 0;
+  const retentionToDate  = round2(grossToDate * retentionPct / 100);
+  const previousReleased = previous ? num(previous.released_to_date) : 0;
+  const releasable       = Math.max(0, retentionToDate - previousReleased);
+  const releasedNow      = round2(releasable * releasePct / 100);
+  const releasedToDate   = round2(previousReleased + releasedNow);
+  const netToDate        = round2(grossToDate - retentionToDate + releasedToDate);
+  const previousNet      = previous ? num(previous.net_to_date) : 0;
+
+  return {
+    boqId:              bill.id,
+    claimNo:            nextNo.rows[0].n,
+    previousClaimNo:    previous ? previous.claim_no : null,
+    periodStart:        previous ? nextDay(previous.period_end) : (bill.first_day || periodEnd),
+    periodEnd,
+    currency:           bill.currency,
+    retentionPct,
+    releaseRetentionPct: releasePct,
+    grossToDate,
+    previousGross,
+    grossThisPeriod:    round2(grossToDate - previousGross),
+    retentionToDate,
+    releasedToDate,
+    releasedThisPeriod: releasedNow,
+    retentionHeld:      round2(retentionToDate - releasedToDate),
+    netToDate,
+    previousNet,
+    amountDue:          round2(netToDate - previousNet),
+    lines,
+    warnings,
+  };
+}
+
+/** What a claim to periodEnd would say, without issuing it. */
+async function previewClaim(boqId, orgId, data = {}) {
+  const bill = await loadBill(boqId, orgId);
+  return compute(bill, orgId, data, pool);
+}
+
+/**
+ * Issue a claim. Recomputed inside a transaction with the bill row locked, so
+ * two people issuing at once cannot both become claim N. If the caller passes
+ * the amountDue it previewed and the figure has since moved, nothing is
+ * issued — a claim must say what the person issuing it saw.
+ */
+async function issueClaim(handoverId, boqId, orgId, userId, data = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const bill = await loadBill(boqId, orgId, client, { lock: true });
+    if (bill.handover_id !== handoverId) throw bad('Bill not found', 404);
+    if (bill.status === 'archived') throw bad('This bill is archived.', 409);
+    if (bill.status !== 'active') throw bad('Make the bill active before claiming against it.', 409);
+
+    const c = await compute(bill, orgId, data, client);
+    if (data.expectedAmountDue !== undefined &&
+        Math.abs(Number(data.expectedAmountDue) - c.amountDue) > 0.005) {
+      throw bad('The figures have changed since this preview was taken. Refresh and review again.',
+                409, 'STALE_PREVIEW');
+    }
+    if (c.grossThisPeriod === 0 && c.releasedThisPeriod === 0 && c.previousClaimNo !== null) {
+      throw bad(`Nothing has become claimable since claim ${c.previousClaimNo}.`, 409);
+    }
+
+    const { rows: [row] } = await client.query(
+      `INSERT INTO boq_claims
+         (org_id, boq_id, claim_no, period_start, period_end, status, currency,
+          retention_pct, gross_to_date, retention_to_date, released_to_date,
+          net_to_date, previous_net, amount_due, lines, notes, issued_by)
+       VALUES ($1,$2,$3,$4,$5,'issued',$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+       RETURNING id, claim_no`,
+      [orgId, bill.id, c.claimNo, c.periodStart, c.periodEnd, c.currency,
+       c.retentionPct, c.grossToDate, c.retentionToDate, c.releasedToDate,
+       c.netToDate, c.previousNet, c.amountDue, JSON.stringify(c.lines),
+       (data.notes || '').trim() || null, userId]
+    );
+    await client.query('COMMIT');
+    return { id: row.id, claimNo: row.claim_no, amountDue: c.amountDue };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') throw bad('Another claim was issued at the same time. Refresh and try again.', 409);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function mapClaim(r) {
+  return {
+    id:               r.id,
+    boqId:            r.boq_id,
+    claimNo:          r.claim_no,
+    periodStart:      r.period_start,
+    periodEnd:        r.period_end,
+    status:           r.status,
+    currency:         r.currency,
+    retentionPct:     num(r.retention_pct),
+    grossToDate:      num(r.gross_to_date),
+    retentionToDate:  num(r.retention_to_date),
+    releasedToDate:   num(r.released_to_date),
+    retentionHeld:    round2(num(r.retention_to_date) - num(r.released_to_date)),
+    netToDate:        num(r.net_to_date),
+    previousNet:      num(r.previous_net),
+    amountDue:        num(r.amount_due),
+    notes:            r.notes,
+    issuedAt:         r.issued_at,
+    issuedByName:     r.issued_by_name,
+    voidedAt:         r.voided_at,
+    voidedByName:     r.voided_by_name,
+    voidReason:       r.void_reason,
+  };
+}
+
+const CLAIM_SELECT = `
+  SELECT c.id, c.boq_id, c.claim_no, c.period_start::text AS period_start,
+         c.period_end::text AS period_end, c.status, c.currency, c.retention_pct,
+         c.gross_to_date, c.retention_to_date, c.released_to_date, c.net_to_date,
+         c.previous_net, c.amount_due, c.notes, c.issued_at, c.voided_at, c.void_reason,
+         iu.first_name || ' ' || iu.last_name AS issued_by_name,
+         vu.first_name || ' ' || vu.last_name AS voided_by_name`;
+
+async function listClaims(boqId, orgId) {
+  const { rows } = await pool.query(
+    `${CLAIM_SELECT}
+       FROM boq_claims c
+       LEFT JOIN users iu ON iu.id = c.issued_by
+       LEFT JOIN users vu ON vu.id = c.voided_by
+      WHERE c.boq_id = $1 AND c.org_id = $2
+      ORDER BY c.claim_no DESC`,
+    [boqId, orgId]
+  );
+  return { claims: rows.map(mapClaim) };
+}
+
+/** One claim with its lines and the headings the claim document needs. */
+async function getClaim(claimId, orgId) {
+  const { rows: [r] } = await pool.query(
+    `${CLAIM_SELECT}, c.lines,
+            b.name AS bill_name, b.handover_id,
+            COALESCE(h.name, d.name) AS project_name,
+            a.name AS account_name,
+            o.name AS org_name
+       FROM boq_claims c
+       JOIN boqs b            ON b.id = c.boq_id
+       JOIN sales_handovers h ON h.id = b.handover_id
+       LEFT JOIN deals d      ON d.id = h.deal_id
+       LEFT JOIN accounts a   ON a.id = h.account_id
+       JOIN organizations o   ON o.id = c.org_id
+       LEFT JOIN users iu ON iu.id = c.issued_by
+       LEFT JOIN users vu ON vu.id = c.voided_by
+      WHERE c.id = $1 AND c.org_id = $2`,
+    [claimId, orgId]
+  );
+  if (!r) throw bad('Claim not found', 404);
+  return {
+    claim: {
+      ...mapClaim(r),
+      billName:    r.bill_name,
+      handoverId:  r.handover_id,
+      projectName: r.project_name,
+      accountName: r.account_name,
+      orgName:     r.org_name,
+      lines:       r.lines || [],
+    },
+  };
+}
+
+/**
+ * Void the latest issued claim. Only the latest: voiding an earlier one would
+ * leave every claim after it subtracting a figure that no longer stands.
+ */
+async function voidClaim(handoverId, claimId, orgId, userId, reason) {
+  const why = (reason || '').trim();
+  if (!why) throw bad('Say why the claim is being voided.');
+
+  const { rows: [c] } = await pool.query(
+    `SELECT c.id, c.claim_no, c.status, c.boq_id, b.handover_id,
+            (SELECT max(claim_no) FROM boq_claims x
+              WHERE x.boq_id = c.boq_id AND x.status = 'issued') AS latest
+       FROM boq_claims c JOIN boqs b ON b.id = c.boq_id
+      WHERE c.id = $1 AND c.org_id = $2`,
+    [claimId, orgId]
+  );
+  if (!c || c.handover_id !== handoverId) throw bad('Claim not found', 404);
+  if (c.status === 'void') throw bad('That claim is already void.', 409);
+  if (c.claim_no !== c.latest) {
+    throw bad(`Only the latest claim can be voided. Void claim ${c.latest} first.`, 409);
+  }
+
+  await pool.query(
+    `UPDATE boq_claims
+        SET status = 'void', voided_by = $1, voided_at = now(), void_reason = $2
+      WHERE id = $3 AND org_id = $4`,
+    [userId, why, claimId, orgId]
+  );
+  return { id: claimId, status: 'void' };
+}
+
+module.exports = {
+  listMilestones, addMilestone, updateMilestone, removeMilestone,
+  previewClaim, issueClaim, listClaims, getClaim, voidClaim,
+};
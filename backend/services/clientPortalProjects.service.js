@@ -0,0 +1,611 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// clientPortalProjects.service.js — project status in the client portal
+// (2026_144)
+//
+// DROP-IN LOCATION: backend/services/clientPortalProjects.service.js
+//
+// The client's view of the projects being delivered to them, and the three
+// things they can do there: comment on a task, upload a file against it, and
+// approve (or send back) a finished stage.
+//
+// CLIENT-SAFE BY CONSTRUCTION. Everything the portal reads is built here from
+// an explicit list of fields, never by passing an internal payload through:
+//
+//   • Plan vs Actual is read with hideInternalNotes = true — the same posture
+//     an internal_customer acceptor gets — so internal notes are neither
+//     listed nor counted.
+//   • No owner or team names. Notes written by the delivery team are
+//     attributed to "Delivery team"; the dashboard has never exposed who works
+//     on an account and this does not start.
+//   • Individual tasks are shown only where the client has a reason to see
+//     them: their own (client_action) and the gates, which are the project's
+//     milestones. Every other task is counted in its stage's progress only.
+//   • Commitments are 'promise' rows only. 'risk' and 'red_flag' are the
+//     delivery team's own assessment of the account, and closure notes are
+//     written for the team, so neither is shown.
+//
+// WHO SEES WHICH PROJECT. A portal user belongs to a client; the client is
+// linked to an account; a customer project belongs to that account directly
+// or through its deal. Drafts are still being planned and cancelled projects
+// are not being delivered, so both are left out.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { pool } = require('../config/database');
+const planVariance    = require('./planVariance.service');
+const handoverService = require('./handover.service');
+
+const NOTE_MAX_LENGTH = 4000;      // same ceiling as handover.service notes
+const DECISIONS = ['approved', 'changes_requested'];
+
+function bad(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function toDateStr(d) {
+  if (!d) return null;
+  if (typeof d === 'string') return d.slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function daysBetween(a, b) {
+  if (!a || !b) return null;
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+function maxDate(dates) {
+  const ds = dates.filter(Boolean).sort();
+  return ds.length ? ds[ds.length - 1] : null;
+}
+
+// ── Scope ───────────────────────────────────────────────────────────────────
+
+/**
+ * The projects this portal user may see. Also the access check: every other
+ * read and write starts here, so a project id from another account is a 404,
+ * not a 403 that confirms it exists.
+ */
+async function _visibleProjects(portalUser, handoverId = null) {
+  const { portalUserId, clientId, orgId } = portalUser;
+  const { rows } = await pool.query(
+    `SELECT h.id, COALESCE(h.name, d.name) AS name, h.status,
+            h.go_live_date, h.started_at, h.completed_at,
+            h.assigned_service_owner_id, h.created_by
+       FROM client_portal_users cpu
+       JOIN clients c         ON c.id = cpu.client_id
+                             AND c.portal_enabled = true
+                             AND c.account_id IS NOT NULL
+       JOIN sales_handovers h ON h.org_id = c.org_id
+       LEFT JOIN deals d      ON d.id = h.deal_id
+      WHERE cpu.id = $1 AND cpu.client_id = $2 AND cpu.is_active = true
+        AND c.org_id = $3
+        AND h.project_kind = 'customer'
+        AND h.status NOT IN ('draft', 'cancelled')
+        AND COALESCE(h.account_id, d.account_id) = c.account_id
+        AND ($4::int IS NULL OR h.id = $4)
+      ORDER BY (h.status = 'completed') ASC, h.go_live_date ASC NULLS LAST, h.id DESC`,
+    [portalUserId, clientId, orgId, handoverId]
+  );
+  return rows;
+}
+
+async function _requireProject(portalUser, handoverId) {
+  const [project] = await _visibleProjects(portalUser, handoverId);
+  if (!project) throw bad('Project not found', 404);
+  return project;
+}
+
+/** A task the client can see: their own, or a gate. */
+async function _requireVisiblePlay(handoverId, orgId, playInstanceId) {
+  const { rows: [play] } = await pool.query(
+    `SELECT id, title, stage_key, status, client_action, is_gate
+       FROM project_play_instances
+      WHERE id = $1 AND handover_id = $2 AND org_id = $3
+        AND status NOT IN ('cancelled', 'skipped')
+        AND (client_action = true OR is_gate = true)`,
+    [playInstanceId, handoverId, orgId]
+  );
+  if (!play) throw bad('Task not found', 404);
+  return play;
+}
+
+function fmtProject(row) {
+  return {
+    id:          row.id,
+    name:        row.name,
+    status:      row.status,
+    goLiveDate:  toDateStr(row.go_live_date),
+    startedAt:   row.started_at,
+    completedAt: row.completed_at,
+  };
+}
+
+// ── Reads ───────────────────────────────────────────────────────────────────
+
+async function listProjects(portalUser) {
+  const rows = await _visibleProjects(portalUser);
+  if (!rows.length) return { projects: [] };
+
+  // Headline numbers for the list. One query for all projects rather than a
+  // Plan vs Actual call each — the list only needs counts.
+  const { rows: counts } = await pool.query(
+    `SELECT handover_id,
+            count(*)::int                                              AS total,
+            count(*) FILTER (WHERE completed_at IS NOT NULL)::int      AS completed,
+            count(*) FILTER (WHERE client_action AND completed_at IS NULL)::int AS client_open
+       FROM project_play_instances
+      WHERE handover_id = ANY($1::int[]) AND org_id = $2
+        AND status NOT IN ('cancelled', 'skipped')
+      GROUP BY handover_id`,
+    [rows.map(r => r.id), portalUser.orgId]
+  );
+  const byId = new Map(counts.map(c => [c.handover_id, c]));
+
+  return {
+    projects: rows.map(r => {
+      const c = byId.get(r.id) || { total: 0, completed: 0, client_open: 0 };
+      return {
+        ...fmtProject(r),
+        tasks:          c.total,
+        completedTasks: c.completed,
+        awaitingClient: c.client_open,
+      };
+    }),
+  };
+}
+
+/**
+ * Live status for one project: stages with milestone dates against baseline,
+ * the client's own tasks, the evidence they still owe, the promises made to
+ * them, and where each stage's sign-off stands.
+ */
+async function getProjectStatus(portalUser, handoverId) {
+  const project = await _requireProject(portalUser, handoverId);
+  const orgId = portalUser.orgId;
+
+  const [{ summary, plays }, policy, subs, signoffs, commitments] = await Promise.all([
+    planVariance.getProjectVariance(handoverId, orgId, true),
+    handoverService.getEvidencePolicy(handoverId, orgId),
+    pool.query(
+      `SELECT id, project_play_instance_id, file_name, note, status,
+              review_note, reviewed_at, created_at
+         FROM portal_evidence_submissions
+        WHERE handover_id = $1 AND org_id = $2
+        ORDER BY created_at DESC`,
+      [handoverId, orgId]),
+    pool.query(
+      `SELECT DISTINCT ON (s.stage_key)
+              s.stage_key, s.decision, s.comment, s.created_at,
+              cpu.first_name || ' ' || cpu.last_name AS by_name
+         FROM project_stage_signoffs s
+         LEFT JOIN client_portal_users cpu ON cpu.id = s.portal_user_id
+        WHERE s.handover_id = $1 AND s.org_id = $2
+        ORDER BY s.stage_key, s.created_at DESC, s.id DESC`,
+      [handoverId, orgId]),
+    pool.query(
+      `SELECT id, description, due_date, status
+         FROM sales_handover_commitments
+        WHERE handover_id = $1 AND org_id = $2 AND commitment_type = 'promise'
+        ORDER BY (status IN ('met', 'waived', 'breached')) ASC,
+                 due_date ASC NULLS LAST, id ASC`,
+      [handoverId, orgId]),
+  ]);
+
+  const subsByPlay = new Map();
+  for (const s of subs.rows) {
+    if (!subsByPlay.has(s.project_play_instance_id)) subsByPlay.set(s.project_play_instance_id, []);
+    subsByPlay.get(s.project_play_instance_id).push({
+      id:          s.id,
+      fileName:    s.file_name,
+      note:        s.note,
+      status:      s.status,
+      reviewNote:  s.review_note,
+      reviewedAt:  s.reviewed_at,
+      submittedAt: s.created_at,
+    });
+  }
+  const signoffByStage = new Map(signoffs.rows.map(s => [s.stage_key, {
+    decision: s.decision, comment: s.comment, byName: s.by_name || null, at: s.created_at,
+  }]));
+
+  const needsEvidence = p => !!(policy.required || (p.isGate && policy.requiredForGates));
+
+  // The dates the client was told, and the dates that stand today. Only the
+  // baseline and due date are shown — never the revision history, which is
+  // the delivery team's record of how the plan moved.
+  const milestone = p => ({
+    id:              p.id,
+    title:           p.title,
+    isGate:          !!p.isGate,
+    clientAction:    !!p.clientAction,
+    status:          p.status,
+    baselineDueDate: toDateStr(p.baselineDueDate),
+    dueDate:         toDateStr(p.dueDate),
+    completed:       p.completed,
+    completedAt:     p.completedAt,
+    varianceDays:    p.baselineVariance,
+    overdue:         p.overdue,
+    noteCount:       p.noteCount,
+  });
+
+  // Plan vs Actual already orders plays by stage, so grouping in arrival
+  // order keeps the project's stage sequence.
+  const stages = [];
+  const stageIdx = new Map();
+  for (const p of plays) {
+    if (!stageIdx.has(p.stageKey)) {
+      stageIdx.set(p.stageKey, stages.length);
+      stages.push({ key: p.stageKey, name: p.stageName, plays: [] });
+    }
+    stages[stageIdx.get(p.stageKey)].plays.push(p);
+  }
+
+  const stageOut = stages.map(s => {
+    const done = s.plays.filter(p => p.completed).length;
+    const complete = done === s.plays.length;
+    const baselineEnd = maxDate(s.plays.map(p => toDateStr(p.baselineDueDate)));
+    const forecastEnd = complete
+      ? maxDate(s.plays.map(p => toDateStr(p.completedAt)))
+      : maxDate(s.plays.map(p => toDateStr(p.dueDate)));
+    const signoff = signoffByStage.get(s.key) || null;
+    return {
+      key:            s.key,
+      name:           s.name,
+      tasks:          s.plays.length,
+      completedTasks: done,
+      complete,
+      baselineEnd,
+      // Completed stages report when they actually finished; open ones the
+      // latest date currently planned.
+      forecastEnd,
+      varianceDays:   daysBetween(baselineEnd, forecastEnd),
+      milestones:     s.plays.filter(p => p.isGate).map(milestone),
+      signoff,
+      canSignOff:     complete && (!signoff || signoff.decision !== 'approved'),
+    };
+  });
+
+  const clientActions = plays.filter(p => p.clientAction).map(p => {
+    const submissions = subsByPlay.get(p.id) || [];
+    return {
+      ...milestone(p),
+      stageName:        p.stageName,
+      evidenceRequired: needsEvidence(p),
+      evidenceCount:    p.evidenceCount,
+      submissions,
+    };
+  });
+
+  // What they still owe: their own open tasks whose evidence policy applies,
+  // with nothing accepted and nothing waiting for review.
+  const evidenceNeeded = clientActions
+    .filter(a => !a.completed && a.evidenceRequired && a.evidenceCount === 0
+              && !a.submissions.some(s => s.status === 'pending'))
+    .map(a => ({ id: a.id, title: a.title, dueDate: a.dueDate }));
+
+  return {
+    project: fmtProject(project),
+    summary: {
+      totalTasks:        summary.totalPlays,
+      completedTasks:    summary.completed,
+      onTimePct:         summary.onTimePct,
+      avgSlipDays:       summary.avgSlipDays,
+      openOverdue:       summary.openOverdue,
+      // Non-zero means some baselines were back-filled and understate slip;
+      // the client is told the same caveat the team is.
+      inferredBaselines: summary.inferredBaselines,
+    },
+    stages: stageOut,
+    clientActions,
+    evidenceNeeded,
+    commitments: commitments.rows.map(c => {
+      const closed = ['met', 'waived', 'breached'].includes(c.status);
+      return {
+        id:          c.id,
+        description: c.description,
+        dueDate:     toDateStr(c.due_date),
+        status:      c.status,
+        isOverdue:   !closed && c.due_date != null
+                     && toDateStr(c.due_date) < toDateStr(new Date()),
+      };
+    }),
+  };
+}
+
+// ── Comments ────────────────────────────────────────────────────────────────
+
+async function listComments(portalUser, handoverId, playInstanceId) {
+  await _requireProject(portalUser, handoverId);
+  await _requireVisiblePlay(handoverId, portalUser.orgId, playInstanceId);
+
+  const { rows } = await pool.query(
+    `SELECT n.id, n.body, n.note_type, n.created_at, n.author_portal_user_id,
+            cpu.first_name || ' ' || cpu.last_name AS portal_name
+       FROM play_notes n
+       LEFT JOIN client_portal_users cpu ON cpu.id = n.author_portal_user_id
+      WHERE n.project_play_instance_id = $1 AND n.org_id = $2
+        AND n.deleted_at IS NULL
+        AND n.is_internal = FALSE
+      ORDER BY n.created_at ASC, n.id ASC`,
+    [playInstanceId, portalUser.orgId]
+  );
+
+  return {
+    comments: rows.map(r => ({
+      id:         r.id,
+      body:       r.body,
+      noteType:   r.note_type,
+      createdAt:  r.created_at,
+      fromClient: r.author_portal_user_id != null,
+      authorName: r.author_portal_user_id != null
+        ? (r.portal_name || 'Client')
+        : 'Delivery team',
+      isMine:     r.author_portal_user_id === portalUser.portalUserId,
+    })),
+  };
+}
+
+/**
+ * A comment from the portal is an ordinary play_notes row, never internal, so
+ * the delivery team reads it in the task thread they already use.
+ */
+async function addComment(portalUser, handoverId, playInstanceId, data = {}) {
+  await _requireProject(portalUser, handoverId);
+  await _requireVisiblePlay(handoverId, portalUser.orgId, playInstanceId);
+
+  const body = String(data.body ?? '').trim();
+  if (!body) throw bad('A comment cannot be empty');
+  if (body.length > NOTE_MAX_LENGTH) {
+    throw bad(`A comment cannot be longer than ${NOTE_MAX_LENGTH} characters`);
+  }
+
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO play_notes
+       (org_id, project_play_instance_id, author_id, author_portal_user_id,
+        body, note_type, is_internal)
+     VALUES ($1, $2, NULL, $3, $4, 'comment', FALSE)
+     RETURNING id, created_at`,
+    [portalUser.orgId, playInstanceId, portalUser.portalUserId, body]
+  );
+  return { commentId: row.id, createdAt: row.created_at };
+}
+
+// ── Evidence ────────────────────────────────────────────────────────────────
+
+/**
+ * A file from the client against one of their tasks. Stored in the project's
+ * Drive/OneDrive folder and held as a submission until someone on the
+ * delivery team accepts it as evidence — the client cannot accept their own.
+ */
+async function submitEvidence(portalUser, handoverId, playInstanceId, file = {}) {
+  await _requireProject(portalUser, handoverId);
+  const play = await _requireVisiblePlay(handoverId, portalUser.orgId, playInstanceId);
+  if (!play.client_action) {
+    throw bad('Files can only be sent against your own tasks', 403);
+  }
+
+  const projectFiles = require('./projectFiles.service');
+  const { file: stored } = await projectFiles.uploadPortalFile(handoverId, portalUser.orgId, {
+    fileName:    file.fileName,
+    mimeType:    file.mimeType,
+    buffer:      file.buffer,
+    portalEmail: portalUser.email,
+  });
+
+  const note = String(file.note ?? '').trim().slice(0, NOTE_MAX_LENGTH) || null;
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO portal_evidence_submissions
+       (org_id, handover_id, project_play_instance_id, portal_user_id,
+        storage_file_id, file_name, mime_type, file_size, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, status, created_at`,
+    [portalUser.orgId, handoverId, playInstanceId, portalUser.portalUserId,
+     stored.id, stored.file_name, file.mimeType || null,
+     file.buffer ? file.buffer.length : null, note]
+  );
+  return { submissionId: row.id, status: row.status, submittedAt: row.created_at };
+}
+
+// ── Stage sign-off ──────────────────────────────────────────────────────────
+
+/**
+ * Approve a finished stage or send it back. Only once every live task in the
+ * stage is complete: approving work still in progress signs off on something
+ * nobody has seen yet.
+ */
+async function signOffStage(portalUser, handoverId, stageKey, data = {}) {
+  await _requireProject(portalUser, handoverId);
+  const orgId = portalUser.orgId;
+
+  const decision = String(data.decision || '');
+  if (!DECISIONS.includes(decision)) {
+    throw bad(`decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+  const comment = String(data.comment ?? '').trim() || null;
+  if (decision === 'changes_requested' && !comment) {
+    throw bad('Say what needs to change');
+  }
+  if (comment && comment.length > NOTE_MAX_LENGTH) {
+    throw bad(`A comment cannot be longer than ${NOTE_MAX_LENGTH} characters`);
+  }
+
+  const { rows: [st] } = await pool.query(
+    `SELECT pst.key,
+            count(p.id)::int                                       AS total,
+            count(p.id) FILTER (WHERE p.completed_at IS NULL)::int AS open
+       FROM project_stages pst
+       LEFT JOIN project_play_instances p
+              ON p.handover_id = pst.handover_id AND p.stage_key = pst.key
+             AND p.status NOT IN ('cancelled', 'skipped')
+      WHERE pst.handover_id = $1 AND pst.org_id = $2 AND pst.key = $3
+        AND pst.is_active = TRUE
+      GROUP BY pst.key`,
+    [handoverId, orgId, stageKey]
+  );
+  if (!st || !st.total) throw bad('Stage not found', 404);
+  if (st.open > 0) {
+    throw bad(`This stage still has ${st.open} open task${st.open === 1 ? '' : 's'}. It can be signed off once they are complete.`, 409);
+  }
+
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO project_stage_signoffs
+       (org_id, handover_id, stage_key, portal_user_id, decision, comment)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, decision, comment, created_at`,
+    [orgId, handoverId, stageKey, portalUser.portalUserId, decision, comment]
+  );
+  return { signoff: { id: row.id, decision: row.decision, comment: row.comment, at: row.created_at } };
+}
+
+// ── Internal side ───────────────────────────────────────────────────────────
+
+/**
+ * What the client has done in the portal on one project: submissions to
+ * review, stage decisions, and their recent comments. For the delivery team.
+ */
+async function getPortalActivity(handoverId, orgId, userId) {
+  if (!(await handoverService.canNoteOnProject(handoverId, orgId, userId))) {
+    throw bad('You do not have access to this project', 403);
+  }
+
+  const [access, subs, signoffs, comments] = await Promise.all([
+    pool.query(
+      `SELECT count(DISTINCT cpu.id)::int AS users
+         FROM sales_handovers h
+         LEFT JOIN deals d ON d.id = h.deal_id
+         JOIN clients c ON c.org_id = h.org_id AND c.portal_enabled = true
+                       AND c.account_id = COALESCE(h.account_id, d.account_id)
+         JOIN client_portal_users cpu ON cpu.client_id = c.id AND cpu.is_active = true
+        WHERE h.id = $1 AND h.org_id = $2 AND h.project_kind = 'customer'`,
+      [handoverId, orgId]),
+    pool.query(
+      `SELECT s.*, p.title AS play_title, sf.web_url,
+              cpu.first_name || ' ' || cpu.last_name AS portal_name, cpu.email AS portal_email,
+              ru.first_name  || ' ' || ru.last_name  AS reviewed_by_name
+         FROM portal_evidence_submissions s
+         JOIN project_play_instances p   ON p.id = s.project_play_instance_id
+         LEFT JOIN storage_files sf      ON sf.id = s.storage_file_id
+         LEFT JOIN client_portal_users cpu ON cpu.id = s.portal_user_id
+         LEFT JOIN users ru              ON ru.id = s.reviewed_by
+        WHERE s.handover_id = $1 AND s.org_id = $2
+        ORDER BY (s.status = 'pending') DESC, s.created_at DESC`,
+      [handoverId, orgId]),
+    pool.query(
+      `SELECT s.id, s.stage_key, s.decision, s.comment, s.created_at,
+              COALESCE(pst.name, s.stage_key) AS stage_name,
+              cpu.first_name || ' ' || cpu.last_name AS portal_name
+         FROM project_stage_signoffs s
+         LEFT JOIN project_stages pst ON pst.handover_id = s.handover_id AND pst.key = s.stage_key
+         LEFT JOIN client_portal_users cpu ON cpu.id = s.portal_user_id
+        WHERE s.handover_id = $1 AND s.org_id = $2
+        ORDER BY s.created_at DESC, s.id DESC`,
+      [handoverId, orgId]),
+    pool.query(
+      `SELECT n.id, n.body, n.created_at, p.id AS play_id, p.title AS play_title,
+              cpu.first_name || ' ' || cpu.last_name AS portal_name
+         FROM play_notes n
+         JOIN project_play_instances p ON p.id = n.project_play_instance_id
+         LEFT JOIN client_portal_users cpu ON cpu.id = n.author_portal_user_id
+        WHERE p.handover_id = $1 AND n.org_id = $2
+          AND n.author_portal_user_id IS NOT NULL
+          AND n.deleted_at IS NULL
+        ORDER BY n.created_at DESC
+        LIMIT 50`,
+      [handoverId, orgId]),
+  ]);
+
+  return {
+    portalUsers: access.rows[0]?.users || 0,
+    submissions: subs.rows.map(s => ({
+      id:             s.id,
+      playId:         s.project_play_instance_id,
+      playTitle:      s.play_title,
+      fileName:       s.file_name,
+      fileSize:       s.file_size != null ? Number(s.file_size) : null,
+      webUrl:         s.web_url || null,
+      fileLive:       s.storage_file_id != null,
+      note:           s.note,
+      status:         s.status,
+      from:           s.portal_name || s.portal_email || null,
+      submittedAt:    s.created_at,
+      reviewedByName: s.reviewed_by_name || null,
+      reviewedAt:     s.reviewed_at,
+      reviewNote:     s.review_note,
+      evidenceId:     s.evidence_id,
+    })),
+    signoffs: signoffs.rows.map(s => ({
+      id:        s.id,
+      stageKey:  s.stage_key,
+      stageName: s.stage_name,
+      decision:  s.decision,
+      comment:   s.comment,
+      byName:    s.portal_name || null,
+      at:        s.created_at,
+    })),
+    comments: comments.rows.map(c => ({
+      id:        c.id,
+      body:      c.body,
+      playId:    c.play_id,
+      playTitle: c.play_title,
+      byName:    c.portal_name || null,
+      at:        c.created_at,
+    })),
+  };
+}
+
+/**
+ * Accept a client submission as evidence, or reject it with a reason the
+ * client will see. Accepting writes an ordinary play_evidence row through
+ * handover.service, attributed to the reviewer — the person who accepted it.
+ *
+ * The status flips first, guarded on 'pending', so two reviewers clicking at
+ * once cannot both accept and leave two evidence rows behind.
+ */
+async function reviewSubmission(handoverId, orgId, submissionId, userId, data = {}) {
+  if (!(await handoverService.canNoteOnProject(handoverId, orgId, userId))) {
+    throw bad('You do not have access to this project', 403);
+  }
+  const accept = data.decision === 'accept';
+  if (!accept && data.decision !== 'reject') throw bad('decision must be accept or reject');
+  const reviewNote = String(data.note ?? '').trim() || null;
+  if (!accept && !reviewNote) {
+    throw bad('Say why it was rejected — the client sees this and needs to know what to send instead');
+  }
+
+  const { rows: [sub] } = await pool.query(
+    `UPDATE portal_evidence_submissions
+        SET status = $4, reviewed_by = $3, reviewed_at = now(), review_note = $5
+      WHERE id = $1 AND handover_id = $2 AND org_id = $6 AND status = 'pending'
+      RETURNING id, project_play_instance_id, storage_file_id, note`,
+    [submissionId, handoverId, userId, accept ? 'accepted' : 'rejected', reviewNote, orgId]
+  );
+  if (!sub) throw bad('That submission is not waiting for review', 409);
+  if (!accept) return { submissionId: sub.id, status: 'rejected' };
+
+  try {
+    if (!sub.storage_file_id) throw bad('The file is no longer in storage; ask the client to send it again.', 409);
+    const result = await handoverService.addPlayEvidence(
+      handoverId, orgId, sub.project_play_instance_id, userId,
+      { storageFileId: sub.storage_file_id, note: reviewNote || sub.note });
+    await pool.query(
+      `UPDATE portal_evidence_submissions SET evidence_id = $2 WHERE id = $1`,
+      [sub.id, result.evidenceId]);
+    return { submissionId: sub.id, status: 'accepted', ...result };
+  } catch (err) {
+    // Nothing was accepted, so the submission goes back in the queue rather
+    // than claiming an outcome that did not happen.
+    await pool.query(
+      `UPDATE portal_evidence_submissions
+          SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL, review_note = NULL
+        WHERE id = $1`,
+      [sub.id]);
+    throw err;
+  }
+}
+
+module.exports = {
+  listProjects, getProjectStatus,
+  listComments, addComment,
+  submitEvidence, signOffStage,
+  getPortalActivity, reviewSubmission,
+};
@@ -88,6 +88,20 @@ async function notifyResubmittedToLegal(orgId, contractId, title, assigneeId, te
   }
 }
 
+// Clause flags on an incoming version (2026_149) — assignee, else the legal team
+async function notifyNonStandardClauses(orgId, contractId, title, assigneeId, teamIds, summary) {
+  const parts = [
+    summary.forbidden.length   && `${summary.forbidden.length} forbidden`,
+    summary.nonStandard.length && `${summary.nonStandard.length} non-standard`,
+    summary.missing.length     && `${summary.missing.length} missing`,
+  ].filter(Boolean).join(', ');
+  const body = `v${summary.versionLabel} of "${title}" has clauses to review: ${parts}`;
+  const ids = assigneeId ? [assigneeId] : teamIds;
+  await Promise.all(ids.map(uid =>
+    insert(uid, orgId, 'clm_clause_flags', 'Non-standard clauses in new version', body, contractId)
+  ));
+}
+
 // Approval needed
 async function notifyApprovalNeeded(orgId, contractId, title, approverIds) {
   await Promise.all(approverIds.map(uid =>
@@ -154,6 +168,7 @@ async function notifyUnsignedContracts() {
 }
 
 // ── Cron: expiring contracts (30/7/1 days before expiry_date) ─────────
+// Auto-renewing contracts roll over rather than expire — see renewals below.
 async function notifyExpiringContracts() {
   let count = 0;
   for (const days of [30, 7, 1]) {
@@ -162,6 +177,7 @@ async function notifyExpiringContracts() {
         `SELECT id, title, owner_id, org_id FROM contracts
          WHERE status='active' AND expiry_date IS NOT NULL
            AND DATE_PART('day', expiry_date - CURRENT_DATE) = $1
+           AND NOT (auto_renew AND non_renewal_notice_at IS NULL)
            AND deleted_at IS NULL`, [days]
       );
       for (const row of r.rows) {
@@ -175,11 +191,33 @@ async function notifyExpiringContracts() {
   return count;
 }
 
+// ── Renewals (2026_150) — account owner + contract owner ──────────────
+async function notifyRenewalOpened(orgId, contractId, title, userIds, { dealName, endDate, autoRenew, noticeDeadline }) {
+  const terms = autoRenew
+    ? ` It auto-renews unless the customer gives notice${noticeDeadline ? ` by ${noticeDeadline}` : ''}.`
+    : noticeDeadline ? ` The renewal needs agreeing by ${noticeDeadline}.` : '';
+  await Promise.all(userIds.map(uid =>
+    insert(uid, orgId, 'clm_renewal_opened', 'Renewal deal created',
+      `"${title}" ends on ${endDate} — renewal deal "${dealName}" is in your pipeline.${terms}`, contractId)
+  ));
+}
+
+async function notifyRenewalNoticeDue(orgId, contractId, title, userIds, { days, deadline, autoRenew }) {
+  const when = days === 0 ? 'today' : `in ${days} day${days > 1 ? 's' : ''}`;
+  const body = autoRenew
+    ? `"${title}" auto-renews unless the customer gives notice by ${deadline} (${when})`
+    : `"${title}" renewal needs agreeing by ${deadline} (${when}) to stay inside the notice period`;
+  await Promise.all(userIds.map(uid =>
+    insert(uid, orgId, 'clm_renewal_notice_due', `Renewal notice deadline ${when}`, body, contractId)
+  ));
+}
+
 module.exports = {
   notifyLegalQueueSubmission, notifyLegalAssigneeSubmission,
   notifyLegalPickedUp, notifyLegalReassigned, notifyReturnedToSales,
-  notifyResubmittedToLegal, notifyApprovalNeeded, notifyApprovalRejected,
+  notifyResubmittedToLegal, notifyNonStandardClauses, notifyApprovalNeeded, notifyApprovalRejected,
   notifyApprovalCompleted, notifyNextApprovers, notifyAllSigned,
   notifyPendingBooking,
   notifyUnsignedContracts, notifyExpiringContracts,
+  notifyRenewalOpened, notifyRenewalNoticeDue,
 };
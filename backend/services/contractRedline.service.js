@@ -0,0 +1,517 @@
+/**
+ * contractRedline.service.js
+ *
+ * DROP-IN LOCATION: backend/services/contractRedline.service.js
+ *
+ * What changed between two contract versions, and whether the wording in a
+ * version is wording legal has agreed to (2026_149).
+ *
+ *   extractVersionText(orgId, versionId, { userId?, notify? })
+ *     Reads the version's file and stores its plain text, then checks it
+ *     against the clause library. Where the file is read from:
+ *       our generated PDFs        generated_documents, by the token in the URL
+ *       Google Drive links        the uploader's Drive connection
+ *       OneDrive / SharePoint     the uploader's Microsoft connection
+ *       any other https link      fetched directly (must not need a login;
+ *                                 public hosts only, utils/publicUrl.js)
+ *     A failure is stored with its reason; setManualText() is the way out.
+ *     Called fire-and-forget after every upload, so `notify` tells legal when
+ *     an incoming version raises clause flags.
+ *
+ *   compareVersions(orgId, contractId, fromVersionId, toVersionId)
+ *     Side-by-side rows (documents/textDiff.compareTexts) plus the "to"
+ *     version's clause flags.
+ *
+ *   Clause library — listClauses / createClause / updateClause / deleteClause
+ *     A clause is a topic plus the phrases that find it in a document; its
+ *     variants are approved, fallback or forbidden wordings. Variants are
+ *     saved wholesale with their clause.
+ *
+ * CLAUSE CHECK
+ *   For each clause that applies to the contract type, paragraphs containing
+ *   one of its match terms are candidates (with no terms, every paragraph that
+ *   shares enough words with a variant). Each candidate — alone, and with the
+ *   one or two paragraphs after it, since a heading is often its own
+ *   paragraph — is scored against every variant (textDiff.similarity). Then:
+ *     forbidden     a forbidden variant scores ≥ FORBIDDEN_MATCH and at least
+ *                   as well as any acceptable one
+ *     approved /    an approved / fallback variant scores ≥ VARIANT_MATCH
+ *     fallback
+ *     non_standard  the clause is there but matches no variant closely
+ *     missing       is_required and nothing was found
+ *   forbidden, non_standard and missing are flags; the rest is information.
+ */
+
+const { pool, withOrgTransaction } = require('../config/database');
+const { splitParagraphs, normalize, similarity, compareTexts } = require('./documents/textDiff');
+const { extractTextFromBuffer, MAX_FILE_SIZE_BYTES } = require('./contentExtractor');
+const StorageProviderFactory = require('./StorageProviderFactory');
+const DocumentGeneration = require('./documentGeneration.service');
+const contractService = require('./contractService');
+const NS = require('./contractNotificationService');
+const { getPublic } = require('../utils/publicUrl');
+
+const VARIANT_MATCH   = 0.9;
+const FORBIDDEN_MATCH = 0.8;
+const DISCOVER_MATCH  = 0.5;    // clauses without match terms: close enough to count as found
+const MAX_TEXT_CHARS  = 500000;
+const EXCERPT_CHARS   = 400;
+
+const POSITIONS     = ['approved', 'fallback', 'forbidden'];
+const FLAG_STATUSES = ['forbidden', 'non_standard', 'missing'];
+const CONTRACT_TYPES = ['nda', 'msa', 'sow', 'order_form', 'amendment', 'custom'];
+const TEXT_READY    = ['extracted', 'manual'];
+
+function _fail(msg, status) {
+  return Object.assign(new Error(msg), { status });
+}
+
+// ── Reading a version's file ─────────────────────────────────────────────────
+
+function _driveFileId(url) {
+  if (!/^https:\/\/(drive|docs)\.google\.com\//i.test(url)) return null;
+  const m = url.match(/\/d\/([A-Za-z0-9_-]{10,})/) || url.match(/[?&]id=([A-Za-z0-9_-]{10,})/);
+  return m ? m[1] : null;
+}
+
+function _isMicrosoftLink(url) {
+  return /^https:\/\/([a-z0-9-]+\.)*(1drv\.ms|onedrive\.live\.com|sharepoint\.com)\//i.test(url);
+}
+
+const GENERATED_RE = /\/api\/documents\/file\/([0-9a-f]{64})$/;
+
+// A reason written for the user; anything else is replaced by a generic one.
+const _unreadable = (message) => Object.assign(new Error(message), { expose: true });
+
+async function _readFile(url, userId) {
+  const own = url.match(GENERATED_RE);
+  if (own) {
+    const file = await DocumentGeneration.getFileByToken(own[1]);
+    if (!file) throw _unreadable('The generated document no longer exists');
+    return { source: 'generated', text: await extractTextFromBuffer(file.content, 'application/pdf', file.fileName) };
+  }
+
+  const driveId = _driveFileId(url);
+  if (driveId) {
+    const r = await StorageProviderFactory.getProvider('googledrive').extractFileContent(userId, driveId);
+    return { source: 'googledrive', text: r.rawText };
+  }
+
+  if (_isMicrosoftLink(url)) {
+    const r = await StorageProviderFactory.getProvider('onedrive').extractSharedLinkContent(userId, url);
+    return { source: 'onedrive', text: r.rawText };
+  }
+
+  if (!/^https:\/\//i.test(url)) throw _unreadable('Only https links can be read');
+  // Any member can attach any link, and the text comes back to them: only
+  // the public internet is fetched (utils/publicUrl.js), redirects included.
+  const r = await getPublic(url, {
+    responseType: 'arraybuffer', timeout: 15000,
+    maxContentLength: MAX_FILE_SIZE_BYTES,
+  });
+  const mime = String(r.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (mime === 'text/html') {
+    throw _unreadable('The link opens a web page, not the file — it probably needs a login');
+  }
+  return { source: 'url', text: await extractTextFromBuffer(Buffer.from(r.data), mime, url) };
+}
+
+/**
+ * Provider errors arrive as axios errors; keep the part a person can act on.
+ * Raw network errors are never passed on — for a fetched link they would say
+ * what answers where behind our firewall.
+ */
+function _reason(err) {
+  if (err.expose) return err.message;
+  if (err.code === 'PRIVATE_ADDRESS') return 'Links to private or internal addresses cannot be read';
+  const status = err.response?.status;
+  if (status === 401 || status === 403) return 'No access to the file with the uploader\'s connection';
+  if (status === 404) return 'File not found — it may have been moved or unshared';
+  if (/No .*token|not connected|reconnect/i.test(err.message)) return 'The uploader\'s storage connection is not set up';
+  return 'Could not read the file — check the link, or paste the text in';
+}
+
+// ── Stored text ──────────────────────────────────────────────────────────────
+
+async function _version(orgId, versionId) {
+  const { rows: [v] } = await pool.query(
+    `SELECT cdv.*, c.contract_type, c.title AS contract_title,
+            c.legal_assignee_id, c.status AS contract_status
+       FROM contract_document_versions cdv
+       JOIN contracts c ON c.id = cdv.contract_id AND c.deleted_at IS NULL
+      WHERE cdv.id = $1 AND cdv.org_id = $2`,
+    [versionId, orgId]);
+  if (!v) throw _fail('Version not found', 404);
+  return v;
+}
+
+async function _saveText(orgId, versionId, { status, source, content, error, userId }) {
+  await pool.query(
+    `INSERT INTO contract_version_texts
+       (version_id, org_id, status, source, content, char_count, error, extracted_by, extracted_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $5::text IS NULL THEN NULL ELSE NOW() END, NOW())
+     ON CONFLICT (version_id) DO UPDATE SET
+       status = EXCLUDED.status, source = EXCLUDED.source, content = EXCLUDED.content,
+       char_count = EXCLUDED.char_count, error = EXCLUDED.error,
+       extracted_by = EXCLUDED.extracted_by, extracted_at = EXCLUDED.extracted_at,
+       updated_at = NOW()`,
+    [versionId, orgId, status, source || null, content ?? null,
+     content == null ? null : content.length, error || null, userId || null]);
+}
+
+function _cleanText(text) {
+  return String(text || '').replace(/\u0000/g, '').trim().slice(0, MAX_TEXT_CHARS);
+}
+
+async function getVersionText(orgId, versionId) {
+  await _version(orgId, versionId);
+  const { rows: [t] } = await pool.query(
+    `SELECT t.status, t.source, t.content, t.char_count, t.error, t.extracted_at,
+            u.first_name, u.last_name
+       FROM contract_version_texts t
+       LEFT JOIN users u ON u.id = t.extracted_by
+      WHERE t.version_id = $1 AND t.org_id = $2`,
+    [versionId, orgId]);
+  if (!t) return { status: null, content: null };
+  return {
+    status: t.status, source: t.source, content: t.content, charCount: t.char_count,
+    error: t.error, extractedAt: t.extracted_at,
+    extractedBy: t.first_name ? `${t.first_name} ${t.last_name}` : null,
+  };
+}
+
+async function extractVersionText(orgId, versionId, { userId = null, notify = false } = {}) {
+  const v = await _version(orgId, versionId);
+  // A retry that fails must not wipe text someone already has (often pasted).
+  const { rows: [prev] } = await pool.query(
+    `SELECT status FROM contract_version_texts WHERE version_id = $1`, [versionId]);
+  const hasText = TEXT_READY.includes(prev?.status);
+  if (!hasText) await _saveText(orgId, versionId, { status: 'pending', userId });
+
+  const failed = async (error, source) => {
+    if (!hasText) await _saveText(orgId, versionId, { status: 'failed', source, error, userId });
+    return { status: 'failed', error, keptPrevious: hasText, flags: null };
+  };
+
+  let read;
+  try {
+    read = await _readFile(v.document_url, v.uploaded_by);
+  } catch (err) {
+    console.warn(`[redline] text extraction failed for version ${versionId}:`, err.message);
+    return failed(_reason(err));
+  }
+
+  const content = _cleanText(read.text);
+  if (!content) return failed('The file has no readable text — a scanned PDF needs the text pasted in', read.source);
+  await _saveText(orgId, versionId, { status: 'extracted', source: read.source, content, userId });
+
+  const flags = await checkVersion(orgId, versionId, { notify: notify && read.source !== 'generated', userId });
+  return { status: 'extracted', source: read.source, charCount: content.length, flags };
+}
+
+async function setManualText(orgId, versionId, userId, text) {
+  await _version(orgId, versionId);
+  const content = _cleanText(text);
+  if (!content) throw _fail('Paste the document text', 400);
+  await _saveText(orgId, versionId, { status: 'manual', source: 'manual', content, userId });
+  const flags = await checkVersion(orgId, versionId, { notify: true, userId });
+  return { status: 'manual', charCount: content.length, flags };
+}
+
+// ── Clause check ─────────────────────────────────────────────────────────────
+
+function _overlap(aWords, bSet) {
+  if (!aWords.length) return 0;
+  let hit = 0;
+  for (const w of aWords) if (bSet.has(w)) hit++;
+  return hit / aWords.length;
+}
+
+/**
+ * Check text against clauses ([{ id, name, match_terms, is_required,
+ * variants: [{ id, position, label, body }] }]). Pure — no database.
+ */
+function analyseText(text, clauses) {
+  const paragraphs = splitParagraphs(text);
+  const normalized = paragraphs.map(normalize);
+  const paraWords  = normalized.map(p => new Set(p.split(' ')));
+  const flags = [];
+
+  for (const clause of clauses) {
+    const variants = (clause.variants || []).filter(v => v.body && v.body.trim());
+    const terms = (clause.match_terms || []).map(normalize).filter(Boolean);
+
+    let candidates;
+    if (terms.length) {
+      candidates = normalized.map((p, i) => (terms.some(t => p.includes(t)) ? i : -1)).filter(i => i >= 0);
+    } else {
+      const variantWords = variants.map(v => normalize(v.body).split(' '));
+      candidates = paraWords.map((set, i) => (variantWords.some(w => _overlap(w, set) >= 0.3) ? i : -1))
+        .filter(i => i >= 0);
+    }
+
+    let best = null;                       // closest variant overall
+    const bestBy = {};                     // closest per position
+    for (const start of candidates) {
+      for (let span = 1; span <= 3 && start + span <= paragraphs.length; span++) {
+        const window = paragraphs.slice(start, start + span).join('\n');
+        for (const v of variants) {
+          const score = similarity(window, v.body);
+          const hit = { variant: v, score, paragraph: start, span, excerpt: window };
+          if (!best || score > best.score) best = hit;
+          if (!bestBy[v.position] || score > bestBy[v.position].score) bestBy[v.position] = hit;
+        }
+      }
+    }
+
+    const found = terms.length ? candidates.length > 0 : !!best && best.score >= DISCOVER_MATCH;
+    if (!found) {
+      if (clause.is_required) {
+        flags.push({ clauseId: clause.id, clause: clause.name, status: 'missing',
+                     variantId: null, variantLabel: null, position: null, similarity: null,
+                     paragraph: null, excerpt: null });
+      }
+      continue;
+    }
+
+    const acceptable = [bestBy.approved, bestBy.fallback].filter(Boolean).sort((a, b) => b.score - a.score)[0];
+    let status, hit;
+    if (bestBy.forbidden && bestBy.forbidden.score >= FORBIDDEN_MATCH
+        && bestBy.forbidden.score >= (acceptable?.score || 0)) {
+      status = 'forbidden'; hit = bestBy.forbidden;
+    } else if (acceptable && acceptable.score >= VARIANT_MATCH) {
+      status = acceptable.variant.position; hit = acceptable;
+    } else {
+      status = 'non_standard'; hit = acceptable || best;
+    }
+
+    // With no variants (or no candidate scored) the clause is found but unmatched.
+    const firstPara = hit ? hit.paragraph : candidates[0];
+    flags.push({
+      clauseId:     clause.id,
+      clause:       clause.name,
+      status,
+      variantId:    hit?.variant.id ?? null,
+      variantLabel: hit ? (hit.variant.label || hit.variant.position) : null,
+      position:     hit?.variant.position ?? null,
+      similarity:   hit ? Math.round(hit.score * 100) / 100 : null,
+      paragraph:    firstPara,
+      excerpt:      (hit ? hit.excerpt : paragraphs[firstPara]).slice(0, EXCERPT_CHARS),
+    });
+  }
+  return flags;
+}
+
+async function _clausesFor(orgId, contractType) {
+  const { rows } = await pool.query(
+    `SELECT c.id, c.name, c.match_terms, c.is_required,
+            COALESCE(json_agg(json_build_object('id', v.id, 'position', v.position,
+                                                'label', v.label, 'body', v.body)
+                              ORDER BY v.sort_order, v.id) FILTER (WHERE v.id IS NOT NULL), '[]') AS variants
+       FROM contract_clauses c
+       LEFT JOIN contract_clause_variants v ON v.clause_id = c.id
+      WHERE c.org_id = $1 AND c.is_active
+        AND (cardinality(c.contract_types) = 0 OR $2 = ANY(c.contract_types))
+      GROUP BY c.id
+      ORDER BY c.sort_order, c.id`,
+    [orgId, contractType]);
+  return rows;
+}
+
+/**
+ * Check a version's stored text against the library and store the result.
+ * Returns the flags, or null when the version has no text yet.
+ */
+async function checkVersion(orgId, versionId, { notify = false, userId = null } = {}) {
+  const v = await _version(orgId, versionId);
+  const { rows: [t] } = await pool.query(
+    `SELECT content FROM contract_version_texts
+      WHERE version_id = $1 AND org_id = $2 AND status = ANY($3)`,
+    [versionId, orgId, TEXT_READY]);
+  if (!t) return null;
+
+  const clauses = await _clausesFor(orgId, v.contract_type);
+  const flags = analyseText(t.content, clauses);
+  await pool.query(
+    `UPDATE contract_document_versions SET clause_flags = $3::jsonb, clause_checked_at = NOW()
+      WHERE id = $1 AND org_id = $2`,
+    [versionId, orgId, JSON.stringify(flags)]);
+
+  const raised = flags.filter(f => FLAG_STATUSES.includes(f.status));
+  if (notify && raised.length) await _raise(orgId, v, raised, userId);
+  return flags;
+}
+
+async function _raise(orgId, v, raised, userId) {
+  const summary = {
+    versionId:    v.id,
+    versionLabel: v.version_label,
+    forbidden:    raised.filter(f => f.status === 'forbidden').map(f => f.clause),
+    nonStandard:  raised.filter(f => f.status === 'non_standard').map(f => f.clause),
+    missing:      raised.filter(f => f.status === 'missing').map(f => f.clause),
+  };
+  await pool.query(
+    `INSERT INTO contract_events (contract_id, org_id, event_type, actor_id, payload)
+     VALUES ($1, $2, 'clause_flags_raised', $3, $4)`,
+    [v.contract_id, orgId, userId || null, JSON.stringify(summary)]);
+
+  const teamIds = v.legal_assignee_id ? [] : await contractService.getLegalTeamUserIds(orgId);
+  NS.notifyNonStandardClauses(orgId, v.contract_id, v.contract_title, v.legal_assignee_id, teamIds, summary)
+    .catch(() => {});
+}
+
+// ── Compare ──────────────────────────────────────────────────────────────────
+
+async function compareVersions(orgId, contractId, fromVersionId, toVersionId) {
+  if (!fromVersionId || !toVersionId) throw _fail('from and to versions are required', 400);
+  const { rows } = await pool.query(
+    `SELECT cdv.id, cdv.version_label, cdv.version_major, cdv.version_minor, cdv.created_at,
+            cdv.clause_flags, cdv.clause_checked_at, t.status AS text_status, t.content
+       FROM contract_document_versions cdv
+       LEFT JOIN contract_version_texts t ON t.version_id = cdv.id
+      WHERE cdv.contract_id = $1 AND cdv.org_id = $2 AND cdv.id = ANY($3)`,
+    [contractId, orgId, [fromVersionId, toVersionId]]);
+  const from = rows.find(r => r.id === fromVersionId);
+  const to   = rows.find(r => r.id === toVersionId);
+  if (!from || !to) throw _fail('Version not found on this contract', 404);
+
+  const label = (r) => (r.version_major != null ? `${r.version_major}.${r.version_minor}` : r.version_label);
+  for (const r of [from, to]) {
+    if (!TEXT_READY.includes(r.text_status)) {
+      throw _fail(`v${label(r)} has no text yet — extract it or paste it in first`, 409);
+    }
+  }
+
+  const { rows: diffRows, stats } = compareTexts(from.content, to.content);
+  const side = (r) => ({ id: r.id, label: label(r), createdAt: r.created_at, textStatus: r.text_status });
+  return {
+    from: side(from),
+    to:   side(to),
+    rows: diffRows,
+    stats,
+    flags: to.clause_flags || [],
+    flagsCheckedAt: to.clause_checked_at,
+  };
+}
+
+// ── Clause library ───────────────────────────────────────────────────────────
+
+async function listClauses(orgId, { contractType } = {}) {
+  const params = [orgId];
+  let typeFilter = '';
+  if (contractType) {
+    params.push(contractType);
+    typeFilter = `AND (cardinality(c.contract_types) = 0 OR $2 = ANY(c.contract_types))`;
+  }
+  const { rows } = await pool.query(
+    `SELECT c.id, c.name, c.guidance, c.contract_types, c.match_terms, c.is_required,
+            c.sort_order, c.updated_at,
+            COALESCE(json_agg(json_build_object('id', v.id, 'position', v.position, 'label', v.label,
+                                                'body', v.body, 'notes', v.notes)
+                              ORDER BY v.sort_order, v.id) FILTER (WHERE v.id IS NOT NULL), '[]') AS variants
+       FROM contract_clauses c
+       LEFT JOIN contract_clause_variants v ON v.clause_id = c.id
+      WHERE c.org_id = $1 AND c.is_active ${typeFilter}
+      GROUP BY c.id
+      ORDER BY c.sort_order, c.name`,
+    params);
+  return rows;
+}
+
+function _clauseInput(data, { partial = false } = {}) {
+  const out = {};
+  if (!partial || data.name !== undefined) {
+    out.name = String(data.name || '').trim().slice(0, 200);
+    if (!out.name) throw _fail('Clause name is required', 400);
+  }
+  if (!partial || data.guidance !== undefined) out.guidance = String(data.guidance || '').trim() || null;
+  if (!partial || data.contractTypes !== undefined) {
+    const types = Array.isArray(data.contractTypes) ? data.contractTypes : [];
+    const bad = types.find(t => !CONTRACT_TYPES.includes(t));
+    if (bad) throw _fail(`Unknown contract type: ${bad}`, 400);
+    out.contractTypes = [...new Set(types)];
+  }
+  if (!partial || data.matchTerms !== undefined) {
+    const terms = Array.isArray(data.matchTerms) ? data.matchTerms : String(data.matchTerms || '').split(',');
+    out.matchTerms = [...new Set(terms.map(t => String(t).trim()).filter(Boolean))].slice(0, 20);
+  }
+  if (!partial || data.isRequired !== undefined) out.isRequired = !!data.isRequired;
+  if (data.sortOrder !== undefined) out.sortOrder = parseInt(data.sortOrder, 10) || 0;
+
+  if (!partial || data.variants !== undefined) {
+    const variants = Array.isArray(data.variants) ? data.variants : [];
+    out.variants = variants.map((v, i) => {
+      if (!POSITIONS.includes(v.position)) throw _fail('Variant position must be approved, fallback or forbidden', 400);
+      const body = String(v.body || '').trim();
+      if (!body) throw _fail('Every variant needs its wording', 400);
+      return {
+        position: v.position, body, sortOrder: i,
+        label: String(v.label || '').trim().slice(0, 120) || null,
+        notes: String(v.notes || '').trim() || null,
+      };
+    });
+  }
+  return out;
+}
+
+async function _writeVariants(client, orgId, clauseId, variants) {
+  await client.query(`DELETE FROM contract_clause_variants WHERE clause_id = $1`, [clauseId]);
+  for (const v of variants) {
+    await client.query(
+      `INSERT INTO contract_clause_variants (clause_id, org_id, position, label, body, notes, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [clauseId, orgId, v.position, v.label, v.body, v.notes, v.sortOrder]);
+  }
+}
+
+async function createClause(orgId, userId, data = {}) {
+  const c = _clauseInput(data);
+  const id = await withOrgTransaction(orgId, async (client) => {
+    const { rows: [row] } = await client.query(
+      `INSERT INTO contract_clauses
+         (org_id, name, guidance, contract_types, match_terms, is_required, sort_order, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [orgId, c.name, c.guidance, c.contractTypes, c.matchTerms, c.isRequired, c.sortOrder || 0, userId]);
+    await _writeVariants(client, orgId, row.id, c.variants);
+    return row.id;
+  });
+  return (await listClauses(orgId)).find(r => r.id === id);
+}
+
+async function updateClause(orgId, clauseId, data = {}) {
+  const c = _clauseInput(data, { partial: true });
+  await withOrgTransaction(orgId, async (client) => {
+    const { rows: [row] } = await client.query(
+      `UPDATE contract_clauses SET
+         name           = COALESCE($3, name),
+         guidance       = CASE WHEN $4::boolean THEN $5 ELSE guidance END,
+         contract_types = COALESCE($6, contract_types),
+         match_terms    = COALESCE($7, match_terms),
+         is_required    = COALESCE($8, is_required),
+         sort_order     = COALESCE($9, sort_order),
+         updated_at     = NOW()
+       WHERE id = $1 AND org_id = $2 AND is_active
+       RETURNING id`,
+      [clauseId, orgId, c.name ?? null, c.guidance !== undefined, c.guidance ?? null,
+       c.contractTypes ?? null, c.matchTerms ?? null, c.isRequired ?? null, c.sortOrder ?? null]);
+    if (!row) throw _fail('Clause not found', 404);
+    if (c.variants) await _writeVariants(client, orgId, clauseId, c.variants);
+  });
+  return (await listClauses(orgId)).find(r => r.id === clauseId);
+}
+
+async function deleteClause(orgId, clauseId) {
+  const { rowCount } = await pool.query(
+    `UPDATE contract_clauses SET is_active = FALSE, updated_at = NOW()
+      WHERE id = $1 AND org_id = $2 AND is_active`,
+    [clauseId, orgId]);
+  if (!rowCount) throw _fail('Clause not found', 404);
+  return { deleted: true };
+}
+
+module.exports = {
+  extractVersionText, setManualText, getVersionText,
+  checkVersion, analyseText, compareVersions,
+  listClauses, createClause, updateClause, deleteClause,
+  FLAG_STATUSES,
+};
@@ -0,0 +1,577 @@
+/**
+ * contractRenewal.service.js
+ *
+ * DROP-IN LOCATION: backend/services/contractRenewal.service.js
+ *
+ * The renewal pipeline for contracts (2026_150).
+ *
+ *   runRenewalSweep()
+ *     Daily. For every live contract (signed / active) of a renewing type
+ *     whose end date is inside the org's lead window, creates the renewal
+ *     deal; and reminds the account owner as the notice deadline approaches.
+ *     Idempotent — renewal_deal_id and renewal_notices_sent record what has
+ *     been done this term.
+ *
+ *   autoRenewDue()
+ *     Hourly, ahead of contractService.expireContracts. Auto-renewing
+ *     contracts past their end date with no notice of non-renewal roll into
+ *     a new term instead of expiring.
+ *
+ *   createRenewalDeal(orgId, contractId, { userId? })
+ *     The sweep's unit of work, also behind "Create renewal deal now". The
+ *     deal goes on the same account, owned by the account owner, closing on
+ *     the contract's end date, with the recurring line items of the deal the
+ *     contract was signed from (all of them when none are marked recurring —
+ *     one-time fees are not renewed). Line items start the day after the
+ *     end date.
+ *
+ *   listRenewals(orgId, { userId, scope, days })
+ *     The renewals view: upcoming (and just-lapsed) contracts with their
+ *     renewal deal, notice deadline and at-risk flags.
+ *
+ *   updateRenewalTerms / getRenewalConfig / saveRenewalConfig
+ *
+ * END DATE
+ *   COALESCE(expiry_date, agreement_end_date) — expiry_date is what the
+ *   active → expired transition uses, agreement_end_date is the fallback
+ *   when only that was filled in.
+ *
+ * AT RISK
+ *   Per account behind the contract (via its deal):
+ *     support     open cases — high when one has breached SLA or is
+ *                 critical; medium for high-priority cases or SUPPORT_OPEN_RISK
+ *                 open cases
+ *     project     an in-flight project scored red (high) or yellow (medium)
+ *                 by handoverHealthService (2026_145)
+ *   And on the contract itself:
+ *     notice      the customer gave notice of non-renewal (high)
+ *     lost        the renewal deal was closed lost (high)
+ *     no_deal     inside the lead window, not auto-renewing, and no renewal
+ *                 deal (medium)
+ *   The contract's risk is the worst of its flags.
+ */
+
+const { pool, withOrgTransaction } = require('../config/database');
+const PlaybookService  = require('./playbook.service');
+const ActionsGenerator = require('./actionsGenerator');
+const { syncDealValue } = require('./dealProducts.service');
+const NS = require('./contractNotificationService');
+
+const CONTRACT_TYPES      = ['nda', 'msa', 'sow', 'order_form', 'amendment', 'custom'];
+const SWEEP_STATUSES      = ['signed', 'active'];
+const RENEWABLE_STATUSES  = ['signed', 'active', 'expired'];
+const DEFAULT_TERM_MONTHS = 12;
+const NOTICE_REMINDERS    = [{ key: 'notice_7', days: 7 }, { key: 'notice_30', days: 30 }];
+const SUPPORT_OPEN_RISK   = 5;
+const LAPSED_VISIBLE_DAYS = 30;
+const MAX_ROLLS_PER_RUN   = 24;
+
+const DEFAULT_CONFIG = {
+  renewal_deals_enabled:  true,
+  renewal_lead_days:      90,
+  renewal_contract_types: ['msa', 'sow', 'order_form', 'custom'],
+};
+
+const END_DATE = 'COALESCE(c.expiry_date, c.agreement_end_date)';
+const WON      = `(rd.stage = 'closed_won' OR COALESCE(ps.stage_type,'') = 'won')`;
+const LOST     = `(rd.stage = 'closed_lost' OR COALESCE(ps.stage_type,'') = 'lost')`;
+
+function _fail(msg, status) {
+  return Object.assign(new Error(msg), { status });
+}
+
+function _intOrNull(v, min, max, label) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) throw _fail(`${label} must be a whole number from ${min} to ${max}`, 400);
+  return n;
+}
+
+// ── Org settings ─────────────────────────────────────────────────────────────
+
+async function getRenewalConfig(orgId) {
+  const { rows } = await pool.query(
+    `SELECT renewal_deals_enabled, renewal_lead_days, renewal_contract_types
+       FROM contract_workflow_config WHERE org_id = $1`, [orgId]);
+  return rows[0] || { ...DEFAULT_CONFIG };
+}
+
+async function saveRenewalConfig(orgId, body = {}) {
+  const lead  = _intOrNull(body.renewalLeadDays, 1, 365, 'Lead time') ?? DEFAULT_CONFIG.renewal_lead_days;
+  const types = Array.isArray(body.renewalContractTypes)
+    ? [...new Set(body.renewalContractTypes)].filter(t => CONTRACT_TYPES.includes(t))
+    : DEFAULT_CONFIG.renewal_contract_types;
+  const { rows } = await pool.query(
+    `INSERT INTO contract_workflow_config (org_id, renewal_deals_enabled, renewal_lead_days, renewal_contract_types)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (org_id) DO UPDATE SET
+       renewal_deals_enabled = $2, renewal_lead_days = $3, renewal_contract_types = $4, updated_at = NOW()
+     RETURNING renewal_deals_enabled, renewal_lead_days, renewal_contract_types`,
+    [orgId, body.renewalDealsEnabled !== false, lead, types]);
+  return rows[0];
+}
+
+// ── Renewal terms on a contract ──────────────────────────────────────────────
+
+async function updateRenewalTerms(orgId, contractId, userId, body = {}) {
+  const termMonths = _intOrNull(body.renewalTermMonths, 1, 120, 'Renewal term');
+  const noticeDays = _intOrNull(body.noticePeriodDays, 0, 730, 'Notice period');
+  const noticeAt   = body.nonRenewalNoticeAt || null;
+  if (noticeAt && !/^\d{4}-\d{2}-\d{2}$/.test(noticeAt)) throw _fail('Notice date must be YYYY-MM-DD', 400);
+
+  return withOrgTransaction(orgId, async (client) => {
+    const { rows } = await client.query(
+      `SELECT id, status, to_char(non_renewal_notice_at, 'YYYY-MM-DD') AS notice_at
+         FROM contracts WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+      [contractId, orgId]);
+    const c = rows[0];
+    if (!c) throw _fail('Not found', 404);
+    if (['void', 'cancelled', 'terminated'].includes(c.status)) {
+      throw _fail('Renewal terms cannot be changed on a closed contract', 400);
+    }
+
+    await client.query(
+      `UPDATE contracts SET auto_renew = $3, renewal_term_months = $4, notice_period_days = $5,
+              non_renewal_notice_at = $6, updated_at = NOW()
+        WHERE id = $1 AND org_id = $2`,
+      [contractId, orgId, !!body.autoRenew, termMonths, noticeDays, noticeAt]);
+
+    const payload = { autoRenew: !!body.autoRenew, renewalTermMonths: termMonths, noticePeriodDays: noticeDays };
+    const eventType = noticeAt && noticeAt !== c.notice_at ? 'non_renewal_notice_recorded' : 'renewal_terms_updated';
+    if (noticeAt !== c.notice_at) payload.nonRenewalNoticeAt = noticeAt;
+    await client.query(
+      `INSERT INTO contract_events (contract_id, org_id, event_type, actor_id, payload)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [contractId, orgId, eventType, userId, JSON.stringify(payload)]);
+    return payload;
+  });
+}
+
+// ── Renewal deal ─────────────────────────────────────────────────────────────
+
+async function _firstOpenStage(client, orgId) {
+  const { rows } = await client.query(
+    `SELECT key FROM pipeline_stages
+      WHERE org_id = $1 AND pipeline = 'sales' AND is_active = TRUE AND is_terminal = FALSE
+      ORDER BY sort_order ASC LIMIT 1`, [orgId]);
+  return rows[0]?.key || 'qualified';
+}
+
+async function createRenewalDeal(orgId, contractId, { userId = null } = {}) {
+  const playbook = await PlaybookService.getDefaultPlaybookForEntity(orgId, 'deal').catch(() => null);
+
+  const result = await withOrgTransaction(orgId, async (client) => {
+    const { rows } = await client.query(
+      `SELECT c.id, c.title, c.status, c.deal_id, c.value, c.currency, c.customer_legal_name,
+              c.owner_id, c.renewal_notices_sent,
+              to_char(${END_DATE}, 'YYYY-MM-DD') AS end_date,
+              to_char(${END_DATE} + 1, 'YYYY') AS new_term_year,
+              d.account_id, d.owner_id AS deal_owner_id,
+              a.name AS account_name, a.owner_id AS account_owner_id,
+              rd.id AS existing_deal_id
+         FROM contracts c
+         LEFT JOIN deals d    ON d.id = c.deal_id AND d.deleted_at IS NULL
+         LEFT JOIN accounts a ON a.id = d.account_id
+         LEFT JOIN deals rd   ON rd.id = c.renewal_deal_id AND rd.deleted_at IS NULL
+        WHERE c.id = $1 AND c.org_id = $2 AND c.deleted_at IS NULL
+        FOR UPDATE OF c`,
+      [contractId, orgId]);
+    const c = rows[0];
+    if (!c) throw _fail('Not found', 404);
+    if (!RENEWABLE_STATUSES.includes(c.status)) throw _fail('Only signed, active or expired contracts can be renewed', 400);
+    if (!c.end_date) throw _fail('Set an expiry or end date on the contract first', 400);
+    if (c.existing_deal_id) throw _fail('This contract already has a renewal deal', 409);
+
+    const ownerId = c.account_owner_id || c.deal_owner_id || c.owner_id;
+    const stage   = await _firstOpenStage(client, orgId);
+    const name    = `${c.account_name || c.customer_legal_name || c.title} — Renewal ${c.new_term_year}`;
+
+    const { rows: [deal] } = await client.query(
+      `INSERT INTO deals
+         (org_id, account_id, owner_id, name, value, stage, expected_close_date, original_close_date,
+          notes, playbook_id, currency, renewal_of_contract_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [orgId, c.account_id, ownerId, name, c.value || 0, stage, c.end_date,
+       `Renewal of contract "${c.title}", which ends on ${c.end_date}.`,
+       playbook?.id || null, c.currency, c.id]);
+
+    let lineItems = 0;
+    if (c.deal_id) {
+      const { rows: [mix] } = await client.query(
+        `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE revenue_type = 'recurring')::int AS recurring
+           FROM deal_products WHERE deal_id = $1 AND org_id = $2`, [c.deal_id, orgId]);
+      if (mix.total) {
+        const copied = await client.query(
+          `INSERT INTO deal_products
+             (org_id, deal_id, product_id, product_name, category_name, group_path, quantity, unit_price,
+              discount_pct, contract_term, effective_date, renewal_date, revenue_type, notes, sort_order)
+           SELECT org_id, $1, product_id, product_name, category_name, group_path, quantity, unit_price,
+                  discount_pct, contract_term, $2::date + 1,
+                  CASE WHEN contract_term > 0 THEN ($2::date + 1 + make_interval(months => contract_term))::date END,
+                  revenue_type, notes, sort_order
+             FROM deal_products
+            WHERE deal_id = $3 AND org_id = $4 AND ($5 OR revenue_type = 'recurring')
+            ORDER BY sort_order, id`,
+          [deal.id, c.end_date, c.deal_id, orgId, mix.recurring === 0]);
+        lineItems = copied.rowCount;
+        deal.value = await syncDealValue(deal.id, orgId, client);
+      }
+      await client.query(
+        `INSERT INTO deal_contacts (deal_id, contact_id, role, is_primary)
+         SELECT $1, contact_id, role, is_primary FROM deal_contacts WHERE deal_id = $2`,
+        [deal.id, c.deal_id]);
+    }
+
+    await client.query(
+      `INSERT INTO deal_activities (deal_id, user_id, activity_type, description, metadata)
+       VALUES ($1, $2, 'deal_created', $3, $4)`,
+      [deal.id, userId, `Renewal deal created from contract "${c.title}"`,
+       JSON.stringify({ renewalOfContractId: c.id, lineItems })]);
+    await client.query(
+      `UPDATE contracts SET renewal_deal_id = $3, updated_at = NOW() WHERE id = $1 AND org_id = $2`,
+      [c.id, orgId, deal.id]);
+    await client.query(
+      `INSERT INTO contract_events (contract_id, org_id, event_type, actor_id, payload)
+       VALUES ($1, $2, 'renewal_deal_created', $3, $4)`,
+      [c.id, orgId, userId, JSON.stringify({ dealId: deal.id, dealName: deal.name, lineItems, automatic: !userId })]);
+
+    return { deal, lineItems, contract: c, ownerId };
+  });
+
+  ActionsGenerator.generateForDeal(result.deal.id)
+    .catch(err => console.error(`Renewal deal action generation error (deal ${result.deal.id}):`, err.message));
+  return result;
+}
+
+/** Account owner and contract owner — the people renewal notices go to. */
+function _recipients(row) {
+  return [...new Set([row.account_owner_id, row.owner_id].filter(Boolean))];
+}
+
+async function _markSent(orgId, contractId, keys) {
+  await pool.query(
+    `UPDATE contracts
+        SET renewal_notices_sent = ARRAY(SELECT DISTINCT unnest(renewal_notices_sent || $3::text[]))
+      WHERE id = $1 AND org_id = $2`,
+    [contractId, orgId, keys]);
+}
+
+/** Opened notice after a renewal deal is created — by the sweep or by hand. */
+async function notifyOpened(orgId, created, { exceptUserId = null } = {}) {
+  const { contract: c, deal } = created;
+  const { rows } = await pool.query(
+    `SELECT auto_renew, notice_period_days,
+            to_char(${END_DATE} - COALESCE(c.notice_period_days, 0), 'YYYY-MM-DD') AS notice_deadline
+       FROM contracts c WHERE c.id = $1`, [c.id]);
+  const terms = rows[0] || {};
+  const ids = _recipients({ account_owner_id: created.ownerId, owner_id: c.owner_id })
+    .filter(id => id !== exceptUserId);
+  await NS.notifyRenewalOpened(orgId, c.id, c.title, ids, {
+    dealName:       deal.name,
+    endDate:        c.end_date,
+    autoRenew:      terms.auto_renew,
+    noticeDeadline: terms.notice_period_days != null ? terms.notice_deadline : null,
+  });
+  await _markSent(orgId, c.id, ['opened']);
+}
+
+// ── Sweep ────────────────────────────────────────────────────────────────────
+
+async function sweepOrg(orgId) {
+  const config = await getRenewalConfig(orgId);
+  const out = { created: 0, notices: 0, errors: 0 };
+
+  // Wide enough for the deal lead time and for the notice reminders, which
+  // can fall before it when the notice period is long.
+  const { rows } = await pool.query(
+    `SELECT c.id, c.title, c.contract_type, c.auto_renew, c.notice_period_days, c.owner_id,
+            c.renewal_deal_id, c.renewal_notices_sent, c.non_renewal_notice_at,
+            (${END_DATE} - CURRENT_DATE) AS days_left,
+            to_char(${END_DATE} - COALESCE(c.notice_period_days, 0), 'YYYY-MM-DD') AS notice_deadline,
+            a.owner_id AS account_owner_id
+       FROM contracts c
+       LEFT JOIN deals d    ON d.id = c.deal_id AND d.deleted_at IS NULL
+       LEFT JOIN accounts a ON a.id = d.account_id
+      WHERE c.org_id = $1 AND c.deleted_at IS NULL AND c.status = ANY($2)
+        AND c.contract_type = ANY($3)
+        AND ${END_DATE} >= CURRENT_DATE
+        AND ${END_DATE} <= CURRENT_DATE + GREATEST($4::int, COALESCE(c.notice_period_days, 0) + 30)`,
+    [orgId, SWEEP_STATUSES, config.renewal_contract_types, config.renewal_lead_days]);
+
+  for (const row of rows) {
+    try {
+      if (config.renewal_deals_enabled && !row.renewal_deal_id && !row.non_renewal_notice_at
+          && row.days_left <= config.renewal_lead_days) {
+        const created = await createRenewalDeal(orgId, row.id);
+        out.created++;
+        await notifyOpened(orgId, created);
+        out.notices++;
+      }
+
+      if (row.notice_period_days == null || row.non_renewal_notice_at) continue;
+      const daysToDeadline = row.days_left - row.notice_period_days;
+      if (daysToDeadline < 0) continue;
+      const due = NOTICE_REMINDERS.find(r => daysToDeadline <= r.days);
+      if (!due || row.renewal_notices_sent.includes(due.key)) continue;
+      await NS.notifyRenewalNoticeDue(orgId, row.id, row.title, _recipients(row), {
+        days: daysToDeadline, deadline: row.notice_deadline, autoRenew: row.auto_renew,
+      });
+      // The 7-day reminder also covers the 30-day one if the sweep missed it.
+      await _markSent(orgId, row.id, NOTICE_REMINDERS.filter(r => r.days >= due.days).map(r => r.key));
+      out.notices++;
+    } catch (err) {
+      out.errors++;
+      console.error(`Renewal sweep error (contract ${row.id}):`, err.message);
+    }
+  }
+  return out;
+}
+
+async function runRenewalSweep() {
+  const { rows: orgs } = await pool.query(
+    `SELECT DISTINCT org_id FROM contracts c
+      WHERE c.status = ANY($1) AND c.deleted_at IS NULL AND ${END_DATE} >= CURRENT_DATE`,
+    [SWEEP_STATUSES]);
+  const totals = { orgs: orgs.length, created: 0, notices: 0, errors: 0 };
+  for (const { org_id } of orgs) {
+    try {
+      const r = await sweepOrg(org_id);
+      totals.created += r.created;
+      totals.notices += r.notices;
+      totals.errors  += r.errors;
+    } catch (err) {
+      totals.errors++;
+      console.error(`Renewal sweep error (org ${org_id}):`, err.message);
+    }
+  }
+  return totals;
+}
+
+// ── Auto-renew ───────────────────────────────────────────────────────────────
+
+/**
+ * Rolls each due auto-renewing contract forward one term; repeats (bounded)
+ * for a contract more than one term behind, e.g. one backfilled late. Each
+ * round's UPDATE and its auto_renewed events commit together, so a contract
+ * never moves to a new term without the event that records it.
+ * @returns {Promise<number>} terms rolled
+ */
+async function autoRenewDue() {
+  let rolled = 0;
+  for (let i = 0; i < MAX_ROLLS_PER_RUN; i++) {
+    const n = await _rollDueOnce();
+    rolled += n;
+    if (!n) break;
+  }
+  return rolled;
+}
+
+async function _rollDueOnce() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `UPDATE contracts c SET
+         expiry_date        = (c.expiry_date        + make_interval(months => COALESCE(c.renewal_term_months, $1)))::date,
+         agreement_end_date = (c.agreement_end_date + make_interval(months => COALESCE(c.renewal_term_months, $1)))::date,
+         renewal_deal_id = NULL, renewal_notices_sent = '{}', updated_at = NOW()
+       FROM contracts prev
+       WHERE prev.id = c.id
+         AND c.status = 'active' AND c.auto_renew AND c.non_renewal_notice_at IS NULL
+         AND c.deleted_at IS NULL AND ${END_DATE} < CURRENT_DATE
+       RETURNING c.id, c.org_id, COALESCE(c.renewal_term_months, $1) AS term_months,
+                 to_char(COALESCE(prev.expiry_date, prev.agreement_end_date), 'YYYY-MM-DD') AS previous_end,
+                 to_char(${END_DATE}, 'YYYY-MM-DD') AS new_end,
+                 prev.renewal_deal_id`,
+      [DEFAULT_TERM_MONTHS]);
+    for (const row of r.rows) {
+      await client.query(
+        `INSERT INTO contract_events (contract_id, org_id, event_type, payload)
+         VALUES ($1, $2, 'auto_renewed', $3)`,
+        [row.id, row.org_id, JSON.stringify({
+          previousEnd: row.previous_end, newEnd: row.new_end,
+          termMonths: row.term_months, renewalDealId: row.renewal_deal_id,
+        })]);
+    }
+    await client.query('COMMIT');
+    return r.rowCount;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Renewals view ────────────────────────────────────────────────────────────
+
+const LEVEL_RANK = { none: 0, medium: 1, high: 2 };
+
+function _worst(flags) {
+  return flags.reduce((w, f) => (LEVEL_RANK[f.level] > LEVEL_RANK[w] ? f.level : w), 'none');
+}
+
+function _plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+async function _accountSignals(orgId, accountIds) {
+  if (!accountIds.length) return { cases: new Map(), projects: new Map() };
+  const [cases, projects] = await Promise.all([
+    pool.query(
+      `SELECT account_id,
+              COUNT(*)::int AS open,
+              COUNT(*) FILTER (WHERE priority = 'critical')::int AS critical,
+              COUNT(*) FILTER (WHERE priority = 'high')::int AS high,
+              COUNT(*) FILTER (WHERE response_breached OR resolution_breached)::int AS breached
+         FROM cases
+        WHERE org_id = $1 AND account_id = ANY($2) AND status NOT IN ('resolved', 'closed')
+        GROUP BY account_id`,
+      [orgId, accountIds]),
+    pool.query(
+      `SELECT COALESCE(h.account_id, d.account_id) AS account_id, h.id,
+              COALESCE(h.name, d.name) AS name, h.health_status, h.health_score
+         FROM sales_handovers h
+         LEFT JOIN deals d ON d.id = h.deal_id
+        WHERE h.org_id = $1 AND h.status IN ('submitted', 'acknowledged', 'in_progress')
+          AND h.health_status IN ('red', 'yellow')
+          AND COALESCE(h.account_id, d.account_id) = ANY($2)
+        ORDER BY h.health_score ASC NULLS LAST`,
+      [orgId, accountIds]),
+  ]);
+  const projectMap = new Map();
+  for (const p of projects.rows) {
+    if (!projectMap.has(p.account_id)) projectMap.set(p.account_id, []);
+    projectMap.get(p.account_id).push(p);
+  }
+  return { cases: new Map(cases.rows.map(r => [r.account_id, r])), projects: projectMap };
+}
+
+function _flags(row, signals, config) {
+  const flags = [];
+  const cs = row.account_id ? signals.cases.get(row.account_id) : null;
+  if (cs) {
+    if (cs.breached || cs.critical) {
+      flags.push({ key: 'support', level: 'high',
+        label: cs.breached ? `${_plural(cs.breached, 'case')} past SLA` : `${_plural(cs.critical, 'critical case')} open`,
+        detail: `${_plural(cs.open, 'open case')}` });
+    } else if (cs.high || cs.open >= SUPPORT_OPEN_RISK) {
+      flags.push({ key: 'support', level: 'medium',
+        label: cs.high ? `${_plural(cs.high, 'high-priority case')} open` : `${_plural(cs.open, 'open case')}`,
+        detail: `${_plural(cs.open, 'open case')}` });
+    }
+  }
+  const projects = row.account_id ? signals.projects.get(row.account_id) || [] : [];
+  if (projects.length) {
+    const red = projects.filter(p => p.health_status === 'red');
+    flags.push({ key: 'project', level: red.length ? 'high' : 'medium',
+      label: red.length ? `${_plural(red.length, 'project')} red` : `${_plural(projects.length, 'project')} amber`,
+      detail: projects.map(p => `${p.name} (${p.health_status}${p.health_score != null ? ` ${p.health_score}` : ''})`).join(', ') });
+  }
+  if (row.non_renewal_notice_at) {
+    flags.push({ key: 'notice', level: 'high', label: 'Notice of non-renewal', detail: `Given on ${row.non_renewal_notice_at}` });
+  }
+  if (row.renewal_lost) {
+    flags.push({ key: 'lost', level: 'high', label: 'Renewal deal lost', detail: row.renewal_deal_name });
+  } else if (!row.renewal_deal_id && !row.auto_renew && row.status !== 'expired'
+             && row.days_left <= config.renewal_lead_days) {
+    flags.push({ key: 'no_deal', level: 'medium', label: 'No renewal deal', detail: null });
+  }
+  return flags;
+}
+
+function _state(row) {
+  if (row.renewal_won)           return 'won';
+  if (row.renewal_lost)          return 'lost';
+  if (row.non_renewal_notice_at) return 'notice_given';
+  if (row.status === 'expired')  return 'lapsed';
+  if (row.renewal_deal_id)       return 'in_progress';
+  if (row.auto_renew)            return 'auto_renews';
+  return 'not_started';
+}
+
+async function listRenewals(orgId, { userId, scope = 'org', days = 180 } = {}) {
+  const horizon = Math.min(Math.max(parseInt(days, 10) || 180, 1), 730);
+  const config  = await getRenewalConfig(orgId);
+
+  const p = [orgId, horizon, config.renewal_contract_types, LAPSED_VISIBLE_DAYS];
+  let mine = '';
+  if (scope === 'mine') {
+    p.push(userId);
+    mine = `AND (c.owner_id = $5 OR a.owner_id = $5 OR rd.owner_id = $5)`;
+  }
+  const { rows } = await pool.query(
+    `SELECT c.id, c.title, c.contract_type, c.status, c.value, c.currency, c.customer_legal_name,
+            c.auto_renew, c.renewal_term_months, c.notice_period_days, c.owner_id,
+            to_char(c.non_renewal_notice_at, 'YYYY-MM-DD') AS non_renewal_notice_at,
+            ow.first_name || ' ' || ow.last_name AS owner_name,
+            to_char(${END_DATE}, 'YYYY-MM-DD') AS end_date,
+            (${END_DATE} - CURRENT_DATE) AS days_left,
+            CASE WHEN c.notice_period_days IS NOT NULL
+                 THEN to_char(${END_DATE} - c.notice_period_days, 'YYYY-MM-DD') END AS notice_deadline,
+            CASE WHEN c.notice_period_days IS NOT NULL
+                 THEN ${END_DATE} - c.notice_period_days - CURRENT_DATE END AS notice_days_left,
+            d.account_id, a.name AS account_name, a.owner_id AS account_owner_id,
+            ao.first_name || ' ' || ao.last_name AS account_owner_name,
+            rd.id AS renewal_deal_id, rd.name AS renewal_deal_name, rd.stage AS renewal_deal_stage,
+            rd.value AS renewal_deal_value, rd.currency AS renewal_deal_currency,
+            COALESCE(ps.name, rd.stage) AS renewal_deal_stage_name,
+            ${WON} AS renewal_won, ${LOST} AS renewal_lost
+       FROM contracts c
+       LEFT JOIN users ow    ON ow.id = c.owner_id
+       LEFT JOIN deals d     ON d.id = c.deal_id AND d.deleted_at IS NULL
+       LEFT JOIN accounts a  ON a.id = d.account_id
+       LEFT JOIN users ao    ON ao.id = a.owner_id
+       LEFT JOIN deals rd    ON rd.id = c.renewal_deal_id AND rd.deleted_at IS NULL
+       LEFT JOIN pipeline_stages ps ON ps.org_id = rd.org_id AND ps.pipeline = 'sales' AND ps.key = rd.stage
+      WHERE c.org_id = $1 AND c.deleted_at IS NULL AND c.contract_type = ANY($3)
+        AND ${END_DATE} IS NOT NULL
+        AND ((c.status IN ('signed', 'active') AND ${END_DATE} <= CURRENT_DATE + $2::int)
+          OR (c.status = 'expired' AND ${END_DATE} >= CURRENT_DATE - $4::int))
+        ${mine}
+      ORDER BY ${END_DATE} ASC, c.id ASC`,
+    p);
+
+  const accountIds = [...new Set(rows.map(r => r.account_id).filter(Boolean))];
+  const signals = await _accountSignals(orgId, accountIds);
+
+  const renewals = rows.map(r => {
+    const flags = _flags(r, signals, config);
+    return {
+      contractId:        r.id,
+      title:             r.title,
+      contractType:      r.contract_type,
+      status:            r.status,
+      value:             r.value != null ? parseFloat(r.value) : null,
+      currency:          r.currency,
+      customerLegalName: r.customer_legal_name,
+      ownerName:         r.owner_name,
+      account:           r.account_id ? { id: r.account_id, name: r.account_name, ownerName: r.account_owner_name } : null,
+      endDate:           r.end_date,
+      daysLeft:          r.days_left,
+      autoRenew:         r.auto_renew,
+      renewalTermMonths: r.renewal_term_months,
+      noticePeriodDays:  r.notice_period_days,
+      noticeDeadline:    r.notice_deadline,
+      noticeDaysLeft:    r.notice_days_left,
+      nonRenewalNoticeAt: r.non_renewal_notice_at,
+      renewalDeal:       r.renewal_deal_id ? {
+        id: r.renewal_deal_id, name: r.renewal_deal_name, stage: r.renewal_deal_stage,
+        stageName: r.renewal_deal_stage_name, value: r.renewal_deal_value != null ? parseFloat(r.renewal_deal_value) : null,
+        currency: r.renewal_deal_currency, won: r.renewal_won, lost: r.renewal_lost,
+      } : null,
+      state:             _state(r),
+      risk:              _worst(flags),
+      flags,
+    };
+  });
+  return { renewals, config, horizon };
+}
+
+module.exports = {
+  runRenewalSweep, sweepOrg, autoRenewDue,
+  createRenewalDeal, notifyOpened,
+  listRenewals, updateRenewalTerms,
+  getRenewalConfig, saveRenewalConfig,
+};
@@ -5,6 +5,8 @@
 //     with_customer supports back-and-forth redline loops between Legal ↔ Customer.
 
 const { pool, withOrgTransaction } = require('../config/database');
+const CurrencyService = require('./currency.service');
+const OutboundWebhooks = require('./outboundWebhook.service');
 
 // ── Valid state transitions ─────────────────────────────────────────
 // in_review covers what was previously in_legal_review + with_sales.
@@ -219,6 +221,13 @@ function fmt(row) {
     documentProvider:         row.document_provider,
     effectiveDate:            row.effective_date,
     expiryDate:               row.expiry_date,
+    autoRenew:                row.auto_renew,
+    renewalTermMonths:        row.renewal_term_months,
+    noticePeriodDays:         row.notice_period_days,
+    nonRenewalNoticeAt:       row.non_renewal_notice_at,
+    renewalDealId:            row.renewal_deal_id,
+    renewalDealName:          row.renewal_deal_name || null,
+    renewalDealStage:         row.renewal_deal_stage || null,
     ownerId:                  row.owner_id,
     ownerName:                row.ow_first ? `${row.ow_first} ${row.ow_last}` : null,
     ownerEmail:               row.ow_email || null,
@@ -283,17 +292,20 @@ async function getContract(orgId, id) {
          ow.first_name AS ow_first, ow.last_name AS ow_last, ow.email AS ow_email,
          la.first_name AS la_first, la.last_name  AS la_last,
          d.name AS deal_name,
+         rd.name AS renewal_deal_name, rd.stage AS renewal_deal_stage,
          pc.title AS parent_title, pc.contract_type AS parent_type, pc.status AS parent_status
        FROM contracts c
        LEFT JOIN users ow ON ow.id = c.owner_id
        LEFT JOIN users la ON la.id = c.legal_assignee_id
        LEFT JOIN deals d  ON d.id  = c.deal_id
+       LEFT JOIN deals rd ON rd.id = c.renewal_deal_id AND rd.deleted_at IS NULL
        LEFT JOIN contracts pc ON pc.id = c.parent_contract_id
        WHERE c.id=$1 AND c.org_id=$2 AND c.deleted_at IS NULL`, [id, orgId]),
     pool.query(
-      `SELECT cdv.*, u.first_name, u.last_name
+      `SELECT cdv.*, u.first_name, u.last_name, cvt.status AS text_status
        FROM contract_document_versions cdv
        LEFT JOIN users u ON u.id = cdv.uploaded_by
+       LEFT JOIN contract_version_texts cvt ON cvt.version_id = cdv.id
        WHERE cdv.contract_id=$1
        ORDER BY cdv.version_major DESC, cdv.version_minor DESC, cdv.created_at DESC`, [id]),
     pool.query(
@@ -328,7 +340,7 @@ async function createContract(orgId, userId, data) {
     title, contractType = 'custom',
     dealId,
     parentContractId,
-    value, currency = 'USD',
+    value,
     effectiveDate, expiryDate,
     documentUrl, documentProvider = 'other', documentComment,
     customerLegalName,
@@ -344,6 +356,14 @@ async function createContract(orgId, userId, data) {
 
   if (!title?.trim()) { const e = new Error('Title is required'); e.status = 400; throw e; }
 
+  // Currency: explicit, else the linked deal's, else the org corporate currency.
+  let currency = CurrencyService.normalizeCurrency(data.currency);
+  if (!currency && dealId) {
+    const d = await pool.query(`SELECT currency FROM deals WHERE id = $1 AND org_id = $2`, [dealId, orgId]);
+    currency = d.rows[0]?.currency || null;
+  }
+  if (!currency) currency = await CurrencyService.getCorporateCurrency(orgId);
+
   if (companyEntity && !['us','uk','de'].includes(companyEntity)) {
     const e = new Error('companyEntity must be us, uk, or de'); e.status = 400; throw e;
   }
@@ -472,7 +492,7 @@ async function updateContract(orgId, id, userId, data) {
      WHERE id=$1 AND org_id=$2 RETURNING *`,
     [
       id, orgId,
-      title || null, value || null, currency || null,
+      title || null, value || null, CurrencyService.normalizeCurrency(currency),
       customerLegalName || null, companyEntity || null,
       arrImpact ?? null, effectiveDate || null, expiryDate || null,
       dealId || null, parentContractId || null,
@@ -810,8 +830,29 @@ async function sendForSignature(orgId, contractId, userId) {
 // Remaining transitions (unchanged from v1 service)
 // ═══════════════════════════════════════════════════════════════════
 
+// Fired after the transaction commits, and only on the transition INTO a
+// signed state — re-uploading an executed copy is not a second signature.
+const SIGNED_STATES = ['pending_booking', 'active'];
+function emitSigned(orgId, row, userId, via) {
+  if (SIGNED_STATES.includes(row.status)) return;
+  OutboundWebhooks.emit(orgId, 'contract.signed', {
+    contract: {
+      id:           row.id,
+      title:        row.title,
+      contractType: row.contract_type,
+      dealId:       row.deal_id,
+      value:        row.value ? parseFloat(row.value) : null,
+      currency:     row.currency,
+      ownerId:      row.owner_id,
+    },
+    via,
+    signedBy: userId,
+  });
+}
+
 async function markSigned(orgId, contractId, userId) {
-  return withOrgTransaction(orgId, async (client) => {
+  let before;
+  const result = await withOrgTransaction(orgId, async (client) => {
     const r = await client.query(
       `SELECT * FROM contracts WHERE id=$1 AND org_id=$2 AND deleted_at IS NULL FOR UPDATE`,
       [contractId, orgId]
@@ -826,8 +867,11 @@ async function markSigned(orgId, contractId, userId) {
       [contractId, orgId]
     );
     await logEvent(client, { contractId, orgId, eventType: 'signed_by_external', actorId: userId });
+    before = r.rows[0];
     return { ownerId: r.rows[0].owner_id, title: r.rows[0].title };
   });
+  emitSigned(orgId, before, userId, 'marked_signed');
+  return result;
 }
 
 async function confirmBooking(orgId, contractId, userId) {
@@ -987,12 +1031,14 @@ async function uploadExecutedDocument(orgId, contractId, userId, data) {
   const { documentUrl, documentProvider = 'other', versionComment } = data;
   if (!documentUrl) { const e = new Error('documentUrl required'); e.status = 400; throw e; }
 
-  return withOrgTransaction(orgId, async (client) => {
+  let before;
+  const result = await withOrgTransaction(orgId, async (client) => {
     const cr = await client.query(
       `SELECT * FROM contracts WHERE id=$1 AND org_id=$2 AND deleted_at IS NULL FOR UPDATE`,
       [contractId, orgId]
     );
     if (!cr.rows[0]) { const e = new Error('Not found'); e.status = 404; throw e; }
+    before = cr.rows[0];
 
     const { major, minor, label } = await nextVersionNumbers(client, contractId, 'major');
 
@@ -1041,6 +1087,8 @@ async function uploadExecutedDocument(orgId, contractId, userId, data) {
       ownerId: cr.rows[0].owner_id,
     };
   });
+  emitSigned(orgId, before, userId, 'executed_document_uploaded');
+  return result;
 }
 
 async function amendContract(orgId, contractId, userId) {
@@ -1172,7 +1220,9 @@ async function addNote(orgId, contractId, userId, note) {
 async function expireContracts() {
   const r = await pool.query(
     `UPDATE contracts SET status='expired', updated_at=NOW()
-     WHERE status='active' AND expiry_date < CURRENT_DATE RETURNING id, org_id`
+     WHERE status='active' AND expiry_date < CURRENT_DATE
+       AND NOT (auto_renew AND non_renewal_notice_at IS NULL)   -- rolled by contractRenewal.autoRenewDue
+     RETURNING id, org_id`
   );
   for (const row of r.rows) {
     await pool.query(
@@ -28,6 +28,14 @@
  *   - lifecycle_stage determines contact vs prospect split
  *   - No native org hierarchy — getUsers/getRoleHierarchy return what's available
  *   - Products (line items) available via /crm/v3/objects/line_items
+ *
+ * Write-back (createActivity):
+ *   Completed GoWarm actions become engagements — calls, emails, meetings,
+ *   tasks or notes — created with their deal/company/contact associations in
+ *   one POST. The inbound sync never reads engagements, so there is no echo
+ *   loop to break; the body is still stamped "Completed via GoWarm" so reps
+ *   in HubSpot can tell where the record came from.
+ *   Requires the crm.objects.contacts.write scope (see hubspot.auth.js).
  */
 
 const axios    = require('axios');
@@ -49,6 +57,26 @@ const CONTACT_LIFECYCLE_STAGES = new Set([
   'customer', 'evangelist', 'opportunity', 'salesqualifiedlead',
 ]);
 
+// GoWarm action type → HubSpot engagement object. Unknown → task.
+const ACTION_TYPE_TO_HS_ENGAGEMENT = {
+  email:        'emails',
+  call:         'calls',
+  meeting_prep: 'meetings',
+  demo:         'meetings',
+  follow_up:    'tasks',
+  proposal:     'tasks',
+  research:     'notes',
+};
+
+// HUBSPOT_DEFINED association type IDs: engagement → deal / company / contact.
+const HS_ENGAGEMENT_ASSOCIATION_TYPES = {
+  calls:    { deal: 206, company: 182, contact: 194 },
+  emails:   { deal: 210, company: 186, contact: 198 },
+  meetings: { deal: 212, company: 188, contact: 200 },
+  tasks:    { deal: 216, company: 192, contact: 204 },
+  notes:    { deal: 214, company: 190, contact: 202 },
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 class HubSpotAdapter {
@@ -96,6 +124,18 @@ class HubSpotAdapter {
     }
   }
 
+  async _post(path, body) {
+    try {
+      const res = await axios.post(`${HS_API}${path}`, body, {
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+      });
+      return res.data;
+    } catch (err) {
+      const detail = err.response?.data?.message || err.message;
+      throw new Error(`HubSpot POST ${path}: ${detail}`);
+    }
+  }
+
   // ── ACCOUNTS (HubSpot Company → NormalizedAccount) ────────────────────────
 
   async getAccounts(cursor = null) {
@@ -231,7 +271,7 @@ class HubSpotAdapter {
     const properties = [
       'dealname', 'amount', 'dealstage', 'closedate', 'hs_deal_stage_probability',
       'description', 'hubspot_owner_id', 'associatedcompanyid',
-      'hs_lastmodifieddate',
+      'hs_lastmodifieddate', 'deal_currency_code',
     ];
 
     const params = {
@@ -279,6 +319,7 @@ class HubSpotAdapter {
                            ? Math.round(parseFloat(p.hs_deal_stage_probability) * 100)
                            : 50,
       notes:             p.description || null,
+      currency:          p.deal_currency_code || null,
       lastModified:      p.hs_lastmodifieddate,
       externalRefs:      buildExternalRefs(CRM_TYPE, r.id, 'Deal', p.hs_lastmodifieddate),
       customFieldValues: _collectCustomValues(p, this._customFields.Deal),
@@ -489,6 +530,69 @@ class HubSpotAdapter {
     }
   }
 
+  // ── WRITE-BACK (completed GoWarm action → HubSpot engagement) ─────────────
+
+  /**
+   * Create a completed engagement for a GoWarm action. Called by writeBack.js,
+   * which owns dedup, gating and resolving the CRM IDs passed in `links`.
+   *
+   * Unlike SF's single WhatId, HubSpot engagements can associate to the deal,
+   * the company and the contact at once — all resolved links are attached.
+   *
+   * @param {object} action  - Row from writeBack's action query
+   * @param {{ dealCrmId: string|null, accountCrmId: string|null, contactCrmId: string|null }} links
+   * @returns {{ crmId: string, objectType: string }}
+   */
+  async createActivity(action, links) {
+    const objectType = ACTION_TYPE_TO_HS_ENGAGEMENT[action.type] || 'tasks';
+    const timestamp  = (action.completed_at ? new Date(action.completed_at) : new Date()).toISOString();
+    const title      = action.title ? `[GoWarm] ${action.title}` : '[GoWarm] Action completed';
+    const body       = [
+      action.description || '',
+      action.context     || '',
+      `— Completed via GoWarm on ${timestamp.split('T')[0]}`,
+    ].filter(Boolean).join('\n\n').trim();
+
+    const properties = { hs_timestamp: timestamp };
+    switch (objectType) {
+      case 'calls':
+        Object.assign(properties, { hs_call_title: title, hs_call_body: body, hs_call_status: 'COMPLETED' });
+        break;
+      case 'emails':
+        Object.assign(properties, { hs_email_subject: title, hs_email_text: body, hs_email_direction: 'EMAIL', hs_email_status: 'SENT' });
+        break;
+      case 'meetings':
+        Object.assign(properties, {
+          hs_meeting_title:      title,
+          hs_meeting_body:       body,
+          hs_meeting_start_time: timestamp,
+          hs_meeting_end_time:   timestamp,
+          hs_meeting_outcome:    'COMPLETED',
+        });
+        break;
+      case 'notes':
+        properties.hs_note_body = `${title}\n\n${body}`;
+        break;
+      default:
+        Object.assign(properties, { hs_task_subject: title, hs_task_body: body, hs_task_status: 'COMPLETED' });
+    }
+
+    const typeIds = HS_ENGAGEMENT_ASSOCIATION_TYPES[objectType];
+    const associations = [
+      [links.dealCrmId,    typeIds.deal],
+      [links.accountCrmId, typeIds.company],
+      [links.contactCrmId, typeIds.contact],
+    ]
+      .filter(([id]) => id)
+      .map(([id, typeId]) => ({
+        to:    { id: String(id) },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: typeId }],
+      }));
+
+    const data = await this._post(`/crm/v3/objects/${objectType}`, { properties, associations });
+    return { crmId: String(data.id), objectType };
+  }
+
   // ── OWNER RESOLUTION ──────────────────────────────────────────────────────
 
   /**
@@ -0,0 +1,564 @@
+/**
+ * crm/adapters/pipedrive.adapter.js
+ *
+ * DROP-IN LOCATION: backend/services/crm/adapters/pipedrive.adapter.js
+ *
+ * Pipedrive CRM adapter — implements the same interface as salesforce.adapter.js.
+ * The orchestrator calls these methods identically regardless of CRM type.
+ *
+ * Pipedrive API v1 mapping:
+ *   Organizations → NormalizedAccount   (GET /v1/organizations)
+ *   Persons       → NormalizedContact   (GET /v1/persons)
+ *   Deals         → NormalizedDeal      (GET /v1/deals)
+ *   Participants  → NormalizedDealContact (GET /v1/deals/:id/participants)
+ *   Deal products → NormalizedDealProduct (GET /v1/deals/:id/products)
+ *   Stages        → stage picklist      (GET /v1/stages + /v1/pipelines)
+ *   Users / Roles → NormalizedUser      (GET /v1/users, /v1/roles)
+ *
+ * Cursor strategy:
+ *   Cursor = the last update_time seen ('YYYY-MM-DD HH:MM:SS', UTC) — the
+ *   LastModifiedDate analog. Initial sync: list endpoint sorted
+ *   update_time ASC. Incremental: GET /v1/recents?since_timestamp=<cursor>,
+ *   which returns exactly the records changed since. Up to MAX_RECORDS per
+ *   object per run, same budget idea as the SF adapter.
+ *
+ * Key differences from Salesforce / HubSpot:
+ *   - Every API call goes to the company's own api_domain (pipedrive.auth.js)
+ *   - Won/lost is a deal STATUS, not a stage: a won deal keeps its last stage.
+ *     stageCrmKey is therefore 'won' / 'lost' for closed deals and the stage
+ *     id otherwise; getOpportunityStages() lists both synthetic keys so the
+ *     Stage Mapping UI can map them like any other stage.
+ *   - Stage keys are stage IDs (stable across renames), labelled
+ *     "<pipeline> › <stage>" for the mapping UI.
+ *   - Custom fields are 40-char hash keys on the record itself; field_map
+ *     stores the hash as sf_field, same as a SF API name.
+ *   - No Leads sync: Pipedrive leads are unqualified deals attached to a
+ *     person, not a standalone person record. getLeads() returns nothing and
+ *     'Lead' is left out of the default sync_objects.
+ *   - Hierarchy comes from Pipedrive roles (parent_role_id); a user's manager
+ *     is the first active user holding the parent role.
+ */
+
+const axios    = require('axios');
+const {
+  employeesToSize,
+  normalizeProductType,
+  normalizeHierarchyRole,
+  buildExternalRefs,
+} = require('../mapper');
+const { getCustomFieldMappings } = require('../customFieldSync');
+
+const CRM_TYPE    = 'pipedrive';
+const PAGE_LIMIT  = 500;   // Pipedrive max per page
+const MAX_RECORDS = 1500;  // per object per run
+
+// Synthetic stage keys for closed deals (see header)
+const WON_STAGE_KEY  = 'won';
+const LOST_STAGE_KEY = 'lost';
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+class PipedriveAdapter {
+  constructor(orgId) {
+    this.orgId       = orgId;
+    this.accessToken = null;
+    this.apiDomain   = null;
+    this.fieldMap    = [];
+    this._customFields = {};
+    this._usersById  = null; // lazy Map<userId, { email, name, ... }>
+  }
+
+  async init() {
+    const { getValidToken } = require('../../pipedrive.auth');
+    const { pool }          = require('../../../config/database');
+
+    const { accessToken, apiDomain } = await getValidToken(this.orgId);
+    if (!apiDomain) throw new Error(`Pipedrive api_domain missing for org ${this.orgId} — reconnect`);
+    this.accessToken = accessToken;
+    this.apiDomain   = apiDomain.replace(/\/$/, '');
+
+    const intRes = await pool.query(
+      `SELECT settings FROM org_integrations WHERE org_id = $1 AND integration_type = 'pipedrive'`,
+      [this.orgId]
+    );
+    this.fieldMap = intRes.rows[0]?.settings?.field_map || [];
+
+    // Pre-compute custom field lookups (same pattern as SF/HS adapters)
+    this._customFields = {
+      Organization: _buildCustomLookup(getCustomFieldMappings(this.fieldMap, 'Organization', 'account')),
+      Person:       _buildCustomLookup(getCustomFieldMappings(this.fieldMap, 'Person',       'contact')),
+      Deal:         _buildCustomLookup(getCustomFieldMappings(this.fieldMap, 'Deal',         'deal')),
+    };
+  }
+
+  // ── Core HTTP helper ──────────────────────────────────────────────────────
+
+  async _get(path, params = {}) {
+    try {
+      const res = await axios.get(`${this.apiDomain}/api${path}`, {
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+        params,
+      });
+      return res.data;
+    } catch (err) {
+      const detail = err.response?.data?.error || err.message;
+      throw new Error(`Pipedrive GET ${path}: ${detail}`);
+    }
+  }
+
+  /**
+   * Pull up to MAX_RECORDS changed records of one object type.
+   * No cursor → list endpoint sorted by update_time; cursor → /v1/recents.
+   *
+   * @param {string} listPath    - e.g. '/v1/deals'
+   * @param {string} recentsItem - e.g. 'deal'
+   * @param {string|null} cursor
+   * @param {object} [listParams]
+   * @returns {{ rows: object[], nextCursor: string|null }}
+   */
+  async _pullChanged(listPath, recentsItem, cursor, listParams = {}) {
+    const rows = [];
+    let start = 0;
+
+    while (rows.length < MAX_RECORDS) {
+      const data = cursor
+        ? await this._get('/v1/recents', {
+            since_timestamp: cursor, items: recentsItem, start, limit: PAGE_LIMIT,
+          })
+        : await this._get(listPath, {
+            ...listParams, sort: 'update_time ASC', start, limit: PAGE_LIMIT,
+          });
+
+      const page = (data.data || []).map(r => (cursor ? r.data : r)).filter(Boolean);
+      rows.push(...page);
+
+      const pg = data.additional_data?.pagination;
+      if (!pg?.more_items_in_collection) break;
+      start = pg.next_start;
+    }
+
+    const last = rows.reduce((max, r) => (r.update_time && r.update_time > max ? r.update_time : max), cursor || '');
+    return { rows, nextCursor: rows.length > 0 && last ? last : null };
+  }
+
+  // ── ACCOUNTS (Pipedrive Organization → NormalizedAccount) ─────────────────
+
+  async getAccounts(cursor = null) {
+    const { rows, nextCursor } = await this._pullChanged('/v1/organizations', 'organization', cursor);
+    const users = await this._getUsersById();
+    const records = rows
+      .filter(r => r.active_flag !== false)
+      .map(r => this._normalizeOrganization(r, users));
+    return { records, nextCursor };
+  }
+
+  _normalizeOrganization(r, users) {
+    const location = [r.address_locality, r.address_admin_area_level_1, r.address_country]
+      .filter(Boolean).join(', ') || r.address || null;
+
+    return {
+      crmId:        String(r.id),
+      name:         r.name || 'Unknown Organization',
+      domain:       _domainFromWebsite(this._resolveField(r, 'Organization', 'account.domain')),
+      industry:     this._resolveField(r, 'Organization', 'account.industry') || null,
+      size:         employeesToSize(this._resolveField(r, 'Organization', 'account.size')),
+      location,
+      description:  this._resolveField(r, 'Organization', 'account.description') || null,
+      ownerEmail:   _ownerEmail(r.owner_id, users),
+      lastModified: r.update_time,
+      externalRefs: buildExternalRefs(CRM_TYPE, String(r.id), 'Organization', r.update_time),
+      customFieldValues: _collectCustomValues(r, this._customFields.Organization),
+    };
+  }
+
+  // ── CONTACTS (Pipedrive Person → NormalizedContact) ───────────────────────
+
+  async getContacts(cursor = null) {
+    const { rows, nextCursor } = await this._pullChanged('/v1/persons', 'person', cursor);
+    const users = await this._getUsersById();
+    const records = rows
+      .filter(r => r.active_flag !== false)
+      .map(r => this._normalizePerson(r, users));
+    return { records, nextCursor };
+  }
+
+  _normalizePerson(r, users) {
+    const [fallbackFirst, ...rest] = (r.name || '').trim().split(/\s+/);
+
+    return {
+      crmId:                 String(r.id),
+      accountCrmId:          _idOf(r.org_id) != null ? String(_idOf(r.org_id)) : null,
+      firstName:             r.first_name || fallbackFirst || 'Unknown',
+      lastName:              r.last_name  || rest.join(' ') || 'Unknown',
+      email:                 _primaryValue(r.email)?.toLowerCase().trim() || null,
+      phone:                 _primaryValue(r.phone) || null,
+      title:                 this._resolveField(r, 'Person', 'contact.title') || r.job_title || null,
+      location:              this._resolveField(r, 'Person', 'contact.location') || null,
+      linkedinUrl:           this._resolveField(r, 'Person', 'contact.linkedin_url') || null,
+      reportsToContactCrmId: null, // Pipedrive has no reports-to
+      ownerEmail:            _ownerEmail(r.owner_id, users),
+      lastModified:          r.update_time,
+      externalRefs:          buildExternalRefs(CRM_TYPE, String(r.id), 'Person', r.update_time),
+      customFieldValues:     _collectCustomValues(r, this._customFields.Person),
+    };
+  }
+
+  // ── DEALS (Pipedrive Deal → NormalizedDeal) ───────────────────────────────
+
+  async getDeals(cursor = null) {
+    // status=all_not_deleted so won/lost deals sync too (default is open only)
+    const { rows, nextCursor } = await this._pullChanged(
+      '/v1/deals', 'deal', cursor, { status: 'all_not_deleted' }
+    );
+    const users = await this._getUsersById();
+    const records = rows
+      .filter(r => r.status !== 'deleted')
+      .map(r => this._normalizeDeal(r, users));
+    return { records, nextCursor };
+  }
+
+  _normalizeDeal(r, users) {
+    const orgId = _idOf(r.org_id);
+
+    return {
+      crmId:             String(r.id),
+      accountCrmId:      orgId != null ? String(orgId) : null,
+      ownerEmail:        _ownerEmail(r.user_id, users),
+      name:              r.title || 'Unnamed Deal',
+      value:             parseFloat(r.value) || 0,
+      stageCrmKey:       dealStageKey(r),
+      expectedCloseDate: r.expected_close_date || null,
+      probability:       r.status === 'won'  ? 100
+                       : r.status === 'lost' ? 0
+                       : r.probability != null ? Math.round(parseFloat(r.probability)) : 50,
+      notes:             this._resolveField(r, 'Deal', 'deal.notes') || null,
+      currency:          r.currency || null,
+      lastModified:      r.update_time,
+      externalRefs:      buildExternalRefs(CRM_TYPE, String(r.id), 'Deal', r.update_time),
+      customFieldValues: _collectCustomValues(r, this._customFields.Deal),
+    };
+  }
+
+  // ── LEADS ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Pipedrive leads are not person records (see header) — nothing to sync
+   * as prospects. Present so the adapter interface is complete.
+   */
+  async getLeads() {
+    return { records: [], nextCursor: null };
+  }
+
+  // ── DEAL CONTACTS (participants) ──────────────────────────────────────────
+
+  async getDealContacts(dealCrmId) {
+    try {
+      const data = await this._get(`/v1/deals/${dealCrmId}/participants`, { limit: 100 });
+      const rows = data.data || [];
+
+      return rows
+        .map(p => _idOf(p.person_id) ?? p.person?.id)
+        .filter(id => id != null)
+        .map((personId, idx) => ({
+          dealCrmId,
+          contactCrmId: String(personId),
+          role:         null,      // Pipedrive participants carry no role
+          isPrimary:    idx === 0, // participants list the deal's main person first
+        }));
+    } catch (err) {
+      console.warn(`  ⚠️  [PD] getDealContacts for ${dealCrmId}: ${err.message} — skipping`);
+      return [];
+    }
+  }
+
+  // ── DEAL PRODUCTS ─────────────────────────────────────────────────────────
+
+  async getDealProducts(dealCrmId) {
+    try {
+      const data = await this._get(`/v1/deals/${dealCrmId}/products`, { limit: 100 });
+      return (data.data || []).map(item => this._normalizeDealProduct(item));
+    } catch (err) {
+      console.warn(`  ⚠️  [PD] getDealProducts for ${dealCrmId}: ${err.message} — skipping`);
+      return [];
+    }
+  }
+
+  _normalizeDealProduct(item) {
+    const billingFreq = _normalizeBillingFrequency(item.billing_frequency);
+    const { productType } = normalizeProductType(billingFreq || '');
+    const unitPrice = parseFloat(item.item_price) || 0;
+    const quantity  = parseFloat(item.quantity) || 1;
+
+    // discount is a percentage or an absolute amount depending on discount_type
+    let discountPct = parseFloat(item.discount) || 0;
+    if (item.discount_type === 'amount' && unitPrice * quantity > 0) {
+      discountPct = Math.round((discountPct / (unitPrice * quantity)) * 10000) / 100;
+    }
+
+    return {
+      crmId:            String(item.id),
+      name:             item.name || 'Unknown Product',
+      sku:              item.product_id != null ? String(item.product_id) : null,
+      quantity,
+      unitPrice,
+      discountPct,
+      productType,
+      billingFrequency: billingFreq,
+      contractTerm:     _cyclesToMonths(billingFreq, item.billing_frequency_cycles),
+      effectiveDate:    item.billing_start_date || null,
+      renewalDate:      null,
+      categoryName:     null,
+      description:      item.comments || null,
+    };
+  }
+
+  // ── USERS (Pipedrive Users + Roles → NormalizedUser) ──────────────────────
+
+  async getUsers() {
+    try {
+      const users = [...(await this._getUsersById()).values()].filter(u => u.active_flag);
+      const roles = await this.getRoleHierarchy();
+      const roleById = new Map(roles.map(r => [r.crmId, r]));
+
+      // First active user holding each role — the "manager" of its child roles
+      const holderByRole = new Map();
+      for (const u of users) {
+        if (u.role_id != null && !holderByRole.has(String(u.role_id))) {
+          holderByRole.set(String(u.role_id), u);
+        }
+      }
+
+      return users.map(u => {
+        const role       = u.role_id != null ? roleById.get(String(u.role_id)) : null;
+        const parentUser = role?.parentCrmId ? holderByRole.get(role.parentCrmId) : null;
+        return {
+          crmId:         String(u.id),
+          email:         u.email?.toLowerCase().trim() || null,
+          name:          u.name || null,
+          managerEmail:  parentUser?.email?.toLowerCase().trim() || null,
+          hierarchyRole: u.is_admin && !role ? 'manager' : normalizeHierarchyRole(role?.name || ''),
+          teamName:      role?.name || null,
+          roleName:      role?.name || null,
+          isActive:      !!u.active_flag,
+        };
+      });
+    } catch (err) {
+      console.warn(`  ⚠️  [PD] getUsers: ${err.message}`);
+      return [];
+    }
+  }
+
+  // ── ROLE HIERARCHY ────────────────────────────────────────────────────────
+
+  async getRoleHierarchy() {
+    try {
+      const data = await this._get('/v1/roles', { limit: 500 });
+      return (data.data || []).map(r => ({
+        crmId:       String(r.id),
+        name:        r.name,
+        parentCrmId: r.parent_role_id != null ? String(r.parent_role_id) : null,
+      }));
+    } catch (err) {
+      // /v1/roles needs the admin scope — degrade to a flat org
+      console.warn(`  ⚠️  [PD] getRoleHierarchy: ${err.message}`);
+      return [];
+    }
+  }
+
+  // ── STAGE PICKLIST ────────────────────────────────────────────────────────
+
+  /**
+   * Return every deal stage across all pipelines, plus the synthetic
+   * won/lost status keys. Used by the Stage Mapping tab.
+   */
+  async getOpportunityStages() {
+    try {
+      const [stagesRes, pipelinesRes] = await Promise.all([
+        this._get('/v1/stages'),
+        this._get('/v1/pipelines'),
+      ]);
+      const pipelines = new Map((pipelinesRes.data || []).map(p => [p.id, p.name]));
+      const multi     = pipelines.size > 1;
+
+      const stages = (stagesRes.data || [])
+        .filter(s => s.active_flag !== false)
+        .sort((a, b) => (a.pipeline_id - b.pipeline_id) || (a.order_nr - b.order_nr))
+        .map(s => ({
+          value:    String(s.id),
+          label:    multi ? `${pipelines.get(s.pipeline_id) || 'Pipeline'} › ${s.name}` : s.name,
+          isWon:    false,
+          isClosed: false,
+        }));
+
+      return [
+        ...stages,
+        { value: WON_STAGE_KEY,  label: 'Won (deal status)',  isWon: true,  isClosed: true },
+        { value: LOST_STAGE_KEY, label: 'Lost (deal status)', isWon: false, isClosed: true },
+      ];
+    } catch (err) {
+      console.warn(`  ⚠️  [PD] getOpportunityStages: ${err.message}`);
+      return [];
+    }
+  }
+
+  // ── USER RESOLUTION ───────────────────────────────────────────────────────
+
+  /**
+   * All company users, fetched once per adapter instance.
+   * Recents payloads carry owner IDs as bare numbers, so owner email always
+   * resolves through this map rather than the embedded owner object.
+   */
+  async _getUsersById() {
+    if (this._usersById) return this._usersById;
+    const map = new Map();
+    try {
+      const data = await this._get('/v1/users');
+      for (const u of (data.data || [])) map.set(String(u.id), u);
+    } catch (err) {
+      console.warn(`  ⚠️  [PD] _getUsersById: ${err.message}`);
+    }
+    this._usersById = map;
+    return map;
+  }
+
+  // ── FIELD MAP RESOLVER ────────────────────────────────────────────────────
+
+  /**
+   * Look up a field value from a Pipedrive record using field_map config.
+   * Same stripping logic as SF/HS adapters — handles 'entity.field' prefixes.
+   * Option-type custom fields come back as option IDs; the raw value is
+   * returned and left to the field_map owner to interpret.
+   */
+  _resolveField(record, pdObject, gwField) {
+    const bareField = gwField.includes('.')
+      ? gwField.split('.').slice(1).join('.')
+      : gwField;
+
+    const mapping = this.fieldMap.find(
+      m => m.sf_object === pdObject && (
+        m.gw_field === bareField ||
+        m.gw_field === gwField
+      )
+    );
+    if (!mapping) return null;
+    const v = record[mapping.sf_field];
+    return v && typeof v === 'object' && 'value' in v ? v.value : (v ?? null);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRIVATE HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The stage key a deal is mapped by: 'won' / 'lost' for closed deals,
+ * the stage id otherwise. Exported for stageHistory.js, which must key
+ * historical transitions the same way the live sync does.
+ */
+function dealStageKey(deal) {
+  if (deal.status === 'won')  return WON_STAGE_KEY;
+  if (deal.status === 'lost') return LOST_STAGE_KEY;
+  return deal.stage_id != null ? String(deal.stage_id) : null;
+}
+
+/**
+ * Pipedrive relation fields are either a bare id or an expanded object
+ * ({ value, name, ... } for org/person, { id, email, ... } for users).
+ */
+function _idOf(v) {
+  if (v == null) return null;
+  if (typeof v === 'object') return v.value ?? v.id ?? null;
+  return v;
+}
+
+function _ownerEmail(ownerField, usersById) {
+  if (ownerField && typeof ownerField === 'object' && ownerField.email) {
+    return ownerField.email.toLowerCase().trim();
+  }
+  const id = _idOf(ownerField);
+  const u  = id != null ? usersById.get(String(id)) : null;
+  return u?.email?.toLowerCase().trim() || null;
+}
+
+/**
+ * Persons carry email/phone as [{ value, primary, label }].
+ */
+function _primaryValue(list) {
+  if (!Array.isArray(list)) return typeof list === 'string' ? list : null;
+  const hit = list.find(e => e.primary && e.value) || list.find(e => e.value);
+  return hit?.value || null;
+}
+
+function _domainFromWebsite(website) {
+  if (!website) return null;
+  try {
+    const url = website.includes('://') ? website : `https://${website}`;
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalise Pipedrive billing_frequency to GoWarm enum.
+ * Pipedrive: one-time | weekly | monthly | quarterly | semi-annually | annually
+ */
+function _normalizeBillingFrequency(freq) {
+  if (!freq || freq === 'one-time') return null;
+  if (freq === 'monthly' || freq === 'weekly') return 'monthly';
+  if (freq === 'quarterly')                    return 'quarterly';
+  if (freq === 'annually' || freq === 'semi-annually') return 'annual';
+  return null;
+}
+
+function _cyclesToMonths(billingFreq, cycles) {
+  const n = parseInt(cycles, 10);
+  if (!billingFreq || !n) return null;
+  const perCycle = { monthly: 1, quarterly: 3, annual: 12 }[billingFreq];
+  return perCycle ? perCycle * n : null;
+}
+
+/**
+ * Build a Map<pdField, gwField> lookup for fast custom value collection.
+ * Identical to SF/HS adapter helper — shared pattern.
+ */
+function _buildCustomLookup(customMappings) {
+  const map = new Map();
+  for (const m of customMappings) map.set(m.sf_field, m.gw_field);
+  return map;
+}
+
+/**
+ * Collect custom field values from a Pipedrive record.
+ * Identical to SF/HS adapter helper — shared pattern.
+ */
+function _collectCustomValues(record, customLookup) {
+  if (!customLookup || customLookup.size === 0) return {};
+  const result = {};
+  for (const [pdField, gwField] of customLookup) {
+    if (Object.prototype.hasOwnProperty.call(record, pdField)) {
+      const v = record[pdField];
+      result[gwField] = v && typeof v === 'object' && 'value' in v ? v.value : (v ?? null);
+    }
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FACTORY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an initialised PipedriveAdapter for an org.
+ * Always use this factory.
+ *
+ * @param {number} orgId
+ * @returns {PipedriveAdapter}
+ */
+async function createPipedriveAdapter(orgId) {
+  const adapter = new PipedriveAdapter(orgId);
+  await adapter.init();
+  return adapter;
+}
+
+module.exports = { PipedriveAdapter, createPipedriveAdapter, dealStageKey };
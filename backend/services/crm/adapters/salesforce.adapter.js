@@ -8,6 +8,7 @@
  *
  * Responsibilities:
  *   - All SF API calls (SOQL, object describe, record CRUD)
+ *   - Write-back: completed GoWarm action → SF Task (createActivity)
  *   - Translate SF field names and values → NormalizedShape
  *   - SF-specific concerns: compound address fields, picklist values,
  *     OpportunityContactRoles, OpportunityLineItems, UserRole hierarchy
@@ -37,6 +38,17 @@ const { getCustomFieldMappings } = require('../customFieldSync');
 const CRM_TYPE = 'salesforce';
 const MAX_RECORDS = 1500;
 
+// GoWarm action type → SF Task Type string (write-back). Unknown → 'Task'.
+const ACTION_TYPE_TO_SF_TASK = {
+  email:         'Email',
+  call:          'Call',
+  meeting_prep:  'Meeting',
+  demo:          'Demo',
+  follow_up:     'Task',
+  proposal:      'Task',
+  research:      'Task',
+};
+
 class SalesforceAdapter {
   /**
    * @param {number} orgId
@@ -476,6 +488,51 @@ class SalesforceAdapter {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // WRITE-BACK  (completed GoWarm action → SF Task)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Create a completed SF Task for a GoWarm action. Called by writeBack.js,
+   * which owns dedup, gating and resolving the CRM IDs passed in `links`.
+   *
+   * Linking: WhatId takes the Opportunity, falling back to the Account;
+   * WhoId takes the Contact. The Task is stamped GoWarm_Source__c so the
+   * inbound sync never re-imports it.
+   *
+   * @param {object} action  - Row from writeBack's action query
+   * @param {{ dealCrmId: string|null, accountCrmId: string|null, contactCrmId: string|null }} links
+   * @returns {{ crmId: string, objectType: string }}
+   */
+  async createActivity(action, links) {
+    const activityDate = _activityDate(action.completed_at);
+
+    const description = [
+      action.description || '',
+      action.context     || '',
+      `\n— Completed via GoWarm on ${activityDate}`,
+    ].filter(Boolean).join('\n\n').trim();
+
+    const task = {
+      Subject:          action.title ? `[GoWarm] ${action.title}` : '[GoWarm] Action completed',
+      Status:           'Completed',
+      ActivityDate:     activityDate,
+      Description:      description || null,
+      Type:             ACTION_TYPE_TO_SF_TASK[action.type] || 'Task',
+      GoWarm_Source__c: 'GoWarm',   // Echo-loop prevention flag
+    };
+
+    const whatId = links.dealCrmId || links.accountCrmId;
+    if (whatId)             task.WhatId = whatId;
+    if (links.contactCrmId) task.WhoId  = links.contactCrmId;
+
+    // OwnerId is left unset — SF defaults it to the connected user. A future
+    // enhancement could maintain a GoWarm user → SF user map.
+
+    const crmId = await this.client.createTask(task);
+    return { crmId, objectType: 'Task' };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // FIELD MAP RESOLVER (internal)
   // ─────────────────────────────────────────────────────────────────────────
@@ -542,6 +599,13 @@ function _buildLeadLocation(rec) {
   return parts.length ? parts.join(', ') : null;
 }
 
+/**
+ * SF Task ActivityDate must be a date string (YYYY-MM-DD).
+ */
+function _activityDate(completedAt) {
+  return (completedAt ? new Date(completedAt) : new Date()).toISOString().split('T')[0];
+}
+
 function _ratingToScore(rating) {
   const map = { Hot: 90, Warm: 65, Cold: 30 };
   return map[rating] ?? null;
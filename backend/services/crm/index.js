@@ -14,22 +14,26 @@
  * Adding a new CRM adapter (e.g. HubSpot):
  *   1. Create backend/services/crm/adapters/hubspot.adapter.js
  *      implementing the same interface as salesforce.adapter.js
- *   2. Add 'hubspot' case to _createAdapter() below
+ *   2. Add 'hubspot' case to createAdapter() below
  *   3. No other changes needed — orchestrator handles the rest
+ *   4. Optional: implement createActivity() and add the type to
+ *      WRITE_BACK_CRM_TYPES in writeBack.js to push completed actions back
  */
 
 const { runSyncForOrg: _runSyncForOrg, getConnectedOrgs } = require('./orchestrator');
 const { createSalesforceAdapter } = require('./adapters/salesforce.adapter');
 const { createHubSpotAdapter }    = require('./adapters/hubspot.adapter');
+const { createPipedriveAdapter }  = require('./adapters/pipedrive.adapter');
 
 /**
  * Adapter factory — returns an initialised adapter for a given CRM type.
+ * Also used by writeBack.js, which drives the same adapters outbound.
  *
  * @param {number} orgId
- * @param {string} crmType  - 'salesforce' | 'hubspot'
+ * @param {string} crmType  - 'salesforce' | 'hubspot' | 'pipedrive'
  * @returns {object}  Initialised adapter instance
  */
-async function _createAdapter(orgId, crmType) {
+async function createAdapter(orgId, crmType) {
   switch (crmType) {
     case 'salesforce':
       return createSalesforceAdapter(orgId);
@@ -37,8 +41,11 @@ async function _createAdapter(orgId, crmType) {
     case 'hubspot':
       return createHubSpotAdapter(orgId);
 
+    case 'pipedrive':
+      return createPipedriveAdapter(orgId);
+
     default:
-      throw new Error(`Unknown CRM type: ${crmType}. Supported: salesforce, hubspot`);
+      throw new Error(`Unknown CRM type: ${crmType}. Supported: salesforce, hubspot, pipedrive`);
   }
 }
 
@@ -51,11 +58,12 @@ async function _createAdapter(orgId, crmType) {
  * @returns {{ results: object, errors: string[] }}
  */
 async function runSyncForOrg(orgId, crmType = 'salesforce') {
-  const adapter = await _createAdapter(orgId, crmType);
+  const adapter = await createAdapter(orgId, crmType);
   return _runSyncForOrg(orgId, crmType, adapter);
 }
 
 module.exports = {
   runSyncForOrg,
   getConnectedOrgs,
+  createAdapter,
 };
@@ -96,6 +96,7 @@
  *                     deals.external_crm_close_date (backcompat)
  * probability      → deals.probability
  * notes            → deals.notes
+ * currency         → deals.currency  (ISO 4217; null = leave as is / corporate)
  *
  * @typedef {Object} NormalizedDeal
  * @property {string}      crmId
@@ -107,6 +108,7 @@
  * @property {string|null} expectedCloseDate - ISO date string
  * @property {number|null} probability   - 0-100
  * @property {string|null} notes
+ * @property {string|null} [currency]    - ISO 4217 code of value
  * @property {string|null} lastModified
  */
 
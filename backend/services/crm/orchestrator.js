@@ -40,7 +40,7 @@ const { syncCustomFields } = require('./customFieldSync');
  * Run a full sync cycle for one org.
  *
  * @param {number} orgId
- * @param {string} crmType    - 'salesforce' | 'hubspot'
+ * @param {string} crmType    - 'salesforce' | 'hubspot' | 'pipedrive'
  * @param {object} adapter    - Initialised CRM adapter
  * @returns {{ results: object, errors: string[] }}
  */
@@ -528,6 +528,11 @@ async function _upsertDeal(orgId, crmType, record, ownerId, accountId, gwStage)
   // (unmapped stages get logged as warnings above, but deals still get created)
   const stage = gwStage || 'discovery';
 
+  // Malformed CRM codes are dropped rather than failing the whole record;
+  // NULL on insert means the org corporate currency.
+  const currency = /^[A-Z]{3}$/.test(String(record.currency || '').toUpperCase())
+    ? String(record.currency).toUpperCase() : null;
+
   const upd = await pool.query(`
     UPDATE deals SET
       name                  = $2,
@@ -543,6 +548,7 @@ async function _upsertDeal(orgId, crmType, record, ownerId, accountId, gwStage)
       external_crm_type     = $10,
       external_crm_deal_id  = $11,
       external_refs         = external_refs || $12::jsonb,
+      currency              = COALESCE($14, currency),
       updated_at            = NOW()
     WHERE org_id = $1
       AND external_refs @> $13::jsonb
@@ -554,6 +560,7 @@ async function _upsertDeal(orgId, crmType, record, ownerId, accountId, gwStage)
     accountId, ownerId,
     crmType, record.crmId,
     externalRefsJson, crmLookupJson,
+    currency,
   ]);
 
   if (upd.rows.length > 0) return upd.rows[0].id;
@@ -563,15 +570,15 @@ async function _upsertDeal(orgId, crmType, record, ownerId, accountId, gwStage)
       org_id, name, value, stage, expected_close_date, external_crm_close_date,
       probability, notes, account_id, owner_id, user_id,
       external_crm_type, external_crm_deal_id,
-      external_refs, created_at, updated_at
-    ) VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $9, $10, $11, $12::jsonb, NOW(), NOW())
+      external_refs, currency, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $9, $10, $11, $12::jsonb, $13, NOW(), NOW())
     ON CONFLICT DO NOTHING
     RETURNING id
   `, [
     orgId, record.name, record.value, stage,
     record.expectedCloseDate, record.probability, record.notes,
     accountId, ownerId,
-    crmType, record.crmId, externalRefsJson,
+    crmType, record.crmId, externalRefsJson, currency,
   ]);
 
   return ins.rows[0]?.id || null;
@@ -692,7 +699,7 @@ async function _handleLeadConversion(orgId, crmType, record) {
  *
  * @param {number} orgId
  * @param {string} table     - 'accounts' | 'contacts' | 'deals' | 'prospects'
- * @param {string} crmType   - 'salesforce' | 'hubspot'
+ * @param {string} crmType   - 'salesforce' | 'hubspot' | 'pipedrive'
  * @param {string} crmId     - CRM native ID
  * @returns {number|null}    - GoWarm row id, or null if not found
  */
@@ -767,7 +774,7 @@ async function _saveCursor(orgId, crmType, objectType, cursor) {
  * Return all org IDs with an active CRM connection of a given type.
  * Used by syncScheduler to drive nightly cron.
  *
- * @param {string} crmType  - 'salesforce' | 'hubspot'
+ * @param {string} crmType  - 'salesforce' | 'hubspot' | 'pipedrive'
  * @returns {number[]}
  */
 async function getConnectedOrgs(crmType) {
@@ -7,7 +7,7 @@
  * CRM before computing anything. Output is the normalized payload frozen into
  * crm_schema_snapshots.schema (see 2026_61 for the shape).
  *
- * Two entry points, one shape out:
+ * Three entry points, one shape out:
  *
  *   discoverSalesforce(sfClient, opts)  — sfClient is an initialised
  *       services/salesforce.client.js instance (query + _request are the only
@@ -18,6 +18,10 @@
  *       services/crm/adapters/hubspot.adapter.js instance (_get is the only
  *       primitive used).
  *
+ *   discoverPipedrive(pdAdapter, opts)  — pdAdapter is an initialised
+ *       services/crm/adapters/pipedrive.adapter.js instance (_get is the only
+ *       primitive used).
+ *
  * What each source provides:
  *
  *   SALESFORCE
@@ -54,12 +58,24 @@
  *                        rates; every such field carries fillRateSampled:true
  *                        so the report can say so.
  *
+ *   PIPEDRIVE
+ *     fields             GET /v1/{deal,organization,person}Fields (custom =
+ *                        40-char hash key)
+ *     stage_defs +
+ *     pipelines          GET /v1/pipelines + /v1/stages (deal_probability,
+ *                        order_nr). Won/lost are deal statuses, not stages:
+ *                        two synthetic closed stage_defs 'won' / 'lost' are
+ *                        appended so stage keys match the live sync.
+ *     objects            Fixed core set — no custom objects in Pipedrive.
+ *     validation_rules   No analog beyond mandatory_flag on fields.
+ *     fill rates         SAMPLED, as HubSpot.
+ *
  * Honesty contract: anything discovery cannot observe lands in
  * warnings / limits_notes rather than being silently absent.
  */
 
 const FILL_RATE_CHUNK  = 20;   // SOQL aggregate fields per query
-const FILL_RATE_SAMPLE = 200;  // HubSpot sampled-fill-rate record count
+const FILL_RATE_SAMPLE = 200;  // HubSpot/Pipedrive sampled-fill-rate record count
 
 // Core objects the assessment reasons about. Custom objects are added
 // dynamically when they hold a lookup to one of these.
@@ -503,4 +519,131 @@ async function discoverHubSpot(hsAdapter, opts = {}) {
   };
 }
 
-module.exports = { discoverSalesforce, discoverHubSpot };
+// ─────────────────────────────────────────────────────────────────────────────
+// PIPEDRIVE
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PD_FIELD_ENDPOINTS = {
+  deals:         '/v1/dealFields',
+  organizations: '/v1/organizationFields',
+  persons:       '/v1/personFields',
+};
+
+// Custom field keys are 40-char hex hashes; system fields are snake_case names.
+const PD_CUSTOM_KEY = /^[0-9a-f]{40}$/;
+
+async function discoverPipedrive(pdAdapter, opts = {}) {
+  const warnings = [];
+  const limitsNotes = [
+    'Pipedrive has no validation-rule analog; only field-level mandatory flags are reported.',
+    'Pipedrive automations are not exposed through the public API; the report notes automation as not inventoried for Pipedrive.',
+    'Won/lost are deal statuses in Pipedrive, not pipeline stages; they appear as the synthetic closed stages "won" and "lost".',
+    `Deal-field fill rates are sampled over the ${FILL_RATE_SAMPLE} most recently updated deals (no aggregate API), flagged fillRateSampled:true.`,
+  ];
+
+  // ── 1. Fields per core object ─────────────────────────────────────────────
+  const fields = {};
+  for (const [obj, path] of Object.entries(PD_FIELD_ENDPOINTS)) {
+    try {
+      const data = await pdAdapter._get(path, { limit: 500 });
+      fields[obj] = (data.data || []).map(f => ({
+        name:       f.key,
+        label:      f.name,
+        type:       f.field_type,
+        custom:     PD_CUSTOM_KEY.test(f.key),
+        calculated: false,
+        required:   !!f.mandatory_flag,
+        picklistValues: (f.field_type === 'enum' || f.field_type === 'set')
+          ? (f.options || []).map(o => o.label)
+          : undefined,
+        historyTracked: true, // deal flow records every field change
+      }));
+    } catch (err) {
+      warnings.push({ kind: 'describe_failed', object: obj, detail: err.message });
+    }
+  }
+
+  // ── 2. Pipelines + stage defs ─────────────────────────────────────────────
+  let pipelines = [];
+  let stageDefs = [];
+  try {
+    const [pipeRes, stageRes] = await Promise.all([
+      pdAdapter._get('/v1/pipelines', {}),
+      pdAdapter._get('/v1/stages', {}),
+    ]);
+    const stages = stageRes.data || [];
+    pipelines = (pipeRes.data || []).map(p => ({
+      id:    String(p.id),
+      label: p.name,
+      stages: stages
+        .filter(s => s.pipeline_id === p.id && s.active_flag !== false)
+        .sort((a, b) => a.order_nr - b.order_nr)
+        .map(s => ({
+          id:                 String(s.id),
+          label:              s.name,
+          isClosed:           false,
+          isWon:              false,
+          defaultProbability: s.deal_probability != null ? Number(s.deal_probability) : null,
+          sortOrder:          s.order_nr,
+        })),
+    }));
+    stageDefs = pipelines.flatMap(p =>
+      p.stages.map(s => ({ ...s, pipelineId: p.id, pipelineLabel: p.label })));
+    stageDefs.push(
+      { id: 'won',  label: 'Won',  isClosed: true, isWon: true,  defaultProbability: 100, sortOrder: null, pipelineId: null, pipelineLabel: null },
+      { id: 'lost', label: 'Lost', isClosed: true, isWon: false, defaultProbability: 0,   sortOrder: null, pipelineId: null, pipelineLabel: null },
+    );
+    if (pipelines.length > 1) {
+      warnings.push({
+        kind: 'multi_pipeline',
+        detail: `${pipelines.length} deal pipelines — baseline will compute per-pipeline`,
+      });
+    }
+  } catch (err) {
+    warnings.push({ kind: 'stage_defs_failed', detail: err.message });
+  }
+
+  const objects = [
+    { name: 'deals',         label: 'Deals',         custom: false },
+    { name: 'organizations', label: 'Organizations', custom: false },
+    { name: 'persons',       label: 'People',        custom: false },
+  ];
+
+  // ── 3. Sampled fill rates on deal fields ──────────────────────────────────
+  try {
+    const sample = await pdAdapter._get('/v1/deals', {
+      status: 'all_not_deleted', sort: 'update_time DESC', limit: FILL_RATE_SAMPLE,
+    });
+    const rows = sample.data || [];
+    if (rows.length > 0) {
+      const counts = Object.create(null);
+      for (const r of rows) {
+        for (const k of Object.keys(r)) {
+          if (r[k] !== null && r[k] !== undefined && r[k] !== '') {
+            counts[k] = (counts[k] || 0) + 1;
+          }
+        }
+      }
+      for (const f of (fields.deals || [])) {
+        f.fillRate = Number(((counts[f.name] || 0) / rows.length).toFixed(4));
+        f.fillRateSampled = true;
+      }
+    }
+  } catch (err) {
+    warnings.push({ kind: 'fill_rate_failed', object: 'deals', detail: err.message });
+  }
+
+  return {
+    crm_type: 'pipedrive',
+    objects,
+    fields,
+    stage_defs: stageDefs,
+    pipelines,
+    validation_rules: [],
+    automation: { flows: null, workflowRules: null },
+    limits_notes: limitsNotes,
+    warnings,
+  };
+}
+
+module.exports = { discoverSalesforce, discoverHubSpot, discoverPipedrive };
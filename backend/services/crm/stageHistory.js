@@ -3,7 +3,7 @@
  *
  * DROP-IN LOCATION: backend/services/crm/stageHistory.js
  *
- * getDealStageHistory for both CRMs → NormalizedStageEvent[]:
+ * getDealStageHistory for each CRM → NormalizedStageEvent[]:
  *
  *   { dealCrmId, fromStage, toStage, changedAt (ISO), amount?, closeDate?,
  *     isDealCreation }
@@ -24,8 +24,17 @@
  * HUBSPOT — GET /crm/v3/objects/deals?propertiesWithHistory=dealstage.
  * Each deal returns its dealstage version list (value + timestamp), the
  * OpportunityHistory analog. Paged with the standard `after` token.
+ *
+ * PIPEDRIVE — GET /v1/deals/:id/flow (dealChange items). No bulk history
+ * endpoint exists, so this is one call per deal touched inside the window
+ * (deals listed update_time DESC, stopping at the cutoff). Won/lost is a
+ * deal status rather than a stage, so stage_id AND status changes are
+ * folded into the same key the live sync maps by (adapter dealStageKey):
+ * 'won' / 'lost' / stage id.
  */
 
+const { dealStageKey } = require('./adapters/pipedrive.adapter');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SALESFORCE
 // ─────────────────────────────────────────────────────────────────────────────
@@ -175,4 +184,126 @@ async function getHubSpotStageHistory(hsAdapter, opts = {}) {
   return { events, truncated };
 }
 
-module.exports = { getSalesforceStageHistory, getHubSpotStageHistory };
+// ─────────────────────────────────────────────────────────────────────────────
+// PIPEDRIVE
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Pipedrive timestamps are 'YYYY-MM-DD HH:MM:SS' in UTC.
+function _pdTimeToIso(t) {
+  if (!t) return null;
+  const d = new Date(`${String(t).replace(' ', 'T')}Z`);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * @param {object} pdAdapter      initialised pipedrive.adapter.js instance
+ * @param {object} opts
+ * @param {number} opts.historyMonths
+ * @param {number} [opts.maxDeals]      safety ceiling (default 5000 — one
+ *                                      flow call per deal)
+ * @returns {Promise<{events: object[], truncated: boolean}>}
+ */
+async function getPipedriveStageHistory(pdAdapter, opts = {}) {
+  const historyMonths = opts.historyMonths || 18;
+  const maxDeals      = opts.maxDeals || 5000;
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - historyMonths);
+  const cutoffMs = cutoff.getTime();
+
+  // 1. Deals touched inside the window. A deal last updated before the
+  //    cutoff cannot have an in-window transition.
+  const deals = [];
+  let start = 0;
+  let truncated = false;
+  for (;;) {
+    const data = await pdAdapter._get('/v1/deals', {
+      status: 'all_not_deleted', sort: 'update_time DESC', start, limit: 500,
+    });
+    const rows = data.data || [];
+    let reachedCutoff = false;
+    for (const d of rows) {
+      if (new Date(_pdTimeToIso(d.update_time)).getTime() < cutoffMs) { reachedCutoff = true; break; }
+      deals.push(d);
+      if (deals.length >= maxDeals) { truncated = true; break; }
+    }
+    const pg = data.additional_data && data.additional_data.pagination;
+    if (reachedCutoff || truncated || !pg || !pg.more_items_in_collection) break;
+    start = pg.next_start;
+  }
+
+  // 2. Per-deal flow → transitions.
+  const events = [];
+  for (const deal of deals) {
+    const changes = [];
+    let flowStart = 0;
+    for (;;) {
+      const data = await pdAdapter._get(`/v1/deals/${deal.id}/flow`, {
+        items: 'dealChange', start: flowStart, limit: 100,
+      });
+      for (const item of (data.data || [])) {
+        const c = item.data || {};
+        if (c.field_key === 'stage_id' || c.field_key === 'status') changes.push(c);
+      }
+      const pg = data.additional_data && data.additional_data.pagination;
+      if (!pg || !pg.more_items_in_collection) break;
+      flowStart = pg.next_start;
+    }
+    // Flow is newest-first; sort ascending for the diff walk.
+    changes.sort((a, b) => String(a.log_time).localeCompare(String(b.log_time)));
+
+    // Seed the pre-change state from the first change's old_value.
+    const firstStage = changes.find(c => c.field_key === 'stage_id');
+    const state = {
+      stage_id: firstStage ? firstStage.old_value : deal.stage_id,
+      status:   'open',
+    };
+    const amount    = deal.value != null ? Number(deal.value) : null;
+    const closeDate = deal.expected_close_date || null;
+
+    let prevStage = null;
+    const addedMs = new Date(_pdTimeToIso(deal.add_time)).getTime();
+    const initial = dealStageKey(state);
+    if (addedMs >= cutoffMs) {
+      events.push({
+        dealCrmId:      String(deal.id),
+        fromStage:      null,
+        toStage:        initial,
+        changedAt:      _pdTimeToIso(deal.add_time),
+        amount,
+        closeDate,
+        pipelineId:     deal.pipeline_id != null ? String(deal.pipeline_id) : null,
+        isDealCreation: true,
+      });
+    }
+    prevStage = initial;
+
+    for (const c of changes) {
+      state[c.field_key] = c.new_value;
+      const key = dealStageKey(state);
+      const changedAt = _pdTimeToIso(c.log_time);
+      if (!changedAt) continue;
+      if (new Date(changedAt).getTime() < cutoffMs) {
+        // Pre-window transition: remember as predecessor, don't emit.
+        prevStage = key;
+        continue;
+      }
+      if (key !== prevStage) {
+        events.push({
+          dealCrmId:      String(deal.id),
+          fromStage:      prevStage,
+          toStage:        key,
+          changedAt,
+          amount,
+          closeDate,
+          pipelineId:     deal.pipeline_id != null ? String(deal.pipeline_id) : null,
+          isDealCreation: false,
+        });
+        prevStage = key;
+      }
+    }
+  }
+
+  return { events, truncated };
+}
+
+module.exports = { getSalesforceStageHistory, getHubSpotStageHistory, getPipedriveStageHistory };
@@ -3,24 +3,28 @@
  *
  * DROP-IN LOCATION: backend/services/crm/writeBack.js
  *
- * Pushes completed GoWarm actions to Salesforce as Tasks.
+ * Pushes completed GoWarm actions back to the org's CRM — Salesforce Tasks
+ * or HubSpot engagements. Adapter-driven: this file owns gating, dedup and
+ * ID resolution; each adapter's createActivity() owns the CRM payload.
  *
  * Design decisions:
  *
  * 1. DEDUPLICATION VIA sf_activity_log.
- *    Every action pushed to SF gets a row: (org_id, sf_object_id, direction='outbound').
- *    Before pushing, we check actions.external_refs for an existing SF Task ID,
- *    and sf_activity_log for a prior outbound entry. Either blocks re-push.
+ *    Every action pushed gets a row: (org_id, crm_type, sf_object_id, direction='outbound').
+ *    Before pushing, we check actions.external_refs.<crm> for an existing
+ *    activity ID, and sf_activity_log for a prior outbound entry for that CRM.
+ *    Either blocks re-push. Dedup is per CRM (2026_129) — an org connected to
+ *    both gets the action in both.
  *
- * 2. GoWarm_Source__c ECHO-LOOP PREVENTION.
- *    The SF Task is stamped with GoWarm_Source__c = 'GoWarm'. The inbound sync
- *    skips Tasks with this field set, so we never re-import our own write-backs.
- *    This field must exist on the SF Task object (created by ensureCustomObjects).
+ * 2. ECHO-LOOP PREVENTION.
+ *    Salesforce: the Task is stamped GoWarm_Source__c = 'GoWarm' and the
+ *    inbound sync skips Tasks with this field set.
+ *    HubSpot: the inbound sync never reads engagements, so nothing can echo.
  *
- * 3. LINKING PRIORITY: Opportunity > Contact > Account.
- *    SF Task WhatId accepts Opportunity or Account IDs.
- *    SF Task WhoId accepts Contact IDs.
- *    We resolve GoWarm deal/contact/account → SF CRM IDs via external_refs.
+ * 3. LINKING PRIORITY: deal > account for the "what", contact for the "who".
+ *    We resolve GoWarm deal/contact/account → CRM IDs via external_refs.<crm>.id
+ *    and pass all three to the adapter; SF uses the deal OR account (WhatId),
+ *    HubSpot associates every one it gets.
  *
  * 4. TWO MODES:
  *    - nightly: called by cron at 04:30 UTC, processes all unsynced completions
@@ -29,27 +33,22 @@
  *      Fire-and-forget (errors don't affect API response).
  *
  * 5. WRITE-BACK GATE:
- *    Only runs if org_integrations.settings.write_back_enabled = true.
- *    Checked at the top of each run — no-ops silently if disabled.
+ *    Only runs if org_integrations.settings.write_back_enabled = true for that
+ *    CRM's integration row. Checked at the top of each run — no-ops silently
+ *    if disabled.
  *
- * 6. ACTION TYPE → SF TASK TYPE MAPPING.
- *    GoWarm action types map to SF TaskSubtype where possible.
- *    Unknown types fall back to 'Task'.
+ * 6. ACTION TYPE MAPPING lives in each adapter — SF Task Type, HubSpot
+ *    engagement object. Unknown types fall back to a plain task.
+ *
+ * Adding a CRM: implement createActivity(action, links) on its adapter and
+ * add the type to WRITE_BACK_CRM_TYPES. Nothing else here changes.
  */
 
-const { pool }        = require('../../config/database');
-const { createClient } = require('../salesforce.client');
-
-// GoWarm action type → SF Task Type string
-const ACTION_TYPE_TO_SF = {
-  email:         'Email',
-  call:          'Call',
-  meeting_prep:  'Meeting',
-  demo:          'Demo',
-  follow_up:     'Task',
-  proposal:      'Task',
-  research:      'Task',
-};
+const { pool }          = require('../../config/database');
+const { createAdapter } = require('./index');
+
+// CRMs whose adapter implements createActivity()
+const WRITE_BACK_CRM_TYPES = ['salesforce', 'hubspot'];
 
 // How many actions to push per org per write-back run
 const BATCH_SIZE = 200;
@@ -59,16 +58,21 @@ const BATCH_SIZE = 200;
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Push completed actions for a single org to Salesforce.
+ * Push completed actions for a single org to one CRM.
  * Called by nightly cron (all pending) or inline after action completion (single action).
  *
  * @param {number}  orgId
  * @param {object}  [opts]
+ * @param {string}  [opts.crmType]     - 'salesforce' | 'hubspot' (default 'salesforce')
  * @param {number}  [opts.actionId]    - If set, push only this specific action (realtime mode)
  * @param {number}  [opts.hoursBack]   - Nightly: look back this many hours (default 25)
  * @returns {{ pushed: number, skipped: number, errors: string[] }}
  */
-async function runWriteBackForOrg(orgId, { actionId = null, hoursBack = 25 } = {}) {
+async function runWriteBackForOrg(orgId, { crmType = 'salesforce', actionId = null, hoursBack = 25 } = {}) {
+  if (!WRITE_BACK_CRM_TYPES.includes(crmType)) {
+    throw new Error(`Write-back not supported for CRM type: ${crmType}. Supported: ${WRITE_BACK_CRM_TYPES.join(', ')}`);
+  }
+
   // Assessment hard gate (2026_60): assessment orgs never write back.
   try {
     await require('../crmConnections.service').assertOrgWritesAllowed(orgId);
@@ -78,8 +82,8 @@ async function runWriteBackForOrg(orgId, { actionId = null, hoursBack = 25 } = {
 
   // ── Gate check ──────────────────────────────────────────────────────────────
   const intRes = await pool.query(
-    `SELECT settings FROM org_integrations WHERE org_id = $1 AND integration_type = 'salesforce'`,
-    [orgId]
+    `SELECT settings FROM org_integrations WHERE org_id = $1 AND integration_type = $2`,
+    [orgId, crmType]
   );
   if (intRes.rows.length === 0) return { pushed: 0, skipped: 0, errors: [] };
 
@@ -89,16 +93,16 @@ async function runWriteBackForOrg(orgId, { actionId = null, hoursBack = 25 } = {
   // ── Fetch pending actions ───────────────────────────────────────────────────
   const actions = actionId
     ? await _fetchSingleAction(orgId, actionId)
-    : await _fetchPendingActions(orgId, hoursBack);
+    : await _fetchPendingActions(orgId, crmType, hoursBack);
 
   if (actions.length === 0) return { pushed: 0, skipped: 0, errors: [] };
 
-  // ── Init SF client ──────────────────────────────────────────────────────────
-  let sf;
+  // ── Init adapter ────────────────────────────────────────────────────────────
+  let adapter;
   try {
-    sf = await createClient(orgId);
+    adapter = await createAdapter(orgId, crmType);
   } catch (err) {
-    return { pushed: 0, skipped: 0, errors: [`SF client init failed: ${err.message}`] };
+    return { pushed: 0, skipped: 0, errors: [`${crmType} adapter init failed: ${err.message}`] };
   }
 
   let pushed  = 0;
@@ -107,212 +111,169 @@ async function runWriteBackForOrg(orgId, { actionId = null, hoursBack = 25 } = {
 
   for (const action of actions) {
     try {
-      const result = await _pushAction(orgId, action, sf);
+      const result = await _pushAction(orgId, crmType, action, adapter);
       if (result.pushed)  pushed++;
       if (result.skipped) skipped++;
     } catch (err) {
       const msg = `Action ${action.id} ("${action.title}"): ${err.message}`;
-      console.error(`  ⚠️  [WriteBack] org ${orgId} — ${msg}`);
+      console.error(`  ⚠️  [WriteBack] org ${orgId} ${crmType} — ${msg}`);
       errors.push(msg);
     }
   }
 
   console.log(
-    `📤 [WriteBack] org ${orgId} — pushed:${pushed} skipped:${skipped} errors:${errors.length}`
+    `📤 [WriteBack] org ${orgId} ${crmType} — pushed:${pushed} skipped:${skipped} errors:${errors.length}`
   );
 
   return { pushed, skipped, errors };
 }
 
 /**
- * Run nightly write-back for all orgs that have it enabled.
+ * Run nightly write-back for every org + CRM pair that has it enabled.
  * Called by the 04:30 UTC cron in server.js.
  *
  * @returns {{ orgs: number, pushed: number, errors: number }}
  */
 async function runNightlyWriteBack() {
   const res = await pool.query(`
-    SELECT org_id FROM org_integrations
-    WHERE integration_type = 'salesforce'
+    SELECT org_id, integration_type FROM org_integrations
+    WHERE integration_type = ANY($1::text[])
       AND instance_url IS NOT NULL
       AND connected_at IS NOT NULL
       AND (settings->>'write_back_enabled')::boolean = true
-  `);
+  `, [WRITE_BACK_CRM_TYPES]);
 
   let totalPushed = 0;
   let totalErrors = 0;
 
   for (const row of res.rows) {
     try {
-      const result = await runWriteBackForOrg(row.org_id, { hoursBack: 25 });
-      totalPushed += result.pushed;
-      totalErrors += result.errors.length;
+      const result = await runWriteBackForOrg(row.org_id, {
+        crmType:   row.integration_type,
+        hoursBack: 25,
+      });
+      totalPushed += result.pushed || 0;
+      totalErrors += result.errors?.length || 0;
     } catch (err) {
-      console.error(`[WriteBack] org ${row.org_id} nightly run failed: ${err.message}`);
+      console.error(`[WriteBack] org ${row.org_id} ${row.integration_type} nightly run failed: ${err.message}`);
       totalErrors++;
     }
   }
 
-  return { orgs: res.rows.length, pushed: totalPushed, errors: totalErrors };
+  return { orgs: new Set(res.rows.map(r => r.org_id)).size, pushed: totalPushed, errors: totalErrors };
+}
+
+/**
+ * Realtime hook for actions.routes.js: push one just-completed action to every
+ * CRM where the org has write_back_enabled AND write_back_mode = 'realtime'.
+ * Each CRM's failure is logged and the next one still runs.
+ *
+ * @param {number} orgId
+ * @param {number} actionId
+ */
+async function runRealtimeWriteBack(orgId, actionId) {
+  const res = await pool.query(`
+    SELECT integration_type FROM org_integrations
+    WHERE org_id = $1
+      AND integration_type = ANY($2::text[])
+      AND (settings->>'write_back_enabled')::boolean = true
+      AND settings->>'write_back_mode' = 'realtime'
+  `, [orgId, WRITE_BACK_CRM_TYPES]);
+
+  for (const row of res.rows) {
+    try {
+      await runWriteBackForOrg(orgId, { crmType: row.integration_type, actionId });
+    } catch (err) {
+      console.error(`[WriteBack] realtime ${row.integration_type} push failed for action ${actionId}: ${err.message}`);
+    }
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CORE PUSH LOGIC
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function _pushAction(orgId, action, sf) {
-  // Skip if already pushed — check external_refs for existing SF Task ID
-  const existingSfTaskId = action.external_refs?.salesforce?.task_id;
-  if (existingSfTaskId) return { skipped: true };
+async function _pushAction(orgId, crmType, action, adapter) {
+  // Skip if already pushed — check external_refs for an existing activity ID.
+  // task_id is the pre-2026_129 Salesforce stamp.
+  const refs = action.external_refs?.[crmType];
+  if (refs?.activity_id || refs?.task_id) return { skipped: true };
 
-  // Skip if already logged as outbound in sf_activity_log
+  // Skip if already logged as outbound for this CRM
   const logged = await pool.query(
     `SELECT 1 FROM sf_activity_log
-     WHERE org_id = $1 AND gw_action_id = $2 AND direction = 'outbound' LIMIT 1`,
-    [orgId, action.id]
+     WHERE org_id = $1 AND crm_type = $2 AND gw_action_id = $3 AND direction = 'outbound' LIMIT 1`,
+    [orgId, crmType, action.id]
   );
   if (logged.rows.length > 0) return { skipped: true };
 
-  // Resolve SF IDs for linking
-  const sfLinks = await _resolveSfLinks(orgId, action);
+  // Resolve CRM IDs for linking
+  const links = await _resolveCrmLinks(orgId, crmType, action);
 
-  // If we have no SF object to link to, skip — unlinked Tasks are noise
-  if (!sfLinks.whatId && !sfLinks.whoId) {
+  // If we have no CRM object to link to, skip — unlinked activities are noise
+  if (!links.dealCrmId && !links.accountCrmId && !links.contactCrmId) {
     return { skipped: true };
   }
 
-  // Build SF Task payload
-  const taskData = _buildSfTask(action, sfLinks);
-
-  // Create the SF Task
-  const sfTaskId = await sf.createTask(taskData);
+  const { crmId, objectType } = await adapter.createActivity(action, links);
 
   // Log to sf_activity_log to prevent re-push
   await pool.query(`
     INSERT INTO sf_activity_log
-      (org_id, sf_object_id, sf_object_type, direction, gw_action_id, gw_entity_type, gw_entity_id, created_at)
-    VALUES ($1, $2, 'Task', 'outbound', $3, 'action', $4, NOW())
+      (org_id, crm_type, sf_object_id, sf_object_type, direction, gw_action_id, gw_entity_type, gw_entity_id, processed_at)
+    VALUES ($1, $2, $3, $4, 'outbound', $5, 'action', $5, NOW())
     ON CONFLICT (org_id, sf_object_id) DO NOTHING
-  `, [orgId, sfTaskId, action.id, action.id]);
+  `, [orgId, crmType, crmId, objectType, action.id]);
 
-  // Stamp the GoWarm action with the SF Task ID in external_refs
+  // Stamp the GoWarm action with the CRM activity ID in external_refs
   await pool.query(`
     UPDATE actions
     SET external_refs = COALESCE(external_refs, '{}'::jsonb) ||
-      jsonb_build_object('salesforce', jsonb_build_object(
-        'task_id', $2::text,
-        'pushed_at', $3::text
+      jsonb_build_object($2::text, jsonb_build_object(
+        'activity_id', $3::text,
+        'object_type', $4::text,
+        'pushed_at',   $5::text
       )),
       updated_at = NOW()
     WHERE id = $1
-  `, [action.id, sfTaskId, new Date().toISOString()]);
+  `, [action.id, crmType, crmId, objectType, new Date().toISOString()]);
 
   return { pushed: true };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// SF TASK BUILDER
-// ─────────────────────────────────────────────────────────────────────────────
-
-function _buildSfTask(action, sfLinks) {
-  const taskType = ACTION_TYPE_TO_SF[action.type] || 'Task';
-
-  // SF Task ActivityDate must be a date string (YYYY-MM-DD)
-  const activityDate = action.completed_at
-    ? new Date(action.completed_at).toISOString().split('T')[0]
-    : new Date().toISOString().split('T')[0];
-
-  const subject = action.title
-    ? `[GoWarm] ${action.title}`
-    : '[GoWarm] Action completed';
-
-  const description = [
-    action.description || '',
-    action.context     || '',
-    `\n— Completed via GoWarm on ${activityDate}`,
-  ].filter(Boolean).join('\n\n').trim();
-
-  const task = {
-    Subject:         subject,
-    Status:          'Completed',
-    ActivityDate:    activityDate,
-    Description:     description || null,
-    Type:            taskType,
-    GoWarm_Source__c: 'GoWarm',   // Echo-loop prevention flag
-  };
-
-  // WhatId: Opportunity takes priority over Account
-  if (sfLinks.whatId) task.WhatId = sfLinks.whatId;
-
-  // WhoId: Contact
-  if (sfLinks.whoId) task.WhoId = sfLinks.whoId;
-
-  // OwnerId: map GoWarm user → SF user via email
-  if (sfLinks.ownerSfUserId) task.OwnerId = sfLinks.ownerSfUserId;
-
-  return task;
-}
-
-// ─────────────────────────────────────────────────────────────────────────────
-// SF ID RESOLUTION
+// CRM ID RESOLUTION
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Resolve GoWarm deal/contact/account → Salesforce CRM IDs.
- * Uses external_refs JSONB on each entity — same pattern as orchestrator.
+ * Resolve GoWarm deal/contact/account → CRM IDs for one CRM.
+ * Uses external_refs.<crmType>.id on each entity — same pattern as orchestrator.
  *
- * @returns {{ whatId: string|null, whoId: string|null, ownerSfUserId: string|null }}
+ * @returns {{ dealCrmId: string|null, accountCrmId: string|null, contactCrmId: string|null }}
  */
-async function _resolveSfLinks(orgId, action) {
-  let whatId = null;
-  let whoId  = null;
-  let ownerSfUserId = null;
-
-  // WhatId: resolve deal → SF Opportunity ID
-  if (action.deal_id) {
+async function _resolveCrmLinks(orgId, crmType, action) {
+  const lookup = async (table, id) => {
+    if (!id) return null;
     const res = await pool.query(
-      `SELECT external_refs FROM deals WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
-      [action.deal_id, orgId]
+      `SELECT external_refs FROM ${table} WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+      [id, orgId]
     );
-    const sfId = res.rows[0]?.external_refs?.salesforce?.id;
-    if (sfId) whatId = sfId;
-  }
-
-  // WhatId fallback: resolve account → SF Account ID (if no deal)
-  if (!whatId && action.account_id) {
-    const res = await pool.query(
-      `SELECT external_refs FROM accounts WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
-      [action.account_id, orgId]
-    );
-    const sfId = res.rows[0]?.external_refs?.salesforce?.id;
-    if (sfId) whatId = sfId;
-  }
-
-  // WhoId: resolve contact → SF Contact ID
-  if (action.contact_id) {
-    const res = await pool.query(
-      `SELECT external_refs FROM contacts WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
-      [action.contact_id, orgId]
-    );
-    const sfId = res.rows[0]?.external_refs?.salesforce?.id;
-    if (sfId) whoId = sfId;
-  }
-
-  // Owner: resolve GoWarm user email → SF User ID
-  // SF User IDs are stored in org_hierarchy or we can look up via SF SOQL.
-  // For simplicity, we store the SF user_id in the oauth_tokens account_data
-  // for the org admin — for individual reps we skip OwnerId and let SF default it.
-  // A future enhancement could maintain a user→sf_user_id map.
+    return res.rows[0]?.external_refs?.[crmType]?.id || null;
+  };
 
-  return { whatId, whoId, ownerSfUserId };
+  return {
+    dealCrmId:    await lookup('deals',    action.deal_id),
+    accountCrmId: await lookup('accounts', action.account_id),
+    contactCrmId: await lookup('contacts', action.contact_id),
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // DB QUERIES
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function _fetchPendingActions(orgId, hoursBack) {
-  // Fetch completed actions not yet in sf_activity_log as outbound
+async function _fetchPendingActions(orgId, crmType, hoursBack) {
+  // Fetch completed actions not yet in sf_activity_log as outbound for this CRM
   const res = await pool.query(`
     SELECT a.id, a.title, a.type, a.description, a.context,
            a.deal_id, a.contact_id, a.account_id,
@@ -324,12 +285,13 @@ async function _fetchPendingActions(orgId, hoursBack) {
       AND NOT EXISTS (
         SELECT 1 FROM sf_activity_log sal
         WHERE sal.org_id       = a.org_id
+          AND sal.crm_type     = $4
           AND sal.gw_action_id = a.id
           AND sal.direction    = 'outbound'
       )
     ORDER BY a.completed_at ASC
     LIMIT $3
-  `, [orgId, hoursBack, BATCH_SIZE]);
+  `, [orgId, hoursBack, BATCH_SIZE, crmType]);
 
   return res.rows;
 }
@@ -348,4 +310,9 @@ async function _fetchSingleAction(orgId, actionId) {
   return res.rows;
 }
 
-module.exports = { runWriteBackForOrg, runNightlyWriteBack };
+module.exports = {
+  runWriteBackForOrg,
+  runNightlyWriteBack,
+  runRealtimeWriteBack,
+  WRITE_BACK_CRM_TYPES,
+};
@@ -25,6 +25,7 @@
  *       The assessment hard gate. Throws Err(statusCode 403) when
  *       organizations.type = 'assessment'. Used by:
  *         - PATCH /api/salesforce/settings (enabling write_back)
+ *         - PATCH /api/hubspot/settings (enabling write_back)
  *         - salesforce.sync.service.js runWriteBackForOrg
  *         - crm/writeBack.js runWriteBackForOrg
  *       so the answer to "can it write?" is "that code path returns 403 /
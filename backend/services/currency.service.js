@@ -0,0 +1,278 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// currency.service.js
+//
+// Multi-currency support (schema: 2026_132_multi_currency.sql):
+//   • corporate currency       — organizations.settings->>'corporate_currency'
+//   • exchange rates           — org-maintained, dated, per base currency
+//   • fxSql(alias, corpParam)  — SQL fragments that convert a deals-shaped row
+//                                to the corporate currency as of its close date
+//
+// Amounts are stored in their own currency and converted at read time; the
+// original value is never overwritten. NULL currency on a row means "the
+// corporate currency". A row in a foreign currency with no usable rate
+// converts to NULL — roll-ups leave it out of the totals and report it as
+// `unconverted` rather than adding EUR to USD.
+// ─────────────────────────────────────────────────────────────────────────────
+const { pool } = require('../config/database');
+
+const DEFAULT_CORPORATE_CURRENCY = 'USD';
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/** Upper-cased ISO 4217 code, or throws 400. null/'' pass through as null. */
+function normalizeCurrency(code, { allowNull = true } = {}) {
+  if (code === undefined || code === null || code === '') {
+    if (allowNull) return null;
+    throw httpError(400, 'currency is required');
+  }
+  const c = String(code).trim().toUpperCase();
+  if (!CURRENCY_RE.test(c)) throw httpError(400, `Invalid currency code: "${code}"`);
+  return c;
+}
+
+// ── Corporate currency ───────────────────────────────────────────────────────
+
+async function getCorporateCurrency(orgId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT settings->>'corporate_currency' AS code FROM organizations WHERE id = $1`,
+    [orgId]
+  );
+  return rows[0]?.code || DEFAULT_CORPORATE_CURRENCY;
+}
+
+/**
+ * Switch the org's corporate currency. Rows with NULL currency meant "the old
+ * corporate currency", so they are stamped with it first — otherwise every
+ * such deal would silently be re-denominated.
+ *
+ * Conversion only reads rates keyed on the current base, so the rate table is
+ * rebased in the same transaction: each rate against the old base is divided
+ * by the new currency's rate (as of the same date), and the new currency's own
+ * rates become rates for the old base. That needs a rate for the new currency
+ * against the old one — without it the switch is refused while anything
+ * would be left unconverted.
+ */
+async function setCorporateCurrency(orgId, code) {
+  const next = normalizeCurrency(code, { allowNull: false });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const prev = await getCorporateCurrency(orgId, client);
+    let restamped = { deals: 0, products: 0 };
+    let rebased = 0;
+    if (prev !== next) {
+      const { rows: [use] } = await client.query(
+        `SELECT EXISTS (SELECT 1 FROM exchange_rates
+                         WHERE org_id = $1 AND base_currency = $2 AND currency = $3) AS has_rate,
+                EXISTS (SELECT 1 FROM deals
+                         WHERE org_id = $1 AND deleted_at IS NULL AND COALESCE(currency, $2) <> $3)
+             OR EXISTS (SELECT 1 FROM product_catalog
+                         WHERE org_id = $1 AND COALESCE(currency, $2) <> $3)
+             OR EXISTS (SELECT 1 FROM exchange_rates
+                         WHERE org_id = $1 AND base_currency = $2) AS needs_rate`,
+        [orgId, prev, next]);
+      if (use.needs_rate && !use.has_rate) {
+        throw httpError(409, `Add an exchange rate for ${next} against ${prev} first — existing amounts and rates are converted through it`);
+      }
+
+      const d = await client.query(
+        `UPDATE deals SET currency = $2 WHERE org_id = $1 AND currency IS NULL`, [orgId, prev]);
+      const p = await client.query(
+        `UPDATE product_catalog SET currency = $2 WHERE org_id = $1 AND currency IS NULL`, [orgId, prev]);
+      restamped = { deals: d.rowCount, products: p.rowCount };
+
+      // Rates left over from an earlier spell with `next` as the base are
+      // stale next to the ones just maintained against `prev`.
+      await client.query(
+        `DELETE FROM exchange_rates WHERE org_id = $1 AND base_currency = $2`, [orgId, next]);
+      const r = await client.query(
+        `INSERT INTO exchange_rates (org_id, base_currency, currency, rate, effective_date, created_by)
+         SELECT er.org_id, $3, er.currency, er.rate / n.rate, er.effective_date, er.created_by
+           FROM exchange_rates er
+           CROSS JOIN LATERAL (
+             SELECT x.rate FROM exchange_rates x
+              WHERE x.org_id = er.org_id AND x.base_currency = $2 AND x.currency = $3
+              ORDER BY (x.effective_date <= er.effective_date) DESC,
+                       CASE WHEN x.effective_date <= er.effective_date THEN x.effective_date END DESC,
+                       x.effective_date ASC
+              LIMIT 1
+           ) n
+          WHERE er.org_id = $1 AND er.base_currency = $2 AND er.currency <> $3
+         UNION ALL
+         SELECT org_id, $3, $2, 1 / rate, effective_date, created_by
+           FROM exchange_rates
+          WHERE org_id = $1 AND base_currency = $2 AND currency = $3`,
+        [orgId, prev, next]);
+      rebased = r.rowCount;
+
+      await client.query(
+        `UPDATE organizations
+            SET settings   = jsonb_set(COALESCE(settings, '{}'::jsonb), '{corporate_currency}', to_jsonb($2::text)),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [orgId, next]
+      );
+    }
+    await client.query('COMMIT');
+    return { corporateCurrency: next, previous: prev, restamped, rebased };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Corporate currency, every currency with a rate against it, and every code in use on deals. */
+async function getSettings(orgId) {
+  const corporate = await getCorporateCurrency(orgId);
+  const { rows } = await pool.query(
+    `SELECT currency FROM exchange_rates WHERE org_id = $1 AND base_currency = $2
+     UNION
+     SELECT currency FROM deals WHERE org_id = $1 AND currency IS NOT NULL AND deleted_at IS NULL
+     UNION
+     SELECT currency FROM product_catalog WHERE org_id = $1 AND currency IS NOT NULL`,
+    [orgId, corporate]
+  );
+  const currencies = [...new Set([corporate, ...rows.map(r => r.currency)])].sort();
+  return { corporateCurrency: corporate, currencies };
+}
+
+// ── Exchange rates ───────────────────────────────────────────────────────────
+
+async function listRates(orgId, { currency } = {}) {
+  const corporate = await getCorporateCurrency(orgId);
+  const params = [orgId, corporate];
+  let clause = '';
+  if (currency) { params.push(normalizeCurrency(currency)); clause = 'AND er.currency = $3'; }
+  const { rows } = await pool.query(
+    `SELECT er.id, er.currency, er.base_currency, er.rate::float AS rate,
+            to_char(er.effective_date, 'YYYY-MM-DD') AS effective_date,
+            er.updated_at, (u.first_name || ' ' || u.last_name) AS created_by_name
+       FROM exchange_rates er
+       LEFT JOIN users u ON u.id = er.created_by
+      WHERE er.org_id = $1 AND er.base_currency = $2 ${clause}
+      ORDER BY er.currency, er.effective_date DESC`,
+    params
+  );
+  return { corporateCurrency: corporate, rates: rows };
+}
+
+/** 1 `currency` = `rate` corporate-currency units from `effectiveDate` on. */
+async function upsertRate(orgId, { currency, rate, effectiveDate, userId }) {
+  const code = normalizeCurrency(currency, { allowNull: false });
+  const corporate = await getCorporateCurrency(orgId);
+  if (code === corporate) throw httpError(400, `${code} is the corporate currency — it needs no rate`);
+  const r = Number(rate);
+  if (!Number.isFinite(r) || r <= 0) throw httpError(400, 'rate must be a positive number');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(effectiveDate || ''))) {
+    throw httpError(400, 'effectiveDate must be YYYY-MM-DD');
+  }
+  const { rows } = await pool.query(
+    `INSERT INTO exchange_rates (org_id, base_currency, currency, rate, effective_date, created_by)
+     VALUES ($1, $2, $3, $4, $5::date, $6)
+     ON CONFLICT (org_id, base_currency, currency, effective_date)
+     DO UPDATE SET rate = EXCLUDED.rate, created_by = EXCLUDED.created_by, updated_at = NOW()
+     RETURNING id, currency, base_currency, rate::float AS rate,
+               to_char(effective_date, 'YYYY-MM-DD') AS effective_date, updated_at`,
+    [orgId, corporate, code, r, effectiveDate, userId || null]
+  );
+  return rows[0];
+}
+
+async function deleteRate(orgId, id) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM exchange_rates WHERE id = $1 AND org_id = $2`, [id, orgId]);
+  if (!rowCount) throw httpError(404, 'Exchange rate not found');
+  return { deleted: true };
+}
+
+// ── Conversion ───────────────────────────────────────────────────────────────
+
+const RATE_ORDER = `ORDER BY (effective_date <= $4::date) DESC,
+                            CASE WHEN effective_date <= $4::date THEN effective_date END DESC,
+                            effective_date ASC`;
+
+async function rateToCorporate(orgId, code, corporate, date) {
+  if (code === corporate) return 1;
+  const { rows } = await pool.query(
+    `SELECT rate::float AS rate FROM exchange_rates
+      WHERE org_id = $1 AND base_currency = $2 AND currency = $3
+      ${RATE_ORDER}
+      LIMIT 1`,
+    [orgId, corporate, code, date]
+  );
+  return rows[0]?.rate ?? null;
+}
+
+/**
+ * Convert one amount between two currencies via the corporate currency, as of
+ * `date` ('YYYY-MM-DD', default today). null/undefined codes mean corporate.
+ * Returns null when either side has no rate.
+ */
+async function convertAmount(orgId, amount, from, to, date = null) {
+  const corporate = await getCorporateCurrency(orgId);
+  const src = from || corporate, dst = to || corporate;
+  if (src === dst) return Number(amount);
+  const asOf = date || new Date().toISOString().slice(0, 10);
+  const [a, b] = await Promise.all([
+    rateToCorporate(orgId, src, corporate, asOf),
+    rateToCorporate(orgId, dst, corporate, asOf),
+  ]);
+  if (a == null || b == null) return null;
+  return Math.round((Number(amount) * a / b) * 100) / 100;
+}
+
+// ── SQL fragments ────────────────────────────────────────────────────────────
+
+/**
+ * Conversion fragments for a row aliased `alias` that has org_id, currency and
+ * `valueCol`. `corpParam` is the placeholder holding the corporate currency
+ * (e.g. '$2'). The rate is the latest on or before `dateExpr` — by default the
+ * deal's close date, falling back to expected close and then today — or, when
+ * every rate is later than that, the earliest one.
+ *
+ *   const fx = fxSql('d', '$2');
+ *   SELECT ${fx.value} AS value ... FROM deals d ${fx.join} ...
+ *
+ * @returns {{ join: string, value: string, unconverted: string }}
+ */
+function fxSql(alias, corpParam, { valueCol = 'value', dateExpr } = {}) {
+  const date = dateExpr
+    || `COALESCE(${alias}.close_date, ${alias}.closed_at::date, ${alias}.expected_close_date, CURRENT_DATE)`;
+  const fx = `fx_${alias}`;
+  const foreign = `(${alias}.currency IS NOT NULL AND ${alias}.currency <> ${corpParam})`;
+  return {
+    join: `LEFT JOIN LATERAL (
+             SELECT er.rate FROM exchange_rates er
+              WHERE ${foreign}
+                AND er.org_id = ${alias}.org_id
+                AND er.base_currency = ${corpParam}
+                AND er.currency = ${alias}.currency
+              ORDER BY (er.effective_date <= ${date}) DESC,
+                       CASE WHEN er.effective_date <= ${date} THEN er.effective_date END DESC,
+                       er.effective_date ASC
+              LIMIT 1
+           ) ${fx} ON true`,
+    value: `(CASE WHEN ${foreign} THEN ${alias}.${valueCol} * ${fx}.rate ELSE ${alias}.${valueCol} END)`,
+    unconverted: `(${foreign} AND ${fx}.rate IS NULL)`,
+  };
+}
+
+module.exports = {
+  DEFAULT_CORPORATE_CURRENCY,
+  normalizeCurrency,
+  getCorporateCurrency,
+  setCorporateCurrency,
+  getSettings,
+  listRates,
+  upsertRate,
+  deleteRate,
+  convertAmount,
+  fxSql,
+};
@@ -0,0 +1,30 @@
+/**
+ * dealProducts.service.js
+ *
+ * DROP-IN LOCATION: backend/services/dealProducts.service.js
+ *
+ * Shared deal line-item logic. The routes in products.routes.js stay the
+ * entry point for editing line items; this holds what another service also
+ * needs to do to them — today, accepting a quote (quote.service.js, 2026_146)
+ * re-syncs the deal value exactly as the "Sync deal value" button does.
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * deals.value ← sum of the deal's line items. Pass a transaction client to
+ * include it in a caller's transaction.
+ * @returns {Promise<number>} the new deal value
+ */
+async function syncDealValue(dealId, orgId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(SUM(total_value), 0)::numeric(16,2) AS total
+     FROM deal_products WHERE deal_id = $1 AND org_id = $2`,
+    [dealId, orgId]
+  );
+  const total = parseFloat(rows[0].total);
+  await client.query(`UPDATE deals SET value = $1 WHERE id = $2 AND org_id = $3`, [total, dealId, orgId]);
+  return total;
+}
+
+module.exports = { syncDealValue };
@@ -10,13 +10,20 @@
 // Deal classification: won = stage 'closed_won' (or stage_type 'won'); lost =
 // 'closed_lost'; open = anything else. Deal health lives on deals.health
 // (healthy/watch/risk from dealHealthService) → mapped to green/yellow/red.
+//
+// Money: every value is converted to the org's corporate currency as of the
+// deal's close date (currency.service fxSql). Deals in a currency with no rate
+// are left out of the sums and counted in `unconverted`.
 // ─────────────────────────────────────────────────────────────────────────────
 const { pool } = require('../config/database');
+const { getCorporateCurrency, fxSql } = require('./currency.service');
 
 const HEALTH_MAP = { healthy: 'green', watch: 'yellow', risk: 'red' };
 const RANK = { red: 0, yellow: 1, green: 2, neutral: 3 };
 const aggregate = (c) => c.red > 0 ? 'red' : c.yellow > 0 ? 'yellow' : c.green > 0 ? 'green' : 'neutral';
 
+// Needs `pipeline_stages ps` LEFT JOINed on the deal's stage. Also used by
+// memberLifecycle offboarding to pick the deals that move to a successor.
 const OPEN_CLAUSE = `d.stage NOT IN ('closed_won','closed_lost') AND COALESCE(ps.stage_type,'') NOT IN ('won','lost')`;
 
 // ── Pipeline health (R/Y/G) ──────────────────────────────────────────────────
@@ -28,52 +35,64 @@ const HEALTH_GROUPERS = {
 };
 
 async function pipelineHealth(orgId, groupBy = 'owner') {
+  const currency = await getCorporateCurrency(orgId);
+  const fx = fxSql('d', '$2');
   const { rows } = await pool.query(
     `SELECT d.id, d.name, d.health, d.stage, d.owner_id, d.account_id,
+            ${fx.value}::float AS value, ${fx.unconverted} AS unconverted,
             (o.first_name || ' ' || o.last_name) AS owner_name,
             a.name AS account_name, ps.name AS stage_name
        FROM deals d
        LEFT JOIN users o ON o.id = d.owner_id
        LEFT JOIN accounts a ON a.id = d.account_id
        LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
-      WHERE d.org_id = $1 AND ${OPEN_CLAUSE}`, [orgId]);
+       ${fx.join}
+      WHERE d.org_id = $1 AND ${OPEN_CLAUSE}`, [orgId, currency]);
 
   const grouper = HEALTH_GROUPERS[groupBy] || HEALTH_GROUPERS.owner;
   const groups = new Map();
-  const overall = { red: 0, yellow: 0, green: 0, neutral: 0, total: 0 };
+  const overall = { red: 0, yellow: 0, green: 0, neutral: 0, total: 0, value: 0 };
+  let unconverted = 0;
 
   for (const d of rows) {
     const health = HEALTH_MAP[d.health] || 'neutral';
     const { key, label } = grouper(d);
-    if (!groups.has(key)) groups.set(key, { key, label, red: 0, yellow: 0, green: 0, neutral: 0, total: 0, projects: [] });
+    if (!groups.has(key)) groups.set(key, { key, label, red: 0, yellow: 0, green: 0, neutral: 0, total: 0, value: 0, projects: [] });
     const g = groups.get(key);
-    g[health] += 1; g.total += 1;
+    g[health] += 1; g.total += 1; g.value += d.value || 0;
     g.projects.push({ id: d.id, name: d.name, health, reasons: [] });
-    overall[health] += 1; overall.total += 1;
+    overall[health] += 1; overall.total += 1; overall.value += d.value || 0;
+    if (d.unconverted) unconverted += 1;
   }
 
   const groupList = [...groups.values()]
-    .map(g => ({ ...g, health: aggregate(g), projects: g.projects.sort((a, b) => RANK[a.health] - RANK[b.health]) }))
+    .map(g => ({ ...g, value: Math.round(g.value), health: aggregate(g), projects: g.projects.sort((a, b) => RANK[a.health] - RANK[b.health]) }))
     .sort((a, b) => RANK[a.health] - RANK[b.health] || b.total - a.total);
 
-  return { groupBy, overall: { ...overall, health: aggregate(overall) }, groups: groupList,
+  return { groupBy, currency, unconverted,
+           overall: { ...overall, value: Math.round(overall.value), health: aggregate(overall) }, groups: groupList,
            lenses: Object.keys(HEALTH_GROUPERS) };
 }
 
 // ── Funnel (open deals by stage) ─────────────────────────────────────────────
 async function funnel(orgId) {
+  const currency = await getCorporateCurrency(orgId);
+  const fx = fxSql('d', '$2');
   const { rows } = await pool.query(
     `SELECT d.stage, ps.name AS stage_name, COALESCE(ps.sort_order, 999) AS sort_order,
-            COUNT(*)::int AS count, COALESCE(SUM(d.value), 0)::float AS value
+            COUNT(*)::int AS count, COALESCE(SUM(${fx.value}), 0)::float AS value,
+            COUNT(*) FILTER (WHERE ${fx.unconverted})::int AS unconverted
        FROM deals d
        LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
+       ${fx.join}
       WHERE d.org_id = $1 AND ${OPEN_CLAUSE}
       GROUP BY d.stage, ps.name, ps.sort_order
-      ORDER BY sort_order`, [orgId]);
+      ORDER BY sort_order`, [orgId, currency]);
   const totalValue = rows.reduce((s, r) => s + r.value, 0);
   const totalCount = rows.reduce((s, r) => s + r.count, 0);
+  const unconverted = rows.reduce((s, r) => s + r.unconverted, 0);
   return { stages: rows.map(r => ({ stage: r.stage, label: r.stage_name || r.stage, count: r.count, value: r.value })),
-           totalValue, totalCount };
+           totalValue, totalCount, currency, unconverted };
 }
 
 // ── Forecast (weighted pipeline by period bucket) ────────────────────────────
@@ -96,15 +115,19 @@ function bucketOf(date, bucket) {
 
 async function forecast(orgId, bucket = 'month') {
   if (!BUCKETS.includes(bucket)) bucket = 'month';
+  const currency = await getCorporateCurrency(orgId);
+  const fx = fxSql('d', '$2');
   const { rows } = await pool.query(
-    `SELECT d.value::float AS value, COALESCE(d.probability, 50) AS probability, d.expected_close_date
+    `SELECT ${fx.value}::float AS value, COALESCE(d.probability, 50) AS probability, d.expected_close_date
        FROM deals d
        LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
-      WHERE d.org_id = $1 AND ${OPEN_CLAUSE} AND d.expected_close_date IS NOT NULL`, [orgId]);
+       ${fx.join}
+      WHERE d.org_id = $1 AND ${OPEN_CLAUSE} AND d.expected_close_date IS NOT NULL`, [orgId, currency]);
 
   const map = new Map();
-  let totalWeighted = 0, totalRaw = 0;
+  let totalWeighted = 0, totalRaw = 0, unconverted = 0;
   for (const r of rows) {
+    if (r.value === null) { unconverted += 1; continue; }
     const { key, label } = bucketOf(r.expected_close_date, bucket);
     const weighted = r.value * (r.probability / 100);
     if (!map.has(key)) map.set(key, { key, label, weighted: 0, raw: 0, count: 0 });
@@ -114,13 +137,16 @@ async function forecast(orgId, bucket = 'month') {
   }
   const buckets = [...map.values()].sort((a, b) => a.key.localeCompare(b.key))
     .map(b => ({ ...b, weighted: Math.round(b.weighted), raw: Math.round(b.raw) }));
-  return { bucket, buckets, totalWeighted: Math.round(totalWeighted), totalRaw: Math.round(totalRaw), available: BUCKETS };
+  return { bucket, buckets, totalWeighted: Math.round(totalWeighted), totalRaw: Math.round(totalRaw), available: BUCKETS,
+           currency, unconverted };
 }
 
 // ── Win / loss ───────────────────────────────────────────────────────────────
 async function winLoss(orgId, windowDays = 90, groupBy = 'owner') {
+  const currency = await getCorporateCurrency(orgId);
+  const fx = fxSql('d', '$3');
   const { rows } = await pool.query(
-    `SELECT d.stage, d.owner_id, d.value::float AS value,
+    `SELECT d.stage, d.owner_id, COALESCE(${fx.value}, 0)::float AS value, ${fx.unconverted} AS unconverted,
             (o.first_name || ' ' || o.last_name) AS owner_name,
             ps.name AS stage_name,
             CASE WHEN d.stage = 'closed_won' OR ps.stage_type = 'won' THEN 'won'
@@ -128,18 +154,22 @@ async function winLoss(orgId, windowDays = 90, groupBy = 'owner') {
        FROM deals d
        LEFT JOIN users o ON o.id = d.owner_id
        LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
+       ${fx.join}
       WHERE d.org_id = $1 AND d.closed_at IS NOT NULL
-        AND d.closed_at >= NOW() - ($2 || ' days')::interval`, [orgId, windowDays]);
+        AND d.closed_at >= NOW() - ($2 || ' days')::interval`, [orgId, windowDays, currency]);
 
   const mk = () => ({ won: 0, lost: 0, wonValue: 0, lostValue: 0 });
   const overall = mk();
   const groups = new Map();
+  let unconverted = 0;
   const keyOf = (r) => groupBy === 'stage'
     ? { key: r.stage, label: r.stage_name || r.stage }
     : { key: r.owner_id ?? 0, label: r.owner_name || 'Unassigned' };
 
   for (const r of rows) {
     if (r.outcome === 'other') continue;
+    // Counted toward win rate either way; only the value sums skip it.
+    if (r.unconverted) unconverted += 1;
     const { key, label } = keyOf(r);
     if (!groups.has(key)) groups.set(key, { key, label, ...mk() });
     const g = groups.get(key);
@@ -151,9 +181,9 @@ async function winLoss(orgId, windowDays = 90, groupBy = 'owner') {
     .map(g => ({ ...g, winRate: rate(g), wonValue: Math.round(g.wonValue), lostValue: Math.round(g.lostValue) }))
     .sort((a, b) => (b.won + b.lost) - (a.won + a.lost));
 
-  return { windowDays, groupBy,
+  return { windowDays, groupBy, currency, unconverted,
            overall: { ...overall, winRate: rate(overall), wonValue: Math.round(overall.wonValue), lostValue: Math.round(overall.lostValue) },
            groups: groupList };
 }
 
-module.exports = { pipelineHealth, funnel, forecast, winLoss };
+module.exports = { pipelineHealth, funnel, forecast, winLoss, OPEN_CLAUSE };
@@ -0,0 +1,439 @@
+/**
+ * discountApproval.service.js
+ *
+ * DROP-IN LOCATION: backend/services/discountApproval.service.js
+ *
+ * Discount bands and the approval chain for quotes (2026_147). Modelled on
+ * contractApprovalService: configured thresholds decide who has to approve,
+ * one quote_approvals row per approver, a step opens once the one before it
+ * is approved, a rejection ends the chain.
+ *
+ *   Bands
+ *     listBands / saveBands — per product group, replaced wholesale like the
+ *     contract approval config. A product uses the nearest band up its group's
+ *     parent chain, then the org-wide band (group_id NULL).
+ *
+ *   Assessment
+ *     evaluateQuote — called by quote.service whenever a draft is repriced.
+ *       Works out the level the draft needs and withdraws a pending or
+ *       approved request if what was approved has changed.
+ *     checkLineItemDiscount — the guardrail on deal line items: above the rep
+ *       limit the rep is sent to a quote; above the ceiling nobody can.
+ *
+ *   Chain
+ *     requestApproval → decide (per approver) → quote.approval_status
+ *       'approved' | 'rejected'. quote.service refuses to send a draft whose
+ *       status is anything but 'not_required' or 'approved'.
+ *     Manager = the deal owner's solid-line manager (hierarchyService);
+ *     finance = members of finance-dimension teams, as for contracts. Either
+ *     falls back to the org's owners/admins so a quote is never stuck, and the
+ *     requester never approves their own discount.
+ *
+ * Every step is written to deal_activities so the trail is on the deal.
+ * Errors carry statusCode.
+ */
+
+const { pool, withOrgTransaction } = require('../config/database');
+const hierarchyService     = require('./hierarchyService');
+const { createNotification } = require('./notificationService');
+
+const LEVEL_RANK  = { manager: 1, finance: 2 };
+const ROLE_LABEL  = { manager: 'Manager', finance: 'Finance' };
+
+function _fail(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+const _pctNum = (v) => Math.round(Number(v) * 100) / 100;
+
+// jsonb does not keep key order, so compare with keys sorted.
+function _canon(v) {
+  if (Array.isArray(v)) return `[${v.map(_canon).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${_canon(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+async function _activity(client, dealId, userId, type, description, metadata) {
+  await client.query(
+    `INSERT INTO deal_activities (deal_id, user_id, activity_type, description, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [dealId, userId, type, description, JSON.stringify(metadata || {})]);
+}
+
+async function _notify(orgId, userIds, title, body, dealId, metadata) {
+  await Promise.all(userIds.map(uid =>
+    createNotification(orgId, uid, 'discount_approval', title, body, 'deal', dealId, metadata)
+      .catch(err => console.error('[discount-approval] notify:', err.message))));
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Bands
+// ═════════════════════════════════════════════════════════════════════════════
+
+async function listBands(orgId) {
+  const { rows } = await pool.query(
+    `SELECT b.id, b.group_id, g.name AS group_name,
+            b.rep_max_pct::float AS rep_max_pct, b.manager_max_pct::float AS manager_max_pct,
+            b.ceiling_pct::float AS ceiling_pct, b.updated_at
+       FROM discount_bands b
+       LEFT JOIN product_groups g ON g.id = b.group_id
+      WHERE b.org_id = $1
+      ORDER BY b.group_id NULLS FIRST, g.name`,
+    [orgId]);
+  return rows;
+}
+
+function _band(b, i) {
+  const label = `Band ${i + 1}`;
+  const num = (v, name, { optional = false } = {}) => {
+    if (v === '' || v == null) {
+      if (optional) return null;
+      throw _fail(`${label}: ${name} is required`, 400);
+    }
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > 100) throw _fail(`${label}: ${name} must be between 0 and 100`, 400);
+    return n;
+  };
+  const rep     = num(b.repMaxPct, 'rep limit');
+  const manager = num(b.managerMaxPct, 'manager limit');
+  const ceiling = num(b.ceilingPct, 'ceiling', { optional: true });
+  if (manager < rep) throw _fail(`${label}: the manager limit cannot be below the rep limit`, 400);
+  if (ceiling != null && ceiling < manager) throw _fail(`${label}: the ceiling cannot be below the manager limit`, 400);
+  return { groupId: b.groupId ? parseInt(b.groupId, 10) : null, rep, manager, ceiling };
+}
+
+async function saveBands(orgId, bands) {
+  if (!Array.isArray(bands)) throw _fail('bands must be an array', 400);
+  const clean = bands.map(_band);
+  const seen = new Set();
+  for (const b of clean) {
+    const key = b.groupId || 0;
+    if (seen.has(key)) throw _fail(b.groupId ? 'A product group has two bands' : 'Only one org-wide band is allowed', 400);
+    seen.add(key);
+  }
+  await withOrgTransaction(orgId, async (client) => {
+    const groupIds = clean.map(b => b.groupId).filter(Boolean);
+    if (groupIds.length) {
+      const { rows } = await client.query(
+        `SELECT id FROM product_groups WHERE org_id = $1 AND id = ANY($2::int[])`, [orgId, groupIds]);
+      if (rows.length !== groupIds.length) throw _fail('Unknown product group', 400);
+    }
+    await client.query(`DELETE FROM discount_bands WHERE org_id = $1`, [orgId]);
+    for (const b of clean) {
+      await client.query(
+        `INSERT INTO discount_bands (org_id, group_id, rep_max_pct, manager_max_pct, ceiling_pct)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [orgId, b.groupId, b.rep, b.manager, b.ceiling]);
+    }
+  });
+  return listBands(orgId);
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Assessment
+// ═════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Band per product id (plus `null` for custom lines). Empty when the org has
+ * no bands — nothing needs approval.
+ */
+async function _bandsFor(client, orgId, productIds) {
+  const { rows: bands } = await client.query(
+    `SELECT group_id, rep_max_pct::float AS rep, manager_max_pct::float AS manager,
+            ceiling_pct::float AS ceiling
+       FROM discount_bands WHERE org_id = $1`, [orgId]);
+  const out = new Map();
+  if (!bands.length) return out;
+
+  const byGroup = new Map(bands.filter(b => b.group_id).map(b => [b.group_id, b]));
+  const orgWide = bands.find(b => !b.group_id) || null;
+  out.set(null, orgWide);
+
+  const ids = [...new Set(productIds.filter(Boolean))];
+  if (!ids.length) return out;
+  const [{ rows: groups }, { rows: products }] = await Promise.all([
+    client.query(`SELECT id, parent_id, name FROM product_groups WHERE org_id = $1`, [orgId]),
+    client.query(`SELECT id, group_id FROM product_catalog WHERE org_id = $1 AND id = ANY($2::int[])`, [orgId, ids]),
+  ]);
+  const parent = new Map(groups.map(g => [g.id, g.parent_id]));
+  const names  = new Map(groups.map(g => [g.id, g.name]));
+
+  for (const p of products) {
+    let g = p.group_id, hops = 0, band = null;
+    while (g && hops++ < 50) {                       // hop cap guards a parent cycle
+      if (byGroup.has(g)) { band = { ...byGroup.get(g), groupName: names.get(g) }; break; }
+      g = parent.get(g);
+    }
+    out.set(p.id, band || orgWide);
+  }
+  return out;
+}
+
+function _levelFor(band, pct) {
+  if (!band || pct <= band.rep) return null;
+  if (band.ceiling != null && pct > band.ceiling) return 'blocked';
+  return pct <= band.manager ? 'manager' : 'finance';
+}
+
+const _bandName = (band) => (band && band.groupName ? band.groupName : 'all products');
+
+/**
+ * Level a set of lines needs. `lines` are { productId, name, discountPct }
+ * where discountPct is the effective discount off the book price.
+ * @returns {Promise<{ level: 'manager'|'finance'|null, flagged: Array }>}
+ */
+async function assess(client, orgId, lines) {
+  const bands = await _bandsFor(client, orgId, lines.map(l => l.productId));
+  if (!bands.size) return { level: null, flagged: [] };
+  const flagged = [];
+  let level = null;
+  for (const l of lines) {
+    const band = bands.get(l.productId || null) ?? bands.get(null);
+    const pct = _pctNum(l.discountPct);
+    const lv = _levelFor(band, pct);
+    if (!lv) continue;
+    if (lv === 'blocked') {
+      throw _fail(`${l.name}: ${pct}% is above the ${band.ceiling}% discount ceiling for ${_bandName(band)}`, 400);
+    }
+    flagged.push({ name: l.name, productId: l.productId || null, discountPct: pct, level: lv,
+                   limit: lv === 'manager' ? band.rep : band.manager });
+    if (!level || LEVEL_RANK[lv] > LEVEL_RANK[level]) level = lv;
+  }
+  return { level, flagged };
+}
+
+/**
+ * Re-assess a draft after its pricing changed. Called inside quote.service's
+ * transaction with the quote row locked.
+ */
+async function evaluateQuote(client, orgId, quote, lines, netTotal, userId) {
+  const { level, flagged } = await assess(client, orgId, lines);
+  const basis = { level, netTotal, lines: flagged };
+  const unchanged = _canon(basis) === _canon(quote.approval_basis);
+  if (unchanged && ['pending', 'approved', 'rejected'].includes(quote.approval_status)) return;
+
+  if (['pending', 'approved'].includes(quote.approval_status)) {
+    await client.query(
+      `UPDATE quote_approvals SET status = 'cancelled' WHERE quote_id = $1 AND status = 'pending'`, [quote.id]);
+    await _activity(client, quote.deal_id, userId, 'discount_approval_withdrawn',
+      `Quote v${quote.version} changed — discount approval ${quote.approval_status === 'approved' ? 'no longer applies' : 'request withdrawn'}`,
+      { quoteId: quote.id, version: quote.version });
+  }
+  await client.query(
+    `UPDATE quotes SET approval_status = $2, approval_level = $3, approval_basis = $4,
+                       approval_requested_by = NULL, approval_requested_at = NULL
+      WHERE id = $1`,
+    [quote.id, level ? 'required' : 'not_required', level, JSON.stringify(basis)]);
+}
+
+/** Guardrail for a deal line item's discount. */
+async function checkLineItemDiscount(orgId, productId, discountPct) {
+  const pct = _pctNum(discountPct || 0);
+  if (!pct) return;
+  const bands = await _bandsFor(pool, orgId, [productId]);
+  const band = bands.get(productId || null) ?? bands.get(null);
+  const lv = _levelFor(band, pct);
+  if (lv === 'blocked') {
+    throw _fail(`${pct}% is above the ${band.ceiling}% discount ceiling for ${_bandName(band)}`, 400);
+  }
+  if (lv) {
+    throw _fail(`Discounts above ${band.rep}% on ${_bandName(band)} need ${lv} approval — build a quote and request approval there`, 409);
+  }
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Chain
+// ═════════════════════════════════════════════════════════════════════════════
+
+async function _admins(client, orgId) {
+  const { rows } = await client.query(
+    `SELECT user_id FROM org_users WHERE org_id = $1 AND is_active AND role IN ('owner', 'admin')`, [orgId]);
+  return rows.map(r => r.user_id);
+}
+
+async function _approversFor(client, orgId, role, ownerId, requesterId) {
+  let ids = [];
+  if (role === 'manager') {
+    // The owner's manager — or, when the manager is the one asking, theirs.
+    const chain = await hierarchyService.getAncestors(orgId, ownerId);
+    const m = chain.find(a => a.user_id !== requesterId);
+    if (m) ids = [m.user_id];
+  } else {
+    const { rows } = await client.query(
+      `SELECT DISTINCT tm.user_id FROM team_memberships tm
+         JOIN teams t ON t.id = tm.team_id
+         JOIN org_users ou ON ou.user_id = tm.user_id AND ou.org_id = t.org_id AND ou.is_active
+        WHERE t.org_id = $1 AND t.dimension = 'finance' AND t.is_active IS NOT FALSE`,
+      [orgId]);
+    ids = rows.map(r => r.user_id);
+  }
+  ids = ids.filter(id => id !== requesterId);
+  if (!ids.length) ids = (await _admins(client, orgId)).filter(id => id !== requesterId);
+  return ids;
+}
+
+async function requestApproval(orgId, userId, quoteId) {
+  const uid = parseInt(userId, 10);
+  const out = await withOrgTransaction(orgId, async (client) => {
+    const { rows: [q] } = await client.query(
+      `SELECT q.*, d.owner_id, d.name AS deal_name
+         FROM quotes q JOIN deals d ON d.id = q.deal_id
+        WHERE q.id = $1 AND q.org_id = $2 FOR UPDATE OF q`, [quoteId, orgId]);
+    if (!q) throw _fail('Quote not found', 404);
+    if (q.status !== 'draft') throw _fail(`v${q.version} is ${q.status} — approval is requested on a draft`, 409);
+    if (!['required', 'rejected'].includes(q.approval_status)) {
+      throw _fail(q.approval_status === 'pending' ? 'Approval already requested'
+        : q.approval_status === 'approved' ? 'Already approved' : 'This quote needs no discount approval', 409);
+    }
+
+    const roles = q.approval_level === 'finance' ? ['manager', 'finance'] : ['manager'];
+    const ownerId = q.owner_id || q.created_by || uid;
+    await client.query(
+      `UPDATE quote_approvals SET status = 'cancelled' WHERE quote_id = $1 AND status = 'pending'`, [quoteId]);
+
+    const steps = [];
+    for (const [i, role] of roles.entries()) {
+      const ids = await _approversFor(client, orgId, role, ownerId, uid);
+      if (!ids.length) {
+        throw _fail(`Nobody else can give ${role} approval — add a manager in the org chart${role === 'finance' ? ' or a finance team' : ''}`, 409);
+      }
+      for (const approverId of ids) {
+        await client.query(
+          `INSERT INTO quote_approvals (org_id, quote_id, step_order, approver_role, approver_user_id)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [orgId, quoteId, i + 1, role, approverId]);
+      }
+      steps.push(ids);
+    }
+
+    await client.query(
+      `UPDATE quotes SET approval_status = 'pending', approval_requested_by = $2,
+                         approval_requested_at = now(), updated_at = now()
+        WHERE id = $1`,
+      [quoteId, uid]);
+    const flagged = (q.approval_basis?.lines || []).map(l => `${l.name} ${l.discountPct}%`).join(', ');
+    await _activity(client, q.deal_id, uid, 'discount_approval_requested',
+      `Discount approval requested for quote v${q.version} (${roles.map(r => ROLE_LABEL[r].toLowerCase()).join(' then ')})${flagged ? `: ${flagged}` : ''}`,
+      { quoteId, version: q.version, level: q.approval_level, lines: q.approval_basis?.lines || [] });
+    return { dealId: q.deal_id, dealName: q.deal_name, version: q.version, first: steps[0] };
+  });
+
+  await _notify(orgId, out.first, 'Discount approval needed',
+    `Quote v${out.version} on "${out.dealName}" has a discount that needs your approval`,
+    out.dealId, { quoteId });
+}
+
+/**
+ * One approver's decision. The first decision at a step closes the step for
+ * everyone else on it.
+ */
+async function decide(orgId, approvalId, userId, decision, note) {
+  if (!['approved', 'rejected'].includes(decision)) throw _fail("decision must be 'approved' or 'rejected'", 400);
+  const uid = parseInt(userId, 10);
+  const out = await withOrgTransaction(orgId, async (client) => {
+    const { rows: [a] } = await client.query(
+      `SELECT qa.*, q.deal_id, q.version, q.approval_status, q.approval_requested_by, q.status AS quote_status,
+              d.name AS deal_name
+         FROM quote_approvals qa
+         JOIN quotes q ON q.id = qa.quote_id
+         JOIN deals d ON d.id = q.deal_id
+        WHERE qa.id = $1 AND qa.org_id = $2
+        FOR UPDATE OF qa, q`, [approvalId, orgId]);
+    if (!a) throw _fail('Approval not found', 404);
+    if (a.approver_user_id !== uid) throw _fail('Not your approval', 403);
+    if (a.status !== 'pending' || a.approval_status !== 'pending') throw _fail('Already decided', 409);
+    const { rows: [earlier] } = await client.query(
+      `SELECT 1 FROM quote_approvals WHERE quote_id = $1 AND status = 'pending' AND step_order < $2 LIMIT 1`,
+      [a.quote_id, a.step_order]);
+    if (earlier) throw _fail('The step before yours has not been approved yet', 409);
+    if (decision === 'rejected' && !String(note || '').trim()) throw _fail('Say why it was rejected', 400);
+
+    await client.query(
+      `UPDATE quote_approvals SET status = $2, decision_note = $3, decided_at = now() WHERE id = $1`,
+      [approvalId, decision, note ? String(note).trim().slice(0, 2000) : null]);
+    await client.query(
+      `UPDATE quote_approvals SET status = 'cancelled'
+        WHERE quote_id = $1 AND status = 'pending' AND (step_order = $2 OR $3)`,
+      [a.quote_id, a.step_order, decision === 'rejected']);
+
+    const role = ROLE_LABEL[a.approver_role];
+    const base = { quoteId: a.quote_id, version: a.version, step: a.step_order, role: a.approver_role, note: note || null };
+    if (decision === 'rejected') {
+      await client.query(`UPDATE quotes SET approval_status = 'rejected', updated_at = now() WHERE id = $1`, [a.quote_id]);
+      await _activity(client, a.deal_id, uid, 'discount_approval_rejected',
+        `${role} rejected the discount on quote v${a.version}: ${String(note).trim()}`, base);
+      return { outcome: 'rejected', a };
+    }
+
+    const { rows: next } = await client.query(
+      `SELECT approver_user_id, step_order FROM quote_approvals
+        WHERE quote_id = $1 AND status = 'pending' ORDER BY step_order`, [a.quote_id]);
+    if (next.length) {
+      await _activity(client, a.deal_id, uid, 'discount_approval_step_approved',
+        `${role} approved the discount on quote v${a.version}`, base);
+      const step = next[0].step_order;
+      return { outcome: 'step_approved', a, nextIds: next.filter(r => r.step_order === step).map(r => r.approver_user_id) };
+    }
+    await client.query(`UPDATE quotes SET approval_status = 'approved', updated_at = now() WHERE id = $1`, [a.quote_id]);
+    await _activity(client, a.deal_id, uid, 'discount_approval_approved',
+      `${role} approved the discount on quote v${a.version} — ready to send`, base);
+    return { outcome: 'approved', a };
+  });
+
+  const { a } = out;
+  const meta = { quoteId: a.quote_id };
+  if (out.outcome === 'step_approved') {
+    await _notify(orgId, out.nextIds, 'Discount approval needed',
+      `Quote v${a.version} on "${a.deal_name}" has a discount that needs your approval`, a.deal_id, meta);
+  } else if (a.approval_requested_by) {
+    await _notify(orgId, [a.approval_requested_by],
+      out.outcome === 'approved' ? 'Discount approved' : 'Discount rejected',
+      out.outcome === 'approved'
+        ? `Quote v${a.version} on "${a.deal_name}" is approved and can be sent`
+        : `Quote v${a.version} on "${a.deal_name}" was rejected: ${note}`,
+      a.deal_id, meta);
+  }
+  return { outcome: out.outcome, quoteId: a.quote_id };
+}
+
+/** Approvals waiting on this user — only steps that are open. */
+async function listPending(orgId, userId) {
+  const { rows } = await pool.query(
+    `SELECT qa.id, qa.quote_id, qa.step_order, qa.approver_role, qa.created_at,
+            q.version, q.deal_id, q.currency, q.net_total, q.approval_level, q.approval_basis,
+            d.name AS deal_name,
+            (u.first_name || ' ' || u.last_name) AS requested_by_name
+       FROM quote_approvals qa
+       JOIN quotes q ON q.id = qa.quote_id
+       JOIN deals d ON d.id = q.deal_id
+       LEFT JOIN users u ON u.id = q.approval_requested_by
+      WHERE qa.org_id = $1 AND qa.approver_user_id = $2 AND qa.status = 'pending'
+        AND NOT EXISTS (SELECT 1 FROM quote_approvals e
+                         WHERE e.quote_id = qa.quote_id AND e.status = 'pending' AND e.step_order < qa.step_order)
+      ORDER BY qa.created_at`,
+    [orgId, userId]);
+  return rows;
+}
+
+/** The approval rows of a quote, oldest first — the current request and any before it. */
+async function getTrail(orgId, quoteId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT qa.id, qa.step_order, qa.approver_role, qa.approver_user_id, qa.status,
+            qa.decision_note, qa.decided_at, qa.created_at,
+            (u.first_name || ' ' || u.last_name) AS approver_name
+       FROM quote_approvals qa
+       LEFT JOIN users u ON u.id = qa.approver_user_id
+      WHERE qa.quote_id = $1 AND qa.org_id = $2
+      ORDER BY qa.created_at, qa.step_order, qa.id`,
+    [quoteId, orgId]);
+  return rows;
+}
+
+module.exports = {
+  listBands, saveBands,
+  assess, evaluateQuote, checkLineItemDiscount,
+  requestApproval, decide, listPending, getTrail,
+  _levelFor, // exported for tests
+};
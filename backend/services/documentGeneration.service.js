@@ -0,0 +1,667 @@
+/**
+ * documentGeneration.service.js
+ *
+ * DROP-IN LOCATION: backend/services/documentGeneration.service.js
+ *
+ * Customer-ready PDFs for quotes and contracts (2026_148), rendered on the
+ * server with the org's branding and filed where the rest of the workflow
+ * expects them.
+ *
+ *   generateQuotePdf(orgId, userId, quoteId, { templateId?, contractId?, versionType?, comment? })
+ *     The quote's own layout — header block, line items, totals, notes — with
+ *     an optional template body appended as terms. A draft whose discount is
+ *     still awaiting approval is refused, same gate as sending it.
+ *
+ *   generateContractPdf(orgId, userId, contractId, { templateId, quoteId?, versionType?, comment? })
+ *     A template body merged with the contract, its deal, account, contacts
+ *     and line items. Line items come from the given quote, else the deal's
+ *     accepted quote, else the deal's line items.
+ *
+ * Either way the bytes land in generated_documents and, when a contract is
+ * involved, go through contractService.uploadDocumentVersion as a new version
+ * — so the PDF is the contract's current document and what e-signature sends.
+ * The version's document_url is the public token URL (GET
+ * /api/documents/file/:token), which a signature provider can fetch without a
+ * session.
+ *
+ * TEMPLATE BODIES
+ *   # Heading / ## Sub-heading / ### Minor heading
+ *   Blank-line separated paragraphs; **bold** runs inside them
+ *   - bullet items
+ *   ---                 a horizontal rule
+ *   {{field.name}}      a merge field — see MERGE_FIELDS
+ *   {{line_items}}      the line-item table        ┐
+ *   {{signatures}}      signature blocks           ├ on a line of their own
+ *   {{page_break}}      start a new page           ┘
+ * Unknown fields are refused when a template is saved and when it is used;
+ * known fields with no value render blank and come back as `emptyFields` so
+ * the rep can see what to fill in before sending.
+ *
+ * BRANDING — organizations.settings.document_branding
+ *   { companyName, logoUrl, primaryColor, accentColor, footerText }
+ * logoUrl is always stored as a data: URL (PNG/JPEG). An https link given in
+ * the admin panel is fetched once, when branding is saved — public hosts only
+ * (utils/publicUrl.js) — and kept as the image itself, so rendering never
+ * reaches out to an admin-chosen URL. A logo that cannot be read (or an https
+ * link saved before that rule) falls back to the company name rather than
+ * failing the document.
+ */
+
+const crypto   = require('crypto');
+const { pool } = require('../config/database');
+const { BrandedRenderer } = require('./documents/documentRenderer');
+const quoteService    = require('./quote.service');
+const contractService = require('./contractService');
+const CurrencyService = require('./currency.service');
+const { getPublic } = require('../utils/publicUrl');
+
+const BACKEND_URL = (process.env.BACKEND_URL || 'https://api.gowarmcrm.com').replace(/\/+$/, '');
+
+const COLOR_RE      = /^#[0-9a-f]{6}$/i;
+const LOGO_DATA_RE  = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+const LOGO_MAX      = 400 * 1024;
+const FIELD_RE      = /\{\{\s*([a-z_.]+)\s*\}\}/gi;
+const BLOCKS        = ['line_items', 'signatures', 'page_break'];
+const EDITABLE_STATUSES = ['draft', 'in_review'];
+
+const DEFAULT_BRANDING = {
+  companyName:  null,
+  logoUrl:      null,
+  primaryColor: '#0f172a',
+  accentColor:  '#0369a1',
+  footerText:   '',
+};
+
+const BILLING_LABEL = { monthly: 'Monthly', quarterly: 'Quarterly', semi_annual: 'Semi-annual', annual: 'Annual' };
+
+/** Every merge field a template may use, grouped for the admin reference list. */
+const MERGE_FIELDS = [
+  { group: 'General',  fields: [['today', "Today's date"], ['org.name', 'Your company name']] },
+  { group: 'Account',  fields: [['account.name', 'Account name'], ['account.domain', 'Website domain'],
+                                ['account.industry', 'Industry'], ['account.location', 'Location']] },
+  { group: 'Deal',     fields: [['deal.name', 'Deal name'], ['deal.value', 'Deal value'],
+                                ['deal.currency', 'Deal currency'], ['deal.close_date', 'Expected close date'],
+                                ['deal.stage', 'Stage']] },
+  { group: 'Deal owner', fields: [['owner.full_name', 'Owner name'], ['owner.email', 'Owner email']] },
+  { group: 'Primary contact', fields: [['contact.full_name', 'Full name'], ['contact.first_name', 'First name'],
+                                       ['contact.last_name', 'Last name'], ['contact.title', 'Job title'],
+                                       ['contact.email', 'Email'], ['contact.phone', 'Phone']] },
+  { group: 'Customer signer', fields: [['signer.name', 'Name'], ['signer.email', 'Email']] },
+  { group: 'Contract', fields: [['contract.title', 'Title'], ['contract.type', 'Type'],
+                                ['contract.customer_legal_name', 'Customer legal name'],
+                                ['contract.company_entity', 'Our contracting entity'],
+                                ['contract.value', 'Contract value'], ['contract.effective_date', 'Effective date'],
+                                ['contract.expiry_date', 'Expiry date'], ['contract.special_terms', 'Special terms']] },
+  { group: 'Quote',    fields: [['quote.number', 'Quote number'], ['quote.valid_until', 'Valid until'],
+                                ['quote.start_date', 'Start date'], ['quote.term_months', 'Term (months)'],
+                                ['quote.net_total', 'Net total'], ['quote.tax_total', 'Tax'],
+                                ['quote.grand_total', 'Grand total']] },
+  { group: 'Blocks',   fields: [['line_items', 'Line-item table'], ['signatures', 'Signature blocks'],
+                                ['page_break', 'Page break']] },
+];
+const KNOWN_FIELDS = new Set(MERGE_FIELDS.flatMap(g => g.fields.map(([k]) => k)));
+
+const TYPE_LABEL = { nda: 'NDA', msa: 'Master Services Agreement', sow: 'Statement of Work',
+                     order_form: 'Order Form', amendment: 'Amendment', custom: 'Agreement' };
+const ENTITY_LABEL = { us: 'US', uk: 'UK', de: 'DE' };
+
+function _fail(msg, status) {
+  return Object.assign(new Error(msg), { status });
+}
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+function _money(v, currency) {
+  if (v == null || v === '') return '';
+  const n = Number(v);
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency: currency || 'USD' }).format(n);
+  } catch (_) {
+    return `${currency || ''} ${n.toFixed(2)}`.trim();
+  }
+}
+
+function _date(v) {
+  if (!v) return '';
+  const d = v instanceof Date ? v : new Date(String(v).length === 10 ? `${v}T00:00:00Z` : v);
+  if (isNaN(d)) return '';
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+const _qty = (v) => String(Number(v) || 0).replace(/\.0+$/, '');
+
+/** Merge values never carry markup: '**' would toggle bold mid-sentence. */
+const _plain = (v) => String(v ?? '').replace(/\*\*/g, '').replace(/\s*\n\s*/g, ' ').trim();
+
+// ── Branding ─────────────────────────────────────────────────────────────────
+
+async function getBranding(orgId) {
+  const { rows: [o] } = await pool.query(
+    `SELECT name, settings->'document_branding' AS branding FROM organizations WHERE id = $1`, [orgId]);
+  const saved = o?.branding || {};
+  return { ...DEFAULT_BRANDING, ...saved, companyName: saved.companyName || o?.name || null };
+}
+
+async function saveBranding(orgId, body = {}) {
+  const out = {};
+  const str = (v, max) => (v == null || String(v).trim() === '' ? null : String(v).trim().slice(0, max));
+  if (body.companyName !== undefined) out.companyName = str(body.companyName, 120);
+  if (body.footerText  !== undefined) out.footerText  = str(body.footerText, 500) || '';
+  for (const key of ['primaryColor', 'accentColor']) {
+    if (body[key] === undefined) continue;
+    if (!COLOR_RE.test(body[key] || '')) throw _fail(`${key} must be a colour like #0369a1`, 400);
+    out[key] = body[key].toLowerCase();
+  }
+  if (body.logoUrl !== undefined) {
+    const logo = str(body.logoUrl, LOGO_MAX * 1.4);
+    if (logo && !LOGO_DATA_RE.test(logo) && !/^https:\/\/\S+$/i.test(logo)) {
+      throw _fail('Logo must be an https URL or an uploaded PNG/JPEG', 400);
+    }
+    if (logo && logo.startsWith('data:') && Buffer.byteLength(logo.split(',')[1], 'base64') > LOGO_MAX) {
+      throw _fail('Logo must be under 400 KB', 400);
+    }
+    out.logoUrl = logo && !logo.startsWith('data:') ? await _fetchLogo(logo) : logo;
+  }
+  await pool.query(
+    `UPDATE organizations
+        SET settings = jsonb_set(COALESCE(settings, '{}'::jsonb), '{document_branding}',
+                                 COALESCE(settings->'document_branding', '{}'::jsonb) || $2::jsonb, true),
+            updated_at = NOW()
+      WHERE id = $1`,
+    [orgId, JSON.stringify(out)]);
+  return getBranding(orgId);
+}
+
+const _imageType = (buf) => (buf[0] === 0x89 && buf.toString('latin1', 1, 4) === 'PNG' ? 'png'
+  : buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff ? 'jpeg' : null);
+
+/** An https logo link → the image as a data: URL, read once at save time. */
+async function _fetchLogo(url) {
+  let buf;
+  try {
+    const r = await getPublic(url, { responseType: 'arraybuffer', timeout: 5000, maxContentLength: LOGO_MAX });
+    buf = Buffer.from(r.data);
+  } catch (err) {
+    console.warn('[documents] logo fetch failed:', err.message);
+    throw _fail('Could not download the logo from that link — upload the image instead', 400);
+  }
+  const type = _imageType(buf);
+  if (!type) throw _fail('The logo link must point to a PNG or JPEG image', 400);
+  return `data:image/${type};base64,${buf.toString('base64')}`;
+}
+
+function _logo(branding) {
+  const data = String(branding.logoUrl || '').match(LOGO_DATA_RE);
+  return data ? Buffer.from(data[2], 'base64') : null;
+}
+
+// ── Templates ────────────────────────────────────────────────────────────────
+
+/** Fields a body uses that we do not know, and block tokens used inline. */
+function _problems(body) {
+  const unknown = new Set();
+  const inline  = new Set();
+  for (const line of String(body || '').split('\n')) {
+    const standalone = line.trim().match(/^\{\{\s*([a-z_]+)\s*\}\}$/i);
+    for (const m of line.matchAll(FIELD_RE)) {
+      const key = m[1].toLowerCase();
+      if (!KNOWN_FIELDS.has(key)) unknown.add(m[1]);
+      else if (BLOCKS.includes(key) && !standalone) inline.add(key);
+    }
+  }
+  return { unknown: [...unknown], inline: [...inline] };
+}
+
+/** Throws 400 naming the problem fields; used on template save and before rendering. */
+function validateTemplateBody(body) {
+  const { unknown, inline } = _problems(body);
+  if (unknown.length) {
+    throw _fail(`Unknown merge field${unknown.length > 1 ? 's' : ''}: ${unknown.map(f => `{{${f}}}`).join(', ')}`, 400);
+  }
+  if (inline.length) {
+    throw _fail(`${inline.map(f => `{{${f}}}`).join(', ')} must be on a line of its own`, 400);
+  }
+}
+
+function listMergeFields() {
+  return MERGE_FIELDS.map(g => ({ group: g.group, fields: g.fields.map(([key, label]) => ({ key, label })) }));
+}
+
+async function _template(orgId, templateId) {
+  const { rows: [t] } = await pool.query(
+    `SELECT id, name, contract_type, body FROM contract_templates
+      WHERE id = $1 AND org_id = $2 AND is_active = TRUE`,
+    [templateId, orgId]);
+  if (!t) throw _fail('Template not found', 404);
+  if (!t.body || !t.body.trim()) throw _fail(`"${t.name}" has no template text to generate from`, 400);
+  validateTemplateBody(t.body);
+  return t;
+}
+
+// ── Merge data ───────────────────────────────────────────────────────────────
+
+async function _dealContext(orgId, dealId) {
+  const { rows: [d] } = await pool.query(
+    `SELECT d.id, d.name, d.value, d.currency, d.stage, d.expected_close_date, d.close_date,
+            d.economic_buyer_contact_id,
+            a.name AS account_name, a.domain, a.industry, a.location,
+            u.first_name AS owner_first, u.last_name AS owner_last, u.email AS owner_email
+       FROM deals d
+       LEFT JOIN accounts a ON a.id = d.account_id
+       LEFT JOIN users u    ON u.id = d.owner_id
+      WHERE d.id = $1 AND d.org_id = $2 AND d.deleted_at IS NULL`,
+    [dealId, orgId]);
+  if (!d) throw _fail('Deal not found', 404);
+  d.currency = d.currency || await CurrencyService.getCorporateCurrency(orgId);
+
+  // Primary contact: flagged primary, else the economic buyer, else the first linked.
+  const { rows: [c] } = await pool.query(
+    `SELECT ct.first_name, ct.last_name, ct.title, ct.email, ct.phone
+       FROM deal_contacts dc
+       JOIN contacts ct ON ct.id = dc.contact_id AND ct.deleted_at IS NULL
+      WHERE dc.deal_id = $1
+      ORDER BY dc.is_primary DESC NULLS LAST, (ct.id = $2) DESC, ct.id
+      LIMIT 1`,
+    [dealId, d.economic_buyer_contact_id || 0]);
+  return { deal: d, contact: c || null };
+}
+
+function _values({ org, deal, contact, contract, signer, quote }) {
+  const v = {
+    today:    _date(new Date()),
+    'org.name': org.companyName,
+  };
+  if (deal) {
+    Object.assign(v, {
+      'account.name':     deal.account_name,
+      'account.domain':   deal.domain,
+      'account.industry': deal.industry,
+      'account.location': deal.location,
+      'deal.name':        deal.name,
+      'deal.value':       _money(deal.value, deal.currency),
+      'deal.currency':    deal.currency,
+      'deal.close_date':  _date(deal.expected_close_date || deal.close_date),
+      'deal.stage':       deal.stage,
+      'owner.full_name':  [deal.owner_first, deal.owner_last].filter(Boolean).join(' '),
+      'owner.email':      deal.owner_email,
+    });
+  }
+  if (contact) {
+    Object.assign(v, {
+      'contact.full_name':  [contact.first_name, contact.last_name].filter(Boolean).join(' '),
+      'contact.first_name': contact.first_name,
+      'contact.last_name':  contact.last_name,
+      'contact.title':      contact.title,
+      'contact.email':      contact.email,
+      'contact.phone':      contact.phone,
+    });
+  }
+  if (signer) Object.assign(v, { 'signer.name': signer.name, 'signer.email': signer.email });
+  if (contract) {
+    Object.assign(v, {
+      'contract.title':               contract.title,
+      'contract.type':                TYPE_LABEL[contract.contract_type] || contract.contract_type,
+      'contract.customer_legal_name': contract.customer_legal_name || deal?.account_name,
+      'contract.company_entity':      contract.company_entity
+        ? `${org.companyName || ''} (${ENTITY_LABEL[contract.company_entity] || contract.company_entity})`.trim()
+        : org.companyName,
+      'contract.value':               _money(contract.value, contract.currency),
+      'contract.effective_date':      _date(contract.effective_date),
+      'contract.expiry_date':         _date(contract.expiry_date),
+      'contract.special_terms':       contract.special_terms,
+    });
+  }
+  if (quote) {
+    Object.assign(v, {
+      'quote.number':      _quoteNumber(quote),
+      'quote.valid_until': _date(quote.valid_until),
+      'quote.start_date':  _date(quote.start_date),
+      'quote.term_months': String(quote.term_months),
+      'quote.net_total':   _money(quote.totals.netTotal, quote.currency),
+      'quote.tax_total':   _money(quote.totals.taxTotal, quote.currency),
+      'quote.grand_total': _money(quote.totals.grandTotal, quote.currency),
+    });
+  }
+  for (const k of Object.keys(v)) v[k] = _plain(v[k]);
+  return v;
+}
+
+const _quoteNumber = (q) => `Q-${q.deal_id}-${q.version}`;
+
+/** Substitute fields in one line; records known-but-empty fields. */
+function _merge(line, values, empty) {
+  return line.replace(FIELD_RE, (_, key) => {
+    const val = values[key.toLowerCase()];
+    if (!val) empty.add(key.toLowerCase());
+    return val || '';
+  });
+}
+
+// ── Line items ───────────────────────────────────────────────────────────────
+
+/** Table rows + totals for a quote, as the quote itself prices them. */
+function _quoteItems(quote) {
+  const c = quote.currency;
+  const rows = quote.lines.map((l) => {
+    const unit = l.unit_price_override != null ? l.unit_price_override : l.list_unit_price;
+    const recurring = l.revenue_type === 'recurring';
+    let detail = null;
+    if (recurring && Array.isArray(l.years) && l.years.length > 1) {
+      detail = l.years.map(y => `Year ${y.year}: ${_qty(y.quantity)}` +
+                                (Number(y.discountPct) ? ` at ${Number(y.discountPct)}% off` : '') +
+                                ` = ${_money(y.netAmount, c)}`).join('  ·  ');
+    }
+    return {
+      cells: [
+        _plain(l.product_name),
+        recurring ? (BILLING_LABEL[l.billing_frequency] || 'Recurring') : 'One-time',
+        _qty(l.quantity),
+        _money(unit, c),
+        Number(l.discount_pct) ? `${Number(l.discount_pct)}%` : '',
+        _money(l.net_amount, c),
+      ],
+      detail,
+    };
+  });
+  const t = quote.totals;
+  const totals = [];
+  if (t.discountTotal > 0) {
+    totals.push({ label: 'List total', value: _money(t.listTotal, c) });
+    totals.push({ label: 'Discount',   value: `-${_money(t.discountTotal, c)}` });
+  }
+  totals.push({ label: 'Net total', value: _money(t.netTotal, c) });
+  if (t.taxTotal > 0) totals.push({ label: `Tax (${Number(quote.tax_rate)}%)`, value: _money(t.taxTotal, c) });
+  totals.push({ label: 'Total', value: _money(t.grandTotal, c), strong: true });
+  return { rows, totals };
+}
+
+const QUOTE_COLUMNS = [
+  { label: 'Item',     width: 0.36 },
+  { label: 'Billing',  width: 0.12 },
+  { label: 'Qty',      width: 0.08, align: 'right' },
+  { label: 'Price',    width: 0.15, align: 'right' },
+  { label: 'Discount', width: 0.12, align: 'right' },
+  { label: 'Total',    width: 0.17, align: 'right' },
+];
+
+/** Line items for a deal with no quote to go on. */
+async function _dealItems(orgId, dealId, currency) {
+  const { rows } = await pool.query(
+    `SELECT product_name, quantity, unit_price, discount_pct, total_value, revenue_type
+       FROM deal_products WHERE deal_id = $1 AND org_id = $2
+      ORDER BY sort_order, id`,
+    [dealId, orgId]);
+  const total = rows.reduce((t, r) => t + Number(r.total_value), 0);
+  return {
+    rows: rows.map(r => [
+      _plain(r.product_name),
+      r.revenue_type === 'recurring' ? 'Recurring' : 'One-time',
+      _qty(r.quantity),
+      _money(r.unit_price, currency),
+      Number(r.discount_pct) ? `${Number(r.discount_pct)}%` : '',
+      _money(r.total_value, currency),
+    ]),
+    totals: rows.length ? [{ label: 'Total', value: _money(total, currency), strong: true }] : [],
+  };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+/** Lay a template body out onto the renderer. */
+function _renderBody(r, body, values, { items, parties }, empty) {
+  let para = [];
+  const flush = () => {
+    if (para.length) r.paragraph(para.join(' '));
+    para = [];
+  };
+  for (const raw of String(body).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+    const block = line.match(/^\{\{\s*([a-z_]+)\s*\}\}$/i)?.[1]?.toLowerCase();
+    if (!line) { flush(); continue; }
+    if (block === 'line_items') {
+      flush();
+      if (items.rows.length) {
+        r.table({ columns: QUOTE_COLUMNS, rows: items.rows });
+        if (items.totals.length) r.totals(items.totals);
+      } else {
+        empty.add('line_items');
+      }
+      continue;
+    }
+    if (block === 'signatures') { flush(); r.spacer(6); r.signatures(parties); continue; }
+    if (block === 'page_break') { flush(); r.pageBreak(); continue; }
+    if (line === '---') { flush(); r.rule(); continue; }
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (heading) { flush(); r.heading(_merge(heading[2], values, empty), heading[1].length); continue; }
+    const bullet = line.match(/^[-*•]\s+(.*)$/);
+    if (bullet) { flush(); r.bullet(_merge(bullet[1], values, empty)); continue; }
+    para.push(_merge(line, values, empty));
+  }
+  flush();
+}
+
+function _parties(org, contract, deal, signatories) {
+  const ext = signatories.find(s => s.signatory_type === 'external' && s.role !== 'cc');
+  const int = signatories.find(s => s.signatory_type === 'internal' && s.role !== 'cc');
+  return [
+    { party: _plain(contract?.customer_legal_name || deal?.account_name || 'Customer'), name: ext?.name || '' },
+    { party: _plain(org.companyName || ''), name: int?.name || '' },
+  ];
+}
+
+function _fileName(...parts) {
+  return parts.filter(Boolean).join(' - ').replace(/[\/\\:*?"<>|]/g, '_').replace(/\s+/g, ' ').slice(0, 150) + '.pdf';
+}
+
+// ── Storage ──────────────────────────────────────────────────────────────────
+
+const _url = (token) => `${BACKEND_URL}/api/documents/file/${token}`;
+
+function _out(row) {
+  return {
+    id:                row.id,
+    sourceType:        row.source_type,
+    title:             row.title,
+    fileName:          row.file_name,
+    byteSize:          row.byte_size,
+    quoteId:           row.quote_id,
+    contractId:        row.contract_id,
+    contractVersionId: row.contract_version_id,
+    templateId:        row.template_id,
+    url:               _url(row.access_token),
+    generatedBy:       row.generated_by,
+    generatedByName:   row.generated_by_name || null,
+    createdAt:         row.created_at,
+  };
+}
+
+async function _store(orgId, userId, doc) {
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO generated_documents
+       (org_id, source_type, deal_id, quote_id, contract_id, template_id,
+        title, file_name, byte_size, content, access_token, merge_data, generated_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+     RETURNING id, source_type, title, file_name, byte_size, quote_id, contract_id,
+               contract_version_id, template_id, access_token, generated_by, created_at`,
+    [orgId, doc.sourceType, doc.dealId || null, doc.quoteId || null, doc.contractId || null,
+     doc.templateId || null, doc.title, doc.fileName, doc.content.length, doc.content,
+     crypto.randomBytes(32).toString('hex'), JSON.stringify(doc.mergeData || {}), userId]);
+  return row;
+}
+
+/**
+ * File the PDF as the contract's next document version. Runs after the bytes
+ * are stored: if the version write fails the PDF still exists and can be
+ * attached by hand from its URL.
+ */
+async function _attach(orgId, userId, row, { contractId, versionType, comment }) {
+  const version = await contractService.uploadDocumentVersion(orgId, contractId, userId, {
+    documentUrl:      _url(row.access_token),
+    documentProvider: 'generated',
+    versionType:      versionType === 'minor' ? 'minor' : 'major',
+    comment,
+  });
+  await pool.query(
+    `UPDATE generated_documents SET contract_version_id = $2 WHERE id = $1`, [row.id, version.id]);
+  return { ...row, contract_version_id: version.id };
+}
+
+async function _contract(orgId, contractId) {
+  const { rows: [c] } = await pool.query(
+    `SELECT * FROM contracts WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`, [contractId, orgId]);
+  if (!c) throw _fail('Contract not found', 404);
+  return c;
+}
+
+function _assertEditable(contract) {
+  if (!EDITABLE_STATUSES.includes(contract.status)) {
+    throw _fail('New document versions can only be added while the contract is in draft or review', 409);
+  }
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Public API
+// ═════════════════════════════════════════════════════════════════════════════
+
+async function generateQuotePdf(orgId, userId, quoteId, opts = {}) {
+  const quote = await quoteService.getQuote(orgId, quoteId);
+  if (quote.status === 'draft' && !['not_required', 'approved'].includes(quote.approval_status)) {
+    throw _fail('This quote has a discount that needs approval before it can go to the customer', 409);
+  }
+  const template = opts.templateId ? await _template(orgId, parseInt(opts.templateId, 10)) : null;
+  let contract = null;
+  if (opts.contractId) {
+    contract = await _contract(orgId, parseInt(opts.contractId, 10));
+    if (contract.deal_id !== quote.deal_id) throw _fail('That contract belongs to a different deal', 400);
+    _assertEditable(contract);
+  }
+
+  const branding = await getBranding(orgId);
+  const { deal, contact } = await _dealContext(orgId, quote.deal_id);
+  const signatories = contract
+    ? (await pool.query(`SELECT * FROM contract_signatories WHERE contract_id = $1 ORDER BY created_at`, [contract.id])).rows
+    : [];
+  const signer = signatories.find(s => s.signatory_type === 'external' && s.role !== 'cc');
+  const values = _values({ org: branding, deal, contact, contract, signer, quote });
+  const items  = _quoteItems(quote);
+  const empty  = new Set();
+
+  const number = _quoteNumber(quote);
+  const title  = quote.status === 'draft' ? `Quote ${number} (draft)` : `Quote ${number}`;
+  const r = new BrandedRenderer({ title, branding, logo: _logo(branding) });
+  r.heading('Quote');
+  r.keyValues([
+    ['Prepared for', [values['account.name'], values['contact.full_name']].filter(Boolean).join(' · ') || '—'],
+    ['Quote number', `${number}`],
+    ['Issued', values.today],
+    ['Valid until', values['quote.valid_until'] || '—'],
+    ['Term', `${quote.term_months} months` + (quote.start_date ? ` from ${values['quote.start_date']}` : '')],
+    ['Prepared by', [values['owner.full_name'], values['owner.email']].filter(Boolean).join(' · ') || '—'],
+  ]);
+  r.spacer(6);
+  r.table({ columns: QUOTE_COLUMNS, rows: items.rows });
+  r.totals(items.totals);
+  if (quote.notes) {
+    r.heading('Notes', 3);
+    quote.notes.split(/\n\s*\n/).forEach(p => r.paragraph(_plain(p)));
+  }
+  if (template) {
+    r.spacer(6);
+    _renderBody(r, template.body, values, { items, parties: _parties(branding, contract, deal, signatories) }, empty);
+  }
+
+  let row = await _store(orgId, userId, {
+    sourceType: 'quote', dealId: quote.deal_id, quoteId, contractId: contract?.id,
+    templateId: template?.id, title, content: r.toBuffer(),
+    fileName: _fileName(deal.account_name, `Quote ${number}`),
+    mergeData: { values, quoteTotals: quote.totals },
+  });
+  if (contract) {
+    row = await _attach(orgId, userId, row, {
+      contractId: contract.id, versionType: opts.versionType,
+      comment: _plain(opts.comment) || `Quote ${number} generated as PDF`,
+    });
+  }
+  return { document: _out(row), emptyFields: [...empty] };
+}
+
+async function generateContractPdf(orgId, userId, contractId, opts = {}) {
+  if (!opts.templateId) throw _fail('Choose a template', 400);
+  const contract = await _contract(orgId, contractId);
+  _assertEditable(contract);
+  if (!contract.deal_id) throw _fail('Link this contract to a deal before generating its document', 400);
+  const template = await _template(orgId, parseInt(opts.templateId, 10));
+
+  // Line items: the named quote, else the accepted one, else the deal's own lines.
+  let quote = null;
+  if (opts.quoteId) {
+    quote = await quoteService.getQuote(orgId, parseInt(opts.quoteId, 10));
+    if (quote.deal_id !== contract.deal_id) throw _fail('That quote belongs to a different deal', 400);
+  } else {
+    const { rows: [accepted] } = await pool.query(
+      `SELECT id FROM quotes WHERE deal_id = $1 AND org_id = $2 AND status = 'accepted'`,
+      [contract.deal_id, orgId]);
+    if (accepted) quote = await quoteService.getQuote(orgId, accepted.id);
+  }
+
+  const branding = await getBranding(orgId);
+  const { deal, contact } = await _dealContext(orgId, contract.deal_id);
+  const { rows: signatories } = await pool.query(
+    `SELECT * FROM contract_signatories WHERE contract_id = $1 ORDER BY created_at`, [contractId]);
+  const signer = signatories.find(s => s.signatory_type === 'external' && s.role !== 'cc');
+  const values = _values({ org: branding, deal, contact, contract, signer, quote });
+  const items  = quote
+    ? _quoteItems(quote)
+    : await _dealItems(orgId, contract.deal_id, contract.currency || deal.currency);
+  const empty  = new Set();
+
+  const title = _plain(contract.title) || template.name;
+  const r = new BrandedRenderer({ title, branding, logo: _logo(branding) });
+  _renderBody(r, template.body, values, { items, parties: _parties(branding, contract, deal, signatories) }, empty);
+
+  let row = await _store(orgId, userId, {
+    sourceType: 'contract', dealId: contract.deal_id, quoteId: quote?.id, contractId,
+    templateId: template.id, title, content: r.toBuffer(),
+    fileName: _fileName(deal.account_name, title),
+    mergeData: { values, quoteId: quote?.id || null },
+  });
+  row = await _attach(orgId, userId, row, {
+    contractId, versionType: opts.versionType,
+    comment: _plain(opts.comment) || `Generated from template "${template.name}"`,
+  });
+  return { document: _out(row), emptyFields: [...empty] };
+}
+
+async function listDocuments(orgId, { quoteId, contractId, dealId } = {}) {
+  const where = ['g.org_id = $1'];
+  const params = [orgId];
+  if (quoteId)    { params.push(quoteId);    where.push(`g.quote_id = $${params.length}`); }
+  if (contractId) { params.push(contractId); where.push(`g.contract_id = $${params.length}`); }
+  if (dealId)     { params.push(dealId);     where.push(`g.deal_id = $${params.length}`); }
+  const { rows } = await pool.query(
+    `SELECT g.id, g.source_type, g.title, g.file_name, g.byte_size, g.quote_id, g.contract_id,
+            g.contract_version_id, g.template_id, g.access_token, g.generated_by, g.created_at,
+            (u.first_name || ' ' || u.last_name) AS generated_by_name
+       FROM generated_documents g
+       LEFT JOIN users u ON u.id = g.generated_by
+      WHERE ${where.join(' AND ')}
+      ORDER BY g.created_at DESC
+      LIMIT 100`,
+    params);
+  return rows.map(_out);
+}
+
+/** PUBLIC — the token is the credential. */
+async function getFileByToken(token) {
+  if (!/^[0-9a-f]{64}$/.test(String(token || ''))) return null;
+  const { rows: [row] } = await pool.query(
+    `SELECT file_name, content FROM generated_documents WHERE access_token = $1`, [token]);
+  return row ? { fileName: row.file_name, content: row.content } : null;
+}
+
+module.exports = {
+  getBranding, saveBranding,
+  listMergeFields, validateTemplateBody,
+  generateQuotePdf, generateContractPdf,
+  listDocuments, getFileByToken,
+};
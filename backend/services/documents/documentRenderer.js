@@ -0,0 +1,303 @@
+/**
+ * documents/documentRenderer.js
+ *
+ * DROP-IN LOCATION: backend/services/documents/documentRenderer.js
+ *
+ * Flow layout on top of pdfWriter: the caller appends blocks top to bottom and
+ * the renderer breaks pages, repeats table headers and stamps the org's
+ * branding on every page.
+ *
+ *   header   — logo (or company name) left, document title right, a band in
+ *              the primary colour across the top
+ *   footer   — the org's footer text left, "Page n of m" right
+ *
+ *   const r = new BrandedRenderer({ title, branding, logo });
+ *   r.heading('Order Form');
+ *   r.paragraph('Between **Acme Ltd** and …');
+ *   r.table({ columns, rows });
+ *   const pdf = r.toBuffer();
+ *
+ * Paragraph text may use **bold** runs; everything else is plain. Colours are
+ * '#rrggbb' strings straight from the org's branding settings.
+ */
+
+const { PdfDocument, widthOf } = require('./pdfWriter');
+
+const MARGIN        = 50;
+const HEADER_BOTTOM = 92;   // content starts below this
+const FOOTER_TOP    = 66;   // distance from the page bottom reserved for the footer
+const TEXT          = '#1f2937';
+const MUTED         = '#6b7280';
+const RULE          = '#e5e7eb';
+const STRIPE        = '#f8fafc';
+
+/** Split '**bold** rest' into [{ text, bold }] runs. */
+function _runs(str) {
+  return String(str ?? '').split('**').map((text, i) => ({ text, bold: i % 2 === 1 })).filter(r => r.text);
+}
+
+/**
+ * Greedy word wrap across bold/regular runs. Returns lines of
+ * [{ text, bold, width }] segments. Words longer than the line are hard-split.
+ */
+function _wrap(runs, size, maxWidth) {
+  const words = [];
+  for (const run of runs) {
+    String(run.text).split(/(\s+)/).forEach((w) => {
+      if (!w) return;
+      if (/^\s+$/.test(w)) { if (words.length) words[words.length - 1].space = true; return; }
+      words.push({ text: w, bold: run.bold, space: false });
+    });
+  }
+  const lines = [];
+  let line = [], width = 0;
+  const flush = () => { lines.push(line); line = []; width = 0; };
+  const spaceW = widthOf(' ', size);
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    let ww = widthOf(w.text, size, w.bold);
+    if (ww > maxWidth) {
+      // Break an over-long token (a URL, an account number) at the margin.
+      let part = '';
+      for (const ch of w.text) {
+        if (widthOf(part + ch, size, w.bold) > maxWidth - width && part) {
+          line.push({ text: part, bold: w.bold, width: widthOf(part, size, w.bold) });
+          flush(); part = '';
+        }
+        part += ch;
+      }
+      w.text = part; ww = widthOf(part, size, w.bold);
+    }
+    if (line.length && width + spaceW + ww > maxWidth) flush();
+    const gap = line.length && words[i - 1]?.space ? spaceW : 0;
+    const last = line[line.length - 1];
+    if (last && last.bold === w.bold) {
+      last.text += (gap ? ' ' : '') + w.text;
+      last.width += ww + gap;
+    } else {
+      line.push({ text: (gap ? ' ' : '') + w.text, bold: w.bold, width: ww + gap });
+    }
+    width += ww + gap;
+  }
+  if (line.length) flush();
+  return lines.length ? lines : [[]];
+}
+
+class BrandedRenderer {
+  /**
+   * @param {object} opts
+   * @param {string} opts.title     — shown in the header and the PDF metadata
+   * @param {object} opts.branding  — { companyName, primaryColor, accentColor, footerText }
+   * @param {Buffer} [opts.logo]    — PNG/JPEG; unreadable logos fall back to the name
+   */
+  constructor({ title, branding = {}, logo = null }) {
+    this.title    = title || '';
+    this.branding = branding;
+    this.primary  = branding.primaryColor || '#0f172a';
+    this.accent   = branding.accentColor  || this.primary;
+    this.doc      = new PdfDocument({ title: this.title, author: branding.companyName || '' });
+    this.width    = this.doc.width - 2 * MARGIN;
+    this.bottom   = this.doc.height - FOOTER_TOP;
+    this.logo     = null;
+    if (logo) {
+      try { this.logo = this.doc.image(logo); } catch (_) { this.logo = null; }
+    }
+    this._newPage();
+  }
+
+  _newPage() {
+    this.page = this.doc.addPage();
+    this.y = HEADER_BOTTOM;
+    const d = this.doc;
+    d.rect(this.page, 0, 0, d.width, 6, this.primary);
+    if (this.logo) {
+      const h = 34;
+      const w = Math.min(160, h * this.logo.width / this.logo.height);
+      d.drawImage(this.page, this.logo, MARGIN, 28, w, w * this.logo.height / this.logo.width);
+    } else if (this.branding.companyName) {
+      d.text(this.page, this.branding.companyName, MARGIN, 34, { size: 15, bold: true, color: this.primary });
+    }
+    if (this.title) {
+      const size = 10;
+      d.text(this.page, this.title, d.width - MARGIN - widthOf(this.title, size, true), 38,
+             { size, bold: true, color: MUTED });
+    }
+    d.line(this.page, MARGIN, 74, d.width - MARGIN, 74, { color: RULE });
+  }
+
+  /** Start a new page unless `height` still fits on this one. */
+  ensure(height) {
+    if (this.y + height > this.bottom) this._newPage();
+  }
+
+  spacer(h = 8) { this.y += h; }
+
+  pageBreak() {
+    if (this.y > HEADER_BOTTOM) this._newPage();
+  }
+
+  rule() {
+    this.ensure(10);
+    this.doc.line(this.page, MARGIN, this.y + 4, MARGIN + this.width, this.y + 4, { color: RULE });
+    this.y += 10;
+  }
+
+  heading(text, level = 1) {
+    const size = level === 1 ? 17 : level === 2 ? 13 : 11;
+    const lines = _wrap(_runs(text), size, this.width);
+    this.ensure(size * 1.3 * lines.length + size * 1.6);   // keep with what follows
+    this.y += level === 1 ? 4 : 8;
+    for (const line of lines) {
+      this.doc.text(this.page, line.map(s => s.text).join(''), MARGIN, this.y,
+                    { size, bold: true, color: level === 1 ? this.primary : TEXT });
+      this.y += size * 1.3;
+    }
+    this.y += 4;
+  }
+
+  /** Wrapped text; `indent` shifts the block, `bullet` hangs a marker in the indent. */
+  paragraph(text, { size = 10, color = TEXT, indent = 0, bullet = null, gap = 6 } = {}) {
+    const lh = size * 1.4;
+    const lines = _wrap(_runs(text), size, this.width - indent);
+    lines.forEach((segments, i) => {
+      this.ensure(lh);
+      if (i === 0 && bullet) this.doc.text(this.page, bullet, MARGIN + indent - 12, this.y, { size, color });
+      let x = MARGIN + indent;
+      for (const s of segments) {
+        this.doc.text(this.page, s.text, x, this.y, { size, bold: s.bold, color });
+        x += s.width;
+      }
+      this.y += lh;
+    });
+    this.y += gap;
+  }
+
+  bullet(text, opts = {}) {
+    this.paragraph(text, { ...opts, indent: 16, bullet: '•', gap: 2 });
+  }
+
+  /** Two label/value columns — the "Prepared for / Quote no." block under a title. */
+  keyValues(pairs, { columns = 2 } = {}) {
+    const colW = this.width / columns;
+    const rows = [];
+    for (let i = 0; i < pairs.length; i += columns) rows.push(pairs.slice(i, i + columns));
+    for (const row of rows) {
+      const heights = row.map(([, value]) => _wrap(_runs(value), 10, colW - 12).length);
+      const h = 12 + Math.max(...heights) * 14 + 6;
+      this.ensure(h);
+      row.forEach(([label, value], c) => {
+        const x = MARGIN + c * colW;
+        this.doc.text(this.page, String(label).toUpperCase(), x, this.y, { size: 7.5, bold: true, color: MUTED });
+        _wrap(_runs(value), 10, colW - 12).forEach((segs, i) => {
+          this.doc.text(this.page, segs.map(s => s.text).join(''), x, this.y + 12 + i * 14, { size: 10, color: TEXT });
+        });
+      });
+      this.y += h;
+    }
+  }
+
+  /**
+   * @param {object} t
+   * @param {{label:string, width:number, align?:'left'|'right'}[]} t.columns — width is a fraction
+   * @param {(string[]|{cells:string[], detail?:string})[]} t.rows — `detail` prints small under the row
+   */
+  table({ columns, rows }) {
+    const size = 9, lh = size * 1.35, pad = 5;
+    const widths = columns.map(c => c.width * this.width);
+    const drawHeader = () => {
+      const h = lh + 2 * pad;
+      this.ensure(h + lh + 2 * pad);
+      this.doc.rect(this.page, MARGIN, this.y, this.width, h, this.primary);
+      let x = MARGIN;
+      columns.forEach((c, i) => {
+        const tw = widthOf(c.label, size, true);
+        const tx = c.align === 'right' ? x + widths[i] - pad - tw : x + pad;
+        this.doc.text(this.page, c.label, tx, this.y + pad, { size, bold: true, color: '#ffffff' });
+        x += widths[i];
+      });
+      this.y += h;
+    };
+
+    drawHeader();
+    rows.forEach((row, r) => {
+      const cells = Array.isArray(row) ? row : row.cells;
+      const detail = Array.isArray(row) ? null : row.detail;
+      const wrapped = cells.map((cell, i) => _wrap(_runs(cell), size, widths[i] - 2 * pad));
+      const detailLines = detail ? _wrap(_runs(detail), size - 1.5, this.width - 2 * pad) : [];
+      const h = Math.max(...wrapped.map(w => w.length)) * lh + detailLines.length * lh * 0.9 + 2 * pad;
+      if (this.y + h > this.bottom) { this._newPage(); drawHeader(); }
+      if (r % 2 === 1) this.doc.rect(this.page, MARGIN, this.y, this.width, h, STRIPE);
+      let x = MARGIN;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((segs, li) => {
+          const text = segs.map(s => s.text).join('');
+          const bold = segs.length > 0 && segs.every(s => s.bold);
+          const tw = widthOf(text, size, bold);
+          const tx = columns[i].align === 'right' ? x + widths[i] - pad - tw : x + pad;
+          this.doc.text(this.page, text, tx, this.y + pad + li * lh, { size, bold, color: TEXT });
+        });
+        x += widths[i];
+      });
+      const detailTop = this.y + pad + Math.max(...wrapped.map(w => w.length)) * lh;
+      detailLines.forEach((segs, i) => {
+        this.doc.text(this.page, segs.map(s => s.text).join(''), MARGIN + pad, detailTop + i * lh * 0.9,
+                      { size: size - 1.5, color: MUTED });
+      });
+      this.y += h;
+      this.doc.line(this.page, MARGIN, this.y, MARGIN + this.width, this.y, { color: RULE });
+    });
+    this.y += 8;
+  }
+
+  /** Right-aligned label/amount pairs under a table; `strong` gets the accent band. */
+  totals(items) {
+    const size = 10, lh = 18, boxW = 240, x = MARGIN + this.width - boxW;
+    this.ensure(items.length * lh + 6);
+    for (const { label, value, strong } of items) {
+      if (strong) this.doc.rect(this.page, x, this.y - 3, boxW, lh, this.accent);
+      const color = strong ? '#ffffff' : TEXT;
+      this.doc.text(this.page, label, x + 8, this.y + 1, { size, bold: !!strong, color });
+      this.doc.text(this.page, value, x + boxW - 8 - widthOf(value, size, true), this.y + 1,
+                    { size, bold: true, color });
+      this.y += lh;
+    }
+    this.y += 8;
+  }
+
+  /** Side-by-side signature boxes, two per row. */
+  signatures(parties) {
+    const colW = (this.width - 30) / 2, h = 108;
+    for (let i = 0; i < parties.length; i += 2) {
+      this.ensure(h);
+      parties.slice(i, i + 2).forEach((p, c) => {
+        const x = MARGIN + c * (colW + 30);
+        this.doc.text(this.page, p.party || '', x, this.y, { size: 9, bold: true, color: this.primary });
+        const rows = [['Signature', ''], ['Name', p.name || ''], ['Title', p.title || ''], ['Date', '']];
+        rows.forEach(([label, value], r) => {
+          const ly = this.y + 34 + r * 19;
+          this.doc.text(this.page, label, x, ly - 10, { size: 7.5, color: MUTED });
+          this.doc.line(this.page, x + 52, ly, x + colW, ly, { color: '#9ca3af' });
+          if (value) this.doc.text(this.page, value, x + 56, ly - 11, { size: 9, color: TEXT });
+        });
+      });
+      this.y += h;
+    }
+  }
+
+  toBuffer() {
+    const d = this.doc, total = d.pages.length;
+    const footer = this.branding.footerText || '';
+    d.pages.forEach((page, i) => {
+      const top = d.height - FOOTER_TOP + 20;
+      d.line(page, MARGIN, top, d.width - MARGIN, top, { color: RULE });
+      const label = `Page ${i + 1} of ${total}`;
+      d.text(page, label, d.width - MARGIN - widthOf(label, 7.5), top + 8, { size: 7.5, color: MUTED });
+      _wrap(_runs(footer.replace(/\*\*/g, '')), 7.5, this.width - 80).slice(0, 3).forEach((segs, l) => {
+        d.text(page, segs.map(s => s.text).join(''), MARGIN, top + 8 + l * 10, { size: 7.5, color: MUTED });
+      });
+    });
+    return d.toBuffer();
+  }
+}
+
+module.exports = { BrandedRenderer };
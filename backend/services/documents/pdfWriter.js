@@ -0,0 +1,352 @@
+/**
+ * documents/pdfWriter.js
+ *
+ * DROP-IN LOCATION: backend/services/documents/pdfWriter.js
+ *
+ * The smallest PDF writer that customer-facing quotes and contracts need:
+ * pages, text in Helvetica / Helvetica-Bold, filled rectangles, rules and
+ * JPEG/PNG images. No dependency — the two standard fonts ship with every PDF
+ * reader, so nothing is embedded and a ten-page contract stays a few KB.
+ *
+ * Coordinates are in points from the TOP-LEFT of the page (the PDF origin is
+ * bottom-left; the flip happens here so the layout code never thinks about it).
+ * `y` for text is the top of the line box, not the baseline.
+ *
+ * Text is written in WinAnsiEncoding, which covers Latin-1 plus the usual
+ * typographic characters (€ – — ' ' " " • …). Anything outside that prints
+ * as '?'; widthOf() measures the same substitution, so wrapping stays right.
+ *
+ *   const doc = new PdfDocument({ title });
+ *   const page = doc.addPage();
+ *   doc.text(page, 'Hello', 50, 50, { size: 12, bold: true, color: '#111827' });
+ *   const logo = doc.image(buffer);          // throws on an unsupported image
+ *   doc.drawImage(page, logo, 50, 20, 120, 40);
+ *   const buffer = doc.toBuffer();
+ *
+ * Pages stay open until toBuffer(), so a caller can go back and stamp
+ * "Page 2 of 5" footers once it knows the page count.
+ */
+
+const zlib = require('zlib');
+
+const A4 = [595.28, 841.89];
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for 0x20–0x7E, from
+// the Adobe core font metrics.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Unicode → WinAnsi for the 0x80–0x9F block; Latin-1 (0xA0–0xFF) maps to itself.
+const WIN_ANSI = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+  0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+  0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F,
+  // Spaces Intl.NumberFormat likes to emit.
+  0x202F: 0x20, 0x2009: 0x20, 0x2007: 0x20,
+};
+
+// Widths for the non-ASCII codes that are not 556 in both faces.
+const WIDE = { 0x85: 1000, 0x89: 1000, 0x8C: 1000, 0x97: 1000, 0x99: 1000, 0x9C: 944,
+               0x95: 350, 0x91: 222, 0x92: 222, 0x82: 222, 0x93: 333, 0x94: 333, 0x84: 333,
+               0x8B: 333, 0x9B: 333, 0xA0: 278, 0xA9: 737, 0xAE: 737, 0xB0: 400, 0xB7: 278 };
+
+function _encode(str) {
+  const out = [];
+  for (const ch of String(str ?? '')) {
+    const cp = ch.codePointAt(0);
+    if (cp >= 0x20 && cp <= 0x7E) out.push(cp);
+    else if (WIN_ANSI[cp] != null) out.push(WIN_ANSI[cp]);
+    else if (cp >= 0xA0 && cp <= 0xFF) out.push(cp);
+    else if (cp === 0x09) out.push(0x20);
+    else out.push(0x3F);
+  }
+  return out;
+}
+
+function _codeWidth(code, bold) {
+  if (code >= 0x20 && code <= 0x7E) return WIDTHS[bold ? 'bold' : 'regular'][code - 0x20];
+  return WIDE[code] || 556;
+}
+
+/** Width in points of `str` set in Helvetica (or -Bold) at `size`. */
+function widthOf(str, size, bold = false) {
+  return _encode(str).reduce((t, c) => t + _codeWidth(c, bold), 0) * size / 1000;
+}
+
+/** '#0369a1' / '#fff' → 'r g b' operands; anything else → black. */
+function _rgb(hex) {
+  let h = String(hex || '').replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(h)) h = h.split('').map(c => c + c).join('');
+  if (!/^[0-9a-f]{6}$/i.test(h)) return '0 0 0';
+  return [0, 2, 4].map(i => (parseInt(h.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+const _n = (v) => (Math.round(v * 100) / 100).toString();
+
+function _pdfString(str) {
+  return '(' + String(str).replace(/[\\()]/g, m => '\\' + m).replace(/[^\x20-\x7E]/g, '?') + ')';
+}
+
+// ── Images ───────────────────────────────────────────────────────────────────
+
+function _fail(msg) {
+  return Object.assign(new Error(msg), { status: 400 });
+}
+
+function _jpeg(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xFF) { i++; continue; }
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0–SOF15, excluding DHT (C4), JPG (C8) and DAC (CC).
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      const height = buf.readUInt16BE(i + 5);
+      const width  = buf.readUInt16BE(i + 7);
+      const comps  = buf[i + 9];
+      const space  = comps === 1 ? '/DeviceGray' : comps === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+      return {
+        width, height,
+        dict: `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${space} ` +
+              `/BitsPerComponent 8 /Filter /DCTDecode` + (comps === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''),
+        data: buf,
+      };
+    }
+    i += 2 + len;
+  }
+  throw _fail('Could not read the JPEG image');
+}
+
+function _paeth(a, b, c) {
+  const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/** Undo PNG row filters → raw pixel rows (8-bit only). */
+function _unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  let pos = 0;
+  for (let y = 0; y < height; y++) {
+    const type = data[pos++];
+    const row = y * stride, prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[pos++];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let v;
+      switch (type) {
+        case 0: v = raw; break;
+        case 1: v = raw + a; break;
+        case 2: v = raw + b; break;
+        case 3: v = raw + ((a + b) >> 1); break;
+        case 4: v = raw + _paeth(a, b, c); break;
+        default: throw _fail('Could not read the PNG image');
+      }
+      out[row + x] = v & 0xFF;
+    }
+  }
+  return out;
+}
+
+function _png(buf) {
+  let pos = 8, ihdr = null, palette = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len  = buf.readUInt32BE(pos);
+    const type = buf.toString('ascii', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + len);
+    if (type === 'IHDR') {
+      ihdr = { width: body.readUInt32BE(0), height: body.readUInt32BE(4),
+               depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'IDAT') idat.push(body);
+    else if (type === 'IEND') break;
+    pos += 12 + len;
+  }
+  if (!ihdr || !idat.length) throw _fail('Could not read the PNG image');
+  const { width, height, depth, colorType, interlace } = ihdr;
+  if (depth !== 8 || interlace) throw _fail('Logo PNGs must be 8-bit and non-interlaced');
+
+  const zdata = Buffer.concat(idat);
+  const head = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8`;
+
+  // Opaque images go in as-is: PDF's PNG predictor undoes the row filters.
+  if (colorType === 0 || colorType === 2 || colorType === 3) {
+    const colors = colorType === 2 ? 3 : 1;
+    let space = colorType === 0 ? '/DeviceGray' : '/DeviceRGB';
+    if (colorType === 3) {
+      if (!palette) throw _fail('Could not read the PNG image');
+      space = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+    }
+    return {
+      width, height,
+      dict: `${head} /ColorSpace ${space} /Filter /FlateDecode ` +
+            `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: zdata,
+    };
+  }
+
+  // Gray+alpha / RGBA: split the alpha channel out into a soft mask.
+  if (colorType === 4 || colorType === 6) {
+    const colors = colorType === 6 ? 3 : 1;
+    const bpp = colors + 1;
+    const pixels = _unfilter(zlib.inflateSync(zdata), width, height, bpp);
+    const color = Buffer.alloc(width * height * colors);
+    const alpha = Buffer.alloc(width * height);
+    for (let p = 0, c = 0; p < width * height; p++) {
+      for (let k = 0; k < colors; k++) color[c++] = pixels[p * bpp + k];
+      alpha[p] = pixels[p * bpp + colors];
+    }
+    return {
+      width, height,
+      dict: `${head} /ColorSpace ${colors === 3 ? '/DeviceRGB' : '/DeviceGray'} /Filter /FlateDecode`,
+      data: zlib.deflateSync(color),
+      mask: {
+        dict: `${head} /ColorSpace /DeviceGray /Filter /FlateDecode`,
+        data: zlib.deflateSync(alpha),
+      },
+    };
+  }
+  throw _fail('Unsupported PNG colour type');
+}
+
+// ── Document ─────────────────────────────────────────────────────────────────
+
+class PdfDocument {
+  constructor({ size = A4, title = '', author = '' } = {}) {
+    this.width  = size[0];
+    this.height = size[1];
+    this.title  = title;
+    this.author = author;
+    this.pages  = [];
+    this.images = [];
+  }
+
+  addPage() {
+    const page = { ops: [], images: new Set() };
+    this.pages.push(page);
+    return page;
+  }
+
+  /** Parse a JPEG or PNG buffer into an image handle for drawImage(). */
+  image(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 16) throw _fail('Empty image');
+    let img;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) img = _jpeg(buffer);
+    else if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') img = _png(buffer);
+    else throw _fail('Images must be PNG or JPEG');
+    img.name = `Im${this.images.length + 1}`;
+    this.images.push(img);
+    return img;
+  }
+
+  text(page, str, x, y, { size = 10, bold = false, color = '#000000' } = {}) {
+    const codes = _encode(str);
+    if (!codes.length) return;
+    const hex = Buffer.from(codes).toString('hex');
+    // Baseline ≈ 0.8 em below the top of the line box for Helvetica.
+    page.ops.push(`BT /${bold ? 'F2' : 'F1'} ${_n(size)} Tf ${_rgb(color)} rg ` +
+                  `${_n(x)} ${_n(this.height - y - size * 0.8)} Td <${hex}> Tj ET`);
+  }
+
+  rect(page, x, y, w, h, color) {
+    page.ops.push(`${_rgb(color)} rg ${_n(x)} ${_n(this.height - y - h)} ${_n(w)} ${_n(h)} re f`);
+  }
+
+  line(page, x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+    page.ops.push(`${_rgb(color)} RG ${_n(width)} w ${_n(x1)} ${_n(this.height - y1)} m ` +
+                  `${_n(x2)} ${_n(this.height - y2)} l S`);
+  }
+
+  drawImage(page, img, x, y, w, h) {
+    page.images.add(img);
+    page.ops.push(`q ${_n(w)} 0 0 ${_n(h)} ${_n(x)} ${_n(this.height - y - h)} cm /${img.name} Do Q`);
+  }
+
+  toBuffer() {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const push = (s) => {
+      const b = Buffer.isBuffer(s) ? s : Buffer.from(s, 'latin1');
+      chunks.push(b); length += b.length;
+    };
+    const objects = [];                  // index + 1 = object number
+    const reserve = () => objects.push(null);
+    const set = (num, body) => { objects[num - 1] = body; };
+
+    reserve(); reserve();                // 1 catalog, 2 pages
+    const fontRegular = objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`);
+    const fontBold    = objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`);
+
+    const imageRefs = new Map();
+    for (const img of this.images) {
+      let smask = '';
+      if (img.mask) {
+        const m = objects.push({ dict: img.mask.dict, data: img.mask.data });
+        smask = ` /SMask ${m} 0 R`;
+      }
+      imageRefs.set(img, objects.push({ dict: img.dict + smask, data: img.data }));
+    }
+
+    const pageNums = this.pages.map((page) => {
+      const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+      const contentNum = objects.push({ dict: '/Filter /FlateDecode', data: content });
+      const xobjects = [...page.images].map(img => `/${img.name} ${imageRefs.get(img)} 0 R`).join(' ');
+      return objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${_n(this.width)} ${_n(this.height)}] ` +
+        `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >>` +
+        (xobjects ? ` /XObject << ${xobjects} >>` : '') + ` >> /Contents ${contentNum} 0 R >>`);
+    });
+    set(1, `<< /Type /Catalog /Pages 2 0 R >>`);
+    set(2, `<< /Type /Pages /Kids [${pageNums.map(n => `${n} 0 R`).join(' ')}] /Count ${pageNums.length} >>`);
+
+    const d = new Date();
+    const stamp = `D:${d.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+    const info = objects.push(
+      `<< /Title ${_pdfString(this.title)} /Author ${_pdfString(this.author)} ` +
+      `/Producer (GoWarmCRM) /CreationDate (${stamp}) >>`);
+
+    push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      push(`${i + 1} 0 obj\n`);
+      if (typeof body === 'string') {
+        push(body);
+      } else {
+        push(`<< ${body.dict} /Length ${body.data.length} >>\nstream\n`);
+        push(body.data);
+        push('\nendstream');
+      }
+      push('\nendobj\n');
+    });
+
+    const xref = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(o => push(`${String(o).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = { PdfDocument, widthOf, A4 };
@@ -0,0 +1,225 @@
+/**
+ * documents/textDiff.js
+ *
+ * DROP-IN LOCATION: backend/services/documents/textDiff.js
+ *
+ * Plain-text comparison for contract redlines (2026_149): split extracted
+ * document text into paragraphs, line the paragraphs of two versions up, and
+ * mark the word-level changes inside the ones that were edited.
+ *
+ *   const { rows, stats } = compareTexts(previousText, incomingText);
+ *   // rows: [{ type: 'same' | 'changed' | 'removed' | 'added',
+ *   //          left, right, leftIndex, rightIndex,
+ *   //          leftParts?, rightParts? }]      ← only on 'changed'
+ *   // parts: [{ text, op: 'same' | 'del' | 'ins' }]
+ *
+ * Comparison ignores case, whitespace runs and curly-vs-straight quotes —
+ * a reflowed PDF should not read as a redline. The diff is Myers' O(ND)
+ * algorithm; past MAX_EDITS the two sides are reported as wholly replaced
+ * rather than spending seconds on documents that share nothing.
+ */
+
+const MAX_EDITS      = 3000;
+const PAIR_THRESHOLD = 0.55;  // a removed + added paragraph this similar is one edited paragraph
+const PAIR_WINDOW    = 8;     // how far ahead to look for that partner
+
+/** Normalised form used for equality — never shown. */
+function normalize(str) {
+  return String(str || '')
+    .replace(/[‘’‚′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+const NUMBERED = /^(\d+(\.\d+)*\.?|\([a-z0-9ivx]+\)|[a-z]\)|article\s+\d+|section\s+\d+|schedule\s+\d+)\s/i;
+
+/**
+ * Paragraphs of a document's extracted text.
+ *
+ * Word exports separate paragraphs with blank lines; PDF text usually comes
+ * out one line per printed line, so when blank lines are scarce paragraphs
+ * are rebuilt: a numbered line ("7.2", "(b)", "Section 4") starts one, and so
+ * does a line after a short line ending in punctuation.
+ */
+function splitParagraphs(text) {
+  const src = String(text || '').replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ').replace(/[ \t]+/g, ' ');
+  const lines = src.split('\n').map(l => l.trim());
+  const nonEmpty = lines.filter(Boolean);
+  if (!nonEmpty.length) return [];
+
+  const blocks = src.split(/\n\s*\n/).map(b => b.replace(/\s*\n\s*/g, ' ').trim()).filter(Boolean);
+  if (blocks.length >= nonEmpty.length / 4) return blocks;
+
+  const widths = nonEmpty.map(l => l.length).sort((a, b) => a - b);
+  const typical = widths[Math.floor(widths.length * 0.75)] || 80;
+  const out = [];
+  let cur = '';
+  let prev = '';
+  for (const line of nonEmpty) {
+    const startsNew = !cur
+      || NUMBERED.test(line)
+      || (/[.:;]$/.test(prev) && prev.length < typical * 0.8);
+    if (startsNew) {
+      if (cur) out.push(cur);
+      cur = line;
+    } else {
+      cur = /-$/.test(cur) ? cur.slice(0, -1) + line : `${cur} ${line}`;
+    }
+    prev = line;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// A word or a punctuation run, with its trailing whitespace — so "disclosed."
+// → "disclosed in writing." is two words added, not one word replaced, and
+// joining the tokens restores the text exactly.
+const TOKEN = /[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*\s*|[^\p{L}\p{N}_\s]+\s*|\s+/gu;
+
+function words(str) {
+  return String(str || '').match(TOKEN) || [];
+}
+
+/**
+ * Myers diff of two arrays under `eq`. Returns [{ op, a?, b? }] in order,
+ * where a / b are indexes into the inputs. Null when the edit distance
+ * exceeds MAX_EDITS.
+ */
+function diff(a, b, eq = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB--; }
+
+  const head = [];
+  for (let i = 0; i < start; i++) head.push({ op: 'same', a: i, b: i });
+  const tail = [];
+  for (let i = endA, j = endB; i < a.length; i++, j++) tail.push({ op: 'same', a: i, b: j });
+
+  const n = endA - start, m = endB - start;
+  const max = Math.min(n + m, MAX_EDITS);
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && eq(a[start + x], b[start + y])) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+  if (!found) return null;
+
+  const mid = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const pv = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && pv[off + k - 1] < pv[off + k + 1])) ? k + 1 : k - 1;
+    const prevX = pv[off + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { x--; y--; mid.push({ op: 'same', a: start + x, b: start + y }); }
+    if (x === prevX) { y--; mid.push({ op: 'ins', b: start + y }); }
+    else             { x--; mid.push({ op: 'del', a: start + x }); }
+  }
+  while (x > 0 && y > 0) { x--; y--; mid.push({ op: 'same', a: start + x, b: start + y }); }
+
+  return [...head, ...mid.reverse(), ...tail];
+}
+
+/** 0..1 — share of words two passages have in common, in order. */
+function similarity(a, b) {
+  const wa = words(normalize(a)).map(w => w.trim());
+  const wb = words(normalize(b)).map(w => w.trim());
+  if (!wa.length && !wb.length) return 1;
+  if (!wa.length || !wb.length) return 0;
+  const ops = diff(wa, wb);
+  if (!ops) return 0;
+  const same = ops.filter(o => o.op === 'same').length;
+  return (2 * same) / (wa.length + wb.length);
+}
+
+/** Word-level parts for one edited paragraph. */
+function wordParts(left, right) {
+  const wl = words(left), wr = words(right);
+  const ops = diff(wl, wr, (x, y) => normalize(x) === normalize(y));
+  if (!ops) {
+    return { leftParts: [{ text: left, op: 'del' }], rightParts: [{ text: right, op: 'ins' }] };
+  }
+  const leftParts = [], rightParts = [];
+  const push = (parts, op, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += text;
+    else parts.push({ op, text });
+  };
+  for (const o of ops) {
+    if (o.op === 'same') { push(leftParts, 'same', wl[o.a]); push(rightParts, 'same', wr[o.b]); }
+    else if (o.op === 'del') push(leftParts, 'del', wl[o.a]);
+    else push(rightParts, 'ins', wr[o.b]);
+  }
+  return { leftParts, rightParts };
+}
+
+/**
+ * Side-by-side rows for two texts. A run of removed and added paragraphs is
+ * paired up where a removed one has a close partner a few paragraphs on —
+ * that is an edit, shown with word-level parts; the rest stay whole.
+ */
+function compareTexts(leftText, rightText) {
+  const left  = splitParagraphs(leftText);
+  const right = splitParagraphs(rightText);
+  const ln = left.map(normalize), rn = right.map(normalize);
+
+  const ops = diff(ln, rn) || [
+    ...left.map((_, a) => ({ op: 'del', a })),
+    ...right.map((_, b) => ({ op: 'ins', b })),
+  ];
+
+  const rows = [];
+  const stats = { same: 0, changed: 0, removed: 0, added: 0 };
+  const emit = (row) => { rows.push(row); stats[row.type]++; };
+
+  const flush = (dels, ins) => {
+    let next = 0;
+    for (const a of dels) {
+      let match = -1;
+      for (let j = next; j < Math.min(ins.length, next + PAIR_WINDOW); j++) {
+        if (similarity(left[a], right[ins[j]]) >= PAIR_THRESHOLD) { match = j; break; }
+      }
+      if (match < 0) {
+        emit({ type: 'removed', left: left[a], right: null, leftIndex: a, rightIndex: null });
+        continue;
+      }
+      for (; next < match; next++) {
+        emit({ type: 'added', left: null, right: right[ins[next]], leftIndex: null, rightIndex: ins[next] });
+      }
+      const b = ins[match];
+      emit({ type: 'changed', left: left[a], right: right[b], leftIndex: a, rightIndex: b, ...wordParts(left[a], right[b]) });
+      next = match + 1;
+    }
+    for (; next < ins.length; next++) {
+      emit({ type: 'added', left: null, right: right[ins[next]], leftIndex: null, rightIndex: ins[next] });
+    }
+  };
+
+  let dels = [], ins = [];
+  for (const o of ops) {
+    if (o.op === 'del') { dels.push(o.a); continue; }
+    if (o.op === 'ins') { ins.push(o.b); continue; }
+    if (dels.length || ins.length) { flush(dels, ins); dels = []; ins = []; }
+    emit({ type: 'same', left: left[o.a], right: right[o.b], leftIndex: o.a, rightIndex: o.b });
+  }
+  if (dels.length || ins.length) flush(dels, ins);
+
+  return { rows, stats };
+}
+
+module.exports = { splitParagraphs, normalize, diff, similarity, compareTexts };
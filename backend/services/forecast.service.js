@@ -0,0 +1,599 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// forecast.service.js
+//
+// Forecasting on top of the deals table (schema: 2026_131_forecasting.sql):
+//   • getForecast(period)        — categorised forecast for the viewer and each
+//                                  direct report, rolled up through org_hierarchy
+//   • submitForecast(period)     — a rep/manager's call (append-only history)
+//   • quotas                     — per-user, per-period targets
+//   • captureSnapshots()         — weekly freeze of every deal touching a period
+//   • waterfall(period)          — what changed since the last frozen snapshot
+//
+// Categories: commit / best_case / pipeline / omitted are EXCLUSIVE buckets;
+// "best case" as a headline number is commit + best_case (the UI adds them).
+// deals.forecast_category overrides; NULL derives from probability (categoryOf).
+// Won deals closed inside the period are reported as closedWon, never as a
+// category.
+//
+// Periods: 'YYYY-Qn' (quarter, default) or 'YYYY-MM' (month). A deal belongs to
+// a period by expected_close_date while open, and by its close date once won.
+//
+// Money: deal values are converted to the corporate currency (currency.service);
+// quotas and submitted calls are entered in it. A new exchange rate can move an
+// open foreign-currency deal's value, which the waterfall shows as up/down.
+//
+// Roll-up: a user's number is their own deals plus every solid/dotted
+// subordinate's (hierarchyService.getSubordinates) — the same visibility set
+// orgContext uses for req.subordinateIds, so a manager never sees a forecast
+// built from deals they could not open.
+// ─────────────────────────────────────────────────────────────────────────────
+const { pool } = require('../config/database');
+const hierarchyService = require('./hierarchyService');
+const { getCorporateCurrency, fxSql } = require('./currency.service');
+
+const CATEGORIES = ['commit', 'best_case', 'pipeline', 'omitted'];
+const CATEGORY_LABELS = { commit: 'Commit', best_case: 'Best case', pipeline: 'Pipeline', omitted: 'Omitted' };
+
+// Probability thresholds for derived categories (inclusive lower bounds).
+const COMMIT_MIN_PROBABILITY    = 90;
+const BEST_CASE_MIN_PROBABILITY = 50;
+
+const WON_CLAUSE  = `(d.stage = 'closed_won' OR COALESCE(ps.stage_type,'') = 'won')`;
+const LOST_CLAUSE = `(d.stage = 'closed_lost' OR COALESCE(ps.stage_type,'') = 'lost')`;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ── Periods ──────────────────────────────────────────────────────────────────
+const PERIOD_RE = /^(\d{4})-(Q[1-4]|0[1-9]|1[0-2])$/;
+
+function periodKeyOf(date, type = 'quarter') {
+  const d = new Date(date);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  if (type === 'month') return `${y}-${String(m + 1).padStart(2, '0')}`;
+  return `${y}-Q${Math.floor(m / 3) + 1}`;
+}
+
+/** → { key, type, start, end } with end exclusive, both 'YYYY-MM-DD'. */
+function periodBounds(periodKey) {
+  const m = PERIOD_RE.exec(periodKey || '');
+  if (!m) throw httpError(400, `Invalid period "${periodKey}" — expected YYYY-Qn or YYYY-MM`);
+  const y = Number(m[1]);
+  let startMonth, months, type;
+  if (m[2].startsWith('Q')) { type = 'quarter'; startMonth = (Number(m[2][1]) - 1) * 3; months = 3; }
+  else                      { type = 'month';   startMonth = Number(m[2]) - 1;           months = 1; }
+  const iso = (dt) => dt.toISOString().slice(0, 10);
+  return {
+    key: periodKey, type,
+    start: iso(new Date(Date.UTC(y, startMonth, 1))),
+    end:   iso(new Date(Date.UTC(y, startMonth + months, 1))),
+  };
+}
+
+function nextPeriodKey(periodKey) {
+  const { type, end } = periodBounds(periodKey);
+  return periodKeyOf(end, type);
+}
+
+/** Monday (UTC) of the week containing `date`, as 'YYYY-MM-DD'. */
+function weekStartOf(date = new Date()) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// ── Categories ───────────────────────────────────────────────────────────────
+function categoryOf(deal) {
+  if (deal.forecast_category && CATEGORIES.includes(deal.forecast_category)) return deal.forecast_category;
+  const p = deal.probability == null ? 50 : Number(deal.probability);
+  if (p >= COMMIT_MIN_PROBABILITY)    return 'commit';
+  if (p >= BEST_CASE_MIN_PROBABILITY) return 'best_case';
+  return 'pipeline';
+}
+
+const emptyTotals = () => ({ closedWon: 0, commit: 0, best_case: 0, pipeline: 0, omitted: 0, count: 0 });
+
+function addDeal(totals, d) {
+  if (d.won) totals.closedWon += d.value;
+  else totals[d.category] += d.value;
+  totals.count += 1;
+}
+
+function roundTotals(t) {
+  const out = { ...t };
+  for (const k of ['closedWon', ...CATEGORIES]) out[k] = Math.round(out[k]);
+  return out;
+}
+
+// ── Deal loading ─────────────────────────────────────────────────────────────
+
+/**
+ * Every non-deleted deal that counts toward `periodKey`: open with an
+ * expected close inside it, or won with a close date inside it.
+ * ownerIds = null → the whole org (snapshots).
+ *
+ * `value` is in the corporate currency (currency.service fxSql); a deal whose
+ * currency has no rate counts as 0 and is flagged `unconverted`.
+ */
+async function loadPeriodDeals(orgId, periodKey, ownerIds = null) {
+  const { start, end } = periodBounds(periodKey);
+  const corporate = await getCorporateCurrency(orgId);
+  const fx = fxSql('d', '$4');
+  const params = [orgId, start, end, corporate];
+  let ownerClause = '';
+  if (ownerIds) { params.push(ownerIds); ownerClause = `AND d.owner_id = ANY($5::int[])`; }
+
+  const { rows } = await pool.query(
+    `SELECT d.id, d.name, d.owner_id, ${fx.value}::float AS value, d.probability,
+            d.value::float AS original_value, COALESCE(d.currency, $4) AS currency,
+            ${fx.unconverted} AS unconverted,
+            d.stage, d.forecast_category, d.expected_close_date, d.created_at,
+            (o.first_name || ' ' || o.last_name) AS owner_name,
+            a.name AS account_name, ps.name AS stage_name,
+            ${WON_CLAUSE} AS won
+       FROM deals d
+       LEFT JOIN users o ON o.id = d.owner_id
+       LEFT JOIN accounts a ON a.id = d.account_id
+       LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
+       ${fx.join}
+      WHERE d.org_id = $1 AND d.deleted_at IS NULL
+        AND NOT ${LOST_CLAUSE}
+        AND (
+          (${WON_CLAUSE}
+             AND COALESCE(d.closed_at::date, d.close_date, d.expected_close_date) >= $2::date
+             AND COALESCE(d.closed_at::date, d.close_date, d.expected_close_date) <  $3::date)
+          OR
+          (NOT ${WON_CLAUSE}
+             AND d.expected_close_date >= $2::date AND d.expected_close_date < $3::date)
+        )
+        ${ownerClause}`,
+    params
+  );
+  return rows.map(r => ({
+    ...r,
+    value: r.value || 0,
+    category: r.won ? null : categoryOf(r),
+    categoryDerived: !r.won && !r.forecast_category,
+  }));
+}
+
+// ── Quotas ───────────────────────────────────────────────────────────────────
+
+async function getQuotaMap(orgId, periodKey, userIds) {
+  const { rows } = await pool.query(
+    `SELECT user_id, amount::float AS amount FROM quotas
+      WHERE org_id = $1 AND period_key = $2 AND user_id = ANY($3::int[])`,
+    [orgId, periodKey, userIds]
+  );
+  return new Map(rows.map(r => [r.user_id, r.amount]));
+}
+
+async function listQuotas(orgId, periodKey, userIds = null) {
+  periodBounds(periodKey);
+  const params = [orgId, periodKey];
+  let userClause = '';
+  if (userIds) { params.push(userIds); userClause = 'AND q.user_id = ANY($3::int[])'; }
+  const { rows } = await pool.query(
+    `SELECT q.user_id, q.amount::float AS amount, q.updated_at,
+            (u.first_name || ' ' || u.last_name) AS user_name
+       FROM quotas q JOIN users u ON u.id = q.user_id
+      WHERE q.org_id = $1 AND q.period_key = $2 ${userClause}
+      ORDER BY user_name`,
+    params
+  );
+  return rows;
+}
+
+async function setQuota(orgId, { userId, periodKey, amount, setBy }) {
+  periodBounds(periodKey);
+  const amt = Number(amount);
+  if (!Number.isFinite(amt) || amt < 0) throw httpError(400, 'amount must be a non-negative number');
+  const { rows } = await pool.query(
+    `INSERT INTO quotas (org_id, user_id, period_key, amount, set_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (org_id, user_id, period_key)
+     DO UPDATE SET amount = EXCLUDED.amount, set_by = EXCLUDED.set_by, updated_at = NOW()
+     RETURNING user_id, period_key, amount::float AS amount, updated_at`,
+    [orgId, userId, periodKey, amt, setBy]
+  );
+  return rows[0];
+}
+
+// ── Submissions ──────────────────────────────────────────────────────────────
+
+async function latestSubmissions(orgId, periodKey, userIds) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (user_id)
+            id, user_id, commit_amount::float AS commit_amount,
+            best_case_amount::float AS best_case_amount, notes, is_rollup, submitted_at
+       FROM forecast_submissions
+      WHERE org_id = $1 AND period_key = $2 AND user_id = ANY($3::int[])
+      ORDER BY user_id, submitted_at DESC`,
+    [orgId, periodKey, userIds]
+  );
+  return new Map(rows.map(r => [r.user_id, r]));
+}
+
+async function listSubmissions(orgId, periodKey, userId) {
+  periodBounds(periodKey);
+  const { rows } = await pool.query(
+    `SELECT id, commit_amount::float AS commit_amount, best_case_amount::float AS best_case_amount,
+            system_commit::float AS system_commit, system_best_case::float AS system_best_case,
+            system_pipeline::float AS system_pipeline, closed_won::float AS closed_won,
+            is_rollup, notes, submitted_at
+       FROM forecast_submissions
+      WHERE org_id = $1 AND period_key = $2 AND user_id = $3
+      ORDER BY submitted_at DESC`,
+    [orgId, periodKey, userId]
+  );
+  return rows;
+}
+
+/**
+ * Record a call. The system numbers for the submitter's roll-up scope are
+ * captured alongside so accuracy can be judged later against what the deals
+ * said at the time, not what they say now.
+ */
+async function submitForecast(orgId, userId, { periodKey, commitAmount, bestCaseAmount, notes }) {
+  periodBounds(periodKey);
+  const commit = Number(commitAmount);
+  if (!Number.isFinite(commit) || commit < 0) throw httpError(400, 'commitAmount must be a non-negative number');
+  const best = bestCaseAmount == null || bestCaseAmount === '' ? commit : Number(bestCaseAmount);
+  if (!Number.isFinite(best) || best < commit) throw httpError(400, 'bestCaseAmount must be a number no lower than commitAmount');
+
+  const subs   = await hierarchyService.getSubordinates(orgId, userId);
+  const deals  = await loadPeriodDeals(orgId, periodKey, [userId, ...subs]);
+  const totals = emptyTotals();
+  deals.forEach(d => addDeal(totals, d));
+
+  const { rows } = await pool.query(
+    `INSERT INTO forecast_submissions
+       (org_id, user_id, period_key, commit_amount, best_case_amount,
+        system_commit, system_best_case, system_pipeline, closed_won, is_rollup, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id, submitted_at`,
+    [orgId, userId, periodKey, commit, best,
+     totals.commit, totals.commit + totals.best_case, totals.pipeline, totals.closedWon,
+     subs.length > 0, notes ? String(notes).slice(0, 2000) : null]
+  );
+  return { ...rows[0], periodKey, commitAmount: commit, bestCaseAmount: best };
+}
+
+// ── Forecast view ────────────────────────────────────────────────────────────
+
+/**
+ * Forecast for `viewerId` (or a subordinate they drill into) in one period.
+ * Rows: the subject user first (their whole subtree), then each direct report
+ * (each with their own subtree). `deals` is the subject's full deal list so
+ * the UI can override categories in place.
+ */
+async function getForecast(orgId, subjectId, periodKey) {
+  const bounds = periodBounds(periodKey);
+
+  const [subjectSubs, directs, subjectUser, currency] = await Promise.all([
+    hierarchyService.getSubordinates(orgId, subjectId),
+    hierarchyService.getDirectReports(orgId, subjectId),
+    pool.query(`SELECT id, first_name, last_name FROM users WHERE id = $1`, [subjectId]),
+    getCorporateCurrency(orgId),
+  ]);
+  const teamIds = [subjectId, ...subjectSubs];
+  const deals   = await loadPeriodDeals(orgId, periodKey, teamIds);
+
+  // Subtree per row. Each direct report's subtree is a subset of the
+  // subject's, so one deal load serves every row.
+  const rowDefs = [{
+    userId: subjectId,
+    name: subjectUser.rows[0] ? `${subjectUser.rows[0].first_name} ${subjectUser.rows[0].last_name}` : 'You',
+    members: new Set(teamIds),
+    isRollup: subjectSubs.length > 0,
+  }];
+  for (const r of directs) {
+    const subs = await hierarchyService.getSubordinates(orgId, r.user_id);
+    rowDefs.push({
+      userId: r.user_id,
+      name: `${r.first_name} ${r.last_name}`,
+      members: new Set([r.user_id, ...subs]),
+      isRollup: subs.length > 0,
+      relationship: r.relationship_type,
+    });
+  }
+
+  const [quotaMap, submissionMap] = await Promise.all([
+    getQuotaMap(orgId, periodKey, teamIds),
+    latestSubmissions(orgId, periodKey, rowDefs.map(r => r.userId)),
+  ]);
+
+  const rows = rowDefs.map(def => {
+    const totals = emptyTotals();
+    for (const d of deals) if (def.members.has(d.owner_id)) addDeal(totals, d);
+
+    // A manager's quota is their own row when set (a team number); otherwise
+    // the sum of everyone in their subtree.
+    let quota = quotaMap.get(def.userId) ?? null;
+    let quotaSource = quota != null ? 'own' : null;
+    if (quota == null && def.isRollup) {
+      const sum = [...def.members].reduce((s, id) => s + (quotaMap.get(id) || 0), 0);
+      if (sum > 0) { quota = sum; quotaSource = 'rollup'; }
+    }
+
+    const sub = submissionMap.get(def.userId) || null;
+    return {
+      userId: def.userId,
+      name: def.name,
+      isRollup: def.isRollup,
+      relationship: def.relationship || null,
+      totals: roundTotals(totals),
+      quota: quota != null ? Math.round(quota) : null,
+      quotaSource,
+      attainmentPct: quota ? Math.round((totals.closedWon / quota) * 100) : null,
+      submission: sub && {
+        commit: Math.round(sub.commit_amount),
+        bestCase: Math.round(sub.best_case_amount ?? sub.commit_amount),
+        notes: sub.notes,
+        submittedAt: sub.submitted_at,
+      },
+    };
+  });
+
+  return {
+    period: bounds,
+    subjectId,
+    currency,
+    unconverted: deals.filter(d => d.unconverted).length,
+    categories: CATEGORIES.map(k => ({ key: k, label: CATEGORY_LABELS[k] })),
+    thresholds: { commit: COMMIT_MIN_PROBABILITY, bestCase: BEST_CASE_MIN_PROBABILITY },
+    rows,
+    deals: deals
+      .sort((a, b) => (a.won === b.won ? b.value - a.value : a.won ? 1 : -1))
+      .map(d => ({
+        id: d.id, name: d.name, accountName: d.account_name,
+        ownerId: d.owner_id, ownerName: d.owner_name,
+        value: Math.round(d.value), probability: d.probability,
+        originalValue: d.original_value, currency: d.currency, unconverted: d.unconverted,
+        stage: d.stage, stageName: d.stage_name || d.stage,
+        expectedCloseDate: d.expected_close_date,
+        won: d.won, category: d.category, categoryDerived: d.categoryDerived,
+      })),
+  };
+}
+
+/** null clears the override (back to derived). */
+async function setDealCategory(orgId, dealId, category) {
+  if (category != null && !CATEGORIES.includes(category)) {
+    throw httpError(400, `category must be one of ${CATEGORIES.join(', ')} or null`);
+  }
+  const { rows } = await pool.query(
+    `UPDATE deals SET forecast_category = $3, updated_at = NOW()
+      WHERE id = $2 AND org_id = $1 AND deleted_at IS NULL
+      RETURNING id, forecast_category, probability`,
+    [orgId, dealId, category]
+  );
+  if (!rows.length) throw httpError(404, 'Deal not found');
+  return { id: rows[0].id, forecastCategory: rows[0].forecast_category, category: categoryOf(rows[0]) };
+}
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+/**
+ * Freeze this week's view of every period a forecast is likely to be
+ * reviewed for: current + next quarter, current + next month. Idempotent per
+ * (org, period, week) — a re-run the same week keeps the first capture.
+ */
+async function captureSnapshots(orgId, now = new Date()) {
+  const q = periodKeyOf(now, 'quarter');
+  const m = periodKeyOf(now, 'month');
+  const periods = [q, nextPeriodKey(q), m, nextPeriodKey(m)];
+  const weekStart = weekStartOf(now);
+  const captured = [];
+
+  for (const periodKey of periods) {
+    const deals = await loadPeriodDeals(orgId, periodKey);
+    const totals = emptyTotals();
+    const byOwner = {};
+    for (const d of deals) {
+      addDeal(totals, d);
+      const k = d.owner_id ?? 0;
+      if (!byOwner[k]) byOwner[k] = emptyTotals();
+      addDeal(byOwner[k], d);
+    }
+    const frozen = deals.map(d => ({
+      id: d.id, name: d.name, owner_id: d.owner_id, value: d.value,
+      original_value: d.original_value, currency: d.currency,
+      probability: d.probability, stage: d.stage, category: d.category,
+      expected_close_date: d.expected_close_date, won: d.won,
+    }));
+    const { rows } = await pool.query(
+      `INSERT INTO forecast_snapshots (org_id, period_key, week_start, deals, totals)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (org_id, period_key, week_start) DO NOTHING
+       RETURNING id`,
+      [orgId, periodKey, weekStart, JSON.stringify(frozen),
+       JSON.stringify({ ...roundTotals(totals), by_owner: byOwner })]
+    );
+    if (rows.length) captured.push({ id: rows[0].id, periodKey, weekStart, deals: frozen.length });
+  }
+  return captured;
+}
+
+/** Weekly cron entry: every org that has deals. */
+async function runWeeklySnapshots() {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT org_id FROM deals WHERE deleted_at IS NULL`
+  );
+  let snapshots = 0, errors = 0;
+  for (const { org_id } of rows) {
+    try {
+      snapshots += (await captureSnapshots(org_id)).length;
+    } catch (err) {
+      console.error(`❌ Forecast snapshot error for org ${org_id}:`, err.message);
+      errors++;
+    }
+  }
+  return { orgs: rows.length, snapshots, errors };
+}
+
+/**
+ * Frozen totals restricted to `ownerIds`: by_owner keeps only those owners
+ * and the headline figures are their sum. ownerIds = null → the whole org.
+ */
+function scopeSnapshotTotals(totals, ownerIds) {
+  if (!ownerIds) return totals;
+  const byOwner = {};
+  const scoped = emptyTotals();
+  for (const [owner, t] of Object.entries(totals?.by_owner || {})) {
+    if (!ownerIds.includes(Number(owner))) continue;
+    byOwner[owner] = t;
+    for (const k of ['closedWon', 'count', ...CATEGORIES]) scoped[k] += Number(t[k]) || 0;
+  }
+  return { ...roundTotals(scoped), by_owner: byOwner };
+}
+
+/** ownerIds = null → org-wide totals (admins); else the caller's team only. */
+async function listSnapshots(orgId, periodKey, ownerIds = null) {
+  periodBounds(periodKey);
+  const { rows } = await pool.query(
+    `SELECT id, period_key, week_start, captured_at, totals
+       FROM forecast_snapshots
+      WHERE org_id = $1 AND period_key = $2
+      ORDER BY week_start DESC`,
+    [orgId, periodKey]
+  );
+  return rows.map(r => ({ ...r, totals: scopeSnapshotTotals(r.totals, ownerIds) }));
+}
+
+// ── Waterfall ────────────────────────────────────────────────────────────────
+
+const WATERFALL_STEPS = [
+  { key: 'new',        label: 'New deals' },
+  { key: 'pulled_in',  label: 'Pulled in' },
+  { key: 'increased',  label: 'Value up' },
+  { key: 'decreased',  label: 'Value down' },
+  { key: 'pushed_out', label: 'Pushed out' },
+  { key: 'lost',       label: 'Lost' },
+  { key: 'removed',    label: 'Removed' },
+];
+
+/**
+ * Compare a frozen snapshot (default: the most recent one before this week)
+ * with the live deals, scoped to `ownerIds`. The measured total is every
+ * deal counting toward the period — closed-won plus all open categories
+ * except omitted — so a win moves value between categories without moving
+ * the total, and shows up in categoryMoves instead of as a step.
+ */
+async function waterfall(orgId, periodKey, ownerIds, { snapshotId = null } = {}) {
+  const bounds = periodBounds(periodKey);
+  const snapRes = snapshotId
+    ? await pool.query(
+        `SELECT id, week_start, captured_at, deals FROM forecast_snapshots
+          WHERE id = $1 AND org_id = $2 AND period_key = $3`,
+        [snapshotId, orgId, periodKey])
+    : await pool.query(
+        `SELECT id, week_start, captured_at, deals FROM forecast_snapshots
+          WHERE org_id = $1 AND period_key = $2 AND week_start < $3::date
+          ORDER BY week_start DESC LIMIT 1`,
+        [orgId, periodKey, weekStartOf()]);
+  if (!snapRes.rows.length) {
+    return { period: bounds, snapshot: null, steps: [], categoryMoves: [], from: null, to: null };
+  }
+  const snap = snapRes.rows[0];
+  const owners = new Set(ownerIds);
+  const counts = (d) => d.won || d.category !== 'omitted';
+
+  const before = new Map(snap.deals.filter(d => owners.has(d.owner_id)).map(d => [d.id, d]));
+  const now    = new Map((await loadPeriodDeals(orgId, periodKey, ownerIds)).map(d => [d.id, d]));
+
+  // Current state of deals that dropped out, to say why.
+  const goneIds = [...before.keys()].filter(id => !now.has(id));
+  const gone = new Map();
+  if (goneIds.length) {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.deleted_at, ${LOST_CLAUSE} AS lost,
+              COALESCE(d.expected_close_date >= $3::date, false) AS pushed_out
+         FROM deals d
+         LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
+        WHERE d.org_id = $1 AND d.id = ANY($2::int[])`,
+      [orgId, goneIds, bounds.end]);
+    rows.forEach(r => gone.set(r.id, r));
+  }
+
+  const steps = Object.fromEntries(WATERFALL_STEPS.map(s => [s.key, { ...s, amount: 0, count: 0, deals: [] }]));
+  const push = (key, deal, amount) => {
+    const s = steps[key];
+    s.amount += amount; s.count += 1;
+    s.deals.push({ id: deal.id, name: deal.name, amount: Math.round(amount) });
+  };
+  const moves = new Map();
+  let fromTotal = 0, toTotal = 0;
+
+  for (const d of before.values()) if (counts(d)) fromTotal += d.value;
+  for (const d of now.values())    if (counts(d)) toTotal   += d.value;
+
+  for (const [id, d] of now) {
+    const prev = before.get(id);
+    if (!prev) {
+      if (!counts(d)) continue;
+      push(new Date(d.created_at) >= new Date(snap.captured_at) ? 'new' : 'pulled_in', d, d.value);
+      continue;
+    }
+    const prevIn = counts(prev), nowIn = counts(d);
+    if (prevIn && nowIn) {
+      const delta = d.value - prev.value;
+      if (delta > 0) push('increased', d, delta);
+      else if (delta < 0) push('decreased', d, delta);
+    } else if (!prevIn && nowIn) push('pulled_in', d, d.value);     // un-omitted
+    else if (prevIn && !nowIn)   push('removed', d, -prev.value);   // omitted
+
+    const fromCat = prev.won ? 'closed_won' : prev.category;
+    const toCat   = d.won ? 'closed_won' : d.category;
+    if (fromCat !== toCat) {
+      const k = `${fromCat}→${toCat}`;
+      if (!moves.has(k)) moves.set(k, { from: fromCat, to: toCat, count: 0, value: 0 });
+      const mv = moves.get(k); mv.count += 1; mv.value += d.value;
+    }
+  }
+
+  for (const id of goneIds) {
+    const prev = before.get(id);
+    if (!counts(prev)) continue;
+    const cur = gone.get(id);
+    const key = !cur || cur.deleted_at ? 'removed'
+      : cur.lost ? 'lost'
+      : cur.pushed_out ? 'pushed_out'
+      : 'removed';
+    push(key, prev, -prev.value);
+  }
+
+  return {
+    period: bounds,
+    snapshot: { id: snap.id, weekStart: snap.week_start, capturedAt: snap.captured_at },
+    from: Math.round(fromTotal),
+    to: Math.round(toTotal),
+    steps: WATERFALL_STEPS.map(s => steps[s.key])
+      .filter(s => s.count > 0)
+      .map(s => ({ ...s, amount: Math.round(s.amount), deals: s.deals.sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount)).slice(0, 25) })),
+    categoryMoves: [...moves.values()].map(m => ({ ...m, value: Math.round(m.value) })),
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  categoryOf,
+  periodKeyOf,
+  periodBounds,
+  weekStartOf,
+  getForecast,
+  submitForecast,
+  listSubmissions,
+  listQuotas,
+  setQuota,
+  setDealCategory,
+  captureSnapshots,
+  scopeSnapshotTotals,
+  runWeeklySnapshots,
+  listSnapshots,
+  waterfall,
+};
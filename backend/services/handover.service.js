@@ -36,6 +36,8 @@ const { getDiagnosticRulesConfig }  = require('../routes/orgAdmin.routes');
 const PlayCompletionService        = require('./PlayCompletionService');  // Phase 6
 const projectSettings              = require('./projectSettings.service');   // 2026-08 scope config
 const hierarchyService             = require('./hierarchyService');
+const OutboundWebhooks             = require('./outboundWebhook.service');
+const handoverHealth               = require('./handoverHealthService');     // 2026_145 score
 
 // ── Status machine ────────────────────────────────────────────────────────────
 
@@ -297,6 +299,12 @@ function fmtPlay(row) {
     // ── deliverable tracking (2026_64) ──
     dueDate:         row.due_date   ?? null,
     dueAnchor:       row.due_anchor ?? 'created',
+    // 2026_141. null = not estimated; the scheduler assumes 1 day.
+    durationDays:    row.duration_days ?? null,
+    // 2026_142. numeric comes back from pg as a string.
+    effortHours:     row.effort_hours != null ? Number(row.effort_hours) : null,
+    // 2026_144. The client's task, listed to them in the portal.
+    clientAction:    row.client_action ?? false,
     isOverdue,
     daysOverdue:     isOverdue
       ? Math.floor((Date.now() - new Date(row.due_date)) / 86400000)
@@ -450,6 +458,18 @@ async function initiate(dealId, orgId, userId) {
     }
   }
 
+  OutboundWebhooks.emit(orgId, 'handover.created', {
+    handover: {
+      id:            handover.id,
+      dealId:        handover.deal_id,
+      accountId:     handover.account_id,
+      status:        handover.status,
+      goLiveDate:    handover.go_live_date,
+      contractValue: handover.contract_value,
+      createdBy:     handover.created_by,
+    },
+  });
+
   return { handover: fmt(handover), created: true, warnings };
 }
 
@@ -2820,6 +2840,7 @@ function fmtNote(row, viewerId, canManage) {
     // Null when the author's account has since been removed — the note stays,
     // attributed to nobody, rather than disappearing with them.
     authorName: row.author_name || null,
+    fromClient: row.author_portal_user_id != null,
     createdAt:  row.created_at,
     // 2026_124. Files live in the org's Drive/OneDrive; these are references
     // plus a snapshot of the file's identity. isImage drives thumbnailing.
@@ -2900,7 +2921,11 @@ async function listPlayNotes(handoverId, orgId, playInstanceId, userId) {
 
   const { rows } = await pool.query(
     `SELECT n.id, n.body, n.note_type, n.is_internal, n.author_id, n.created_at,
-            u.first_name || ' ' || u.last_name AS author_name,
+            -- 2026_144. A note written in the client portal has no author_id;
+            -- it is attributed to the portal user, marked as the client's.
+            COALESCE(u.first_name || ' ' || u.last_name,
+                     cpu.first_name || ' ' || cpu.last_name || ' (client)') AS author_name,
+            n.author_portal_user_id,
             -- 2026_124. Attachments come back with the note rather than on a
             -- second call: a note with a photo is one thing to read, and a
             -- per-note round trip would make a ten-note thread eleven requests.
@@ -2921,6 +2946,7 @@ async function listPlayNotes(handoverId, orgId, playInstanceId, userId) {
        FROM play_notes n
        JOIN project_play_instances p ON p.id = n.project_play_instance_id
        LEFT JOIN users u ON u.id = n.author_id
+       LEFT JOIN client_portal_users cpu ON cpu.id = n.author_portal_user_id
       WHERE n.project_play_instance_id = $1
         AND n.org_id = $2
         AND p.handover_id = $3
@@ -3191,6 +3217,32 @@ async function updatePlay(handoverId, orgId, playInstanceId, data = {}, userId =
 
   if (has('isGate'))      add('is_gate', data.isGate === true);
 
+  // 2026_141: planned span ending on the due date. Not a date change, so no
+  // revision row — the schedule reads it, the variance report does not.
+  if (has('durationDays')) {
+    const raw = data.durationDays;
+    const dd = (raw === null || raw === '') ? null : parseInt(raw, 10);
+    if (dd !== null && (!Number.isFinite(dd) || dd < 0 || dd > 3650)) {
+      throw Object.assign(
+        new Error('durationDays must be between 0 and 3650, or empty.'), { status: 400 });
+    }
+    add('duration_days', dd);
+  }
+
+  // 2026_142: owner's estimated hours, read by the capacity heatmap.
+  if (has('effortHours')) {
+    const raw = data.effortHours;
+    const eh = (raw === null || raw === '') ? null : Number(raw);
+    if (eh !== null && (!Number.isFinite(eh) || eh < 0 || eh > 10000)) {
+      throw Object.assign(
+        new Error('effortHours must be between 0 and 10000, or empty.'), { status: 400 });
+    }
+    add('effort_hours', eh);
+  }
+
+  // 2026_144: the client's task. Shown to them in the portal as theirs to do.
+  if (has('clientAction')) add('client_action', data.clientAction === true);
+
   // sortOrder / stageKey: a template could previously be renamed and re-dated
   // but never restructured, which made a playbook only superficially editable.
   // Moving a play between stages or repositioning it within one is what makes
@@ -3457,7 +3509,8 @@ async function _getPlays(handoverId, orgId, hideInternalNotes = false) {
        dpi.stage_key,
        dpi.execution_type, dpi.sort_order, dpi.priority,
        dpi.status AS play_status, dpi.completed_by,
-       dpi.due_date, dpi.due_anchor,
+       dpi.due_date, dpi.due_anchor, dpi.duration_days, dpi.effort_hours,
+       dpi.client_action,
        dpi.baseline_due_date, dpi.baseline_source,
        dpi.completion_note, dpi.completion_evidence,
        dpi.play_id, dpi.playbook_id, dpi.owner_user_id,
@@ -3576,6 +3629,10 @@ function _mapDealContactRole(dealRole) {
 //     3. ActionPersister.upsertDiagnosticAlert() per fired rule
 //        entityType='handover' → writes to actions table using deal_id FK
 //     4. ActionPersister.resolveStaleDiagnostics() for cleared conditions
+//   Before the loop, every active project is scored (handoverHealthService,
+//   2026_145) — the stored score and today's snapshot. A red score fires
+//   'project_health_red' alongside the rule alerts, so it resolves the same
+//   way when the project recovers.
 //
 // Architectural note:
 //   entityId passed to ActionPersister is the DEAL_ID, not the handover id.
@@ -3663,7 +3720,7 @@ async function buildHandoverContext(handoverRow) {
  * @returns {Promise<{ processed: number, alerts: number, resolved: number, errors: number }>}
  */
 async function runNightlySweep(orgId) {
-  const stats = { processed: 0, alerts: 0, resolved: 0, errors: 0 };
+  const stats = { processed: 0, scored: 0, alerts: 0, resolved: 0, errors: 0 };
 
   // Load org diagnostic rules config once for entire sweep
   let handoverConfig = {};
@@ -3693,6 +3750,17 @@ async function runNightlySweep(orgId) {
     return stats;
   }
 
+  // Score first; a scoring failure must not stop the rule alerts.
+  const healthById = new Map();
+  let healthUnknown = false;
+  try {
+    for (const h of await handoverHealth.scoreProjects(orgId)) healthById.set(h.id, h);
+    stats.scored = healthById.size;
+  } catch (err) {
+    healthUnknown = true;
+    console.error(`[HandoverNightlySweep] Health scoring failed for org ${orgId}:`, err.message);
+  }
+
   for (const handoverRow of handovers) {
     try {
       // Build derived context fields
@@ -3729,6 +3797,30 @@ async function runNightlySweep(orgId) {
         }
       }
 
+      const health = healthById.get(handoverRow.id);
+      if (health && health.status === 'red') {
+        const id = await ActionPersister.upsertDiagnosticAlert({
+          entityType: 'project',
+          entityId:   handoverRow.id,
+          dealId:     handoverRow.deal_id || null,
+          sourceRule: 'project_health_red',
+          title:      `Project health is red (${health.score}/100)`,
+          description: `${health.reasons.join('; ')}. Open the project's health breakdown to see which component is costing the most.`,
+          priority:   'high',
+          nextStep:   'internal_task',
+          orgId:      orgId,
+          userId:     handoverRow.assigned_service_owner_id || null,
+        });
+        if (id != null) {
+          firedSourceRules.push('project_health_red');
+          stats.alerts++;
+        }
+      } else if (healthUnknown) {
+        // Not scored tonight — leave an open health alert as it is rather
+        // than resolve it on no evidence.
+        firedSourceRules.push('project_health_red');
+      }
+
       // Resolve stale diagnostics. Must key the same way the upsert did, or
       // alerts written against handover_id would never be cleared.
       const resolvedCount = await ActionPersister.resolveStaleDiagnostics({
@@ -3751,7 +3843,7 @@ async function runNightlySweep(orgId) {
   }
 
   console.log(
-    `[HandoverNightlySweep] org=${orgId} processed=${stats.processed} ` +
+    `[HandoverNightlySweep] org=${orgId} processed=${stats.processed} scored=${stats.scored} ` +
     `alerts=${stats.alerts} resolved=${stats.resolved} errors=${stats.errors}`
   );
 
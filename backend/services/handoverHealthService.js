@@ -14,6 +14,18 @@
 // STANDARD_RULES are sensible defaults; they're structured so an org / program /
 // project override can later be merged on top (getRules hook) without touching
 // callers. Tune the numbers freely — the shape stays the same.
+//
+// SCORE (2026_145). On top of the rules, every active project gets a 0–100
+// score from five weighted components — schedule slip against baseline,
+// overdue gates, open commitments, client engagement, cost variance on the
+// bill. Each component carries a one-line "why", and the score is stored with
+// that breakdown plus one snapshot per day, so the portfolio can sort by it
+// and say what changed. A component that cannot apply (no bill; an internal
+// project has no client to hear from) is left out and the weights
+// re-normalised, rather than scored as a free 100.
+//
+// The status is the WORSE of the score band and the rules: a project with an
+// overdue commitment is red however well everything else is going.
 // ─────────────────────────────────────────────────────────────────────────────
 const { pool } = require('../config/database');
 
@@ -37,6 +49,51 @@ async function getRules(/* orgId, scope */) {
   return STANDARD_RULES;
 }
 
+// Component weights and step tables. `steps` is [[upTo, score], …] — the first
+// row whose upTo the value does not exceed gives the score.
+const STANDARD_SCORING = {
+  weights: { schedule: 30, gates: 20, commitments: 20, engagement: 15, cost: 15 },
+  bands:   { green_gte: 75, yellow_gte: 50 },
+  schedule: {
+    slip_days_steps: [[0, 100], [7, 80], [14, 60], [30, 35], [Infinity, 10]],
+    widespread_share_gte: 0.5,    // half the open plays slipping …
+    widespread_penalty:   15,     // … costs this much on top
+  },
+  gates: {
+    overdue_steps: [[0, 100], [1, 40], [Infinity, 0]],
+    open_near_golive_days_lte: 14,
+    open_near_golive_score:    70,
+  },
+  commitments: {
+    overdue_steps: [[0, 100], [1, 40], [Infinity, 10]],
+    breached_score: 0,
+    open_near_golive_days_lte: 14,
+    open_near_golive_score:    70,
+  },
+  engagement: {
+    quiet_days_steps: [[7, 100], [14, 80], [30, 45], [Infinity, 10]],
+    grace_days: 14,               // a project this new has not had time to go quiet
+  },
+  cost: {
+    overrun_pct_steps: [[0, 100], [2, 85], [5, 60], [10, 30], [Infinity, 0]],
+    pending_variations_penalty: 10,
+  },
+  alerts: { drop_points_gte: 15, window_days: 7 },
+};
+
+async function getScoring(/* orgId, scope */) {
+  return STANDARD_SCORING;
+}
+
+const SEVERITY = { green: 0, yellow: 1, red: 2 };
+const worse = (a, b) => (SEVERITY[a] ?? -1) >= (SEVERITY[b] ?? -1) ? a : b;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function step(table, value) {
+  for (const [upTo, score] of table) if (value <= upTo) return score;
+  return table[table.length - 1][1];
+}
+
 /**
  * Compute a project's health from its signals.
  * @returns {{ status:'green'|'yellow'|'red'|'neutral', active:boolean, reasons:string[] }}
@@ -86,9 +143,264 @@ function computeHealth(s, rules = STANDARD_RULES) {
   return { status: 'green', active: true, reasons: ['On track'] };
 }
 
+/**
+ * Score a project from its signals (see SIGNALS_SQL). Pure — no DB.
+ * @returns {{ score:number, status:'green'|'yellow'|'red', reasons:string[],
+ *             components:Array<{key,label,weight,score,applicable,detail}> }}
+ */
+function computeScore(s, scoring = STANDARD_SCORING, rules = STANDARD_RULES) {
+  const n = (v) => Number(v ?? 0);
+  const dGoLive = s.days_to_go_live === null || s.days_to_go_live === undefined ? null : Number(s.days_to_go_live);
+  const nearGoLive = (days) => dGoLive !== null && dGoLive >= 0 && dGoLive <= days;
+  const W = scoring.weights;
+  const components = [];
+
+  // ── Schedule slip ──
+  {
+    const C = scoring.schedule;
+    const worst = n(s.max_slip_days), slipping = n(s.slipping_plays), open = n(s.open_plays);
+    let score = step(C.slip_days_steps, worst);
+    if (open > 0 && slipping / open >= C.widespread_share_gte) score = Math.max(0, score - C.widespread_penalty);
+    components.push({
+      key: 'schedule', label: 'Schedule slip', weight: W.schedule, score, applicable: true,
+      detail: slipping
+        ? `${slipping} of ${open} open play${open === 1 ? '' : 's'} behind baseline, worst by ${worst}d`
+        : open ? 'No open play is behind its baseline' : 'No open plays',
+    });
+  }
+
+  // ── Overdue gates ──
+  {
+    const C = scoring.gates;
+    const overdue = n(s.gates_overdue), open = n(s.gates_open);
+    let score = step(C.overdue_steps, overdue), detail;
+    if (overdue) detail = `${plural(overdue, 'gate')} past due`;
+    else if (open && nearGoLive(C.open_near_golive_days_lte)) {
+      score = Math.min(score, C.open_near_golive_score);
+      detail = `Go-live in ${dGoLive}d with ${plural(open, 'gate')} open`;
+    } else detail = open ? `${plural(open, 'gate')} open, none past due` : 'No open gates';
+    components.push({ key: 'gates', label: 'Overdue gates', weight: W.gates, score, applicable: true, detail });
+  }
+
+  // ── Open commitments ──
+  {
+    const C = scoring.commitments;
+    const overdue = n(s.commitments_overdue), breached = n(s.commitments_breached);
+    const open = Math.max(0, n(s.commitments_total) - n(s.commitments_closed));
+    let score = step(C.overdue_steps, overdue), detail;
+    if (breached) {
+      score = Math.min(score, C.breached_score);
+      detail = `${plural(breached, 'commitment')} breached` + (overdue ? `, ${overdue} more overdue` : '');
+    } else if (overdue) detail = `${plural(overdue, 'commitment')} overdue`;
+    else if (open && nearGoLive(C.open_near_golive_days_lte)) {
+      score = Math.min(score, C.open_near_golive_score);
+      detail = `${plural(open, 'open commitment')} with go-live in ${dGoLive}d`;
+    } else detail = open ? `${plural(open, 'open commitment')}, none overdue` : 'No open commitments';
+    components.push({ key: 'commitments', label: 'Open commitments', weight: W.commitments, score, applicable: true, detail });
+  }
+
+  // ── Client engagement ──
+  {
+    const C = scoring.engagement;
+    const internal = s.project_kind === 'internal';
+    const quiet = s.days_since_touch === null || s.days_since_touch === undefined ? null : n(s.days_since_touch);
+    const age = n(s.days_active);
+    let score = 100, detail;
+    if (internal) detail = 'Internal project — no client to hear from';
+    else if (quiet !== null) {
+      score = step(C.quiet_days_steps, quiet);
+      detail = quiet === 0 ? 'Heard from the client today' : `Last heard from the client ${quiet}d ago`;
+    } else if (age <= C.grace_days) detail = `Nothing from the client yet — project is ${age}d old`;
+    else {
+      score = step(C.quiet_days_steps, age);
+      detail = n(s.contacts)
+        ? `Nothing heard from the client in ${age}d`
+        : `No client contacts on the project and nothing heard in ${age}d`;
+    }
+    components.push({ key: 'engagement', label: 'Client engagement', weight: W.engagement, score, applicable: !internal, detail });
+  }
+
+  // ── Cost variance ──
+  {
+    const C = scoring.cost;
+    const sanctioned = n(s.sanctioned_amount), overrun = n(s.overrun_amount), pending = n(s.pending_variations);
+    const applicable = !!s.has_bill && sanctioned > 0;
+    let score = 100, detail;
+    if (!applicable) detail = s.has_bill ? 'Nothing sanctioned on the bill yet' : 'No bill of quantities';
+    else {
+      const pct = Math.round(overrun / sanctioned * 1000) / 10;
+      score = step(C.overrun_pct_steps, pct);
+      if (pending) score = Math.max(0, score - C.pending_variations_penalty);
+      detail = (overrun > 0 ? `Spend ${pct}% over sanctioned` : 'Spend within sanctioned amounts')
+             + (pending ? `; ${plural(pending, 'variation')} awaiting a decision` : '');
+    }
+    components.push({ key: 'cost', label: 'Cost variance', weight: W.cost, score, applicable, detail });
+  }
+
+  const used = components.filter(c => c.applicable);
+  const totalWeight = used.reduce((t, c) => t + c.weight, 0);
+  const score = totalWeight
+    ? Math.round(used.reduce((t, c) => t + c.score * c.weight, 0) / totalWeight)
+    : 100;
+  const B = scoring.bands;
+  const band = score >= B.green_gte ? 'green' : score >= B.yellow_gte ? 'yellow' : 'red';
+
+  const ruled = computeHealth(s, rules);
+  const status = worse(band, ruled.status === 'neutral' ? 'green' : ruled.status);
+
+  // Reasons: what the rules flagged, then the components that cost the most.
+  const reasons = ruled.status === 'red' || ruled.status === 'yellow' ? [...ruled.reasons] : [];
+  used.filter(c => c.score < 100)
+      .sort((a, b) => (100 - b.score) * b.weight - (100 - a.score) * a.weight)
+      .forEach(c => { if (!reasons.includes(c.detail)) reasons.push(c.detail); });
+  if (!reasons.length) reasons.push('On track');
+
+  return { score, status, band, ruleStatus: ruled.status, reasons, components };
+}
+
+// Everything computeHealth and computeScore read, for one org (or one project).
+// Engagement is the latest thing the CLIENT did on this project: an inbound
+// email or WhatsApp tagged to it, a meeting held against it, or anything done
+// in the client portal (2026_144).
+const SIGNALS_SQL = `
+  SELECT h.id, h.org_id, h.deal_id, h.status, h.project_kind,
+         h.assigned_service_owner_id,
+         h.health_score AS prev_score, h.health_status AS prev_status,
+         r.plays_total, r.plays_done, r.plays_overdue, r.gates_open,
+         r.commitments_total, r.commitments_closed, r.commitments_overdue,
+         r.commitments_breached, r.days_to_go_live,
+         sl.open_plays, sl.slipping_plays, sl.max_slip_days, sl.gates_overdue,
+         (CURRENT_DATE - COALESCE(h.acknowledged_at, h.submitted_at, h.created_at)::date) AS days_active,
+         (CURRENT_DATE - en.last_touch::date) AS days_since_touch,
+         (SELECT count(*)::int FROM project_contacts pc
+           WHERE pc.context_type = 'handover' AND pc.context_id = h.id) AS contacts,
+         cs.has_bill, cs.sanctioned_amount, cs.overrun_amount, cs.pending_variations
+    FROM sales_handovers h
+    LEFT JOIN handover_deliverable_rollup r ON r.handover_id = h.id
+    LEFT JOIN LATERAL (
+      SELECT count(*)::int AS open_plays,
+             count(*) FILTER (WHERE x.slip > 0)::int AS slipping_plays,
+             COALESCE(max(x.slip) FILTER (WHERE x.slip > 0), 0)::int AS max_slip_days,
+             count(*) FILTER (WHERE x.is_gate AND x.due_date < CURRENT_DATE)::int AS gates_overdue
+        FROM (SELECT p.is_gate, p.due_date,
+                     GREATEST(CURRENT_DATE, p.due_date) - COALESCE(p.baseline_due_date, p.due_date) AS slip
+                FROM project_play_instances p
+               WHERE p.handover_id = h.id
+                 AND p.status NOT IN ('completed', 'skipped', 'cancelled')) x
+    ) sl ON true
+    LEFT JOIN LATERAL (
+      SELECT GREATEST(
+        (SELECT max(e.sent_at) FROM emails e
+          WHERE e.handover_id = h.id AND e.direction IN ('received', 'inbound')
+            AND e.deleted_at IS NULL AND e.hidden_at IS NULL),
+        (SELECT max(COALESCE(w.sent_at, w.created_at)) FROM whatsapp_messages w
+          WHERE w.handover_id = h.id AND w.direction = 'inbound'),
+        (SELECT max(m.start_time) FROM meetings m
+          WHERE m.handover_id = h.id AND m.start_time <= now() AND m.deleted_at IS NULL
+            AND COALESCE(m.status, 'scheduled') <> 'cancelled'),
+        (SELECT max(n.created_at) FROM play_notes n
+           JOIN project_play_instances p ON p.id = n.project_play_instance_id
+          WHERE p.handover_id = h.id AND n.author_portal_user_id IS NOT NULL AND n.deleted_at IS NULL),
+        (SELECT max(ps.created_at) FROM portal_evidence_submissions ps WHERE ps.handover_id = h.id),
+        (SELECT max(so.created_at) FROM project_stage_signoffs so WHERE so.handover_id = h.id)
+      ) AS last_touch
+    ) en ON true
+    LEFT JOIN LATERAL (
+      SELECT count(DISTINCT b.id) > 0 AS has_bill,
+             COALESCE(sum(ir.sanctioned_amount), 0) AS sanctioned_amount,
+             COALESCE(sum(GREATEST(ir.spent_amount - ir.sanctioned_amount, 0)), 0) AS overrun_amount,
+             (SELECT count(*)::int FROM boq_variations v
+                JOIN boqs vb ON vb.id = v.boq_id
+               WHERE vb.handover_id = h.id AND vb.status <> 'archived' AND v.status = 'proposed') AS pending_variations
+        FROM boqs b
+        LEFT JOIN boq_item_rollup ir ON ir.boq_id = b.id
+       WHERE b.handover_id = h.id AND b.status <> 'archived'
+    ) cs ON true`;
+
+const SCORED_STATUSES = ['submitted', 'acknowledged', 'in_progress'];
+
+/**
+ * Score active projects and persist: the latest score on sales_handovers and
+ * today's snapshot (a same-day re-run overwrites it). Pass handoverId to score
+ * one project. Returns one entry per project with the status it had before.
+ */
+async function scoreProjects(orgId, { handoverId = null } = {}) {
+  const { rows } = await pool.query(
+    `${SIGNALS_SQL}
+      WHERE h.org_id = $1 AND h.status = ANY($2)
+        AND ($3::int IS NULL OR h.id = $3)
+      ORDER BY h.id`,
+    [orgId, SCORED_STATUSES, handoverId]);
+
+  const [rules, scoring] = await Promise.all([getRules(orgId), getScoring(orgId)]);
+  const out = [];
+  for (const row of rows) {
+    const r = computeScore(row, scoring, rules);
+    const breakdown = { components: r.components, reasons: r.reasons, band: r.band, ruleStatus: r.ruleStatus };
+    await pool.query(
+      `UPDATE sales_handovers
+          SET health_score = $2, health_status = $3, health_breakdown = $4, health_scored_at = now()
+        WHERE id = $1`,
+      [row.id, r.score, r.status, JSON.stringify(breakdown)]);
+    await pool.query(
+      `INSERT INTO project_health_snapshots (org_id, handover_id, snapshot_date, score, status, breakdown)
+       VALUES ($1, $2, CURRENT_DATE, $3, $4, $5)
+       ON CONFLICT (handover_id, snapshot_date)
+       DO UPDATE SET score = EXCLUDED.score, status = EXCLUDED.status,
+                     breakdown = EXCLUDED.breakdown, created_at = now()`,
+      [orgId, row.id, r.score, r.status, JSON.stringify(breakdown)]);
+    out.push({
+      id: row.id, dealId: row.deal_id, ownerId: row.assigned_service_owner_id,
+      score: r.score, status: r.status, reasons: r.reasons, components: r.components,
+      previousScore: row.prev_score, previousStatus: row.prev_status,
+    });
+  }
+  return out;
+}
+
+/** Score one project now. 409 for a project that is not in flight. */
+async function scoreProject(handoverId, orgId) {
+  const [r] = await scoreProjects(orgId, { handoverId });
+  if (r) return r;
+  const { rows: [h] } = await pool.query(
+    'SELECT status FROM sales_handovers WHERE id = $1 AND org_id = $2', [handoverId, orgId]);
+  if (!h) throw Object.assign(new Error('Project not found'), { status: 404 });
+  throw Object.assign(new Error(`A ${h.status} project is not scored`), { status: 409 });
+}
+
+/** Stored score, its breakdown and the daily history (oldest first). */
+async function getProjectHealth(handoverId, orgId, { days = 90 } = {}) {
+  const { rows: [h] } = await pool.query(
+    `SELECT id, status, health_score, health_status, health_breakdown, health_scored_at
+       FROM sales_handovers WHERE id = $1 AND org_id = $2`, [handoverId, orgId]);
+  if (!h) throw Object.assign(new Error('Project not found'), { status: 404 });
+  const span = Math.min(Math.max(parseInt(days, 10) || 90, 7), 730);
+  const { rows: history } = await pool.query(
+    `SELECT to_char(snapshot_date, 'YYYY-MM-DD') AS date, score, status
+       FROM project_health_snapshots
+      WHERE handover_id = $1 AND snapshot_date > CURRENT_DATE - $2::int
+      ORDER BY snapshot_date`, [handoverId, span]);
+  return {
+    handoverId: h.id,
+    projectStatus: h.status,
+    scored: SCORED_STATUSES.includes(h.status),
+    score: h.health_score,
+    status: h.health_status,
+    components: h.health_breakdown?.components || [],
+    reasons: h.health_breakdown?.reasons || [],
+    scoredAt: h.health_scored_at,
+    history,
+  };
+}
+
 /**
  * All projects for an org with computed health + the grouping dimensions the
  * reporting rollup needs. (PM/team/region get added as those attributes land.)
+ *
+ * Active projects carry their stored score (2026_145) and the score they had
+ * at the start of the alert window, for the trend. The live rules still run:
+ * if something turned red since the last scoring, the rollup shows it now
+ * rather than after the next nightly sweep.
  */
 async function listWithHealth(orgId, { includeInactive = false } = {}) {
   const { rows } = await pool.query(
@@ -97,17 +409,34 @@ async function listWithHealth(orgId, { includeInactive = false } = {}) {
             h.project_kind,
             (so.first_name || ' ' || so.last_name) AS service_owner_name,
             r.plays_overdue, r.gates_open, r.commitments_total, r.commitments_closed,
-            r.commitments_overdue, r.days_to_go_live
+            r.commitments_overdue, r.days_to_go_live,
+            h.health_score, h.health_status, h.health_breakdown, h.health_scored_at,
+            pv.score AS prev_score, pv.status AS prev_status,
+            to_char(pv.snapshot_date, 'YYYY-MM-DD') AS prev_date
        FROM sales_handovers h
        LEFT JOIN deals d ON d.id = h.deal_id
        LEFT JOIN accounts a ON a.id = h.account_id
        LEFT JOIN users so ON so.id = h.assigned_service_owner_id
        LEFT JOIN handover_deliverable_rollup r ON r.handover_id = h.id
-      WHERE h.org_id = $1`, [orgId]);
+       LEFT JOIN LATERAL (
+         SELECT s.score, s.status, s.snapshot_date
+           FROM project_health_snapshots s
+          WHERE s.handover_id = h.id
+            AND s.snapshot_date >= CURRENT_DATE - $2::int AND s.snapshot_date < CURRENT_DATE
+          ORDER BY s.snapshot_date
+          LIMIT 1
+       ) pv ON true
+      WHERE h.org_id = $1`, [orgId, STANDARD_SCORING.alerts.window_days]);
 
   const rules = await getRules(orgId);
   const projects = rows.map(row => {
     const health = computeHealth(row, rules);
+    const scored = health.active && row.health_status;
+    let status = health.status, reasons = health.reasons;
+    if (scored) {
+      status  = worse(row.health_status, health.status);
+      reasons = status === row.health_status ? (row.health_breakdown?.reasons || reasons) : health.reasons;
+    }
     return {
       id: row.id,
       name: row.project_name || row.account_name || `Project #${row.id}`,
@@ -115,10 +444,19 @@ async function listWithHealth(orgId, { includeInactive = false } = {}) {
       accountId: row.account_id, accountName: row.account_name,
       projectKind: row.project_kind || 'customer',
       serviceOwnerId: row.service_owner_id, serviceOwnerName: row.service_owner_name || 'Unassigned',
-      health: health.status, active: health.active, reasons: health.reasons,
+      health: status, active: health.active, reasons,
+      score: scored ? row.health_score : null,
+      scoredAt: scored ? row.health_scored_at : null,
+      previous: scored && row.prev_score != null
+        ? { score: row.prev_score, status: row.prev_status, date: row.prev_date }
+        : null,
     };
   });
   return includeInactive ? projects : projects.filter(p => p.active || p.health === 'green');
 }
 
-module.exports = { STANDARD_RULES, getRules, computeHealth, listWithHealth };
+module.exports = {
+  STANDARD_RULES, getRules, computeHealth, listWithHealth,
+  STANDARD_SCORING, getScoring, computeScore,
+  scoreProjects, scoreProject, getProjectHealth,
+};
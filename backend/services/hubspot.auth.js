@@ -21,6 +21,11 @@
  *   crm.objects.companies.read  crm.objects.contacts.read
  *   crm.objects.deals.read      crm.objects.owners.read
  *   crm.schemas.deals.read      oauth
+ *   crm.objects.contacts.write  (write-back: calls/emails/meetings/notes/tasks)
+ *
+ * Portals connected before write-back shipped hold a token without
+ * crm.objects.contacts.write — they must reconnect before enabling it, or
+ * each push fails with a 403 that writeBack.js records per action.
  */
 
 const axios    = require('axios');
@@ -47,6 +52,7 @@ const SCOPES = [
   'crm.objects.deals.read',
   'crm.objects.owners.read',
   'crm.schemas.deals.read',
+  'crm.objects.contacts.write',
   'oauth',
 ].join(' ');
 
@@ -0,0 +1,292 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// memberLifecycle.service.js
+//
+// DROP-IN LOCATION: backend/services/memberLifecycle.service.js
+//
+// Joining and leaving an org outside the invitation flow. Shared by SAML JIT
+// (samlSso.service.js), SCIM (routes/scim.routes.js) and the admin Members
+// screen (orgAdmin.routes.js DELETE /members/:userId).
+//
+//   provisionMember(orgId, data)   seat gate → users row (reused by email) →
+//                                  org_users → top-level org_hierarchy → all
+//                                  org-enabled modules. Mirrors acceptInvite.
+//   reactivateMember(orgId, userId, context)
+//                                  seat gate → org_users.is_active = TRUE
+//   resolveSuccessor(orgId, userId, preferredId)
+//                                  preferred → solid-line manager → SCIM
+//                                  fallback owner → longest-standing owner
+//   offboardMember(orgId, userId, { successorId, source, triggeredBy })
+//                                  deactivate + hand off open work (below)
+//   listOffboardings(orgId)
+//
+// OFFBOARDING — one transaction, so a half-offboarded user never exists:
+//   • org_users.is_active = FALSE
+//   • open prospects, open deals (dealsReporting's OPEN_CLAUSE, so custom won/
+//     lost stages count as closed), open deal + prospecting actions → successor
+//   • active/paused sequence enrollments → successor as sender; the sender pin
+//     and thread anchors are dropped (same as the 'break' failover in
+//     SequenceStepFirer) because the old mailbox is going away
+//   • the user's sending mailboxes deactivated; their OAuth tokens in this org
+//     deleted (calendar/mail sync stops)
+//   • direct reports re-pointed at the departing user's own manager
+//   • a member_offboardings row with the counts
+//
+// Errors carry err.status, like inviteProvisioning.
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const moduleAccess = require('./moduleAccess.service');
+const { seatAvailable, notifySeatExceeded } = require('./inviteProvisioning.service');
+const { OPEN_CLAUSE } = require('./dealsReporting.service');
+
+const fail = (message, status, code) => Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+
+async function assertSeat(orgId, email, context) {
+  const seat = await seatAvailable(orgId);
+  if (!seat.available) {
+    await notifySeatExceeded(orgId, email, context).catch(() => {});
+    throw fail('No seats available — support has been notified.', 409, 'NO_SEATS');
+  }
+}
+
+/**
+ * Add `email` to the org as an active member. Reuses an existing users row
+ * with that email. Throws 409 if they already have a membership row here
+ * (active or not) — callers decide whether that is an error or a reactivate.
+ *
+ * @returns {Promise<{ userId: number, createdUser: boolean }>}
+ */
+async function provisionMember(orgId, { email, firstName, lastName, role = 'member', orgRoleId = null, externalId = null, context }) {
+  email = String(email || '').trim().toLowerCase();
+  if (!email.includes('@')) throw fail('A valid email is required', 400);
+
+  const { rows: [existing] } = await pool.query(
+    `SELECT u.id, ou.user_id AS member
+       FROM users u
+       LEFT JOIN org_users ou ON ou.user_id = u.id AND ou.org_id = $2
+      WHERE lower(u.email) = $1`, [email, orgId]);
+  if (existing?.member) throw fail('That person is already a member of this org', 409, 'ALREADY_MEMBER');
+
+  await assertSeat(orgId, email, context);
+
+  const client = await pool.connect();
+  let userId = existing?.id;
+  try {
+    await client.query('BEGIN');
+    if (!userId) {
+      // Provisioned users sign in through the IdP; an unguessable hash keeps
+      // users.password_hash NOT NULL without opening a password path. They
+      // can still set one via forgot-password unless the org enforces SSO.
+      const hash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+      ({ rows: [{ id: userId }] } = await client.query(
+        `INSERT INTO users (email, password_hash, first_name, last_name, org_id, created_at)
+         VALUES ($1,$2,$3,$4,$5, now()) RETURNING id`,
+        [email, hash, (firstName || '').trim() || email.split('@')[0], (lastName || '').trim(), orgId]));
+    }
+
+    await client.query(
+      `INSERT INTO org_users (org_id, user_id, role, org_role_id, scim_external_id, is_active, joined_at)
+       VALUES ($1,$2,$3,$4,$5,TRUE, now())`,
+      [orgId, userId, role, orgRoleId, externalId]);
+
+    // Placement is best-effort, but a failed statement aborts the whole
+    // transaction in Postgres — COMMIT would then quietly roll back the
+    // membership too. The savepoint confines the failure to this insert.
+    await client.query('SAVEPOINT org_hierarchy');
+    try {
+      await client.query(
+        `INSERT INTO org_hierarchy (org_id, user_id, reports_to, hierarchy_role, relationship_type)
+         VALUES ($1,$2,NULL,'rep','solid')
+         ON CONFLICT DO NOTHING`, [orgId, userId]);
+      await client.query('RELEASE SAVEPOINT org_hierarchy');
+    } catch (e) {
+      await client.query('ROLLBACK TO SAVEPOINT org_hierarchy');
+      console.error(`hierarchy placement (${context || 'provision'}) for user ${userId}:`, e.message);
+    }
+
+    await client.query('COMMIT');
+  } catch (e) { await client.query('ROLLBACK'); throw e; }
+  finally { client.release(); }
+
+  try {
+    await moduleAccess.grantAllEnabledToUser(orgId, userId);
+    moduleAccess.invalidate(orgId, userId);
+  } catch (e) { console.error(`module grant (${context || 'provision'}):`, e.message); }
+
+  console.log(`[members] provisioned user ${userId} (${email}) into org ${orgId} via ${context || 'unknown'}`);
+  return { userId, createdUser: !existing };
+}
+
+async function reactivateMember(orgId, userId, context) {
+  const { rows: [m] } = await pool.query(
+    `SELECT ou.is_active, u.email FROM org_users ou JOIN users u ON u.id = ou.user_id
+      WHERE ou.org_id = $1 AND ou.user_id = $2`, [orgId, userId]);
+  if (!m) throw fail('Member not found in this org', 404);
+  if (m.is_active) return { reactivated: false };
+  await assertSeat(orgId, m.email, context);
+  await pool.query(`UPDATE org_users SET is_active = TRUE WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+  moduleAccess.invalidate(orgId, userId);
+  return { reactivated: true };
+}
+
+async function isActiveMember(orgId, userId) {
+  if (!userId) return false;
+  const { rows } = await pool.query(
+    `SELECT 1 FROM org_users WHERE org_id = $1 AND user_id = $2 AND is_active = TRUE`, [orgId, userId]);
+  return rows.length > 0;
+}
+
+async function resolveSuccessor(orgId, userId, preferredId = null) {
+  const ok = async (id) => id && id !== userId && await isActiveMember(orgId, id);
+
+  if (preferredId != null) {
+    if (await ok(preferredId)) return preferredId;
+    throw fail('Successor must be another active member of this org', 400);
+  }
+
+  const { rows: [h] } = await pool.query(
+    `SELECT reports_to FROM org_hierarchy
+      WHERE org_id = $1 AND user_id = $2 AND COALESCE(relationship_type, 'solid') = 'solid'
+      LIMIT 1`, [orgId, userId]);
+  if (await ok(h?.reports_to)) return h.reports_to;
+
+  const { rows: [c] } = await pool.query(
+    `SELECT fallback_owner_id FROM org_scim_configs WHERE org_id = $1`, [orgId]);
+  if (await ok(c?.fallback_owner_id)) return c.fallback_owner_id;
+
+  const { rows: [o] } = await pool.query(
+    `SELECT user_id FROM org_users
+      WHERE org_id = $1 AND role = 'owner' AND is_active = TRUE AND user_id <> $2
+      ORDER BY joined_at ASC LIMIT 1`, [orgId, userId]);
+  if (o) return o.user_id;
+
+  throw fail('No active member to hand this user\'s work to', 409);
+}
+
+/**
+ * Deactivate a member and hand their open work to a successor. Idempotent on
+ * the membership; the hand-off runs every time (it only moves what is still
+ * assigned to the user).
+ *
+ * @returns {Promise<{ successorId: number, counts: object }>}
+ */
+async function offboardMember(orgId, userId, { successorId = null, source = 'admin', triggeredBy = null } = {}) {
+  const { rows: [m] } = await pool.query(
+    `SELECT role, is_active FROM org_users WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+  if (!m) throw fail('Member not found in this org', 404);
+
+  if (m.role === 'owner' && m.is_active) {
+    const { rows: [c] } = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM org_users WHERE org_id = $1 AND role = 'owner' AND is_active = TRUE`, [orgId]);
+    if (c.n <= 1) throw fail('Cannot remove the last owner', 400);
+  }
+
+  const successor = await resolveSuccessor(orgId, userId, successorId);
+  const counts = {};
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`UPDATE org_users SET is_active = FALSE WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+
+    const { rows: [s] } = await client.query(
+      `SELECT first_name || ' ' || last_name AS name FROM users WHERE id = $1`, [successor]);
+
+    const prospects = await client.query(
+      `UPDATE prospects SET owner_id = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE org_id = $1 AND owner_id = $2 AND deleted_at IS NULL
+          AND stage NOT IN ('converted', 'disqualified', 'archived')
+        RETURNING id`, [orgId, userId, successor]);
+    counts.prospects = prospects.rowCount;
+    if (prospects.rowCount) {
+      await client.query(
+        `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
+         SELECT $1, id, $2, 'owner_changed', $3 FROM unnest($4::int[]) AS id`,
+        [orgId, triggeredBy || successor, `Owner reassigned to ${s?.name || 'successor'} (previous owner offboarded)`,
+         prospects.rows.map(r => r.id)]);
+    }
+
+    const deals = await client.query(
+      `UPDATE deals SET owner_id = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT d.id FROM deals d
+            LEFT JOIN pipeline_stages ps ON ps.org_id = d.org_id AND ps.pipeline = 'sales' AND ps.key = d.stage
+           WHERE d.org_id = $1 AND d.owner_id = $2 AND d.deleted_at IS NULL AND ${OPEN_CLAUSE})`,
+      [orgId, userId, successor]);
+    counts.deals = deals.rowCount;
+
+    const actions = await client.query(
+      `UPDATE actions SET user_id = $3
+        WHERE org_id = $1 AND user_id = $2
+          AND status IN ('not_started', 'in_progress', 'blocked', 'snoozed')`, [orgId, userId, successor]);
+    counts.actions = actions.rowCount;
+
+    const pActions = await client.query(
+      `UPDATE prospecting_actions SET user_id = $3
+        WHERE org_id = $1 AND user_id = $2
+          AND status IN ('pending', 'in_progress', 'snoozed')`, [orgId, userId, successor]);
+    counts.prospectingActions = pActions.rowCount;
+
+    const enrollments = await client.query(
+      `UPDATE sequence_enrollments
+          SET enrolled_by              = $3,
+              pinned_sender_account_id = NULL,
+              thread_conversation_id   = NULL,
+              thread_last_message_id   = NULL,
+              thread_references        = NULL
+        WHERE org_id = $1 AND enrolled_by = $2 AND status IN ('active', 'paused')`, [orgId, userId, successor]);
+    counts.enrollments = enrollments.rowCount;
+
+    const senders = await client.query(
+      `UPDATE prospecting_sender_accounts SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+        WHERE org_id = $1 AND user_id = $2 AND is_active = TRUE`, [orgId, userId]);
+    counts.senderAccounts = senders.rowCount;
+
+    const tokens = await client.query(
+      `DELETE FROM oauth_tokens WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+    counts.oauthTokens = tokens.rowCount;
+
+    const reports = await client.query(
+      `UPDATE org_hierarchy SET reports_to = (
+           SELECT reports_to FROM org_hierarchy
+            WHERE org_id = $1 AND user_id = $2 AND COALESCE(relationship_type, 'solid') = 'solid'
+            LIMIT 1),
+         updated_at = now()
+        WHERE org_id = $1 AND reports_to = $2 AND COALESCE(relationship_type, 'solid') = 'solid'`,
+      [orgId, userId]);
+    counts.directReports = reports.rowCount;
+
+    await client.query(
+      `INSERT INTO member_offboardings (org_id, user_id, successor_id, source, triggered_by, counts)
+       VALUES ($1,$2,$3,$4,$5,$6)`,
+      [orgId, userId, successor, source, triggeredBy, JSON.stringify(counts)]);
+
+    await client.query('COMMIT');
+  } catch (e) { await client.query('ROLLBACK'); throw e; }
+  finally { client.release(); }
+
+  moduleAccess.invalidate(orgId, userId);
+  console.log(`[members] offboarded user ${userId} in org ${orgId} (${source}) → successor ${successor}`, counts);
+  return { successorId: successor, counts };
+}
+
+async function listOffboardings(orgId, limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT mo.id, mo.user_id, mo.successor_id, mo.source, mo.counts, mo.created_at,
+            u.email AS user_email, u.first_name || ' ' || u.last_name AS user_name,
+            s.first_name || ' ' || s.last_name AS successor_name
+       FROM member_offboardings mo
+       JOIN users u ON u.id = mo.user_id
+       LEFT JOIN users s ON s.id = mo.successor_id
+      WHERE mo.org_id = $1
+      ORDER BY mo.created_at DESC
+      LIMIT $2`, [orgId, Math.min(parseInt(limit, 10) || 50, 200)]);
+  return rows;
+}
+
+module.exports = {
+  provisionMember, reactivateMember,
+  resolveSuccessor, offboardMember, listOffboardings,
+};
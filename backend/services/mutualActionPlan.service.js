@@ -0,0 +1,422 @@
+/**
+ * mutualActionPlan.service.js
+ *
+ * DROP-IN LOCATION: backend/services/mutualActionPlan.service.js
+ *
+ * Mutual action plans / close plans (2026_140). The mutual-action-plan skill
+ * drafts the plan through SkillRunnerService.runDealSkill; this service owns
+ * what happens to it afterwards:
+ *
+ *   generatePlan(orgId, userId, dealId)
+ *     Runs the skill (buildClosePlanSkillContext: stakeholders, MEDDPICC
+ *     gaps, contracts, plays) and stores the output as a new draft plan.
+ *     Returns the run result with `plan` added — null when the run did not
+ *     produce a usable plan (parse_failed, missing_fields).
+ *
+ *   updatePlan — the rep's edits. Milestones are replaced wholesale; ids and
+ *     conversion links of existing milestones are kept server-side.
+ *
+ *   enableShare / revokeShare / getSharedHtml — read-only buyer link, same
+ *     token model as baseline report sharing. Rendered at request time, so
+ *     the buyer always sees the current plan.
+ *
+ *   convertMilestones(orgId, userId, planId, { milestoneIds, to })
+ *     to = 'action' → one deal action per milestone (source
+ *     'mutual_action_plan'); to = 'play' → a manual play instance via
+ *     PlaybookPlayService.addManualPlay, assigned to the caller. A milestone
+ *     is converted at most once per kind.
+ *
+ * Errors carry statusCode.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const SkillRunner         = require('./SkillRunnerService');
+const PlaybookPlayService = require('./PlaybookPlayService');
+const { resolveChannel }  = require('./playbook.service');
+
+const SKILL_NAME     = 'mutual-action-plan';
+const MAX_MILESTONES = 40;
+const OWNER_SIDES    = new Set(['buyer', 'seller', 'joint']);
+const CHANNELS       = new Set(['email', 'call', 'meeting', 'document', 'internal_task']);
+const DATE_RE        = /^\d{4}-\d{2}-\d{2}$/;
+
+function _fail(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function _str(v, max) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function _date(v) {
+  const s = v == null ? '' : String(v).slice(0, 10);
+  return DATE_RE.test(s) && !isNaN(Date.parse(s)) ? s : null;
+}
+
+function _byDueDate(a, b) {
+  if (a.due_date === b.due_date) return 0;
+  if (!a.due_date) return 1;
+  if (!b.due_date) return -1;
+  return a.due_date < b.due_date ? -1 : 1;
+}
+
+async function _assertDeal(orgId, dealId) {
+  const r = await pool.query(
+    `SELECT id, name, account_id FROM deals WHERE id = $1 AND org_id = $2`, [dealId, orgId]);
+  if (!r.rows.length) throw _fail('Deal not found', 404);
+  return r.rows[0];
+}
+
+async function _dealContactIds(dealId) {
+  const r = await pool.query(`SELECT contact_id FROM deal_contacts WHERE deal_id = $1`, [dealId]);
+  return new Set(r.rows.map(x => x.contact_id));
+}
+
+/**
+ * Validate and clean a milestone list, from the model or from the editor.
+ * `previous` is the stored list: a milestone that keeps its id keeps its
+ * action_id / play_instance_id, which are never taken from the caller.
+ * owner_contact_id must be a contact on the deal.
+ */
+function _normalizeMilestones(list, previous, contactIds) {
+  if (!Array.isArray(list)) throw _fail('milestones must be an array', 400);
+  if (list.length > MAX_MILESTONES) throw _fail(`A plan can have at most ${MAX_MILESTONES} milestones`, 400);
+  const prevById = new Map((previous || []).map(m => [m.id, m]));
+
+  return list.map(m => {
+    const title = _str(m && m.title, 255);
+    if (!title) throw _fail('Every milestone needs a title', 400);
+    const prev = m.id ? prevById.get(String(m.id)) : null;
+    const contactId = parseInt(m.owner_contact_id, 10);
+    return {
+      id:               prev ? prev.id : crypto.randomBytes(6).toString('hex'),
+      title,
+      description:      _str(m.description, 2000),
+      due_date:         _date(m.due_date),
+      owner_side:       OWNER_SIDES.has(m.owner_side) ? m.owner_side : 'seller',
+      owner_name:       _str(m.owner_name, 120),
+      owner_contact_id: contactIds.has(contactId) ? contactId : null,
+      success_criteria: _str(m.success_criteria, 1000),
+      meddpicc:         _str(m.meddpicc, 40),
+      play_ref:         _str(m.play_ref, 255),
+      channel:          CHANNELS.has(m.channel) ? m.channel : null,
+      status:           m.status === 'done' ? 'done' : 'open',
+      action_id:        prev ? prev.action_id || null : null,
+      play_instance_id: prev ? prev.play_instance_id || null : null,
+    };
+  });
+}
+
+function _normalizeRisks(list) {
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, 20)
+    .map(r => ({ risk: _str(r && r.risk, 500), mitigation: _str(r && r.mitigation, 500) }))
+    .filter(r => r.risk);
+}
+
+async function _load(orgId, planId) {
+  const r = await pool.query(
+    `SELECT * FROM mutual_action_plans WHERE id = $1 AND org_id = $2`, [planId, orgId]);
+  if (!r.rows.length) throw _fail('Plan not found', 404);
+  return r.rows[0];
+}
+
+// ── generate ─────────────────────────────────────────────────────────────────
+
+async function generatePlan(orgId, userId, dealId) {
+  const deal = await _assertDeal(orgId, dealId);
+  const result = await SkillRunner.runDealSkill({ orgId, userId, dealId, skillName: SKILL_NAME });
+  const out = result.ok ? result.output || {} : null;
+  if (!out || out.error) return { ...result, plan: null };
+
+  const contactIds = await _dealContactIds(dealId);
+  const milestones = _normalizeMilestones(
+    (Array.isArray(out.milestones) ? out.milestones : []).slice(0, MAX_MILESTONES), [], contactIds
+  ).sort(_byDueDate);
+
+  const ins = await pool.query(`
+    INSERT INTO mutual_action_plans
+      (org_id, deal_id, skill_run_id, title, summary, target_close_date,
+       milestones, risks, confidence_notes, created_by, updated_by)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$10)
+    RETURNING *
+  `, [
+    orgId, dealId, result.runId || null,
+    _str(out.title, 255) || `Close plan: ${deal.name}`,
+    _str(out.summary, 4000),
+    _date(out.target_close_date),
+    JSON.stringify(milestones),
+    JSON.stringify(_normalizeRisks(out.risks)),
+    _str(out.confidence_notes, 4000),
+    userId,
+  ]);
+  return { ...result, plan: ins.rows[0] };
+}
+
+// ── read / edit ──────────────────────────────────────────────────────────────
+
+async function listPlans(orgId, dealId) {
+  await _assertDeal(orgId, dealId);
+  const r = await pool.query(`
+    SELECT id, deal_id, title, target_close_date, status, share_token IS NOT NULL AS shared,
+           jsonb_array_length(milestones) AS milestone_count, created_by, created_at, updated_at
+      FROM mutual_action_plans
+     WHERE org_id = $1 AND deal_id = $2
+     ORDER BY created_at DESC
+  `, [orgId, dealId]);
+  return r.rows;
+}
+
+async function getPlan(orgId, planId) {
+  return _load(orgId, planId);
+}
+
+async function updatePlan(orgId, userId, planId, patch = {}) {
+  const plan = await _load(orgId, planId);
+  const next = {
+    title:             plan.title,
+    summary:           plan.summary,
+    target_close_date: plan.target_close_date,
+    milestones:        plan.milestones || [],
+    risks:             plan.risks || [],
+    status:            plan.status,
+  };
+
+  if (patch.title !== undefined) {
+    next.title = _str(patch.title, 255);
+    if (!next.title) throw _fail('title is required', 400);
+  }
+  if (patch.summary !== undefined) next.summary = _str(patch.summary, 4000);
+  if (patch.target_close_date !== undefined) {
+    next.target_close_date = patch.target_close_date ? _date(patch.target_close_date) : null;
+    if (patch.target_close_date && !next.target_close_date) {
+      throw _fail('target_close_date must be YYYY-MM-DD', 400);
+    }
+  }
+  if (patch.milestones !== undefined) {
+    next.milestones = _normalizeMilestones(
+      patch.milestones, plan.milestones || [], await _dealContactIds(plan.deal_id));
+  }
+  if (patch.risks !== undefined) next.risks = _normalizeRisks(patch.risks);
+  if (patch.status !== undefined) {
+    if (patch.status !== 'archived' && patch.status !== 'draft') {
+      throw _fail('status can only be set to draft or archived; share the plan to mark it shared', 400);
+    }
+    next.status = patch.status === 'draft' && plan.share_token ? 'shared' : patch.status;
+  }
+
+  const r = await pool.query(`
+    UPDATE mutual_action_plans
+       SET title = $3, summary = $4, target_close_date = $5, milestones = $6,
+           risks = $7, status = $8, updated_by = $9, updated_at = NOW()
+     WHERE id = $1 AND org_id = $2
+     RETURNING *
+  `, [planId, orgId, next.title, next.summary, next.target_close_date,
+      JSON.stringify(next.milestones), JSON.stringify(next.risks), next.status, userId]);
+  return r.rows[0];
+}
+
+async function deletePlan(orgId, planId) {
+  const r = await pool.query(
+    `DELETE FROM mutual_action_plans WHERE id = $1 AND org_id = $2`, [planId, orgId]);
+  if (!r.rowCount) throw _fail('Plan not found', 404);
+  return { deleted: true };
+}
+
+// ── convert ──────────────────────────────────────────────────────────────────
+
+async function _createAction(plan, m, orgId, userId) {
+  const ch = resolveChannel(m.channel || 'internal_task');
+  const context = [
+    `Mutual action plan: ${plan.title}`,
+    `Owner: ${m.owner_name || m.owner_side}${m.owner_side !== 'seller' ? ` (${m.owner_side})` : ''}`,
+    m.success_criteria ? `Done when: ${m.success_criteria}` : null,
+  ].filter(Boolean).join('\n');
+
+  const r = await pool.query(`
+    INSERT INTO actions
+      (org_id, user_id, deal_id, contact_id, type, action_type, priority,
+       title, description, context, due_date, next_step, is_internal,
+       status, source, source_id, source_module, metadata)
+    VALUES ($1,$2,$3,$4,$5,$5,'medium',$6,$7,$8,$9,$10,$11,
+            'not_started','mutual_action_plan',$12,'deals',$13)
+    RETURNING id
+  `, [
+    orgId, userId, plan.deal_id, m.owner_contact_id,
+    ch.action_type, m.title, m.description, context, m.due_date,
+    ch.next_step, ch.is_internal,
+    `${plan.id}:${m.id}`,
+    JSON.stringify({ mutual_action_plan_id: plan.id, milestone_id: m.id, owner_side: m.owner_side }),
+  ]);
+  return r.rows[0].id;
+}
+
+async function convertMilestones(orgId, userId, planId, { milestoneIds, to } = {}) {
+  if (to !== 'action' && to !== 'play') throw _fail("to must be 'action' or 'play'", 400);
+  if (!Array.isArray(milestoneIds) || !milestoneIds.length) throw _fail('milestoneIds required', 400);
+  const plan = await _load(orgId, planId);
+  const wanted = new Set(milestoneIds.map(String));
+  const milestones = (plan.milestones || []).map(m => ({ ...m }));
+  const unknown = [...wanted].filter(id => !milestones.some(m => m.id === id));
+  if (unknown.length) throw _fail(`Unknown milestone id(s): ${unknown.join(', ')}`, 400);
+
+  const converted = [];
+  const skipped   = [];
+  for (const m of milestones) {
+    if (!wanted.has(m.id)) continue;
+    if (to === 'action' ? m.action_id : m.play_instance_id) { skipped.push(m.id); continue; }
+
+    if (to === 'action') {
+      m.action_id = await _createAction(plan, m, orgId, userId);
+    } else {
+      const instance = await PlaybookPlayService.addManualPlay(plan.deal_id, orgId, userId, {
+        title:       m.title,
+        description: [m.description, m.success_criteria ? `Done when: ${m.success_criteria}` : null]
+                       .filter(Boolean).join('\n\n') || null,
+        channel:     m.channel,
+        priority:    'medium',
+        isGate:      false,
+        dueDate:     m.due_date,
+        assigneeIds: [userId],
+      });
+      m.play_instance_id = instance.id;
+      // addManualPlay already created the assignee's action — link it rather
+      // than letting a later 'action' conversion make a second one.
+      if (!m.action_id && instance.action_id) m.action_id = instance.action_id;
+    }
+    converted.push(m.id);
+  }
+
+  const r = await pool.query(`
+    UPDATE mutual_action_plans SET milestones = $3, updated_by = $4, updated_at = NOW()
+     WHERE id = $1 AND org_id = $2
+     RETURNING *
+  `, [planId, orgId, JSON.stringify(milestones), userId]);
+  return { plan: r.rows[0], converted, skipped };
+}
+
+// ── share ────────────────────────────────────────────────────────────────────
+
+async function enableShare(orgId, planId) {
+  const plan = await _load(orgId, planId);
+  if (plan.share_token) return { shareToken: plan.share_token };
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(`
+    UPDATE mutual_action_plans
+       SET share_token = $1, shared_at = NOW(),
+           status = CASE WHEN status = 'archived' THEN status ELSE 'shared' END
+     WHERE id = $2 AND org_id = $3
+  `, [token, planId, orgId]);
+  return { shareToken: token };
+}
+
+async function revokeShare(orgId, planId) {
+  const r = await pool.query(`
+    UPDATE mutual_action_plans
+       SET share_token = NULL,
+           status = CASE WHEN status = 'shared' THEN 'draft' ELSE status END
+     WHERE id = $1 AND org_id = $2
+  `, [planId, orgId]);
+  if (!r.rowCount) throw _fail('Plan not found', 404);
+  return { revoked: true };
+}
+
+function _esc(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+function _dt(d) {
+  if (!d) return 'TBC';
+  return new Date(d).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+const SIDE_LABEL = { buyer: 'Your team', seller: 'Our team', joint: 'Joint' };
+
+/**
+ * Buyer-facing render. Only buyer-safe fields: confidence_notes, meddpicc
+ * tags and play references never leave the CRM.
+ */
+function renderHtml({ plan, orgName, accountName }) {
+  const rows = (plan.milestones || []).map(m => `
+      <tr class="${m.status === 'done' ? 'done' : ''}">
+        <td class="date">${_esc(_dt(m.due_date))}</td>
+        <td><div class="t">${_esc(m.title)}</div>
+            ${m.description ? `<div class="d">${_esc(m.description)}</div>` : ''}
+            ${m.success_criteria ? `<div class="c">Done when: ${_esc(m.success_criteria)}</div>` : ''}</td>
+        <td>${_esc(m.owner_name || '')}<div class="side">${_esc(SIDE_LABEL[m.owner_side] || '')}</div></td>
+        <td>${m.status === 'done' ? '✓ Done' : 'Open'}</td>
+      </tr>`).join('');
+  const risks = (plan.risks || []).length
+    ? `<h2>Risks to the timeline</h2><ul>${plan.risks.map(r =>
+        `<li><b>${_esc(r.risk)}</b>${r.mitigation ? `<br><span class="d">${_esc(r.mitigation)}</span>` : ''}</li>`).join('')}</ul>`
+    : '';
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${_esc(plan.title)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  body { font: 14px/1.55 -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #111827; margin: 0; }
+  .sheet { max-width: 900px; margin: 0 auto; padding: 40px 32px; }
+  header { border-bottom: 3px solid #111827; padding-bottom: 14px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 28px 0 10px; }
+  .meta { color: #6B7280; font-size: 13px; }
+  .summary { margin: 18px 0; font-size: 15px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #E5E7EB; padding: 9px 8px; text-align: left; vertical-align: top; }
+  th { background: #F9FAFB; font-size: 12px; text-transform: uppercase; letter-spacing: .03em; color: #6B7280; }
+  td.date { white-space: nowrap; font-weight: 600; }
+  .t { font-weight: 600; }
+  .d, .side { color: #4B5563; font-size: 12.5px; }
+  .c { color: #065F46; font-size: 12.5px; margin-top: 2px; }
+  tr.done .t { text-decoration: line-through; color: #6B7280; }
+  footer { margin-top: 36px; border-top: 1px solid #E5E7EB; padding-top: 12px; color: #9CA3AF; font-size: 12px; }
+  @media print { .sheet { padding: 0; max-width: none; } }
+</style></head>
+<body><div class="sheet">
+  <header>
+    <h1>${_esc(plan.title)}</h1>
+    <div class="meta">${_esc([accountName, orgName].filter(Boolean).join(' · '))}
+      · Target date: ${_esc(_dt(plan.target_close_date))} · Updated ${_esc(_dt(plan.updated_at))}</div>
+  </header>
+  ${plan.summary ? `<p class="summary">${_esc(plan.summary)}</p>` : ''}
+  <h2>Milestones</h2>
+  <table><thead><tr><th>Date</th><th>Step</th><th>Owner</th><th>Status</th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="4">No milestones yet.</td></tr>'}</tbody></table>
+  ${risks}
+  <footer>Shared read-only link. Contact your account team to propose changes.</footer>
+</div></body></html>`;
+}
+
+async function getSharedHtml(token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(String(token))) return null;
+  const r = await pool.query(`
+    SELECT p.*, o.name AS org_name, a.name AS account_name
+      FROM mutual_action_plans p
+      JOIN organizations o ON o.id = p.org_id
+      JOIN deals d         ON d.id = p.deal_id
+      LEFT JOIN accounts a ON a.id = d.account_id
+     WHERE p.share_token = $1 AND p.status <> 'archived'
+  `, [token]);
+  if (!r.rows.length) return null;
+  const plan = r.rows[0];
+  return { html: renderHtml({ plan, orgName: plan.org_name, accountName: plan.account_name }) };
+}
+
+module.exports = {
+  generatePlan,
+  listPlans,
+  getPlan,
+  updatePlan,
+  deletePlan,
+  convertMilestones,
+  enableShare,
+  revokeShare,
+  getSharedHtml,
+  renderHtml,
+};
@@ -0,0 +1,149 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// orgDomains.service.js
+//
+// DROP-IN LOCATION: backend/services/orgDomains.service.js
+//
+// Email domains an org has PROVEN it owns, by publishing a DNS TXT record.
+// Table: org_domains (db/2026_134_saml_sso.sql). Anything that lets an org
+// speak for an address — SAML sign-in and discovery (samlSso.service.js),
+// SCIM create/link (scim.service.js) — checks here first; a domain merely
+// typed into a settings form proves nothing.
+//
+//   listDomains(orgId)            every claimed domain + its TXT record
+//   claimDomains(orgId, domains)  pending rows (new token) for unseen domains
+//   verifyDomain(orgId, domain)   DNS lookup → verified_at
+//   removeDomain(orgId, domain)
+//   verifiedDomains(orgId)        ['acme.com', …]
+//   isVerified(orgId, domain)
+//
+// Customer contract: one record per domain —
+//     TXT  _gowarm-verification.<domain>  "gowarm-domain-verification=<token>"
+// Any number of orgs may claim a domain; only one can verify it (partial
+// unique index), so a squatter's pending claim never blocks the real owner.
+//
+// Errors carry err.status, like inviteProvisioning.
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { pool } = require('../config/database');
+
+const TXT_HOST_PREFIX  = '_gowarm-verification';
+const TXT_VALUE_PREFIX = 'gowarm-domain-verification=';
+const DNS_TIMEOUT_MS   = 8000;
+const DOMAIN_RE        = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+const fail = (message, status, code) => Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+
+// A stalled resolver would otherwise hang the Verify button for minutes.
+function withTimeout(promise, ms, label) {
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => setTimeout(() => rej(new Error(`${label} timed out after ${ms / 1000}s — try Verify again`)), ms)),
+  ]);
+}
+let _resolveTxt = (h) => withTimeout(dns.resolveTxt(h), DNS_TIMEOUT_MS, 'DNS lookup');
+function setDnsResolver(fn) { _resolveTxt = fn; }
+
+function normalizeDomain(d) {
+  const dom = String(d || '').trim().toLowerCase().replace(/^@/, '');
+  if (!DOMAIN_RE.test(dom)) throw fail(`Invalid email domain: ${dom}`, 400);
+  return dom;
+}
+
+const txtHost  = (domain) => `${TXT_HOST_PREFIX}.${domain}`;
+const txtValue = (token)  => `${TXT_VALUE_PREFIX}${token}`;
+
+function toApi(row) {
+  return {
+    domain:        row.domain,
+    verified:      !!row.verified_at,
+    verifiedAt:    row.verified_at || null,
+    lastCheckedAt: row.last_checked_at || null,
+    txtHost:       txtHost(row.domain),
+    txtValue:      txtValue(row.verification_token),
+  };
+}
+
+async function listDomains(orgId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM org_domains WHERE org_id = $1 ORDER BY domain`, [orgId]);
+  return rows.map(toApi);
+}
+
+/** Add a pending claim for each domain the org has not claimed yet. */
+async function claimDomains(orgId, domains) {
+  for (const d of domains) {
+    await pool.query(
+      `INSERT INTO org_domains (org_id, domain, verification_token)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (org_id, domain) DO NOTHING`,
+      [orgId, normalizeDomain(d), crypto.randomBytes(16).toString('hex')]);
+  }
+}
+
+async function verifyDomain(orgId, domain) {
+  domain = normalizeDomain(domain);
+  const { rows: [row] } = await pool.query(
+    `SELECT * FROM org_domains WHERE org_id = $1 AND domain = $2`, [orgId, domain]);
+  if (!row) throw fail('Domain not found', 404);
+  if (row.verified_at) return toApi(row);
+
+  let records = [];
+  try {
+    records = (await _resolveTxt(txtHost(domain))).map(chunks => chunks.join(''));
+  } catch (e) {
+    // ENOTFOUND / ENODATA just mean "not published yet".
+    if (!['ENOTFOUND', 'ENODATA'].includes(e.code)) console.warn(`[domains] TXT lookup ${domain}:`, e.message);
+  }
+  await pool.query(
+    `UPDATE org_domains SET last_checked_at = now() WHERE org_id = $1 AND domain = $2`, [orgId, domain]);
+
+  if (!records.includes(txtValue(row.verification_token))) {
+    throw fail(`No matching TXT record at ${txtHost(domain)} yet. DNS changes can take a while to appear — try again later.`,
+      400, 'DOMAIN_NOT_VERIFIED');
+  }
+
+  try {
+    const { rows: [v] } = await pool.query(
+      `UPDATE org_domains SET verified_at = now()
+        WHERE org_id = $1 AND domain = $2 RETURNING *`, [orgId, domain]);
+    console.log(`[domains] org ${orgId} verified ${domain}`);
+    return toApi(v);
+  } catch (e) {
+    if (e.code === '23505') throw fail(`${domain} is already verified by another organization`, 409);
+    throw e;
+  }
+}
+
+async function removeDomain(orgId, domain) {
+  domain = normalizeDomain(domain);
+  const { rows: [sso] } = await pool.query(
+    `SELECT 1 FROM org_sso_configs WHERE org_id = $1 AND enabled = TRUE AND $2 = ANY (email_domains)`,
+    [orgId, domain]);
+  if (sso) throw fail(`${domain} is in use for single sign-on — take it off the SSO domains first`, 409);
+  const { rowCount } = await pool.query(
+    `DELETE FROM org_domains WHERE org_id = $1 AND domain = $2`, [orgId, domain]);
+  if (!rowCount) throw fail('Domain not found', 404);
+  return { deleted: true };
+}
+
+async function verifiedDomains(orgId) {
+  const { rows } = await pool.query(
+    `SELECT domain FROM org_domains WHERE org_id = $1 AND verified_at IS NOT NULL ORDER BY domain`, [orgId]);
+  return rows.map(r => r.domain);
+}
+
+async function isVerified(orgId, domain) {
+  if (!domain) return false;
+  const { rows } = await pool.query(
+    `SELECT 1 FROM org_domains WHERE org_id = $1 AND domain = $2 AND verified_at IS NOT NULL`,
+    [orgId, String(domain).toLowerCase()]);
+  return rows.length > 0;
+}
+
+module.exports = {
+  normalizeDomain, txtHost, txtValue,
+  listDomains, claimDomains, verifyDomain, removeDomain,
+  verifiedDomains, isVerified,
+  setDnsResolver,
+};
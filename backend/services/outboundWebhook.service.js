@@ -0,0 +1,422 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// outboundWebhook.service.js
+//
+// Outbound webhooks (schema: 2026_133_outbound_webhooks.sql):
+//   • subscriptions  — org-admin registered HTTPS endpoints + event filter
+//   • emit()         — called from the places events happen; fans out one
+//                      webhook_deliveries row per matching subscription and
+//                      queues it on jobs/outboundWebhookJob.js
+//   • deliver()      — one HTTP attempt, called by the queue processor
+//   • redeliver()    — manual re-send from the delivery log
+//
+// WIRE FORMAT
+//   POST <url>
+//   Content-Type:         application/json
+//   X-GoWarm-Event:       deal.stage_changed
+//   X-GoWarm-Event-Id:    <uuid — stable across retries and re-deliveries>
+//   X-GoWarm-Delivery:    <webhook_deliveries.id>
+//   X-GoWarm-Timestamp:   <unix seconds of this attempt>
+//   X-GoWarm-Signature:   sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+//
+//   { "id": "<event id>", "type": "deal.stage_changed",
+//     "created_at": "<ISO>", "org_id": 12, "data": { ... } }
+//
+//   Receivers verify the signature over the raw body and reject timestamps
+//   older than a few minutes. The timestamp is signed so a captured request
+//   cannot be replayed later.
+//
+// emit() NEVER THROWS. It is called after the business write has succeeded;
+// a webhook problem must not turn a saved deal into a 500.
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const net    = require('net');
+const axios  = require('axios');
+
+const { pool } = require('../config/database');
+const { isPrivateAddress, assertPublicHost } = require('../utils/publicUrl');
+const { encrypt, decrypt, last4, isConfigured: encIsConfigured } = require('./credentials/encryption');
+
+const EVENTS = {
+  'deal.stage_changed':  'A deal moved to a different pipeline stage',
+  'prospect.replied':    'A prospect replied by email or LinkedIn',
+  'contract.signed':     'A contract was marked as signed by all parties',
+  'handover.created':    'A sales → implementation handover was created',
+  'case.sla_breached':   'A support case breached its response or resolution SLA',
+};
+
+const TIMEOUT_MS         = 10000;
+const RESPONSE_BODY_MAX  = 2000;
+const MAX_SUBSCRIPTIONS  = 20;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/** HTTPS only, and never an internal address — this URL is fetched from our network. */
+function validateUrl(raw) {
+  let u;
+  try { u = new URL(String(raw || '').trim()); } catch { throw httpError(400, 'url must be a valid URL'); }
+  if (u.protocol !== 'https:') throw httpError(400, 'url must use https://');
+  if (u.username || u.password) throw httpError(400, 'url must not contain credentials');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')
+      || (net.isIP(host) && isPrivateAddress(host))) {
+    throw httpError(400, 'url must be a public address');
+  }
+  return u.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || !events.length) throw httpError(400, 'Select at least one event');
+  const unknown = events.filter(e => !EVENTS[e]);
+  if (unknown.length) throw httpError(400, `Unknown event(s): ${unknown.join(', ')}`);
+  return [...new Set(events)];
+}
+
+function fmtSubscription(row) {
+  return {
+    id:          row.id,
+    name:        row.name,
+    url:         row.url,
+    events:      row.events,
+    isActive:    row.is_active,
+    secretLast4: row.secret_last4,
+    createdAt:   row.created_at,
+    updatedAt:   row.updated_at,
+    lastDelivery: row.last_status ? {
+      status:     row.last_status,
+      at:         row.last_at,
+      httpStatus: row.last_http_status,
+    } : null,
+  };
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// ── Subscriptions ────────────────────────────────────────────────────────────
+
+const SUB_SELECT = `
+  SELECT s.id, s.name, s.url, s.events, s.is_active, s.secret_last4, s.created_at, s.updated_at,
+         ld.status AS last_status, COALESCE(ld.last_attempt_at, ld.created_at) AS last_at,
+         ld.last_response_status AS last_http_status
+    FROM webhook_subscriptions s
+    LEFT JOIN LATERAL (
+      SELECT status, last_attempt_at, created_at, last_response_status
+        FROM webhook_deliveries WHERE subscription_id = s.id
+       ORDER BY created_at DESC LIMIT 1
+    ) ld ON true`;
+
+async function listSubscriptions(orgId) {
+  const { rows } = await pool.query(`${SUB_SELECT} WHERE s.org_id = $1 ORDER BY s.created_at`, [orgId]);
+  return rows.map(fmtSubscription);
+}
+
+async function getSubscription(orgId, id) {
+  const { rows } = await pool.query(`${SUB_SELECT} WHERE s.org_id = $1 AND s.id = $2`, [orgId, id]);
+  if (!rows.length) throw httpError(404, 'Webhook not found');
+  return fmtSubscription(rows[0]);
+}
+
+/** Returns the subscription plus the plaintext secret — the only time it is shown. */
+async function createSubscription(orgId, userId, { name, url, events }) {
+  if (!encIsConfigured()) throw httpError(503, 'Credential encryption is not configured on this server');
+  if (!String(name || '').trim()) throw httpError(400, 'name is required');
+  const cleanUrl = validateUrl(url);
+  const cleanEvents = validateEvents(events);
+
+  const { rows: [{ n }] } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM webhook_subscriptions WHERE org_id = $1`, [orgId]);
+  if (n >= MAX_SUBSCRIPTIONS) throw httpError(400, `An organisation can have at most ${MAX_SUBSCRIPTIONS} webhooks`);
+
+  const secret = newSecret();
+  const enc = encrypt(secret);
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_subscriptions
+       (org_id, name, url, events, secret_ciphertext, secret_iv, secret_tag, secret_last4, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [orgId, String(name).trim().slice(0, 120), cleanUrl, cleanEvents,
+     enc.ciphertext, enc.iv, enc.tag, last4(secret), userId]
+  );
+  return { ...(await getSubscription(orgId, rows[0].id)), secret };
+}
+
+async function updateSubscription(orgId, id, { name, url, events, isActive }) {
+  const sets = [];
+  const params = [orgId, id];
+  const set = (col, val) => { params.push(val); sets.push(`${col} = $${params.length}`); };
+
+  if (name !== undefined) {
+    if (!String(name).trim()) throw httpError(400, 'name cannot be empty');
+    set('name', String(name).trim().slice(0, 120));
+  }
+  if (url !== undefined)      set('url', validateUrl(url));
+  if (events !== undefined)   set('events', validateEvents(events));
+  if (isActive !== undefined) set('is_active', !!isActive);
+  if (!sets.length) return getSubscription(orgId, id);
+
+  const { rowCount } = await pool.query(
+    `UPDATE webhook_subscriptions SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE org_id = $1 AND id = $2`,
+    params
+  );
+  if (!rowCount) throw httpError(404, 'Webhook not found');
+  return getSubscription(orgId, id);
+}
+
+async function rotateSecret(orgId, id) {
+  if (!encIsConfigured()) throw httpError(503, 'Credential encryption is not configured on this server');
+  const secret = newSecret();
+  const enc = encrypt(secret);
+  const { rowCount } = await pool.query(
+    `UPDATE webhook_subscriptions
+        SET secret_ciphertext = $3, secret_iv = $4, secret_tag = $5, secret_last4 = $6, updated_at = NOW()
+      WHERE org_id = $1 AND id = $2`,
+    [orgId, id, enc.ciphertext, enc.iv, enc.tag, last4(secret)]
+  );
+  if (!rowCount) throw httpError(404, 'Webhook not found');
+  return { ...(await getSubscription(orgId, id)), secret };
+}
+
+async function deleteSubscription(orgId, id) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM webhook_subscriptions WHERE org_id = $1 AND id = $2`, [orgId, id]);
+  if (!rowCount) throw httpError(404, 'Webhook not found');
+  return { deleted: true };
+}
+
+// ── Emitting ─────────────────────────────────────────────────────────────────
+
+function enqueue(deliveryId) {
+  // Lazy: the job module requires this one for deliver().
+  return require('../jobs/outboundWebhookJob').enqueue(deliveryId);
+}
+
+/**
+ * Record `eventType` for every active subscription in the org that wants it
+ * and queue the deliveries. `data` is frozen into the payload as-is.
+ * Never throws; resolves to the number of deliveries queued.
+ */
+async function emit(orgId, eventType, data) {
+  try {
+    if (!EVENTS[eventType]) {
+      console.warn(`[webhooks] emit called with unknown event "${eventType}"`);
+      return 0;
+    }
+    const { rows: subs } = await pool.query(
+      `SELECT id FROM webhook_subscriptions
+        WHERE org_id = $1 AND is_active AND $2 = ANY(events)`,
+      [orgId, eventType]
+    );
+    if (!subs.length) return 0;
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id:         eventId,
+      type:       eventType,
+      created_at: new Date().toISOString(),
+      org_id:     orgId,
+      data,
+    };
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_deliveries (org_id, subscription_id, event_id, event_type, payload)
+       SELECT $1, sub_id, $2, $3, $4::jsonb FROM unnest($5::int[]) AS sub_id
+       RETURNING id`,
+      [orgId, eventId, eventType, JSON.stringify(payload), subs.map(s => s.id)]
+    );
+    for (const r of rows) await enqueue(r.id);
+    return rows.length;
+  } catch (err) {
+    console.error(`[webhooks] emit ${eventType} for org ${orgId} failed:`, err.message);
+    return 0;
+  }
+}
+
+// ── Delivering ───────────────────────────────────────────────────────────────
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * One attempt at delivery `deliveryId`. Records the outcome on the row.
+ * Timeouts, network errors, 408, 429 and 5xx are retryable; any other non-2xx
+ * is final. `finalAttempt` marks a retryable failure as failed too.
+ *
+ * @returns {{ status: 'delivered'|'failed'|'pending'|'skipped', retryable?: boolean, reason?: string }}
+ */
+async function deliver(deliveryId, { finalAttempt = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT d.id, d.status, d.event_id, d.event_type, d.payload,
+            s.url, s.is_active, s.secret_ciphertext, s.secret_iv, s.secret_tag
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+      WHERE d.id = $1`,
+    [deliveryId]
+  );
+  const d = rows[0];
+  if (!d) return { status: 'skipped', reason: 'delivery no longer exists' };
+  if (d.status !== 'pending') return { status: 'skipped', reason: `already ${d.status}` };
+  if (!d.is_active) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook disabled before delivery' WHERE id = $1`,
+      [deliveryId]);
+    return { status: 'failed', retryable: false, reason: 'subscription disabled' };
+  }
+
+  const body = JSON.stringify(d.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let httpStatus = null, responseBody = null, error = null, retryable = false;
+
+  try {
+    await assertPublicHost(d.url);
+    const secret = decrypt(d.secret_ciphertext, d.secret_iv, d.secret_tag);
+    const res = await axios.post(d.url, body, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      validateStatus: () => true,
+      transformRequest: [(x) => x],
+      headers: {
+        'Content-Type':       'application/json',
+        'User-Agent':         'GoWarm-Webhooks/1.0',
+        'X-GoWarm-Event':     d.event_type,
+        'X-GoWarm-Event-Id':  d.event_id,
+        'X-GoWarm-Delivery':  String(d.id),
+        'X-GoWarm-Timestamp': String(timestamp),
+        'X-GoWarm-Signature': sign(secret, timestamp, body),
+      },
+    });
+    httpStatus = res.status;
+    responseBody = typeof res.data === 'string' ? res.data : JSON.stringify(res.data ?? '');
+    if (httpStatus < 200 || httpStatus >= 300) {
+      error = `HTTP ${httpStatus}`;
+      retryable = httpStatus >= 500 || httpStatus === 408 || httpStatus === 429;
+    }
+  } catch (err) {
+    error = err.code ? `${err.code}: ${err.message}` : err.message;
+    retryable = !err.final;
+  }
+
+  const ok = !error;
+  const status = ok ? 'delivered' : (retryable && !finalAttempt ? 'pending' : 'failed');
+  await pool.query(
+    `UPDATE webhook_deliveries
+        SET status               = $2,
+            attempt_count        = attempt_count + 1,
+            last_attempt_at      = NOW(),
+            last_response_status = $3,
+            last_response_body   = $4,
+            last_error           = $5,
+            duration_ms          = $6,
+            delivered_at         = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+      WHERE id = $1`,
+    [deliveryId, status, httpStatus, responseBody ? responseBody.slice(0, RESPONSE_BODY_MAX) : null,
+     error, Date.now() - started]
+  );
+  return { status, retryable: status === 'pending', reason: error || undefined };
+}
+
+/** Deliveries still pending after `olderThanMinutes` — the queue may have dropped them. */
+async function listStalePending(olderThanMinutes = 15, limit = 100) {
+  const { rows } = await pool.query(
+    `SELECT id FROM webhook_deliveries
+      WHERE status = 'pending'
+        AND COALESCE(last_attempt_at, created_at) < NOW() - ($1 * interval '1 minute')
+      ORDER BY created_at
+      LIMIT $2`,
+    [olderThanMinutes, limit]
+  );
+  return rows.map(r => r.id);
+}
+
+// ── Delivery log ─────────────────────────────────────────────────────────────
+
+async function listDeliveries(orgId, subscriptionId, { status, limit = 50, before } = {}) {
+  const params = [orgId, subscriptionId];
+  let clause = '';
+  if (status) { params.push(status); clause += ` AND d.status = $${params.length}`; }
+  if (before) { params.push(parseInt(before, 10)); clause += ` AND d.id < $${params.length}`; }
+  params.push(Math.min(parseInt(limit, 10) || 50, 200));
+  const { rows } = await pool.query(
+    `SELECT d.id, d.event_id, d.event_type, d.status, d.attempt_count, d.last_attempt_at,
+            d.last_response_status, d.last_error, d.duration_ms, d.delivered_at,
+            d.redelivery_of, d.created_at
+       FROM webhook_deliveries d
+      WHERE d.org_id = $1 AND d.subscription_id = $2 ${clause}
+      ORDER BY d.id DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getDelivery(orgId, id) {
+  const { rows } = await pool.query(
+    `SELECT * FROM webhook_deliveries WHERE org_id = $1 AND id = $2`, [orgId, id]);
+  if (!rows.length) throw httpError(404, 'Delivery not found');
+  return rows[0];
+}
+
+/**
+ * Re-send a logged delivery as a new row with the same event id and payload.
+ * Works for any status — a receiver that lost data asks for a replay, not a retry.
+ */
+async function redeliver(orgId, deliveryId, userId) {
+  const orig = await getDelivery(orgId, deliveryId);
+  const { rows: [sub] } = await pool.query(
+    `SELECT is_active FROM webhook_subscriptions WHERE id = $1`, [orig.subscription_id]);
+  if (!sub?.is_active) throw httpError(400, 'Enable the webhook before re-delivering');
+
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries
+       (org_id, subscription_id, event_id, event_type, payload, redelivery_of, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [orgId, orig.subscription_id, orig.event_id, orig.event_type, orig.payload, orig.id, userId]
+  );
+  await enqueue(rows[0].id);
+  return { id: rows[0].id, queued: true };
+}
+
+/** Queue a synthetic `ping` to one subscription, bypassing its event filter. */
+async function sendTest(orgId, subscriptionId, userId) {
+  await getSubscription(orgId, subscriptionId);
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId, type: 'ping', created_at: new Date().toISOString(), org_id: orgId,
+    data: { message: 'Test delivery from GoWarm' },
+  };
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (org_id, subscription_id, event_id, event_type, payload, requested_by)
+     VALUES ($1, $2, $3, 'ping', $4, $5)
+     RETURNING id`,
+    [orgId, subscriptionId, eventId, JSON.stringify(payload), userId]
+  );
+  await enqueue(rows[0].id);
+  return { id: rows[0].id, queued: true };
+}
+
+module.exports = {
+  EVENTS,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  deleteSubscription,
+  emit,
+  deliver,
+  listStalePending,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  sendTest,
+};
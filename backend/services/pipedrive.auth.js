@@ -0,0 +1,358 @@
+/**
+ * pipedrive.auth.js
+ *
+ * DROP-IN LOCATION: backend/services/pipedrive.auth.js
+ *
+ * Pipedrive OAuth 2.0 flow for GoWarm.
+ * Mirrors hubspot.auth.js structure exactly — same tables, same pattern.
+ *
+ * Pipedrive differences from HubSpot:
+ *   - Per-company API domain (e.g. https://acme.pipedrive.com), returned as
+ *     api_domain by the token endpoint. Stored in org_integrations.instance_url
+ *     and oauth_tokens.account_data.api_domain; every API call goes there.
+ *   - Token endpoint authenticates with HTTP Basic (client_id:client_secret),
+ *     not form fields.
+ *   - Access tokens expire in 60 minutes; refresh tokens rotate on refresh and
+ *     expire after 60 days of non-use — the nightly sync keeps them alive.
+ *   - Scopes are configured on the Marketplace app, not requested per
+ *     authorize call. The app needs: deals:read, contacts:read, users:read,
+ *     products:read, admin (pipelines/stages and *Fields endpoints).
+ *
+ * Required env vars:
+ *   PIPEDRIVE_CLIENT_ID
+ *   PIPEDRIVE_CLIENT_SECRET
+ *   PIPEDRIVE_REDIRECT_URI   (e.g. https://api.gowarmcrm.com/api/pipedrive/callback)
+ */
+
+const axios    = require('axios');
+const { pool } = require('../config/database');
+
+const PD_AUTH_BASE   = 'https://oauth.pipedrive.com/oauth/authorize';
+const PD_TOKEN_URL   = 'https://oauth.pipedrive.com/oauth/token';
+const PD_REVOKE_URL  = 'https://oauth.pipedrive.com/oauth/revoke';
+
+// Read env vars at call time (not module load time) so Railway injections
+// are always picked up regardless of require() caching order.
+function _env() {
+  return {
+    CLIENT_ID:     process.env.PIPEDRIVE_CLIENT_ID,
+    CLIENT_SECRET: process.env.PIPEDRIVE_CLIENT_SECRET,
+    REDIRECT_URI:  process.env.PIPEDRIVE_REDIRECT_URI,
+  };
+}
+
+function _basicAuthHeader() {
+  const { CLIENT_ID, CLIENT_SECRET } = _env();
+  return `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+}
+
+// ── getAuthUrl ────────────────────────────────────────────────────────────────
+
+// Optional scope = { clientId?, purpose? } — same contract as
+// hubspot.auth.js getAuthUrl. clientId reserved for Phase 3a.
+function getAuthUrl(userId, orgId, scope = {}) {
+  const { CLIENT_ID, REDIRECT_URI } = _env();
+  if (!CLIENT_ID || !REDIRECT_URI) {
+    throw new Error('PIPEDRIVE_CLIENT_ID and PIPEDRIVE_REDIRECT_URI env vars are required');
+  }
+
+  const state = Buffer.from(JSON.stringify({
+    userId:    parseInt(userId, 10),
+    orgId:     parseInt(orgId,  10),
+    clientId:  scope.clientId != null ? parseInt(scope.clientId, 10) : null,
+    purpose:   scope.purpose === 'assessment' ? 'assessment' : 'standard',
+    timestamp: Date.now(),
+  })).toString('base64');
+
+  const params = new URLSearchParams({
+    client_id:    CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    state,
+  });
+
+  return `${PD_AUTH_BASE}?${params.toString()}`;
+}
+
+// ── exchangeCode ──────────────────────────────────────────────────────────────
+
+/**
+ * Exchange authorization code for tokens.
+ * Saves to oauth_tokens (provider='pipedrive') and org_integrations.
+ *
+ * @returns {{ userId, orgId, companyId, email }}
+ */
+async function exchangeCode(code, stateStr) {
+  const { REDIRECT_URI } = _env();
+  let stateData;
+  try {
+    stateData = JSON.parse(Buffer.from(stateStr, 'base64').toString());
+  } catch {
+    throw new Error('Invalid OAuth state parameter');
+  }
+
+  const { userId, orgId, clientId = null, purpose = 'standard' } = stateData;
+
+  if (clientId != null) {
+    throw new Error('Client-scoped Pipedrive connections are not yet enabled (Phase 3a)');
+  }
+
+  const tokenRes = await axios.post(PD_TOKEN_URL, new URLSearchParams({
+    grant_type:   'authorization_code',
+    redirect_uri: REDIRECT_URI,
+    code,
+  }), {
+    headers: {
+      Authorization:  _basicAuthHeader(),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+  });
+
+  const { access_token, refresh_token, expires_in, api_domain } = tokenRes.data;
+
+  if (!access_token || !refresh_token || !api_domain) {
+    throw new Error('Pipedrive did not return tokens — check the Marketplace app configuration');
+  }
+
+  // Connecting user identity + company
+  const meRes = await axios.get(`${api_domain}/api/v1/users/me`, {
+    headers: { Authorization: `Bearer ${access_token}` },
+  }).catch(() => ({ data: null })); // non-fatal — identity is display-only
+
+  const me        = meRes.data?.data || {};
+  const email     = me.email || null;
+  const companyId = me.company_id || null;
+  const companyName = me.company_name || null;
+
+  const expiresAt = new Date(Date.now() + (expires_in || 3600) * 1000);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      INSERT INTO oauth_tokens
+        (user_id, org_id, provider, access_token, refresh_token, expires_at, account_data, created_at, updated_at)
+      VALUES ($1, $2, 'pipedrive', $3, $4, $5, $6, NOW(), NOW())
+      ON CONFLICT (user_id, provider)
+      DO UPDATE SET
+        access_token  = EXCLUDED.access_token,
+        refresh_token = COALESCE(EXCLUDED.refresh_token, oauth_tokens.refresh_token),
+        expires_at    = EXCLUDED.expires_at,
+        account_data  = EXCLUDED.account_data,
+        updated_at    = NOW()
+    `, [
+      userId, orgId, access_token, refresh_token, expiresAt,
+      JSON.stringify({ api_domain, company_id: companyId, company_name: companyName, email }),
+    ]);
+
+    await client.query(`
+      INSERT INTO org_integrations
+        (org_id, integration_type, provider, instance_url, connected_by, connected_at, sync_status, settings, created_at, updated_at)
+      VALUES ($1, 'pipedrive', 'pipedrive', $2, $3, NOW(), 'idle', $4, NOW(), NOW())
+      ON CONFLICT (org_id, integration_type)
+      DO UPDATE SET
+        provider     = 'pipedrive',
+        instance_url = EXCLUDED.instance_url,
+        connected_by = EXCLUDED.connected_by,
+        connected_at = NOW(),
+        sync_status  = 'idle',
+        updated_at   = NOW()
+    `, [
+      orgId, api_domain, userId,
+      JSON.stringify({
+        // Orchestrator object keys — Pipedrive organizations/persons/deals
+        // are synced as Account/Contact/Opportunity.
+        sync_objects:          ['Account', 'Contact', 'Opportunity'],
+        stage_map:             {},
+        field_map:             [],
+        sync_cursors:          {},
+        initial_sync_complete: { Account: false, Contact: false, Opportunity: false },
+      }),
+    ]);
+
+    // ── crm_connections pointer row (2026_60) — same contract as SF/HS ───────
+    const intIdRes = await client.query(
+      `SELECT id FROM org_integrations WHERE org_id = $1 AND integration_type = 'pipedrive'`,
+      [orgId]
+    );
+    if (intIdRes.rows.length) {
+      const crmConnections = require('./crmConnections.service');
+      await crmConnections.upsertPointerConnection(client, {
+        orgId,
+        crmType:       'pipedrive',
+        integrationId: intIdRes.rows[0].id,
+        instanceUrl:   api_domain,
+        connectedBy:   userId,
+        purpose,
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ Pipedrive connected for org ${orgId} by user ${userId} — company: ${companyId}`);
+  return { userId, orgId, companyId, email };
+}
+
+// ── getValidToken ─────────────────────────────────────────────────────────────
+
+/**
+ * Get a valid Pipedrive access token for an org.
+ * Auto-refreshes if expired or within 2 minutes of expiry.
+ *
+ * @param {number} orgId
+ * @returns {{ accessToken: string, apiDomain: string }}
+ */
+async function getValidToken(orgId) {
+  const res = await pool.query(`
+    SELECT ot.access_token, ot.refresh_token, ot.expires_at, ot.account_data, ot.user_id
+    FROM oauth_tokens ot
+    JOIN org_integrations oi
+      ON oi.org_id = $1 AND oi.integration_type = 'pipedrive' AND oi.connected_by = ot.user_id
+    WHERE ot.provider = 'pipedrive'
+    LIMIT 1
+  `, [orgId]);
+
+  if (res.rows.length === 0) {
+    throw new Error(`Pipedrive not connected for org ${orgId}`);
+  }
+
+  const token     = res.rows[0];
+  const expiresAt = new Date(token.expires_at);
+  const twoMins   = 2 * 60 * 1000;
+
+  if (expiresAt.getTime() - Date.now() > twoMins) {
+    return {
+      accessToken: token.access_token,
+      apiDomain:   token.account_data?.api_domain,
+    };
+  }
+
+  console.log(`🔄 Refreshing Pipedrive token for org ${orgId}...`);
+  const refreshed = await _refreshToken(token.refresh_token, token.user_id);
+  return {
+    accessToken: refreshed.accessToken,
+    apiDomain:   refreshed.apiDomain || token.account_data?.api_domain,
+  };
+}
+
+// ── _refreshToken ─────────────────────────────────────────────────────────────
+
+async function _refreshToken(refreshToken, userId) {
+  const res = await axios.post(PD_TOKEN_URL, new URLSearchParams({
+    grant_type:    'refresh_token',
+    refresh_token: refreshToken,
+  }), {
+    headers: {
+      Authorization:  _basicAuthHeader(),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+  });
+
+  const { access_token, refresh_token, expires_in, api_domain } = res.data;
+  const expiresAt = new Date(Date.now() + (expires_in || 3600) * 1000);
+
+  // Pipedrive rotates refresh tokens — persist the new one or the next
+  // refresh fails with invalid_grant.
+  await pool.query(`
+    UPDATE oauth_tokens
+    SET access_token  = $1,
+        refresh_token = COALESCE($2, refresh_token),
+        expires_at    = $3,
+        updated_at    = NOW()
+    WHERE user_id = $4 AND provider = 'pipedrive'
+  `, [access_token, refresh_token || null, expiresAt, userId]);
+
+  return { accessToken: access_token, apiDomain: api_domain || null };
+}
+
+// ── revokeToken ───────────────────────────────────────────────────────────────
+
+async function revokeToken(orgId) {
+  const res = await pool.query(`
+    SELECT ot.refresh_token, ot.user_id
+    FROM oauth_tokens ot
+    JOIN org_integrations oi
+      ON oi.org_id = $1 AND oi.integration_type = 'pipedrive' AND oi.connected_by = ot.user_id
+    WHERE ot.provider = 'pipedrive'
+    LIMIT 1
+  `, [orgId]);
+
+  if (res.rows.length === 0) return;
+
+  const { refresh_token, user_id } = res.rows[0];
+
+  // Best-effort revoke — revoking the refresh token also kills its access tokens
+  try {
+    await axios.post(PD_REVOKE_URL, new URLSearchParams({
+      token:           refresh_token,
+      token_type_hint: 'refresh_token',
+    }), {
+      headers: {
+        Authorization:  _basicAuthHeader(),
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+  } catch (err) {
+    console.warn(`⚠️  Pipedrive token revocation failed (continuing): ${err.message}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `DELETE FROM oauth_tokens WHERE user_id = $1 AND provider = 'pipedrive'`,
+      [user_id]
+    );
+    await client.query(`
+      UPDATE org_integrations
+      SET sync_status = 'idle', connected_by = NULL, connected_at = NULL,
+          instance_url = NULL, updated_at = NOW()
+      WHERE org_id = $1 AND integration_type = 'pipedrive'
+    `, [orgId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ Pipedrive disconnected for org ${orgId}`);
+}
+
+// ── getConnectionStatus ───────────────────────────────────────────────────────
+
+async function getConnectionStatus(orgId) {
+  const res = await pool.query(`
+    SELECT oi.instance_url, oi.connected_at, oi.last_sync_at, oi.sync_status,
+           oi.last_sync_error, oi.settings, ot.account_data
+    FROM org_integrations oi
+    LEFT JOIN oauth_tokens ot
+      ON ot.provider = 'pipedrive' AND ot.user_id = oi.connected_by
+    WHERE oi.org_id = $1 AND oi.integration_type = 'pipedrive'
+  `, [orgId]);
+
+  if (res.rows.length === 0) return { connected: false };
+
+  const row = res.rows[0];
+  return {
+    connected:     !!(row.instance_url && row.connected_at),
+    instanceUrl:   row.instance_url,
+    connectedAt:   row.connected_at,
+    lastSyncAt:    row.last_sync_at,
+    syncStatus:    row.sync_status,
+    lastSyncError: row.last_sync_error,
+    email:         row.account_data?.email,
+    companyId:     row.account_data?.company_id,
+    companyName:   row.account_data?.company_name,
+    settings:      row.settings,
+  };
+}
+
+module.exports = { getAuthUrl, exchangeCode, getValidToken, revokeToken, getConnectionStatus };
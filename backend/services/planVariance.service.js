@@ -50,6 +50,8 @@ async function getProjectVariance(handoverId, orgId, hideInternalNotes = false)
        p.stage_key,
        p.status,
        p.is_manual,
+       p.is_gate,
+       p.client_action,
        p.sort_order,
        p.due_date,
        p.baseline_due_date,
@@ -125,6 +127,8 @@ async function getProjectVariance(handoverId, orgId, hideInternalNotes = false)
     stageName:         r.stage_name || r.stage_key,
     status:            r.status,
     isAdHoc:           r.is_manual || r.baseline_due_date == null,
+    isGate:            r.is_gate,
+    clientAction:      r.client_action,
     ownerName:         r.owner_name,
     baselineDueDate:   r.baseline_due_date,
     baselineSource:    r.baseline_source,
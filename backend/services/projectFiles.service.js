@@ -391,6 +391,65 @@ async function linkStatus(orgId, provider, providerFileIds = []) {
  */
 async function uploadLocalFile(handoverId, orgId, userId, { fileName, mimeType, buffer, whatsappMessageId }) {
   await assertCanFile(handoverId, orgId, userId);
+  const { file, target } = await _storeInProjectFolder(handoverId, orgId, userId, {
+    fileName, mimeType, buffer,
+    sourceLabel: (folderName) => `Uploaded · ${folderName || 'project folder'}`,
+  });
+
+  // Close the loop on the message this recovers, if one was named.
+  let linkedMessage = null;
+  if (whatsappMessageId) {
+    const { rows } = await pool.query(
+      `UPDATE whatsapp_messages m
+          SET storage_file_id = $3, media_status = 'stored',
+              media_error = NULL,
+              media_reviewed_by = $4, media_reviewed_at = now()
+         FROM whatsapp_threads t
+        WHERE m.id = $1 AND m.org_id = $2 AND t.id = m.thread_id AND t.handover_id = $5
+        RETURNING m.id`,
+      [whatsappMessageId, orgId, file.id, userId, handoverId]
+    );
+    linkedMessage = rows[0]?.id || null;
+  }
+
+  return { file, folderName: target.folderName, linkedMessage };
+}
+
+/**
+ * Upload a file sent by a client through the portal (2026_144).
+ *
+ * Same folder, same org credential as uploadLocalFile(). What differs is who
+ * is sending it: a portal user is not a user of this org, so there is no
+ * assertCanFile() — the portal route has already scoped the project to the
+ * client's account — and storage_files.user_id, which must name a user, is
+ * the project's service owner (or its creator). source_label says who really
+ * sent it, so the Files tab never presents a client upload as the owner's.
+ */
+async function uploadPortalFile(handoverId, orgId, { fileName, mimeType, buffer, portalEmail }) {
+  const { rows: [h] } = await pool.query(
+    `SELECT COALESCE(assigned_service_owner_id, created_by) AS owner_id
+       FROM sales_handovers WHERE id = $1 AND org_id = $2`,
+    [handoverId, orgId]
+  );
+  if (!h) throw Object.assign(new Error('Project not found'), { status: 404 });
+  if (!h.owner_id) {
+    throw Object.assign(
+      new Error('This project has no owner to file uploads under yet. Please contact your account manager.'),
+      { status: 400 });
+  }
+
+  const { file, target } = await _storeInProjectFolder(handoverId, orgId, h.owner_id, {
+    fileName, mimeType, buffer,
+    sourceLabel: () => `Client portal · ${portalEmail || 'client'}`,
+  });
+  return { file, folderName: target.folderName };
+}
+
+/**
+ * Push bytes to the project's upload folder and record the storage_files row.
+ * Callers decide who may upload; this decides nothing about permission.
+ */
+async function _storeInProjectFolder(handoverId, orgId, userId, { fileName, mimeType, buffer, sourceLabel }) {
   if (!buffer || !buffer.length) {
     throw Object.assign(new Error('No file received'), { status: 400 });
   }
@@ -430,28 +489,12 @@ async function uploadLocalFile(handoverId, orgId, userId, { fileName, mimeType,
     [orgId, userId, target.provider, uploaded.id,
      uploaded.webViewLink || uploaded.webUrl || null, safeName,
      buffer.length, mimeType || null, resolveCategory(mimeType),
-     `Uploaded · ${target.folderName || 'project folder'}`,
+     sourceLabel(target.folderName),
      target.folderId, handoverId]
   );
 
-  // Close the loop on the message this recovers, if one was named.
-  let linkedMessage = null;
-  if (whatsappMessageId) {
-    const { rows } = await pool.query(
-      `UPDATE whatsapp_messages m
-          SET storage_file_id = $3, media_status = 'stored',
-              media_error = NULL,
-              media_reviewed_by = $4, media_reviewed_at = now()
-         FROM whatsapp_threads t
-        WHERE m.id = $1 AND m.org_id = $2 AND t.id = m.thread_id AND t.handover_id = $5
-        RETURNING m.id`,
-      [whatsappMessageId, orgId, file.id, userId, handoverId]
-    );
-    linkedMessage = rows[0]?.id || null;
-  }
-
   await storage.markUsed(orgId, target.provider);
-  return { file, folderName: target.folderName, linkedMessage };
+  return { file, target };
 }
 
 // ── Writes: tag / untag / hide / unhide ──────────────────────────────────────
@@ -572,6 +615,6 @@ module.exports = {
   // and is filed by a human — so it is fixed here rather than left.
   canManageFiles, canFile, assertCanFile,
   listFolders, mapFolder, unmapFolder, resolveFolderMembership, setUploadTarget,
-  listForProject, linkStatus, uploadLocalFile,
+  listForProject, linkStatus, uploadLocalFile, uploadPortalFile,
   tagFile, untagFile, hideFile, unhideFile,
 };
@@ -0,0 +1,343 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// projectSchedule.service.js — schedule, critical path and slip propagation
+// for project plays (2026_141)
+//
+// The plan already has every input a schedule needs: due dates, prerequisites
+// (depends_on, 2026_117) and now a planned duration. This is the arithmetic
+// over them — nothing here is stored, so the schedule can never disagree with
+// the checklist it is computed from.
+//
+// Forward pass (earliest start / finish), in dependency order:
+//   • Completed plays are history: they finish on completed_at.
+//   • An open play starts at the later of its planned start
+//     (due_date - duration) and the latest finish of its prerequisites. The
+//     planned start is a "start no earlier than", not a suggestion to ignore:
+//     without it every play would be scheduled as early as physically
+//     possible and float would measure the distance from a plan nobody holds.
+//   • Nothing open finishes in the past. An overdue play is forecast to finish
+//     today at the earliest, and that is what its successors inherit — an
+//     overdue predecessor IS a slip, even if nobody has moved its date.
+//
+// Backward pass (latest start / finish) from the project finish, the latest
+// early finish of any play. Total float = latest finish - earliest finish;
+// an open play with no float is critical. Go-live is reported against the
+// finish rather than used as the anchor: anchoring on a go-live that is
+// already unachievable would give every play negative float and make the
+// critical path unreadable.
+//
+// Cancelled and skipped plays are left out, the same as planVariance: work
+// that was called off neither takes time nor holds anything up. A
+// prerequisite that was skipped is satisfied (as in _getPlays' blocked_by).
+//
+// Propagation only ever moves dates LATER. A predecessor finishing early is
+// an opportunity, not an instruction to pull everyone's promises forward.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { pool } = require('../config/database');
+const handoverService = require('./handover.service');
+
+const EXCLUDED_STATUSES = ['cancelled', 'skipped'];
+
+// NULL duration = not estimated. One day keeps the play on the schedule and
+// in order; the Gantt marks it so the assumption is visible.
+const DEFAULT_DURATION_DAYS = 1;
+
+const DAY_MS = 86400000;
+
+// Dates are handled as whole UTC day numbers. due_date is a DATE and
+// completed_at a timestamptz; mixing Date objects across them is how a play
+// finished at 09:00 on its due date ends up a day late.
+function dayNum(d) {
+  if (d == null) return null;
+  const s = d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10);
+  const [y, m, day] = s.split('-').map(Number);
+  if (!y || !m || !day) return null;
+  return Math.floor(Date.UTC(y, m - 1, day) / DAY_MS);
+}
+
+function dayStr(n) {
+  return n == null ? null : new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function _load(handoverId, orgId) {
+  const { rows: [h] } = await pool.query(
+    `SELECT id, status, started_at, go_live_date
+       FROM sales_handovers
+      WHERE id = $1 AND org_id = $2`,
+    [handoverId, orgId]);
+  if (!h) throw Object.assign(new Error('Handover not found'), { status: 404 });
+
+  const { rows } = await pool.query(
+    `SELECT
+       p.id, p.title, p.stage_key, p.status, p.is_gate,
+       p.due_date, p.baseline_due_date, p.duration_days,
+       p.depends_on, p.completed_at, p.sort_order,
+       -- Same ordering as _getPlays() and planVariance, so the Gantt lists
+       -- rows in the order the checklist does.
+       pst.name       AS stage_name,
+       pst.sort_order AS stage_order,
+       ou.first_name || ' ' || ou.last_name AS owner_name
+     FROM project_play_instances p
+     LEFT JOIN users ou ON ou.id = p.owner_user_id
+     LEFT JOIN project_stages pst ON pst.handover_id = p.handover_id
+                                 AND pst.key = p.stage_key
+                                 AND pst.is_active = TRUE
+     WHERE p.handover_id = $1
+       AND p.org_id = $2
+       AND p.status <> ALL($3::text[])
+     ORDER BY pst.sort_order ASC NULLS LAST,
+              p.stage_key ASC,
+              p.sort_order ASC,
+              p.due_date ASC NULLS LAST,
+              p.id ASC`,
+    [handoverId, orgId, EXCLUDED_STATUSES]);
+
+  return { handover: h, rows };
+}
+
+// Kahn's algorithm, seeded in display order so ties keep the checklist order.
+// setPlayDependencies() refuses cycles, so one here means the data was written
+// around it — fail loudly rather than schedule half a project.
+function _topoOrder(nodes) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const indeg = new Map(nodes.map(n => [n.id, 0]));
+  const succs = new Map(nodes.map(n => [n.id, []]));
+  for (const n of nodes) {
+    for (const p of n.preds) {
+      indeg.set(n.id, indeg.get(n.id) + 1);
+      succs.get(p).push(n.id);
+    }
+  }
+  const queue = nodes.filter(n => indeg.get(n.id) === 0).map(n => n.id);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(byId.get(id));
+    for (const s of succs.get(id)) {
+      indeg.set(s, indeg.get(s) - 1);
+      if (indeg.get(s) === 0) queue.push(s);
+    }
+  }
+  if (order.length !== nodes.length) {
+    throw Object.assign(
+      new Error('The task dependencies form a cycle, so no schedule can be computed.'),
+      { status: 409, code: 'DEPENDENCY_CYCLE' });
+  }
+  return { order, succs };
+}
+
+function _compute({ handover, rows }) {
+  const today = dayNum(new Date());
+  const started = dayNum(handover.started_at);
+  // Before the project starts, nothing open can begin earlier than the start
+  // (or today, if the start is already past).
+  const floorStart = Math.max(today, started ?? today);
+
+  const ids = new Set(rows.map(r => r.id));
+  const nodes = rows.map(r => ({
+    row:       r,
+    id:        r.id,
+    // Prerequisites outside the node set were cancelled or skipped, which
+    // counts as satisfied.
+    preds:     (r.depends_on || []).filter(d => ids.has(d)),
+    dur:       r.duration_days ?? DEFAULT_DURATION_DAYS,
+    estimated: r.duration_days != null,
+    done:      r.status === 'completed',
+    due:       dayNum(r.due_date),
+  }));
+  const { order, succs } = _topoOrder(nodes);
+  const byId = new Map(nodes.map(n => [n.id, n]));
+
+  // ── Forward pass ──
+  for (const n of order) {
+    if (n.done) {
+      n.ef = dayNum(n.row.completed_at) ?? n.due ?? today;
+      n.es = n.ef - n.dur;
+      continue;
+    }
+    const predFinish = n.preds.length
+      ? Math.max(...n.preds.map(p => byId.get(p).ef))
+      : null;
+    const plannedStart = n.due != null ? n.due - n.dur : null;
+    let es = Math.max(
+      plannedStart ?? predFinish ?? floorStart,
+      predFinish ?? -Infinity);
+    // A play not yet under way cannot start in the past; one in progress
+    // already has, but still cannot finish before today.
+    if (n.row.status !== 'in_progress') es = Math.max(es, floorStart);
+    n.es = es;
+    n.ef = Math.max(es + n.dur, today);
+    n.predFinish = predFinish;
+  }
+
+  const finish = nodes.length ? Math.max(...nodes.map(n => n.ef)) : null;
+
+  // ── Backward pass ──
+  for (let i = order.length - 1; i >= 0; i--) {
+    const n = order[i];
+    const next = succs.get(n.id).map(s => byId.get(s));
+    n.lf = next.length ? Math.min(...next.map(s => s.ls)) : finish;
+    n.ls = n.lf - n.dur;
+    n.totalFloat = n.lf - n.ef;
+    n.freeFloat = (next.length ? Math.min(...next.map(s => s.es)) : finish) - n.ef;
+  }
+
+  return { today, finish, nodes, order, byId };
+}
+
+function _fmt(n) {
+  const r = n.row;
+  return {
+    id:               n.id,
+    title:            r.title,
+    stageKey:         r.stage_key,
+    stageName:        r.stage_name,
+    status:           r.status,
+    isGate:           r.is_gate === true,
+    ownerName:        r.owner_name,
+    dependsOn:        n.preds,
+    durationDays:     n.dur,
+    durationEstimated: n.estimated,
+    dueDate:          dayStr(n.due),
+    baselineDueDate:  r.baseline_due_date ? dayStr(dayNum(r.baseline_due_date)) : null,
+    earlyStart:       dayStr(n.es),
+    earlyFinish:      dayStr(n.ef),
+    lateStart:        dayStr(n.ls),
+    lateFinish:       dayStr(n.lf),
+    // Float is meaningless for work already finished — null, not 0, so the
+    // UI does not paint history as critical.
+    totalFloat:       n.done ? null : n.totalFloat,
+    freeFloat:        n.done ? null : n.freeFloat,
+    isCritical:       !n.done && n.totalFloat <= 0,
+    isDone:           n.done,
+    // Forecast finish vs the current promise. Positive = will be late.
+    forecastSlipDays: !n.done && n.due != null ? n.ef - n.due : null,
+  };
+}
+
+/**
+ * Schedule for one project: earliest/latest dates, float and critical path.
+ *
+ * @param {number} handoverId
+ * @param {number} orgId
+ * @returns {{ today, windowStart, projectFinish, goLiveDate, goLiveSlackDays,
+ *             criticalPath: number[], summary: object, plays: object[] }}
+ */
+async function getSchedule(handoverId, orgId) {
+  const loaded = await _load(handoverId, orgId);
+  const { today, finish, nodes, order } = _compute(loaded);
+  const plays = nodes.map(_fmt);
+
+  const goLive = dayNum(loaded.handover.go_live_date);
+  const windowStart = nodes.length ? Math.min(...nodes.map(n => n.es)) : null;
+
+  return {
+    today:           dayStr(today),
+    windowStart:     dayStr(windowStart),
+    projectFinish:   dayStr(finish),
+    goLiveDate:      dayStr(goLive),
+    // Positive = finishing before go-live with that many days to spare.
+    goLiveSlackDays: goLive != null && finish != null ? goLive - finish : null,
+    // Dependency order, which for a single chain is also date order.
+    criticalPath:    order.filter(n => !n.done && n.totalFloat <= 0).map(n => n.id),
+    summary: {
+      plays:       plays.length,
+      open:        plays.filter(p => !p.isDone).length,
+      critical:    plays.filter(p => p.isCritical).length,
+      unestimated: plays.filter(p => !p.durationEstimated).length,
+      slipping:    plays.filter(p => p.forecastSlipDays > 0).length,
+    },
+    plays,
+  };
+}
+
+/**
+ * Due dates that would move if every open play kept to its dependencies.
+ *
+ * Only plays pushed by a PREDECESSOR are proposed. A play that is late on its
+ * own account is the slip, not a consequence of one — moving its date is a
+ * decision for whoever owns it, not something to cascade automatically. Plays
+ * with no due date have nothing to move and are skipped.
+ *
+ * @returns {{ changes: Array<{ playInstanceId, title, fromDueDate, toDueDate,
+ *             shiftDays, drivenById, drivenByTitle }> }}
+ */
+async function previewPropagation(handoverId, orgId) {
+  const { order, byId } = _compute(await _load(handoverId, orgId));
+  const changes = [];
+  for (const n of order) {
+    if (n.done || n.due == null || n.predFinish == null) continue;
+    if (n.predFinish + n.dur <= n.due) continue;
+    const driver = n.preds
+      .map(p => byId.get(p))
+      .reduce((a, b) => (b.ef > a.ef ? b : a));
+    changes.push({
+      playInstanceId: n.id,
+      title:          n.row.title,
+      fromDueDate:    dayStr(n.due),
+      toDueDate:      dayStr(n.ef),
+      shiftDays:      n.ef - n.due,
+      drivenById:     driver.id,
+      drivenByTitle:  driver.row.title,
+    });
+  }
+  return { changes };
+}
+
+/**
+ * Apply some or all of a propagation preview.
+ *
+ * The caller sends back the changes it was shown. Each is re-checked against
+ * a fresh preview and the whole request is refused if any differ: a plan that
+ * moved between preview and apply must be looked at again, not overwritten
+ * with dates computed from a state that no longer exists.
+ *
+ * Each move goes through handoverService.updatePlay() so it is recorded in
+ * play_due_date_revisions with a reason, and follows the provisional-baseline
+ * rule exactly as a manual edit would. Moves are applied one play at a time;
+ * if one fails the earlier ones stand, and a fresh preview shows what is left.
+ *
+ * @param {number} handoverId
+ * @param {number} orgId
+ * @param {number} userId
+ * @param {Array<{ playInstanceId: number, toDueDate: string }>} changes
+ * @returns {{ applied: object[] }}
+ */
+async function applyPropagation(handoverId, orgId, userId, changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw Object.assign(new Error('changes must be a non-empty array.'), { status: 400 });
+  }
+  const { changes: fresh } = await previewPropagation(handoverId, orgId);
+  const freshById = new Map(fresh.map(c => [c.playInstanceId, c]));
+
+  const wanted = new Set();
+  for (const c of changes) {
+    const id = parseInt(c && c.playInstanceId, 10);
+    const f = freshById.get(id);
+    if (!f || f.toDueDate !== String(c.toDueDate || '').slice(0, 10)) {
+      throw Object.assign(
+        new Error('The plan has changed since this preview was taken. Refresh and review again.'),
+        { status: 409, code: 'STALE_PREVIEW' });
+    }
+    wanted.add(id);
+  }
+
+  const applied = [];
+  // fresh is already in dependency order.
+  for (const f of fresh) {
+    if (!wanted.has(f.playInstanceId)) continue;
+    await handoverService.updatePlay(handoverId, orgId, f.playInstanceId, {
+      dueDate: f.toDueDate,
+      reason:  `Moved with predecessor "${f.drivenByTitle}" (+${f.shiftDays}d)`,
+    }, userId);
+    applied.push(f);
+  }
+  return { applied };
+}
+
+module.exports = {
+  getSchedule,
+  previewPropagation,
+  applyPropagation,
+  DEFAULT_DURATION_DAYS,
+};
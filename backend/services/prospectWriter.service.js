@@ -0,0 +1,269 @@
+/**
+ * prospectWriter.service.js
+ *
+ * DROP-IN LOCATION: backend/services/prospectWriter.service.js
+ *
+ * Single-prospect create + campaign/sequence enrollment, shared by
+ * routes/prospects.routes.js (POST /, POST /:id/push-to-target) and the MCP
+ * write tools (mcp-server.mjs create_prospect / enroll_in_sequence), so an
+ * agent-created prospect lands exactly like a UI- or extension-created one.
+ *
+ * Errors carry err.statusCode, like the helpers this was lifted from.
+ *
+ *   assertEmailAvailable(orgId, email)   409 DUPLICATE_EMAIL when taken
+ *   createProspect(orgId, userId, f)     insert at 'target' + 'created' activity
+ *   assignCampaignAndEnroll({...})       campaign assignment + sequence enroll
+ */
+
+const db = require('../config/database');
+const { resolveAccountId, normalizeLinkedInCompanyUrl } = require('./domainResolver');
+
+// Next-step-due calc (local mirror of sequences.routes.js calcDueDate).
+// Hour-aware (WS3): effective delay = delay_days*24 + delay_hours hours.
+function calcDueDate(delayDays, delayHours = 0) {
+  const ms = ((parseInt(delayDays) || 0) * 24 + (parseInt(delayHours) || 0)) * 3600000;
+  return new Date(Date.now() + ms);
+}
+
+/**
+ * Throws 409 (code DUPLICATE_EMAIL, existingProspectId) when a live prospect
+ * in the org already has this email. No-op for an empty email.
+ */
+async function assertEmailAvailable(orgId, email) {
+  if (!email) return;
+  const dup = await db.query(
+    `SELECT id, first_name, last_name FROM prospects
+     WHERE org_id = $1 AND LOWER(email) = LOWER($2) AND deleted_at IS NULL`,
+    [orgId, email]
+  );
+  if (dup.rows.length > 0) {
+    const d = dup.rows[0];
+    const e = new Error(`A prospect with email "${email}" already exists: ${d.first_name} ${d.last_name} (ID ${d.id})`);
+    e.statusCode = 409;
+    e.code = 'DUPLICATE_EMAIL';
+    e.existingProspectId = d.id;
+    throw e;
+  }
+}
+
+/**
+ * Insert a new prospect owned by userId at stage 'target' and log the
+ * 'created' activity. Account resolution and the default prospecting
+ * playbook fallback match POST /api/prospects. Does NOT dedupe — callers run
+ * assertEmailAvailable (and, for LinkedIn captures, identity dedup) first.
+ *
+ * `fields` uses the POST /api/prospects body names; clientId must already be
+ * validated by the caller.
+ *
+ * @returns {Promise<object>} the inserted prospects row
+ */
+async function createProspect(orgId, userId, fields) {
+  const {
+    firstName, lastName, email, phone, linkedinUrl, title, linkedinHeadline, location,
+    companyName, companyDomain, companySize, companyIndustry, companyLinkedInUrl,
+    companyLinkedInId, accountId, source, playbookId, tags,
+    memberUrn = null, salesProfileId = null, salesAuthType = null,
+    salesAuthToken = null, salesCapturedIdentity = null, clientId = null,
+  } = fields;
+
+  // Always go through resolveAccountId. When the caller passes an explicit
+  // accountId it short-circuits (status 'caller_provided') and backfills
+  // linkedin_company_url on that account if the writer provided one and
+  // the existing row was missing it.
+  const accountResolution = await resolveAccountId({
+    client:              db,
+    orgId,
+    ownerId:             userId,
+    accountId:           accountId || null,
+    companyName:         companyName,
+    companyDomain:       companyDomain,
+    companyIndustry:     companyIndustry,
+    companySize:         companySize,
+    companyLinkedInUrl:  normalizeLinkedInCompanyUrl(companyLinkedInUrl),
+    companyLinkedInId:   companyLinkedInId || null,
+    email:               email,
+  });
+  const resolvedAccountId = accountResolution.accountId;
+  let prospectCompanyDomain = null;
+
+  // Mirror the resolved account's domain onto the prospect row so the
+  // two stay in sync (the resolver may have normalized or replaced what
+  // the writer sent). When no account resolved (e.g. no companyName at
+  // all), leave prospect.company_domain null too.
+  if (resolvedAccountId) {
+    const accLookup = await db.query(
+      `SELECT domain FROM accounts WHERE id = $1`,
+      [resolvedAccountId]
+    );
+    prospectCompanyDomain = accLookup.rows[0]?.domain || null;
+  }
+
+  // Resolve playbook — use explicit playbookId or fall back to org default
+  let resolvedPlaybookId = playbookId || null;
+  if (!resolvedPlaybookId) {
+    const defaultPb = await db.query(
+      `SELECT id FROM playbooks
+       WHERE org_id = $1 AND type = 'prospecting' AND is_default = TRUE
+       LIMIT 1`,
+      [orgId]
+    );
+    resolvedPlaybookId = defaultPb.rows[0]?.id || null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO prospects (
+       org_id, owner_id, created_by, first_name, last_name, email, phone, linkedin_url,
+       title, linkedin_headline, location, company_name, company_domain, company_size,
+       company_industry, account_id, source, playbook_id, tags, member_urn,
+       client_id, sales_profile_id, sales_auth_type, sales_auth_token, sales_captured_identity,
+       stage, stage_changed_at
+     ) VALUES (
+       $1, $2, $2, $3, $4, $5, $6, $7,
+       $8, $9, $10, $11, $12, $13,
+       $14, $15, $16, $17, $18, $19,
+       $20, $21, $22, $23, $24,
+       'target', CURRENT_TIMESTAMP
+     ) RETURNING *`,
+    [
+      orgId, userId, firstName, lastName, email, phone, linkedinUrl,
+      title, linkedinHeadline || null, location, companyName, prospectCompanyDomain, companySize,
+      companyIndustry, resolvedAccountId, source || 'manual', resolvedPlaybookId,
+      JSON.stringify(tags || []), memberUrn || null,
+      clientId,   // Agency Phase 2 — explicit client; trigger fills from campaign when null
+      salesProfileId || null,   // Option A — Sales-Nav fs_salesProfile id
+      salesAuthType || null, salesAuthToken || null, salesCapturedIdentity || null,  // resolve triple + capturing identity
+    ]
+  );
+
+  await db.query(
+    `INSERT INTO prospecting_activities (org_id, prospect_id, user_id, activity_type, description)
+     VALUES ($1, $2, $3, 'created', $4)`,
+    [orgId, result.rows[0].id, userId, `Prospect created from ${source || 'manual'}`]
+  );
+
+  return result.rows[0];
+}
+
+// Assigns the prospect to a campaign (if campaignId given) and enrolls it in a
+// sequence (if sequenceId given). Partial-failure semantics: an invalid
+// campaign throws hard (err.statusCode = 404) so the caller surfaces it; a
+// failed enrollment is returned as { enrollmentError } and never rolls back a
+// successful campaign assignment — exactly what the extension's smart-suggest
+// UI branches on. Mirrors the canonical enroll logic in sequences.routes.js
+// POST /enroll. Returns { enrollment, enrollmentError }.
+async function assignCampaignAndEnroll({ orgId, userId, prospectId, campaignId, sequenceId }) {
+  // 1. Campaign assignment — hard-fails on a campaign that isn't live in the org.
+  if (campaignId != null) {
+    const camp = await db.query(
+      `SELECT id FROM prospecting_campaigns WHERE id = $1 AND org_id = $2`,
+      [parseInt(campaignId, 10), orgId]
+    );
+    if (camp.rows.length === 0) {
+      const e = new Error(`Campaign ${campaignId} not found in this org`);
+      e.statusCode = 404;
+      throw e;
+    }
+    await db.query(
+      `UPDATE prospects SET campaign_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND org_id = $3 AND deleted_at IS NULL`,
+      [parseInt(campaignId, 10), prospectId, orgId]
+    );
+  }
+
+  // 2. Sequence enrollment — soft-fails into enrollmentError.
+  let enrollment = null;
+  let enrollmentError = null;
+  if (sequenceId != null) {
+    try {
+      const seq = await db.query(
+        `SELECT id, name FROM sequences WHERE id = $1 AND org_id = $2 AND status = 'active'`,
+        [parseInt(sequenceId, 10), orgId]
+      );
+      if (seq.rows.length === 0) {
+        enrollmentError = 'Sequence not found or not active';
+      } else {
+        const firstStep = await db.query(
+          `SELECT delay_days, delay_hours FROM sequence_steps WHERE sequence_id = $1 ORDER BY step_order LIMIT 1`,
+          [parseInt(sequenceId, 10)]
+        );
+        const nextDue = calcDueDate(
+          firstStep.rows[0]?.delay_days  ?? 0,
+          firstStep.rows[0]?.delay_hours ?? 0
+        );
+
+        // A/B (2026_47): pure hash of (experiment_id, prospect_id). Both null
+        // when the sequence has no running experiment. No override here — this
+        // path is not admin-gated; pin arms from POST /api/sequences/enroll.
+        const ExperimentAssigner = require('./ExperimentAssigner');
+        const { experimentId, variantKey } = await ExperimentAssigner.assignVariant(db, {
+          sequenceId: parseInt(sequenceId, 10), prospectId,
+        });
+
+        const er = await db.query(
+          `INSERT INTO sequence_enrollments
+                       (org_id, sequence_id, prospect_id, enrolled_by, next_step_due, personalised_steps, variant_key, experiment_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (sequence_id, prospect_id) DO NOTHING
+           RETURNING *`,
+          [orgId, parseInt(sequenceId, 10), prospectId, userId, nextDue, JSON.stringify({}), variantKey, experimentId]
+        );
+
+        if (er.rows.length) {
+          enrollment = er.rows[0];
+          // Stamp the identity cursor (current_step_id + channel) for the first step.
+          const EnrollmentStepResolver = require('./EnrollmentStepResolver');
+          await EnrollmentStepResolver.stampInitialCursor(db, er.rows[0].id, parseInt(sequenceId, 10));
+          // Activity log so the enrollment shows in the prospect's Activity tab.
+          // Non-fatal — a failed log must not undo a successful enrollment.
+          try {
+            await db.query(
+              `INSERT INTO prospecting_activities
+                           (org_id, prospect_id, user_id, activity_type, description, metadata)
+                    VALUES ($1, $2, $3, 'sequence_enrolled', $4, $5)`,
+              [orgId, prospectId, userId,
+               `Enrolled in sequence "${seq.rows[0].name}"`,
+               JSON.stringify({
+                 sequenceId: parseInt(sequenceId, 10),
+                 sequenceName: seq.rows[0].name,
+                 enrollmentId: er.rows[0].id,
+               })]
+            );
+          } catch (actErr) {
+            console.warn('assignCampaignAndEnroll: activity log failed for prospect', prospectId, actErr.message);
+          }
+
+          // Advance the prospect to 'outreach' on a *new* enrollment, matching
+          // bulk-activate (which moves research → outreach when it enrolls).
+          // Without this, a prospect enrolled via push-to-target / create stays
+          // in research and shows up as still-activatable. Guarded to pre-
+          // outreach stages so it only ever moves forward, never backward over a
+          // later-stage prospect. Non-fatal — a failed stage update must not
+          // undo a successful enrollment.
+          try {
+            await db.query(
+              `UPDATE prospects
+                  SET stage = 'outreach', stage_changed_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND org_id = $2 AND stage IN ('target', 'research')`,
+              [prospectId, orgId]
+            );
+          } catch (stageErr) {
+            console.warn('assignCampaignAndEnroll: stage advance failed for prospect', prospectId, stageErr.message);
+          }
+        }
+        // er.rows empty → ON CONFLICT DO NOTHING fired (already enrolled);
+        // leave enrollment null and enrollmentError null (not an error).
+      }
+    } catch (err) {
+      enrollmentError = err.message;
+    }
+  }
+
+  return { enrollment, enrollmentError };
+}
+
+module.exports = {
+  calcDueDate,
+  assertEmailAvailable,
+  createProspect,
+  assignCampaignAndEnroll,
+};
@@ -0,0 +1,859 @@
+/**
+ * quote.service.js
+ *
+ * DROP-IN LOCATION: backend/services/quote.service.js
+ *
+ * Quotes (CPQ) and the price books they are priced from (2026_146). Replaces
+ * the flat /api/proposals row.
+ *
+ *   Price books
+ *     listPriceBooks / getPriceBook / createPriceBook / updatePriceBook /
+ *     deletePriceBook, upsertEntry / removeEntry for a product's price in a
+ *     book (flat, volume or tiered bands), setAccountSegment for which book an
+ *     account's quotes start from.
+ *
+ *   Quotes
+ *     createFromDeal(orgId, userId, dealId, opts)
+ *       Next version for the deal, lines copied from the deal's line items and
+ *       priced from the book: explicit → account segment → org default → the
+ *       catalog list price.
+ *     updateQuote / replaceLines / reprice / deleteQuote — drafts only.
+ *     newVersion — copies any version into a new draft, prices as they were.
+ *     sendQuote → acceptQuote | rejectQuote.
+ *       A draft whose discount needs approval (discountApproval.service,
+ *       2026_147) cannot be sent until it is approved.
+ *       Accepting replaces the deal's line items with the quote's and
+ *       re-syncs deals.value from them (dealProducts.syncDealValue — the same
+ *       sum as the "Sync deal value" button). Every other open version of the
+ *       deal becomes 'superseded'.
+ *
+ *   priceLine / priceQuote are pure and do all the maths; prices are per unit
+ *   per billing period, and a recurring line is billed periods-per-year ×
+ *   years, with the last year pro-rated for a term that is not whole years.
+ *
+ * Errors carry statusCode.
+ */
+
+const { pool, withOrgTransaction } = require('../config/database');
+const CurrencyService   = require('./currency.service');
+const { syncDealValue } = require('./dealProducts.service');
+const discountApprovals = require('./discountApproval.service');
+
+const PRICING_MODELS   = new Set(['flat', 'volume', 'tiered']);
+const REVENUE_TYPES    = new Set(['one_time', 'recurring']);
+// multi_year and unset are priced per year.
+const PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, annual: 1 };
+const BILLING_FREQS    = new Set(['monthly', 'quarterly', 'annual', 'multi_year']);
+const MAX_LINES        = 200;
+const MAX_TIERS        = 20;
+const DEFAULT_VALID_DAYS = 30;
+const DATE_RE          = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_RE      = /^[A-Z]{3}$/;
+
+function _fail(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function _str(v, max) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function _date(v) {
+  const s = v == null ? '' : String(v).slice(0, 10);
+  return DATE_RE.test(s) && !isNaN(Date.parse(s)) ? s : null;
+}
+
+// pg returns DATE columns as Date objects.
+function _dateStr(d) {
+  if (!d) return null;
+  if (typeof d === 'string') return d.slice(0, 10);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
+}
+
+function _addMonths(dateStr, months) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  // Clamp to the month's last day: 31 Jan + 1 month = 28/29 Feb.
+  const last = new Date(Date.UTC(y, m + months, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, last))).toISOString().slice(0, 10);
+}
+
+const _round2 = (n) => Math.round(n * 100) / 100;
+
+function _money(v, label) {
+  if (v === '' || v == null) return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw _fail(`${label} must be a non-negative number`, 400);
+  return _round2(n);
+}
+
+function _pct(v, label) {
+  const n = v === '' || v == null ? 0 : Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw _fail(`${label} must be between 0 and 100`, 400);
+  return n;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Pricing — pure
+// ═════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Amount for `qty` units under a price source
+ * { model, unitPrice, tiers: [{ minQuantity, unitPrice }] }. The lowest band
+ * also covers quantities below its start.
+ */
+function bandAmount(source, qty) {
+  const tiers = [...(source.tiers || [])].sort((a, b) => a.minQuantity - b.minQuantity);
+  if (source.model === 'flat' || !tiers.length) return qty * source.unitPrice;
+
+  if (source.model === 'volume') {
+    let rate = tiers[0].unitPrice;
+    for (const t of tiers) if (qty >= t.minQuantity) rate = t.unitPrice;
+    return qty * rate;
+  }
+
+  // tiered (graduated): each band's units at that band's rate.
+  let amount = 0;
+  tiers.forEach((t, i) => {
+    const start = i === 0 ? 0 : t.minQuantity - 1;
+    const end   = i + 1 < tiers.length ? tiers[i + 1].minQuantity - 1 : Infinity;
+    const units = Math.max(0, Math.min(qty, end) - start);
+    amount += units * t.unitPrice;
+  });
+  return amount;
+}
+
+/**
+ * Price one line over the quote's term.
+ * @returns {{ listUnitPrice, listAmount, netAmount, years: Array|null }}
+ */
+function priceLine(line, termMonths) {
+  const qty  = Number(line.quantity) || 0;
+  const disc = Number(line.discount_pct) || 0;
+  const src  = line.unit_price_override != null
+    ? { model: 'flat', unitPrice: Number(line.unit_price_override), tiers: [] }
+    : (line.price_source || { model: 'flat', unitPrice: 0, tiers: [] });
+  const listUnitPrice = qty > 0 ? _round2(bandAmount(src, qty) / qty) : _round2(src.unitPrice || 0);
+
+  if (line.revenue_type !== 'recurring') {
+    const listAmount = bandAmount(src, qty);
+    return { listUnitPrice, listAmount: _round2(listAmount), netAmount: _round2(listAmount * (1 - disc / 100)), years: null };
+  }
+
+  const ppy   = PERIODS_PER_YEAR[line.billing_frequency] || 1;
+  const count = Math.ceil(termMonths / 12);
+  const ramp  = Array.isArray(line.ramp) ? line.ramp : [];
+  const years = [];
+  for (let y = 1; y <= count; y++) {
+    const fraction = y < count ? 1 : (termMonths - 12 * (count - 1)) / 12;
+    const r = ramp.find(x => Number(x.year) === y);
+    const q = r && r.quantity != null ? Number(r.quantity) : qty;
+    const d = r && r.discountPct != null ? Number(r.discountPct) : disc;
+    const list = bandAmount(src, q) * ppy * fraction;
+    years.push({ year: y, quantity: q, discountPct: d, fraction,
+                 listAmount: _round2(list), netAmount: _round2(list * (1 - d / 100)) });
+  }
+  return {
+    listUnitPrice,
+    listAmount: _round2(years.reduce((t, y) => t + y.listAmount, 0)),
+    netAmount:  _round2(years.reduce((t, y) => t + y.netAmount, 0)),
+    years,
+  };
+}
+
+/** Totals for a quote header + its lines. Tax applies to is_taxable lines. */
+function priceQuote(quote, lines) {
+  const priced = lines.map(l => ({ line: l, ...priceLine(l, quote.term_months) }));
+  const list   = priced.reduce((t, p) => t + p.listAmount, 0);
+  const net    = priced.reduce((t, p) => t + p.netAmount, 0);
+  const taxable = priced.filter(p => p.line.is_taxable).reduce((t, p) => t + p.netAmount, 0);
+  const tax    = taxable * (Number(quote.tax_rate) || 0) / 100;
+  return {
+    lines: priced,
+    totals: {
+      listTotal:     _round2(list),
+      discountTotal: _round2(list - net),
+      netTotal:      _round2(net),
+      taxTotal:      _round2(tax),
+      grandTotal:    _round2(net + tax),
+    },
+  };
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Price books
+// ═════════════════════════════════════════════════════════════════════════════
+
+async function listPriceBooks(orgId, { includeInactive = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT b.*, (SELECT count(*)::int FROM price_book_entries e WHERE e.price_book_id = b.id) AS entry_count
+       FROM price_books b
+      WHERE b.org_id = $1 AND ($2 OR b.is_active)
+      ORDER BY b.is_default DESC, b.name`,
+    [orgId, includeInactive]);
+  const segments = [...new Set(rows.filter(b => b.is_active && b.segment).map(b => b.segment))].sort();
+  return { priceBooks: rows, segments };
+}
+
+async function _book(orgId, bookId, client = pool) {
+  const { rows: [b] } = await client.query(
+    `SELECT * FROM price_books WHERE id = $1 AND org_id = $2`, [bookId, orgId]);
+  if (!b) throw _fail('Price book not found', 404);
+  return b;
+}
+
+async function getPriceBook(orgId, bookId) {
+  const book = await _book(orgId, bookId);
+  const { rows: entries } = await pool.query(
+    `SELECT e.id, e.product_id, e.pricing_model, e.unit_price, e.updated_at,
+            p.name AS product_name, p.sku, p.list_price, p.currency AS product_currency,
+            p.product_type, p.billing_frequency, p.unit_label, p.status AS product_status,
+            COALESCE((SELECT json_agg(json_build_object('minQuantity', t.min_quantity::float,
+                                                        'unitPrice',   t.unit_price::float)
+                                      ORDER BY t.min_quantity)
+                        FROM price_book_tiers t WHERE t.entry_id = e.id), '[]') AS tiers
+       FROM price_book_entries e
+       JOIN product_catalog p ON p.id = e.product_id
+      WHERE e.price_book_id = $1
+      ORDER BY p.sort_order, p.name`,
+    [book.id]);
+  return { ...book, entries };
+}
+
+function _bookFields(body, { partial }) {
+  const out = {};
+  if (!partial || body.name !== undefined) {
+    out.name = _str(body.name, 120);
+    if (!out.name) throw _fail('Name is required', 400);
+  }
+  if (body.segment !== undefined)     out.segment = _str(body.segment, 60);
+  if (body.description !== undefined) out.description = _str(body.description, 2000);
+  if (body.currency !== undefined) {
+    out.currency = _str(body.currency, 3)?.toUpperCase() || null;
+    if (out.currency && !CURRENCY_RE.test(out.currency)) throw _fail('Currency must be a 3-letter ISO code', 400);
+  }
+  if (body.taxRate !== undefined)  out.tax_rate = _pct(body.taxRate, 'Tax rate');
+  if (body.isActive !== undefined) out.is_active = !!body.isActive;
+  if (body.isDefault !== undefined) out.is_default = !!body.isDefault;
+  return out;
+}
+
+async function _saveBook(orgId, bookId, fields) {
+  return withOrgTransaction(orgId, async (client) => {
+    if (fields.is_default) {
+      await client.query(
+        `UPDATE price_books SET is_default = false, updated_at = now()
+          WHERE org_id = $1 AND is_default AND ($2::int IS NULL OR id <> $2)`,
+        [orgId, bookId]);
+    }
+    const cols = Object.keys(fields);
+    let row;
+    if (bookId == null) {
+      ({ rows: [row] } = await client.query(
+        `INSERT INTO price_books (org_id, ${cols.join(', ')})
+         VALUES ($1, ${cols.map((_, i) => `$${i + 2}`).join(', ')}) RETURNING *`,
+        [orgId, ...cols.map(c => fields[c])]));
+    } else {
+      if (!cols.length) throw _fail('Nothing to update', 400);
+      ({ rows: [row] } = await client.query(
+        `UPDATE price_books SET ${cols.map((c, i) => `${c} = $${i + 3}`).join(', ')}, updated_at = now()
+          WHERE id = $1 AND org_id = $2 RETURNING *`,
+        [bookId, orgId, ...cols.map(c => fields[c])]));
+      if (!row) throw _fail('Price book not found', 404);
+    }
+    return row;
+  }).catch(err => {
+    if (err.code === '23505') throw _fail('A price book with that name already exists', 409);
+    throw err;
+  });
+}
+
+async function createPriceBook(orgId, body) {
+  return _saveBook(orgId, null, _bookFields(body || {}, { partial: false }));
+}
+
+async function updatePriceBook(orgId, bookId, body) {
+  return _saveBook(orgId, bookId, _bookFields(body || {}, { partial: true }));
+}
+
+async function deletePriceBook(orgId, bookId) {
+  await _book(orgId, bookId);
+  const { rows: [u] } = await pool.query(
+    `SELECT count(*)::int AS n FROM quotes WHERE price_book_id = $1`, [bookId]);
+  if (u.n) throw _fail(`Used by ${u.n} quote${u.n === 1 ? '' : 's'} — deactivate it instead`, 409);
+  await pool.query(`DELETE FROM price_books WHERE id = $1 AND org_id = $2`, [bookId, orgId]);
+}
+
+function _tiers(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw _fail('tiers must be an array', 400);
+  if (list.length > MAX_TIERS) throw _fail(`At most ${MAX_TIERS} bands`, 400);
+  const seen = new Set();
+  return list.map(t => {
+    const min = Number(t && t.minQuantity);
+    if (!Number.isFinite(min) || min <= 0) throw _fail('Each band needs a starting quantity above 0', 400);
+    if (seen.has(min)) throw _fail(`Two bands start at ${min}`, 400);
+    seen.add(min);
+    const price = _money(t.unitPrice, 'Band price');
+    if (price == null) throw _fail('Each band needs a price', 400);
+    return { minQuantity: min, unitPrice: price };
+  }).sort((a, b) => a.minQuantity - b.minQuantity);
+}
+
+/** Set a product's price in a book. Bands are replaced wholesale. */
+async function upsertEntry(orgId, bookId, productId, body = {}) {
+  await _book(orgId, bookId);
+  const { rows: [p] } = await pool.query(
+    `SELECT id FROM product_catalog WHERE id = $1 AND org_id = $2`, [productId, orgId]);
+  if (!p) throw _fail('Product not found', 404);
+
+  const model = body.pricingModel || 'flat';
+  if (!PRICING_MODELS.has(model)) throw _fail('pricingModel must be flat, volume or tiered', 400);
+  const tiers = model === 'flat' ? [] : _tiers(body.tiers);
+  if (model !== 'flat' && !tiers.length) throw _fail('Volume and tiered pricing need at least one band', 400);
+  const unitPrice = _money(body.unitPrice, 'Unit price') ?? (tiers[0]?.unitPrice || 0);
+
+  return withOrgTransaction(orgId, async (client) => {
+    const { rows: [e] } = await client.query(
+      `INSERT INTO price_book_entries (org_id, price_book_id, product_id, pricing_model, unit_price)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (price_book_id, product_id)
+       DO UPDATE SET pricing_model = EXCLUDED.pricing_model, unit_price = EXCLUDED.unit_price, updated_at = now()
+       RETURNING *`,
+      [orgId, bookId, productId, model, unitPrice]);
+    await client.query(`DELETE FROM price_book_tiers WHERE entry_id = $1`, [e.id]);
+    for (const t of tiers) {
+      await client.query(
+        `INSERT INTO price_book_tiers (entry_id, min_quantity, unit_price) VALUES ($1, $2, $3)`,
+        [e.id, t.minQuantity, t.unitPrice]);
+    }
+    await client.query(`UPDATE price_books SET updated_at = now() WHERE id = $1`, [bookId]);
+    return { ...e, tiers };
+  });
+}
+
+async function removeEntry(orgId, bookId, productId) {
+  await _book(orgId, bookId);
+  const { rowCount } = await pool.query(
+    `DELETE FROM price_book_entries WHERE price_book_id = $1 AND product_id = $2 AND org_id = $3`,
+    [bookId, productId, orgId]);
+  if (!rowCount) throw _fail('That product has no price in this book', 404);
+}
+
+async function setAccountSegment(orgId, accountId, segment) {
+  const { rows: [a] } = await pool.query(
+    `UPDATE accounts SET pricing_segment = $1 WHERE id = $2 AND org_id = $3
+     RETURNING id, pricing_segment`,
+    [_str(segment, 60), accountId, orgId]);
+  if (!a) throw _fail('Account not found', 404);
+  return a;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Quotes
+// ═════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Price sources for catalog products from a book, converted into the quote's
+ * currency. Products with no entry in the book use their list price.
+ * @returns {Promise<Map<number, object>>}
+ */
+async function _priceSources(client, orgId, bookId, productIds, currency) {
+  const out = new Map();
+  if (!productIds.length) return out;
+  const { rows } = await client.query(
+    `SELECT p.id, p.list_price::float AS list_price, p.currency AS product_currency,
+            e.pricing_model, e.unit_price::float AS entry_price, b.currency AS book_currency,
+            COALESCE((SELECT json_agg(json_build_object('minQuantity', t.min_quantity::float,
+                                                        'unitPrice',   t.unit_price::float))
+                        FROM price_book_tiers t WHERE t.entry_id = e.id), '[]') AS tiers
+       FROM product_catalog p
+       LEFT JOIN price_books b ON b.id = $3 AND b.org_id = p.org_id
+       LEFT JOIN price_book_entries e ON e.price_book_id = b.id AND e.product_id = p.id
+      WHERE p.org_id = $1 AND p.id = ANY($2::int[])`,
+    [orgId, productIds, bookId]);
+
+  const convert = async (amount, from) => {
+    const v = await CurrencyService.convertAmount(orgId, amount, from, currency);
+    if (v == null) throw _fail(`No exchange rate from ${from} to ${currency} — add one under Currencies or override the price`, 400);
+    return v;
+  };
+  const corporate = await CurrencyService.getCorporateCurrency(orgId, client);
+
+  for (const r of rows) {
+    if (r.pricing_model) {
+      const from = r.book_currency || corporate;
+      out.set(r.id, {
+        source: 'book', model: r.pricing_model,
+        unitPrice: await convert(r.entry_price, from),
+        tiers: await Promise.all(r.tiers.map(async t => ({ minQuantity: t.minQuantity, unitPrice: await convert(t.unitPrice, from) }))),
+      });
+    } else {
+      out.set(r.id, {
+        source: 'catalog', model: 'flat',
+        unitPrice: await convert(r.list_price, r.product_currency || corporate),
+        tiers: [],
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * The deepest discount off the book price in any year of a line, in percent.
+ * An override below the book price counts; a custom line has no book price,
+ * so only its discount does.
+ */
+function effectiveDiscount(line, termMonths) {
+  const atBook = line.product_id && line.price_source;
+  const ref = priceLine({
+    ...line,
+    unit_price_override: atBook ? null : line.unit_price_override,
+    discount_pct: 0,
+    ramp: Array.isArray(line.ramp) ? line.ramp.map(r => ({ ...r, discountPct: 0 })) : null,
+  }, termMonths);
+  const net = priceLine(line, termMonths);
+  const pairs = net.years
+    ? net.years.map((y, i) => [y.netAmount, ref.years[i].listAmount])
+    : [[net.netAmount, ref.listAmount]];
+  return Math.max(0, ...pairs.map(([n, l]) => (l > 0 ? (1 - n / l) * 100 : 0)));
+}
+
+/**
+ * Write the line amounts and quote totals, then re-assess the discount
+ * approval a draft needs. With `refresh`, product lines first re-read their
+ * book price (kept on overridden lines too, as the reference for approval).
+ */
+async function _applyPricing(client, orgId, quoteId, { refresh = false, userId = null } = {}) {
+  const { rows: [quote] } = await client.query(`SELECT * FROM quotes WHERE id = $1`, [quoteId]);
+  const { rows: lines } = await client.query(
+    `SELECT * FROM quote_lines WHERE quote_id = $1 ORDER BY sort_order, id`, [quoteId]);
+
+  if (refresh) {
+    const ids = [...new Set(lines.filter(l => l.product_id).map(l => l.product_id))];
+    const sources = await _priceSources(client, orgId, quote.price_book_id, ids, quote.currency);
+    for (const l of lines) {
+      if (l.product_id) {
+        const src = sources.get(l.product_id);
+        l.price_source = src || null;
+        l.pricing_model = src && l.unit_price_override == null ? src.model : 'flat';
+      }
+    }
+  }
+
+  const { lines: priced, totals } = priceQuote(quote, lines);
+  for (const p of priced) {
+    await client.query(
+      `UPDATE quote_lines
+          SET list_unit_price = $2, list_amount = $3, net_amount = $4,
+              price_source = $5, pricing_model = $6
+        WHERE id = $1`,
+      [p.line.id, p.listUnitPrice, p.listAmount, p.netAmount,
+       p.line.price_source ? JSON.stringify(p.line.price_source) : null, p.line.pricing_model || 'flat']);
+  }
+  await client.query(
+    `UPDATE quotes SET list_total = $2, discount_total = $3, net_total = $4,
+                       tax_total = $5, grand_total = $6, updated_at = now()
+      WHERE id = $1`,
+    [quoteId, totals.listTotal, totals.discountTotal, totals.netTotal, totals.taxTotal, totals.grandTotal]);
+
+  if (quote.status === 'draft') {
+    await discountApprovals.evaluateQuote(client, orgId, quote,
+      lines.map(l => ({ productId: l.product_id, name: l.product_name,
+                        discountPct: effectiveDiscount(l, quote.term_months) })),
+      totals.netTotal, userId);
+  }
+}
+
+async function _lockQuote(client, orgId, quoteId) {
+  const { rows: [q] } = await client.query(
+    `SELECT * FROM quotes WHERE id = $1 AND org_id = $2 FOR UPDATE`, [quoteId, orgId]);
+  if (!q) throw _fail('Quote not found', 404);
+  return q;
+}
+
+function _assertDraft(q) {
+  if (q.status !== 'draft') throw _fail(`v${q.version} is ${q.status} — start a new version to change it`, 409);
+}
+
+async function _nextVersion(client, dealId) {
+  // The deal row lock serialises concurrent "new quote" clicks.
+  await client.query(`SELECT id FROM deals WHERE id = $1 FOR UPDATE`, [dealId]);
+  const { rows: [r] } = await client.query(
+    `SELECT COALESCE(max(version), 0) + 1 AS v FROM quotes WHERE deal_id = $1`, [dealId]);
+  return r.v;
+}
+
+async function _pickBook(client, orgId, explicitId, accountId) {
+  if (explicitId) {
+    const b = await _book(orgId, explicitId, client);
+    if (!b.is_active) throw _fail('That price book is inactive', 400);
+    return b;
+  }
+  const { rows: [b] } = await client.query(
+    `SELECT b.* FROM price_books b
+       LEFT JOIN accounts a ON a.id = $2 AND a.org_id = b.org_id
+      WHERE b.org_id = $1 AND b.is_active
+        AND (b.is_default OR (a.pricing_segment IS NOT NULL AND lower(b.segment) = lower(a.pricing_segment)))
+      ORDER BY (a.pricing_segment IS NOT NULL AND lower(b.segment) = lower(a.pricing_segment)) DESC, b.is_default DESC
+      LIMIT 1`,
+    [orgId, accountId || null]);
+  return b || null;
+}
+
+/** New draft version for a deal, lines copied from its line items. */
+async function createFromDeal(orgId, userId, dealId, opts = {}) {
+  const quoteId = await withOrgTransaction(orgId, async (client) => {
+    const { rows: [deal] } = await client.query(
+      `SELECT id, account_id, currency FROM deals WHERE id = $1 AND org_id = $2`, [dealId, orgId]);
+    if (!deal) throw _fail('Deal not found', 404);
+
+    const version  = await _nextVersion(client, dealId);
+    const book     = await _pickBook(client, orgId, opts.priceBookId, deal.account_id);
+    const currency = deal.currency || await CurrencyService.getCorporateCurrency(orgId, client);
+
+    const { rows: items } = await client.query(
+      `SELECT dp.*, pc.product_type, pc.billing_frequency, pc.is_taxable
+         FROM deal_products dp
+         LEFT JOIN product_catalog pc ON pc.id = dp.product_id AND pc.org_id = dp.org_id
+        WHERE dp.deal_id = $1 AND dp.org_id = $2
+        ORDER BY dp.sort_order, dp.created_at`,
+      [dealId, orgId]);
+
+    const term  = parseInt(opts.termMonths, 10)
+      || Math.max(0, ...items.map(i => i.contract_term || 0)) || 12;
+    const start = _date(opts.startDate)
+      || items.map(i => _dateStr(i.effective_date)).filter(Boolean).sort()[0] || null;
+    const validUntil = _date(opts.validUntil)
+      || new Date(Date.now() + DEFAULT_VALID_DAYS * 86400000).toISOString().slice(0, 10);
+    if (term < 1 || term > 120) throw _fail('Term must be between 1 and 120 months', 400);
+
+    const { rows: [q] } = await client.query(
+      `INSERT INTO quotes (org_id, deal_id, version, price_book_id, currency, term_months,
+                           start_date, valid_until, tax_rate, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+      [orgId, dealId, version, book?.id || null, currency, term, start, validUntil,
+       book ? book.tax_rate : 0, userId]);
+
+    for (const [i, it] of items.entries()) {
+      // Catalog lines are repriced from the book; a custom line keeps the
+      // price typed on the deal.
+      await client.query(
+        `INSERT INTO quote_lines (org_id, quote_id, product_id, product_name, group_path, revenue_type,
+                                  billing_frequency, is_taxable, quantity, unit_price_override,
+                                  discount_pct, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [orgId, q.id, it.product_id, it.product_name, it.group_path || it.category_name,
+         it.product_id ? (it.product_type || it.revenue_type) : it.revenue_type,
+         it.billing_frequency || null, !!it.is_taxable, it.quantity,
+         it.product_id ? null : it.unit_price, it.discount_pct, i]);
+    }
+    await _applyPricing(client, orgId, q.id, { refresh: true, userId });
+    return q.id;
+  });
+  return getQuote(orgId, quoteId);
+}
+
+async function listForDeal(orgId, dealId) {
+  const { rows } = await pool.query(
+    `SELECT q.id, q.version, q.status, q.currency, q.term_months, q.valid_until,
+            q.net_total, q.tax_total, q.grand_total, q.discount_total,
+            q.sent_at, q.decided_at, q.created_at, q.updated_at,
+            b.name AS price_book_name,
+            (u.first_name || ' ' || u.last_name) AS created_by_name,
+            (SELECT count(*)::int FROM quote_lines l WHERE l.quote_id = q.id) AS line_count
+       FROM quotes q
+       LEFT JOIN price_books b ON b.id = q.price_book_id
+       LEFT JOIN users u ON u.id = q.created_by
+      WHERE q.deal_id = $1 AND q.org_id = $2
+      ORDER BY q.version DESC`,
+    [dealId, orgId]);
+  return rows.map(r => ({ ...r, valid_until: _dateStr(r.valid_until) }));
+}
+
+/** Full quote: header, lines with their per-year breakdown, totals. */
+async function getQuote(orgId, quoteId) {
+  const { rows: [q] } = await pool.query(
+    `SELECT q.*, b.name AS price_book_name, d.name AS deal_name, d.account_id,
+            a.name AS account_name, a.pricing_segment,
+            (u.first_name || ' ' || u.last_name) AS created_by_name,
+            (s.first_name || ' ' || s.last_name) AS sent_by_name,
+            (x.first_name || ' ' || x.last_name) AS decided_by_name
+       FROM quotes q
+       JOIN deals d ON d.id = q.deal_id
+       LEFT JOIN accounts a ON a.id = d.account_id
+       LEFT JOIN price_books b ON b.id = q.price_book_id
+       LEFT JOIN users u ON u.id = q.created_by
+       LEFT JOIN users s ON s.id = q.sent_by
+       LEFT JOIN users x ON x.id = q.decided_by
+      WHERE q.id = $1 AND q.org_id = $2`,
+    [quoteId, orgId]);
+  if (!q) throw _fail('Quote not found', 404);
+  const { rows: lines } = await pool.query(
+    `SELECT l.*, pc.sku, pc.unit_label
+       FROM quote_lines l
+       LEFT JOIN product_catalog pc ON pc.id = l.product_id
+      WHERE l.quote_id = $1
+      ORDER BY l.sort_order, l.id`,
+    [quoteId]);
+  const { lines: priced, totals } = priceQuote(q, lines);
+  return {
+    ...q,
+    start_date:  _dateStr(q.start_date),
+    valid_until: _dateStr(q.valid_until),
+    years: Math.ceil(q.term_months / 12),
+    lines: priced.map(p => ({ ...p.line, years: p.years })),
+    totals,
+    approvals: await discountApprovals.getTrail(orgId, quoteId),
+  };
+}
+
+async function updateQuote(orgId, userId, quoteId, body = {}) {
+  await withOrgTransaction(orgId, async (client) => {
+    const q = await _lockQuote(client, orgId, quoteId);
+    _assertDraft(q);
+    const sets = {};
+    let refresh = false;
+    if (body.priceBookId !== undefined) {
+      const book = body.priceBookId ? await _pickBook(client, orgId, body.priceBookId) : null;
+      sets.price_book_id = book ? book.id : null;
+      if (body.taxRate === undefined && book) sets.tax_rate = book.tax_rate;
+      refresh = sets.price_book_id !== q.price_book_id;
+    }
+    if (body.termMonths !== undefined) {
+      const t = parseInt(body.termMonths, 10);
+      if (!(t >= 1 && t <= 120)) throw _fail('Term must be between 1 and 120 months', 400);
+      sets.term_months = t;
+    }
+    if (body.startDate !== undefined)  sets.start_date  = _date(body.startDate);
+    if (body.validUntil !== undefined) sets.valid_until = _date(body.validUntil);
+    if (body.taxRate !== undefined)    sets.tax_rate    = _pct(body.taxRate, 'Tax rate');
+    if (body.notes !== undefined)      sets.notes       = _str(body.notes, 5000);
+    const cols = Object.keys(sets);
+    if (cols.length) {
+      await client.query(
+        `UPDATE quotes SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now() WHERE id = $1`,
+        [quoteId, ...cols.map(c => sets[c])]);
+    }
+    await _applyPricing(client, orgId, quoteId, { refresh, userId });
+  });
+  return getQuote(orgId, quoteId);
+}
+
+function _ramp(list, termMonths) {
+  if (list == null || (Array.isArray(list) && !list.length)) return null;
+  if (!Array.isArray(list)) throw _fail('ramp must be an array', 400);
+  const years = Math.ceil(termMonths / 12);
+  const out = [];
+  for (const r of list) {
+    const year = parseInt(r && r.year, 10);
+    if (!(year >= 1 && year <= years)) continue;
+    const quantity = r.quantity === '' || r.quantity == null ? null : Number(r.quantity);
+    if (quantity != null && !(Number.isFinite(quantity) && quantity >= 0)) throw _fail(`Year ${year}: quantity must be 0 or more`, 400);
+    const discountPct = r.discountPct === '' || r.discountPct == null ? null : _pct(r.discountPct, `Year ${year} discount`);
+    if (quantity == null && discountPct == null) continue;
+    out.push({ year, quantity, discountPct });
+  }
+  return out.length ? out.sort((a, b) => a.year - b.year) : null;
+}
+
+/** Replace a draft's lines wholesale. */
+async function replaceLines(orgId, userId, quoteId, lines) {
+  if (!Array.isArray(lines)) throw _fail('lines must be an array', 400);
+  if (lines.length > MAX_LINES) throw _fail(`A quote can have at most ${MAX_LINES} lines`, 400);
+
+  await withOrgTransaction(orgId, async (client) => {
+    const q = await _lockQuote(client, orgId, quoteId);
+    _assertDraft(q);
+
+    const productIds = [...new Set(lines.map(l => parseInt(l && l.productId, 10)).filter(Boolean))];
+    const { rows: products } = productIds.length ? await client.query(
+      `SELECT p.id, p.name, p.product_type, p.billing_frequency, p.is_taxable, g.name AS group_name
+         FROM product_catalog p LEFT JOIN product_groups g ON g.id = p.group_id
+        WHERE p.org_id = $1 AND p.id = ANY($2::int[])`,
+      [orgId, productIds]) : { rows: [] };
+    const byId = new Map(products.map(p => [p.id, p]));
+
+    const clean = lines.map((l, i) => {
+      const pid = parseInt(l && l.productId, 10) || null;
+      const p = pid ? byId.get(pid) : null;
+      if (pid && !p) throw _fail(`Line ${i + 1}: product not found`, 400);
+      const name = _str(l.productName, 200) || p?.name;
+      if (!name) throw _fail(`Line ${i + 1}: select a product or enter a name`, 400);
+      const qty = Number(l.quantity ?? 1);
+      if (!Number.isFinite(qty) || qty < 0) throw _fail(`Line ${i + 1}: quantity must be 0 or more`, 400);
+      const override = _money(l.unitPriceOverride, `Line ${i + 1}: price`);
+      if (!p && override == null) throw _fail(`Line ${i + 1}: a custom line needs a price`, 400);
+      const revenueType = p ? p.product_type : (REVENUE_TYPES.has(l.revenueType) ? l.revenueType : 'one_time');
+      const freq = p ? p.billing_frequency
+        : (revenueType === 'recurring' && BILLING_FREQS.has(l.billingFrequency) ? l.billingFrequency : null);
+      return {
+        product_id: pid, product_name: name,
+        group_path: p ? (_str(l.groupPath, 500) || p.group_name || null) : _str(l.groupPath, 500),
+        revenue_type: revenueType, billing_frequency: freq,
+        is_taxable: p ? p.is_taxable : !!l.isTaxable,
+        quantity: qty, unit_price_override: override,
+        discount_pct: _pct(l.discountPct, `Line ${i + 1}: discount`),
+        ramp: revenueType === 'recurring' ? _ramp(l.ramp, q.term_months) : null,
+      };
+    });
+
+    await client.query(`DELETE FROM quote_lines WHERE quote_id = $1`, [quoteId]);
+    for (const [i, l] of clean.entries()) {
+      await client.query(
+        `INSERT INTO quote_lines (org_id, quote_id, product_id, product_name, group_path, revenue_type,
+                                  billing_frequency, is_taxable, quantity, unit_price_override,
+                                  discount_pct, ramp, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [orgId, quoteId, l.product_id, l.product_name, l.group_path, l.revenue_type,
+         l.billing_frequency, l.is_taxable, l.quantity, l.unit_price_override,
+         l.discount_pct, l.ramp ? JSON.stringify(l.ramp) : null, i]);
+    }
+    await _applyPricing(client, orgId, quoteId, { refresh: true, userId });
+  });
+  return getQuote(orgId, quoteId);
+}
+
+/** Re-read every catalog line's price from the quote's book. */
+async function reprice(orgId, userId, quoteId) {
+  await withOrgTransaction(orgId, async (client) => {
+    _assertDraft(await _lockQuote(client, orgId, quoteId));
+    await _applyPricing(client, orgId, quoteId, { refresh: true, userId });
+  });
+  return getQuote(orgId, quoteId);
+}
+
+async function deleteQuote(orgId, quoteId) {
+  await withOrgTransaction(orgId, async (client) => {
+    _assertDraft(await _lockQuote(client, orgId, quoteId));
+    await client.query(`DELETE FROM quotes WHERE id = $1`, [quoteId]);
+  });
+}
+
+/** Copy any version into a new draft. Prices are kept as they were. */
+async function newVersion(orgId, userId, quoteId) {
+  const newId = await withOrgTransaction(orgId, async (client) => {
+    const src = await _lockQuote(client, orgId, quoteId);
+    const version = await _nextVersion(client, src.deal_id);
+    const { rows: [q] } = await client.query(
+      `INSERT INTO quotes (org_id, deal_id, version, price_book_id, currency, term_months,
+                           start_date, valid_until, tax_rate, notes, created_by)
+       SELECT org_id, deal_id, $2, price_book_id, currency, term_months,
+              start_date, GREATEST(valid_until, CURRENT_DATE + $4::int), tax_rate, notes, $3
+         FROM quotes WHERE id = $1
+       RETURNING id`,
+      [quoteId, version, userId, DEFAULT_VALID_DAYS]);
+    await client.query(
+      `INSERT INTO quote_lines (org_id, quote_id, product_id, product_name, group_path, revenue_type,
+                                billing_frequency, is_taxable, pricing_model, quantity, list_unit_price,
+                                unit_price_override, discount_pct, ramp, price_source, list_amount,
+                                net_amount, sort_order)
+       SELECT org_id, $2, product_id, product_name, group_path, revenue_type,
+              billing_frequency, is_taxable, pricing_model, quantity, list_unit_price,
+              unit_price_override, discount_pct, ramp, price_source, list_amount,
+              net_amount, sort_order
+         FROM quote_lines WHERE quote_id = $1`,
+      [quoteId, q.id]);
+    await _applyPricing(client, orgId, q.id, { userId });
+    return q.id;
+  });
+  return getQuote(orgId, newId);
+}
+
+async function sendQuote(orgId, userId, quoteId) {
+  await withOrgTransaction(orgId, async (client) => {
+    const q = await _lockQuote(client, orgId, quoteId);
+    _assertDraft(q);
+    const { rows: [c] } = await client.query(
+      `SELECT count(*)::int AS n FROM quote_lines WHERE quote_id = $1`, [quoteId]);
+    if (!c.n) throw _fail('Add at least one line before sending', 400);
+    if (!['not_required', 'approved'].includes(q.approval_status)) {
+      throw _fail(q.approval_status === 'pending'
+        ? 'The discount is waiting for approval — it can be sent once approved'
+        : `The discount needs ${q.approval_level} approval before this quote can be sent`, 409);
+    }
+    if (q.valid_until && _dateStr(q.valid_until) < new Date().toISOString().slice(0, 10)) {
+      throw _fail('The valid-until date has passed — move it before sending', 400);
+    }
+    await client.query(
+      `UPDATE quotes SET status = 'sent', sent_at = now(), sent_by = $2, updated_at = now() WHERE id = $1`,
+      [quoteId, userId]);
+  });
+  return getQuote(orgId, quoteId);
+}
+
+/**
+ * The deal's line items become the quote's: one per one-time line, one per
+ * year for a recurring line, each carrying its own term and start.
+ */
+async function _writeDealProducts(client, orgId, quote, lines) {
+  await client.query(`DELETE FROM deal_products WHERE deal_id = $1 AND org_id = $2`, [quote.deal_id, orgId]);
+  const start = _dateStr(quote.start_date);
+  const note  = `Quote v${quote.version}`;
+  let sort = 0;
+  const insert = (l, name, qty, amount, disc, term, eff, renew) => client.query(
+    `INSERT INTO deal_products (org_id, deal_id, product_id, product_name, category_name, group_path,
+                                quantity, unit_price, discount_pct, contract_term, effective_date,
+                                renewal_date, revenue_type, notes, sort_order)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+    [orgId, quote.deal_id, l.product_id, name.slice(0, 200), null, l.group_path,
+     qty, qty > 0 ? _round2(amount / qty) : 0, disc, term, eff, renew, l.revenue_type, note, sort++]);
+
+  for (const l of lines) {
+    const p = priceLine(l, quote.term_months);
+    if (!p.years) {
+      await insert(l, l.product_name, Number(l.quantity), p.listAmount, Number(l.discount_pct), null, start, null);
+      continue;
+    }
+    for (const y of p.years) {
+      const months = Math.round(12 * y.fraction);
+      const eff = start ? _addMonths(start, 12 * (y.year - 1)) : null;
+      await insert(l, p.years.length > 1 ? `${l.product_name} — Year ${y.year}` : l.product_name,
+        y.quantity, y.listAmount, y.discountPct, months, eff, eff ? _addMonths(eff, months) : null);
+    }
+  }
+}
+
+async function acceptQuote(orgId, userId, quoteId, { note } = {}) {
+  const dealValue = await withOrgTransaction(orgId, async (client) => {
+    const q = await _lockQuote(client, orgId, quoteId);
+    if (q.status !== 'sent') throw _fail(`Only a sent quote can be accepted — v${q.version} is ${q.status}`, 409);
+    await client.query(
+      `UPDATE quotes SET status = 'superseded', updated_at = now()
+        WHERE deal_id = $1 AND id <> $2 AND status IN ('draft', 'sent', 'accepted')`,
+      [q.deal_id, quoteId]);
+    await client.query(
+      `UPDATE quotes SET status = 'accepted', decided_at = now(), decided_by = $2,
+                         decision_note = $3, updated_at = now()
+        WHERE id = $1`,
+      [quoteId, userId, _str(note, 2000)]);
+    const { rows: lines } = await client.query(
+      `SELECT * FROM quote_lines WHERE quote_id = $1 ORDER BY sort_order, id`, [quoteId]);
+    await _writeDealProducts(client, orgId, q, lines);
+    return syncDealValue(q.deal_id, orgId, client);
+  });
+  return { quote: await getQuote(orgId, quoteId), dealValue };
+}
+
+async function rejectQuote(orgId, userId, quoteId, { note } = {}) {
+  await withOrgTransaction(orgId, async (client) => {
+    const q = await _lockQuote(client, orgId, quoteId);
+    if (q.status !== 'sent') throw _fail(`Only a sent quote can be rejected — v${q.version} is ${q.status}`, 409);
+    await client.query(
+      `UPDATE quotes SET status = 'rejected', decided_at = now(), decided_by = $2,
+                         decision_note = $3, updated_at = now()
+        WHERE id = $1`,
+      [quoteId, userId, _str(note, 2000)]);
+  });
+  return getQuote(orgId, quoteId);
+}
+
+module.exports = {
+  bandAmount, priceLine, priceQuote, effectiveDiscount,
+  listPriceBooks, getPriceBook, createPriceBook, updatePriceBook, deletePriceBook,
+  upsertEntry, removeEntry, setAccountSegment,
+  createFromDeal, listForDeal, getQuote, updateQuote, replaceLines, reprice,
+  deleteQuote, newVersion, sendQuote, acceptQuote, rejectQuote,
+};
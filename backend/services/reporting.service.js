@@ -7,6 +7,10 @@
 // each group to R/Y/G. Aggregation is strict: a group is red if ANY active
 // project is red, yellow if any yellow, else green. Counts are always returned
 // so "1 of 12 red" stays visible.
+//
+// Scored projects (2026_145) also carry their score and the score at the start
+// of the alert window; `alerts` lists the ones that turned red or dropped
+// sharply in that window, worst drop first.
 // ─────────────────────────────────────────────────────────────────────────────
 const handoverHealth = require('./handoverHealthService');
 
@@ -33,13 +37,17 @@ async function healthRollup(orgId, groupBy = 'account') {
     const g = groups.get(key);
     g[p.health] = (g[p.health] || 0) + 1;
     g.total += 1;
-    g.projects.push({ id: p.id, name: p.name, health: p.health, status: p.status, reasons: p.reasons });
+    g.projects.push({
+      id: p.id, name: p.name, health: p.health, status: p.status, reasons: p.reasons,
+      score: p.score, previousScore: p.previous?.score ?? null,
+    });
     overall[p.health] = (overall[p.health] || 0) + 1;
     overall.total += 1;
   }
 
+  const byWorst = (a, b) => RANK[a.health] - RANK[b.health] || (a.score ?? 101) - (b.score ?? 101);
   const groupList = [...groups.values()]
-    .map(g => ({ ...g, health: aggregate(g), projects: g.projects.sort((a, b) => RANK[a.health] - RANK[b.health]) }))
+    .map(g => ({ ...g, health: aggregate(g), projects: g.projects.sort(byWorst) }))
     .sort((a, b) => RANK[a.health] - RANK[b.health] || b.total - a.total); // worst groups first, then biggest
 
   return {
@@ -47,7 +55,28 @@ async function healthRollup(orgId, groupBy = 'account') {
     overall: { ...overall, health: aggregate(overall) },
     groups: groupList,
     lenses: Object.keys(GROUPERS),
+    alerts: healthAlerts(projects),
+    alertWindowDays: handoverHealth.STANDARD_SCORING.alerts.window_days,
   };
 }
 
+// Turned red, or lost drop_points_gte or more, against the window's first snapshot.
+function healthAlerts(projects) {
+  const { drop_points_gte } = handoverHealth.STANDARD_SCORING.alerts;
+  const out = [];
+  for (const p of projects) {
+    if (p.score == null || !p.previous) continue;
+    const drop = p.previous.score - p.score;
+    const turnedRed = p.health === 'red' && p.previous.status !== 'red';
+    if (!turnedRed && drop < drop_points_gte) continue;
+    out.push({
+      projectId: p.id, name: p.name, health: p.health,
+      kind: turnedRed ? 'turned_red' : 'score_drop',
+      score: p.score, previousScore: p.previous.score, since: p.previous.date,
+      reason: p.reasons[0] || null,
+    });
+  }
+  return out.sort((a, b) => (b.previousScore - b.score) - (a.previousScore - a.score));
+}
+
 module.exports = { healthRollup };
@@ -0,0 +1,385 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// resourceCapacity.service.js — weekly load vs capacity per person across
+// every active project (2026_142)
+//
+// Load is derived, never stored: each open play with an owner, an effort
+// estimate and a due date contributes its hours to the weeks it spans. So the
+// heatmap moves the moment a date, owner or estimate changes, with nothing to
+// keep in sync.
+//
+// How a play's hours are placed — each rule changes the numbers:
+//
+//   • The window is the play's duration ending on its due date (2026_141),
+//     due date included. No duration = one day, the same assumption the
+//     schedule makes.
+//   • Days already past are not capacity anyone can use. A not-started play
+//     puts ALL its hours on the days left; an in-progress one is assumed to be
+//     on pace, so only the remaining share of the window's hours is placed.
+//   • An overdue play lands entirely on today. Work that is late is still
+//     work, and it is in this week's way.
+//   • No due date = unscheduled, no estimate = unestimated. Both are counted
+//     per person rather than dropped, because a blank cell that means "we
+//     don't know" must not read as "free".
+//
+// Active projects are those not completed or cancelled. Draft projects count:
+// their plans are exactly what someone is about to be booked onto.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { pool } = require('../config/database');
+
+// Standard week for anyone without a resource_capacity row.
+const DEFAULT_WEEKLY_HOURS = 40;
+const MAX_WEEKS = 26;
+
+const OPEN_PLAY_EXCLUDED = ['completed', 'skipped', 'cancelled'];
+const INACTIVE_PROJECT   = ['completed', 'cancelled'];
+
+const DAY_MS = 86400000;
+
+// Whole UTC day numbers, as in projectSchedule.service — a DATE column read
+// through a local-time Date is a day out for half the planet.
+function dayNum(d) {
+  if (d == null) return null;
+  const s = d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10);
+  const [y, m, day] = s.split('-').map(Number);
+  if (!y || !m || !day) return null;
+  return Math.floor(Date.UTC(y, m - 1, day) / DAY_MS);
+}
+
+function dayStr(n) {
+  return n == null ? null : new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Day 0 (1970-01-01) was a Thursday, so Monday is (n + 3) % 7 === 0.
+function mondayOf(n) {
+  return n - ((n + 3) % 7 + 7) % 7;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Hours per day for one play, from today onward. Returns [] when the play
+ * cannot be placed (no estimate or no due date).
+ */
+function _spread(play, today) {
+  const effort = play.effort_hours != null ? Number(play.effort_hours) : null;
+  const due = dayNum(play.due_date);
+  if (!effort || due == null) return [];
+
+  const span  = Math.max(play.duration_days ?? 1, 1);
+  const first = due - span + 1;
+  if (due < today) return [{ day: today, hours: effort }];
+
+  const remaining = due - Math.max(first, today) + 1;
+  const hours = play.status === 'in_progress'
+    ? effort * (remaining / span)
+    : effort;
+  const perDay = hours / remaining;
+  const out = [];
+  for (let d = Math.max(first, today); d <= due; d++) out.push({ day: d, hours: perDay });
+  return out;
+}
+
+async function _openPlays(orgId, userId = null) {
+  const { rows } = await pool.query(
+    `SELECT p.id, p.handover_id, p.title, p.owner_user_id, p.status,
+            p.effort_hours, p.due_date, p.duration_days,
+            COALESCE(h.name, d.name, a.name) AS project
+       FROM project_play_instances p
+       JOIN sales_handovers h ON h.id = p.handover_id AND h.org_id = p.org_id
+       LEFT JOIN deals    d ON d.id = h.deal_id
+       LEFT JOIN accounts a ON a.id = h.account_id
+      WHERE p.org_id = $1
+        AND p.owner_user_id IS NOT NULL
+        AND ($2::int IS NULL OR p.owner_user_id = $2)
+        AND p.status <> ALL($3::text[])
+        AND h.status <> ALL($4::text[])`,
+    [orgId, userId, OPEN_PLAY_EXCLUDED, INACTIVE_PROJECT]);
+  return rows;
+}
+
+async function _capacities(orgId, fromDay, toDay, userId = null) {
+  const [{ rows: base }, { rows: weeks }] = await Promise.all([
+    pool.query(
+      `SELECT user_id, weekly_hours FROM resource_capacity
+        WHERE org_id = $1 AND ($2::int IS NULL OR user_id = $2)`,
+      [orgId, userId]),
+    pool.query(
+      `SELECT user_id, week_start, hours, note FROM resource_capacity_weeks
+        WHERE org_id = $1 AND ($2::int IS NULL OR user_id = $2)
+          AND week_start BETWEEN $3::date AND $4::date`,
+      [orgId, userId, dayStr(fromDay), dayStr(toDay)]),
+  ]);
+  const weekly = new Map(base.map(r => [r.user_id, Number(r.weekly_hours)]));
+  const overrides = new Map(weeks.map(r =>
+    [`${r.user_id}:${dayNum(r.week_start)}`, { hours: Number(r.hours), note: r.note }]));
+  const capacityFor = (uid, weekDay) => {
+    const o = overrides.get(`${uid}:${weekDay}`);
+    if (o) return { hours: o.hours, note: o.note };
+    return { hours: weekly.has(uid) ? weekly.get(uid) : DEFAULT_WEEKLY_HOURS, note: null };
+  };
+  return { weekly, capacityFor };
+}
+
+/**
+ * Utilisation heatmap: hours booked vs available, per person per week.
+ *
+ * @param {number} orgId
+ * @param {{ weeks?: number, from?: string }} opts — from is any date in the
+ *   first week; defaults to this week.
+ * @returns {{ weeks: string[], defaultWeeklyHours: number, members: object[],
+ *             summary: object }}
+ */
+async function getUtilisation(orgId, { weeks = 8, from } = {}) {
+  const n = Math.min(Math.max(parseInt(weeks, 10) || 8, 1), MAX_WEEKS);
+  const today = dayNum(new Date());
+  const start = mondayOf(dayNum(from) ?? today);
+  const weekDays = Array.from({ length: n }, (_, i) => start + i * 7);
+  const end = start + n * 7 - 1;
+
+  const [plays, { rows: people }] = await Promise.all([
+    _openPlays(orgId),
+    pool.query(
+      `SELECT u.id, u.first_name || ' ' || u.last_name AS name
+         FROM org_users ou
+         JOIN users u ON u.id = ou.user_id
+        WHERE ou.org_id = $1 AND ou.is_active = TRUE`,
+      [orgId]),
+  ]);
+  const { weekly, capacityFor } = await _capacities(orgId, start, end);
+
+  const names = new Map(people.map(p => [p.id, p.name]));
+  const members = new Map();
+  const member = uid => {
+    if (!members.has(uid)) {
+      members.set(uid, {
+        userId: uid,
+        name: names.get(uid) || `User ${uid}`,
+        weeklyHours: weekly.has(uid) ? weekly.get(uid) : DEFAULT_WEEKLY_HOURS,
+        hasCustomCapacity: weekly.has(uid),
+        load: weekDays.map(() => ({ hours: 0, projects: new Map() })),
+        unscheduledHours: 0,
+        unestimatedPlays: 0,
+      });
+    }
+    return members.get(uid);
+  };
+
+  // The team is whoever owns open work or has had capacity set. Everyone in
+  // the org would bury the implementation team under sales and finance rows.
+  for (const uid of weekly.keys()) if (names.has(uid)) member(uid);
+
+  for (const p of plays) {
+    const m = member(p.owner_user_id);
+    if (p.effort_hours == null) { m.unestimatedPlays += 1; continue; }
+    if (p.due_date == null) { m.unscheduledHours += Number(p.effort_hours); continue; }
+    for (const { day, hours } of _spread(p, today)) {
+      if (day < start || day > end) continue;
+      const cell = m.load[Math.floor((day - start) / 7)];
+      cell.hours += hours;
+      const prev = cell.projects.get(p.handover_id) || { handoverId: p.handover_id, project: p.project, hours: 0 };
+      prev.hours += hours;
+      cell.projects.set(p.handover_id, prev);
+    }
+  }
+
+  let overloadedCells = 0;
+  const out = [...members.values()].map(m => ({
+    userId: m.userId,
+    name: m.name,
+    weeklyHours: m.weeklyHours,
+    hasCustomCapacity: m.hasCustomCapacity,
+    unscheduledHours: round1(m.unscheduledHours),
+    unestimatedPlays: m.unestimatedPlays,
+    cells: m.load.map((c, i) => {
+      const cap = capacityFor(m.userId, weekDays[i]);
+      const hours = round1(c.hours);
+      const overloaded = hours > cap.hours;
+      if (overloaded) overloadedCells += 1;
+      return {
+        weekStart: dayStr(weekDays[i]),
+        hours,
+        capacity: cap.hours,
+        capacityNote: cap.note,
+        // null when nothing is available that week (leave) — a percentage of
+        // zero is not a number, and the cell is flagged overloaded instead.
+        utilisationPct: cap.hours > 0 ? Math.round((hours / cap.hours) * 100) : null,
+        overloaded,
+        projects: [...c.projects.values()]
+          .map(p => ({ ...p, hours: round1(p.hours) }))
+          .sort((a, b) => b.hours - a.hours),
+      };
+    }),
+  })).sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    weeks: weekDays.map(dayStr),
+    defaultWeeklyHours: DEFAULT_WEEKLY_HOURS,
+    members: out,
+    summary: {
+      members: out.length,
+      overloadedCells,
+      overloadedMembers: out.filter(m => m.cells.some(c => c.overloaded)).length,
+      unestimatedPlays: out.reduce((s, m) => s + m.unestimatedPlays, 0),
+    },
+  };
+}
+
+/**
+ * Would giving this play to this person overload them?
+ *
+ * Advisory only — nothing is blocked. Assignment is a judgement call (the
+ * alternative may be nobody), and a warning the assigner can see and override
+ * is more use than a refusal they route around.
+ *
+ * Values in `data` override the stored play, so the UI can ask before saving.
+ * The play's own current hours are excluded first, so re-saving an unchanged
+ * play does not count it twice.
+ *
+ * @param {number} orgId
+ * @param {{ userId: number, playInstanceId?: number, effortHours?: number,
+ *           dueDate?: string, durationDays?: number }} data
+ * @returns {{ warnings: Array<{ weekStart, capacity, before, after }>,
+ *             notEstimated?: boolean }}
+ */
+async function checkAssignment(orgId, data = {}) {
+  const userId = parseInt(data.userId, 10);
+  if (!Number.isInteger(userId)) {
+    throw Object.assign(new Error('userId is required.'), { status: 400 });
+  }
+  const has = k => Object.prototype.hasOwnProperty.call(data, k);
+
+  let stored = {};
+  const playId = data.playInstanceId ? parseInt(data.playInstanceId, 10) : null;
+  if (playId) {
+    const { rows: [p] } = await pool.query(
+      `SELECT id, status, effort_hours, due_date, duration_days
+         FROM project_play_instances WHERE id = $1 AND org_id = $2`,
+      [playId, orgId]);
+    if (!p) throw Object.assign(new Error('Play not found'), { status: 404 });
+    stored = p;
+  }
+  const candidate = {
+    status:        stored.status || 'not_started',
+    effort_hours:  has('effortHours')  ? data.effortHours  : stored.effort_hours,
+    due_date:      has('dueDate')      ? data.dueDate      : stored.due_date,
+    duration_days: has('durationDays') ? data.durationDays : stored.duration_days,
+  };
+  if (candidate.effort_hours === '' || candidate.effort_hours == null || !candidate.due_date) {
+    return { warnings: [], notEstimated: true };
+  }
+  if (candidate.duration_days === '') candidate.duration_days = null;
+  if (candidate.duration_days != null) candidate.duration_days = parseInt(candidate.duration_days, 10);
+
+  const today = dayNum(new Date());
+  const add = _spread(candidate, today);
+  if (!add.length) return { warnings: [] };
+
+  const first = mondayOf(add[0].day);
+  const last  = mondayOf(add[add.length - 1].day);
+  const before = new Map();
+  const after  = new Map();
+  for (let w = first; w <= last; w += 7) { before.set(w, 0); after.set(w, 0); }
+
+  const plays = (await _openPlays(orgId, userId)).filter(p => p.id !== playId);
+  for (const p of plays) {
+    for (const { day, hours } of _spread(p, today)) {
+      const w = mondayOf(day);
+      if (before.has(w)) before.set(w, before.get(w) + hours);
+    }
+  }
+  for (const [w, h] of before) after.set(w, h);
+  for (const { day, hours } of add) after.set(mondayOf(day), after.get(mondayOf(day)) + hours);
+
+  const { capacityFor } = await _capacities(orgId, first, last, userId);
+  const warnings = [];
+  for (const w of before.keys()) {
+    const cap = capacityFor(userId, w).hours;
+    if (after.get(w) > cap) {
+      warnings.push({
+        weekStart: dayStr(w),
+        capacity:  cap,
+        before:    round1(before.get(w)),
+        after:     round1(after.get(w)),
+      });
+    }
+  }
+  return { warnings };
+}
+
+async function _assertMember(orgId, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM org_users WHERE org_id = $1 AND user_id = $2 AND is_active = TRUE`,
+    [orgId, userId]);
+  if (!rows.length) throw Object.assign(new Error('User is not a member of this organisation'), { status: 404 });
+}
+
+function _hours(v, label) {
+  const n = Number(v);
+  if (v === null || v === '' || !Number.isFinite(n) || n < 0 || n > 168) {
+    throw Object.assign(new Error(`${label} must be between 0 and 168.`), { status: 400 });
+  }
+  return n;
+}
+
+/**
+ * Standard weekly hours for one person. null clears it back to the default.
+ */
+async function setWeeklyCapacity(orgId, actorId, userId, weeklyHours) {
+  await _assertMember(orgId, userId);
+  if (weeklyHours === null) {
+    await pool.query(
+      `DELETE FROM resource_capacity WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+    return { userId, weeklyHours: DEFAULT_WEEKLY_HOURS, hasCustomCapacity: false };
+  }
+  const hours = _hours(weeklyHours, 'weeklyHours');
+  await pool.query(
+    `INSERT INTO resource_capacity (org_id, user_id, weekly_hours, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, now())
+     ON CONFLICT (org_id, user_id)
+     DO UPDATE SET weekly_hours = EXCLUDED.weekly_hours,
+                   updated_by   = EXCLUDED.updated_by,
+                   updated_at   = now()`,
+    [orgId, userId, hours, actorId]);
+  return { userId, weeklyHours: hours, hasCustomCapacity: true };
+}
+
+/**
+ * One-week override (leave, holiday). weekStart may be any day of the week;
+ * it is normalised to that week's Monday.
+ */
+async function setWeekCapacity(orgId, actorId, userId, weekStart, { hours, note } = {}) {
+  await _assertMember(orgId, userId);
+  const day = dayNum(weekStart);
+  if (day == null) throw Object.assign(new Error('weekStart must be a date.'), { status: 400 });
+  const h = _hours(hours, 'hours');
+  const monday = dayStr(mondayOf(day));
+  await pool.query(
+    `INSERT INTO resource_capacity_weeks (org_id, user_id, week_start, hours, note, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, now())
+     ON CONFLICT (org_id, user_id, week_start)
+     DO UPDATE SET hours = EXCLUDED.hours, note = EXCLUDED.note,
+                   updated_by = EXCLUDED.updated_by, updated_at = now()`,
+    [orgId, userId, monday, h, (note || '').trim().slice(0, 255) || null, actorId]);
+  return { userId, weekStart: monday, hours: h };
+}
+
+async function clearWeekCapacity(orgId, userId, weekStart) {
+  const day = dayNum(weekStart);
+  if (day == null) throw Object.assign(new Error('weekStart must be a date.'), { status: 400 });
+  await pool.query(
+    `DELETE FROM resource_capacity_weeks WHERE org_id = $1 AND user_id = $2 AND week_start = $3`,
+    [orgId, userId, dayStr(mondayOf(day))]);
+  return { ok: true };
+}
+
+module.exports = {
+  getUtilisation,
+  checkAssignment,
+  setWeeklyCapacity,
+  setWeekCapacity,
+  clearWeekCapacity,
+  DEFAULT_WEEKLY_HOURS,
+};
@@ -0,0 +1,451 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// samlSso.service.js
+//
+// DROP-IN LOCATION: backend/services/samlSso.service.js
+//
+// Per-org SAML 2.0 single sign-on (SP-initiated, HTTP-Redirect out, HTTP-POST
+// back). Tables: org_sso_configs, sso_request_cache, sso_login_codes
+// (db/2026_134_saml_sso.sql). Signature/assertion checks are
+// @node-saml/node-saml's; everything org-shaped is here.
+//
+//   Admin (routes/org-sso.routes.js)
+//     getConfig / saveConfig / deleteConfig
+//     email domains must be verified (orgDomains.service) before SSO is enabled
+//
+//   Browser (routes/saml.routes.js — mounted OUTSIDE /api, ahead of CORS,
+//   because the IdP form-POSTs the response from its own origin)
+//     spMetadata(slug)        SP metadata XML for the IdP admin
+//     loginRedirectUrl(slug)  AuthnRequest → IdP URL
+//     handleAcs(slug, body)   validate → JIT provision → one-time code
+//
+//   App (routes/sso.routes.js)
+//     discover(email)         does this email's domain sign in with SSO?
+//     exchangeCode(code)      one-time code → { user, token } scoped to the
+//                             org whose IdP signed the user in — or, like a
+//                             password login, a 401 MFA_REQUIRED /
+//                             MFA_ENROLL_REQUIRED challenge (twoFactor.loginGate)
+//
+//   Login gate (routes/auth.routes.js)
+//     enforcementFor(userId)  { loginUrl } when password login is refused
+//
+// JIT provisioning is memberLifecycle.provisionMember with the org's default
+// access role + functional role (org_roles). A deactivated membership is
+// NEVER reactivated here — that is an admin (or SCIM) decision — and an
+// existing account that belongs to another org is never linked: a verified
+// domain proves the org owns the mailbox, not that it owns that person's
+// other workspaces.
+//
+// Errors carry err.status, like inviteProvisioning.
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { SAML, ValidateInResponseTo } = require('@node-saml/node-saml');
+const { pool } = require('../config/database');
+const { provisionMember } = require('./memberLifecycle.service');
+const { issueSession } = require('./authSession.service');
+const OrgDomains = require('./orgDomains.service');
+const TwoFactor = require('./twoFactor.service');
+
+const BACKEND_URL  = (process.env.BACKEND_URL  || 'https://api.gowarmcrm.com').replace(/\/+$/, '');
+const FRONTEND_URL = (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'https://app.gowarmcrm.com').replace(/\/+$/, '');
+
+const ACCESS_ROLES      = ['admin', 'member', 'viewer'];
+const REQUEST_TTL_MS    = 8 * 60 * 60 * 1000;   // node-saml's default requestIdExpirationPeriodMs
+const LOGIN_CODE_TTL_S  = 60;
+const NAMEID_EMAIL      = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+const fail = (message, status, code) => Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+
+// ── URLs ────────────────────────────────────────────────────────────────────
+
+function spUrls(slug) {
+  const base = `${BACKEND_URL}/sso/saml/${encodeURIComponent(slug)}`;
+  return {
+    entityId:    `${base}/metadata`,
+    metadataUrl: `${base}/metadata`,
+    acsUrl:      `${base}/acs`,
+    loginUrl:    `${base}/login`,
+  };
+}
+
+function callbackUrl(params) {
+  return `${FRONTEND_URL}/#/sso-callback?${new URLSearchParams(params).toString()}`;
+}
+
+// ── Config (admin) ──────────────────────────────────────────────────────────
+
+function normalizeDomains(list) {
+  const raw = Array.isArray(list) ? list : String(list || '').split(/[\s,]+/);
+  const out = [];
+  for (const d of raw) {
+    if (!String(d || '').trim()) continue;
+    const dom = OrgDomains.normalizeDomain(d);
+    if (!out.includes(dom)) out.push(dom);
+  }
+  return out;
+}
+
+// Accept a full PEM or the bare base64 body; store the bare body.
+function normalizeCert(cert) {
+  if (!cert) return null;
+  const body = String(cert)
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+  if (!body) return null;
+  if (!/^[A-Za-z0-9+/=]+$/.test(body)) throw fail('IdP certificate must be a PEM or base64 X.509 certificate', 400);
+  try {
+    new crypto.X509Certificate(Buffer.from(body, 'base64'));
+  } catch {
+    throw fail('IdP certificate could not be parsed', 400);
+  }
+  return body;
+}
+
+function certSummary(body) {
+  if (!body) return null;
+  try {
+    const x = new crypto.X509Certificate(Buffer.from(body, 'base64'));
+    return { subject: x.subject, validTo: x.validTo, fingerprint256: x.fingerprint256 };
+  } catch { return null; }
+}
+
+function toApi(row, slug, domains) {
+  return {
+    enabled:          !!row?.enabled,
+    idpEntityId:      row?.idp_entity_id || '',
+    idpSsoUrl:        row?.idp_sso_url || '',
+    idpCert:          row?.idp_cert || '',
+    idpCertInfo:      certSummary(row?.idp_cert),
+    emailDomains:     row?.email_domains || [],
+    domains,
+    defaultRole:      row?.default_role || 'member',
+    defaultOrgRoleId: row?.default_org_role_id || null,
+    jitProvisioning:  row ? !!row.jit_provisioning : true,
+    enforceSso:       !!row?.enforce_sso,
+    lastLoginAt:      row?.last_login_at || null,
+    updatedAt:        row?.updated_at || null,
+    sp:               spUrls(slug),
+  };
+}
+
+async function orgSlug(orgId) {
+  const { rows: [o] } = await pool.query(`SELECT slug FROM organizations WHERE id = $1`, [orgId]);
+  if (!o?.slug) throw fail('Organization has no slug — SSO URLs cannot be built', 400);
+  return o.slug;
+}
+
+async function getConfig(orgId) {
+  const slug = await orgSlug(orgId);
+  const { rows: [row] } = await pool.query(`SELECT * FROM org_sso_configs WHERE org_id = $1`, [orgId]);
+  return toApi(row, slug, await OrgDomains.listDomains(orgId));
+}
+
+async function saveConfig(orgId, userId, data) {
+  const slug = await orgSlug(orgId);
+  const { rows: [cur] } = await pool.query(`SELECT * FROM org_sso_configs WHERE org_id = $1`, [orgId]);
+
+  const pick = (key, col, fallback) => (data[key] !== undefined ? data[key] : (cur ? cur[col] : fallback));
+
+  const enabled         = !!pick('enabled', 'enabled', false);
+  const idpEntityId     = String(pick('idpEntityId', 'idp_entity_id', '') || '').trim() || null;
+  const idpSsoUrl       = String(pick('idpSsoUrl', 'idp_sso_url', '') || '').trim() || null;
+  const idpCert         = data.idpCert !== undefined ? normalizeCert(data.idpCert) : (cur?.idp_cert || null);
+  const emailDomains    = normalizeDomains(pick('emailDomains', 'email_domains', []));
+  const defaultRole     = pick('defaultRole', 'default_role', 'member');
+  const defaultOrgRole  = pick('defaultOrgRoleId', 'default_org_role_id', null);
+  const jitProvisioning = !!pick('jitProvisioning', 'jit_provisioning', true);
+  const enforceSso      = !!pick('enforceSso', 'enforce_sso', false);
+
+  if (idpSsoUrl && !/^https:\/\//i.test(idpSsoUrl)) throw fail('IdP SSO URL must start with https://', 400);
+  if (!ACCESS_ROLES.includes(defaultRole)) throw fail(`Default role must be one of: ${ACCESS_ROLES.join(', ')}`, 400);
+
+  let orgRoleId = null;
+  if (defaultOrgRole != null && defaultOrgRole !== '') {
+    orgRoleId = parseInt(defaultOrgRole, 10);
+    const { rows } = await pool.query(
+      `SELECT 1 FROM org_roles WHERE id = $1 AND org_id = $2 AND is_active = TRUE`, [orgRoleId, orgId]);
+    if (!rows.length) throw fail('Default org role not found', 400);
+  }
+
+  if (enabled) {
+    if (!idpSsoUrl)           throw fail('IdP SSO URL is required to enable SSO', 400);
+    if (!idpCert)             throw fail('IdP signing certificate is required to enable SSO', 400);
+    if (!emailDomains.length) throw fail('At least one email domain is required to enable SSO', 400);
+  }
+  if (enforceSso && !enabled) throw fail('SSO must be enabled before it can be enforced', 400);
+
+  // Listing a domain claims it (and issues its TXT record); enabling needs
+  // every listed domain proven.
+  await OrgDomains.claimDomains(orgId, emailDomains);
+  if (enabled) {
+    const verified = await OrgDomains.verifiedDomains(orgId);
+    const pending = emailDomains.filter(d => !verified.includes(d));
+    if (pending.length) {
+      throw fail(`Verify ${pending.join(', ')} before enabling SSO — save with SSO off to get the DNS record`, 400, 'DOMAIN_NOT_VERIFIED');
+    }
+  }
+
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO org_sso_configs
+       (org_id, enabled, idp_entity_id, idp_sso_url, idp_cert, email_domains,
+        default_role, default_org_role_id, jit_provisioning, enforce_sso, updated_by, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, now())
+     ON CONFLICT (org_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled, idp_entity_id = EXCLUDED.idp_entity_id,
+       idp_sso_url = EXCLUDED.idp_sso_url, idp_cert = EXCLUDED.idp_cert,
+       email_domains = EXCLUDED.email_domains, default_role = EXCLUDED.default_role,
+       default_org_role_id = EXCLUDED.default_org_role_id,
+       jit_provisioning = EXCLUDED.jit_provisioning, enforce_sso = EXCLUDED.enforce_sso,
+       updated_by = EXCLUDED.updated_by, updated_at = now()
+     RETURNING *`,
+    [orgId, enabled, idpEntityId, idpSsoUrl, idpCert, emailDomains,
+     defaultRole, orgRoleId, jitProvisioning, enforceSso, userId]);
+  return toApi(row, slug, await OrgDomains.listDomains(orgId));
+}
+
+async function deleteConfig(orgId) {
+  await pool.query(`DELETE FROM org_sso_configs WHERE org_id = $1`, [orgId]);
+  return { deleted: true };
+}
+
+// ── Lookup ──────────────────────────────────────────────────────────────────
+
+async function loadBySlug(slug) {
+  const { rows: [r] } = await pool.query(
+    `SELECT o.id AS org_id, o.slug, o.name AS org_name, c.*
+       FROM organizations o
+       LEFT JOIN org_sso_configs c ON c.org_id = o.id
+      WHERE o.slug = $1`, [slug]);
+  if (!r) throw fail('Organization not found', 404);
+  return r;
+}
+
+async function loadEnabledBySlug(slug) {
+  const r = await loadBySlug(slug);
+  if (!r.enabled || !r.idp_sso_url || !r.idp_cert) throw fail('Single sign-on is not enabled for this organization', 404);
+  return r;
+}
+
+async function discover(email) {
+  const domain = String(email || '').trim().toLowerCase().split('@')[1];
+  if (!domain) return { sso: false };
+  const { rows: [r] } = await pool.query(
+    `SELECT o.slug, o.name AS org_name, c.enforce_sso
+       FROM org_sso_configs c
+       JOIN organizations o ON o.id = c.org_id
+       JOIN org_domains od ON od.org_id = c.org_id AND od.domain = $1 AND od.verified_at IS NOT NULL
+      WHERE c.enabled = TRUE AND $1 = ANY (c.email_domains)
+      LIMIT 1`, [domain]);
+  if (!r) return { sso: false };
+  return { sso: true, enforced: !!r.enforce_sso, orgName: r.org_name, loginUrl: spUrls(r.slug).loginUrl };
+}
+
+async function enforcementFor(userId) {
+  const { rows: [r] } = await pool.query(
+    `SELECT ou.role, o.slug, c.enabled, c.enforce_sso
+       FROM org_users ou
+       JOIN organizations o ON o.id = ou.org_id
+       LEFT JOIN org_sso_configs c ON c.org_id = ou.org_id
+      WHERE ou.user_id = $1 AND ou.is_active = TRUE
+      ORDER BY ou.joined_at ASC
+      LIMIT 1`, [userId]);
+  if (!r || !r.enabled || !r.enforce_sso || r.role === 'owner') return null;
+  return { loginUrl: spUrls(r.slug).loginUrl };
+}
+
+// ── SAML ────────────────────────────────────────────────────────────────────
+
+// node-saml CacheProvider backed by sso_request_cache. Shared across API
+// instances, so the IdP's POST can land on a different box than the redirect.
+const requestCache = {
+  async saveAsync(key, value) {
+    const { rows: [r] } = await pool.query(
+      `INSERT INTO sso_request_cache (request_id, value) VALUES ($1, $2)
+       ON CONFLICT (request_id) DO NOTHING
+       RETURNING value, created_at`, [key, value]);
+    return r ? { value: r.value, createdAt: new Date(r.created_at).getTime() } : null;
+  },
+  async getAsync(key) {
+    const { rows: [r] } = await pool.query(
+      `SELECT value FROM sso_request_cache
+        WHERE request_id = $1 AND created_at > now() - ($2 || ' milliseconds')::interval`,
+      [key, String(REQUEST_TTL_MS)]);
+    return r ? r.value : null;
+  },
+  async removeAsync(key) {
+    const { rows: [r] } = await pool.query(
+      `DELETE FROM sso_request_cache WHERE request_id = $1 RETURNING value`, [key]);
+    return r ? r.value : null;
+  },
+};
+
+function samlFor(cfg) {
+  const sp = spUrls(cfg.slug);
+  return new SAML({
+    callbackUrl:                  sp.acsUrl,
+    entryPoint:                   cfg.idp_sso_url,
+    issuer:                       sp.entityId,
+    audience:                     sp.entityId,
+    idpCert:                      cfg.idp_cert,
+    idpIssuer:                    cfg.idp_entity_id || undefined,
+    identifierFormat:             NAMEID_EMAIL,
+    wantAssertionsSigned:         true,
+    wantAuthnResponseSigned:      false,
+    validateInResponseTo:         ValidateInResponseTo.always,
+    requestIdExpirationPeriodMs:  REQUEST_TTL_MS,
+    cacheProvider:                requestCache,
+    disableRequestedAuthnContext: true,
+    acceptedClockSkewMs:          5000,
+  });
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// Built by hand rather than via SAML#generateServiceProviderMetadata: the IdP
+// admin needs this BEFORE there is an IdP certificate to construct SAML with.
+async function spMetadata(slug) {
+  await loadBySlug(slug);
+  const sp = spUrls(slug);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<EntityDescriptor xmlns="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${escapeXml(sp.entityId)}">
+  <SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" AuthnRequestsSigned="false" WantAssertionsSigned="true">
+    <NameIDFormat>${NAMEID_EMAIL}</NameIDFormat>
+    <AssertionConsumerService index="1" isDefault="true" Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${escapeXml(sp.acsUrl)}"/>
+  </SPSSODescriptor>
+</EntityDescriptor>
+`;
+}
+
+async function loginRedirectUrl(slug) {
+  const cfg = await loadEnabledBySlug(slug);
+  // Opportunistic prune — requests nobody came back for.
+  pool.query(`DELETE FROM sso_request_cache WHERE created_at < now() - interval '1 day'`).catch(() => {});
+  return samlFor(cfg).getAuthorizeUrlAsync('', undefined, {});
+}
+
+function firstAttr(profile, keys) {
+  for (const k of keys) {
+    const v = profile[k] ?? profile.attributes?.[k];
+    const s = Array.isArray(v) ? v[0] : v;
+    if (s && typeof s === 'string') return s.trim();
+  }
+  return null;
+}
+
+function profileIdentity(profile) {
+  const email = (firstAttr(profile, [
+    'email', 'mail', 'emailAddress',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3',
+  ]) || (String(profile.nameID || '').includes('@') ? profile.nameID : '') || '').toLowerCase().trim();
+  const firstName = firstAttr(profile, [
+    'firstName', 'givenName', 'given_name',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+    'urn:oid:2.5.4.42',
+  ]);
+  const lastName = firstAttr(profile, [
+    'lastName', 'surname', 'sn', 'family_name',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+    'urn:oid:2.5.4.4',
+  ]);
+  return { email, firstName, lastName };
+}
+
+/**
+ * Make sure `email` is an active member of the org, provisioning on first
+ * login when allowed. Returns the user id.
+ */
+async function ensureMember(cfg, { email, firstName, lastName }) {
+  const orgId = cfg.org_id;
+  const { rows: [existing] } = await pool.query(
+    `SELECT u.id, ou.is_active,
+            EXISTS (SELECT 1 FROM org_users o2 WHERE o2.user_id = u.id AND o2.org_id <> $2)
+              OR (u.org_id IS NOT NULL AND u.org_id <> $2) AS other_org
+       FROM users u
+       LEFT JOIN org_users ou ON ou.user_id = u.id AND ou.org_id = $2
+      WHERE lower(u.email) = $1`, [email, orgId]);
+
+  if (existing && existing.is_active === true) return existing.id;
+  if (existing && existing.is_active === false)
+    throw fail('Your account in this organization has been deactivated. Contact your administrator.', 403, 'SSO_DEACTIVATED');
+  if (existing?.other_org)
+    throw fail('An account with this email already belongs to another organization. Ask your administrator to invite it.', 403, 'SSO_OTHER_ORG');
+  if (!cfg.jit_provisioning)
+    throw fail('You have not been given access to this organization yet. Contact your administrator.', 403, 'SSO_NOT_PROVISIONED');
+
+  const { userId } = await provisionMember(orgId, {
+    email, firstName, lastName,
+    role:      cfg.default_role || 'member',
+    orgRoleId: cfg.default_org_role_id || null,
+    context:   'SSO first login',
+  });
+  console.log(`[sso] JIT-provisioned user ${userId} (${email}) into org ${orgId}`);
+  return userId;
+}
+
+/**
+ * Consume the IdP's POST. Never throws — always returns the URL to send the
+ * browser to: the app's #/sso-callback with either ?code= or ?error=.
+ */
+async function handleAcs(slug, body) {
+  try {
+    const cfg = await loadEnabledBySlug(slug);
+    const { profile } = await samlFor(cfg).validatePostResponseAsync({ SAMLResponse: body?.SAMLResponse });
+    if (!profile) throw fail('The identity provider did not return a user', 400);
+
+    const ident = profileIdentity(profile);
+    if (!ident.email) throw fail('The identity provider did not send an email address', 400);
+    // The IdP may only vouch for addresses in domains this org has listed
+    // AND proven it owns — otherwise one tenant's IdP could sign in as anyone.
+    const domain = ident.email.split('@')[1];
+    if (!(cfg.email_domains || []).includes(domain) || !(await OrgDomains.isVerified(cfg.org_id, domain)))
+      throw fail(`${domain} is not an SSO domain for this organization`, 403, 'SSO_DOMAIN_MISMATCH');
+
+    const userId = await ensureMember(cfg, ident);
+
+    const code = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+      `INSERT INTO sso_login_codes (code_hash, user_id, org_id, expires_at)
+       VALUES ($1,$2,$3, now() + ($4 || ' seconds')::interval)`,
+      [crypto.createHash('sha256').update(code).digest('hex'), userId, cfg.org_id, String(LOGIN_CODE_TTL_S)]);
+    await pool.query(`UPDATE org_sso_configs SET last_login_at = now() WHERE org_id = $1`, [cfg.org_id]);
+
+    return callbackUrl({ code });
+  } catch (e) {
+    if (!e.status) console.error('[sso] ACS error:', e.message);
+    return callbackUrl({ error: e.status ? e.message : 'Single sign-on failed. Please try again.' });
+  }
+}
+
+async function exchangeCode(code) {
+  if (!code || typeof code !== 'string') throw fail('Code is required', 400);
+  const { rows: [c] } = await pool.query(
+    `UPDATE sso_login_codes SET used_at = now()
+      WHERE code_hash = $1 AND used_at IS NULL AND expires_at > now()
+      RETURNING user_id, org_id`,
+    [crypto.createHash('sha256').update(code).digest('hex')]);
+  if (!c) throw fail('This sign-in link has expired. Please sign in again.', 401);
+  pool.query(`DELETE FROM sso_login_codes WHERE expires_at < now() - interval '1 day'`).catch(() => {});
+
+  const { rows: [user] } = await pool.query(
+    `SELECT id, email, first_name, last_name, role, timezone FROM users WHERE id = $1`, [c.user_id]);
+  if (!user) throw fail('User not found', 401);
+  // The IdP's own MFA is invisible to us, so the user's 2FA and the org
+  // policies apply exactly as at password login. The challenge keeps the org.
+  const mfa = await TwoFactor.loginGate(user, { orgId: c.org_id });
+  if (mfa) throw Object.assign(fail(mfa.message, 401, mfa.code), { challengeToken: mfa.challengeToken });
+  // The IdP vouched for this org only — never hand out a session for
+  // whichever org the user happened to join first.
+  const session = await issueSession(user, { orgId: c.org_id });
+  if (session.user.org_id !== c.org_id) throw fail('Your access to this organization has been removed.', 403);
+  return session;
+}
+
+module.exports = {
+  ACCESS_ROLES,
+  spUrls, callbackUrl,
+  getConfig, saveConfig, deleteConfig,
+  discover, enforcementFor,
+  spMetadata, loginRedirectUrl, handleAcs, exchangeCode,
+};
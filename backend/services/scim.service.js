@@ -0,0 +1,565 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// scim.service.js
+//
+// DROP-IN LOCATION: backend/services/scim.service.js
+//
+// SCIM 2.0 (RFC 7643 / 7644) Users and Groups for one org, plus the org's
+// SCIM settings. Protocol plumbing (auth header, content type, error body) is
+// routes/scim.routes.js; settings UI is routes/org-scim.routes.js.
+//
+//   Users  ↔ org_users + users. id = users.id, userName = email. Creating goes
+//            through memberLifecycle.provisionMember with the org's SSO default
+//            roles when SSO is configured (else 'member'). active:false and
+//            DELETE run memberLifecycle.offboardMember — the member is
+//            deactivated and their open work handed to a successor; the row is
+//            kept, so a DELETEd user still resolves as active:false.
+//            The token speaks only for the org's DNS-verified domains
+//            (orgDomains.service.js): userName must be in one of them, an
+//            account that already belongs to another org is never adopted
+//            (invite it instead), and the global users columns — email,
+//            first/last name — are only written for people who belong to
+//            this org alone. Everything else lands on org_users.
+//   Groups ↔ teams (teamService.js) in the org's group_dimension. POSTing a
+//            group whose name matches an unlinked team in that dimension
+//            links the existing team instead of creating a duplicate. Team
+//            membership is single-team-per-dimension (teamService), so a user
+//            in two IdP groups of the same dimension keeps the last one pushed.
+//
+// Supported filters: `<attr> eq "<value>"` on userName, emails.value,
+// externalId, id, displayName. PATCH accepts both the Okta shape
+// ({ op, value: { active: false } }) and the Entra shape
+// ({ op: "Replace", path: "active", value: "False" }).
+//
+// Errors carry err.status and, where RFC 7644 defines one, err.scimType.
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const teamService = require('./teamService');
+const Members = require('./memberLifecycle.service');
+const OrgDomains = require('./orgDomains.service');
+
+const BACKEND_URL = (process.env.BACKEND_URL || 'https://api.gowarmcrm.com').replace(/\/+$/, '');
+const BASE_URL    = `${BACKEND_URL}/scim/v2`;
+
+const SCHEMA = {
+  user:  'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  list:  'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patch: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  spc:   'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  rt:    'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+};
+
+const MAX_RESULTS = 200;
+
+const fail = (message, status, scimType) => Object.assign(new Error(message), { status, ...(scimType ? { scimType } : {}) });
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Settings + token (admin)
+// ═════════════════════════════════════════════════════════════════════════════
+
+function toApi(row) {
+  return {
+    enabled:         !!row?.enabled,
+    hasToken:        !!row?.token_hash,
+    tokenLast4:      row?.token_last4 || null,
+    tokenCreatedAt:  row?.token_created_at || null,
+    groupDimension:  row?.group_dimension || 'function',
+    fallbackOwnerId: row?.fallback_owner_id || null,
+    lastRequestAt:   row?.last_request_at || null,
+    baseUrl:         BASE_URL,
+  };
+}
+
+async function getConfig(orgId) {
+  const { rows: [row] } = await pool.query(`SELECT * FROM org_scim_configs WHERE org_id = $1`, [orgId]);
+  return toApi(row);
+}
+
+async function saveConfig(orgId, userId, data) {
+  const { rows: [cur] } = await pool.query(`SELECT * FROM org_scim_configs WHERE org_id = $1`, [orgId]);
+  const enabled        = data.enabled !== undefined ? !!data.enabled : !!cur?.enabled;
+  const groupDimension = data.groupDimension !== undefined ? String(data.groupDimension) : (cur?.group_dimension || 'function');
+  let fallbackOwnerId  = data.fallbackOwnerId !== undefined ? data.fallbackOwnerId : (cur?.fallback_owner_id || null);
+
+  const dims = await teamService.getDimensions(orgId);
+  if (!dims.find(d => d.key === groupDimension)) throw fail(`Unknown team dimension: ${groupDimension}`, 400);
+
+  if (fallbackOwnerId != null && fallbackOwnerId !== '') {
+    fallbackOwnerId = parseInt(fallbackOwnerId, 10);
+    const { rows } = await pool.query(
+      `SELECT 1 FROM org_users WHERE org_id = $1 AND user_id = $2 AND is_active = TRUE`, [orgId, fallbackOwnerId]);
+    if (!rows.length) throw fail('Fallback owner must be an active member of this org', 400);
+  } else {
+    fallbackOwnerId = null;
+  }
+  if (enabled && !cur?.token_hash) throw fail('Generate a token before enabling SCIM', 400);
+
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO org_scim_configs (org_id, enabled, group_dimension, fallback_owner_id, updated_by, updated_at)
+     VALUES ($1,$2,$3,$4,$5, now())
+     ON CONFLICT (org_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled, group_dimension = EXCLUDED.group_dimension,
+       fallback_owner_id = EXCLUDED.fallback_owner_id,
+       updated_by = EXCLUDED.updated_by, updated_at = now()
+     RETURNING *`,
+    [orgId, enabled, groupDimension, fallbackOwnerId, userId]);
+  return toApi(row);
+}
+
+/** New bearer token; replaces any previous one. Returned in plaintext once. */
+async function rotateToken(orgId, userId) {
+  const token = `scim_${crypto.randomBytes(32).toString('hex')}`;
+  const { rows: [row] } = await pool.query(
+    `INSERT INTO org_scim_configs (org_id, token_hash, token_last4, token_created_at, updated_by, updated_at)
+     VALUES ($1,$2,$3, now(), $4, now())
+     ON CONFLICT (org_id) DO UPDATE SET
+       token_hash = EXCLUDED.token_hash, token_last4 = EXCLUDED.token_last4,
+       token_created_at = now(), updated_by = EXCLUDED.updated_by, updated_at = now()
+     RETURNING *`,
+    [orgId, sha256(token), token.slice(-4), userId]);
+  return { ...toApi(row), token };
+}
+
+async function revokeToken(orgId, userId) {
+  const { rows: [row] } = await pool.query(
+    `UPDATE org_scim_configs
+        SET token_hash = NULL, token_last4 = NULL, token_created_at = NULL, enabled = FALSE,
+            updated_by = $2, updated_at = now()
+      WHERE org_id = $1 RETURNING *`, [orgId, userId]);
+  return toApi(row);
+}
+
+/** Bearer token → SCIM config row (with org_id), or null. */
+async function authenticate(token) {
+  if (!token || !token.startsWith('scim_')) return null;
+  const { rows: [row] } = await pool.query(
+    `UPDATE org_scim_configs SET last_request_at = now()
+      WHERE token_hash = $1 AND enabled = TRUE
+      RETURNING *`, [sha256(token)]);
+  return row || null;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Discovery
+// ═════════════════════════════════════════════════════════════════════════════
+
+function serviceProviderConfig() {
+  return {
+    schemas: [SCHEMA.spc],
+    patch:          { supported: true },
+    bulk:           { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter:         { supported: true, maxResults: MAX_RESULTS },
+    changePassword: { supported: false },
+    sort:           { supported: false },
+    etag:           { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken', name: 'Bearer token', primary: true,
+      description: 'Token generated in Org Admin → SCIM Provisioning',
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${BASE_URL}/ServiceProviderConfig` },
+  };
+}
+
+function resourceTypes() {
+  const rt = (id, endpoint, schema) => ({
+    schemas: [SCHEMA.rt], id, name: id, endpoint, schema,
+    meta: { resourceType: 'ResourceType', location: `${BASE_URL}/ResourceTypes/${id}` },
+  });
+  return listResponse([rt('User', '/Users', SCHEMA.user), rt('Group', '/Groups', SCHEMA.group)], 2, 1);
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═════════════════════════════════════════════════════════════════════════════
+
+function listResponse(resources, total, startIndex) {
+  return { schemas: [SCHEMA.list], totalResults: total, startIndex, itemsPerPage: resources.length, Resources: resources };
+}
+
+function paging(query) {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const count      = Math.min(Math.max(parseInt(query.count, 10) || 100, 0), MAX_RESULTS);
+  return { startIndex, count, offset: startIndex - 1 };
+}
+
+// `attr eq "value"` only — what Okta and Entra actually send.
+function parseFilter(filter) {
+  if (!filter) return null;
+  const m = String(filter).trim().match(/^([\w.[\]" ]+?)\s+eq\s+"((?:[^"\\]|\\.)*)"$/i);
+  if (!m) throw fail(`Unsupported filter: ${filter}`, 400, 'invalidFilter');
+  return { attr: m[1].replace(/\[.*\]/, '').toLowerCase(), value: m[2].replace(/\\(.)/g, '$1') };
+}
+
+function parseId(id) {
+  const n = parseInt(id, 10);
+  if (!Number.isInteger(n) || String(n) !== String(id)) throw fail('Resource not found', 404);
+  return n;
+}
+
+const bool = (v) => (typeof v === 'string' ? v.toLowerCase() === 'true' : !!v);
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Users
+// ═════════════════════════════════════════════════════════════════════════════
+
+const USER_COLS = `u.id, u.email, u.first_name, u.last_name, u.created_at, u.updated_at,
+                   ou.is_active, ou.scim_external_id, ou.joined_at`;
+
+function userResource(r) {
+  const formatted = [r.first_name, r.last_name].filter(Boolean).join(' ');
+  return {
+    schemas:     [SCHEMA.user],
+    id:          String(r.id),
+    externalId:  r.scim_external_id || undefined,
+    userName:    r.email,
+    name:        { givenName: r.first_name || '', familyName: r.last_name || '', formatted },
+    displayName: formatted || r.email,
+    emails:      [{ value: r.email, type: 'work', primary: true }],
+    active:      !!r.is_active,
+    meta: {
+      resourceType: 'User',
+      created:      r.joined_at || r.created_at,
+      lastModified: r.updated_at || r.joined_at || r.created_at,
+      location:     `${BASE_URL}/Users/${r.id}`,
+    },
+  };
+}
+
+// The user also belongs to some other org ($1 = this org). Their users row is
+// then not this org's to rewrite.
+const OTHER_ORG = `(EXISTS (SELECT 1 FROM org_users o2 WHERE o2.user_id = u.id AND o2.org_id <> $1)
+                    OR (u.org_id IS NOT NULL AND u.org_id <> $1))`;
+
+async function loadUser(orgId, userId) {
+  const { rows: [r] } = await pool.query(
+    `SELECT ${USER_COLS}, ${OTHER_ORG} AS other_org
+       FROM org_users ou JOIN users u ON u.id = ou.user_id
+      WHERE ou.org_id = $1 AND ou.user_id = $2`, [orgId, userId]);
+  if (!r) throw fail('User not found', 404);
+  return r;
+}
+
+async function listUsers(orgId, query) {
+  const { startIndex, count, offset } = paging(query);
+  const f = parseFilter(query.filter);
+  const params = [orgId];
+  let where = 'ou.org_id = $1';
+  if (f) {
+    params.push(f.value);
+    if (f.attr === 'username' || f.attr === 'emails.value' || f.attr === 'emails') where += ` AND lower(u.email) = lower($2)`;
+    else if (f.attr === 'externalid') where += ` AND ou.scim_external_id = $2`;
+    else if (f.attr === 'id')         where += ` AND u.id::text = $2`;
+    else throw fail(`Unsupported filter attribute: ${f.attr}`, 400, 'invalidFilter');
+  }
+  const { rows: [{ n }] } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM org_users ou JOIN users u ON u.id = ou.user_id WHERE ${where}`, params);
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLS} FROM org_users ou JOIN users u ON u.id = ou.user_id
+      WHERE ${where} ORDER BY u.id OFFSET ${offset} LIMIT ${count}`, params);
+  return listResponse(rows.map(userResource), n, startIndex);
+}
+
+async function getUser(orgId, id) {
+  return userResource(await loadUser(orgId, parseId(id)));
+}
+
+// SCIM body → the attributes we store.
+function userAttrs(body) {
+  const out = {};
+  const primary = Array.isArray(body.emails) ? (body.emails.find(e => e.primary) || body.emails[0]) : null;
+  if (body.userName !== undefined || primary) out.email = String(body.userName || primary?.value || '').trim().toLowerCase();
+  if (body.name?.givenName  !== undefined) out.firstName = body.name.givenName;
+  if (body.name?.familyName !== undefined) out.lastName  = body.name.familyName;
+  if (body.externalId !== undefined) out.externalId = body.externalId || null;
+  if (body.active     !== undefined) out.active     = bool(body.active);
+  return out;
+}
+
+async function ssoDefaults(orgId) {
+  const { rows: [c] } = await pool.query(
+    `SELECT default_role, default_org_role_id FROM org_sso_configs WHERE org_id = $1`, [orgId]);
+  return { role: c?.default_role || 'member', orgRoleId: c?.default_org_role_id || null };
+}
+
+async function assertVerifiedDomain(orgId, email) {
+  const domain = email.split('@')[1];
+  if (!(await OrgDomains.isVerified(orgId, domain))) {
+    throw fail(`${domain || email} is not a verified domain of this organization`, 400, 'invalidValue');
+  }
+}
+
+async function applyUserChanges(cfg, userId, attrs) {
+  const orgId = cfg.org_id;
+  const cur = await loadUser(orgId, userId);
+
+  // Only what actually differs — Okta PUTs the whole user on every sync.
+  const email     = attrs.email && attrs.email !== cur.email.toLowerCase() ? attrs.email : null;
+  const firstName = attrs.firstName != null && attrs.firstName !== (cur.first_name || '') ? attrs.firstName : null;
+  const lastName  = attrs.lastName  != null && attrs.lastName  !== (cur.last_name  || '') ? attrs.lastName  : null;
+
+  if (email || firstName !== null || lastName !== null) {
+    const refuse = () => fail('This user also belongs to another organization; their email and name cannot be changed here', 400, 'mutability');
+    if (cur.other_org) throw refuse();
+    if (email) {
+      await assertVerifiedDomain(orgId, email);
+      const { rows } = await pool.query(
+        `SELECT 1 FROM users WHERE lower(email) = $1 AND id <> $2`, [email, userId]);
+      if (rows.length) throw fail('userName is already in use', 409, 'uniqueness');
+    }
+    // The guard is repeated in the UPDATE so a membership added meanwhile still wins.
+    const { rowCount } = await pool.query(
+      `UPDATE users u
+          SET email = COALESCE($2, email), first_name = COALESCE($3, first_name),
+              last_name = COALESCE($4, last_name), updated_at = NOW()
+        WHERE u.id = $5 AND NOT ${OTHER_ORG}`,
+      [orgId, email, firstName, lastName, userId]);
+    if (!rowCount) throw refuse();
+  }
+  if (attrs.externalId !== undefined) {
+    await pool.query(
+      `UPDATE org_users SET scim_external_id = $1 WHERE org_id = $2 AND user_id = $3`,
+      [attrs.externalId, orgId, userId]);
+  }
+  if (attrs.active === false && cur.is_active) {
+    await Members.offboardMember(orgId, userId, { source: 'scim' });
+  } else if (attrs.active === true && !cur.is_active) {
+    await Members.reactivateMember(orgId, userId, 'SCIM reactivate');
+  }
+  return userResource(await loadUser(orgId, userId));
+}
+
+async function createUser(cfg, body) {
+  const attrs = userAttrs(body);
+  if (!attrs.email) throw fail('userName is required', 400, 'invalidValue');
+  await assertVerifiedDomain(cfg.org_id, attrs.email);
+
+  // provisionMember reuses a users row with this email. That is fine for an
+  // account nobody else holds; one that belongs to another org joins through
+  // an invitation it can see, not a token this org controls.
+  const { rows: [existing] } = await pool.query(
+    `SELECT ${OTHER_ORG} AS other_org, ou.user_id AS member
+       FROM users u LEFT JOIN org_users ou ON ou.user_id = u.id AND ou.org_id = $1
+      WHERE lower(u.email) = $2`, [cfg.org_id, attrs.email]);
+  if (existing?.other_org && !existing.member) {
+    throw fail('An account with this email belongs to another organization — invite it instead', 409, 'uniqueness');
+  }
+
+  let userId;
+  try {
+    ({ userId } = await Members.provisionMember(cfg.org_id, {
+      email:      attrs.email,
+      firstName:  attrs.firstName,
+      lastName:   attrs.lastName,
+      externalId: attrs.externalId || null,
+      ...(await ssoDefaults(cfg.org_id)),
+      context:    'SCIM',
+    }));
+  } catch (e) {
+    if (e.code === 'ALREADY_MEMBER') throw fail('User already exists in this organization', 409, 'uniqueness');
+    throw e;
+  }
+  if (attrs.active === false) await Members.offboardMember(cfg.org_id, userId, { source: 'scim' });
+  return userResource(await loadUser(cfg.org_id, userId));
+}
+
+async function replaceUser(cfg, id, body) {
+  return applyUserChanges(cfg, parseId(id), userAttrs(body));
+}
+
+// PATCH operations → the same attrs object userAttrs() builds.
+function patchUserAttrs(ops) {
+  const attrs = {};
+  for (const op of ops) {
+    const kind = String(op.op || '').toLowerCase();
+    if (kind !== 'replace' && kind !== 'add') throw fail(`Unsupported op for User: ${op.op}`, 400, 'invalidSyntax');
+    if (!op.path) {
+      Object.assign(attrs, userAttrs(op.value || {}));
+      // Entra sends dotted keys inside the value object.
+      for (const [k, v] of Object.entries(op.value || {})) {
+        if (k.includes('.')) Object.assign(attrs, patchUserAttrs([{ op: kind, path: k, value: v }]));
+      }
+      continue;
+    }
+    const path = op.path.toLowerCase();
+    if (path === 'active')                                    attrs.active = bool(op.value);
+    else if (path === 'username')                             attrs.email = String(op.value || '').trim().toLowerCase();
+    else if (path.startsWith('emails'))                       attrs.email = String((Array.isArray(op.value) ? op.value[0]?.value : op.value) || '').trim().toLowerCase();
+    else if (path === 'name.givenname')                       attrs.firstName = op.value;
+    else if (path === 'name.familyname')                      attrs.lastName = op.value;
+    else if (path === 'name')                                 Object.assign(attrs, userAttrs({ name: op.value }));
+    else if (path === 'externalid')                           attrs.externalId = op.value || null;
+    // Attributes we don't store (displayName, title, phoneNumbers…) are ignored.
+  }
+  return attrs;
+}
+
+async function patchUser(cfg, id, body) {
+  if (!Array.isArray(body.Operations)) throw fail('Operations is required', 400, 'invalidSyntax');
+  return applyUserChanges(cfg, parseId(id), patchUserAttrs(body.Operations));
+}
+
+async function deleteUser(cfg, id) {
+  const userId = parseId(id);
+  const cur = await loadUser(cfg.org_id, userId);
+  if (cur.is_active) await Members.offboardMember(cfg.org_id, userId, { source: 'scim' });
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// Groups
+// ═════════════════════════════════════════════════════════════════════════════
+
+async function loadTeam(cfg, teamId) {
+  const { rows: [t] } = await pool.query(
+    `SELECT * FROM teams WHERE org_id = $1 AND id = $2 AND dimension = $3 AND is_active = TRUE`,
+    [cfg.org_id, teamId, cfg.group_dimension]);
+  if (!t) throw fail('Group not found', 404);
+  return t;
+}
+
+async function groupResource(cfg, t, withMembers = true) {
+  const members = withMembers ? await teamService.getTeamMembers(t.id, cfg.org_id) : null;
+  return {
+    schemas:     [SCHEMA.group],
+    id:          String(t.id),
+    externalId:  t.scim_external_id || undefined,
+    displayName: t.name,
+    ...(members ? { members: members.map(m => ({ value: String(m.user_id), display: m.email, $ref: `${BASE_URL}/Users/${m.user_id}` })) } : {}),
+    meta: {
+      resourceType: 'Group',
+      created:      t.created_at,
+      lastModified: t.updated_at || t.created_at,
+      location:     `${BASE_URL}/Groups/${t.id}`,
+    },
+  };
+}
+
+async function listGroups(cfg, query) {
+  const { startIndex, count, offset } = paging(query);
+  const f = parseFilter(query.filter);
+  const params = [cfg.org_id, cfg.group_dimension];
+  let where = 'org_id = $1 AND dimension = $2 AND is_active = TRUE';
+  if (f) {
+    params.push(f.value);
+    if (f.attr === 'displayname')     where += ` AND lower(name) = lower($3)`;
+    else if (f.attr === 'externalid') where += ` AND scim_external_id = $3`;
+    else if (f.attr === 'id')         where += ` AND id::text = $3`;
+    else throw fail(`Unsupported filter attribute: ${f.attr}`, 400, 'invalidFilter');
+  }
+  const { rows: [{ n }] } = await pool.query(`SELECT COUNT(*)::int AS n FROM teams WHERE ${where}`, params);
+  const { rows } = await pool.query(
+    `SELECT * FROM teams WHERE ${where} ORDER BY id OFFSET ${offset} LIMIT ${count}`, params);
+  const withMembers = !/members/i.test(String(query.excludedAttributes || ''));
+  const resources = [];
+  for (const t of rows) resources.push(await groupResource(cfg, t, withMembers));
+  return listResponse(resources, n, startIndex);
+}
+
+async function getGroup(cfg, id) {
+  return groupResource(cfg, await loadTeam(cfg, parseId(id)));
+}
+
+// Only active members of this org can be placed on a team.
+async function memberIds(cfg, members) {
+  const ids = (Array.isArray(members) ? members : [])
+    .map(m => parseInt(m?.value, 10)).filter(Number.isInteger);
+  if (!ids.length) return [];
+  const { rows } = await pool.query(
+    `SELECT user_id FROM org_users WHERE org_id = $1 AND user_id = ANY($2::int[]) AND is_active = TRUE`,
+    [cfg.org_id, ids]);
+  return rows.map(r => r.user_id);
+}
+
+async function addMembers(cfg, teamId, ids) {
+  for (const uid of ids) await teamService.setMembership(cfg.org_id, uid, teamId);
+}
+
+async function removeMembers(cfg, teamId, ids) {
+  for (const uid of ids) await teamService.removeMembership(cfg.org_id, uid, teamId);
+}
+
+async function setMembers(cfg, teamId, ids) {
+  const current = (await teamService.getTeamMembers(teamId, cfg.org_id)).map(m => m.user_id);
+  await removeMembers(cfg, teamId, current.filter(id => !ids.includes(id)));
+  await addMembers(cfg, teamId, ids.filter(id => !current.includes(id)));
+}
+
+async function createGroup(cfg, body) {
+  const name = String(body.displayName || '').trim();
+  if (!name) throw fail('displayName is required', 400, 'invalidValue');
+
+  const { rows: [existing] } = await pool.query(
+    `SELECT * FROM teams
+      WHERE org_id = $1 AND dimension = $2 AND is_active = TRUE AND lower(name) = lower($3)
+      LIMIT 1`, [cfg.org_id, cfg.group_dimension, name]);
+  if (existing?.scim_external_id) throw fail('Group already exists', 409, 'uniqueness');
+
+  const team = existing || await teamService.createTeam(cfg.org_id, { name, dimension: cfg.group_dimension });
+  await pool.query(`UPDATE teams SET scim_external_id = $1, updated_at = NOW() WHERE id = $2`,
+    [body.externalId || `gowarm-${team.id}`, team.id]);
+  await setMembers(cfg, team.id, await memberIds(cfg, body.members));
+  return groupResource(cfg, await loadTeam(cfg, team.id));
+}
+
+async function replaceGroup(cfg, id, body) {
+  const team = await loadTeam(cfg, parseId(id));
+  if (body.displayName && body.displayName !== team.name) {
+    await teamService.updateTeam(cfg.org_id, team.id, { name: String(body.displayName).trim() });
+  }
+  if (body.externalId !== undefined) {
+    await pool.query(`UPDATE teams SET scim_external_id = $1 WHERE id = $2`, [body.externalId || null, team.id]);
+  }
+  await setMembers(cfg, team.id, await memberIds(cfg, body.members));
+  return groupResource(cfg, await loadTeam(cfg, team.id));
+}
+
+async function patchGroup(cfg, id, body) {
+  if (!Array.isArray(body.Operations)) throw fail('Operations is required', 400, 'invalidSyntax');
+  const team = await loadTeam(cfg, parseId(id));
+
+  for (const op of body.Operations) {
+    const kind = String(op.op || '').toLowerCase();
+    const path = String(op.path || '');
+    const filtered = path.match(/^members\[value eq "?([^"\]]+)"?\]$/i);
+
+    if (!path && kind === 'replace') {
+      const v = op.value || {};
+      if (v.displayName) await teamService.updateTeam(cfg.org_id, team.id, { name: String(v.displayName).trim() });
+      if (v.externalId !== undefined) await pool.query(`UPDATE teams SET scim_external_id = $1 WHERE id = $2`, [v.externalId || null, team.id]);
+      if (v.members) await setMembers(cfg, team.id, await memberIds(cfg, v.members));
+    } else if (/^displayname$/i.test(path) && kind === 'replace') {
+      await teamService.updateTeam(cfg.org_id, team.id, { name: String(op.value).trim() });
+    } else if (/^externalid$/i.test(path)) {
+      await pool.query(`UPDATE teams SET scim_external_id = $1 WHERE id = $2`, [op.value || null, team.id]);
+    } else if (/^members$/i.test(path) && kind === 'add') {
+      await addMembers(cfg, team.id, await memberIds(cfg, op.value));
+    } else if (/^members$/i.test(path) && kind === 'replace') {
+      await setMembers(cfg, team.id, await memberIds(cfg, op.value));
+    } else if (/^members$/i.test(path) && kind === 'remove') {
+      const ids = Array.isArray(op.value)
+        ? op.value.map(m => parseInt(m?.value, 10)).filter(Number.isInteger)
+        : (await teamService.getTeamMembers(team.id, cfg.org_id)).map(m => m.user_id);
+      await removeMembers(cfg, team.id, ids);
+    } else if (filtered && kind === 'remove') {
+      const uid = parseInt(filtered[1], 10);
+      if (Number.isInteger(uid)) await removeMembers(cfg, team.id, [uid]);
+    } else {
+      throw fail(`Unsupported operation: ${op.op} ${path}`.trim(), 400, 'invalidPath');
+    }
+  }
+  return groupResource(cfg, await loadTeam(cfg, team.id));
+}
+
+async function deleteGroup(cfg, id) {
+  const team = await loadTeam(cfg, parseId(id));
+  await teamService.deleteTeam(cfg.org_id, team.id);
+}
+
+module.exports = {
+  BASE_URL,
+  getConfig, saveConfig, rotateToken, revokeToken, authenticate,
+  serviceProviderConfig, resourceTypes,
+  listUsers, getUser, createUser, replaceUser, patchUser, deleteUser,
+  listGroups, getGroup, createGroup, replaceGroup, patchGroup, deleteGroup,
+};
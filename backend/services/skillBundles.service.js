@@ -22,6 +22,21 @@
  *     that scope. Reads SKILL.md + templates/ reference/ schema/
  *     methodologies/ (ALL methodology files — runtime filters).
  *
+ *     Unless { skipEvalGate: true }, the publish must also pass the eval
+ *     gate (skillEval.service.checkPublishGate, 2026_138): every active eval
+ *     set for the skill needs a completed, non-regressed comparison run whose
+ *     candidate was exactly these files. Blocked → 409, code 'EVAL_GATE'.
+ *
+ *   publishFiles(skillName, files, { ...same options, publishedFrom })
+ *     The shared publish core. publishFromDisk feeds it the skill folder;
+ *     org-authored drafts (skillDrafts.service, 2026_139) feed it the
+ *     browser-edited files.
+ *
+ *   loadEvalSource(orgId, skillName, ref) — the files behind an eval side:
+ *     'disk' (working copy), 'current' (what resolveForRun would pick, disk
+ *     when nothing is published), 'draft:<id>' (the org's draft) or a
+ *     bundle id visible to the org.
+ *
  *   installBundle / uninstall — explicit version pins (org_skill_installs).
  *     Install validates manifest.requires.playbook_stages against the org's
  *     deal_stages; unmet requirements block unless { force: true }.
@@ -84,6 +99,23 @@ function computeChecksum(name, version, files) {
   return h.digest('hex');
 }
 
+/**
+ * Version-independent content hash. The eval gate matches a publish to the
+ * eval run that scored exactly these files, before any version is assigned.
+ */
+function contentHash(files) {
+  const h = crypto.createHash('sha256');
+  for (const key of Object.keys(files).sort()) {
+    h.update('\u0000' + key + '\u0000');
+    h.update(String(files[key]));
+  }
+  return h.digest('hex');
+}
+
+// Lazy: skillEval.service requires this module (and the runner, which
+// requires this module too).
+function _evals() { return require('./skillEval.service'); }
+
 // ── resolution cache ─────────────────────────────────────────────────────────
 
 const _cache = new Map(); // `${orgId}:${skillName}` → { row|null, ts }
@@ -162,6 +194,52 @@ async function resolveForRun(orgId, skillName, methodology, allowedMethodologies
   }
 }
 
+// ── eval sources ─────────────────────────────────────────────────────────────
+
+/**
+ * Files behind one side of an eval comparison. Returns the raw file map (all
+ * methodology files — the eval runner filters per case via toRuntimeBundle)
+ * plus attribution for the report.
+ */
+async function loadEvalSource(orgId, skillName, ref) {
+  if (ref == null || ref === '' || ref === 'current') {
+    const row = await _resolveRow(orgId, skillName);
+    if (row) {
+      return { files: row.files || {}, bundleId: row.id, version: row.version,
+               label: `${row.scope} ${row.version}`, contentHash: contentHash(row.files || {}) };
+    }
+    ref = 'disk';   // nothing published — production runs from disk
+  }
+  if (ref === 'disk') {
+    const files = readSkillDirAsFiles(skillName);
+    return { files, bundleId: null, version: null, label: 'disk', contentHash: contentHash(files) };
+  }
+  if (String(ref).startsWith('draft:')) {
+    const d = await pool.query(
+      `SELECT id, files FROM skill_bundle_drafts WHERE id = $1 AND org_id = $2 AND skill_name = $3`,
+      [parseInt(String(ref).slice(6), 10) || 0, orgId, skillName]);
+    if (!d.rows.length) {
+      throw Object.assign(new Error(`Draft not found for ${skillName}`), { statusCode: 404 });
+    }
+    const files = d.rows[0].files || {};
+    return { files, bundleId: null, version: null, label: 'draft', contentHash: contentHash(files) };
+  }
+  const id = parseInt(ref, 10);
+  if (!id || String(id) !== String(ref)) {
+    throw Object.assign(new Error(`Unknown bundle reference: ${ref}`), { statusCode: 400 });
+  }
+  const b = await pool.query(`
+    SELECT * FROM skill_bundles
+    WHERE id = $1 AND name = $2 AND (owner_org_id IS NULL OR owner_org_id = $3)
+  `, [id, skillName, orgId]);
+  if (!b.rows.length) {
+    throw Object.assign(new Error(`Bundle ${id} not found for ${skillName}`), { statusCode: 404 });
+  }
+  const row = b.rows[0];
+  return { files: row.files || {}, bundleId: row.id, version: row.version,
+           label: `${row.scope} ${row.version}`, contentHash: contentHash(row.files || {}) };
+}
+
 // ── disk read (publish path) ─────────────────────────────────────────────────
 
 function readSkillDirAsFiles(skillName) {
@@ -203,7 +281,14 @@ function _validateFiles(files) {
 
 // ── publish ──────────────────────────────────────────────────────────────────
 
-async function publishFromDisk(skillName, { version, scope = 'platform', orgId = null, publishedBy = null, manifest = {} }) {
+async function publishFromDisk(skillName, opts) {
+  return publishFiles(skillName, readSkillDirAsFiles(skillName), { ...opts, publishedFrom: 'disk' });
+}
+
+async function publishFiles(skillName, files, {
+  version, scope = 'platform', orgId = null, publishedBy = null, manifest = {},
+  skipEvalGate = false, publishedFrom = 'disk',
+}) {
   if (!parseSemver(version)) {
     throw Object.assign(new Error('version must be strict semver X.Y.Z'), { statusCode: 400 });
   }
@@ -211,7 +296,6 @@ async function publishFromDisk(skillName, { version, scope = 'platform', orgId =
     throw Object.assign(new Error('org scope requires orgId'), { statusCode: 400 });
   }
 
-  const files = readSkillDirAsFiles(skillName);
   _validateFiles(files);
 
   // Monotonic version rule within the scope.
@@ -228,7 +312,21 @@ async function publishFromDisk(skillName, { version, scope = 'platform', orgId =
     }
   }
 
-  const finalManifest = { ...manifest, published_from: 'disk' };
+  // Eval gate (2026_138). Skipping is an explicit, recorded decision.
+  let evalGate = null;
+  if (!skipEvalGate) {
+    evalGate = await _evals().checkPublishGate(skillName, files, { scope, orgId });
+    if (!evalGate.ok) {
+      throw Object.assign(new Error(evalGate.message), { statusCode: 409, code: 'EVAL_GATE', gate: evalGate });
+    }
+  }
+
+  const finalManifest = {
+    ...manifest, published_from: publishedFrom,
+    eval_gate: skipEvalGate
+      ? 'skipped'
+      : { runs: evalGate.sets.map(g => g.run_id).filter(Boolean) },
+  };
   const checksum = computeChecksum(skillName, version, files);
 
   const ins = await pool.query(`
@@ -239,7 +337,20 @@ async function publishFromDisk(skillName, { version, scope = 'platform', orgId =
       JSON.stringify(finalManifest), JSON.stringify(files), checksum, publishedBy]);
 
   bustCache();
-  return { bundleId: ins.rows[0].id, name: skillName, version, scope, checksum, fileCount: Object.keys(files).length };
+  return {
+    bundleId: ins.rows[0].id, name: skillName, version, scope, checksum,
+    fileCount: Object.keys(files).length, evalGate,
+  };
+}
+
+/** Newest org-scoped version of a skill for this org, or null. */
+async function latestOrgVersion(orgId, skillName) {
+  const r = await pool.query(
+    `SELECT version FROM skill_bundles WHERE scope='org' AND owner_org_id=$1 AND name=$2`,
+    [orgId, skillName]);
+  let latest = null;
+  for (const row of r.rows) if (!latest || semverGt(row.version, latest)) latest = row.version;
+  return latest;
 }
 
 // ── install / uninstall (pins) ───────────────────────────────────────────────
@@ -447,7 +558,10 @@ module.exports = {
   resolveForRun,
   toRuntimeBundle,
   publishFromDisk,
+  publishFiles,
   readSkillDirAsFiles,
+  validateFiles: _validateFiles,
+  latestOrgVersion,
   installBundle,
   uninstall,
   exportBundle,
@@ -455,7 +569,9 @@ module.exports = {
   listBundles,
   archiveBundle,
   diffBundles,
+  loadEvalSource,
   computeChecksum,
+  contentHash,
   bustCache,
   semverGt,
   BUNDLE_FORMAT,
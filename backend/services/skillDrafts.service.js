@@ -0,0 +1,239 @@
+/**
+ * skillDrafts.service.js
+ *
+ * DROP-IN LOCATION: backend/services/skillDrafts.service.js
+ *
+ * Org-authored skills (2026_139). Until now a skill version could only come
+ * from backend/skills/<name>/ via publishFromDisk — repo-based authoring.
+ * A draft is the browser equivalent of that folder, owned by one org:
+ *
+ *   forkDraft(orgId, userId, skillName, { from })
+ *     Start the org's draft from 'current' (what the org runs today),
+ *     'disk' or a visible bundle id. One draft per (org, skill).
+ *
+ *   saveFile / deleteFile — edit SKILL.md, templates/, reference/, schema/,
+ *     methodologies/. Same layout, caps and path rules as a disk bundle;
+ *     SKILL.md must keep `name: <skill>` in its frontmatter (the check
+ *     validateSkillRegistry makes at boot for disk skills).
+ *
+ *   previewDraft(orgId, userId, draftId, { prospectId | dealId, ... })
+ *     Runs the draft against a real prospect or deal through the normal
+ *     SkillRunnerService path (context building, fit gate, validation),
+ *     with the draft as the bundle. The skill_runs row is bundle_source
+ *     'draft'. Disqualified prospects are generated anyway — a preview is a
+ *     deliberate manual run.
+ *
+ *   publishDraft(orgId, userId, draftId, { version, notes, pin, skipEvalGate })
+ *     Publishes the draft as an ordinary immutable org bundle through
+ *     skillBundles.publishFiles (same version rule and eval gate as a disk
+ *     publish — eval runs can target 'draft:<id>'), then pins the org to it
+ *     unless pin === false, so resolveForRun picks it up immediately.
+ *
+ * Only skills in SkillRunnerService.SKILL_REGISTRY can be drafted — a skill
+ * also needs code (context builder, model call type) to be runnable.
+ * Errors carry statusCode, same as skillBundles.service.
+ */
+
+const { pool } = require('../config/database');
+const skillBundles = require('./skillBundles.service');
+const SkillRunner  = require('./SkillRunnerService');
+
+const FILE_PATH_RE = /^(SKILL\.md|(templates|reference|schema|methodologies)\/[A-Za-z0-9][\w.-]{0,99})$/;
+
+function _fail(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function _registryEntry(skillName) {
+  const meta = SkillRunner.SKILL_REGISTRY[skillName];
+  if (!meta || meta.retired) throw _fail(`Unknown skill: ${skillName}`, 400);
+  return meta;
+}
+
+/** Same frontmatter rule validateSkillRegistry applies to disk skills. */
+function _checkSkillMd(skillName, skillMd) {
+  const fm = String(skillMd || '').match(/^---\s*\n([\s\S]*?)\n---/);
+  const name = fm && fm[1].match(/^name:\s*(\S+)\s*$/m);
+  if (!name || name[1] !== skillName) {
+    throw _fail(`SKILL.md must start with a frontmatter block declaring name: ${skillName}`, 400);
+  }
+}
+
+function _bumpMinor(v) {
+  const m = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(v || ''));
+  return m ? `${m[1]}.${Number(m[2]) + 1}.0` : '1.0.0';
+}
+
+// ── skills overview ──────────────────────────────────────────────────────────
+
+/**
+ * Every runnable skill with what this org resolves to today and its draft,
+ * for the authoring screen.
+ */
+async function listAuthorableSkills(orgId) {
+  const drafts = await pool.query(
+    `SELECT id, skill_name, base_label, updated_at FROM skill_bundle_drafts WHERE org_id = $1`, [orgId]);
+  const draftBySkill = new Map(drafts.rows.map(d => [d.skill_name, d]));
+
+  const out = [];
+  for (const [name, meta] of Object.entries(SkillRunner.SKILL_REGISTRY)) {
+    if (meta.retired) continue;
+    const current = await skillBundles.loadEvalSource(orgId, name, 'current').catch(() => null);
+    out.push({
+      name,
+      entity: meta.entity,
+      current: current ? { label: current.label, bundle_id: current.bundleId, version: current.version } : null,
+      draft: draftBySkill.get(name) || null,
+    });
+  }
+  return out;
+}
+
+// ── drafts ───────────────────────────────────────────────────────────────────
+
+async function _loadDraft(orgId, draftId) {
+  const r = await pool.query(
+    `SELECT * FROM skill_bundle_drafts WHERE id = $1 AND org_id = $2`, [draftId, orgId]);
+  if (!r.rows.length) throw _fail('Draft not found', 404);
+  return r.rows[0];
+}
+
+async function getDraft(orgId, draftId) {
+  const d = await _loadDraft(orgId, draftId);
+  const latest = await skillBundles.latestOrgVersion(orgId, d.skill_name);
+  const base = d.base_bundle_id
+    ? await pool.query(`SELECT version FROM skill_bundles WHERE id = $1`, [d.base_bundle_id])
+    : { rows: [] };
+  // Suggest the next version after the org's newest, else after the fork base.
+  const from = latest || (base.rows[0] && base.rows[0].version) || null;
+  const meta = SkillRunner.SKILL_REGISTRY[d.skill_name];
+  return {
+    ...d,
+    entity: meta ? meta.entity : null,
+    latest_org_version: latest,
+    next_version: from ? _bumpMinor(from) : '1.0.0',
+    content_hash: skillBundles.contentHash(d.files || {}),
+  };
+}
+
+async function forkDraft(orgId, userId, skillName, { from = 'current' } = {}) {
+  _registryEntry(skillName);
+  const source = await skillBundles.loadEvalSource(orgId, skillName, from);
+  const r = await pool.query(`
+    INSERT INTO skill_bundle_drafts
+      (org_id, skill_name, base_bundle_id, base_label, files, created_by, updated_by)
+    VALUES ($1,$2,$3,$4,$5,$6,$6)
+    ON CONFLICT (org_id, skill_name) DO NOTHING
+    RETURNING id
+  `, [orgId, skillName, source.bundleId, source.label, JSON.stringify(source.files), userId]);
+  if (!r.rows.length) {
+    throw _fail(`This org already has a draft of ${skillName} — edit or discard it first`, 409);
+  }
+  return getDraft(orgId, r.rows[0].id);
+}
+
+async function _writeFiles(orgId, userId, draft, files) {
+  skillBundles.validateFiles(files);
+  _checkSkillMd(draft.skill_name, files['SKILL.md']);
+  await pool.query(`
+    UPDATE skill_bundle_drafts SET files = $3, updated_by = $4, updated_at = NOW()
+    WHERE id = $1 AND org_id = $2
+  `, [draft.id, orgId, JSON.stringify(files), userId]);
+  return getDraft(orgId, draft.id);
+}
+
+async function saveFile(orgId, userId, draftId, filePath, content) {
+  if (!FILE_PATH_RE.test(String(filePath || ''))) {
+    throw _fail('File path must be SKILL.md or templates/, reference/, schema/ or methodologies/<file>', 400);
+  }
+  if (typeof content !== 'string') throw _fail('content must be a string', 400);
+  const d = await _loadDraft(orgId, draftId);
+  return _writeFiles(orgId, userId, d, { ...(d.files || {}), [filePath]: content });
+}
+
+async function deleteFile(orgId, userId, draftId, filePath) {
+  if (filePath === 'SKILL.md') throw _fail('SKILL.md cannot be deleted', 400);
+  const d = await _loadDraft(orgId, draftId);
+  const files = { ...(d.files || {}) };
+  if (!(filePath in files)) throw _fail('File not found in draft', 404);
+  delete files[filePath];
+  return _writeFiles(orgId, userId, d, files);
+}
+
+async function discardDraft(orgId, draftId) {
+  const r = await pool.query(
+    `DELETE FROM skill_bundle_drafts WHERE id = $1 AND org_id = $2`, [draftId, orgId]);
+  if (!r.rowCount) throw _fail('Draft not found', 404);
+  return { deleted: true };
+}
+
+// ── preview ──────────────────────────────────────────────────────────────────
+
+async function previewDraft(orgId, userId, draftId, { prospectId, dealId, methodology, stepIntent } = {}) {
+  const d = await _loadDraft(orgId, draftId);
+  const meta = _registryEntry(d.skill_name);
+  if (methodology && !SkillRunner.ALLOWED_METHODOLOGIES.has(methodology)) {
+    throw _fail(`Invalid methodology. Allowed: ${[...SkillRunner.ALLOWED_METHODOLOGIES].join(', ')}`, 400);
+  }
+  const bundle = skillBundles.toRuntimeBundle(
+    { id: null, files: d.files || {} }, methodology || null, SkillRunner.ALLOWED_METHODOLOGIES);
+  if (!bundle) throw _fail('Draft has no SKILL.md', 400);
+  const bundleOverride = { bundle, bundleId: null, version: null, source: 'draft' };
+
+  if (meta.entity === 'deal') {
+    if (!dealId) throw _fail('dealId is required to preview this skill', 400);
+    const owns = await pool.query(`SELECT 1 FROM deals WHERE id = $1 AND org_id = $2`, [dealId, orgId]);
+    if (!owns.rows.length) throw _fail('Deal not found', 404);
+    return SkillRunner.runDealSkill({
+      orgId, userId, dealId, skillName: d.skill_name, methodology, bundleOverride,
+    });
+  }
+
+  if (!prospectId) throw _fail('prospectId is required to preview this skill', 400);
+  const owns = await pool.query(`SELECT 1 FROM prospects WHERE id = $1 AND org_id = $2`, [prospectId, orgId]);
+  if (!owns.rows.length) throw _fail('Prospect not found', 404);
+  return SkillRunner.runProspectSkill({
+    orgId, userId, prospectId, skillName: d.skill_name,
+    stepIntent: stepIntent || null, forceGenerate: true, bundleOverride,
+  });
+}
+
+// ── publish ──────────────────────────────────────────────────────────────────
+
+async function publishDraft(orgId, userId, draftId, { version, notes, pin = true, skipEvalGate = false } = {}) {
+  const d = await _loadDraft(orgId, draftId);
+  _registryEntry(d.skill_name);
+  _checkSkillMd(d.skill_name, (d.files || {})['SKILL.md']);
+
+  const result = await skillBundles.publishFiles(d.skill_name, d.files || {}, {
+    version, scope: 'org', orgId, publishedBy: userId,
+    manifest: {
+      forked_from: d.base_label || null,
+      forked_from_bundle_id: d.base_bundle_id || null,
+      ...(notes ? { notes: String(notes).slice(0, 2000) } : {}),
+    },
+    skipEvalGate, publishedFrom: 'draft',
+  });
+
+  await pool.query(
+    `UPDATE skill_bundle_drafts SET last_published_bundle_id = $2, updated_at = NOW() WHERE id = $1`,
+    [d.id, result.bundleId]);
+
+  let pinned = false;
+  if (pin) {
+    await skillBundles.installBundle(orgId, result.bundleId, { installedBy: userId });
+    pinned = true;
+  }
+  return { ...result, pinned };
+}
+
+module.exports = {
+  listAuthorableSkills,
+  getDraft,
+  forkDraft,
+  saveFile,
+  deleteFile,
+  discardDraft,
+  previewDraft,
+  publishDraft,
+};
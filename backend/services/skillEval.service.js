@@ -0,0 +1,643 @@
+/**
+ * skillEval.service.js
+ *
+ * DROP-IN LOCATION: backend/services/skillEval.service.js
+ *
+ * The skill evaluation harness (2026_138). Skill bundles (2026_63) made
+ * skill versions explicit; this answers "is the new version better or worse
+ * than the one it replaces?" before it ships.
+ *
+ *   Eval sets — golden datasets, one skill each. A case is a fixed context
+ *     payload (exactly what SkillRunnerService sends the model) plus
+ *     expectations. Platform sets come from JSON files via the CLI
+ *     (scripts/eval-skill.js); org sets are built in the API, usually by
+ *     capturing a real skill_runs row (captureCaseFromRun).
+ *
+ *   startRun(orgId, userId, setId, { baseline, candidate })
+ *     Runs every case against two versions of the skill through
+ *     SkillRunnerService.runSkillWithBundle, in the org's AI config. Sides
+ *     are 'current' (what the org runs today), 'disk' (the working copy) or
+ *     a bundle id. Defaults: current vs disk — "what would publishing the
+ *     working copy change?". Returns immediately; the run completes in the
+ *     background (same shape as baseline capture) and is polled via getRun.
+ *
+ *   Scoring — per case and side, a list of checks:
+ *       parse             the model returned a JSON object
+ *       route             OutreachValidator route == expectations.route
+ *                         (default 'send'; non-outreach skills always 'send')
+ *       required_fields   each path present and non-empty
+ *       must_include      each phrase appears somewhere in the output text
+ *       must_not_include  no phrase appears
+ *       equals            { path: value } exact match
+ *       max_words         { path: n } word count at most n
+ *     score = % of checks passed; a case passes only when every check does.
+ *     pass rate = % of cases passed.
+ *
+ *   Regression — the candidate regresses when its pass rate is more than
+ *     set.regression_tolerance points below the baseline's, or below
+ *     set.min_pass_rate. The report lists the cases that flipped.
+ *
+ *   checkPublishGate(skillName, files, { scope, orgId })
+ *     Called by skillBundles.publishFromDisk. Every active set that applies
+ *     (platform sets always; the org's own sets for an org publish) needs its
+ *     latest completed run with candidate_content_hash == hash(files) to
+ *     exist and not be regressed. Sets without cases are ignored.
+ *
+ * Errors carry statusCode, same as skillBundles.service.
+ */
+
+const { pool } = require('../config/database');
+const skillBundles = require('./skillBundles.service');
+const SkillRunner  = require('./SkillRunnerService');
+
+const EXPECTATION_KEYS = ['route', 'required_fields', 'must_include', 'must_not_include', 'equals', 'max_words'];
+const ROUTES   = ['send', 'review', 'reject'];
+const MAX_CASES_PER_SET = 100;
+
+function _fail(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function _round(n) { return Math.round(n * 100) / 100; }
+
+// ── validation ───────────────────────────────────────────────────────────────
+
+function _validateExpectations(exp) {
+  if (exp == null) return {};
+  if (typeof exp !== 'object' || Array.isArray(exp)) throw _fail('expectations must be an object', 400);
+  for (const k of Object.keys(exp)) {
+    if (!EXPECTATION_KEYS.includes(k)) throw _fail(`Unknown expectation: ${k}`, 400);
+  }
+  if (exp.route != null && !ROUTES.includes(exp.route)) {
+    throw _fail(`expectations.route must be one of ${ROUTES.join(', ')}`, 400);
+  }
+  for (const k of ['required_fields', 'must_include', 'must_not_include']) {
+    if (exp[k] != null && (!Array.isArray(exp[k]) || exp[k].some(v => typeof v !== 'string' || !v.trim()))) {
+      throw _fail(`expectations.${k} must be an array of non-empty strings`, 400);
+    }
+  }
+  if (exp.equals != null && (typeof exp.equals !== 'object' || Array.isArray(exp.equals))) {
+    throw _fail('expectations.equals must be an object of { path: value }', 400);
+  }
+  if (exp.max_words != null) {
+    if (typeof exp.max_words !== 'object' || Array.isArray(exp.max_words)) {
+      throw _fail('expectations.max_words must be an object of { path: n }', 400);
+    }
+    for (const [p, n] of Object.entries(exp.max_words)) {
+      if (!Number.isInteger(n) || n < 1) throw _fail(`expectations.max_words.${p} must be a positive integer`, 400);
+    }
+  }
+  return exp;
+}
+
+function _validateRate(v, name) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw _fail(`${name} must be between 0 and 100`, 400);
+  return n;
+}
+
+function _validateSkill(skillName) {
+  if (!SkillRunner.SKILL_REGISTRY[skillName]) throw _fail(`Unknown skill: ${skillName}`, 400);
+}
+
+function _validateMethodology(m) {
+  if (m == null || m === '') return null;
+  if (!SkillRunner.ALLOWED_METHODOLOGIES.has(m)) {
+    throw _fail(`Invalid methodology. Allowed: ${[...SkillRunner.ALLOWED_METHODOLOGIES].join(', ')}`, 400);
+  }
+  return m;
+}
+
+// ── scoring ──────────────────────────────────────────────────────────────────
+
+/** 'a.b.0.c' → value, or undefined. */
+function getPath(obj, p) {
+  let cur = obj;
+  for (const part of String(p).split('.')) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+/** Every string in the output, joined — what must_include searches. */
+function _flattenText(v, out = []) {
+  if (v == null) return out;
+  if (typeof v === 'string') out.push(v);
+  else if (typeof v === 'number' || typeof v === 'boolean') out.push(String(v));
+  else if (Array.isArray(v)) v.forEach(x => _flattenText(x, out));
+  else if (typeof v === 'object') Object.values(v).forEach(x => _flattenText(x, out));
+  return out;
+}
+
+function _isEmpty(v) {
+  return v == null || (typeof v === 'string' && !v.trim())
+    || (Array.isArray(v) && !v.length)
+    || (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length);
+}
+
+function _wordCount(v) {
+  const text = _flattenText(v).join(' ').trim();
+  return text ? text.split(/\s+/).length : 0;
+}
+
+/**
+ * Score one skill result against a case's expectations. `result` is
+ * SkillRunnerService's return value. Pure; exported for unit testing.
+ */
+function scoreResult(result, expectations) {
+  const exp = expectations || {};
+  const checks = [];
+  const push = (check, ok, detail) => checks.push({ check, ok, ...(detail || {}) });
+
+  if (!result || !result.ok) {
+    push('parse', false, { error: (result && result.error) || 'no output' });
+    return { passed: false, score: 0, checks };
+  }
+  push('parse', true);
+
+  const output = result.output;
+  const expectedRoute = exp.route || 'send';
+  const actualRoute = result.validation ? result.validation.route : 'send';
+  push('route', actualRoute === expectedRoute, {
+    expected: expectedRoute, actual: actualRoute,
+    blocking: (result.validation && result.validation.blocking) || [],
+  });
+
+  for (const p of exp.required_fields || []) {
+    push('required_field', !_isEmpty(getPath(output, p)), { path: p });
+  }
+
+  const text = _flattenText(output).join('\n').toLowerCase();
+  for (const phrase of exp.must_include || []) {
+    push('must_include', text.includes(phrase.toLowerCase()), { phrase });
+  }
+  for (const phrase of exp.must_not_include || []) {
+    push('must_not_include', !text.includes(phrase.toLowerCase()), { phrase });
+  }
+
+  for (const [p, expected] of Object.entries(exp.equals || {})) {
+    const actual = getPath(output, p);
+    push('equals', JSON.stringify(actual) === JSON.stringify(expected), { path: p, expected, actual });
+  }
+
+  for (const [p, max] of Object.entries(exp.max_words || {})) {
+    const words = _wordCount(getPath(output, p));
+    push('max_words', words <= max, { path: p, max, actual: words });
+  }
+
+  const passedN = checks.filter(c => c.ok).length;
+  return {
+    passed: passedN === checks.length,
+    score: _round((passedN / checks.length) * 100),
+    checks,
+  };
+}
+
+// ── sets ─────────────────────────────────────────────────────────────────────
+
+const VISIBLE = `(s.scope = 'platform' OR s.owner_org_id = $1)`;
+
+async function listSets(orgId, { skillName } = {}) {
+  const params = [orgId];
+  let where = VISIBLE;
+  if (skillName) { params.push(skillName); where += ` AND s.skill_name = $${params.length}`; }
+  const r = await pool.query(`
+    SELECT s.*,
+           (SELECT COUNT(*)::int FROM skill_eval_cases c WHERE c.set_id = s.id) AS case_count,
+           lr.id AS last_run_id, lr.status AS last_run_status, lr.regressed AS last_run_regressed,
+           lr.baseline_pass_rate AS last_baseline_pass_rate,
+           lr.candidate_pass_rate AS last_candidate_pass_rate, lr.started_at AS last_run_at
+    FROM skill_eval_sets s
+    LEFT JOIN LATERAL (
+      SELECT * FROM skill_eval_runs r
+      WHERE r.set_id = s.id AND r.org_id = $1
+      ORDER BY r.started_at DESC LIMIT 1
+    ) lr ON TRUE
+    WHERE ${where}
+    ORDER BY s.skill_name, s.scope, s.name
+  `, params);
+  return r.rows;
+}
+
+async function _loadSet(orgId, setId, { forWrite = false } = {}) {
+  const r = await pool.query(
+    `SELECT s.* FROM skill_eval_sets s WHERE s.id = $2 AND ${VISIBLE}`, [orgId, setId]);
+  if (!r.rows.length) throw _fail('Eval set not found', 404);
+  const set = r.rows[0];
+  if (forWrite && set.scope === 'platform') {
+    throw _fail('Platform eval sets are managed from the CLI (scripts/eval-skill.js)', 403);
+  }
+  return set;
+}
+
+async function getSet(orgId, setId) {
+  const set = await _loadSet(orgId, setId);
+  const cases = await pool.query(
+    `SELECT * FROM skill_eval_cases WHERE set_id = $1 ORDER BY sort_order, id`, [set.id]);
+  return { ...set, cases: cases.rows };
+}
+
+async function createSet(orgId, userId, body, { scope = 'org' } = {}) {
+  const { skill_name, name, description } = body || {};
+  _validateSkill(skill_name);
+  if (!name || !String(name).trim()) throw _fail('name is required', 400);
+  const tolerance = _validateRate(body.regression_tolerance, 'regression_tolerance') || 0;
+  const minPass   = _validateRate(body.min_pass_rate, 'min_pass_rate');
+
+  const r = await pool.query(`
+    INSERT INTO skill_eval_sets
+      (scope, owner_org_id, skill_name, name, description, regression_tolerance, min_pass_rate, created_by)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *
+  `, [scope, scope === 'org' ? orgId : null, skill_name, String(name).trim(),
+      description || null, tolerance, minPass, userId || null]);
+  return r.rows[0];
+}
+
+async function updateSet(orgId, setId, patch) {
+  await _loadSet(orgId, setId, { forWrite: true });
+  const sets = [], params = [setId];
+  const add = (col, v) => { params.push(v); sets.push(`${col} = $${params.length}`); };
+  const p = patch || {};
+  if (p.name !== undefined) {
+    if (!String(p.name || '').trim()) throw _fail('name cannot be empty', 400);
+    add('name', String(p.name).trim());
+  }
+  if (p.description !== undefined) add('description', p.description || null);
+  if (p.regression_tolerance !== undefined) {
+    add('regression_tolerance', _validateRate(p.regression_tolerance, 'regression_tolerance') || 0);
+  }
+  if (p.min_pass_rate !== undefined) add('min_pass_rate', _validateRate(p.min_pass_rate, 'min_pass_rate'));
+  if (p.is_active !== undefined) add('is_active', p.is_active === true);
+  if (!sets.length) throw _fail('Nothing to update', 400);
+
+  const r = await pool.query(
+    `UPDATE skill_eval_sets SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`, params);
+  return r.rows[0];
+}
+
+async function deleteSet(orgId, setId) {
+  await _loadSet(orgId, setId, { forWrite: true });
+  await pool.query(`DELETE FROM skill_eval_sets WHERE id = $1`, [setId]);
+  return { deleted: true };
+}
+
+// ── cases ────────────────────────────────────────────────────────────────────
+
+async function _insertCase(db, setId, c, sortOrder) {
+  if (!c.label || !String(c.label).trim()) throw _fail('label is required', 400);
+  if (!c.context_payload || typeof c.context_payload !== 'object' || Array.isArray(c.context_payload)) {
+    throw _fail('context_payload must be an object', 400);
+  }
+  const r = await db.query(`
+    INSERT INTO skill_eval_cases
+      (set_id, label, context_payload, methodology, expectations, source_run_id, sort_order)
+    VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *
+  `, [setId, String(c.label).trim(), JSON.stringify(c.context_payload),
+      _validateMethodology(c.methodology), JSON.stringify(_validateExpectations(c.expectations)),
+      c.source_run_id || null, sortOrder]);
+  return r.rows[0];
+}
+
+async function _nextSortOrder(setId) {
+  const r = await pool.query(
+    `SELECT COUNT(*)::int AS n, COALESCE(MAX(sort_order), -1) + 1 AS next
+       FROM skill_eval_cases WHERE set_id = $1`, [setId]);
+  if (r.rows[0].n >= MAX_CASES_PER_SET) throw _fail(`An eval set holds at most ${MAX_CASES_PER_SET} cases`, 400);
+  return r.rows[0].next;
+}
+
+async function addCase(orgId, setId, body) {
+  await _loadSet(orgId, setId, { forWrite: true });
+  return _insertCase(pool, setId, body || {}, await _nextSortOrder(setId));
+}
+
+/**
+ * Turn a real run into a fixture: the payload the model saw, its methodology,
+ * and a link back to the run. Nothing is inferred from the run's own output —
+ * the caller states what "good" looks like in expectations.
+ */
+async function captureCaseFromRun(orgId, setId, runId, { label, expectations } = {}) {
+  const set = await _loadSet(orgId, setId, { forWrite: true });
+  const r = await pool.query(
+    `SELECT id, skill_name, methodology, input_payload, input_payload->'prospect'->>'name' AS prospect_name
+       FROM skill_runs WHERE id = $1 AND org_id = $2`, [runId, orgId]);
+  if (!r.rows.length) throw _fail('Skill run not found', 404);
+  const run = r.rows[0];
+  if (run.skill_name !== set.skill_name) {
+    throw _fail(`Run ${runId} is ${run.skill_name}; this set evaluates ${set.skill_name}`, 400);
+  }
+  return _insertCase(pool, setId, {
+    label: label || run.prospect_name || `Run ${run.id}`,
+    context_payload: run.input_payload,
+    methodology: run.methodology && run.methodology !== 'default' ? run.methodology : null,
+    expectations,
+    source_run_id: run.id,
+  }, await _nextSortOrder(setId));
+}
+
+async function updateCase(orgId, setId, caseId, patch) {
+  await _loadSet(orgId, setId, { forWrite: true });
+  const sets = [], params = [caseId, setId];
+  const add = (col, v) => { params.push(v); sets.push(`${col} = $${params.length}`); };
+  const p = patch || {};
+  if (p.label !== undefined) {
+    if (!String(p.label || '').trim()) throw _fail('label cannot be empty', 400);
+    add('label', String(p.label).trim());
+  }
+  if (p.expectations !== undefined) add('expectations', JSON.stringify(_validateExpectations(p.expectations)));
+  if (p.methodology !== undefined) add('methodology', _validateMethodology(p.methodology));
+  if (p.sort_order !== undefined) add('sort_order', parseInt(p.sort_order, 10) || 0);
+  if (!sets.length) throw _fail('Nothing to update', 400);
+
+  const r = await pool.query(
+    `UPDATE skill_eval_cases SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND set_id = $2 RETURNING *`, params);
+  if (!r.rows.length) throw _fail('Case not found', 404);
+  return r.rows[0];
+}
+
+async function deleteCase(orgId, setId, caseId) {
+  await _loadSet(orgId, setId, { forWrite: true });
+  const r = await pool.query(`DELETE FROM skill_eval_cases WHERE id = $1 AND set_id = $2`, [caseId, setId]);
+  if (!r.rowCount) throw _fail('Case not found', 404);
+  return { deleted: true };
+}
+
+/**
+ * Create or replace a set from a JSON definition (CLI path):
+ *   { skill_name, name, description?, regression_tolerance?, min_pass_rate?,
+ *     cases: [{ label, context_payload, methodology?, expectations? }] }
+ * Matched on (scope, owner, skill_name, name); an existing set's settings
+ * are updated and its cases replaced wholesale.
+ */
+async function importSet(def, { scope = 'platform', orgId = null, createdBy = null } = {}) {
+  const d = def || {};
+  _validateSkill(d.skill_name);
+  if (!d.name || !String(d.name).trim()) throw _fail('name is required', 400);
+  if (!Array.isArray(d.cases) || !d.cases.length) throw _fail('cases must be a non-empty array', 400);
+  if (d.cases.length > MAX_CASES_PER_SET) throw _fail(`An eval set holds at most ${MAX_CASES_PER_SET} cases`, 400);
+  const tolerance = _validateRate(d.regression_tolerance, 'regression_tolerance') || 0;
+  const minPass   = _validateRate(d.min_pass_rate, 'min_pass_rate');
+  const owner = scope === 'org' ? orgId : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(`
+      SELECT id FROM skill_eval_sets
+      WHERE scope = $1 AND owner_org_id IS NOT DISTINCT FROM $2 AND skill_name = $3 AND name = $4
+      FOR UPDATE
+    `, [scope, owner, d.skill_name, String(d.name).trim()]);
+
+    let setId;
+    if (existing.rows.length) {
+      setId = existing.rows[0].id;
+      await client.query(`
+        UPDATE skill_eval_sets
+        SET description = $2, regression_tolerance = $3, min_pass_rate = $4, is_active = TRUE, updated_at = NOW()
+        WHERE id = $1
+      `, [setId, d.description || null, tolerance, minPass]);
+      await client.query(`DELETE FROM skill_eval_cases WHERE set_id = $1`, [setId]);
+    } else {
+      const ins = await client.query(`
+        INSERT INTO skill_eval_sets
+          (scope, owner_org_id, skill_name, name, description, regression_tolerance, min_pass_rate, created_by)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id
+      `, [scope, owner, d.skill_name, String(d.name).trim(), d.description || null, tolerance, minPass, createdBy]);
+      setId = ins.rows[0].id;
+    }
+
+    for (let i = 0; i < d.cases.length; i++) {
+      await _insertCase(client, setId, d.cases[i], i);
+    }
+    await client.query('COMMIT');
+    return { setId, created: !existing.rows.length, caseCount: d.cases.length };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── runs ─────────────────────────────────────────────────────────────────────
+
+async function startRun(orgId, userId, setId, { baseline = 'current', candidate = 'disk' } = {}) {
+  const set = await getSet(orgId, setId);
+  if (!set.is_active) throw _fail('Eval set is inactive', 409);
+  if (!set.cases.length) throw _fail('Eval set has no cases', 400);
+
+  const base = await skillBundles.loadEvalSource(orgId, set.skill_name, baseline);
+  const cand = await skillBundles.loadEvalSource(orgId, set.skill_name, candidate);
+
+  const ins = await pool.query(`
+    INSERT INTO skill_eval_runs
+      (org_id, set_id, skill_name, baseline_bundle_id, baseline_label,
+       candidate_bundle_id, candidate_label, candidate_content_hash, case_count, triggered_by)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *
+  `, [orgId, set.id, set.skill_name, base.bundleId, base.label,
+      cand.bundleId, cand.label, cand.contentHash, set.cases.length, userId]);
+  const run = ins.rows[0];
+
+  setImmediate(async () => {
+    try {
+      await _executeRun(orgId, userId, set, run.id, { baseline: base, candidate: cand });
+    } catch (err) {
+      console.error(`[skill-eval] run ${run.id} failed: ${err.message}`);
+      await pool.query(
+        `UPDATE skill_eval_runs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+        [run.id, err.message]).catch(() => {});
+    }
+  });
+  return run;
+}
+
+async function _runSide(orgId, userId, set, c, source) {
+  const bundle = skillBundles.toRuntimeBundle(
+    { id: source.bundleId, files: source.files }, c.methodology, SkillRunner.ALLOWED_METHODOLOGIES);
+  if (!bundle) throw _fail(`${source.label} has no SKILL.md`, 400);
+  try {
+    const result = await SkillRunner.runSkillWithBundle({
+      orgId, userId, skillName: set.skill_name, methodology: c.methodology,
+      contextPayload: c.context_payload,
+      bundleOverride: { bundle, bundleId: source.bundleId, version: source.version },
+    });
+    return { result, ...scoreResult(result, c.expectations) };
+  } catch (err) {
+    // A failed model call is a failed case; anything else (no AI entitlement,
+    // no key, bad fixture) fails the whole run — retrying case by case
+    // would only repeat it.
+    if (err.statusCode !== 502) throw err;
+    return {
+      result: { ok: false, status: 'execution_failed', runId: err.runId, error: err.message },
+      passed: false, score: 0,
+      checks: [{ check: 'parse', ok: false, error: err.message }],
+    };
+  }
+}
+
+async function _executeRun(orgId, userId, set, runId, sources) {
+  const cases = [];
+  for (const c of set.cases) {
+    const row = { case_id: c.id, label: c.label };
+    for (const side of ['baseline', 'candidate']) {
+      const r = await _runSide(orgId, userId, set, c, sources[side]);
+      await pool.query(`
+        INSERT INTO skill_eval_results
+          (run_id, case_id, side, status, passed, score, output, validation, checks, skill_run_id, error)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+        ON CONFLICT (run_id, case_id, side) DO NOTHING
+      `, [runId, c.id, side, r.result.status, r.passed, r.score,
+          r.result.output ? JSON.stringify(r.result.output) : null,
+          r.result.validation ? JSON.stringify(r.result.validation) : null,
+          JSON.stringify(r.checks), r.result.runId || null, r.result.error || null]);
+      row[side] = {
+        passed: r.passed, score: r.score,
+        failed_checks: r.checks.filter(k => !k.ok).map(k => ((k.path || k.phrase) ? `${k.check}:${k.path || k.phrase}` : k.check)),
+      };
+    }
+    row.change = row.baseline.passed === row.candidate.passed ? 'same'
+      : row.candidate.passed ? 'improved' : 'regressed';
+    cases.push(row);
+  }
+
+  const rate = side => _round((cases.filter(c => c[side].passed).length / cases.length) * 100);
+  const avg  = side => _round(cases.reduce((s, c) => s + c[side].score, 0) / cases.length);
+  const baseRate = rate('baseline');
+  const candRate = rate('candidate');
+  const tolerance = Number(set.regression_tolerance) || 0;
+  const minPass = set.min_pass_rate == null ? null : Number(set.min_pass_rate);
+
+  const reasons = [];
+  if (candRate < baseRate - tolerance) {
+    reasons.push(`pass rate ${candRate}% vs baseline ${baseRate}% (tolerance ${tolerance} pts)`);
+  }
+  if (minPass != null && candRate < minPass) {
+    reasons.push(`pass rate ${candRate}% below minimum ${minPass}%`);
+  }
+
+  const report = {
+    baseline:  { label: sources.baseline.label,  bundle_id: sources.baseline.bundleId,  pass_rate: baseRate, avg_score: avg('baseline') },
+    candidate: { label: sources.candidate.label, bundle_id: sources.candidate.bundleId, pass_rate: candRate, avg_score: avg('candidate') },
+    tolerance, min_pass_rate: minPass,
+    regressed_cases: cases.filter(c => c.change === 'regressed').map(c => c.case_id),
+    improved_cases:  cases.filter(c => c.change === 'improved').map(c => c.case_id),
+    reasons,
+    cases,
+  };
+
+  await pool.query(`
+    UPDATE skill_eval_runs
+    SET status = 'completed', baseline_pass_rate = $2, candidate_pass_rate = $3,
+        regressed = $4, report = $5, completed_at = NOW()
+    WHERE id = $1
+  `, [runId, baseRate, candRate, reasons.length > 0, JSON.stringify(report)]);
+}
+
+async function listRuns(orgId, { setId, skillName, limit = 50 } = {}) {
+  const params = [orgId];
+  const where = ['r.org_id = $1'];
+  if (setId)     { params.push(setId);     where.push(`r.set_id = $${params.length}`); }
+  if (skillName) { params.push(skillName); where.push(`r.skill_name = $${params.length}`); }
+  const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const r = await pool.query(`
+    SELECT r.id, r.set_id, s.name AS set_name, r.skill_name, r.baseline_label, r.candidate_label,
+           r.baseline_bundle_id, r.candidate_bundle_id, r.status, r.case_count,
+           r.baseline_pass_rate, r.candidate_pass_rate, r.regressed, r.error,
+           r.triggered_by, r.started_at, r.completed_at
+    FROM skill_eval_runs r
+    JOIN skill_eval_sets s ON s.id = r.set_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY r.started_at DESC
+    LIMIT ${lim}
+  `, params);
+  return r.rows;
+}
+
+async function getRun(orgId, runId) {
+  const r = await pool.query(`SELECT * FROM skill_eval_runs WHERE id = $1 AND org_id = $2`, [runId, orgId]);
+  if (!r.rows.length) throw _fail('Eval run not found', 404);
+  const results = await pool.query(`
+    SELECT er.*, c.label
+    FROM skill_eval_results er
+    JOIN skill_eval_cases c ON c.id = er.case_id
+    WHERE er.run_id = $1
+    ORDER BY c.sort_order, c.id, er.side
+  `, [runId]);
+  return { ...r.rows[0], results: results.rows };
+}
+
+// ── publish gate ─────────────────────────────────────────────────────────────
+
+async function checkPublishGate(skillName, files, { scope = 'platform', orgId = null } = {}) {
+  const hash = skillBundles.contentHash(files);
+  const params = [skillName];
+  let scopeSql = `s.scope = 'platform'`;
+  if (scope === 'org') { params.push(orgId); scopeSql = `(s.scope = 'platform' OR s.owner_org_id = $2)`; }
+
+  const setsRes = await pool.query(`
+    SELECT s.id, s.name FROM skill_eval_sets s
+    WHERE s.skill_name = $1 AND s.is_active AND ${scopeSql}
+      AND EXISTS (SELECT 1 FROM skill_eval_cases c WHERE c.set_id = s.id)
+    ORDER BY s.id
+  `, params);
+
+  const sets = [];
+  for (const s of setsRes.rows) {
+    // An org publish is judged on runs in that org (its AI config, its pins);
+    // a platform publish accepts a run from any org.
+    const runParams = [s.id, hash];
+    let orgSql = '';
+    if (scope === 'org') { runParams.push(orgId); orgSql = 'AND org_id = $3'; }
+    const run = await pool.query(`
+      SELECT id, regressed, baseline_pass_rate, candidate_pass_rate, report
+      FROM skill_eval_runs
+      WHERE set_id = $1 AND candidate_content_hash = $2 AND status = 'completed' ${orgSql}
+      ORDER BY completed_at DESC LIMIT 1
+    `, runParams);
+    const last = run.rows[0];
+    sets.push({
+      set_id: s.id, name: s.name,
+      status: !last ? 'missing' : last.regressed ? 'regressed' : 'passed',
+      run_id: last ? last.id : null,
+      baseline_pass_rate: last ? Number(last.baseline_pass_rate) : null,
+      candidate_pass_rate: last ? Number(last.candidate_pass_rate) : null,
+      reasons: last && last.report ? last.report.reasons || [] : [],
+    });
+  }
+
+  const missing   = sets.filter(g => g.status === 'missing');
+  const regressed = sets.filter(g => g.status === 'regressed');
+  const parts = [];
+  if (missing.length) {
+    parts.push(`no completed eval run for these files on ${missing.map(g => `"${g.name}"`).join(', ')}`);
+  }
+  for (const g of regressed) parts.push(`"${g.name}" regressed: ${g.reasons.join('; ')}`);
+  return {
+    ok: parts.length === 0,
+    contentHash: hash,
+    sets,
+    message: parts.length ? `Publish blocked by eval gate — ${parts.join('; ')}` : 'Eval gate passed',
+  };
+}
+
+module.exports = {
+  listSets,
+  getSet,
+  createSet,
+  updateSet,
+  deleteSet,
+  addCase,
+  captureCaseFromRun,
+  updateCase,
+  deleteCase,
+  importSet,
+  startRun,
+  listRuns,
+  getRun,
+  checkPublishGate,
+  scoreResult,
+  getPath,
+};
@@ -4,6 +4,8 @@
 // Responsibilities:
 //   - TRANSITIONS map + assertTransition() — same pattern as contractService.js
 //   - SLA stamping: stampSLADueDates(), evaluateBreaches()
+//   - SLA breach sweep: sweepBreaches() — flags cases that went past due
+//       with no activity and fires the case.sla_breached webhook
 //   - Case number generation: nextCaseNumber()
 //   - Playbook play firing: firePlaybookPlays(), getCaseContext()
 //   - Full CRUD: listCases, getCase, createCase, updateCase
@@ -27,6 +29,7 @@ const ActionPersister  = require('./ActionPersister');
 const CasesRulesEngine = require('./CasesRulesEngine');
 const { getDiagnosticRulesConfig } = require('../routes/orgAdmin.routes');
 const PlayCompletionService = require('./PlayCompletionService');  // Phase 6
+const OutboundWebhooks = require('./outboundWebhook.service');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Status transition map
@@ -110,10 +113,13 @@ async function stampSLADueDates(client, caseId, slaTierId, createdAt) {
 }
 
 // Evaluate and set breach flags. Called on every status change and note add.
-// Returns { responseBreached, resolutionBreached }.
+// Returns { responseBreached, resolutionBreached, newlyBreached } where
+// newlyBreached lists the SLAs ('response' | 'resolution') that flipped to
+// breached on this call — pass it to emitBreaches() once the write commits.
 async function evaluateBreaches(client, caseId) {
   const r = await client.query(
-    `SELECT response_due_at, resolution_due_at,
+    `SELECT org_id, case_number, subject, priority, status, account_id, assigned_to,
+            response_due_at, resolution_due_at,
             first_responded_at, resolved_at, closed_at,
             response_breached, resolution_breached
      FROM cases WHERE id = $1`,
@@ -145,7 +151,58 @@ async function evaluateBreaches(client, caseId) {
     );
   }
 
-  return { responseBreached, resolutionBreached };
+  const newlyBreached = [];
+  if (responseBreached && !c.response_breached)     newlyBreached.push('response');
+  if (resolutionBreached && !c.resolution_breached) newlyBreached.push('resolution');
+
+  return { responseBreached, resolutionBreached, newlyBreached, caseRow: c };
+}
+
+// Fire case.sla_breached for each SLA evaluateBreaches() reported as newly
+// breached. Call after the transaction commits.
+function emitBreaches(caseId, result) {
+  const c = result?.caseRow;
+  if (!c || !result.newlyBreached?.length) return;
+  for (const sla of result.newlyBreached) {
+    OutboundWebhooks.emit(c.org_id, 'case.sla_breached', {
+      case: {
+        id:          caseId,
+        caseNumber:  c.case_number,
+        subject:     c.subject,
+        priority:    c.priority,
+        status:      c.status,
+        accountId:   c.account_id,
+        assignedTo:  c.assigned_to,
+      },
+      sla:   sla,
+      dueAt: sla === 'response' ? c.response_due_at : c.resolution_due_at,
+    });
+  }
+}
+
+// Breach flags only move when a case is touched, but an SLA breaches by the
+// clock. Flag every open case that has gone past due since, so the dashboard
+// and the webhook don't wait for the next note. Runs every few minutes from
+// syncScheduler; cheap because the WHERE only matches cases about to flip.
+async function sweepBreaches() {
+  const { rows } = await pool.query(
+    `SELECT id FROM cases
+      WHERE closed_at IS NULL
+        AND ((response_due_at   < NOW() AND first_responded_at IS NULL AND response_breached   IS NOT TRUE)
+          OR (resolution_due_at < NOW() AND resolved_at IS NULL        AND resolution_breached IS NOT TRUE))
+      LIMIT 500`
+  );
+  let flagged = 0;
+  for (const { id } of rows) {
+    try {
+      const result = await evaluateBreaches(pool, id);
+      if (result.newlyBreached?.length) flagged++;
+      emitBreaches(id, result);
+    } catch (err) {
+      console.error(`[support] breach sweep failed for case ${id}:`, err.message);
+    }
+  }
+  return { checked: rows.length, flagged };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -692,6 +749,7 @@ async function updateCase(orgId, caseId, userId, data) {
     assertTransition(current.status, status);
   }
 
+  let breaches = null;
   return withOrgTransaction(orgId, async (client) => {
     const now = new Date();
     const sets = [];
@@ -755,7 +813,7 @@ async function updateCase(orgId, caseId, userId, data) {
         [orgId, caseId, current.status, status, userId, now]
       );
 
-      await evaluateBreaches(client, caseId);
+      breaches = await evaluateBreaches(client, caseId);
     }
 
     // Assignment change: system note
@@ -777,6 +835,7 @@ async function updateCase(orgId, caseId, userId, data) {
 
     return;
   }).then(async () => {
+    emitBreaches(caseId, breaches);
     // Fire plays for new status outside transaction
     if (status && status !== current.status) {
       await firePlaybookPlays(orgId, caseId, status);
@@ -819,8 +878,9 @@ async function addNote(orgId, caseId, userId, { body, isInternal = false }) {
       );
     }
 
-    await evaluateBreaches(client, caseId);
+    const breaches = await evaluateBreaches(client, caseId);
     await client.query('COMMIT');
+    emitBreaches(caseId, breaches);
     return r.rows[0];
   } catch (err) {
     await client.query('ROLLBACK');
@@ -1362,6 +1422,7 @@ module.exports = {
   enableModule,
   // Nightly sweep — Phase 2
   runNightlySweep,
+  sweepBreaches,
   buildCaseContext,         // exported for testing / ad-hoc event triggers
   // Event trigger — Phase 7
   generateForCaseEvent,
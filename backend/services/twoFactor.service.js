@@ -0,0 +1,315 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// twoFactor.service.js
+//
+// DROP-IN LOCATION: backend/services/twoFactor.service.js
+//
+// TOTP (RFC 6238: SHA-1, 6 digits, 30s step, ±1 step drift) two-factor auth,
+// recovery codes, org policy, and the login challenge that sits between a
+// correct password (or SSO code) and a session. Used by routes/auth.routes.js
+// (login), samlSso.service.js (SSO code exchange), routes/auth-2fa.routes.js
+// (challenge), routes/me-2fa.routes.js (self-service),
+// routes/org-security.routes.js (policy) and the super-admin users list.
+//
+//   status(userId)                   { enabled, enabledAt, recoveryCodesRemaining, requiredBy }
+//   requiredBy(userId)               org names whose policy covers this user
+//   beginSetup(userId)               pending secret → { secret, otpauthUrl, qrDataUrl }
+//   confirmSetup(userId, code)       pending → active; returns fresh recovery codes
+//   disable(userId, code)            refused while an org policy requires 2FA
+//   regenerateRecoveryCodes(userId, code)
+//   verify(userId, code)             TOTP or an unused recovery code
+//   loginGate(user, { orgId })       null, or { code, challengeToken } for the login response
+//   useChallenge(token, purpose, fn) 5 attempts / 10 minutes; fn(userId, { orgId }) runs on a live challenge
+//   adminReset(userId)               super-admin support reset
+//
+// Secrets are AES-256-GCM encrypted (credentials/encryption.js); without
+// AI_CREDS_KEY, enrolment is refused rather than storing plaintext.
+//
+// Errors carry err.status (and err.code where the client branches on it).
+// ─────────────────────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { pool } = require('../config/database');
+const enc = require('./credentials/encryption');
+
+const ISSUER          = process.env.MFA_ISSUER || 'GoWarm CRM';
+const STEP_SECONDS    = 30;
+const DIGITS          = 6;
+const DRIFT_STEPS     = 1;
+const RECOVERY_COUNT  = 10;
+const CHALLENGE_TTL   = 10 * 60 * 1000;
+const CHALLENGE_TRIES = 5;
+
+const fail = (message, status, code) => Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// ── RFC 4648 base32 (authenticator apps expect it) ──────────────────────────
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte; bits += 8;
+    while (bits >= 5) { out += B32[(value >>> (bits - 5)) & 31]; bits -= 5; }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const i = B32.indexOf(ch);
+    if (i < 0) continue;
+    value = (value << 5) | i; bits += 5;
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 255); bits -= 8; }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(secretB32, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac('sha1', base32Decode(secretB32)).update(msg).digest();
+  const o = h[h.length - 1] & 0x0f;
+  const n = ((h[o] & 0x7f) << 24) | (h[o + 1] << 16) | (h[o + 2] << 8) | h[o + 3];
+  return String(n % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Matching time step, or null. Steps at or before lastStep are replays.
+function matchTotp(secretB32, code, lastStep) {
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let s = now - DRIFT_STEPS; s <= now + DRIFT_STEPS; s++) {
+    if (lastStep != null && s <= Number(lastStep)) continue;
+    const expected = hotp(secretB32, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return s;
+  }
+  return null;
+}
+
+const normalizeTotp     = (code) => String(code || '').replace(/\s+/g, '');
+const normalizeRecovery = (code) => String(code || '').replace(/[\s-]+/g, '').toLowerCase();
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+async function loadRow(userId, client = pool) {
+  const { rows: [row] } = await client.query(`SELECT * FROM user_mfa WHERE user_id = $1`, [userId]);
+  return row || null;
+}
+
+const activeSecret  = (row) => enc.decrypt(row.secret_ciphertext, row.secret_iv, row.secret_tag);
+const pendingSecret = (row) => enc.decrypt(row.pending_ciphertext, row.pending_iv, row.pending_tag);
+
+async function issueRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await client.query(`DELETE FROM user_mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  for (const c of codes) {
+    await client.query(
+      `INSERT INTO user_mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+      [userId, sha256(normalizeRecovery(c))]);
+  }
+  return codes;
+}
+
+// ── Policy ──────────────────────────────────────────────────────────────────
+
+/** Names of the user's active orgs whose mfa_policy covers them. */
+async function requiredBy(userId) {
+  const { rows } = await pool.query(
+    `SELECT o.name
+       FROM org_users ou
+       JOIN organizations o ON o.id = ou.org_id
+      WHERE ou.user_id = $1 AND ou.is_active = TRUE
+        AND (o.mfa_policy = 'all' OR (o.mfa_policy = 'admins' AND ou.role IN ('owner', 'admin')))
+      ORDER BY o.name`, [userId]);
+  return rows.map(r => r.name);
+}
+
+async function status(userId) {
+  const row = await loadRow(userId);
+  const { rows: [{ n }] } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM user_mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL`, [userId]);
+  return {
+    enabled:                !!row?.enabled_at,
+    enabledAt:              row?.enabled_at || null,
+    recoveryCodesRemaining: row?.enabled_at ? n : 0,
+    requiredBy:             await requiredBy(userId),
+  };
+}
+
+// ── Enrolment ───────────────────────────────────────────────────────────────
+
+async function beginSetup(userId) {
+  if (!enc.isConfigured()) throw fail('Two-factor authentication is not available on this server', 503);
+  const row = await loadRow(userId);
+  if (row?.enabled_at) throw fail('Two-factor authentication is already on', 409);
+
+  const { rows: [u] } = await pool.query(`SELECT email FROM users WHERE id = $1`, [userId]);
+  const secret = base32Encode(crypto.randomBytes(20));
+  const e = enc.encrypt(secret);
+  await pool.query(
+    `INSERT INTO user_mfa (user_id, pending_ciphertext, pending_iv, pending_tag, pending_created_at)
+     VALUES ($1,$2,$3,$4, now())
+     ON CONFLICT (user_id) DO UPDATE SET
+       pending_ciphertext = EXCLUDED.pending_ciphertext, pending_iv = EXCLUDED.pending_iv,
+       pending_tag = EXCLUDED.pending_tag, pending_created_at = now(), updated_at = now()`,
+    [userId, e.ciphertext, e.iv, e.tag]);
+
+  const label = encodeURIComponent(`${ISSUER}:${u.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+                     `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  return { secret, otpauthUrl, qrDataUrl: await QRCode.toDataURL(otpauthUrl) };
+}
+
+async function confirmSetup(userId, code) {
+  code = normalizeTotp(code);
+  const row = await loadRow(userId);
+  if (row?.enabled_at) throw fail('Two-factor authentication is already on', 409);
+  if (!row?.pending_ciphertext) throw fail('Start setup first', 400);
+  if (!/^\d{6}$/.test(code)) throw fail('Enter the 6-digit code from your authenticator app', 400);
+
+  const secret = pendingSecret(row);
+  const step = matchTotp(secret, code, null);
+  if (step == null) throw fail('That code is not valid — check the time on your phone and try again', 400, 'MFA_INVALID_CODE');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE user_mfa SET
+         secret_ciphertext = pending_ciphertext, secret_iv = pending_iv, secret_tag = pending_tag,
+         pending_ciphertext = NULL, pending_iv = NULL, pending_tag = NULL, pending_created_at = NULL,
+         enabled_at = now(), last_used_step = $2, last_used_at = now(), updated_at = now()
+       WHERE user_id = $1`, [userId, step]);
+    const recoveryCodes = await issueRecoveryCodes(client, userId);
+    await client.query('COMMIT');
+    console.log(`[2fa] enabled for user ${userId}`);
+    return { recoveryCodes };
+  } catch (e) { await client.query('ROLLBACK'); throw e; }
+  finally { client.release(); }
+}
+
+// ── Verification ────────────────────────────────────────────────────────────
+
+/**
+ * Accept a current TOTP code or an unused recovery code. Marks the step (or
+ * the recovery code) used so neither can be replayed.
+ *
+ * @returns {Promise<{ method: 'totp'|'recovery' }>}
+ */
+async function verify(userId, code) {
+  const row = await loadRow(userId);
+  if (!row?.enabled_at) throw fail('Two-factor authentication is not on', 400);
+
+  const totp = normalizeTotp(code);
+  if (/^\d{6}$/.test(totp)) {
+    const step = matchTotp(activeSecret(row), totp, row.last_used_step);
+    if (step == null) throw fail('That code is not valid', 401, 'MFA_INVALID_CODE');
+    const { rowCount } = await pool.query(
+      `UPDATE user_mfa SET last_used_step = $2, last_used_at = now()
+        WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`, [userId, step]);
+    if (!rowCount) throw fail('That code was already used', 401, 'MFA_INVALID_CODE');
+    return { method: 'totp' };
+  }
+
+  const { rowCount } = await pool.query(
+    `UPDATE user_mfa_recovery_codes SET used_at = now()
+      WHERE id = (SELECT id FROM user_mfa_recovery_codes
+                   WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL LIMIT 1)`,
+    [userId, sha256(normalizeRecovery(code))]);
+  if (!rowCount) throw fail('That code is not valid', 401, 'MFA_INVALID_CODE');
+  console.log(`[2fa] recovery code used by user ${userId}`);
+  return { method: 'recovery' };
+}
+
+async function disable(userId, code) {
+  const orgs = await requiredBy(userId);
+  if (orgs.length) throw fail(`${orgs.join(', ')} requires two-factor authentication`, 403, 'MFA_REQUIRED_BY_ORG');
+  await verify(userId, code);
+  await pool.query(`DELETE FROM user_mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  await pool.query(`DELETE FROM user_mfa WHERE user_id = $1`, [userId]);
+  console.log(`[2fa] disabled by user ${userId}`);
+  return { enabled: false };
+}
+
+async function regenerateRecoveryCodes(userId, code) {
+  await verify(userId, code);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const recoveryCodes = await issueRecoveryCodes(client, userId);
+    await client.query('COMMIT');
+    return { recoveryCodes };
+  } catch (e) { await client.query('ROLLBACK'); throw e; }
+  finally { client.release(); }
+}
+
+async function adminReset(userId) {
+  await pool.query(`DELETE FROM user_mfa_recovery_codes WHERE user_id = $1`, [userId]);
+  const { rowCount } = await pool.query(`DELETE FROM user_mfa WHERE user_id = $1`, [userId]);
+  await pool.query(`UPDATE mfa_login_challenges SET consumed_at = now() WHERE user_id = $1 AND consumed_at IS NULL`, [userId]);
+  return { reset: rowCount > 0 };
+}
+
+// ── Login challenge ─────────────────────────────────────────────────────────
+
+async function createChallenge(userId, purpose, orgId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(`DELETE FROM mfa_login_challenges WHERE expires_at < now() - interval '1 day'`);
+  await pool.query(
+    `INSERT INTO mfa_login_challenges (user_id, token_hash, purpose, expires_at, org_id)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, sha256(token), purpose, new Date(Date.now() + CHALLENGE_TTL), orgId]);
+  return token;
+}
+
+/**
+ * After a correct password or SSO code: null when the user may have a session
+ * now, else the error body for the login response — MFA_REQUIRED (enter a
+ * code) or MFA_ENROLL_REQUIRED (org policy, not enrolled yet). orgId is the
+ * org an SSO login was for; it rides on the challenge to the session.
+ */
+async function loginGate(user, { orgId = null } = {}) {
+  const row = await loadRow(user.id);
+  if (row?.enabled_at) {
+    return { code: 'MFA_REQUIRED', message: 'Enter the code from your authenticator app', challengeToken: await createChallenge(user.id, 'verify', orgId) };
+  }
+  const orgs = await requiredBy(user.id);
+  if (orgs.length) {
+    return {
+      code: 'MFA_ENROLL_REQUIRED',
+      message: `${orgs[0]} requires two-factor authentication. Set it up to continue.`,
+      challengeToken: await createChallenge(user.id, 'enroll', orgId),
+    };
+  }
+  return null;
+}
+
+/**
+ * Run fn(userId, { orgId }) against a live challenge. Every call claims one
+ * of the attempts up front, in the same statement that checks the limit, so
+ * parallel guesses cannot all slip in under it. Success consumes the
+ * challenge unless keepOpen (enrolment's QR step).
+ */
+async function useChallenge(token, purpose, fn, { keepOpen = false } = {}) {
+  const { rows: [c] } = await pool.query(
+    `UPDATE mfa_login_challenges SET attempts = attempts + 1
+      WHERE token_hash = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > now()
+        AND attempts < $3
+      RETURNING id, user_id, org_id`,
+    [sha256(String(token || '')), purpose, CHALLENGE_TRIES]);
+  if (!c) throw fail('This sign-in has expired. Sign in again.', 401, 'MFA_CHALLENGE_EXPIRED');
+
+  const result = await fn(c.user_id, { orgId: c.org_id });
+  if (!keepOpen) await pool.query(`UPDATE mfa_login_challenges SET consumed_at = now() WHERE id = $1`, [c.id]);
+  return result;
+}
+
+module.exports = {
+  status, requiredBy,
+  beginSetup, confirmSetup, disable, regenerateRecoveryCodes,
+  verify, loginGate, useChallenge, adminReset,
+};
@@ -0,0 +1,91 @@
+/**
+ * utils/publicUrl.js
+ *
+ * Guards for URLs a user typed in and the server then fetches from inside our
+ * network — outbound webhooks, contract files linked by URL, logo images for
+ * branded PDFs. Without them, "https://169.254.169.254/…" or an internal
+ * service name reads our metadata endpoint or private hosts back to the user.
+ *
+ *   isPrivateAddress(ip)     loopback, RFC 1918, link-local, CGNAT, ULA
+ *   assertPublicHost(url)    the host (or every address it resolves to) is public
+ *   getPublic(url, opts)     axios GET of an https URL: every redirect hop is
+ *                            re-checked, and so is the address the socket
+ *                            actually connects to, so a name that flips to a
+ *                            private address after the check is still refused
+ *
+ * Refusals carry err.code = 'PRIVATE_ADDRESS' and err.final = true (a retry
+ * will not help — outboundWebhookJob reads it).
+ */
+
+'use strict';
+
+const dns   = require('dns');
+const net   = require('net');
+const https = require('https');
+const axios = require('axios');
+
+const MAX_REDIRECTS = 3;
+
+function refused(message) {
+  return Object.assign(new Error(message), { code: 'PRIVATE_ADDRESS', final: true });
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+  const v6 = ip.toLowerCase();
+  if (v6.startsWith('::ffff:')) return isPrivateAddress(v6.slice(7));
+  return v6 === '::1' || v6 === '::' || v6.startsWith('fc') || v6.startsWith('fd') || v6.startsWith('fe80');
+}
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/** Checked at fetch time, not only on save: DNS can point a public name at a private address. */
+async function assertPublicHost(url) {
+  const host = hostOf(url);
+  const addrs = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (addrs.some(a => isPrivateAddress(a.address))) throw refused(`${host} resolves to a private address`);
+}
+
+// The same check on the lookup the socket itself makes.
+const publicAgent = new https.Agent({
+  lookup(host, options, cb) {
+    dns.lookup(host, options, (err, address, family) => {
+      if (err) return cb(err);
+      const list = Array.isArray(address) ? address : [{ address }];
+      if (list.some(a => isPrivateAddress(a.address))) return cb(refused(`${host} resolves to a private address`));
+      cb(null, address, family);
+    });
+  },
+});
+
+/**
+ * GET an https URL that must stay on the public internet. Redirects are
+ * followed here, one checked hop at a time, rather than by axios.
+ */
+async function getPublic(url, { maxRedirects = MAX_REDIRECTS, ...opts } = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    if (!/^https:\/\//i.test(current)) throw refused('Only https links can be fetched');
+    await assertPublicHost(current);
+    const res = await axios.get(current, {
+      ...opts,
+      maxRedirects: 0,
+      proxy: false,
+      httpsAgent: publicAgent,
+      validateStatus: (s) => s >= 200 && s < 400,
+    });
+    if (res.status < 300) return res;
+    if (!res.headers.location) throw new Error(`HTTP ${res.status} without a Location`);
+    if (hop >= maxRedirects) throw new Error('Too many redirects');
+    current = new URL(res.headers.location, current).toString();
+  }
+}
+
+module.exports = { isPrivateAddress, assertPublicHost, getPublic };
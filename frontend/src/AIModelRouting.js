@@ -12,7 +12,9 @@
  *     Accepts legacy unqualified stored values and displays them under the
  *     supplied legacyProvider. Free-form models (custom provider) that are
  *     not in any provider's list are injected as a literal option so the
- *     selection is never silently blank.
+ *     selection is never silently blank. Free-form providers also get an
+ *     "Other model…" option that prompts for an id, so a self-hosted model
+ *     can be routed before discovery has listed it.
  *
  *   qualifySlot(slot, legacyProvider, providers) — canonical display form.
  */
@@ -122,6 +124,8 @@ export function EffectiveRoutingTable({ fetcher, endpoint, callTypes = [], refre
 //   onChange       — (qualifiedSlotOrEmptyString) => void
 //   emptyLabel     — label for the '' option (e.g. 'Use default (…)')
 //   style          — select style override
+const FREE_FORM_PREFIX = '__free_form__:';
+
 export function ModelSlotSelect({ providers, value, legacyProvider, onChange, emptyLabel, style }) {
   const qualified = qualifySlot(value, legacyProvider, providers);
 
@@ -131,23 +135,33 @@ export function ModelSlotSelect({ providers, value, legacyProvider, onChange, em
     (p.models || []).some(m => `${p.id}/${m.id}` === qualified)
   );
 
+  const handleChange = (v) => {
+    if (!v.startsWith(FREE_FORM_PREFIX)) return onChange(v);
+    const provider = (providers || []).find(p => p.id === v.slice(FREE_FORM_PREFIX.length));
+    const modelId = window.prompt(`${provider?.label || 'Model'} — model id (as your endpoint names it):`, '');
+    if (modelId && modelId.trim()) onChange(`${provider.id}/${modelId.trim()}`);
+  };
+
   return (
     <select
       value={qualified || ''}
-      onChange={(e) => onChange(e.target.value)}
+      onChange={(e) => handleChange(e.target.value)}
       style={style}
     >
       <option value="">{emptyLabel || '—'}</option>
       {qualified && !listed && (
         <option value={qualified}>{qualified} (unlisted)</option>
       )}
-      {(providers || []).filter(p => (p.models || []).length > 0).map(p => (
+      {(providers || []).filter(p => (p.models || []).length > 0 || p.allowFreeFormModel).map(p => (
         <optgroup key={p.id} label={p.label}>
-          {p.models.map(m => (
+          {(p.models || []).map(m => (
             <option key={`${p.id}/${m.id}`} value={`${p.id}/${m.id}`}>
               {m.label || m.id}{m.tier ? ` — ${m.tier}` : ''}{m.source === 'discovered' ? '  • NEW' : ''}
             </option>
           ))}
+          {p.allowFreeFormModel && (
+            <option value={`${FREE_FORM_PREFIX}${p.id}`}>Other model…</option>
+          )}
         </optgroup>
       ))}
     </select>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { hashIdSegment, writeHash } from './hashNav';
 import AcceptInvite from './AcceptInvite';
+import SsoCallback from './SsoCallback';
 import './App.css';
 import AccountsView from './AccountsView';
 import DealsView from './DealsView';
@@ -197,7 +198,13 @@ const useAuth = () => {
         if (response.status === 429) {
           throw new Error(errorData.error?.message || 'Too many login attempts. Please try again later.');
         }
-        throw new Error(errorData.error?.message || 'Login failed');
+        // SSO_REQUIRED carries the org's IdP sign-in URL; MFA_REQUIRED /
+        // MFA_ENROLL_REQUIRED carry the challenge token for the 2FA step.
+        throw Object.assign(new Error(errorData.error?.message || 'Login failed'), {
+          code:           errorData.error?.code,
+          loginUrl:       errorData.error?.loginUrl,
+          challengeToken: errorData.error?.challengeToken,
+        });
       }
 
       const data = await response.json();
@@ -211,6 +218,37 @@ const useAuth = () => {
     }
   };
 
+  // Second step of a 2FA login: AuthScreen has the { user, token } body.
+  const startSession = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    setUser(data.user);
+  };
+
+  // SAML SSO: swap the one-time code from #/sso-callback for a session.
+  const loginWithSsoCode = async (code) => {
+    const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+    const response = await fetch(`${API_URL}/auth/sso/exchange`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code }),
+    });
+    const data = await response.json().catch(() => ({}));
+    // MFA_REQUIRED / MFA_ENROLL_REQUIRED carry the challenge token, as at login.
+    if (!response.ok) {
+      throw Object.assign(new Error(data.error?.message || 'Single sign-on failed'), {
+        code:           data.error?.code,
+        challengeToken: data.error?.challengeToken,
+      });
+    }
+
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    // Drop the callback hash first so the next render lands on the Dashboard.
+    window.history.replaceState({}, '', window.location.pathname);
+    setUser(data.user);
+  };
+
   const register = async (email, password, firstName, lastName) => {
     try {
       const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -257,7 +295,7 @@ const useAuth = () => {
     setUser(null);
   };
 
-  return { user, login, register, logout, loading };
+  return { user, login, loginWithSsoCode, startSession, register, logout, loading };
 };
 
 // ─────────────────────────────────────────────────────────────
@@ -335,13 +373,20 @@ function PasswordInput({
 // ─────────────────────────────────────────────────────────────
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-function AuthScreen({ onLogin, onRegister, initialMode }) {
-  // mode: 'login' | 'register' | 'forgot' | 'reset' | 'reset_done'
+function AuthScreen({ onLogin, onRegister, onSession, initialMode, initialMfa }) {
+  // mode: 'login' | 'register' | 'forgot' | 'reset' | 'reset_done' | 'sso'
+  //     | 'mfa' | 'mfa_enroll' | 'mfa_codes'
   const [mode,     setMode]     = useState(initialMode || 'login');
-  const [formData, setFormData] = useState({ email: '', password: '', confirmPassword: '', firstName: '', lastName: '' });
+  const [formData, setFormData] = useState({ email: '', password: '', confirmPassword: '', firstName: '', lastName: '', code: '' });
   const [error,    setError]    = useState('');
   const [info,     setInfo]     = useState('');
   const [loading,  setLoading]  = useState(false);
+  const [ssoUrl,   setSsoUrl]   = useState('');   // set when the org requires SSO
+  // 2FA step: challenge from the login response, enrolment QR when an org
+  // requires 2FA, and the session held back until recovery codes are saved.
+  const [mfaToken, setMfaToken] = useState('');
+  const [mfaSetup, setMfaSetup] = useState(null);
+  const [mfaDone,  setMfaDone]  = useState(null);   // { user, token, recoveryCodes }
 
   // Read reset token from URL on mount
   const [resetToken, setResetToken] = useState('');
@@ -363,13 +408,51 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
     setMode(newMode);
     setError('');
     setInfo('');
-    setFormData({ email: '', password: '', confirmPassword: '', firstName: '', lastName: '' });
+    setSsoUrl('');
+    setMfaToken('');
+    setMfaSetup(null);
+    setMfaDone(null);
+    setFormData({ email: '', password: '', confirmPassword: '', firstName: '', lastName: '', code: '' });
+  };
+
+  const postAuth = async (path, body) => {
+    const res  = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw Object.assign(new Error(data.error?.message || 'Request failed'), { code: data.error?.code });
+    return data;
+  };
+
+  const startEnrollment = async (challengeToken) => {
+    setMfaSetup(null);
+    try {
+      setMfaSetup(await postAuth('/auth/2fa/enroll/start', { challengeToken }));
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
+  // An SSO sign-in that still needs the second factor (SsoCallback → App).
+  useEffect(() => {
+    if (!initialMfa) return;
+    setMfaToken(initialMfa.challengeToken);
+    if (initialMfa.code === 'MFA_ENROLL_REQUIRED') {
+      setInfo(initialMfa.message);
+      setMode('mfa_enroll');
+      startEnrollment(initialMfa.challengeToken);
+    } else {
+      setMode('mfa');
+    }
+  }, [initialMfa]); // eslint-disable-line react-hooks/exhaustive-deps
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setInfo('');
+    setSsoUrl('');
     setLoading(true);
     try {
       if (mode === 'register') {
@@ -381,6 +464,14 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
       } else if (mode === 'login') {
         await onLogin(formData.email, formData.password);
 
+      } else if (mode === 'mfa') {
+        onSession(await postAuth('/auth/2fa/verify', { challengeToken: mfaToken, code: formData.code }));
+
+      } else if (mode === 'mfa_enroll') {
+        const data = await postAuth('/auth/2fa/enroll/confirm', { challengeToken: mfaToken, code: formData.code });
+        setMfaDone(data);
+        setMode('mfa_codes');
+
       } else if (mode === 'forgot') {
         const res  = await fetch(`${API_URL}/auth/forgot-password`, {
           method: 'POST',
@@ -391,6 +482,18 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
         if (!res.ok) throw new Error(data.error?.message || 'Request failed');
         setInfo(data.message);
 
+      } else if (mode === 'sso') {
+        const res  = await fetch(`${API_URL}/auth/sso/discover`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: formData.email }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error?.message || 'Request failed');
+        if (!data.sso) throw new Error("Single sign-on isn't set up for this email domain. Sign in with your password instead.");
+        window.location.assign(data.loginUrl);
+        return;
+
       } else if (mode === 'reset') {
         if (formData.password.length < 8) throw new Error('Password must be at least 8 characters');
         if (formData.password !== formData.confirmPassword) throw new Error('Passwords do not match');
@@ -407,6 +510,23 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
       }
     } catch (err) {
       setError(err.message || 'An error occurred');
+      if (err.code === 'SSO_REQUIRED' && err.loginUrl) setSsoUrl(err.loginUrl);
+      if (err.code === 'MFA_REQUIRED' || err.code === 'MFA_ENROLL_REQUIRED') {
+        setError('');
+        setMfaToken(err.challengeToken);
+        setFormData(prev => ({ ...prev, password: '', code: '' }));
+        if (err.code === 'MFA_ENROLL_REQUIRED') {
+          setInfo(err.message);
+          setMode('mfa_enroll');
+          startEnrollment(err.challengeToken);
+        } else {
+          setMode('mfa');
+        }
+      }
+      if (err.code === 'MFA_CHALLENGE_EXPIRED') {
+        go('login');
+        setError(err.message);
+      }
     } finally {
       setLoading(false);
     }
@@ -490,6 +610,147 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
     );
   }
 
+  // ── Single sign-on (email → org's IdP) ───────────────────────────────────
+  if (mode === 'sso') {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          {logo}
+          <h1 className="login-brand">Go<span className="brand-warm">Warm</span> <span className="brand-crm">CRM</span></h1>
+          <p className="login-subtitle">Sign in with single sign-on</p>
+
+          <form onSubmit={handleSubmit} className="login-form" style={{ marginTop: 24 }}>
+            <div className="form-group">
+              <label>Work email</label>
+              <input
+                type="email" name="email" value={formData.email} onChange={handleChange}
+                placeholder="you@company.com" required disabled={loading}
+                autoFocus
+              />
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" className="btn-primary" disabled={loading}>
+              {loading ? <><span className="spinner"></span>Redirecting...</> : 'Continue with SSO'}
+            </button>
+            <div className="auth-toggle">
+              <button type="button" className="btn-toggle" onClick={() => go('login')} disabled={loading}>
+                ← Back to Sign In
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Two-factor: enter a code ─────────────────────────────────────────────
+  if (mode === 'mfa') {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          {logo}
+          <h1 className="login-brand">Go<span className="brand-warm">Warm</span> <span className="brand-crm">CRM</span></h1>
+          <p className="login-subtitle">Two-factor authentication</p>
+
+          <form onSubmit={handleSubmit} className="login-form" style={{ marginTop: 24 }}>
+            <div className="form-group">
+              <label>Authentication code</label>
+              <input
+                type="text" name="code" value={formData.code} onChange={handleChange}
+                placeholder="123456" required disabled={loading}
+                autoComplete="one-time-code" autoFocus
+              />
+              <small className="form-hint">From your authenticator app, or one of your recovery codes.</small>
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" className="btn-primary" disabled={loading}>
+              {loading ? <><span className="spinner"></span>Verifying...</> : 'Verify'}
+            </button>
+            <div className="auth-toggle">
+              <button type="button" className="btn-toggle" onClick={() => go('login')} disabled={loading}>
+                ← Back to Sign In
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Two-factor: enrolment required by org policy ────────────────────────
+  if (mode === 'mfa_enroll') {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          {logo}
+          <h1 className="login-brand">Go<span className="brand-warm">Warm</span> <span className="brand-crm">CRM</span></h1>
+          <p className="login-subtitle">Set up two-factor authentication</p>
+          {info && <div className="success-message" style={{ marginTop: 12, textAlign: 'left' }}>{info}</div>}
+
+          <form onSubmit={handleSubmit} className="login-form" style={{ marginTop: 16 }}>
+            <p style={{ fontSize: 13, color: '#4b5563', margin: '0 0 10px' }}>
+              Scan this with Google Authenticator, 1Password, Authy or similar, then enter the 6-digit code it shows.
+            </p>
+            {mfaSetup ? (
+              <div style={{ textAlign: 'center', marginBottom: 12 }}>
+                <img src={mfaSetup.qrDataUrl} alt="Authenticator QR code" width={180} height={180} />
+                <div style={{ fontSize: 11, color: '#6b7280', wordBreak: 'break-all' }}>
+                  Can't scan? Enter this key: <code>{mfaSetup.secret}</code>
+                </div>
+              </div>
+            ) : (
+              !error && <p style={{ fontSize: 13, color: '#6b7280' }}>Preparing…</p>
+            )}
+            <div className="form-group">
+              <label>Authentication code</label>
+              <input
+                type="text" name="code" value={formData.code} onChange={handleChange}
+                placeholder="123456" required disabled={loading || !mfaSetup}
+                autoComplete="one-time-code" inputMode="numeric"
+              />
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" className="btn-primary" disabled={loading || !mfaSetup}>
+              {loading ? <><span className="spinner"></span>Verifying...</> : 'Turn on and sign in'}
+            </button>
+            <div className="auth-toggle">
+              <button type="button" className="btn-toggle" onClick={() => go('login')} disabled={loading}>
+                ← Back to Sign In
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Two-factor: recovery codes, shown once before entering the app ──────
+  if (mode === 'mfa_codes' && mfaDone) {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          {logo}
+          <h1 className="login-brand">Go<span className="brand-warm">Warm</span> <span className="brand-crm">CRM</span></h1>
+          <p className="login-subtitle">Save your recovery codes</p>
+          <p style={{ fontSize: 13, color: '#4b5563', textAlign: 'left' }}>
+            Each code signs you in once if you lose your phone. They won't be shown again.
+          </p>
+          <pre style={{ background: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: 8, padding: 12,
+                        fontSize: 14, columns: 2, textAlign: 'left' }}>
+            {mfaDone.recoveryCodes.join('\n')}
+          </pre>
+          <button type="button" className="btn-toggle" style={{ marginBottom: 10 }}
+            onClick={() => navigator.clipboard?.writeText(mfaDone.recoveryCodes.join('\n'))}>
+            Copy codes
+          </button>
+          <button type="button" className="btn-primary" onClick={() => onSession(mfaDone)}>
+            I've saved them — continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // ── Reset password (from email link) ─────────────────────────────────────
   if (mode === 'reset') {
     return (
@@ -566,6 +827,12 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
           </div>
 
           {error && <div className="error-message">{error}</div>}
+          {ssoUrl && (
+            <button type="button" className="btn-primary" style={{ marginBottom: 10 }}
+              onClick={() => window.location.assign(ssoUrl)}>
+              Continue with SSO →
+            </button>
+          )}
 
           <button type="submit" className="btn-primary" disabled={loading}>
             {loading ? (
@@ -577,7 +844,15 @@ function AuthScreen({ onLogin, onRegister, initialMode }) {
         </form>
 
         {mode === 'login' && (
-          <div style={{ textAlign: 'right', marginTop: 8 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 8 }}>
+            <button
+              type="button"
+              onClick={() => go('sso')}
+              style={{ background: 'none', border: 'none', color: '#E8630A', fontSize: 13,
+                       fontWeight: 600, cursor: 'pointer', padding: 0 }}
+            >
+              Sign in with SSO
+            </button>
             <button
               type="button"
               onClick={() => go('forgot')}
@@ -1113,7 +1388,8 @@ function Dashboard({ user, onLogout }) {
 // App
 // ─────────────────────────────────────────────────────────────
 function App() {
-  const { user, login, register, logout, loading } = useAuth();
+  const { user, login, loginWithSsoCode, startSession, register, logout, loading } = useAuth();
+  const [ssoMfa, setSsoMfa] = useState(null);   // SSO login waiting on a 2FA code
 
   if (loading) {
     return (
@@ -1135,10 +1411,21 @@ function App() {
           const m = h.match(/token=([^&]+)/);
           if (m) return <AcceptInvite token={decodeURIComponent(m[1])} />;
         }
+        // SAML SSO landing — the backend ACS redirects here with ?code=
+        if (h.startsWith('#/sso-callback')) {
+          return (
+            <SsoCallback
+              onCode={loginWithSsoCode}
+              onMfa={(mfa) => { window.history.replaceState({}, '', window.location.pathname); setSsoMfa(mfa); }}
+            />
+          );
+        }
         return !user ? (
           <AuthScreen
             onLogin={login}
             onRegister={register}
+            onSession={startSession}
+            initialMfa={ssoMfa}
             initialMode={new URLSearchParams(window.location.search).get('token') ? 'reset' : 'login'}
           />
         ) : (
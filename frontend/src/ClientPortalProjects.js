@@ -0,0 +1,513 @@
+/**
+ * ClientPortalProjects.js
+ *
+ * DROP-IN LOCATION: frontend/src/ClientPortalProjects.js
+ *
+ * The Projects tab of the client portal (2026_144). Live status of each
+ * project being delivered to this client: stages and milestone dates against
+ * the dates originally committed, the client's own tasks, files they still
+ * owe, and the promises made to them. From here the client can comment on a
+ * task, send a file against it, and approve or send back a finished stage.
+ *
+ * Everything shown is what GET /portal/projects/:id returns, which is built
+ * client-safe on the server — no team names, no internal notes. Nothing here
+ * filters; if it is in the payload the client may see it.
+ *
+ * Rendered by ClientPortalView, which passes its portalFetch so the session
+ * token and the expired-session handling stay in one place.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+
+const TEAL = '#0F9D8E';
+
+const card = { background: '#fff', border: '1px solid #e5e7eb', borderRadius: 14, padding: '18px 20px' };
+const cardTitle = { fontSize: 13, fontWeight: 700, color: '#374151', marginBottom: 12 };
+const inputStyle = {
+  width: '100%', padding: '8px 11px', borderRadius: 8,
+  border: '1px solid #e5e7eb', fontSize: 13, boxSizing: 'border-box',
+  fontFamily: 'inherit', color: '#111', background: '#fff', outline: 'none',
+};
+
+const STATUS_LABEL = {
+  submitted:    'Being reviewed',
+  acknowledged: 'Ready to start',
+  in_progress:  'In progress',
+  completed:    'Completed',
+};
+
+function fmtDate(d) {
+  if (!d) return '—';
+  const s = String(d).slice(0, 10);
+  const [y, m, day] = s.split('-').map(Number);
+  return new Date(y, m - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Days against the committed date. Positive is late.
+function VarianceBadge({ days, completed }) {
+  if (days == null) return null;
+  const late = days > 0;
+  const label = days === 0
+    ? 'On plan'
+    : late ? `${days}d ${completed ? 'late' : 'behind'}` : `${-days}d early`;
+  return (
+    <span style={{
+      fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 10,
+      background: late ? '#fee2e2' : '#dcfce7', color: late ? '#b91c1c' : '#166534',
+    }}>
+      {label}
+    </span>
+  );
+}
+
+function Bar({ done, total }) {
+  const pct = total ? Math.round((done / total) * 100) : 0;
+  return (
+    <div style={{ height: 8, background: '#f3f4f6', borderRadius: 4, overflow: 'hidden' }}>
+      <div style={{ width: `${pct}%`, height: '100%', background: TEAL, borderRadius: 4, transition: 'width 0.4s ease' }} />
+    </div>
+  );
+}
+
+export default function ClientPortalProjects({ portalFetch }) {
+  const [projects, setProjects] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [status,   setStatus]   = useState(null);
+  const [loading,  setLoading]  = useState(false);
+  const [error,    setError]    = useState('');
+
+  useEffect(() => {
+    portalFetch('/portal/projects')
+      .then(r => {
+        setProjects(r.projects || []);
+        // One project is the common case; do not make them click into it.
+        if ((r.projects || []).length === 1) setSelected(r.projects[0].id);
+      })
+      .catch(err => setError(err.message));
+  }, [portalFetch]);
+
+  const loadStatus = useCallback(async () => {
+    if (!selected) return;
+    setLoading(true);
+    setError('');
+    try {
+      setStatus(await portalFetch(`/portal/projects/${selected}`));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [portalFetch, selected]);
+
+  useEffect(() => { setStatus(null); loadStatus(); }, [loadStatus]);
+
+  if (error && !projects) {
+    return <div style={{ ...card, color: '#dc2626', fontSize: 13 }}>⚠️ {error}</div>;
+  }
+  if (!projects) {
+    return <div style={{ padding: 40, textAlign: 'center', color: '#9ca3af' }}>Loading projects…</div>;
+  }
+  if (!projects.length) {
+    return (
+      <div style={{ ...card, padding: 40, textAlign: 'center', color: '#9ca3af', fontSize: 13 }}>
+        No projects are being delivered to you yet. Once one starts, its progress will appear here.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      {projects.length > 1 && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 12 }}>
+          {projects.map(p => (
+            <button key={p.id} onClick={() => setSelected(p.id)} style={{
+              ...card, padding: '14px 16px', textAlign: 'left', cursor: 'pointer', fontFamily: 'inherit',
+              borderColor: selected === p.id ? TEAL : '#e5e7eb',
+              boxShadow: selected === p.id ? `0 0 0 1px ${TEAL}` : 'none',
+            }}>
+              <div style={{ fontSize: 13, fontWeight: 700, color: '#111827', marginBottom: 4 }}>{p.name}</div>
+              <div style={{ fontSize: 11, color: '#6b7280', marginBottom: 8 }}>
+                {STATUS_LABEL[p.status] || p.status}
+                {p.goLiveDate ? ` · go-live ${fmtDate(p.goLiveDate)}` : ''}
+              </div>
+              <Bar done={p.completedTasks} total={p.tasks} />
+              {p.awaitingClient > 0 && (
+                <div style={{ fontSize: 11, color: '#b45309', fontWeight: 600, marginTop: 8 }}>
+                  {p.awaitingClient} task{p.awaitingClient === 1 ? '' : 's'} waiting on you
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && projects && (
+        <div style={{ padding: '10px 14px', background: '#fef2f2', borderRadius: 8, fontSize: 13, color: '#dc2626' }}>⚠️ {error}</div>
+      )}
+      {selected && loading && !status && (
+        <div style={{ padding: 40, textAlign: 'center', color: '#9ca3af' }}>Loading project…</div>
+      )}
+      {status && <ProjectStatus status={status} portalFetch={portalFetch} onChanged={loadStatus} />}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ONE PROJECT
+// ─────────────────────────────────────────────────────────────────────────────
+function ProjectStatus({ status, portalFetch, onChanged }) {
+  const { project, summary, stages, clientActions, evidenceNeeded, commitments } = status;
+  const openActions = clientActions.filter(a => !a.completed);
+  const doneActions = clientActions.filter(a => a.completed);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+      <div style={card}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: 12, flexWrap: 'wrap', marginBottom: 14 }}>
+          <div style={{ fontSize: 18, fontWeight: 800, color: '#111827' }}>{project.name}</div>
+          <span style={{ fontSize: 11, fontWeight: 600, padding: '2px 10px', borderRadius: 20, background: `${TEAL}18`, color: TEAL }}>
+            {STATUS_LABEL[project.status] || project.status}
+          </span>
+          {project.goLiveDate && (
+            <span style={{ fontSize: 12, color: '#6b7280' }}>Go-live {fmtDate(project.goLiveDate)}</span>
+          )}
+        </div>
+        <div style={{ display: 'flex', gap: 32, flexWrap: 'wrap' }}>
+          {[
+            { label: 'Tasks complete', value: `${summary.completedTasks} / ${summary.totalTasks}` },
+            { label: 'On time',        value: summary.onTimePct == null ? '—' : `${summary.onTimePct}%` },
+            { label: 'Behind plan',    value: summary.openOverdue, color: summary.openOverdue ? '#b91c1c' : undefined },
+            { label: 'Waiting on you', value: openActions.length, color: openActions.length ? '#b45309' : undefined },
+          ].map(k => (
+            <div key={k.label}>
+              <div style={{ fontSize: 24, fontWeight: 800, color: k.color || '#111827' }}>{k.value}</div>
+              <div style={{ fontSize: 11, color: '#9ca3af', textTransform: 'uppercase', letterSpacing: 0.4 }}>{k.label}</div>
+            </div>
+          ))}
+        </div>
+        {summary.inferredBaselines > 0 && (
+          <div style={{ fontSize: 11, color: '#92400e', marginTop: 12 }}>
+            Some planned dates were recorded after work began, so delays against them may be understated.
+          </div>
+        )}
+      </div>
+
+      {evidenceNeeded.length > 0 && (
+        <div style={{ ...card, background: '#fffbeb', borderColor: '#fde68a' }}>
+          <div style={{ ...cardTitle, color: '#92400e' }}>Files we need from you</div>
+          {evidenceNeeded.map(e => (
+            <div key={e.id} style={{ fontSize: 13, color: '#78350f', marginBottom: 4 }}>
+              📎 {e.title}{e.dueDate ? ` — due ${fmtDate(e.dueDate)}` : ''}
+            </div>
+          ))}
+          <div style={{ fontSize: 11, color: '#92400e', marginTop: 6 }}>Upload against the task below.</div>
+        </div>
+      )}
+
+      {openActions.length > 0 && (
+        <div style={card}>
+          <div style={cardTitle}>Your tasks</div>
+          {openActions.map(a => (
+            <ClientTask key={a.id} task={a} projectId={project.id} portalFetch={portalFetch} onChanged={onChanged} />
+          ))}
+        </div>
+      )}
+
+      <div style={card}>
+        <div style={cardTitle}>Stages</div>
+        {stages.length === 0 && <div style={{ fontSize: 12, color: '#9ca3af' }}>The plan has not been published yet.</div>}
+        {stages.map(s => (
+          <StageRow key={s.key} stage={s} projectId={project.id} portalFetch={portalFetch} onChanged={onChanged} />
+        ))}
+      </div>
+
+      {commitments.length > 0 && (
+        <div style={card}>
+          <div style={cardTitle}>What we committed to</div>
+          {commitments.map(c => (
+            <div key={c.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 0', borderTop: '1px solid #f3f4f6' }}>
+              <div style={{ flex: 1, fontSize: 13, color: '#111827' }}>{c.description}</div>
+              <div style={{ fontSize: 11, color: c.isOverdue ? '#b91c1c' : '#6b7280' }}>
+                {c.dueDate ? fmtDate(c.dueDate) : ''}
+              </div>
+              <span style={{
+                fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 10, textTransform: 'uppercase',
+                background: c.status === 'met' ? '#dcfce7' : c.isOverdue ? '#fee2e2' : '#f3f4f6',
+                color: c.status === 'met' ? '#166534' : c.isOverdue ? '#b91c1c' : '#6b7280',
+              }}>
+                {c.status === 'in_progress' ? 'in progress' : c.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {doneActions.length > 0 && (
+        <div style={card}>
+          <div style={cardTitle}>Your completed tasks</div>
+          {doneActions.map(a => (
+            <ClientTask key={a.id} task={a} projectId={project.id} portalFetch={portalFetch} onChanged={onChanged} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STAGE — progress, dates vs plan, milestones, sign-off
+// ─────────────────────────────────────────────────────────────────────────────
+function StageRow({ stage, projectId, portalFetch, onChanged }) {
+  const [mode,    setMode]    = useState(null);   // null | 'approved' | 'changes_requested'
+  const [comment, setComment] = useState('');
+  const [busy,    setBusy]    = useState(false);
+  const [msg,     setMsg]     = useState('');
+
+  const submit = async () => {
+    setBusy(true);
+    setMsg('');
+    try {
+      await portalFetch(`/portal/projects/${projectId}/stages/${encodeURIComponent(stage.key)}/signoff`, {
+        method: 'POST',
+        body: JSON.stringify({ decision: mode, comment }),
+      });
+      setMode(null);
+      setComment('');
+      onChanged();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const so = stage.signoff;
+
+  return (
+    <div style={{ padding: '12px 0', borderTop: '1px solid #f3f4f6' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap', marginBottom: 6 }}>
+        <div style={{ fontSize: 13, fontWeight: 700, color: '#111827', minWidth: 160 }}>
+          {stage.complete ? '✓ ' : ''}{stage.name}
+        </div>
+        <div style={{ flex: 1, minWidth: 120 }}><Bar done={stage.completedTasks} total={stage.tasks} /></div>
+        <div style={{ fontSize: 11, color: '#6b7280', whiteSpace: 'nowrap' }}>
+          {stage.completedTasks}/{stage.tasks}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: 16, fontSize: 12, color: '#6b7280', flexWrap: 'wrap', alignItems: 'center' }}>
+        <span>Planned finish {fmtDate(stage.baselineEnd)}</span>
+        <span>{stage.complete ? 'Finished' : 'Expected'} {fmtDate(stage.forecastEnd)}</span>
+        <VarianceBadge days={stage.varianceDays} completed={stage.complete} />
+      </div>
+
+      {stage.milestones.length > 0 && (
+        <div style={{ marginTop: 8, paddingLeft: 12, borderLeft: '2px solid #e5e7eb' }}>
+          {stage.milestones.map(m => (
+            <div key={m.id} style={{ display: 'flex', gap: 10, alignItems: 'center', fontSize: 12, padding: '3px 0' }}>
+              <span style={{ color: m.completed ? '#059669' : '#9ca3af' }}>{m.completed ? '◆' : '◇'}</span>
+              <span style={{ flex: 1, color: '#374151' }}>{m.title}</span>
+              <span style={{ color: '#9ca3af' }}>
+                plan {fmtDate(m.baselineDueDate)}
+                {m.completed ? ` · done ${fmtDate(m.completedAt)}` : m.dueDate !== m.baselineDueDate ? ` · now ${fmtDate(m.dueDate)}` : ''}
+              </span>
+              <VarianceBadge days={m.varianceDays} completed={m.completed} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {so && (
+        <div style={{
+          marginTop: 8, fontSize: 12, padding: '6px 10px', borderRadius: 8,
+          background: so.decision === 'approved' ? '#f0fdf4' : '#fef3c7',
+          color: so.decision === 'approved' ? '#065f46' : '#92400e',
+        }}>
+          {so.decision === 'approved' ? 'Approved' : 'Changes requested'}
+          {so.byName ? ` by ${so.byName}` : ''} on {fmtDate(so.at)}
+          {so.comment ? ` — “${so.comment}”` : ''}
+        </div>
+      )}
+
+      {stage.canSignOff && !mode && (
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button onClick={() => setMode('approved')} style={{
+            padding: '6px 14px', borderRadius: 7, border: 'none', background: TEAL, color: '#fff',
+            fontSize: 12, fontWeight: 600, cursor: 'pointer',
+          }}>
+            Approve stage
+          </button>
+          <button onClick={() => setMode('changes_requested')} style={{
+            padding: '6px 14px', borderRadius: 7, border: '1px solid #e5e7eb', background: '#fff', color: '#374151',
+            fontSize: 12, cursor: 'pointer',
+          }}>
+            Request changes
+          </button>
+        </div>
+      )}
+
+      {mode && (
+        <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 8 }}>
+          <textarea value={comment} onChange={e => setComment(e.target.value)} rows={2}
+            placeholder={mode === 'approved' ? 'Comment (optional)' : 'What needs to change?'}
+            style={{ ...inputStyle, resize: 'vertical' }} />
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <button onClick={() => { setMode(null); setMsg(''); }} style={{
+              padding: '6px 14px', borderRadius: 7, border: '1px solid #e5e7eb', background: '#fff', color: '#374151',
+              fontSize: 12, cursor: 'pointer',
+            }}>
+              Cancel
+            </button>
+            <button onClick={submit} disabled={busy || (mode === 'changes_requested' && !comment.trim())} style={{
+              padding: '6px 14px', borderRadius: 7, border: 'none',
+              background: busy ? '#9ca3af' : TEAL, color: '#fff', fontSize: 12, fontWeight: 600,
+              cursor: busy ? 'not-allowed' : 'pointer',
+            }}>
+              {busy ? 'Saving…' : mode === 'approved' ? `Approve ${stage.name}` : 'Send back'}
+            </button>
+            {msg && <span style={{ fontSize: 12, color: '#dc2626' }}>{msg}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLIENT TASK — dates, files sent, upload, comments
+// ─────────────────────────────────────────────────────────────────────────────
+function ClientTask({ task, projectId, portalFetch, onChanged }) {
+  const [open,      setOpen]      = useState(false);
+  const [comments,  setComments]  = useState(null);
+  const [draft,     setDraft]     = useState('');
+  const [file,      setFile]      = useState(null);
+  const [fileNote,  setFileNote]  = useState('');
+  const [busy,      setBusy]      = useState(false);
+  const [msg,       setMsg]       = useState('');
+
+  const base = `/portal/projects/${projectId}/plays/${task.id}`;
+
+  const loadComments = useCallback(() => {
+    portalFetch(`${base}/comments`)
+      .then(r => setComments(r.comments || []))
+      .catch(err => setMsg(err.message));
+  }, [portalFetch, base]);
+
+  useEffect(() => { if (open && comments === null) loadComments(); }, [open, comments, loadComments]);
+
+  const sendComment = async () => {
+    setBusy(true);
+    setMsg('');
+    try {
+      await portalFetch(`${base}/comments`, { method: 'POST', body: JSON.stringify({ body: draft }) });
+      setDraft('');
+      loadComments();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendFile = async () => {
+    setBusy(true);
+    setMsg('');
+    try {
+      const fd = new FormData();
+      fd.append('file', file);
+      if (fileNote.trim()) fd.append('note', fileNote.trim());
+      await portalFetch(`${base}/evidence`, { method: 'POST', body: fd });
+      setFile(null);
+      setFileNote('');
+      setMsg('✅ Sent — the team will review it.');
+      onChanged();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const latest = task.submissions[0];
+
+  return (
+    <div style={{ padding: '10px 0', borderTop: '1px solid #f3f4f6' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+        <span style={{ color: task.completed ? '#059669' : '#9ca3af' }}>{task.completed ? '✓' : '○'}</span>
+        <div style={{ flex: 1, minWidth: 200 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#111827' }}>{task.title}</div>
+          <div style={{ fontSize: 11, color: '#9ca3af' }}>
+            {task.stageName}
+            {task.dueDate ? ` · due ${fmtDate(task.dueDate)}` : ''}
+            {task.baselineDueDate && task.baselineDueDate !== task.dueDate ? ` (planned ${fmtDate(task.baselineDueDate)})` : ''}
+          </div>
+        </div>
+        {task.overdue && <VarianceBadge days={task.varianceDays} completed={false} />}
+        {task.evidenceRequired && !task.completed && (
+          <span style={{ fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 10, background: '#fef3c7', color: '#92400e' }}>
+            FILE NEEDED
+          </span>
+        )}
+        <button onClick={() => setOpen(v => !v)} style={{
+          padding: '4px 10px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#fff',
+          color: '#374151', fontSize: 12, cursor: 'pointer',
+        }}>
+          {open ? 'Close' : 'Comment / upload'}
+        </button>
+      </div>
+
+      {latest && (
+        <div style={{ fontSize: 11, marginTop: 4, marginLeft: 22, color: latest.status === 'rejected' ? '#b91c1c' : latest.status === 'accepted' ? '#059669' : '#6b7280' }}>
+          {latest.fileName} — {latest.status === 'pending' ? 'waiting for review' : latest.status}
+          {latest.status === 'rejected' && latest.reviewNote ? `: ${latest.reviewNote}` : ''}
+        </div>
+      )}
+
+      {open && (
+        <div style={{ marginTop: 10, marginLeft: 22, display: 'flex', flexDirection: 'column', gap: 10 }}>
+          {!task.completed && (
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+              <input type="file" onChange={e => setFile(e.target.files && e.target.files[0])} style={{ fontSize: 12 }} />
+              <input value={fileNote} onChange={e => setFileNote(e.target.value)} placeholder="Note about the file (optional)"
+                style={{ ...inputStyle, flex: 1, minWidth: 160, width: 'auto' }} />
+              <button onClick={sendFile} disabled={busy || !file} style={{
+                padding: '7px 14px', borderRadius: 7, border: 'none',
+                background: busy || !file ? '#9ca3af' : TEAL, color: '#fff', fontSize: 12, fontWeight: 600,
+                cursor: busy || !file ? 'not-allowed' : 'pointer',
+              }}>
+                Send file
+              </button>
+            </div>
+          )}
+
+          <div style={{ background: '#f9fafb', borderRadius: 8, padding: '10px 12px' }}>
+            {comments === null && <div style={{ fontSize: 12, color: '#9ca3af' }}>Loading comments…</div>}
+            {comments && !comments.length && <div style={{ fontSize: 12, color: '#9ca3af' }}>No comments yet.</div>}
+            {(comments || []).map(c => (
+              <div key={c.id} style={{ marginBottom: 8 }}>
+                <div style={{ fontSize: 11, color: c.fromClient ? TEAL : '#6b7280', fontWeight: 600 }}>
+                  {c.isMine ? 'You' : c.authorName} · {new Date(c.createdAt).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                </div>
+                <div style={{ fontSize: 13, color: '#111827', whiteSpace: 'pre-wrap' }}>{c.body}</div>
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+              <textarea value={draft} onChange={e => setDraft(e.target.value)} rows={2} placeholder="Write a comment…"
+                style={{ ...inputStyle, resize: 'vertical', flex: 1 }} />
+              <button onClick={sendComment} disabled={busy || !draft.trim()} style={{
+                padding: '7px 14px', borderRadius: 7, border: 'none', alignSelf: 'flex-end',
+                background: busy || !draft.trim() ? '#9ca3af' : TEAL, color: '#fff', fontSize: 12, fontWeight: 600,
+                cursor: busy || !draft.trim() ? 'not-allowed' : 'pointer',
+              }}>
+                Post
+              </button>
+            </div>
+          </div>
+
+          {msg && (
+            <div style={{ fontSize: 12, color: msg.startsWith('✅') ? '#065f46' : '#dc2626' }}>{msg}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,19 +10,22 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import ClientPortalProjects from './ClientPortalProjects';
 
 const API  = process.env.REACT_APP_API_URL || '';
 const TEAL = '#0F9D8E';
 
 function portalFetch(path, options = {}) {
   const token = localStorage.getItem('portalToken');
+  // A file upload must let the browser set the multipart boundary itself.
+  const isForm = typeof FormData !== 'undefined' && options.body instanceof FormData;
   return fetch(`${API}${path}`, {
+    ...options,
     headers: {
-      'Content-Type': 'application/json',
+      ...(isForm ? {} : { 'Content-Type': 'application/json' }),
       ...(token ? { Authorization: `Bearer ${token}` } : {}),
       ...(options.headers || {}),
     },
-    ...options,
   }).then(r => {
     if (!r.ok) return r.json().then(e => Promise.reject(new Error(e?.error?.message || r.statusText)));
     return r.json();
@@ -190,6 +193,7 @@ export default function ClientPortalView() {
 
   const TABS = [
     { key: 'overview',  label: '📊 Overview'  },
+    { key: 'projects',  label: '🏗 Projects'  },
     { key: 'pipeline',  label: '🎯 Pipeline'  },
     { key: 'outreach',  label: '✉️ Activity'  },
     { key: 'sequences', label: '📋 Sequences' },
@@ -332,6 +336,9 @@ export default function ClientPortalView() {
           </div>
         )}
 
+        {/* ── PROJECTS ──────────────────────────────────────────────────── */}
+        {tab === 'projects' && <ClientPortalProjects portalFetch={portalFetch} />}
+
         {/* ── PIPELINE ──────────────────────────────────────────────────── */}
         {tab === 'pipeline' && (
           <div style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 14, padding: '18px 20px' }}>
@@ -30,6 +30,7 @@
 import React, { useState, useEffect } from 'react';
 import { apiService } from './apiService';
 import DocumentVersionsPanel from './DocumentVersionsPanel';
+import ContractRedlinePanel from './ContractRedlinePanel';
 import LegalReviewPanel from './LegalReviewPanel';
 import ContractActionsPanel from './ContractActionsPanel';
 import './ContractDetailPanel.css';
@@ -125,6 +126,11 @@ const EV_ICONS = {
   customer_returned_to_sales:         '🔁',
   review_handoff:                     '🔀',
   review_sub_status_set:              '🏷️',
+  clause_flags_raised:                '🚩',
+  renewal_deal_created:               '🔁',
+  renewal_terms_updated:              '🗓️',
+  non_renewal_notice_recorded:        '🛑',
+  auto_renewed:                       '♻️',
 };
 
 const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'SGD', 'INR'];
@@ -252,6 +258,7 @@ function ReassignInline({ contractId, legalMembers, onDone, onCancel }) {
 
 export default function ContractDetailPanel({ contract: c, isLegalMember, onClose, onUpdated }) {
   const [tab, setTab]                       = useState('details');
+  const [redlinePair, setRedlinePair]       = useState(null);
   const [busy, setBusy]                     = useState('');
   const [err, setErr]                       = useState('');
 
@@ -511,6 +518,7 @@ export default function ContractDetailPanel({ contract: c, isLegalMember, onClos
   const TABS = [
     { id: 'details',      label: 'Details' },
     { id: 'document',     label: 'Document' },
+    { id: 'redline',      label: 'Redline' },
     { id: 'legal',        label: 'Legal' },
     { id: 'approvals',    label: 'Approvals' },
     { id: 'signatories',  label: 'Signatories' },
@@ -616,7 +624,11 @@ export default function ContractDetailPanel({ contract: c, isLegalMember, onClos
 
       <div className="cdp-body">
         {tab === 'details'     && <DetailsTab c={c} isLegalMember={isLegalMember} onUpdated={onUpdated} />}
-        {tab === 'document'    && <DocumentVersionsPanel contract={c} onUpdated={onUpdated} />}
+        {tab === 'document'    && (
+          <DocumentVersionsPanel contract={c} onUpdated={onUpdated}
+            onCompare={(from, to) => { setRedlinePair({ from, to }); setTab('redline'); }} />
+        )}
+        {tab === 'redline'     && <ContractRedlinePanel contract={c} initialPair={redlinePair} onUpdated={onUpdated} />}
         {tab === 'legal'       && <LegalReviewPanel contract={c} isLegalMember={isLegalMember} onUpdated={onUpdated} />}
         {tab === 'approvals'   && <ApprovalsTab c={c} onUpdated={onUpdated} />}
         {tab === 'signatories' && <SignatoriesTab c={c} onUpdated={onUpdated} />}
@@ -896,6 +908,8 @@ function DetailsTab({ c, isLegalMember, onUpdated }) {
         )}
       </div>
 
+      <RenewalSection c={c} onUpdated={onUpdated} />
+
       {/* Hierarchy — full recursive tree */}
       <ContractHierarchyTree
         contractId={c.id}
@@ -906,6 +920,135 @@ function DetailsTab({ c, isLegalMember, onUpdated }) {
   );
 }
 
+// ── Renewal (2026_150) ────────────────────────────────────────────────────────
+// Terms stay editable after signature — that is usually when they are known
+// for certain. The renewal deal is opened by the daily sweep inside the org's
+// lead window; "Create renewal deal" opens it early.
+
+const RENEWAL_HIDDEN_STATUSES = ['void', 'cancelled', 'terminated'];
+const RENEWAL_DEAL_STATUSES   = ['signed', 'active', 'expired'];
+
+function RenewalSection({ c, onUpdated }) {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm]       = useState({});
+  const [busy, setBusy]       = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (RENEWAL_HIDDEN_STATUSES.includes(c.status)) return null;
+
+  const endDate = c.expiryDate || c.agreementEndDate;
+  const noticeDeadline = endDate && c.noticePeriodDays != null
+    ? new Date(new Date(endDate).getTime() - c.noticePeriodDays * 86400000)
+    : null;
+
+  function startEdit() {
+    setForm({
+      autoRenew:          !!c.autoRenew,
+      renewalTermMonths:  c.renewalTermMonths ?? '',
+      noticePeriodDays:   c.noticePeriodDays ?? '',
+      nonRenewalNoticeAt: c.nonRenewalNoticeAt?.split('T')[0] || '',
+    });
+    setMessage('');
+    setEditing(true);
+  }
+
+  async function save() {
+    setBusy(true);
+    try {
+      await apiService.contracts.updateRenewalTerms(c.id, form);
+      setEditing(false); onUpdated();
+    } catch (e) {
+      alert(e.response?.data?.error?.message || 'Save failed');
+    } finally { setBusy(false); }
+  }
+
+  async function createDeal() {
+    setBusy(true); setMessage('');
+    try {
+      const r = await apiService.contracts.createRenewalDeal(c.id);
+      setMessage(`Renewal deal "${r.data.deal.name}" created with ${r.data.lineItems} line item${r.data.lineItems === 1 ? '' : 's'}.`);
+      onUpdated();
+    } catch (e) {
+      alert(e.response?.data?.error?.message || 'Could not create the renewal deal');
+    } finally { setBusy(false); }
+  }
+
+  function f(k, v) { setForm(prev => ({ ...prev, [k]: v })); }
+
+  return (
+    <div className="cdp-renewal">
+      <div className="cdp-section-hd">
+        <span className="cdp-section-ttl">Renewal</span>
+        {!editing && <button className="cdp-edit-btn" onClick={startEdit}>Edit</button>}
+      </div>
+
+      {editing ? (
+        <div className="cdp-edit">
+          <label className="cdp-check">
+            <input type="checkbox" checked={form.autoRenew}
+              onChange={e => f('autoRenew', e.target.checked)} />
+            Auto-renews unless notice is given
+          </label>
+          <div className="cdp-row2">
+            <label className="cdp-lbl">Renewal term (months)
+              <input className="cdp-inp" type="number" min="1" max="120" placeholder="12"
+                value={form.renewalTermMonths} onChange={e => f('renewalTermMonths', e.target.value)} />
+            </label>
+            <label className="cdp-lbl">Notice period (days)
+              <input className="cdp-inp" type="number" min="0" max="730" placeholder="None"
+                value={form.noticePeriodDays} onChange={e => f('noticePeriodDays', e.target.value)} />
+            </label>
+          </div>
+          <label className="cdp-lbl">Notice of non-renewal received on
+            <input className="cdp-inp" type="date" value={form.nonRenewalNoticeAt}
+              onChange={e => f('nonRenewalNoticeAt', e.target.value)} />
+          </label>
+          <div className="cdp-edit-btns">
+            <button className="cdp-save" onClick={save} disabled={busy}>{busy ? 'Saving…' : 'Save'}</button>
+            <button className="cdp-cancel" onClick={() => setEditing(false)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div className="cdp-grid">
+          <div className="cdp-field">
+            <div className="cdp-fk">Renewal</div>
+            <div className="cdp-fv">
+              {c.autoRenew ? `Auto-renews every ${c.renewalTermMonths || 12} months` : 'Renewed by a new agreement'}
+            </div>
+          </div>
+          <div className="cdp-field">
+            <div className="cdp-fk">Notice Period</div>
+            <div className="cdp-fv">
+              {c.noticePeriodDays != null
+                ? `${c.noticePeriodDays} days${noticeDeadline ? ` · by ${fmt(noticeDeadline)}` : ''}`
+                : '—'}
+            </div>
+          </div>
+          {c.nonRenewalNoticeAt && (
+            <div className="cdp-field">
+              <div className="cdp-fk">Non-renewal Notice</div>
+              <div className="cdp-fv" style={{ color: '#b91c1c' }}>Received {fmt(c.nonRenewalNoticeAt)}</div>
+            </div>
+          )}
+          <div className="cdp-field">
+            <div className="cdp-fk">Renewal Deal</div>
+            <div className="cdp-fv">
+              {c.renewalDealName
+                ? <>📂 {c.renewalDealName}{c.renewalDealStage && <span style={{ color: '#94a3b8' }}> · {c.renewalDealStage.replace(/_/g, ' ')}</span>}</>
+                : RENEWAL_DEAL_STATUSES.includes(c.status) && endDate
+                  ? <button className="cdp-edit-btn" onClick={createDeal} disabled={busy}>
+                      {busy ? 'Creating…' : '+ Create renewal deal'}
+                    </button>
+                  : <span style={{ color: '#94a3b8' }}>Opened automatically ahead of the end date</span>}
+            </div>
+          </div>
+        </div>
+      )}
+      {message && <div style={{ fontSize: 12, color: '#065f46', marginTop: 8 }}>{message}</div>}
+    </div>
+  );
+}
+
 // ── Contract Hierarchy Tree (Chunk 5) ─────────────────────────────────────────
 // Calls GET /contracts/:id/hierarchy, renders the full lineage recursively.
 // Response shape: { root: HierarchyNode }
@@ -0,0 +1,375 @@
+// ContractRedlinePanel.js — 2026_149
+// Side-by-side comparison of two document versions, with the clause library
+// check of the newer one.
+//   • From / To version pickers — defaults to the version before current vs current
+//   • Text status per side; re-read the file or paste the text when it cannot be read
+//   • Paragraph rows: unchanged (collapsed), changed (word-level marks), removed, added
+//   • Clause flags for the "To" version, with the library's approved / fallback
+//     wording alongside so legal can send back the standard text
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { apiService } from './apiService';
+
+const FLAG_STYLE = {
+  forbidden:    { label: 'Forbidden',    bg: '#fee2e2', text: '#991b1b', icon: '⛔' },
+  non_standard: { label: 'Non-standard', bg: '#fef3c7', text: '#92400e', icon: '⚠️' },
+  missing:      { label: 'Missing',      bg: '#fee2e2', text: '#991b1b', icon: '❔' },
+  fallback:     { label: 'Fallback',     bg: '#e0f2fe', text: '#075985', icon: '↪' },
+  approved:     { label: 'Approved',     bg: '#d1fae5', text: '#065f46', icon: '✓' },
+};
+const FLAG_ORDER = ['forbidden', 'missing', 'non_standard', 'fallback', 'approved'];
+
+const TEXT_STATUS = {
+  extracted: 'Text extracted',
+  manual:    'Text pasted in',
+  pending:   'Reading file…',
+  failed:    'Could not read file',
+};
+
+function versionDisplay(v) {
+  if (v.version_major != null && v.version_minor != null) return `${v.version_major}.${v.version_minor}`;
+  return v.version_label || '?';
+}
+
+const hasText = (v) => ['extracted', 'manual'].includes(v?.text_status);
+
+function errMsg(e, fallback) {
+  return e?.response?.data?.error?.message || e?.message || fallback;
+}
+
+function Parts({ parts, side }) {
+  return parts.map((p, i) => (
+    p.op === 'same'
+      ? <span key={i}>{p.text}</span>
+      : <span key={i} className={side === 'left' ? 'crp-del' : 'crp-ins'}>{p.text}</span>
+  ));
+}
+
+// ── One side's text status, with retry / paste ───────────────────────────────
+function TextStatus({ contractId, version, onChanged }) {
+  const [busy, setBusy]       = useState(false);
+  const [paste, setPaste]     = useState(false);
+  const [text, setText]       = useState('');
+  const [error, setError]     = useState('');
+
+  const run = async (fn) => {
+    setBusy(true); setError('');
+    try {
+      const r = await fn();
+      if (r.data.status === 'failed') setError(r.data.error);
+      else { setPaste(false); setText(''); }
+      onChanged();
+    } catch (e) { setError(errMsg(e, 'Failed')); }
+    finally { setBusy(false); }
+  };
+
+  const status = version.text_status;
+  return (
+    <div className="crp-side-status">
+      <span className={`crp-tstatus crp-tstatus--${status || 'none'}`}>
+        {TEXT_STATUS[status] || 'No text yet'}
+      </span>
+      {!hasText(version) && (
+        <>
+          <button className="crp-link" disabled={busy}
+            onClick={() => run(() => apiService.contracts.extractVersionText(contractId, version.id))}>
+            {busy ? 'Reading…' : status === 'pending' ? 'Refresh' : 'Read file'}
+          </button>
+          <button className="crp-link" onClick={() => setPaste(p => !p)}>Paste text</button>
+        </>
+      )}
+      {error && <div className="crp-err-inline">{error}</div>}
+      {paste && (
+        <div className="crp-paste">
+          <textarea className="crp-textarea" rows={6} value={text}
+            placeholder={`Paste the full text of v${versionDisplay(version)}`}
+            onChange={e => setText(e.target.value)} />
+          <button className="crp-btn" disabled={busy || !text.trim()}
+            onClick={() => run(() => apiService.contracts.setVersionText(contractId, version.id, text))}>
+            Save text
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Clause flags for the "to" version ─────────────────────────────────────────
+function FlagList({ flags, library, onRecheck, rechecking }) {
+  const [open, setOpen] = useState(null);
+  const sorted = [...flags].sort((a, b) => FLAG_ORDER.indexOf(a.status) - FLAG_ORDER.indexOf(b.status));
+  const raised = flags.filter(f => ['forbidden', 'non_standard', 'missing'].includes(f.status)).length;
+
+  return (
+    <div className="crp-flags">
+      <div className="crp-flags-hd">
+        <span className="crp-flags-title">Clause check</span>
+        <span className={raised ? 'crp-flags-count crp-flags-count--bad' : 'crp-flags-count'}>
+          {raised ? `${raised} to review` : flags.length ? 'All standard' : 'No library clauses found'}
+        </span>
+        <button className="crp-link" style={{ marginLeft: 'auto' }} onClick={onRecheck} disabled={rechecking}>
+          {rechecking ? 'Checking…' : 'Recheck against library'}
+        </button>
+      </div>
+      {sorted.map(f => {
+        const st = FLAG_STYLE[f.status] || FLAG_STYLE.non_standard;
+        const clause = library.find(cl => cl.id === f.clauseId);
+        const standard = (clause?.variants || []).filter(v => v.position !== 'forbidden');
+        const expandable = f.status !== 'approved' && (standard.length > 0 || clause?.guidance);
+        return (
+          <div key={f.clauseId} className="crp-flag">
+            <div className="crp-flag-row" onClick={() => expandable && setOpen(open === f.clauseId ? null : f.clauseId)}
+              style={{ cursor: expandable ? 'pointer' : 'default' }}>
+              <span className="crp-flag-pill" style={{ background: st.bg, color: st.text }}>{st.icon} {st.label}</span>
+              <span className="crp-flag-name">{f.clause}</span>
+              {f.similarity != null && f.status !== 'missing' && (
+                <span className="crp-flag-sim">
+                  {Math.round(f.similarity * 100)}% like {f.variantLabel || f.position}
+                </span>
+              )}
+              {expandable && <span className="crp-flag-chev">{open === f.clauseId ? '▲' : '▼'}</span>}
+            </div>
+            {open === f.clauseId && (
+              <div className="crp-flag-body">
+                {clause?.guidance && <div className="crp-guidance">{clause.guidance}</div>}
+                {f.excerpt && (
+                  <div className="crp-excerpt">
+                    <div className="crp-excerpt-lbl">In this version</div>
+                    {f.excerpt}
+                  </div>
+                )}
+                {standard.map(v => (
+                  <div key={v.id} className="crp-excerpt crp-excerpt--std">
+                    <div className="crp-excerpt-lbl">
+                      {v.position === 'approved' ? 'Approved' : 'Fallback'}{v.label ? ` — ${v.label}` : ''}
+                    </div>
+                    {v.body}
+                    {v.notes && <div className="crp-notes">{v.notes}</div>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+export default function ContractRedlinePanel({ contract: c, initialPair, onUpdated }) {
+  // Oldest first so the pickers read in order.
+  const versions = useMemo(() => [...(c.versions || [])].sort((a, b) =>
+    (a.version_major - b.version_major) || (a.version_minor - b.version_minor)
+    || (new Date(a.created_at) - new Date(b.created_at))), [c.versions]);
+
+  const current = versions.find(v => v.is_current && !v.is_superseded) || versions[versions.length - 1];
+  const before  = current ? versions[versions.indexOf(current) - 1] : null;
+
+  const [fromId, setFromId] = useState(initialPair?.from || before?.id || '');
+  const [toId, setToId]     = useState(initialPair?.to || current?.id || '');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError]   = useState('');
+  const [showSame, setShowSame] = useState(false);
+  const [library, setLibrary] = useState([]);
+  const [rechecking, setRechecking] = useState(false);
+
+  useEffect(() => {
+    if (initialPair) { setFromId(initialPair.from); setToId(initialPair.to); }
+  }, [initialPair]);
+
+  useEffect(() => {
+    apiService.contracts.getClauses(c.contractType)
+      .then(r => setLibrary(r.data.clauses || []))
+      .catch(() => {});
+  }, [c.contractType]);
+
+  const from = versions.find(v => v.id === Number(fromId));
+  const to   = versions.find(v => v.id === Number(toId));
+  const ready = from && to && from.id !== to.id && hasText(from) && hasText(to);
+
+  useEffect(() => {
+    if (!ready) { setResult(null); return; }
+    let cancelled = false;
+    setLoading(true); setError('');
+    apiService.contracts.compareVersions(c.id, from.id, to.id)
+      .then(r => { if (!cancelled) setResult(r.data); })
+      .catch(e => { if (!cancelled) setError(errMsg(e, 'Could not compare versions')); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [ready, c.id, from?.id, to?.id, to?.clause_checked_at]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const recheck = async () => {
+    setRechecking(true);
+    try {
+      const r = await apiService.contracts.checkVersionClauses(c.id, to.id);
+      setResult(res => res && { ...res, flags: r.data.flags });
+      onUpdated();
+    } catch (e) { setError(errMsg(e, 'Could not recheck clauses')); }
+    finally { setRechecking(false); }
+  };
+
+  if (versions.length < 2) {
+    return <div className="crp-empty">Redlines need at least two document versions.</div>;
+  }
+
+  // Flags keyed by the "to" paragraph they were found in.
+  const flagsByPara = {};
+  (result?.flags || []).forEach(f => {
+    if (f.paragraph != null && f.status !== 'approved') (flagsByPara[f.paragraph] = flagsByPara[f.paragraph] || []).push(f);
+  });
+
+  // Collapse runs of unchanged paragraphs unless asked.
+  const rows = [];
+  let hidden = 0;
+  (result?.rows || []).forEach((row, i) => {
+    if (row.type === 'same' && !showSame && !flagsByPara[row.rightIndex]) { hidden++; return; }
+    if (hidden) { rows.push({ type: 'gap', count: hidden, key: `g${i}` }); hidden = 0; }
+    rows.push({ ...row, key: i });
+  });
+  if (hidden) rows.push({ type: 'gap', count: hidden, key: 'g-end' });
+
+  const picker = (value, onChange, exclude) => (
+    <select className="crp-select" value={value} onChange={e => onChange(e.target.value)}>
+      {versions.map(v => (
+        <option key={v.id} value={v.id} disabled={v.id === Number(exclude)}>
+          v{versionDisplay(v)}{v.is_current && !v.is_superseded ? ' (current)' : ''}{v.is_executed ? ' ✅' : ''}
+          {v.upload_comment || v.comment ? ` — ${(v.upload_comment || v.comment).slice(0, 40)}` : ''}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="crp-wrap">
+      <div className="crp-pick">
+        <div className="crp-pick-side">
+          <div className="crp-pick-lbl">From</div>
+          {picker(fromId, setFromId, toId)}
+          {from && <TextStatus contractId={c.id} version={from} onChanged={onUpdated} />}
+        </div>
+        <button className="crp-swap" title="Swap" onClick={() => { setFromId(toId); setToId(fromId); }}>⇄</button>
+        <div className="crp-pick-side">
+          <div className="crp-pick-lbl">To</div>
+          {picker(toId, setToId, fromId)}
+          {to && <TextStatus contractId={c.id} version={to} onChanged={onUpdated} />}
+        </div>
+      </div>
+
+      {error && <div className="crp-err">{error}</div>}
+      {loading && <div className="crp-empty">Comparing…</div>}
+
+      {result && !loading && (
+        <>
+          <FlagList flags={result.flags} library={library} onRecheck={recheck} rechecking={rechecking} />
+
+          <div className="crp-stats">
+            <span className="crp-stat crp-stat--chg">~{result.stats.changed} changed</span>
+            <span className="crp-stat crp-stat--add">+{result.stats.added} added</span>
+            <span className="crp-stat crp-stat--del">−{result.stats.removed} removed</span>
+            <span className="crp-stat">{result.stats.same} unchanged</span>
+            <label className="crp-toggle">
+              <input type="checkbox" checked={showSame} onChange={e => setShowSame(e.target.checked)} /> Show unchanged
+            </label>
+          </div>
+
+          {result.stats.changed + result.stats.added + result.stats.removed === 0 ? (
+            <div className="crp-empty">No text changes between v{result.from.label} and v{result.to.label}.</div>
+          ) : (
+            <div className="crp-grid">
+              <div className="crp-col-hd">v{result.from.label}</div>
+              <div className="crp-col-hd">v{result.to.label}</div>
+              {rows.map(row => row.type === 'gap' ? (
+                <div key={row.key} className="crp-gap" onClick={() => setShowSame(true)}>
+                  ⋯ {row.count} unchanged paragraph{row.count !== 1 ? 's' : ''}
+                </div>
+              ) : (
+                <React.Fragment key={row.key}>
+                  <div className={`crp-cell crp-cell--${row.type} crp-cell--l`}>
+                    {row.type === 'changed' ? <Parts parts={row.leftParts} side="left" /> : row.left}
+                  </div>
+                  <div className={`crp-cell crp-cell--${row.type} crp-cell--r`}>
+                    {(flagsByPara[row.rightIndex] || []).map(f => (
+                      <span key={f.clauseId} className="crp-cell-flag"
+                        style={{ background: FLAG_STYLE[f.status].bg, color: FLAG_STYLE[f.status].text }}>
+                        {FLAG_STYLE[f.status].icon} {f.clause}
+                      </span>
+                    ))}
+                    {row.type === 'changed' ? <Parts parts={row.rightParts} side="right" /> : row.right}
+                  </div>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      <style>{`
+        .crp-wrap{display:flex;flex-direction:column;gap:12px}
+        .crp-empty{text-align:center;color:#94a3b8;font-size:13px;padding:14px 0}
+        .crp-err{font-size:12px;color:#991b1b;background:#fef2f2;padding:6px 10px;border-radius:6px}
+        .crp-err-inline{font-size:11px;color:#991b1b;width:100%}
+
+        /* Pickers */
+        .crp-pick{display:flex;gap:10px;align-items:flex-start}
+        .crp-pick-side{flex:1;display:flex;flex-direction:column;gap:5px;min-width:0}
+        .crp-pick-lbl{font-size:11px;font-weight:700;color:#64748b;text-transform:uppercase;letter-spacing:.3px}
+        .crp-select{padding:7px 10px;border:1.5px solid #e2e8f0;border-radius:7px;font-size:13px;font-family:inherit;background:#fff;color:#0f172a}
+        .crp-swap{margin-top:20px;padding:6px 9px;border:1px solid #e2e8f0;border-radius:7px;background:#fff;cursor:pointer;color:#64748b}
+        .crp-side-status{display:flex;align-items:center;gap:8px;flex-wrap:wrap;font-size:11px}
+        .crp-tstatus{font-weight:600;padding:1px 6px;border-radius:4px;background:#f1f5f9;color:#64748b}
+        .crp-tstatus--extracted,.crp-tstatus--manual{background:#f0fdf4;color:#065f46}
+        .crp-tstatus--failed{background:#fee2e2;color:#991b1b}
+        .crp-link{background:none;border:none;color:#6366f1;font-size:11px;font-weight:600;cursor:pointer;padding:0;font-family:inherit}
+        .crp-link:disabled{opacity:.5;cursor:default}
+        .crp-paste{width:100%;display:flex;flex-direction:column;gap:6px}
+        .crp-textarea{padding:7px 10px;border:1.5px solid #e2e8f0;border-radius:7px;font-size:12px;font-family:inherit;resize:vertical}
+        .crp-btn{align-self:flex-start;padding:6px 14px;border-radius:7px;border:none;background:#6366f1;color:#fff;font-size:12px;font-weight:600;cursor:pointer}
+        .crp-btn:disabled{opacity:.5;cursor:not-allowed}
+
+        /* Flags */
+        .crp-flags{border:1px solid #e2e8f0;border-radius:9px;overflow:hidden}
+        .crp-flags-hd{display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f8fafc}
+        .crp-flags-title{font-size:11px;font-weight:700;color:#64748b;text-transform:uppercase;letter-spacing:.3px}
+        .crp-flags-count{font-size:11px;color:#065f46}
+        .crp-flags-count--bad{color:#991b1b;font-weight:600}
+        .crp-flag{border-top:1px solid #f1f5f9}
+        .crp-flag-row{display:flex;align-items:center;gap:8px;padding:7px 12px}
+        .crp-flag-pill{font-size:10px;font-weight:700;padding:2px 7px;border-radius:4px;white-space:nowrap}
+        .crp-flag-name{font-size:12px;font-weight:600;color:#0f172a}
+        .crp-flag-sim{font-size:11px;color:#94a3b8}
+        .crp-flag-chev{margin-left:auto;font-size:10px;color:#94a3b8}
+        .crp-flag-body{padding:4px 12px 10px;display:flex;flex-direction:column;gap:6px}
+        .crp-guidance{font-size:12px;color:#475569;font-style:italic}
+        .crp-excerpt{font-size:12px;color:#334155;background:#fff7ed;border-left:3px solid #fdba74;padding:6px 9px;border-radius:4px;white-space:pre-wrap}
+        .crp-excerpt--std{background:#f0fdf4;border-left-color:#86efac}
+        .crp-excerpt-lbl{font-size:10px;font-weight:700;color:#64748b;text-transform:uppercase;margin-bottom:3px}
+        .crp-notes{font-size:11px;color:#64748b;margin-top:4px}
+
+        /* Stats */
+        .crp-stats{display:flex;align-items:center;gap:8px;flex-wrap:wrap;font-size:12px}
+        .crp-stat{color:#64748b}
+        .crp-stat--chg{color:#92400e;font-weight:600}
+        .crp-stat--add{color:#065f46;font-weight:600}
+        .crp-stat--del{color:#991b1b;font-weight:600}
+        .crp-toggle{margin-left:auto;font-size:11px;color:#64748b;display:flex;align-items:center;gap:4px;cursor:pointer}
+
+        /* Side-by-side grid */
+        .crp-grid{display:grid;grid-template-columns:1fr 1fr;border:1px solid #e2e8f0;border-radius:9px;overflow:hidden}
+        .crp-col-hd{font-size:11px;font-weight:700;color:#5b21b6;background:#f5f3ff;padding:7px 10px;border-bottom:1px solid #e2e8f0}
+        .crp-cell{font-size:12px;line-height:1.55;color:#334155;padding:7px 10px;border-bottom:1px solid #f1f5f9;white-space:pre-wrap;word-break:break-word}
+        .crp-cell--l{border-right:1px solid #e2e8f0}
+        .crp-cell--same{color:#94a3b8}
+        .crp-cell--removed.crp-cell--l{background:#fef2f2;color:#991b1b;text-decoration:line-through}
+        .crp-cell--added.crp-cell--r{background:#f0fdf4;color:#065f46}
+        .crp-cell--removed.crp-cell--r,.crp-cell--added.crp-cell--l{background:#f8fafc}
+        .crp-del{background:#fee2e2;color:#991b1b;text-decoration:line-through}
+        .crp-ins{background:#bbf7d0;color:#065f46}
+        .crp-cell-flag{display:inline-block;font-size:10px;font-weight:700;padding:1px 6px;border-radius:4px;margin:0 6px 4px 0}
+        .crp-gap{grid-column:1 / -1;text-align:center;font-size:11px;color:#94a3b8;background:#f8fafc;padding:4px;cursor:pointer;border-bottom:1px solid #f1f5f9}
+        .crp-gap:hover{color:#6366f1}
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+// ContractRenewalsView.js — 2026_150
+// The "Renewals" tab of ContractsView: contracts ending inside the chosen
+// horizon (and those lapsed in the last 30 days), soonest first, with the
+// renewal deal, the notice deadline and at-risk flags from the account's
+// support cases and project health. Clicking a row opens the contract.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+const HORIZONS = [
+  { value: 90,  label: 'Next 90 days' },
+  { value: 180, label: 'Next 6 months' },
+  { value: 365, label: 'Next 12 months' },
+];
+
+const STATE_LABELS = {
+  not_started:  { label: 'Not started',   bg: '#f1f5f9', text: '#475569' },
+  in_progress:  { label: 'In progress',   bg: '#e0f2fe', text: '#075985' },
+  auto_renews:  { label: 'Auto-renews',   bg: '#ede9fe', text: '#5b21b6' },
+  won:          { label: 'Renewed',       bg: '#d1fae5', text: '#065f46' },
+  lost:         { label: 'Lost',          bg: '#fee2e2', text: '#991b1b' },
+  notice_given: { label: 'Notice given',  bg: '#fee2e2', text: '#991b1b' },
+  lapsed:       { label: 'Lapsed',        bg: '#f3f4f6', text: '#6b7280' },
+};
+
+const RISK_STYLES = {
+  high:   { bg: '#fee2e2', text: '#991b1b', label: 'At risk' },
+  medium: { bg: '#fef3c7', text: '#92400e', label: 'Watch' },
+};
+
+function days(n) {
+  if (n === 0) return 'today';
+  if (n < 0) return `${-n}d ago`;
+  return `in ${n}d`;
+}
+
+function money(currency, value) {
+  return value != null ? `${currency} ${Number(value).toLocaleString()}` : null;
+}
+
+function RenewalRow({ r, selected, onOpen }) {
+  const st = STATE_LABELS[r.state] || STATE_LABELS.not_started;
+  const risk = RISK_STYLES[r.risk];
+  const noticeSoon = r.noticeDaysLeft != null && r.noticeDaysLeft >= 0 && r.noticeDaysLeft <= 30 && !r.nonRenewalNoticeAt;
+
+  return (
+    <div className={`cv-row ${selected ? 'cv-row--selected' : ''}`} onClick={() => onOpen(r)}>
+      <div className="cv-row-main">
+        <div className="cv-row-title">{r.title}</div>
+        <div className="cv-row-meta">
+          {r.account
+            ? <span className="cv-chip cv-chip--deal">🏢 {r.account.name}</span>
+            : r.customerLegalName && <span className="cv-chip cv-chip--muted">{r.customerLegalName}</span>}
+          {r.account?.ownerName && <span className="cv-chip cv-chip--muted">👤 {r.account.ownerName}</span>}
+          {r.renewalDeal && (
+            <span className="cv-chip" title={r.renewalDeal.name}>
+              🔁 {r.renewalDeal.stageName}{r.renewalDeal.value != null ? ` · ${money(r.renewalDeal.currency, r.renewalDeal.value)}` : ''}
+            </span>
+          )}
+        </div>
+        {r.flags.length > 0 && (
+          <div className="crv-flags">
+            {r.flags.map(f => (
+              <span key={f.key} className={`crv-flag crv-flag--${f.level}`} title={f.detail || ''}>{f.label}</span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="cv-row-right">
+        <span className="cv-badge" style={{ background: st.bg, color: st.text }}>{st.label}</span>
+        {risk && <span className="cv-badge" style={{ background: risk.bg, color: risk.text }}>{risk.label}</span>}
+        {money(r.currency, r.value) && <span className="cv-value">{money(r.currency, r.value)}</span>}
+        <span className={`cv-date ${r.daysLeft <= 30 ? 'crv-soon' : ''}`} title={`Ends ${r.endDate}`}>
+          Ends {days(r.daysLeft)}
+        </span>
+        {r.noticeDeadline && !r.nonRenewalNoticeAt && r.noticeDaysLeft >= 0 && (
+          <span className={`cv-date ${noticeSoon ? 'crv-soon' : ''}`} title={`Notice deadline ${r.noticeDeadline}`}>
+            Notice {days(r.noticeDaysLeft)}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function ContractRenewalsView({ selectedId, onOpen }) {
+  const [renewals, setRenewals] = useState([]);
+  const [horizon, setHorizon]   = useState(180);
+  const [mineOnly, setMineOnly] = useState(true);
+  const [riskOnly, setRiskOnly] = useState(false);
+  const [loading, setLoading]   = useState(false);
+  const [error, setError]       = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true); setError('');
+    try {
+      const r = await apiService.contracts.getRenewals({ days: horizon, scope: mineOnly ? 'mine' : 'org' });
+      setRenewals(r.data.renewals || []);
+    } catch {
+      setError('Failed to load renewals');
+    } finally { setLoading(false); }
+  }, [horizon, mineOnly]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const shown   = riskOnly ? renewals.filter(r => r.risk !== 'none') : renewals;
+  const atRisk  = renewals.filter(r => r.risk === 'high').length;
+  const noDeal  = renewals.filter(r => r.flags.some(f => f.key === 'no_deal')).length;
+
+  return (
+    <>
+      <div className="cv-filters">
+        <div className="cv-filter-row">
+          <select className="cv-select" value={horizon} onChange={e => setHorizon(Number(e.target.value))}>
+            {HORIZONS.map(h => <option key={h.value} value={h.value}>{h.label}</option>)}
+          </select>
+          <select className="cv-select" value={mineOnly ? 'mine' : 'org'} onChange={e => setMineOnly(e.target.value === 'mine')}>
+            <option value="mine">My accounts</option>
+            <option value="org">All accounts</option>
+          </select>
+        </div>
+        <div className="crv-summary">
+          <span>{renewals.length} renewal{renewals.length === 1 ? '' : 's'}</span>
+          {atRisk > 0 && <span className="crv-summary--risk">{atRisk} at risk</span>}
+          {noDeal > 0 && <span>{noDeal} without a deal</span>}
+          <label className="crv-risk-toggle">
+            <input type="checkbox" checked={riskOnly} onChange={e => setRiskOnly(e.target.checked)} />
+            Flagged only
+          </label>
+        </div>
+      </div>
+
+      <div className="cv-list">
+        {loading && <div className="cv-loading"><div className="cv-spin" /></div>}
+        {error && <div className="cv-error">{error}</div>}
+        {!loading && !error && shown.length === 0 && (
+          <div className="cv-empty">
+            {riskOnly ? 'No flagged renewals in this window.' : 'No contracts end in this window.'}
+          </div>
+        )}
+        {!loading && shown.map(r => (
+          <RenewalRow key={r.contractId} r={r} selected={selectedId === r.contractId} onOpen={onOpen} />
+        ))}
+      </div>
+
+      <style>{`
+        .crv-summary{display:flex;align-items:center;gap:10px;flex-wrap:wrap;font-size:12px;color:#64748b;margin-top:8px}
+        .crv-summary--risk{color:#991b1b;font-weight:700}
+        .crv-risk-toggle{display:flex;align-items:center;gap:5px;margin-left:auto;cursor:pointer;user-select:none}
+        .crv-risk-toggle input{accent-color:#6366f1}
+        .crv-flags{display:flex;gap:5px;flex-wrap:wrap;margin-top:5px}
+        .crv-flag{font-size:10px;font-weight:600;padding:1px 7px;border-radius:10px}
+        .crv-flag--high{background:#fee2e2;color:#991b1b}
+        .crv-flag--medium{background:#fef3c7;color:#92400e}
+        .crv-soon{color:#b45309;font-weight:600}
+      `}</style>
+    </>
+  );
+}
@@ -10,6 +10,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { apiService } from './apiService';
 import ContractDetailPanel from './ContractDetailPanel';
 import ContractCreateModal from './ContractCreateModal';
+import ContractRenewalsView from './ContractRenewalsView';
 import './ContractsView.css';
 
 // ── Constants ────────────────────────────────────────────────────────────────
@@ -214,10 +215,13 @@ export default function ContractsView() {
     ...(isLegal ? [{ id: 'legal_queue',    label: 'Legal Queue',     icon: '⚖️' }] : []),
     ...(isLegal ? [{ id: 'legal_assigned', label: 'Assigned to Me',  icon: '📌' }] : []),
     { id: 'pending',       label: 'Pending My Approval', icon: '✅' },
+    { id: 'renewals',      label: 'Renewals',            icon: '🔁' },
     { id: 'all',           label: 'All Contracts',       icon: '🗂️' },
   ];
 
   const load = useCallback(async () => {
+    // Renewals has its own list and loader (ContractRenewalsView)
+    if (activeTab === 'renewals') { setContracts([]); return; }
     setLoading(true); setError(''); setCheckedIds(new Set());
     try {
       if (activeTab === 'legal_queue') {
@@ -371,6 +375,12 @@ export default function ContractsView() {
           ))}
         </div>
 
+        {activeTab === 'renewals' ? (
+          <ContractRenewalsView
+            selectedId={selected?.id}
+            onOpen={r => openContract({ id: r.contractId, title: r.title, contractType: r.contractType, status: r.status })}
+          />
+        ) : <>
         <div className="cv-filters">
           <input className="cv-search" placeholder="Search…" value={search}
             onChange={e => setSearch(e.target.value)} />
@@ -423,6 +433,7 @@ export default function ContractsView() {
             />
           ))}
         </div>
+        </>}
       </div>
 
       {/* ── Right panel ── */}
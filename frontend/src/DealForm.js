@@ -25,7 +25,8 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
     expected_close_date: '',
     probability:         50,
     notes:               '',
-    playbook_id:         ''
+    playbook_id:         '',
+    currency:            ''
   });
 
   const [errors, setErrors]                     = useState({});
@@ -36,6 +37,7 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
   const [stages, setStages]                     = useState(FALLBACK_STAGES);
   const [stagesLoading, setStagesLoading]       = useState(true);
   const [sfLockedFields, setSfLockedFields]     = useState([]);
+  const [currencies, setCurrencies]             = useState([]);
 
   // Load SF locked fields (sf_primary mode — these become read-only)
   useEffect(() => {
@@ -56,7 +58,8 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
         expected_close_date: deal.expected_close_date ? deal.expected_close_date.split('T')[0] : '',
         probability:         deal.probability         || 50,
         notes:               deal.notes               || '',
-        playbook_id:         deal.playbook_id         || ''
+        playbook_id:         deal.playbook_id         || '',
+        currency:            deal.currency            || ''
       });
     }
   }, [deal]);
@@ -87,6 +90,22 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
       .finally(() => setStagesLoading(false));
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Load org currencies — corporate first; new deals default to it
+  useEffect(() => {
+    const token = localStorage.getItem('token') || localStorage.getItem('authToken');
+    fetch(`${API_BASE}/api/org/admin/currency-settings`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(r => r.ok ? r.json() : Promise.reject(r.statusText))
+      .then(data => {
+        setCurrencies(data.currencies || []);
+        setFormData(prev => ({ ...prev, currency: prev.currency || data.corporateCurrency }));
+      })
+      .catch(() => {
+        // Leave currency blank — the server stamps the corporate currency
+      });
+  }, []);
+
   // Load playbooks for dropdown
   useEffect(() => {
     (async () => {
@@ -164,7 +183,8 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
         ...formData,
         value:       parseFloat(formData.value),
         probability: parseInt(formData.probability),
-        playbookId:  formData.playbook_id ? parseInt(formData.playbook_id) : null
+        playbookId:  formData.playbook_id ? parseInt(formData.playbook_id) : null,
+        currency:    formData.currency || undefined
       };
       await onSubmit(submitData);
     } catch (error) {
@@ -234,7 +254,22 @@ function DealForm({ deal, onSubmit, onClose, accounts }) {
                 Deal Value <span className="required">*</span>
               </label>
               <div className="input-with-prefix">
-                <span className="prefix">$</span>
+                {formData.currency ? (
+                  <select
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    className="currency-select"
+                    disabled={sfLockedFields.includes('value')}
+                    aria-label="Currency"
+                  >
+                    {[...new Set([formData.currency, ...currencies])].map(c => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="prefix">$</span>
+                )}
                 <input
                   type="number"
                   id="value"
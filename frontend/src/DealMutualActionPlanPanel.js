@@ -0,0 +1,352 @@
+// DealMutualActionPlanPanel.js
+// Drop into DealsView detail section: <DealMutualActionPlanPanel deal={selectedDeal} />
+//
+// Close plan for a deal: draft it with the mutual-action-plan skill, edit the
+// milestones, share a read-only link with the buyer, and convert milestones
+// into deal actions or plays.
+import React, { useState, useEffect, useCallback } from 'react';
+
+const API = process.env.REACT_APP_API_URL || '';
+
+function apiFetch(path, options = {}) {
+  const token = localStorage.getItem('token') || localStorage.getItem('authToken');
+  return fetch(`${API}${path}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...(options.headers || {}),
+    },
+    ...options,
+  }).then(r => {
+    if (!r.ok) return r.json().then(e => Promise.reject(new Error(e?.error?.message || r.statusText)));
+    return r.json();
+  });
+}
+
+const SIDE_COLORS = {
+  buyer:  { bg: '#eff6ff', text: '#1d4ed8' },
+  seller: { bg: '#f5f3ff', text: '#6d28d9' },
+  joint:  { bg: '#ecfdf5', text: '#047857' },
+};
+
+function toDateInput(d) {
+  return d ? String(d).slice(0, 10) : '';
+}
+
+function blankMilestone() {
+  return { title: '', description: '', due_date: '', owner_side: 'seller', owner_name: '', success_criteria: '', channel: 'internal_task', status: 'open' };
+}
+
+export default function DealMutualActionPlanPanel({ deal }) {
+  const [plans, setPlans]         = useState([]);
+  const [plan, setPlan]           = useState(null);
+  const [edit, setEdit]           = useState(null);
+  const [selected, setSelected]   = useState(new Set());
+  const [loading, setLoading]     = useState(false);
+  const [busy, setBusy]           = useState('');
+  const [error, setError]         = useState('');
+  const [notice, setNotice]       = useState('');
+
+  const openPlan = useCallback(async (id) => {
+    const r = await apiFetch(`/api/mutual-action-plans/${id}`);
+    setPlan(r.plan);
+    setEdit(null);
+    setSelected(new Set());
+  }, []);
+
+  const load = useCallback(async () => {
+    if (!deal?.id) return;
+    setLoading(true);
+    setError('');
+    try {
+      const r = await apiFetch(`/api/mutual-action-plans/deal/${deal.id}`);
+      setPlans(r.plans || []);
+      const current = (r.plans || []).find(p => p.status !== 'archived');
+      if (current) await openPlan(current.id);
+      else setPlan(null);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [deal?.id, openPlan]);
+
+  useEffect(() => { load(); }, [load]);
+
+  async function run(label, fn) {
+    setBusy(label);
+    setError('');
+    setNotice('');
+    try { await fn(); } catch (e) { setError(e.message); } finally { setBusy(''); }
+  }
+
+  const generate = () => run('generate', async () => {
+    const r = await apiFetch('/api/skills/mutual-action-plan/run', {
+      method: 'POST', body: JSON.stringify({ dealId: deal.id }),
+    });
+    if (!r.plan) {
+      const why = r.output?.error === 'missing_fields'
+        ? 'Not enough deal data to draft a plan. Add contacts or an account first.'
+        : `The skill did not return a usable plan (${r.status || r.error || 'unknown'}).`;
+      throw new Error(why);
+    }
+    await load();
+    await openPlan(r.plan.id);
+  });
+
+  const save = () => run('save', async () => {
+    const r = await apiFetch(`/api/mutual-action-plans/${plan.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        title: edit.title,
+        summary: edit.summary,
+        target_close_date: edit.target_close_date || null,
+        milestones: edit.milestones,
+        risks: edit.risks,
+      }),
+    });
+    setPlan(r.plan);
+    setEdit(null);
+    setNotice('Plan saved.');
+  });
+
+  const toggleDone = (m) => run('done', async () => {
+    const milestones = plan.milestones.map(x => x.id === m.id ? { ...x, status: x.status === 'done' ? 'open' : 'done' } : x);
+    const r = await apiFetch(`/api/mutual-action-plans/${plan.id}`, {
+      method: 'PATCH', body: JSON.stringify({ milestones }),
+    });
+    setPlan(r.plan);
+  });
+
+  const share = () => run('share', async () => {
+    const r = await apiFetch(`/api/mutual-action-plans/${plan.id}/share`, { method: 'POST' });
+    const url = `${API}${r.url}`;
+    try { await navigator.clipboard.writeText(url); setNotice('Buyer link copied to clipboard.'); }
+    catch { setNotice(`Buyer link: ${url}`); }
+    await openPlan(plan.id);
+  });
+
+  const revoke = () => run('revoke', async () => {
+    if (!window.confirm('Revoke the buyer link? Anyone with the old link will lose access.')) return;
+    await apiFetch(`/api/mutual-action-plans/${plan.id}/revoke-share`, { method: 'POST' });
+    await openPlan(plan.id);
+    setNotice('Buyer link revoked.');
+  });
+
+  const convert = (to) => run(`convert-${to}`, async () => {
+    const r = await apiFetch(`/api/mutual-action-plans/${plan.id}/convert`, {
+      method: 'POST', body: JSON.stringify({ milestone_ids: [...selected], to }),
+    });
+    setPlan(r.plan);
+    setSelected(new Set());
+    const noun = to === 'play' ? 'play' : 'action';
+    setNotice(`${r.converted.length} ${noun}${r.converted.length === 1 ? '' : 's'} created` +
+      (r.skipped.length ? `, ${r.skipped.length} already converted.` : '.'));
+  });
+
+  const archive = () => run('archive', async () => {
+    if (!window.confirm('Archive this plan? A shared link stops working.')) return;
+    await apiFetch(`/api/mutual-action-plans/${plan.id}`, {
+      method: 'PATCH', body: JSON.stringify({ status: 'archived' }),
+    });
+    await load();
+  });
+
+  function startEdit() {
+    setEdit({
+      title: plan.title,
+      summary: plan.summary || '',
+      target_close_date: toDateInput(plan.target_close_date),
+      milestones: (plan.milestones || []).map(m => ({ ...m, due_date: toDateInput(m.due_date) })),
+      risks: plan.risks || [],
+    });
+  }
+
+  function setMilestone(i, patch) {
+    setEdit(e => ({ ...e, milestones: e.milestones.map((m, j) => j === i ? { ...m, ...patch } : m) }));
+  }
+
+  function toggleSelect(id) {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }
+
+  if (!deal) return null;
+
+  const shared = plan && plan.share_token;
+  const shareUrl = shared ? `${API}/api/mutual-action-plans/shared/${plan.share_token}` : null;
+
+  return (
+    <div className="dmap-wrap">
+      <div className="dmap-header">
+        <span className="dmap-count">
+          {plan ? `${(plan.milestones || []).length} milestones` : 'No close plan yet'}
+          {plans.length > 1 && (
+            <select className="dmap-history" value={plan?.id || ''} onChange={e => run('open', () => openPlan(e.target.value))}>
+              {plans.map(p => (
+                <option key={p.id} value={p.id}>
+                  {new Date(p.created_at).toLocaleDateString()} · {p.status}
+                </option>
+              ))}
+            </select>
+          )}
+        </span>
+        <button className="dmap-btn dmap-btn--primary" disabled={!!busy} onClick={generate}>
+          {busy === 'generate' ? 'Drafting…' : plan ? '↻ Draft new plan' : '✨ Draft close plan'}
+        </button>
+      </div>
+
+      {error && <div className="dmap-error">{error}</div>}
+      {notice && <div className="dmap-notice">{notice}</div>}
+      {loading && <div className="dmap-empty">Loading…</div>}
+
+      {!loading && !plan && !error && (
+        <div className="dmap-empty">
+          Draft a dated mutual action plan from this deal's contacts, qualification gaps, contracts and plays.
+          Edit it, share a read-only link with the buyer, and turn milestones into actions or plays.
+        </div>
+      )}
+
+      {!loading && plan && !edit && (
+        <>
+          <div className="dmap-plan-head">
+            <div>
+              <div className="dmap-title">{plan.title}</div>
+              <div className="dmap-meta">
+                Target: {plan.target_close_date ? new Date(plan.target_close_date).toLocaleDateString() : 'not set'}
+                {' · '}{plan.status}
+                {shared && <> · <a href={shareUrl} target="_blank" rel="noopener noreferrer">buyer view</a></>}
+              </div>
+            </div>
+            <div className="dmap-actions">
+              <button className="dmap-btn" disabled={!!busy} onClick={startEdit}>Edit</button>
+              {shared
+                ? <button className="dmap-btn" disabled={!!busy} onClick={revoke}>Revoke link</button>
+                : <button className="dmap-btn" disabled={!!busy || plan.status === 'archived'} onClick={share}>Share with buyer</button>}
+              {plan.status !== 'archived' && <button className="dmap-btn" disabled={!!busy} onClick={archive}>Archive</button>}
+            </div>
+          </div>
+
+          {plan.summary && <p className="dmap-summary">{plan.summary}</p>}
+
+          {(plan.milestones || []).map(m => {
+            const sc = SIDE_COLORS[m.owner_side] || SIDE_COLORS.seller;
+            return (
+              <div key={m.id} className={`dmap-row${m.status === 'done' ? ' dmap-row--done' : ''}`}>
+                <input type="checkbox" checked={selected.has(m.id)} onChange={() => toggleSelect(m.id)} />
+                <div className="dmap-date">{m.due_date ? new Date(m.due_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }) : 'TBC'}</div>
+                <div className="dmap-row-main">
+                  <div className="dmap-row-title">{m.title}</div>
+                  {m.success_criteria && <div className="dmap-row-crit">Done when: {m.success_criteria}</div>}
+                  <div className="dmap-row-meta">
+                    <span className="dmap-chip" style={{ background: sc.bg, color: sc.text }}>{m.owner_side}</span>
+                    {m.owner_name && <span className="dmap-chip">{m.owner_name}</span>}
+                    {m.meddpicc && <span className="dmap-chip dmap-chip--internal" title="Internal only, not shown to the buyer">{m.meddpicc.replace(/_/g, ' ')}</span>}
+                    {m.action_id && <span className="dmap-chip dmap-chip--linked">action</span>}
+                    {m.play_instance_id && <span className="dmap-chip dmap-chip--linked">play</span>}
+                  </div>
+                </div>
+                <button className="dmap-link" disabled={!!busy} onClick={() => toggleDone(m)}>
+                  {m.status === 'done' ? '✓ Done' : 'Mark done'}
+                </button>
+              </div>
+            );
+          })}
+
+          {selected.size > 0 && (
+            <div className="dmap-convert">
+              <span>{selected.size} selected</span>
+              <button className="dmap-btn" disabled={!!busy} onClick={() => convert('action')}>→ Actions</button>
+              <button className="dmap-btn" disabled={!!busy} onClick={() => convert('play')}>→ Plays</button>
+            </div>
+          )}
+
+          {(plan.risks || []).length > 0 && (
+            <div className="dmap-risks">
+              <div className="dmap-subhead">Risks</div>
+              {plan.risks.map((r, i) => (
+                <div key={i} className="dmap-risk"><b>{r.risk}</b>{r.mitigation && <> · {r.mitigation}</>}</div>
+              ))}
+            </div>
+          )}
+
+          {plan.confidence_notes && (
+            <div className="dmap-notes" title="Internal only, not shown to the buyer">Notes: {plan.confidence_notes}</div>
+          )}
+        </>
+      )}
+
+      {plan && edit && (
+        <div className="dmap-edit">
+          <input className="dmap-input" value={edit.title} onChange={e => setEdit({ ...edit, title: e.target.value })} placeholder="Plan title" />
+          <textarea className="dmap-input" rows={2} value={edit.summary} onChange={e => setEdit({ ...edit, summary: e.target.value })} placeholder="Summary (shown to the buyer)" />
+          <label className="dmap-meta">Target date{' '}
+            <input type="date" value={edit.target_close_date} onChange={e => setEdit({ ...edit, target_close_date: e.target.value })} />
+          </label>
+
+          {edit.milestones.map((m, i) => (
+            <div key={m.id || `new-${i}`} className="dmap-edit-row">
+              <input type="date" value={m.due_date || ''} onChange={e => setMilestone(i, { due_date: e.target.value })} />
+              <input className="dmap-input" value={m.title} onChange={e => setMilestone(i, { title: e.target.value })} placeholder="Milestone" />
+              <select value={m.owner_side} onChange={e => setMilestone(i, { owner_side: e.target.value })}>
+                <option value="buyer">buyer</option>
+                <option value="seller">seller</option>
+                <option value="joint">joint</option>
+              </select>
+              <input className="dmap-input dmap-input--sm" value={m.owner_name || ''} onChange={e => setMilestone(i, { owner_name: e.target.value })} placeholder="Owner" />
+              <input className="dmap-input" value={m.success_criteria || ''} onChange={e => setMilestone(i, { success_criteria: e.target.value })} placeholder="Done when…" />
+              <button className="dmap-link" onClick={() => setEdit({ ...edit, milestones: edit.milestones.filter((_, j) => j !== i) })}>✕</button>
+            </div>
+          ))}
+          <button className="dmap-link" onClick={() => setEdit({ ...edit, milestones: [...edit.milestones, blankMilestone()] })}>+ Add milestone</button>
+
+          <div className="dmap-actions">
+            <button className="dmap-btn dmap-btn--primary" disabled={!!busy} onClick={save}>{busy === 'save' ? 'Saving…' : 'Save plan'}</button>
+            <button className="dmap-btn" disabled={!!busy} onClick={() => setEdit(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <style>{`
+        .dmap-wrap { display:flex; flex-direction:column; gap:6px; }
+        .dmap-header { display:flex; align-items:center; justify-content:space-between; margin-bottom:4px; }
+        .dmap-count { font-size:12px; color:#64748b; font-weight:500; display:flex; gap:8px; align-items:center; }
+        .dmap-history { font-size:11px; border:1px solid #e2e8f0; border-radius:6px; padding:1px 4px; }
+        .dmap-btn { padding:4px 11px; border-radius:7px; border:1.5px solid #e2e8f0; background:#fff; color:#334155; font-size:12px; font-weight:600; cursor:pointer; }
+        .dmap-btn:disabled { opacity:.5; cursor:default; }
+        .dmap-btn--primary { border:none; background:#6366f1; color:#fff; }
+        .dmap-btn--primary:hover:not(:disabled) { background:#4f46e5; }
+        .dmap-link { background:none; border:none; color:#6366f1; font-size:12px; font-weight:600; cursor:pointer; padding:0; white-space:nowrap; }
+        .dmap-error { font-size:12px; color:#991b1b; background:#fef2f2; border-radius:6px; padding:6px 9px; }
+        .dmap-notice { font-size:12px; color:#065f46; background:#ecfdf5; border-radius:6px; padding:6px 9px; word-break:break-all; }
+        .dmap-empty { font-size:12px; color:#94a3b8; padding:8px 0; }
+        .dmap-plan-head { display:flex; justify-content:space-between; gap:8px; align-items:flex-start; }
+        .dmap-title { font-size:14px; font-weight:700; color:#0f172a; }
+        .dmap-meta { font-size:12px; color:#64748b; }
+        .dmap-actions { display:flex; gap:6px; flex-wrap:wrap; }
+        .dmap-summary { font-size:13px; color:#334155; margin:4px 0; }
+        .dmap-row { display:flex; align-items:flex-start; gap:8px; padding:8px 10px; border:1.5px solid #e2e8f0; border-radius:9px; background:#fff; }
+        .dmap-row--done .dmap-row-title { text-decoration:line-through; color:#94a3b8; }
+        .dmap-date { font-size:12px; font-weight:700; color:#334155; width:52px; flex-shrink:0; }
+        .dmap-row-main { flex:1; min-width:0; }
+        .dmap-row-title { font-size:13px; font-weight:600; color:#0f172a; }
+        .dmap-row-crit { font-size:11.5px; color:#047857; margin-top:1px; }
+        .dmap-row-meta { display:flex; gap:5px; flex-wrap:wrap; margin-top:3px; }
+        .dmap-chip { font-size:10px; font-weight:600; background:#f1f5f9; color:#64748b; padding:1px 6px; border-radius:4px; }
+        .dmap-chip--internal { background:#fff7ed; color:#c2410c; }
+        .dmap-chip--linked { background:#eef2ff; color:#4f46e5; }
+        .dmap-convert { display:flex; gap:8px; align-items:center; font-size:12px; color:#475569; padding:6px 0; }
+        .dmap-subhead { font-size:12px; font-weight:700; color:#334155; margin-top:6px; }
+        .dmap-risk { font-size:12px; color:#475569; margin-top:3px; }
+        .dmap-notes { font-size:11.5px; color:#c2410c; background:#fff7ed; border-radius:6px; padding:6px 9px; margin-top:4px; }
+        .dmap-edit { display:flex; flex-direction:column; gap:6px; }
+        .dmap-edit-row { display:flex; gap:5px; align-items:center; }
+        .dmap-input { flex:1; font-size:12px; border:1px solid #cbd5e0; border-radius:6px; padding:4px 7px; min-width:0; }
+        .dmap-input--sm { flex:0 0 110px; }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,617 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DealQuotesPanel.js — quotes (CPQ) for a deal (2026_146)
+//
+// Versions are listed newest first; "New quote" copies the deal's line items
+// into the next version and prices them from the account's price book. A
+// draft is edited here — book, term, lines, per-year ramp — and saved back
+// wholesale; once sent it is read-only and a change means a new version.
+//
+// Accepting a sent quote replaces the deal's line items with the quote's and
+// re-syncs the deal value, so onAccepted lets DealsView reload both.
+//
+// A discount beyond the rep's band (2026_147) has to be approved — manager,
+// then finance above the manager's limit — before the draft can be sent. The
+// approver decides from here too; the notification links to the deal.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+const STATUS = {
+  draft:      { label: 'Draft',      color: '#6b7280', bg: '#f3f4f6' },
+  sent:       { label: 'Sent',       color: '#0369a1', bg: '#e0f2fe' },
+  accepted:   { label: 'Accepted',   color: '#15803d', bg: '#dcfce7' },
+  rejected:   { label: 'Rejected',   color: '#b91c1c', bg: '#fee2e2' },
+  superseded: { label: 'Superseded', color: '#9ca3af', bg: '#f9fafb' },
+};
+
+const APPROVAL = {
+  required: { label: 'Needs approval',    color: '#b45309', bg: '#fef3c7' },
+  pending:  { label: 'Awaiting approval', color: '#0369a1', bg: '#e0f2fe' },
+  approved: { label: 'Discount approved', color: '#15803d', bg: '#dcfce7' },
+  rejected: { label: 'Discount rejected', color: '#b91c1c', bg: '#fee2e2' },
+};
+const LEVEL_LABEL = { manager: 'manager approval', finance: 'manager, then finance approval' };
+const ROLE_LABEL  = { manager: 'Manager', finance: 'Finance' };
+
+const FREQ_LABEL = { monthly: '/mo', quarterly: '/qtr', annual: '/yr', multi_year: '/yr' };
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function money(v, currency) {
+  const n = Number(v) || 0;
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD', maximumFractionDigits: 2 }).format(n);
+  } catch {
+    return `${currency || ''} ${n.toFixed(2)}`;
+  }
+}
+
+function StatusPill({ status }) {
+  const s = STATUS[status] || STATUS.draft;
+  return (
+    <span style={{ fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 10,
+                   background: s.bg, color: s.color, textTransform: 'uppercase' }}>
+      {s.label}
+    </span>
+  );
+}
+
+// Editable copy of a stored line, in the shape PUT /lines takes.
+const toDraft = (l) => ({
+  productId:         l.product_id || '',
+  productName:       l.product_name || '',
+  groupPath:         l.group_path || '',
+  revenueType:       l.revenue_type || 'one_time',
+  billingFrequency:  l.billing_frequency || '',
+  isTaxable:         !!l.is_taxable,
+  quantity:          l.quantity ?? 1,
+  unitPriceOverride: l.unit_price_override ?? '',
+  discountPct:       l.discount_pct ?? 0,
+  ramp:              l.ramp || [],
+});
+
+const input = { fontSize: 12, padding: '4px 6px', borderRadius: 5, border: '1px solid #d1d5db' };
+const btn = (primary) => ({
+  fontSize: 12, fontWeight: 600, padding: '5px 12px', borderRadius: 6, cursor: 'pointer',
+  border: primary ? 'none' : '1px solid #d1d5db',
+  background: primary ? '#0369a1' : '#fff', color: primary ? '#fff' : '#374151',
+});
+
+function currentUserId() {
+  try { return JSON.parse(localStorage.getItem('user') || '{}').id ?? null; } catch { return null; }
+}
+
+function ApprovalBox({ quote, busy, onRequest, onDecide }) {
+  const st = APPROVAL[quote.approval_status];
+  const trail = (quote.approvals || []).filter(a => a.status !== 'cancelled');
+  if (!st && !trail.length) return null;
+
+  const pending  = trail.filter(a => a.status === 'pending');
+  const openStep = pending.length ? Math.min(...pending.map(a => a.step_order)) : null;
+  const me       = currentUserId();
+  const mine     = pending.find(a => a.approver_user_id === me && a.step_order === openStep);
+  const flagged  = quote.approval_basis?.lines || [];
+  const canRequest = quote.status === 'draft' && ['required', 'rejected'].includes(quote.approval_status);
+
+  return (
+    <div style={{ border: `1px solid ${st ? st.bg : '#e5e7eb'}`, borderRadius: 8, padding: '10px 12px', marginTop: 12 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        {st && (
+          <span style={{ fontSize: 10, fontWeight: 700, padding: '2px 8px', borderRadius: 10,
+                         background: st.bg, color: st.color, textTransform: 'uppercase' }}>{st.label}</span>
+        )}
+        {quote.approval_level && (
+          <span style={{ fontSize: 12, color: '#6b7280' }}>Discount needs {LEVEL_LABEL[quote.approval_level]}</span>
+        )}
+        <span style={{ marginLeft: 'auto', display: 'flex', gap: 6 }}>
+          {canRequest && (
+            <button onClick={onRequest} disabled={busy} style={btn(true)}>
+              {quote.approval_status === 'rejected' ? 'Request again' : 'Request approval'}
+            </button>
+          )}
+          {mine && (
+            <>
+              <button onClick={() => onDecide(mine.id, 'approved')} disabled={busy}
+                style={{ ...btn(true), background: '#15803d' }}>Approve</button>
+              <button onClick={() => onDecide(mine.id, 'rejected')} disabled={busy} style={btn(false)}>Reject</button>
+            </>
+          )}
+        </span>
+      </div>
+
+      {flagged.length > 0 && quote.approval_status !== 'not_required' && (
+        <ul style={{ margin: '8px 0 0', paddingLeft: 18, fontSize: 12, color: '#374151' }}>
+          {flagged.map((l, i) => (
+            <li key={i}>{l.name} — {l.discountPct}% off (over the {l.limit}% {l.level === 'manager' ? 'rep' : 'manager'} limit)</li>
+          ))}
+        </ul>
+      )}
+
+      {trail.length > 0 && (
+        <div style={{ marginTop: 8, borderTop: '1px solid #f3f4f6', paddingTop: 6 }}>
+          {trail.map(a => (
+            <div key={a.id} style={{ fontSize: 12, color: '#6b7280', padding: '2px 0' }}>
+              <strong style={{ color: '#374151' }}>{ROLE_LABEL[a.approver_role]}</strong> · {a.approver_name || 'Unknown'} ·{' '}
+              <span style={{ color: a.status === 'approved' ? '#15803d' : a.status === 'rejected' ? '#b91c1c' : '#6b7280' }}>
+                {a.status === 'pending' ? (a.step_order === openStep ? 'waiting' : 'after the step above') : a.status}
+              </span>
+              {a.decided_at ? ` ${new Date(a.decided_at).toLocaleDateString()}` : ''}
+              {a.decision_note ? ` — ${a.decision_note}` : ''}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RampEditor({ line, years, onChange }) {
+  const byYear = Object.fromEntries((line.ramp || []).map(r => [r.year, r]));
+  const set = (year, field, value) => {
+    const next = { ...(byYear[year] || { year }), [field]: value === '' ? null : value };
+    const rest = (line.ramp || []).filter(r => r.year !== year);
+    onChange([...rest, next].sort((a, b) => a.year - b.year));
+  };
+  return (
+    <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', padding: '4px 0 8px 24px' }}>
+      {Array.from({ length: years }, (_, i) => i + 1).map(y => (
+        <div key={y} style={{ fontSize: 11, color: '#6b7280' }}>
+          <div style={{ fontWeight: 600, marginBottom: 2 }}>Year {y}</div>
+          <input type="number" min="0" placeholder={String(line.quantity)} value={byYear[y]?.quantity ?? ''}
+            onChange={e => set(y, 'quantity', e.target.value)} style={{ ...input, width: 60 }} title="Quantity" />
+          <input type="number" min="0" max="100" placeholder={`${line.discountPct}%`} value={byYear[y]?.discountPct ?? ''}
+            onChange={e => set(y, 'discountPct', e.target.value)} style={{ ...input, width: 52, marginLeft: 4 }} title="Discount %" />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function QuoteEditor({ quote, catalog, priceBooks, onChange, onAccepted }) {
+  const editable = quote.status === 'draft';
+  const [lines, setLines]   = useState(() => quote.lines.map(toDraft));
+  const [dirty, setDirty]   = useState(false);
+  const [rampOpen, setRampOpen] = useState({});
+  const [busy, setBusy]     = useState(false);
+  const [error, setError]   = useState('');
+  const [blankFields, setBlankFields] = useState([]);
+
+  useEffect(() => { setLines(quote.lines.map(toDraft)); setDirty(false); }, [quote]);
+
+  const run = async (fn, fallback) => {
+    setBusy(true); setError('');
+    try { await fn(); }
+    catch (err) { setError(errMsg(err, fallback)); }
+    finally { setBusy(false); }
+  };
+
+  const patch = (data) => run(async () => {
+    const r = await apiService.quotes.update(quote.id, data);
+    onChange(r.data.quote);
+  }, 'Could not update quote');
+
+  const setLine = (i, field, value) => {
+    setLines(ls => ls.map((l, j) => (j === i ? { ...l, [field]: value } : l)));
+    setDirty(true);
+  };
+
+  const pickProduct = (i, productId) => {
+    const p = catalog.find(c => c.id === parseInt(productId, 10));
+    setLines(ls => ls.map((l, j) => (j !== i ? l : p
+      ? { ...l, productId: p.id, productName: p.name, revenueType: p.product_type || 'one_time',
+          billingFrequency: p.billing_frequency || '', isTaxable: !!p.is_taxable, unitPriceOverride: '' }
+      : { ...l, productId: '' })));
+    setDirty(true);
+  };
+
+  const addLine = () => {
+    setLines(ls => [...ls, toDraft({ quantity: 1, discount_pct: 0 })]);
+    setDirty(true);
+  };
+
+  const removeLine = (i) => {
+    setLines(ls => ls.filter((_, j) => j !== i));
+    setDirty(true);
+  };
+
+  const saveLines = () => run(async () => {
+    const r = await apiService.quotes.saveLines(quote.id, lines.map(l => ({
+      ...l,
+      productId: l.productId ? parseInt(l.productId, 10) : null,
+      unitPriceOverride: l.unitPriceOverride === '' ? null : l.unitPriceOverride,
+      ramp: (l.ramp || []).filter(r => r.quantity != null || r.discountPct != null),
+    })));
+    onChange(r.data.quote);
+  }, 'Could not save lines');
+
+  const act = (name, fn, fallback) => run(async () => {
+    const r = await fn();
+    if (name === 'accept') { onChange(r.data.quote); onAccepted && onAccepted(r.data.dealValue); }
+    else onChange(r.data.quote);
+  }, fallback);
+
+  // Branded PDF (2026_148). The tab is opened before the request so the
+  // browser does not treat it as an unrequested popup.
+  const approvedToShare = ['not_required', 'approved'].includes(quote.approval_status);
+  const pdf = () => {
+    const win = window.open('', '_blank');
+    setBlankFields([]);
+    run(async () => {
+      try {
+        const r = await apiService.quotes.generatePdf(quote.id);
+        setBlankFields(r.data.emptyFields || []);
+        if (win) win.location.href = r.data.document.url;
+        else window.open(r.data.document.url, '_blank');
+      } catch (err) {
+        if (win) win.close();
+        throw err;
+      }
+    }, 'Could not generate PDF');
+  };
+
+  const decide = (kind) => {
+    const note = window.prompt(kind === 'accept' ? 'Acceptance note (optional)' : 'Why was it rejected? (optional)');
+    if (note === null) return;
+    if (kind === 'accept') act('accept', () => apiService.quotes.accept(quote.id, note), 'Could not accept quote');
+    else act('reject', () => apiService.quotes.reject(quote.id, note), 'Could not reject quote');
+  };
+
+  const th = { padding: '6px 6px', fontWeight: 500, fontSize: 11, color: '#6b7280', textAlign: 'left' };
+  const td = { padding: '6px 6px', fontSize: 12, verticalAlign: 'top' };
+  const c = quote.currency;
+
+  return (
+    <div style={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: 14, marginTop: 10 }}>
+      <div style={{ display: 'flex', gap: 14, flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 12 }}>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Price book<br />
+          <select value={quote.price_book_id || ''} disabled={!editable || busy}
+            onChange={e => patch({ priceBookId: e.target.value ? parseInt(e.target.value, 10) : null })} style={input}>
+            <option value="">Catalog list prices</option>
+            {priceBooks.map(b => <option key={b.id} value={b.id}>{b.name}{b.segment ? ` (${b.segment})` : ''}</option>)}
+          </select>
+        </label>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Term (months)<br />
+          <input type="number" min="1" max="120" defaultValue={quote.term_months} disabled={!editable || busy}
+            key={`t${quote.id}-${quote.term_months}`}
+            onBlur={e => Number(e.target.value) !== quote.term_months && patch({ termMonths: e.target.value })}
+            style={{ ...input, width: 70 }} />
+        </label>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Start<br />
+          <input type="date" value={quote.start_date || ''} disabled={!editable || busy}
+            onChange={e => patch({ startDate: e.target.value || null })} style={input} />
+        </label>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Valid until<br />
+          <input type="date" value={quote.valid_until || ''} disabled={!editable || busy}
+            onChange={e => patch({ validUntil: e.target.value || null })} style={input} />
+        </label>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Tax %<br />
+          <input type="number" min="0" max="100" step="any" defaultValue={quote.tax_rate} disabled={!editable || busy}
+            key={`x${quote.id}-${quote.tax_rate}`}
+            onBlur={e => Number(e.target.value) !== Number(quote.tax_rate) && patch({ taxRate: e.target.value })}
+            style={{ ...input, width: 60 }} />
+        </label>
+        <span style={{ fontSize: 11, color: '#9ca3af', marginLeft: 'auto' }}>{c}</span>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={th}>Item</th>
+            <th style={{ ...th, width: 60 }}>Qty</th>
+            <th style={{ ...th, width: 110 }}>Unit price</th>
+            <th style={{ ...th, width: 60 }}>Disc %</th>
+            <th style={{ ...th, width: 100, textAlign: 'right' }}>Net</th>
+            {editable && <th style={{ ...th, width: 60 }} />}
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((l, i) => {
+            const stored = quote.lines[i];
+            const recurring = l.revenueType === 'recurring';
+            return (
+              <React.Fragment key={i}>
+                <tr style={{ borderTop: '1px solid #f3f4f6' }}>
+                  <td style={td}>
+                    {editable ? (
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                        <select value={l.productId || ''} onChange={e => pickProduct(i, e.target.value)} style={input}>
+                          <option value="">— Custom line —</option>
+                          {catalog.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        {!l.productId && (
+                          <div style={{ display: 'flex', gap: 4 }}>
+                            <input placeholder="Name" value={l.productName}
+                              onChange={e => setLine(i, 'productName', e.target.value)} style={{ ...input, flex: 1 }} />
+                            <select value={l.revenueType} onChange={e => setLine(i, 'revenueType', e.target.value)} style={input}>
+                              <option value="one_time">One-time</option>
+                              <option value="recurring">Recurring</option>
+                            </select>
+                            {recurring && (
+                              <select value={l.billingFrequency || 'annual'} onChange={e => setLine(i, 'billingFrequency', e.target.value)} style={input}>
+                                <option value="monthly">Monthly</option>
+                                <option value="quarterly">Quarterly</option>
+                                <option value="annual">Annual</option>
+                              </select>
+                            )}
+                            <label style={{ fontSize: 11, color: '#6b7280' }}>
+                              <input type="checkbox" checked={l.isTaxable} onChange={e => setLine(i, 'isTaxable', e.target.checked)} /> taxable
+                            </label>
+                          </div>
+                        )}
+                      </div>
+                    ) : (
+                      <div>
+                        <div style={{ fontWeight: 600, color: '#111827' }}>{l.productName}</div>
+                        {l.groupPath && <div style={{ fontSize: 11, color: '#9ca3af' }}>{l.groupPath}</div>}
+                      </div>
+                    )}
+                    <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 2 }}>
+                      {recurring ? `Recurring${FREQ_LABEL[l.billingFrequency] ? ` ${FREQ_LABEL[l.billingFrequency]}` : ''}` : 'One-time'}
+                      {l.isTaxable ? ' · taxable' : ''}
+                      {stored?.pricing_model && stored.pricing_model !== 'flat' && stored.unit_price_override == null ? ` · ${stored.pricing_model} pricing` : ''}
+                      {recurring && quote.years > 1 && (
+                        <button onClick={() => setRampOpen(o => ({ ...o, [i]: !o[i] }))}
+                          style={{ marginLeft: 6, fontSize: 11, background: 'none', border: 'none', color: '#0369a1', cursor: 'pointer', padding: 0 }}>
+                          {rampOpen[i] ? 'hide ramp' : (l.ramp?.length ? 'ramp ✓' : 'ramp')}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                  <td style={td}>
+                    {editable
+                      ? <input type="number" min="0" value={l.quantity} onChange={e => setLine(i, 'quantity', e.target.value)} style={{ ...input, width: 52 }} />
+                      : l.quantity}
+                  </td>
+                  <td style={td}>
+                    {editable ? (
+                      <input type="number" min="0" step="any" value={l.unitPriceOverride}
+                        placeholder={stored && l.productId === (stored.product_id || '') ? String(stored.list_unit_price) : 'book price'}
+                        onChange={e => setLine(i, 'unitPriceOverride', e.target.value)} style={{ ...input, width: 96 }} />
+                    ) : money(stored?.unit_price_override ?? stored?.list_unit_price, c)}
+                  </td>
+                  <td style={td}>
+                    {editable
+                      ? <input type="number" min="0" max="100" value={l.discountPct} onChange={e => setLine(i, 'discountPct', e.target.value)} style={{ ...input, width: 48 }} />
+                      : `${Number(l.discountPct)}%`}
+                  </td>
+                  <td style={{ ...td, textAlign: 'right', fontWeight: 600 }}>
+                    {dirty ? '—' : money(stored?.net_amount, c)}
+                  </td>
+                  {editable && (
+                    <td style={{ ...td, textAlign: 'right' }}>
+                      <button onClick={() => removeLine(i)}
+                        style={{ fontSize: 12, background: 'none', border: 'none', color: '#991b1b', cursor: 'pointer' }}>Remove</button>
+                    </td>
+                  )}
+                </tr>
+                {rampOpen[i] && recurring && (
+                  <tr>
+                    <td colSpan={editable ? 6 : 5}>
+                      {editable
+                        ? <RampEditor line={l} years={quote.years} onChange={r => setLine(i, 'ramp', r)} />
+                        : (
+                          <div style={{ display: 'flex', gap: 14, padding: '4px 0 8px 24px', fontSize: 11, color: '#6b7280' }}>
+                            {(stored?.years || []).map(y => (
+                              <span key={y.year}>Y{y.year}: {y.quantity} × {y.discountPct}% off → {money(y.netAmount, c)}</span>
+                            ))}
+                          </div>
+                        )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+          {lines.length === 0 && (
+            <tr><td colSpan={6} style={{ ...td, color: '#9ca3af' }}>No lines yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      {editable && (
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button onClick={addLine} disabled={busy} style={btn(false)}>+ Add line</button>
+          {dirty && <button onClick={saveLines} disabled={busy} style={btn(true)}>{busy ? 'Saving…' : 'Save lines'}</button>}
+          {dirty && <button onClick={() => { setLines(quote.lines.map(toDraft)); setDirty(false); }} disabled={busy} style={btn(false)}>Discard</button>}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 12 }}>
+        <table style={{ fontSize: 12, borderCollapse: 'collapse', minWidth: 240 }}>
+          <tbody>
+            <tr><td style={{ padding: '2px 12px', color: '#6b7280' }}>List</td><td style={{ textAlign: 'right' }}>{money(quote.totals.listTotal, c)}</td></tr>
+            <tr><td style={{ padding: '2px 12px', color: '#6b7280' }}>Discount</td><td style={{ textAlign: 'right' }}>−{money(quote.totals.discountTotal, c)}</td></tr>
+            <tr><td style={{ padding: '2px 12px', color: '#6b7280' }}>Net</td><td style={{ textAlign: 'right' }}>{money(quote.totals.netTotal, c)}</td></tr>
+            <tr><td style={{ padding: '2px 12px', color: '#6b7280' }}>Tax ({Number(quote.tax_rate)}%)</td><td style={{ textAlign: 'right' }}>{money(quote.totals.taxTotal, c)}</td></tr>
+            <tr style={{ borderTop: '1px solid #e5e7eb' }}>
+              <td style={{ padding: '4px 12px', fontWeight: 700 }}>Total</td>
+              <td style={{ textAlign: 'right', fontWeight: 700 }}>{money(quote.totals.grandTotal, c)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {quote.term_months > 12 && (
+        <div style={{ fontSize: 11, color: '#9ca3af', textAlign: 'right', marginTop: 4 }}>
+          Recurring lines cover the full {quote.term_months}-month term.
+        </div>
+      )}
+
+      <ApprovalBox quote={quote} busy={busy}
+        onRequest={() => act('request', () => apiService.quotes.requestApproval(quote.id), 'Could not request approval')}
+        onDecide={(approvalId, decision) => {
+          let note = '';
+          if (decision === 'rejected') {
+            note = window.prompt('Why is the discount rejected?');
+            if (!note) return;
+          }
+          act('decide', () => apiService.quotes.decideApproval(approvalId, decision, note), 'Could not record decision');
+        }} />
+
+      {quote.decision_note && (
+        <div style={{ fontSize: 12, color: '#374151', marginTop: 10 }}>
+          <strong>{STATUS[quote.status]?.label} note:</strong> {quote.decision_note}
+        </div>
+      )}
+
+      {error && (
+        <div style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 6, padding: '8px 12px', fontSize: 12, marginTop: 10 }}>
+          {error}
+        </div>
+      )}
+      {blankFields.length > 0 && (
+        <div style={{ background: '#fef3c7', color: '#92400e', borderRadius: 6, padding: '8px 12px', fontSize: 12, marginTop: 10 }}>
+          PDF generated with blank fields: {blankFields.join(', ')}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 12, flexWrap: 'wrap' }}>
+        {editable && (
+          <>
+            <button onClick={() => act('send', () => apiService.quotes.send(quote.id), 'Could not send quote')}
+              disabled={busy || dirty || !approvedToShare}
+              title={approvedToShare ? '' : 'The discount needs approval first'}
+              style={btn(true)}>Mark as sent</button>
+            <button onClick={() => act('reprice', () => apiService.quotes.reprice(quote.id), 'Could not reprice')}
+              disabled={busy || dirty} style={btn(false)} title="Re-read catalog prices from the price book">Reprice</button>
+          </>
+        )}
+        <button onClick={pdf}
+          disabled={busy || dirty || (editable && !approvedToShare)}
+          title={editable && !approvedToShare ? 'The discount needs approval first' : 'Branded PDF of this quote'}
+          style={btn(false)}>PDF</button>
+        {quote.status === 'sent' && (
+          <>
+            <button onClick={() => decide('accept')} disabled={busy} style={{ ...btn(true), background: '#15803d' }}>Accept</button>
+            <button onClick={() => decide('reject')} disabled={busy} style={btn(false)}>Reject</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function DealQuotesPanel({ deal, onAccepted }) {
+  const [quotes, setQuotes]         = useState([]);
+  const [selected, setSelected]     = useState(null);
+  const [catalog, setCatalog]       = useState([]);
+  const [priceBooks, setPriceBooks] = useState([]);
+  const [loading, setLoading]       = useState(true);
+  const [busy, setBusy]             = useState(false);
+  const [error, setError]           = useState('');
+
+  const load = useCallback(async () => {
+    if (!deal?.id) return;
+    setError('');
+    try {
+      const [q, cat, books] = await Promise.all([
+        apiService.quotes.getByDeal(deal.id),
+        apiService.products.getAll('active'),
+        apiService.quotes.priceBooks(),
+      ]);
+      setQuotes(q.data.quotes || []);
+      setCatalog(cat.data?.data?.products || []);
+      setPriceBooks(books.data.priceBooks || []);
+    } catch (err) {
+      setError(errMsg(err, 'Could not load quotes'));
+    } finally {
+      setLoading(false);
+    }
+  }, [deal?.id]);
+
+  useEffect(() => { setSelected(null); load(); }, [load]);
+
+  const open = async (id) => {
+    if (selected?.id === id) { setSelected(null); return; }
+    setError('');
+    try {
+      const r = await apiService.quotes.getById(id);
+      setSelected(r.data.quote);
+    } catch (err) {
+      setError(errMsg(err, 'Could not load quote'));
+    }
+  };
+
+  const run = async (fn, fallback) => {
+    setBusy(true); setError('');
+    try {
+      const r = await fn();
+      setSelected(r.data.quote);
+      await load();
+    } catch (err) {
+      setError(errMsg(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (q) => {
+    if (!window.confirm(`Delete draft v${q.version}?`)) return;
+    setError('');
+    try {
+      await apiService.quotes.delete(q.id);
+      if (selected?.id === q.id) setSelected(null);
+      await load();
+    } catch (err) {
+      setError(errMsg(err, 'Could not delete quote'));
+    }
+  };
+
+  const changed = async (quote) => {
+    setSelected(quote);
+    await load();
+  };
+
+  if (loading) return <div style={{ fontSize: 13, color: '#9ca3af' }}>Loading…</div>;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+        <span style={{ fontSize: 12, color: '#6b7280' }}>
+          A new quote starts from this deal's line items. Accepting one replaces them and updates the deal value.
+        </span>
+        <button onClick={() => run(() => apiService.quotes.create(deal.id), 'Could not create quote')}
+          disabled={busy} style={{ ...btn(true), marginLeft: 'auto' }}>
+          {busy ? 'Working…' : '+ New quote'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 6, padding: '8px 12px', fontSize: 12, marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {quotes.length === 0 ? (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '6px 0' }}>No quotes yet.</div>
+      ) : quotes.map(q => (
+        <div key={q.id}>
+          <div onClick={() => open(q.id)}
+            style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 10px', borderRadius: 6, cursor: 'pointer',
+                     background: selected?.id === q.id ? '#f0f9ff' : 'transparent', borderTop: '1px solid #f3f4f6' }}>
+            <span style={{ fontWeight: 700, fontSize: 13, width: 32 }}>v{q.version}</span>
+            <StatusPill status={q.status} />
+            <span style={{ fontSize: 12, color: '#6b7280' }}>
+              {q.line_count} line{q.line_count === 1 ? '' : 's'} · {q.term_months} mo{q.price_book_name ? ` · ${q.price_book_name}` : ''}
+            </span>
+            <span style={{ fontSize: 12, color: '#9ca3af' }}>{q.valid_until ? `valid to ${q.valid_until}` : ''}</span>
+            <span style={{ marginLeft: 'auto', fontWeight: 600, fontSize: 13 }}>{money(q.grand_total, q.currency)}</span>
+            <span onClick={e => e.stopPropagation()} style={{ display: 'flex', gap: 6 }}>
+              <button onClick={() => run(() => apiService.quotes.newVersion(q.id), 'Could not copy quote')}
+                disabled={busy} style={{ ...btn(false), padding: '3px 8px' }} title="Copy into a new draft">New version</button>
+              {q.status === 'draft' && (
+                <button onClick={() => remove(q)} disabled={busy}
+                  style={{ fontSize: 12, background: 'none', border: 'none', color: '#991b1b', cursor: 'pointer' }}>Delete</button>
+              )}
+            </span>
+          </div>
+          {selected?.id === q.id && (
+            <QuoteEditor quote={selected} catalog={catalog} priceBooks={priceBooks}
+              onChange={changed} onAccepted={onAccepted} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
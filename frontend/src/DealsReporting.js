@@ -4,8 +4,10 @@
 // DROP-IN LOCATION: frontend/src/DealsReporting.js
 //
 // Renders one of the Deals module reports by key:
-//   pipeline_health · funnel · forecast · winloss
+//   pipeline_health · funnel · forecast · forecast_calls · winloss
 // Pipeline health reuses PortfolioHealthReport (deals fetcher + deal lenses).
+// forecast_calls is the submitted-forecast view (routes/forecast.routes.js):
+// categories, quota attainment, rep/manager calls and the weekly waterfall.
 // ─────────────────────────────────────────────────────────────────────────────
 import React, { useState, useEffect } from 'react';
 import { apiService } from './apiService';
@@ -23,12 +25,24 @@ const BUCKETS = [
   { k: 'quarter', label: 'Quarter' }, { k: 'half', label: 'Half-year' },
 ];
 
-function fmtMoney(n) {
+// Report totals arrive in the org's corporate currency (`currency` on each
+// response); USD keeps the bare "$" so single-currency orgs see no change.
+function fmtMoney(n, currency = 'USD') {
   const v = Number(n) || 0;
-  if (Math.abs(v) >= 1e7) return `$${(v / 1e6).toFixed(1)}M`;
-  if (Math.abs(v) >= 1e6) return `$${(v / 1e6).toFixed(2)}M`;
-  if (Math.abs(v) >= 1e3) return `$${Math.round(v / 1e3)}K`;
-  return `$${Math.round(v)}`;
+  const p = !currency || currency === 'USD' ? '$' : `${currency} `;
+  if (Math.abs(v) >= 1e7) return `${p}${(v / 1e6).toFixed(1)}M`;
+  if (Math.abs(v) >= 1e6) return `${p}${(v / 1e6).toFixed(2)}M`;
+  if (Math.abs(v) >= 1e3) return `${p}${Math.round(v / 1e3)}K`;
+  return `${p}${Math.round(v)}`;
+}
+
+function Unconverted({ n }) {
+  if (!n) return null;
+  return (
+    <div style={{ fontSize: 11, color: '#b45309', marginTop: 8 }}>
+      {n} deal{n === 1 ? '' : 's'} in a currency with no exchange rate {n === 1 ? 'is' : 'are'} left out of the totals — add a rate under Org Admin → Currencies.
+    </div>
+  );
 }
 
 const card = { background: '#fff', border: '0.5px solid #e5e7eb', borderRadius: 12, padding: 16 };
@@ -36,26 +50,28 @@ const card = { background: '#fff', border: '0.5px solid #e5e7eb', borderRadius:
 function Funnel() {
   const [d, setD] = useState(null);
   useEffect(() => { apiService.handovers.dealsFunnel().then(r => setD(r.data)).catch(() => setD(null)); }, []);
+  const money = (n) => fmtMoney(n, d?.currency);
   if (!d) return <div style={{ color: '#9ca3af', fontSize: 13 }}>Loading…</div>;
   const max = Math.max(1, ...d.stages.map(s => s.value));
   return (
     <div style={card}>
       <div style={{ display: 'flex', alignItems: 'baseline', gap: 10, marginBottom: 14 }}>
         <span style={{ fontSize: 15, fontWeight: 500 }}>Pipeline funnel</span>
-        <span style={{ fontSize: 12, color: '#6b7280' }}>{d.totalCount} open · {fmtMoney(d.totalValue)}</span>
+        <span style={{ fontSize: 12, color: '#6b7280' }}>{d.totalCount} open · {money(d.totalValue)}</span>
       </div>
       {d.stages.length === 0 ? <div style={{ color: '#9ca3af', fontSize: 13 }}>No open deals.</div>
         : d.stages.map(s => (
           <div key={s.stage} style={{ marginBottom: 10 }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 3 }}>
               <span style={{ fontWeight: 500 }}>{s.label}</span>
-              <span style={{ color: '#6b7280' }}>{s.count} · {fmtMoney(s.value)}</span>
+              <span style={{ color: '#6b7280' }}>{s.count} · {money(s.value)}</span>
             </div>
             <div style={{ height: 8, background: '#f1f5f9', borderRadius: 4 }}>
               <div style={{ width: `${(s.value / max) * 100}%`, height: '100%', background: '#1d4ed8', borderRadius: 4 }} />
             </div>
           </div>
         ))}
+      <Unconverted n={d.unconverted} />
     </div>
   );
 }
@@ -70,12 +86,13 @@ function Forecast() {
     apiService.handovers.dealsForecast(bucket).then(r => setD(r.data)).catch(() => setD(null));
     try { localStorage.setItem('gw_forecast_bucket', bucket); } catch { /* ignore */ }
   }, [bucket]);
+  const money = (n) => fmtMoney(n, d?.currency);
   const max = d ? Math.max(1, ...d.buckets.map(b => b.weighted)) : 1;
   return (
     <div style={card}>
       <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14, flexWrap: 'wrap' }}>
         <span style={{ fontSize: 15, fontWeight: 500 }}>Forecast</span>
-        {d && <span style={{ fontSize: 12, color: '#6b7280' }}>weighted {fmtMoney(d.totalWeighted)} of {fmtMoney(d.totalRaw)} open</span>}
+        {d && <span style={{ fontSize: 12, color: '#6b7280' }}>weighted {money(d.totalWeighted)} of {money(d.totalRaw)} open</span>}
         <div style={{ marginLeft: 'auto', display: 'flex', gap: 4 }}>
           {BUCKETS.map(b => (
             <button key={b.k} onClick={() => setBucket(b.k)} style={{ fontSize: 12, padding: '4px 10px', borderRadius: 6, cursor: 'pointer',
@@ -90,7 +107,7 @@ function Forecast() {
           <div key={b.key} style={{ marginBottom: 10 }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 3 }}>
               <span style={{ fontWeight: 500 }}>{b.label}</span>
-              <span style={{ color: '#6b7280' }}>{fmtMoney(b.weighted)} <span style={{ color: '#9ca3af' }}>({b.count} · {fmtMoney(b.raw)})</span></span>
+              <span style={{ color: '#6b7280' }}>{money(b.weighted)} <span style={{ color: '#9ca3af' }}>({b.count} · {money(b.raw)})</span></span>
             </div>
             <div style={{ height: 8, background: '#f1f5f9', borderRadius: 4 }}>
               <div style={{ width: `${(b.weighted / max) * 100}%`, height: '100%', background: '#059669', borderRadius: 4 }} />
@@ -98,6 +115,245 @@ function Forecast() {
           </div>
         ))}
       <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 8 }}>Weighted = value × probability. Bars are weighted; raw value and deal count in parentheses.</div>
+      <Unconverted n={d?.unconverted} />
+    </div>
+  );
+}
+
+// ── Forecast calls ───────────────────────────────────────────────────────────
+
+const CATEGORY_COLORS = { commit: '#059669', best_case: '#2563eb', pipeline: '#9ca3af', omitted: '#d1d5db' };
+
+function periodKeyOf(date, type) {
+  const y = date.getFullYear();
+  return type === 'month'
+    ? `${y}-${String(date.getMonth() + 1).padStart(2, '0')}`
+    : `${y}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+function shiftPeriod(key, n) {
+  const q = /^(\d{4})-Q([1-4])$/.exec(key);
+  if (q) {
+    const i = Number(q[1]) * 4 + Number(q[2]) - 1 + n;
+    return `${Math.floor(i / 4)}-Q${(i % 4) + 1}`;
+  }
+  const [y, m] = key.split('-').map(Number);
+  const i = y * 12 + m - 1 + n;
+  return `${Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, '0')}`;
+}
+
+const th = { textAlign: 'right', fontWeight: 500, color: '#6b7280', fontSize: 11, padding: '6px 8px' };
+const td = { textAlign: 'right', padding: '7px 8px', fontSize: 13 };
+const input = { fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid #d1d5db' };
+const btn = (primary) => ({ fontSize: 12, padding: '4px 10px', borderRadius: 6, cursor: 'pointer',
+  background: primary ? '#1d4ed8' : '#fff', color: primary ? '#fff' : '#374151',
+  border: `1px solid ${primary ? '#1d4ed8' : '#e5e7eb'}`, fontWeight: primary ? 600 : 400 });
+
+function ForecastCalls() {
+  const [type, setType] = useState('quarter');
+  const [period, setPeriod] = useState(() => periodKeyOf(new Date(), 'quarter'));
+  const [trail, setTrail] = useState([]);              // drill-down: [{ userId, name }]
+  const [d, setD] = useState(null);
+  const [wf, setWf] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotId, setSnapshotId] = useState('');
+  const [call, setCall] = useState({ commitAmount: '', bestCaseAmount: '', notes: '' });
+  const [quotaEdit, setQuotaEdit] = useState(null);    // { userId, amount }
+  const [error, setError] = useState('');
+  const [tick, setTick] = useState(0);
+  const subject = trail[trail.length - 1];
+  const userId = subject?.userId;
+  const money = (n) => fmtMoney(n, d?.currency);
+
+  useEffect(() => {
+    setD(null); setError('');
+    apiService.handovers.forecastView(period, userId)
+      .then(r => setD(r.data))
+      .catch(e => setError(e.response?.data?.error?.message || 'Failed to load forecast'));
+  }, [period, userId, tick]);
+
+  useEffect(() => {
+    apiService.handovers.forecastSnapshots(period).then(r => setSnapshots(r.data.snapshots || [])).catch(() => setSnapshots([]));
+    setSnapshotId('');
+  }, [period]);
+
+  useEffect(() => {
+    setWf(null);
+    apiService.handovers.forecastWaterfall(period, userId, snapshotId || undefined).then(r => setWf(r.data)).catch(() => setWf(null));
+  }, [period, userId, snapshotId, tick]);
+
+  const changeType = (t) => { setType(t); setPeriod(periodKeyOf(new Date(), t)); };
+
+  const submitCall = async () => {
+    setError('');
+    try {
+      await apiService.handovers.forecastSubmit({
+        periodKey: period,
+        commitAmount: Number(call.commitAmount),
+        ...(call.bestCaseAmount !== '' && { bestCaseAmount: Number(call.bestCaseAmount) }),
+        ...(call.notes && { notes: call.notes }),
+      });
+      setCall({ commitAmount: '', bestCaseAmount: '', notes: '' });
+      setTick(t => t + 1);
+    } catch (e) { setError(e.response?.data?.error?.message || 'Failed to submit forecast'); }
+  };
+
+  const saveQuota = async () => {
+    setError('');
+    try {
+      await apiService.handovers.forecastSetQuota(quotaEdit.userId, period, Number(quotaEdit.amount));
+      setQuotaEdit(null);
+      setTick(t => t + 1);
+    } catch (e) { setError(e.response?.data?.error?.message || 'Failed to save quota'); }
+  };
+
+  const setCategory = async (dealId, category) => {
+    setError('');
+    try {
+      await apiService.handovers.forecastSetCategory(dealId, category || null);
+      setTick(t => t + 1);
+    } catch (e) { setError(e.response?.data?.error?.message || 'Failed to change category'); }
+  };
+
+  const wfMax = wf?.steps?.length ? Math.max(1, wf.from, wf.to, ...wf.steps.map(s => Math.abs(s.amount))) : 1;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
+      <div style={card}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14, flexWrap: 'wrap' }}>
+          <span style={{ fontSize: 15, fontWeight: 500 }}>Forecast calls</span>
+          {trail.length > 0 && (
+            <span style={{ fontSize: 12, color: '#6b7280' }}>
+              <button onClick={() => setTrail([])} style={{ ...btn(false), padding: '2px 8px' }}>Me</button>
+              {trail.map((t, i) => (
+                <span key={t.userId}> › <button onClick={() => setTrail(trail.slice(0, i + 1))} style={{ ...btn(false), padding: '2px 8px' }}>{t.name}</button></span>
+              ))}
+            </span>
+          )}
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: 4, alignItems: 'center' }}>
+            <button onClick={() => changeType('month')} style={btn(type === 'month')}>Month</button>
+            <button onClick={() => changeType('quarter')} style={btn(type === 'quarter')}>Quarter</button>
+            <button onClick={() => setPeriod(p => shiftPeriod(p, -1))} style={btn(false)}>‹</button>
+            <span style={{ fontSize: 13, fontWeight: 600, minWidth: 70, textAlign: 'center' }}>{period}</span>
+            <button onClick={() => setPeriod(p => shiftPeriod(p, 1))} style={btn(false)}>›</button>
+          </div>
+        </div>
+        {error && <div style={{ color: '#b91c1c', fontSize: 12, marginBottom: 10 }}>{error}</div>}
+        {!d ? <div style={{ color: '#9ca3af', fontSize: 13 }}>Loading…</div> : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...th, textAlign: 'left' }}>Rep</th>
+                <th style={th}>Closed won</th><th style={th}>Commit</th><th style={th}>Best case</th><th style={th}>Pipeline</th>
+                <th style={th}>Quota</th><th style={th}>Attainment</th><th style={th}>Call (commit / best)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {d.rows.map((r, i) => (
+                <tr key={r.userId} style={{ borderTop: '0.5px solid #f3f4f6', background: i === 0 ? '#f8fafc' : undefined }}>
+                  <td style={{ ...td, textAlign: 'left', fontWeight: 500 }}>
+                    {i === 0 ? r.name : <button onClick={() => setTrail([...trail, { userId: r.userId, name: r.name }])}
+                      style={{ background: 'none', border: 'none', padding: 0, color: '#1d4ed8', cursor: 'pointer', fontSize: 13, fontWeight: 500 }}>{r.name}</button>}
+                    {r.isRollup && <span style={{ fontSize: 11, color: '#9ca3af', marginLeft: 6 }}>team</span>}
+                  </td>
+                  <td style={td}>{money(r.totals.closedWon)}</td>
+                  <td style={{ ...td, color: CATEGORY_COLORS.commit }}>{money(r.totals.commit)}</td>
+                  <td style={{ ...td, color: CATEGORY_COLORS.best_case }}>{money(r.totals.best_case)}</td>
+                  <td style={{ ...td, color: '#6b7280' }}>{money(r.totals.pipeline)}</td>
+                  <td style={td}>
+                    {quotaEdit?.userId === r.userId ? (
+                      <span style={{ display: 'inline-flex', gap: 4 }}>
+                        <input type="number" min="0" value={quotaEdit.amount} onChange={e => setQuotaEdit({ ...quotaEdit, amount: e.target.value })} style={{ ...input, width: 90 }} />
+                        <button onClick={saveQuota} style={btn(true)}>Save</button>
+                        <button onClick={() => setQuotaEdit(null)} style={btn(false)}>×</button>
+                      </span>
+                    ) : (
+                      <span onClick={() => setQuotaEdit({ userId: r.userId, amount: r.quota ?? '' })} title="Set quota" style={{ cursor: 'pointer' }}>
+                        {r.quota != null ? money(r.quota) : <span style={{ color: '#9ca3af' }}>—</span>}
+                        {r.quotaSource === 'rollup' && <span style={{ fontSize: 10, color: '#9ca3af', marginLeft: 4 }}>Σ</span>}
+                      </span>
+                    )}
+                  </td>
+                  <td style={{ ...td, fontWeight: 600 }}>{r.attainmentPct != null ? `${r.attainmentPct}%` : '—'}</td>
+                  <td style={td} title={r.submission?.notes || ''}>
+                    {r.submission
+                      ? <>{money(r.submission.commit)} / {money(r.submission.bestCase)} <span style={{ fontSize: 11, color: '#9ca3af' }}>{new Date(r.submission.submittedAt).toLocaleDateString()}</span></>
+                      : <span style={{ color: '#9ca3af' }}>not submitted</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {d && trail.length === 0 && (
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 14, flexWrap: 'wrap' }}>
+            <span style={{ fontSize: 12, fontWeight: 500 }}>Your call for {period}:</span>
+            <input type="number" min="0" placeholder="Commit" value={call.commitAmount} onChange={e => setCall({ ...call, commitAmount: e.target.value })} style={{ ...input, width: 110 }} />
+            <input type="number" min="0" placeholder="Best case" value={call.bestCaseAmount} onChange={e => setCall({ ...call, bestCaseAmount: e.target.value })} style={{ ...input, width: 110 }} />
+            <input placeholder="Notes" value={call.notes} onChange={e => setCall({ ...call, notes: e.target.value })} style={{ ...input, flex: 1, minWidth: 160 }} />
+            <button onClick={submitCall} disabled={call.commitAmount === ''} style={btn(true)}>Submit</button>
+          </div>
+        )}
+        {d && <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 8 }}>
+          Uncategorised deals are derived from probability: commit ≥ {d.thresholds.commit}%, best case ≥ {d.thresholds.bestCase}%. Team rows roll up every report below that person.
+        </div>}
+        <Unconverted n={d?.unconverted} />
+      </div>
+
+      <div style={card}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14, flexWrap: 'wrap' }}>
+          <span style={{ fontSize: 15, fontWeight: 500 }}>What changed</span>
+          {wf?.snapshot && <span style={{ fontSize: 12, color: '#6b7280' }}>{money(wf.from)} → {money(wf.to)}</span>}
+          <select value={snapshotId} onChange={e => setSnapshotId(e.target.value)} style={{ ...input, marginLeft: 'auto' }}>
+            <option value="">Since last week</option>
+            {snapshots.map(s => <option key={s.id} value={s.id}>Since week of {new Date(s.week_start).toLocaleDateString()}</option>)}
+          </select>
+        </div>
+        {!wf ? <div style={{ color: '#9ca3af', fontSize: 13 }}>Loading…</div>
+          : !wf.snapshot ? <div style={{ color: '#9ca3af', fontSize: 13 }}>No snapshot yet for {period}. Snapshots are taken every Monday.</div>
+          : wf.steps.length === 0 ? <div style={{ color: '#9ca3af', fontSize: 13 }}>No changes since the snapshot.</div>
+          : wf.steps.map(s => (
+            <div key={s.key} style={{ marginBottom: 10 }} title={s.deals.map(x => `${x.name}: ${money(x.amount)}`).join('\n')}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 3 }}>
+                <span style={{ fontWeight: 500 }}>{s.label} <span style={{ color: '#9ca3af', fontWeight: 400 }}>({s.count})</span></span>
+                <span style={{ color: s.amount >= 0 ? '#059669' : '#dc2626' }}>{s.amount >= 0 ? '+' : '−'}{money(Math.abs(s.amount))}</span>
+              </div>
+              <div style={{ height: 8, background: '#f1f5f9', borderRadius: 4 }}>
+                <div style={{ width: `${(Math.abs(s.amount) / wfMax) * 100}%`, height: '100%', background: s.amount >= 0 ? '#059669' : '#dc2626', borderRadius: 4 }} />
+              </div>
+            </div>
+          ))}
+        {wf?.categoryMoves?.length > 0 && (
+          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 8 }}>
+            Category moves: {wf.categoryMoves.map(m => `${m.from} → ${m.to} (${m.count}, ${money(m.value)})`).join(' · ')}
+          </div>
+        )}
+      </div>
+
+      {d && (
+        <div style={card}>
+          <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 10 }}>Deals in {period}</div>
+          {d.deals.length === 0 ? <div style={{ color: '#9ca3af', fontSize: 13 }}>No deals close in this period.</div>
+            : d.deals.map(x => (
+              <div key={x.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '7px 4px', borderTop: '0.5px solid #f3f4f6', fontSize: 13 }}>
+                <span style={{ flex: 1, minWidth: 0 }}>
+                  <span style={{ fontWeight: 500 }}>{x.name}</span>
+                  <span style={{ color: '#9ca3af', fontSize: 12 }}> · {x.accountName || '—'} · {x.ownerName} · {x.stageName} · {x.probability}%</span>
+                </span>
+                <span style={{ width: 80, textAlign: 'right' }} title={x.currency !== d.currency ? `${x.currency} ${Math.round(x.originalValue).toLocaleString()}` : undefined}>
+                  {x.unconverted ? <span style={{ color: '#b45309' }}>{x.currency} ?</span> : money(x.value)}
+                </span>
+                {x.won ? <span style={{ width: 150, textAlign: 'right', fontSize: 12, color: '#059669', fontWeight: 600 }}>Closed won</span> : (
+                  <select value={x.categoryDerived ? '' : x.category} onChange={e => setCategory(x.id, e.target.value)}
+                    style={{ ...input, width: 150, color: CATEGORY_COLORS[x.category] }}>
+                    <option value="">Auto ({d.categories.find(c => c.key === x.category)?.label})</option>
+                    {d.categories.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                  </select>
+                )}
+              </div>
+            ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -107,13 +363,15 @@ function WinLoss() {
   const [windowDays, setWindowDays] = useState(90);
   const [d, setD] = useState(null);
   useEffect(() => { setD(null); apiService.handovers.dealsWinLoss(windowDays, groupBy).then(r => setD(r.data)).catch(() => setD(null)); }, [groupBy, windowDays]);
+
+  const money = (n) => fmtMoney(n, d?.currency);
   const o = d?.overall;
   return (
     <div style={card}>
       <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14, flexWrap: 'wrap' }}>
         <span style={{ fontSize: 15, fontWeight: 500 }}>Win / loss</span>
         {o && <span style={{ fontSize: 20, fontWeight: 700, color: '#059669' }}>{o.winRate}%</span>}
-        {o && <span style={{ fontSize: 12, color: '#6b7280' }}>{o.won}W · {o.lost}L · won {fmtMoney(o.wonValue)}</span>}
+        {o && <span style={{ fontSize: 12, color: '#6b7280' }}>{o.won}W · {o.lost}L · won {money(o.wonValue)}</span>}
         <div style={{ marginLeft: 'auto', display: 'flex', gap: 6, alignItems: 'center' }}>
           <select value={windowDays} onChange={e => setWindowDays(Number(e.target.value))} style={{ fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid #d1d5db' }}>
             <option value={30}>30d</option><option value={90}>90d</option><option value={180}>180d</option><option value={365}>365d</option>
@@ -135,6 +393,7 @@ function WinLoss() {
             <span style={{ width: 90, textAlign: 'right', color: '#9ca3af', fontSize: 12 }}>{g.won}W · {g.lost}L</span>
           </div>
         ))}
+      <Unconverted n={d?.unconverted} />
     </div>
   );
 }
@@ -144,6 +403,7 @@ export default function DealsReporting({ reportKey }) {
     return <PortfolioHealthReport title="Pipeline health — deals" fetcher={apiService.handovers.dealsHealth} lenses={DEAL_LENSES} noun="deals" />;
   if (reportKey === 'funnel')   return <Funnel />;
   if (reportKey === 'forecast') return <Forecast />;
+  if (reportKey === 'forecast_calls') return <ForecastCalls />;
   if (reportKey === 'winloss')  return <WinLoss />;
   return null;
 }
@@ -21,7 +21,9 @@ import EntityIdHint from './EntityIdHint';
 import StrapPanel from './StrapPanel';               // ← CHANGED: was DealStrapPanel
 import DealTeamPanel from './DealTeamPanel';
 import DealPlaysPanel from './DealPlaysPanel';
+import DealMutualActionPlanPanel from './DealMutualActionPlanPanel';
 import DealProductsPanel from './DealProductsPanel';
+import DealQuotesPanel from './DealQuotesPanel';
 import DealContactsPanel from './DealContactsPanel';
 import DealEmailHistory from './DealEmailHistory';
 import DealFilesPanel from './DealFilesPanel';
@@ -41,6 +43,20 @@ const FALLBACK_STAGES = [
   { key: 'closed_won',  name: 'Closed Won',  is_terminal: true  },
 ];
 
+// Deal values are in the deal's own currency; USD keeps the bare "$".
+function fmtDealValue(value, currency) {
+  const n = (parseFloat(value) || 0).toLocaleString();
+  return !currency || currency === 'USD' ? `$${n}` : `${currency} ${n}`;
+}
+
+// Pipeline total without mixing currencies: one figure per currency in use.
+function fmtPipelineTotal(deals) {
+  const by = {};
+  deals.forEach(d => { const c = d.currency || 'USD'; by[c] = (by[c] || 0) + (parseFloat(d.value) || 0); });
+  const parts = Object.entries(by).map(([c, v]) => fmtDealValue(v, c));
+  return parts.length ? parts.join(' + ') : '$0';
+}
+
 function DealsView({ openDealId = null, onDealOpened = null }) {
   const [deals, setDeals]             = useState([]);
   const [accounts, setAccounts]       = useState([]);
@@ -64,6 +80,8 @@ function DealsView({ openDealId = null, onDealOpened = null }) {
   const [dealContracts, setDealContracts]         = useState([]);
   const [dealContractsLoading, setDealContractsLoading] = useState(false);
   const [selectedContract, setSelectedContract]   = useState(null);
+  // Bumped when an accepted quote rewrites the deal's line items.
+  const [lineItemsVersion, setLineItemsVersion]   = useState(0);
 
   // Derive isLegalMember from the stored user object — same pattern as apiService.js line 528
   const currentUser    = JSON.parse(localStorage.getItem('user') || '{}');
@@ -273,7 +291,7 @@ function DealsView({ openDealId = null, onDealOpened = null }) {
       {/* Pipeline Stats */}
       <div className="pipeline-stats">
         <div className="stat-card"><div className="stat-value">{deals.length}</div><div className="stat-label">Active Deals</div></div>
-        <div className="stat-card"><div className="stat-value">${deals.reduce((sum, d) => sum + (parseFloat(d.value) || 0), 0).toLocaleString()}</div><div className="stat-label">Total Pipeline</div></div>
+        <div className="stat-card"><div className="stat-value">{fmtPipelineTotal(deals)}</div><div className="stat-label">Total Pipeline</div></div>
         <div className="stat-card"><div className="stat-value">{deals.length > 0 ? Math.round(deals.reduce((sum, d) => sum + (d.probability || 0), 0) / deals.length) : 0}%</div><div className="stat-label">Avg Probability</div></div>
       </div>
 
@@ -327,7 +345,7 @@ function DealsView({ openDealId = null, onDealOpened = null }) {
                         <button className="inline-save-btn" disabled={savingField === 'value'} onClick={() => handleInlineFieldSave('value', editingField.value)}>&#10003;</button>
                         <button className="inline-cancel-btn" onClick={() => setEditingField(null)}>&#10005;</button>
                       </div>
-                    ) : (<span className="detail-value-large detail-value--editable" onClick={() => setEditingField({ field: 'value', value: selectedDeal.value || '' })} title="Click to edit">${parseFloat(selectedDeal.value || 0).toLocaleString()}</span>)}
+                    ) : (<span className="detail-value-large detail-value--editable" onClick={() => setEditingField({ field: 'value', value: selectedDeal.value || '' })} title="Click to edit">{fmtDealValue(selectedDeal.value, selectedDeal.currency)}</span>)}
                   </div>
                   {/* Stage */}
                   <div className="detail-item">
@@ -462,8 +480,25 @@ function DealsView({ openDealId = null, onDealOpened = null }) {
                 <DealPlaysPanel deal={selectedDeal} stageKey={selectedDeal.stage} />
               </div>
 
+              {/* 2c. Close plan — mutual-action-plan skill */}
+              <div className="detail-section">
+                <h3>Close Plan &mdash; Mutual Action Plan</h3>
+                <DealMutualActionPlanPanel deal={selectedDeal} />
+              </div>
+
               {/* 3. Actions */}
-              <div className="detail-section"><h3>Products &amp; Line Items</h3><DealProductsPanel deal={selectedDeal} /></div>
+              <div className="detail-section"><h3>Products &amp; Line Items</h3><DealProductsPanel key={lineItemsVersion} deal={selectedDeal} /></div>
+
+              {/* 3b. Quotes — built from the line items above */}
+              <div className="detail-section">
+                <h3>Quotes</h3>
+                <DealQuotesPanel deal={selectedDeal} onAccepted={(value) => {
+                  const update = { value };
+                  setDeals(prev => prev.map(d => d.id === selectedDeal.id ? { ...d, ...update } : d));
+                  setSelectedDeal(prev => ({ ...prev, ...update }));
+                  setLineItemsVersion(v => v + 1);
+                }} />
+              </div>
 
               {/* 4. Actions */}
               <div className="detail-section"><h3>Actions &amp; Tasks</h3><DealActionsPanel deal={selectedDeal} /></div>
@@ -627,7 +662,7 @@ function DealCard({ deal, onEdit, onDelete, onSelect, isSelected }) {
         </div>
       </div>
       <p className="deal-company">{account.name}</p>
-      <p className="deal-value">${parseFloat(deal.value || 0).toLocaleString()}</p>
+      <p className="deal-value">{fmtDealValue(deal.value, deal.currency)}</p>
       <div className={`deal-health ${deal.health}`}>{deal.health}</div>
       <p className="deal-date">Close: {deal.expected_close_date ? new Date(deal.expected_close_date).toLocaleDateString() : 'Not set'}</p>
       <div className="deal-probability">{deal.probability || 50}% likely</div>
@@ -6,8 +6,14 @@
 //   • Executed document badge + visual distinction
 //   • Version number displayed as major.minor (from version_major / version_minor columns)
 //   • Resubmit-to-legal notice when NDA major version uploaded while status = with_sales
-
-import React, { useState } from 'react';
+// 2026_148:
+//   • Generate from template — renders a template's text to a branded PDF and
+//     files it as the next version (only while draft / in review)
+// 2026_149:
+//   • Clause-check badge per version (forbidden / non-standard / missing clauses)
+//   • "Compare" on history rows opens the Redline tab against the current version
+
+import React, { useState, useEffect } from 'react';
 import { apiService } from './apiService';
 
 const PROVIDERS = [
@@ -16,6 +22,8 @@ const PROVIDERS = [
   { value: 'other',        label: '🔗 Other' },
 ];
 
+const GENERATED_LABEL = '📄 Generated PDF';
+
 function fmt(dt) {
   if (!dt) return '—';
   return new Date(dt).toLocaleString('en-GB', {
@@ -25,10 +33,25 @@ function fmt(dt) {
 }
 
 function providerLabel(provider) {
+  if (provider === 'generated') return GENERATED_LABEL;
   return PROVIDERS.find(p => p.value === provider)?.label || '🔗';
 }
 
 // Derive the display label from major.minor columns (fallback to legacy version_label)
+// Clause library check of the version's text — null until it has been checked.
+function ClauseBadge({ flags }) {
+  if (!Array.isArray(flags)) return null;
+  const raised = flags.filter(f => ['forbidden', 'non_standard', 'missing'].includes(f.status));
+  if (!raised.length) return <span className="dvp-clause dvp-clause--ok">✓ Standard clauses</span>;
+  const forbidden = raised.some(f => f.status === 'forbidden');
+  return (
+    <span className={`dvp-clause ${forbidden ? 'dvp-clause--bad' : 'dvp-clause--warn'}`}
+      title={raised.map(f => `${f.clause}: ${f.status.replace('_', '-')}`).join('\n')}>
+      🚩 {raised.length} clause{raised.length !== 1 ? 's' : ''} to review
+    </span>
+  );
+}
+
 function versionDisplay(v) {
   if (v.version_major != null && v.version_minor != null) {
     return `${v.version_major}.${v.version_minor}`;
@@ -36,7 +59,7 @@ function versionDisplay(v) {
   return v.version_label || '?';
 }
 
-export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
+export default function DocumentVersionsPanel({ contract: c, onUpdated, onCompare }) {
   const [showForm, setShowForm]   = useState(false);
   const [showOld, setShowOld]     = useState(false);
   const [form, setForm]           = useState({
@@ -47,6 +70,25 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
   });
   const [uploading, setUploading] = useState(false);
   const [err, setErr]             = useState('');
+  const [showGen, setShowGen]     = useState(false);
+  const [templates, setTemplates] = useState(null);
+  const [gen, setGen]             = useState({ templateId: '', versionType: 'major', comment: '' });
+  const [generating, setGenerating] = useState(false);
+  const [genErr, setGenErr]       = useState('');
+  const [emptyFields, setEmptyFields] = useState([]);
+
+  const canGenerate = ['draft', 'in_review'].includes(c.status);
+
+  useEffect(() => {
+    if (!showGen || templates) return;
+    apiService.contracts.getTemplatesByType(c.contractType)
+      .then(r => {
+        const withBody = (r.data.templates || []).filter(t => t.body);
+        setTemplates(withBody);
+        if (withBody.length === 1) setGen(g => ({ ...g, templateId: String(withBody[0].id) }));
+      })
+      .catch(() => setTemplates([]));
+  }, [showGen, templates, c.contractType]);
 
   const versions = c.versions || [];
 
@@ -85,6 +127,24 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
     } finally { setUploading(false); }
   }
 
+  async function generate() {
+    if (!gen.templateId) { setGenErr('Choose a template'); return; }
+    setGenerating(true); setGenErr(''); setEmptyFields([]);
+    try {
+      const r = await apiService.contracts.generateDocument(c.id, {
+        templateId:  parseInt(gen.templateId, 10),
+        versionType: gen.versionType,
+        comment:     gen.comment,
+      });
+      setShowGen(false);
+      setGen(g => ({ ...g, comment: '' }));
+      setEmptyFields(r.data.emptyFields || []);
+      onUpdated();
+    } catch (e) {
+      setGenErr(e.response?.data?.error?.message || e.message || 'Generation failed');
+    } finally { setGenerating(false); }
+  }
+
   return (
     <div className="dvp-wrap">
 
@@ -103,6 +163,7 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
             {currentVersion.round_number > 1 && (
               <span className="dvp-round">Round {currentVersion.round_number}</span>
             )}
+            <ClauseBadge flags={currentVersion.clause_flags} />
           </div>
 
           <a href={currentVersion.document_url} target="_blank" rel="noreferrer" className="dvp-link">
@@ -139,8 +200,78 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
         </div>
       )}
 
+      {emptyFields.length > 0 && (
+        <div className="dvp-notice dvp-notice--warn">
+          ⚠️ Generated, but these fields were blank on the record: {emptyFields.join(', ')}.
+          Fill them in and generate again, or edit the document.
+        </div>
+      )}
+
+      {/* ── Generate from template ── */}
+      {canGenerate && !showForm && (!showGen ? (
+        <button className="dvp-upload-btn" onClick={() => { setShowGen(true); setEmptyFields([]); }}>
+          📄 Generate from Template
+        </button>
+      ) : (
+        <div className="dvp-form">
+          <div className="dvp-form-title">Generate from Template</div>
+          {genErr && <div className="dvp-err">{genErr}</div>}
+
+          {templates === null ? (
+            <div className="dvp-meta">Loading templates…</div>
+          ) : templates.length === 0 ? (
+            <div className="dvp-vtype-hint">
+              No templates with text for this contract type. An admin can add one under Org Admin → CLM → Templates.
+            </div>
+          ) : (
+            <>
+              <label className="dvp-lbl">Template *
+                <select className="dvp-inp" value={gen.templateId}
+                  onChange={e => setGen({ ...gen, templateId: e.target.value })}>
+                  <option value="">Choose…</option>
+                  {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+              </label>
+
+              <div className="dvp-vtype-row">
+                <div className="dvp-vtype-label">Version type</div>
+                <div className="dvp-vtype-opts">
+                  {['major', 'minor'].map(vt => (
+                    <button key={vt}
+                      className={`dvp-vtype-btn ${gen.versionType === vt ? 'dvp-vtype-btn--on' : ''}`}
+                      onClick={() => setGen({ ...gen, versionType: vt })}>
+                      <span className="dvp-vtype-icon">{gen.versionType === vt ? '◉' : '○'}</span>
+                      <strong>{vt === 'major' ? 'Major' : 'Minor'}</strong>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="dvp-lbl">
+                Comment <span className="dvp-opt">(optional)</span>
+                <input className="dvp-inp"
+                  placeholder="Defaults to “Generated from <template>”"
+                  value={gen.comment}
+                  onChange={e => setGen({ ...gen, comment: e.target.value })} />
+              </label>
+            </>
+          )}
+
+          <div className="dvp-form-btns">
+            {templates?.length > 0 && (
+              <button className="dvp-ok" onClick={generate} disabled={generating}>
+                {generating ? 'Generating…' : 'Generate PDF'}
+              </button>
+            )}
+            <button className="dvp-cancel" onClick={() => { setShowGen(false); setGenErr(''); }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ))}
+
       {/* ── Upload form or button ── */}
-      {!showForm ? (
+      {showGen ? null : !showForm ? (
         <button className="dvp-upload-btn" onClick={() => setShowForm(true)}>
           + Upload New Version
         </button>
@@ -247,9 +378,18 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
                     {v.is_executed && <span className="dvp-exec-mini">✅</span>}
                     {v.is_superseded && <span className="dvp-sup-pill">superseded</span>}
                     {v.round_number > 1 && <span className="dvp-round">R{v.round_number}</span>}
+                    <ClauseBadge flags={v.clause_flags} />
                   </div>
                   <div className="dvp-ver-mid">
                     <a href={v.document_url} target="_blank" rel="noreferrer" className="dvp-old-link">Open</a>
+                    {onCompare && currentVersion && (
+                      <>
+                        {' · '}
+                        <button className="dvp-compare" onClick={() => onCompare(v.id, currentVersion.id)}>
+                          Compare with current
+                        </button>
+                      </>
+                    )}
                     {(v.upload_comment || v.comment) && (
                       <span className="dvp-old-comment"> · {v.upload_comment || v.comment}</span>
                     )}
@@ -288,6 +428,12 @@ export default function DocumentVersionsPanel({ contract: c, onUpdated }) {
         .dvp-sup-pill{font-size:9px;font-weight:700;background:#fee2e2;color:#991b1b;padding:1px 5px;border-radius:3px;text-transform:uppercase}
         .dvp-exec-mini{font-size:12px}
         .dvp-round{font-size:10px;color:#94a3b8}
+        .dvp-clause{font-size:10px;font-weight:600;padding:2px 6px;border-radius:4px}
+        .dvp-clause--ok{background:#f0fdf4;color:#065f46}
+        .dvp-clause--warn{background:#fef3c7;color:#92400e}
+        .dvp-clause--bad{background:#fee2e2;color:#991b1b}
+        .dvp-compare{background:none;border:none;padding:0;color:#6366f1;font-size:12px;font-weight:600;cursor:pointer;font-family:inherit}
+        .dvp-compare:hover{text-decoration:underline}
 
         /* Common */
         .dvp-link{display:inline-block;font-size:13px;color:#6366f1;font-weight:600;text-decoration:none;margin-bottom:5px}
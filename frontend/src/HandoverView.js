@@ -29,14 +29,21 @@ import DesktopOnlyNotice from './DesktopOnlyNotice';
 import { apiService } from './apiService';
 import VendorsView from './VendorsView';
 import PortfolioHealthReport from './PortfolioHealthReport';
+import ResourceCapacityHeatmap from './ResourceCapacityHeatmap';
 import { hashParts, hashSegment, writeHash } from './hashNav';
 import ProjectFilesPanel from './ProjectFilesPanel';
 import ProjectPeoplePanel from './ProjectPeoplePanel';
 import ProjectPlanVsActual from './ProjectPlanVsActual';
+import ProjectSchedule from './ProjectSchedule';
 import { PlayDateModal, PlayEvidenceModal } from './ProjectPlayModals';
 import ProjectBoQ from './ProjectBoQ';
+import ProjectPortalActivity from './ProjectPortalActivity';
+import ProjectHealth from './ProjectHealth';
 import ProjectEmailThreads from './ProjectEmailThreads';
 import ProjectAttachments from './ProjectAttachments';
+import ProjectPlanImportModal from './ProjectPlanImportModal';
+import { planCsvRows, PLAN_CSV_COLUMNS, planToMsProjectXml } from './projectPlanIO';
+import { csvExport, downloadBlob } from './csvUtils';
 
 // ── Deep-link parsing ─────────────────────────────────────────────────────────
 // #/handovers                         → My Handovers list
@@ -63,7 +70,7 @@ function parseHandoverHash() {
   // silently falls back to Summary. commercial/files/variance were already
   // missing before boq was added.
   const sub = ['summary', 'details', 'commercial', 'files', 'communications',
-               'variance', 'boq'].includes(parts[i]) ? parts[i] : 'summary';
+               'variance', 'schedule', 'boq', 'portal', 'health'].includes(parts[i]) ? parts[i] : 'summary';
   return { scope, id, sub };
 }
 
@@ -1094,17 +1101,45 @@ function PlaySection({ play, canEdit, onComplete, onRemove, onEdit, onSetStatus,
   const [eDesc,  setEDesc]  = useState('');
   const [eOwner, setEOwner] = useState('');
   const [eDue,   setEDue]   = useState('');
+  const [eDur,   setEDur]   = useState('');
+  const [eEffort, setEEffort] = useState('');
+  const [capWarn, setCapWarn] = useState([]);
   const [eGate,  setEGate]  = useState(false);
+  const [eClient, setEClient] = useState(false);
   const [eStage, setEStage] = useState('');
   const [eDeps,  setEDeps]  = useState([]);
   const [eSaving, setESaving] = useState(false);
 
+  // 2026_142: warn, before saving, when this owner + estimate + window would
+  // push the owner over capacity in any week. Advisory — Save stays enabled.
+  // Debounced so typing an estimate does not fire a request per keystroke.
+  useEffect(() => {
+    if (!editing || !eOwner || eEffort === '' || !eDue) { setCapWarn([]); return undefined; }
+    let live = true;
+    const t = setTimeout(() => {
+      apiService.handovers.capacityCheck({
+        userId: parseInt(eOwner, 10),
+        playInstanceId: play.playInstanceId,
+        effortHours: Number(eEffort),
+        dueDate: eDue,
+        durationDays: eDur === '' ? null : parseInt(eDur, 10),
+      })
+        .then(r => { if (live) setCapWarn(r.data?.warnings || []); })
+        .catch(() => { if (live) setCapWarn([]); });
+    }, 400);
+    return () => { live = false; clearTimeout(t); };
+  }, [editing, eOwner, eEffort, eDue, eDur, play.playInstanceId]);
+
   const openEdit = () => {
     setETitle(play.title || '');
     setEDesc(play.description || '');
     setEOwner(play.ownerUserId != null ? String(play.ownerUserId) : '');
     setEDue(play.dueDate ? String(play.dueDate).slice(0, 10) : '');
+    setEDur(play.durationDays != null ? String(play.durationDays) : '');
+    setEEffort(play.effortHours != null ? String(play.effortHours) : '');
+    setCapWarn([]);
     setEGate(!!play.isGate);
+    setEClient(!!play.clientAction);
     // 'custom' maps to the empty option — the picker labels it
     // "Added on this project" rather than exposing the raw key.
     setEStage(play.stageKey && play.stageKey !== 'custom' ? play.stageKey : '');
@@ -1120,7 +1155,11 @@ function PlaySection({ play, canEdit, onComplete, onRemove, onEdit, onSetStatus,
         description: eDesc.trim() || null,
         ownerUserId: eOwner || null,
         dueDate: eDue || null,
+        // 2026_141. Blank = not estimated; the schedule assumes a day.
+        durationDays: eDur === '' ? null : parseInt(eDur, 10),
+        effortHours: eEffort === '' ? null : Number(eEffort),
         isGate: eGate,
+        clientAction: eClient,
         // Blank means the ad-hoc bucket. Sent explicitly (not undefined) so a
         // task can be moved back OUT of a named stage, which an omitted field
         // could not express.
@@ -1190,6 +1229,9 @@ function PlaySection({ play, canEdit, onComplete, onRemove, onEdit, onSetStatus,
             {isGate && !isDone && (
               <span style={{ fontSize: 10, color: '#dc2626', fontWeight: 700 }}>GATE</span>
             )}
+            {play.clientAction && (
+              <span style={{ fontSize: 10, color: '#0f766e', fontWeight: 700, background: '#f0fdfa', border: '1px solid #99f6e4', borderRadius: 4, padding: '0 5px' }}>client</span>
+            )}
             {play.isCustom && (
               <span style={{ fontSize: 10, color: '#7c3aed', fontWeight: 700, background: '#f5f3ff', border: '1px solid #ddd6fe', borderRadius: 4, padding: '0 5px' }}>added here</span>
             )}
@@ -1371,12 +1413,34 @@ function PlaySection({ play, canEdit, onComplete, onRemove, onEdit, onSetStatus,
               <input type="date" value={eDue} onChange={e => setEDue(e.target.value)}
                 style={{ marginLeft: 6, fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid #d1d5db' }} />
             </label>
+            <label style={{ fontSize: 11, color: '#6b7280' }} title="Calendar days of work ending on the due date. 0 = milestone.">Days
+              <input type="number" min={0} max={3650} value={eDur} onChange={e => setEDur(e.target.value)}
+                placeholder="—"
+                style={{ marginLeft: 6, width: 56, fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid #d1d5db' }} />
+            </label>
+            <label style={{ fontSize: 11, color: '#6b7280' }} title="Estimated hours of work for the owner. Drives the team capacity heatmap.">Effort
+              <input type="number" min={0} step="0.5" value={eEffort} onChange={e => setEEffort(e.target.value)}
+                placeholder="h"
+                style={{ marginLeft: 6, width: 60, fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid #d1d5db' }} />
+            </label>
             <StagePicker value={eStage} onChange={setEStage} stages={stages} label="Stage" />
             <label style={{ fontSize: 11, color: '#6b7280', display: 'inline-flex', alignItems: 'center', gap: 4 }}>
               <input type="checkbox" checked={eGate} onChange={e => setEGate(e.target.checked)} /> Gate (blocks go-live)
             </label>
+            <label style={{ fontSize: 11, color: '#6b7280', display: 'inline-flex', alignItems: 'center', gap: 4 }}
+              title="The client does this. Listed to them in the client portal, where they can comment and upload files.">
+              <input type="checkbox" checked={eClient} onChange={e => setEClient(e.target.checked)} /> Client's task
+            </label>
           </div>
 
+          {capWarn.length > 0 && (
+            <div style={{ background: '#fef3c7', color: '#78350f', borderRadius: 6, padding: '6px 10px',
+                          fontSize: 12, marginBottom: 8, lineHeight: 1.5 }}>
+              This would overbook {(users || []).find(u => String(u.id) === eOwner)?.name || 'the owner'}:{' '}
+              {capWarn.map(w => `week of ${new Date(`${w.weekStart}T00:00:00Z`).toLocaleDateString(undefined, { day: '2-digit', month: 'short', timeZone: 'UTC' })} ${w.after}h of ${w.capacity}h`).join(' · ')}
+            </div>
+          )}
+
           {onSetDeps && (siblings || []).length > 0 && (
             <div style={{ marginBottom: 8 }}>
               <div style={{ fontSize: 11, color: '#6b7280', marginBottom: 4 }}>
@@ -2052,6 +2116,7 @@ function HandoverDetail({ handover: h, onRefresh, viewMode, users, onOpenProject
   // both item forms and the stage manager.
   const [stages, setStages] = useState([]);
   const [showStageMgr, setShowStageMgr] = useState(false);
+  const [showPlanImport, setShowPlanImport] = useState(false);
   const [evidencePolicy, setEvidencePolicy] = useState(null);
   const [startReview, setStartReview] = useState(null);   // { preview, loading, target }
   const setLayout = (v) => { setChecklistLayout(v); try { localStorage.setItem('gw_project_checklist_layout', v); } catch { /* ignore */ } };
@@ -2653,13 +2718,16 @@ function HandoverDetail({ handover: h, onRefresh, viewMode, users, onOpenProject
             { group: null,          items: [{ key: 'summary', label: 'Overview' }] },
             { group: 'Plan',        items: [
                 { key: 'details',  label: 'Checklist' },
-                { key: 'variance', label: 'Plan vs actual' }] },
+                { key: 'schedule', label: 'Schedule' },
+                { key: 'variance', label: 'Plan vs actual' },
+                { key: 'health',   label: 'Health' }] },
             { group: 'Commercial',  items: [
                 ...(detail.canSeeCommercial ? [{ key: 'commercial', label: 'Budget' }] : []),
                 { key: 'boq', label: 'Bill of quantities' }] },
             { group: 'Records',     items: [
                 { key: 'files',          label: 'Files' },
-                { key: 'communications', label: 'Communications' }] },
+                { key: 'communications', label: 'Communications' },
+                ...(detail.projectKind !== 'internal' ? [{ key: 'portal', label: 'Client portal' }] : [])] },
           ].map((sec, si) => (
             <div key={si} style={{ marginBottom: 12 }}>
               {sec.group && (
@@ -2706,7 +2774,30 @@ function HandoverDetail({ handover: h, onRefresh, viewMode, users, onOpenProject
                 ⚙ Manage stages
               </button>
             )}
-            <div style={{ marginLeft: salesCanEdit ? 8 : 'auto', display: 'inline-flex', border: '1px solid #d1d5db', borderRadius: 6, overflow: 'hidden' }}>
+            {/* Plan in and out of spreadsheets / MS Project. Export is open to
+                anyone who can see the checklist — it is how a client gets the
+                plan in their own tool. */}
+            {salesCanEdit && (
+              <button onClick={() => setShowPlanImport(true)}
+                style={{ marginLeft: 8, fontSize: 11, padding: '4px 10px', borderRadius: 6, fontWeight: 600,
+                         border: '1px solid #d1d5db', background: '#fff', color: '#0369a1', cursor: 'pointer' }}>
+                ⬆ Import plan
+              </button>
+            )}
+            {plays.length > 0 && (
+              <div style={{ marginLeft: salesCanEdit ? 8 : 'auto', display: 'inline-flex', border: '1px solid #d1d5db', borderRadius: 6, overflow: 'hidden' }}>
+                <span style={{ padding: '4px 8px', fontSize: 11, color: '#6b7280', background: '#f9fafb' }}>⬇ Export</span>
+                <button onClick={() => csvExport(planCsvRows(plays, users), PLAN_CSV_COLUMNS, `project-${detail.id}-plan.csv`)}
+                  style={{ padding: '4px 10px', fontSize: 11, fontWeight: 600, border: 'none', borderLeft: '1px solid #d1d5db',
+                           background: '#fff', color: '#374151', cursor: 'pointer' }}>CSV</button>
+                <button onClick={() => downloadBlob(
+                    planToMsProjectXml(detail.projectName || detail.dealName || detail.name || `Project ${detail.id}`, plays, users),
+                    `project-${detail.id}-plan.xml`, 'application/xml;charset=utf-8;')}
+                  style={{ padding: '4px 10px', fontSize: 11, fontWeight: 600, border: 'none', borderLeft: '1px solid #d1d5db',
+                           background: '#fff', color: '#374151', cursor: 'pointer' }}>MS Project</button>
+              </div>
+            )}
+            <div style={{ marginLeft: (salesCanEdit || plays.length > 0) ? 8 : 'auto', display: 'inline-flex', border: '1px solid #d1d5db', borderRadius: 6, overflow: 'hidden' }}>
               {CHECKLIST_LAYOUTS.map(([k, label]) => (
                 <button key={k} onClick={() => setLayout(k)} style={{ padding: '4px 12px', fontSize: 11, fontWeight: 600, border: 'none', cursor: 'pointer',
                   background: checklistLayout === k ? '#0369a1' : '#fff', color: checklistLayout === k ? '#fff' : '#374151' }}>{label}</button>
@@ -2714,6 +2805,16 @@ function HandoverDetail({ handover: h, onRefresh, viewMode, users, onOpenProject
             </div>
           </div>
 
+          {salesCanEdit && showPlanImport && (
+            <ProjectPlanImportModal
+              handoverId={detail.id}
+              users={users}
+              stages={stages}
+              onClose={() => setShowPlanImport(false)}
+              onImported={async () => { await load(); await loadStages(); }}
+            />
+          )}
+
           {salesCanEdit && showStageMgr && (
             <StageManager
               stages={stages}
@@ -3043,10 +3144,22 @@ function HandoverDetail({ handover: h, onRefresh, viewMode, users, onOpenProject
         <ProjectBoQ handoverId={detail.id} />
       )}
 
+      {detailTab === 'schedule' && (
+        <ProjectSchedule handoverId={detail.id} />
+      )}
+
+      {detailTab === 'portal' && (
+        <ProjectPortalActivity handoverId={detail.id} />
+      )}
+
       {detailTab === 'variance' && (
         <ProjectPlanVsActual handoverId={detail.id} />
       )}
 
+      {detailTab === 'health' && (
+        <ProjectHealth handoverId={detail.id} />
+      )}
+
       {detailTab === 'communications' && (
         <div style={{ padding: '16px 20px' }}>
           <CommunicationsPanel handoverId={detail.id} accountId={detail.accountId} />
@@ -5426,6 +5539,11 @@ function PortfolioDashboard({ onOpenProject }) {
         <PortfolioHealthReport onOpenProject={onOpenProject} />
       </div>
 
+      {/* Team capacity across every active project (2026_142) */}
+      <div style={{ marginBottom: 18 }}>
+        <ResourceCapacityHeatmap />
+      </div>
+
       {/* KPI tiles */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(110px, 1fr))', gap: 10, marginBottom: 18 }}>
         {kpiTiles.map(t => (
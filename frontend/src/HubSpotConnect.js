@@ -10,6 +10,7 @@
  *   3. Field Mapping — HubSpot property → GoWarm field mappings
  *   4. Form Inflow  — P8 Motion-2: form submissions → prospects + signals
  *      (mode auto/review, form allowlist, daily cap, event log w/ approve)
+ *   5. Write-back   — push completed actions to HubSpot as engagements
  *
  * Reuses SalesforceConnect.css for all styling — no new CSS needed.
  */
@@ -122,6 +123,7 @@ export default function HubSpotConnect({ onConnectionChange }) {
     { id: 'stage-map',   label: '🗺 Stage Mapping', disabled: !isConnected },
     { id: 'field-map',   label: '🔧 Field Mapping', disabled: !isConnected },
     { id: 'form-inflow', label: '📥 Form Inflow',   disabled: !isConnected },
+    { id: 'write-back',  label: '📤 Write-back',    disabled: !isConnected },
   ];
 
   return (
@@ -180,6 +182,9 @@ export default function HubSpotConnect({ onConnectionChange }) {
         {subTab === 'form-inflow' && (
           <HSFormInflowTab settings={settings} onSave={saveSetting} saving={saving} setError={setError} setSuccess={setSuccess} />
         )}
+        {subTab === 'write-back' && (
+          <HSWriteBackTab settings={settings} onSave={saveSetting} saving={saving} />
+        )}
       </div>
     </div>
   );
@@ -815,3 +820,69 @@ function HSFormInflowTab({ settings, onSave, saving, setError, setSuccess }) {
     </div>
   );
 }
+
+// ── HSWriteBackTab ─────────────────────────────────────────────────────────────
+//
+// Same gate and modes as the Salesforce write-back tab. Completed actions land
+// in HubSpot as engagements (call / email / meeting / task / note by action
+// type) associated to the deal, company and contact GoWarm has HubSpot IDs for.
+
+function HSWriteBackTab({ settings, onSave, saving }) {
+  const [enabled, setEnabled] = useState(settings?.write_back_enabled || false);
+  const [mode, setMode]       = useState(settings?.write_back_mode || 'nightly');
+  const [dirty, setDirty]     = useState(false);
+
+  return (
+    <div className="sf-section">
+      <div className="sf-info-box">
+        <strong>ℹ️ Platform gate</strong> — Write-back must be enabled by your GoWarm platform
+        administrator before you can turn it on here. Portals connected before write-back was
+        available need to disconnect and reconnect once to grant the write scope.
+      </div>
+      <p className="sf-section-desc" style={{ marginTop: 12 }}>
+        When enabled, completed GoWarm actions are pushed to HubSpot as engagements — calls,
+        emails, meetings, tasks or notes depending on the action type — and associated with
+        the matching deal, company and contact. Actions with no synced HubSpot record are skipped.
+      </p>
+
+      <div className="sf-toggle-row">
+        <label className="sf-toggle-label">
+          <span>Enable write-back to HubSpot</span>
+          <div
+            className={`sf-toggle ${enabled ? 'on' : ''}`}
+            onClick={() => { setEnabled(p => !p); setDirty(true); }}
+          >
+            <div className="sf-toggle-knob" />
+          </div>
+        </label>
+      </div>
+
+      {enabled && (
+        <div className="sf-mode-options" style={{ marginTop: 16 }}>
+          {[
+            { value: 'nightly',  label: 'Nightly batch (04:30 UTC)', desc: 'Safe and reliable. Completed actions from the past 25 hours are pushed once nightly.' },
+            { value: 'realtime', label: 'Real-time', desc: 'Actions are pushed to HubSpot immediately after completion, in the background.' },
+          ].map(m => (
+            <label key={m.value} className={`sf-mode-option ${mode === m.value ? 'selected' : ''}`}>
+              <input type="radio" name="hs_write_back_mode" value={m.value} checked={mode === m.value}
+                onChange={() => { setMode(m.value); setDirty(true); }} />
+              <div className="sf-mode-body">
+                <div className="sf-mode-title">{m.label}</div>
+                <div className="sf-mode-desc">{m.desc}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <button
+        className="sf-btn sf-btn--primary"
+        style={{ marginTop: 20 }}
+        onClick={() => { onSave({ write_back_enabled: enabled, write_back_mode: mode }); setDirty(false); }}
+        disabled={saving || !dirty}
+      >
+        {saving ? 'Saving…' : 'Save Write-back Settings'}
+      </button>
+    </div>
+  );
+}
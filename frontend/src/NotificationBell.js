@@ -201,6 +201,12 @@ export default function NotificationBell({ onNavigateToAction }) {
       // (switch sender / reconnect / stop) instead of navigating.
       setResolveEnroll({ id: notif.entity_id, seqName: md.seqName || md.seq_name || null });
       setOpen(false);
+    } else if (notif.entity_type === 'deal' && notif.entity_id) {
+      // e.g. discount_approval — open the deal; the quote is in its Quotes section.
+      window.dispatchEvent(new CustomEvent('navigate', {
+        detail: { tab: 'deals', dealId: notif.entity_id, resume: true },
+      }));
+      setOpen(false);
     } else if (md.action_ids?.length) {
       // Digest — navigate to actions view
       if (onNavigateToAction) onNavigateToAction(null);
@@ -6,6 +6,8 @@
  *   - Multi-provider selection (registry-driven, not hardcoded)
  *   - Per-call-type model overrides
  *   - Org API key management (encrypted at rest)
+ *   - Self-hosted (OpenAI-compatible) endpoints: key optional, models
+ *     discovered from the org's endpoint, optional per-model cost rates
  *   - Policy flags: allow_user_override, allow_user_byok
  *
  * Matches the existing OrgAdmin aesthetic: inline styles, ToggleSwitch from
@@ -171,6 +173,23 @@ export default function OAAIProviderSettings() {
   // ── Derived ────────────────────────────────────────────────────────────────
   const currentProvider = providers.find(p => p.id === config.ai_provider) || providers[0];
   const availableModels = currentProvider?.models || [];
+  const selfHosted      = providers.find(p => p.keyOptional && p.requiresEndpoint);
+  const customRates     = config.custom_model_rates || {};
+  const rateModelIds    = selfHosted
+    ? [...new Set([...(selfHosted.models || []).map(m => m.id), ...Object.keys(customRates)])].sort()
+    : [];
+
+  function setCustomRate(modelId, field, value) {
+    setConfig(prev => {
+      const rates = { ...(prev.custom_model_rates || {}) };
+      const cur = rates[modelId] || { input: 0, output: 0 };
+      const next = { ...cur, [field]: value === '' ? 0 : Number(value) };
+      if (!next.input && !next.output) delete rates[modelId];
+      else rates[modelId] = next;
+      return { ...prev, custom_model_rates: rates };
+    });
+    setDirty(true);
+  }
 
   function updateConfig(patch) {
     setConfig(prev => ({ ...prev, ...patch }));
@@ -205,6 +224,7 @@ export default function OAAIProviderSettings() {
           models_by_call_type: config.models_by_call_type || {},
           allow_user_override: config.allow_user_override,
           allow_user_byok:     config.allow_user_byok,
+          custom_model_rates:  config.custom_model_rates || {},
         }),
       });
       setDirty(false);
@@ -261,7 +281,11 @@ export default function OAAIProviderSettings() {
     setRefreshing(true);
     try {
       const r = await apiFetch('/org/admin/ai/refresh-models', { method: 'POST' });
-      if (r.ran) {
+      const endpointErr = Object.values(r.self_hosted || {}).find(x => x.error);
+      if (endpointErr) {
+        showFlash('error', 'Your self-hosted endpoint could not be listed: ' + endpointErr.error);
+        await load();
+      } else if (r.ran) {
         showFlash('success', r.message || 'Model list refreshed.');
         await load();   // re-pull /providers to pick up newly-discovered models
       } else if (r.reason === 'debounced') {
@@ -356,13 +380,19 @@ export default function OAAIProviderSettings() {
                 Model
               </label>
               {currentProvider?.allowFreeFormModel ? (
-                <input
-                  type="text"
-                  value={config.default_model || ''}
-                  onChange={(e) => updateConfig({ default_model: e.target.value })}
-                  placeholder="e.g. llama3.1, mistral-7b, …"
-                  style={inputStyle}
-                />
+                <>
+                  <input
+                    type="text"
+                    list="oa-ai-free-form-models"
+                    value={config.default_model || ''}
+                    onChange={(e) => updateConfig({ default_model: e.target.value })}
+                    placeholder="e.g. llama3.1, mistral-7b, …"
+                    style={inputStyle}
+                  />
+                  <datalist id="oa-ai-free-form-models">
+                    {availableModels.map(m => <option key={m.id} value={m.id} />)}
+                  </datalist>
+                </>
               ) : (
                 <select
                   value={config.default_model || ''}
@@ -467,7 +497,9 @@ export default function OAAIProviderSettings() {
                     {c.status === 'invalid' && <Pill tone="danger">invalid</Pill>}
                   </div>
                   <div style={{ fontSize: 12, color: '#6b7280', fontFamily: 'monospace' }}>
-                    ••••{c.key_last4}{c.endpoint_url ? `  ·  ${c.endpoint_url}` : ''}
+                    {provDef?.keyOptional
+                      ? c.endpoint_url
+                      : <>••••{c.key_last4}{c.endpoint_url ? `  ·  ${c.endpoint_url}` : ''}</>}
                   </div>
                   {c.last_validation_error && (
                     <div style={{ fontSize: 12, color: '#A32D2D', marginTop: 4 }}>
@@ -522,14 +554,22 @@ export default function OAAIProviderSettings() {
                     type="text"
                     value={newKey.endpoint_url}
                     onChange={(e) => setNewKey(k => ({ ...k, endpoint_url: e.target.value }))}
-                    placeholder="https://your-llm-gateway.example.com/v1"
+                    placeholder={provDef.keyOptional ? 'http://llm.internal:11434/v1' : 'https://your-llm-gateway.example.com/v1'}
                     style={inputStyle}
                   />
+                  {provDef.keyOptional && (
+                    <div style={{ fontSize: 11, color: '#6b7280', marginTop: 6 }}>
+                      vLLM, Ollama, LM Studio or any server with an OpenAI-style <code>/v1</code> API.
+                      Requests go from our servers to this URL, so it must be reachable from them.
+                    </div>
+                  )}
                 </div>
               );
             })()}
             <div style={{ marginBottom: 12 }}>
-              <label style={fieldLabelStyle}>API key</label>
+              <label style={fieldLabelStyle}>
+                API key{providers.find(p => p.id === newKey.provider)?.keyOptional ? ' (optional)' : ''}
+              </label>
               <input
                 type="password"
                 value={newKey.api_key}
@@ -543,7 +583,8 @@ export default function OAAIProviderSettings() {
             </div>
             <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
               <button onClick={() => setShowAddKey(false)} style={ghostBtnStyle} disabled={addingKey}>Cancel</button>
-              <button onClick={handleAddKey} style={primaryBtnStyle} disabled={addingKey || !newKey.api_key}>
+              <button onClick={handleAddKey} style={primaryBtnStyle}
+                      disabled={addingKey || (!newKey.api_key && !providers.find(p => p.id === newKey.provider)?.keyOptional)}>
                 {addingKey ? 'Validating…' : 'Add & validate'}
               </button>
             </div>
@@ -551,6 +592,36 @@ export default function OAAIProviderSettings() {
         )}
       </Section>
 
+      {/* ── Self-hosted model rates ── */}
+      {selfHosted && rateModelIds.length > 0 && (
+        <Section title="Self-hosted model costs"
+                 desc="Models on your own endpoint cost nothing in usage reports and estimates by default. To charge back GPU time, set a rate in USD per million tokens.">
+          <Card style={{ padding: 0 }}>
+            {rateModelIds.map((id, idx) => (
+              <div key={id} style={{
+                display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+                padding: '10px 18px', gap: 12,
+                borderBottom: idx === rateModelIds.length - 1 ? 'none' : '1px solid #f1f1ec',
+              }}>
+                <div style={{ flex: 1, minWidth: 0, fontSize: 13, fontFamily: 'monospace' }}>{id}</div>
+                {['input', 'output'].map(field => (
+                  <label key={field} style={{ fontSize: 12, color: '#6b7280', display: 'flex', alignItems: 'center', gap: 6 }}>
+                    {field} $
+                    <input
+                      type="number" min="0" step="0.01"
+                      value={customRates[id]?.[field] ?? ''}
+                      placeholder="0"
+                      onChange={(e) => setCustomRate(id, field, e.target.value)}
+                      style={{ ...inputStyle, width: 90 }}
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+          </Card>
+        </Section>
+      )}
+
       {/* ── Policy ── */}
       <Section title="User policy"
                desc="Control how much flexibility individual users have.">
@@ -612,8 +683,10 @@ function ProviderKeyHint({ provider, status }) {
   return (
     <div style={{ marginTop: 8, fontSize: 11, color: '#6b7280', display: 'flex', alignItems: 'center', gap: 6 }}>
       {hasKey
-        ? <Pill tone="ok">Org key set</Pill>
-        : <Pill tone="warn">Using platform fallback</Pill>}
+        ? <Pill tone="ok">{provider.keyOptional ? 'Endpoint set' : 'Org key set'}</Pill>
+        : provider.keyOptional
+          ? <Pill tone="warn">No endpoint — add one under Org API keys</Pill>
+          : <Pill tone="warn">Using platform fallback</Pill>}
       <span>· {provider.label}</span>
     </div>
   );
@@ -19,6 +19,16 @@ import OATrackingDiagnostics from './orgadmin/panels/OATrackingDiagnostics';
 import OANdrCleanup from './orgadmin/panels/OANdrCleanup';
 import OASalesforceSettings from './orgadmin/panels/OASalesforceSettings';
 import OAHubSpotSettings from './orgadmin/panels/OAHubSpotSettings';
+import OAPipedriveSettings from './orgadmin/panels/OAPipedriveSettings';
+import OACurrencies from './orgadmin/panels/OACurrencies';
+import OAPriceBooks from './orgadmin/panels/OAPriceBooks';
+import OADiscountBands from './orgadmin/panels/OADiscountBands';
+import OADocumentBranding from './orgadmin/panels/OADocumentBranding';
+import OAWebhooks from './orgadmin/panels/OAWebhooks';
+import OASso from './orgadmin/panels/OASso';
+import OAScim from './orgadmin/panels/OAScim';
+import OASecurity from './orgadmin/panels/OASecurity';
+import OASkills from './orgadmin/panels/OASkills';
 import OAAssessment from './orgadmin/panels/OAAssessment';
 import OASettings from './orgadmin/panels/OASettings';
 import OAAgentSettings from './orgadmin/panels/OAAgentSettings';
@@ -275,8 +285,13 @@ export default function OrgAdminView() {
             {tab === 'stages'           && <OAStages />}
             {tab === 'org-roles'        && <OADealRoles />}
             {tab === 'products'         && <OAProducts />}
+            {tab === 'currencies'       && <OACurrencies />}
+            {tab === 'price-books'      && <OAPriceBooks />}
+            {tab === 'discount-bands'   && <OADiscountBands />}
+            {tab === 'document-branding' && <OADocumentBranding />}
             {tab === 'ai-agent'         && <OAAgentSettings />}
             {tab === 'ai-providers'     && <OAAIProviderSettings />}
+            {tab === 'skills'           && <OASkills />}
             {tab === 'action-ai'        && <OAActionsAI />}
             {tab === 'duplicates'       && <OADuplicateSettings />}
             {tab === 'workflows'        && <OAWorkflows />}
@@ -286,6 +301,11 @@ export default function OrgAdminView() {
             {(tab === 'integrations' || tab === 'integrations-overview') && <OAIntegrations orgId={orgId} />}
             {tab === 'salesforce'        && <OASalesforceSettings />}
             {tab === 'hubspot'           && <OAHubSpotSettings />}
+            {tab === 'pipedrive'         && <OAPipedriveSettings />}
+            {tab === 'webhooks'          && <OAWebhooks />}
+            {tab === 'sso'               && <OASso />}
+            {tab === 'scim'              && <OAScim />}
+            {tab === 'security'          && <OASecurity />}
             {tab === 'assessment'        && <OAAssessment />}
             {tab === 'settings'         && <OASettings />}
           </div>
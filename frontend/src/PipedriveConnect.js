@@ -0,0 +1,534 @@
+/**
+ * PipedriveConnect.js
+ *
+ * DROP-IN LOCATION: frontend/src/PipedriveConnect.js
+ *
+ * Org Admin settings panel for Pipedrive integration.
+ * Tabs:
+ *   1. Connection    — connect / disconnect / status / manual sync trigger
+ *   2. Stage Mapping — Pipedrive deal stage (+ won/lost status) → GoWarm stage keys
+ *   3. Field Mapping — Pipedrive custom field key → GoWarm field mappings
+ *
+ * Reuses SalesforceConnect.css for all styling — no new CSS needed.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import './SalesforceConnect.css';
+import { pipedriveAPI } from './apiService';
+
+// ── GoWarm stage options (same canonical keys as SF/HubSpot) ──────────────────
+// Deals only — Pipedrive leads are not synced as prospects.
+const GW_STAGE_OPTIONS = [
+  { value: 'discovery',     label: 'Discovery' },
+  { value: 'qualification', label: 'Qualification' },
+  { value: 'demo',          label: 'Demo' },
+  { value: 'proposal',      label: 'Proposal' },
+  { value: 'negotiation',   label: 'Negotiation' },
+  { value: 'closed_won',    label: 'Closed Won' },
+  { value: 'closed_lost',   label: 'Closed Lost' },
+];
+
+// Pipedrive object names — used in field mapping
+const PD_OBJECTS = ['Organization', 'Person', 'Deal'];
+
+const GW_ENTITY_OPTIONS = [
+  { value: 'account', label: 'Account', pdObject: 'Organization', fields: ['name','domain','industry','size','location','description'] },
+  { value: 'contact', label: 'Contact', pdObject: 'Person',       fields: ['first_name','last_name','email','phone','title','location','linkedin_url'] },
+  { value: 'deal',    label: 'Deal',    pdObject: 'Deal',         fields: ['name','value','stage','expected_close_date','probability','notes'] },
+];
+
+// ── Main component ─────────────────────────────────────────────────────────────
+
+export default function PipedriveConnect({ onConnectionChange }) {
+  const [subTab,   setSubTab]   = useState('connection');
+  const [status,   setStatus]   = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [loading,  setLoading]  = useState(true);
+  const [saving,   setSaving]   = useState(false);
+  const [error,    setError]    = useState('');
+  const [success,  setSuccess]  = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [statusRes, settingsRes] = await Promise.all([
+        pipedriveAPI.getStatus(),
+        pipedriveAPI.getSettings(),
+      ]);
+      setStatus(statusRes.data);
+      setSettings(settingsRes.data?.settings || {});
+    } catch (e) {
+      setError('Failed to load Pipedrive settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('pipedrive_connected') === 'true') {
+      setSuccess('✅ Pipedrive connected successfully!');
+      load();
+      window.history.replaceState({}, '', window.location.pathname);
+    } else if (params.get('error') === 'pipedrive_auth_failed') {
+      const msg = params.get('message') || 'Authentication failed';
+      setError(`Pipedrive connection failed: ${msg}`);
+      window.history.replaceState({}, '', window.location.pathname);
+    }
+  }, [load]);
+
+  const saveSetting = async (updates) => {
+    setSaving(true); setError(''); setSuccess('');
+    try {
+      await pipedriveAPI.updateSettings(updates);
+      setSettings(prev => ({ ...prev, ...updates }));
+      setSuccess('Settings saved ✓');
+      setTimeout(() => setSuccess(''), 3000);
+      if (onConnectionChange) onConnectionChange();
+    } catch (e) {
+      setError(e.message || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <div className="sf-connect loading">Loading Pipedrive settings…</div>;
+
+  const isConnected = status?.connected;
+
+  const SUB_TABS = [
+    { id: 'connection', label: '🔌 Connection' },
+    { id: 'stage-map',  label: '🗺 Stage Mapping', disabled: !isConnected },
+    { id: 'field-map',  label: '🔧 Field Mapping', disabled: !isConnected },
+  ];
+
+  return (
+    <div className="sf-connect">
+      {/* Header */}
+      <div className="sf-header">
+        <div className="sf-icon">🟢</div>
+        <div className="sf-header-info">
+          <h3>Pipedrive Integration</h3>
+          {isConnected ? (
+            <p className="sf-connected-badge">
+              ✓ Connected — {status.companyName || status.email || status.instanceUrl}
+            </p>
+          ) : (
+            <p className="sf-desc">
+              Sync organizations, people, and deals from Pipedrive into GoWarm.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {error   && <div className="sf-alert sf-alert--error">{error}<button onClick={() => setError('')}>✕</button></div>}
+      {success && <div className="sf-alert sf-alert--success">{success}</div>}
+
+      {/* Sub-tabs */}
+      <div className="sf-tabs">
+        {SUB_TABS.map(t => (
+          <button
+            key={t.id}
+            className={`sf-tab ${subTab === t.id ? 'active' : ''} ${t.disabled ? 'disabled' : ''}`}
+            onClick={() => !t.disabled && setSubTab(t.id)}
+            disabled={t.disabled}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="sf-tab-content">
+        {subTab === 'connection' && (
+          <PDConnectionTab
+            status={status}
+            onDisconnect={load}
+            setError={setError}
+            setSuccess={setSuccess}
+            onConnectionChange={onConnectionChange}
+          />
+        )}
+        {subTab === 'stage-map' && (
+          <PDStageMappingTab settings={settings} onSave={saveSetting} saving={saving} />
+        )}
+        {subTab === 'field-map' && (
+          <PDFieldMappingTab settings={settings} onSave={saveSetting} saving={saving} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ── PDConnectionTab ────────────────────────────────────────────────────────────
+
+function PDConnectionTab({ status, onDisconnect, setError, setSuccess, onConnectionChange }) {
+  const [syncing, setSyncing] = useState(false);
+
+  const handleConnect = async () => {
+    try {
+      const res = await pipedriveAPI.getAuthUrl();
+      if (res.success && res.authUrl) window.location.href = res.authUrl;
+      else throw new Error(res.error || 'Invalid response');
+    } catch (e) {
+      setError('Failed to start Pipedrive connection. Check env vars are set.');
+    }
+  };
+
+  const handleDisconnect = async () => {
+    if (!window.confirm('Disconnect Pipedrive? This will stop syncing but won\'t delete existing GoWarm records.')) return;
+    try {
+      await pipedriveAPI.disconnect();
+      setSuccess('Pipedrive disconnected');
+      onDisconnect();
+      if (onConnectionChange) onConnectionChange();
+    } catch (e) {
+      setError('Failed to disconnect Pipedrive');
+    }
+  };
+
+  const handleManualSync = async () => {
+    setSyncing(true);
+    try {
+      await pipedriveAPI.triggerSync();
+      setSuccess('Sync started — records will update within a few minutes');
+    } catch (e) {
+      setError(e.message || 'Failed to trigger sync');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  if (!status?.connected) {
+    return (
+      <div className="sf-section">
+        <p className="sf-section-desc">
+          Connect your Pipedrive company to sync organizations, people, and deals.
+          GoWarm will sync nightly at 04:45 UTC after the connection is made.
+        </p>
+        <div className="sf-prereqs">
+          <div className="sf-prereq-title">Before connecting:</div>
+          <ul>
+            <li>Create a private app in the Pipedrive Developer Hub (Marketplace Manager)</li>
+            <li>Grant scopes: <code>Deals: read</code>, <code>Contacts: read</code>, <code>Products: read</code>, <code>Users: read</code>, <code>Admin</code> (roles — optional, for hierarchy)</li>
+            <li>Set callback URL to your GoWarm backend + <code>/api/pipedrive/callback</code></li>
+            <li>Add env vars: <code>PIPEDRIVE_CLIENT_ID</code>, <code>PIPEDRIVE_CLIENT_SECRET</code>, <code>PIPEDRIVE_REDIRECT_URI</code></li>
+          </ul>
+        </div>
+        <button className="sf-btn sf-btn--primary" onClick={handleConnect}>
+          Connect Pipedrive
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sf-section">
+      <div className="sf-status-card">
+        <div className="sf-status-row">
+          <span className="sf-status-label">Company</span>
+          <span className="sf-status-value">{status.companyName || '—'}</span>
+        </div>
+        <div className="sf-status-row">
+          <span className="sf-status-label">API domain</span>
+          <span className="sf-status-value">{status.instanceUrl}</span>
+        </div>
+        <div className="sf-status-row">
+          <span className="sf-status-label">Connected as</span>
+          <span className="sf-status-value">{status.email || '—'}</span>
+        </div>
+        <div className="sf-status-row">
+          <span className="sf-status-label">Connected at</span>
+          <span className="sf-status-value">
+            {status.connectedAt ? new Date(status.connectedAt).toLocaleString() : '—'}
+          </span>
+        </div>
+        <div className="sf-status-row">
+          <span className="sf-status-label">Last sync</span>
+          <span className="sf-status-value">
+            {status.lastSyncAt ? new Date(status.lastSyncAt).toLocaleString() : 'Never'}
+            {status.syncStatus === 'running' && <span className="sf-badge sf-badge--running"> running…</span>}
+            {status.syncStatus === 'error'   && <span className="sf-badge sf-badge--error"> error</span>}
+          </span>
+        </div>
+        {status.lastSyncError && (
+          <div className="sf-status-row sf-status-row--error">
+            <span className="sf-status-label">Last error</span>
+            <span className="sf-status-value sf-error-text">{status.lastSyncError}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="sf-actions">
+        <button
+          className="sf-btn sf-btn--secondary"
+          onClick={handleManualSync}
+          disabled={syncing || status.syncStatus === 'running'}
+        >
+          {syncing ? 'Starting…' : '↻ Run Sync Now'}
+        </button>
+        <button className="sf-btn sf-btn--danger" onClick={handleDisconnect}>
+          Disconnect Pipedrive
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ── PDStageMappingTab ──────────────────────────────────────────────────────────
+//
+// Stage keys are Pipedrive stage IDs (stable across renames), plus the
+// synthetic 'won' / 'lost' keys — in Pipedrive a closed deal keeps its last
+// stage and only its status changes. Rows show the live label for each key.
+
+function PDStageMappingTab({ settings, onSave, saving }) {
+  const [stageMap,        setStageMap]        = useState(settings?.stage_map || {});
+  const [pdStages,        setPdStages]        = useState([]);
+  const [pdStagesLoading, setPdStagesLoading] = useState(true);
+  const [pdStagesError,   setPdStagesError]   = useState('');
+  const [newPdStage,      setNewPdStage]      = useState('');
+  const [newGwStage,      setNewGwStage]      = useState('');
+  const [dirty,           setDirty]           = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPdStagesLoading(true);
+    pipedriveAPI.getStages()
+      .then(res => { if (!cancelled) setPdStages(res.data || []); })
+      .catch(() => {
+        if (!cancelled) setPdStagesError('Could not load Pipedrive stages — enter stage ID manually.');
+      })
+      .finally(() => { if (!cancelled) setPdStagesLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (settings?.stage_map && !dirty) setStageMap(settings.stage_map);
+  }, [settings?.stage_map]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const addMapping = () => {
+    const pdKey = newPdStage.trim();
+    if (!pdKey || !newGwStage) return;
+    setStageMap(prev => ({ ...prev, [pdKey]: newGwStage }));
+    setNewPdStage(''); setNewGwStage(''); setDirty(true);
+  };
+
+  const removeMapping = (pdStage) => {
+    setStageMap(prev => { const n = { ...prev }; delete n[pdStage]; return n; });
+    setDirty(true);
+  };
+
+  const labelFor       = (key) => pdStages.find(s => s.value === key)?.label || key;
+  const unmappedStages = pdStages.filter(s => !(s.value in stageMap));
+
+  return (
+    <div className="sf-section">
+      <p className="sf-section-desc">
+        Map Pipedrive deal stages — and the Won / Lost deal statuses — to GoWarm stages.
+        Without a mapping, the deal stage won't sync.
+      </p>
+
+      {/* Existing mappings */}
+      {Object.keys(stageMap).length > 0 && (
+        <div className="sf-map-table">
+          <div className="sf-map-header">
+            <span>Pipedrive Stage</span><span>→</span><span>GoWarm Stage</span><span></span>
+          </div>
+          {Object.entries(stageMap).map(([pdStage, gwStage]) => (
+            <div key={pdStage} className="sf-map-row">
+              <span className="sf-map-cell sf-map-cell--sf">{labelFor(pdStage)}</span>
+              <span className="sf-map-arrow">→</span>
+              <span className="sf-map-cell sf-map-cell--gw">
+                {GW_STAGE_OPTIONS.find(s => s.value === gwStage)?.label || gwStage}
+              </span>
+              <button className="sf-map-remove" onClick={() => removeMapping(pdStage)}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {Object.keys(stageMap).length === 0 && (
+        <div className="sf-empty-state">No stage mappings yet. Add your first mapping below.</div>
+      )}
+
+      {/* Add new */}
+      <div className="sf-add-mapping" style={{ marginTop: 16 }}>
+        {pdStagesLoading ? (
+          <div className="sf-input sf-input--loading">Loading Pipedrive stages…</div>
+        ) : pdStages.length > 0 ? (
+          <select className="sf-select" value={newPdStage} onChange={e => setNewPdStage(e.target.value)}>
+            <option value="">Select Pipedrive stage…</option>
+            {(unmappedStages.length > 0 ? unmappedStages : pdStages).map(s => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        ) : (
+          <>
+            {pdStagesError && <div className="sf-inline-warn">{pdStagesError}</div>}
+            <input
+              className="sf-input"
+              placeholder="Pipedrive stage ID (e.g. 3), or won / lost"
+              value={newPdStage}
+              onChange={e => setNewPdStage(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && addMapping()}
+            />
+          </>
+        )}
+
+        <span className="sf-map-arrow">→</span>
+
+        <select className="sf-select" value={newGwStage} onChange={e => setNewGwStage(e.target.value)}>
+          <option value="">Select GoWarm stage…</option>
+          {GW_STAGE_OPTIONS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+
+        <button className="sf-btn sf-btn--ghost" onClick={addMapping} disabled={!newPdStage || !newGwStage}>
+          Add
+        </button>
+      </div>
+
+      {pdStages.length > 0 && (
+        <div className="sf-stage-coverage">
+          {pdStages.length - unmappedStages.length} of {pdStages.length} Pipedrive stage{pdStages.length !== 1 ? 's' : ''} mapped
+          {unmappedStages.length > 0 && (
+            <span className="sf-stage-coverage--warn">
+              {' '}— {unmappedStages.map(s => s.label).join(', ')} {unmappedStages.length === 1 ? 'is' : 'are'} unmapped
+            </span>
+          )}
+        </div>
+      )}
+
+      <button
+        className="sf-btn sf-btn--primary"
+        style={{ marginTop: 16 }}
+        onClick={() => { onSave({ stage_map: stageMap }); setDirty(false); }}
+        disabled={saving || !dirty}
+      >
+        {saving ? 'Saving…' : 'Save Stage Map'}
+      </button>
+    </div>
+  );
+}
+
+// ── PDFieldMappingTab ──────────────────────────────────────────────────────────
+//
+// Pipedrive custom fields are addressed by their 40-character API key
+// (Settings → Data fields → ⋯ → Copy API key), not their display name.
+
+function PDFieldMappingTab({ settings, onSave, saving }) {
+  const [fieldMap,   setFieldMap]   = useState(settings?.field_map || []);
+  const [newMapping, setNewMapping] = useState({
+    sf_object: 'Organization', sf_field: '', gw_entity: 'account', gw_field: '', direction: 'sf_to_gw',
+  });
+  const [dirty, setDirty] = useState(false);
+
+  useEffect(() => {
+    if (settings?.field_map && !dirty) setFieldMap(settings.field_map);
+  }, [settings?.field_map]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const addMapping = () => {
+    if (!newMapping.sf_field || !newMapping.gw_field) return;
+    const exists = fieldMap.find(
+      m => m.sf_object === newMapping.sf_object && m.sf_field === newMapping.sf_field
+    );
+    if (exists) return;
+    setFieldMap(prev => [...prev, { ...newMapping, sf_field: newMapping.sf_field.trim() }]);
+    setNewMapping(prev => ({ ...prev, sf_field: '', gw_field: '' }));
+    setDirty(true);
+  };
+
+  const removeMapping = (idx) => {
+    setFieldMap(prev => prev.filter((_, i) => i !== idx));
+    setDirty(true);
+  };
+
+  const gwFields = GW_ENTITY_OPTIONS.find(e => e.value === newMapping.gw_entity)?.fields || [];
+
+  return (
+    <div className="sf-section">
+      <p className="sf-section-desc">
+        Map Pipedrive fields to GoWarm fields. Custom fields use their API key
+        (Settings → Data fields → Copy API key). Sync is one-way, Pipedrive → GoWarm.
+        Changes apply on the next sync.
+      </p>
+
+      {fieldMap.length > 0 && (
+        <div className="sf-map-table">
+          <div className="sf-map-header">
+            <span>Pipedrive Field</span><span>→</span><span>GoWarm Field</span><span></span>
+          </div>
+          {fieldMap.map((m, i) => (
+            <div key={i} className="sf-map-row">
+              <span className="sf-map-cell sf-map-cell--sf">{m.sf_object}.{m.sf_field}</span>
+              <span className="sf-map-arrow">→</span>
+              <span className="sf-map-cell sf-map-cell--gw">{m.gw_entity}.{m.gw_field}</span>
+              <button className="sf-map-remove" onClick={() => removeMapping(i)}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {fieldMap.length === 0 && <div className="sf-empty-state">No field mappings yet.</div>}
+
+      {/* Add new */}
+      <div className="sf-add-field-mapping">
+        <div className="sf-field-row">
+          <label className="sf-label">Pipedrive Object</label>
+          <select
+            className="sf-select"
+            value={newMapping.sf_object}
+            onChange={e => {
+              const obj = e.target.value;
+              const entity = GW_ENTITY_OPTIONS.find(en => en.pdObject === obj);
+              setNewMapping(prev => ({
+                ...prev,
+                sf_object: obj,
+                sf_field: '',
+                gw_entity: entity?.value || prev.gw_entity,
+                gw_field: '',
+              }));
+            }}
+          >
+            {PD_OBJECTS.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+        </div>
+        <div className="sf-field-row">
+          <label className="sf-label">Pipedrive Field Key</label>
+          <input
+            className="sf-input"
+            placeholder="e.g. website, or a 40-char custom field key"
+            value={newMapping.sf_field}
+            onChange={e => setNewMapping(prev => ({ ...prev, sf_field: e.target.value }))}
+          />
+        </div>
+        <div className="sf-field-row">
+          <label className="sf-label">GoWarm Field</label>
+          <select
+            className="sf-select"
+            value={newMapping.gw_field}
+            onChange={e => setNewMapping(prev => ({ ...prev, gw_field: e.target.value }))}
+          >
+            <option value="">Select GoWarm field…</option>
+            {gwFields.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </div>
+        <button
+          className="sf-btn sf-btn--ghost"
+          onClick={addMapping}
+          disabled={!newMapping.sf_field || !newMapping.gw_field}
+          style={{ alignSelf: 'flex-end' }}
+        >
+          Add Mapping
+        </button>
+      </div>
+
+      <button
+        className="sf-btn sf-btn--primary"
+        style={{ marginTop: 16 }}
+        onClick={() => { onSave({ field_map: fieldMap }); setDirty(false); }}
+        disabled={saving || !dirty}
+      >
+        {saving ? 'Saving…' : 'Save Field Mappings'}
+      </button>
+    </div>
+  );
+}
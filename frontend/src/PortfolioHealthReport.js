@@ -8,6 +8,11 @@
 // each group aggregates to red/yellow/green with counts and drill-down.
 //
 // onOpenProject(id) is optional — defaults to hash-navigating to the project.
+//
+// Scored rollups (projects, 2026_145) add a 0–100 score per row with its change
+// over the alert window, a sort control, and an alerts strip for projects that
+// turned red or dropped sharply. All of it keys off the data: the deals rollup
+// carries no scores and renders exactly as before.
 // ─────────────────────────────────────────────────────────────────────────────
 import React, { useState, useEffect, useMemo } from 'react';
 import { apiService } from './apiService';
@@ -32,6 +37,34 @@ function Dot({ health, size = 12 }) {
   return <span style={{ display: 'inline-block', width: size, height: size, borderRadius: '50%', background: RYG[health] || RYG.neutral }} />;
 }
 
+const SORTS = [
+  { k: 'health', label: 'Worst first' },
+  { k: 'score',  label: 'Lowest score' },
+  { k: 'drop',   label: 'Biggest drop' },
+  { k: 'name',   label: 'Name' },
+];
+const drop = (p) => (p.score != null && p.previousScore != null ? p.previousScore - p.score : -Infinity);
+const SORT_FN = {
+  score: (a, b) => (a.score ?? 101) - (b.score ?? 101),
+  drop:  (a, b) => drop(b) - drop(a),
+  name:  (a, b) => String(a.name).localeCompare(String(b.name)),
+};
+
+function Score({ p }) {
+  if (p.score == null) return null;
+  const delta = p.previousScore != null ? p.score - p.previousScore : 0;
+  return (
+    <span style={{ display: 'inline-flex', gap: 4, alignItems: 'baseline', minWidth: 64, justifyContent: 'flex-end' }}>
+      <span style={{ fontWeight: 700, color: RYG[p.health] || '#374151' }}>{p.score}</span>
+      {delta !== 0 && (
+        <span style={{ fontSize: 11, color: delta < 0 ? RYG.red : RYG.green }}>
+          {delta < 0 ? `↓${-delta}` : `↑${delta}`}
+        </span>
+      )}
+    </span>
+  );
+}
+
 export default function PortfolioHealthReport({ onOpenProject, title = 'Portfolio health', fetcher, lenses = DEFAULT_LENSES, noun = 'projects' }) {
   const load = fetcher || apiService.handovers.healthRollup;
   const [groupBy, setGroupBy]   = useState(lenses[0]?.k || 'none');
@@ -39,6 +72,7 @@ export default function PortfolioHealthReport({ onOpenProject, title = 'Portfoli
   const [expanded, setExpanded] = useState({});
   const [loading, setLoading]   = useState(true);
   const [managerLabel, setManagerLabel] = useState(null);
+  const [sortBy, setSortBy]     = useState('health');
 
   // Only worth a request when a manager lens is actually on offer. The deals
   // rollup passes its own lenses and has no such grouping, so it should not pay
@@ -78,6 +112,15 @@ export default function PortfolioHealthReport({ onOpenProject, title = 'Portfoli
   };
 
   const overall = data?.overall;
+  const scored  = !!data?.groups?.some(g => g.projects.some(p => p.score != null));
+  const alerts  = data?.alerts || [];
+
+  // Server order is already worst-first; the other sorts re-order rows within
+  // each group.
+  const groups = useMemo(() => {
+    if (!data?.groups || !SORT_FN[sortBy]) return data?.groups || [];
+    return data.groups.map(g => ({ ...g, projects: [...g.projects].sort(SORT_FN[sortBy]) }));
+  }, [data, sortBy]);
 
   return (
     <div style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 12, padding: 16 }}>
@@ -93,6 +136,15 @@ export default function PortfolioHealthReport({ onOpenProject, title = 'Portfoli
           </div>
         )}
         <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 6 }}>
+          {scored && (
+            <>
+              <span style={{ fontSize: 12, color: '#6b7280' }}>Sort</span>
+              <select value={sortBy} onChange={e => setSortBy(e.target.value)}
+                style={{ fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid #d1d5db', marginRight: 6 }}>
+                {SORTS.map(o => <option key={o.k} value={o.k}>{o.label}</option>)}
+              </select>
+            </>
+          )}
           <span style={{ fontSize: 12, color: '#6b7280' }}>Group by</span>
           <select value={groupBy} onChange={e => { setGroupBy(e.target.value); setExpanded({}); }}
             style={{ fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid #d1d5db' }}>
@@ -101,9 +153,30 @@ export default function PortfolioHealthReport({ onOpenProject, title = 'Portfoli
         </div>
       </div>
 
+      {!loading && alerts.length > 0 && (
+        <div style={{ background: '#fef2f2', border: '1px solid #fecaca', borderRadius: 8, padding: '8px 12px', marginBottom: 12 }}>
+          <div style={{ fontSize: 12, fontWeight: 700, color: '#991b1b', marginBottom: 4 }}>
+            {alerts.length} {alerts.length === 1 ? noun.replace(/s$/, '') : noun} worsening over the last {data.alertWindowDays || 7} days
+          </div>
+          {alerts.map(a => (
+            <div key={a.projectId} onClick={() => openProject(a.projectId)}
+              style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, padding: '3px 0', cursor: 'pointer' }}>
+              <Dot health={a.health} size={9} />
+              <span style={{ fontWeight: 600, color: '#111827' }}>{a.name}</span>
+              <span style={{ color: '#991b1b' }}>
+                {a.kind === 'turned_red' ? 'turned red' : 'dropped'} · {a.previousScore} → {a.score}
+              </span>
+              <span style={{ color: '#6b7280', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {a.reason || ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {loading ? <div style={{ color: '#9ca3af', fontSize: 13 }}>Loading…</div>
         : !data || !data.groups.length ? <div style={{ color: '#9ca3af', fontSize: 13 }}>No active {noun}.</div>
-        : data.groups.map(g => (
+        : groups.map(g => (
           <div key={g.key} style={{ borderTop: '1px solid #f3f4f6' }}>
             <div onClick={() => setExpanded(x => ({ ...x, [g.key]: !x[g.key] }))}
               style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 4px', cursor: 'pointer' }}>
@@ -125,6 +198,7 @@ export default function PortfolioHealthReport({ onOpenProject, title = 'Portfoli
                 <Dot health={p.health} size={9} />
                 <span style={{ flex: 1 }}>{p.name}</span>
                 <span style={{ color: '#9ca3af' }}>{(p.reasons || []).slice(0, 1).join('')}</span>
+                {scored && <Score p={p} />}
               </div>
             ))}
           </div>
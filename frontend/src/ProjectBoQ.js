@@ -1,5 +1,7 @@
 // ─────────────────────────────────────────────────────────────────────────────
 // ProjectBoQ.js — Bill of Quantities for one project (2026_113 / 2026_114)
+// Billing milestones and progress claims sit under the bill, in
+// ProjectBoQBilling.js (2026_143).
 //
 // Three numbers per line, kept visually distinct because they answer different
 // questions:
@@ -16,6 +18,7 @@
 // ─────────────────────────────────────────────────────────────────────────────
 import React, { useState, useEffect, useCallback } from 'react';
 import { apiService } from './apiService';
+import ProjectBoQBilling from './ProjectBoQBilling';
 
 const C = {
   line: '#e5e7eb', muted: '#6b7280', danger: '#b91c1c', ok: '#047857',
@@ -416,6 +419,20 @@ export default function ProjectBoQ({ handoverId }) {
               <option value="archived">Archived — superseded</option>
             </select>
           </label>
+          <label style={{ fontSize: 11, color: C.muted }}>
+            Retention %
+            {/* Saved on blur: a per-keystroke save would re-base retention on
+                every claim preview while the number is half typed. */}
+            <input type="number" min="0" max="100" step="0.5" defaultValue={bill.retentionPct ?? 0}
+                   key={bill.retentionPct} disabled={busy}
+                   onBlur={e => {
+                     if (Number(e.target.value) !== Number(bill.retentionPct ?? 0)) {
+                       saveBillSettings({ retentionPct: e.target.value });
+                     }
+                   }}
+                   style={{ display: 'block', marginTop: 3, width: 70, fontSize: 12, padding: '4px 6px',
+                            border: `1px solid ${C.line}`, borderRadius: 5 }} />
+          </label>
           <div style={{ fontSize: 11, color: C.muted, maxWidth: 340, lineHeight: 1.6 }}>
             Archiving keeps the bill and its ledger, and frees the project to hold a new one.
             Nothing is deleted.
@@ -704,6 +721,8 @@ export default function ProjectBoQ({ handoverId }) {
         Proposed variations are not counted until approved.
         {config?.entryMode === 'bulk_sheet' && ' This organisation records progress as a measurement sheet across lines.'}
       </div>
+
+      <ProjectBoQBilling handoverId={handoverId} bill={bill} items={items} onChanged={load} />
     </div>
   );
 }
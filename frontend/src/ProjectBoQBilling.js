@@ -0,0 +1,605 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ProjectBoQBilling.js — billing milestones and progress claims (2026_143)
+//
+// DROP-IN LOCATION: frontend/src/ProjectBoQBilling.js
+//
+// Rendered under the bill in ProjectBoQ. Three parts:
+//
+//   Milestones   how a line (share of its sanctioned value at a completion
+//                trigger) or a project stage (fixed amount when every play in
+//                it is done) becomes invoiceable. Lines with no milestone are
+//                claimed by measure.
+//   New claim    a preview to a chosen period end, computed by the server
+//                from the ledger, approved variations and stage completion.
+//                Issuing sends back the figure that was previewed; if the
+//                ledger moved in between, the server refuses rather than
+//                issuing a number nobody looked at.
+//   Claims       issued claims, each exportable as a printable document or
+//                CSV. Figures come from the claim's own snapshot, so a
+//                reprint months later matches what the client received.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+import { csvExport } from './csvUtils';
+
+const C = {
+  line: '#e5e7eb', muted: '#6b7280', danger: '#b91c1c', ok: '#047857',
+  warn: '#b45309', warnBg: '#fef3c7', accent: '#0369a1', head: '#374151',
+};
+
+const BASIS_LABEL = {
+  measure:         'By measure',
+  item_milestone:  'Line milestone',
+  stage_milestone: 'Stage milestone',
+};
+
+function money(n, currency) {
+  if (n === null || n === undefined) return '—';
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency', currency: currency || 'INR', maximumFractionDigits: 0,
+  }).format(Number(n));
+}
+
+// Two decimals on the claim itself: it is an invoice, and rounding to whole
+// units would not reconcile with the accounts.
+function money2(n, currency) {
+  if (n === null || n === undefined) return '—';
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency', currency: currency || 'INR', minimumFractionDigits: 2, maximumFractionDigits: 2,
+  }).format(Number(n));
+}
+
+function todayStr() { return new Date().toISOString().slice(0, 10); }
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, ch => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function lineDetail(l) {
+  if (l.basis === 'stage_milestone') {
+    return `${l.stageName || l.stageKey}: ${l.stagePlaysDone}/${l.stagePlays} plays done`;
+  }
+  if (l.basis === 'item_milestone') {
+    return `${l.billPct}% at ${l.triggerPct}% complete (now ${l.completionPct}%)`;
+  }
+  if (l.basis === 'measure') {
+    return `${Number(l.qtyToDate).toLocaleString('en-IN', { maximumFractionDigits: 3 })} of ` +
+           `${Number(l.sanctionedQty).toLocaleString('en-IN', { maximumFractionDigits: 3 })} ${l.unit || ''}`.trim();
+  }
+  return '';
+}
+
+/** The progress-claim document, as standalone HTML for print / save as PDF. */
+function claimDocumentHtml(c) {
+  const m = n => esc(money2(n, c.currency));
+  const rows = (c.lines || []).map(l => `
+    <tr>
+      <td>${esc(l.itemCode || '')}</td>
+      <td>${esc(l.description)}<div class="sub">${esc(BASIS_LABEL[l.basis] || '')} · ${esc(lineDetail(l))}</div></td>
+      <td class="n">${m(l.valueToDate)}</td>
+      <td class="n">${m(l.previousValue)}</td>
+      <td class="n">${m(l.thisPeriod)}</td>
+    </tr>`).join('');
+  const previousGross = (c.lines || []).reduce((a, l) => a + Number(l.previousValue || 0), 0);
+  return `<!doctype html><html><head><meta charset="utf-8">
+<title>Progress claim ${esc(c.claimNo)} — ${esc(c.projectName || c.billName)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; color: #111827; margin: 32px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #4b5563; margin-bottom: 18px; line-height: 1.6; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; font-weight: 600; font-size: 11px; color: #374151; }
+  td.n, th.n { text-align: right; white-space: nowrap; }
+  .sub { color: #6b7280; font-size: 10px; margin-top: 2px; }
+  .totals { margin-top: 18px; margin-left: auto; width: 380px; }
+  .totals td { border: none; padding: 3px 8px; }
+  .totals tr.due td { border-top: 2px solid #111827; font-weight: 700; font-size: 14px; padding-top: 6px; }
+  .void { color: #b91c1c; font-weight: 700; font-size: 16px; margin-bottom: 10px; }
+  .sign { margin-top: 48px; display: flex; gap: 60px; }
+  .sign div { border-top: 1px solid #9ca3af; padding-top: 4px; width: 220px; color: #6b7280; }
+</style></head><body>
+${c.status === 'void' ? `<div class="void">VOID — ${esc(c.voidReason || '')}</div>` : ''}
+<h1>Progress claim No. ${esc(c.claimNo)}</h1>
+<div class="meta">
+  ${esc(c.orgName || '')}<br>
+  Project: <b>${esc(c.projectName || '')}</b>${c.accountName ? ` · Client: <b>${esc(c.accountName)}</b>` : ''}<br>
+  Bill: ${esc(c.billName || '')}<br>
+  Period: ${esc(c.periodStart)} to ${esc(c.periodEnd)} · Issued ${esc(new Date(c.issuedAt).toLocaleDateString())}
+  ${c.issuedByName ? ` by ${esc(c.issuedByName)}` : ''}
+</div>
+<table>
+  <thead><tr>
+    <th>Code</th><th>Description</th>
+    <th class="n">Value to date</th><th class="n">Previously claimed</th><th class="n">This period</th>
+  </tr></thead>
+  <tbody>${rows}</tbody>
+</table>
+<table class="totals">
+  <tr><td>Gross value to date</td><td class="n">${m(c.grossToDate)}</td></tr>
+  <tr><td>Less retention (${esc(c.retentionPct)}%)</td><td class="n">−${m(c.retentionToDate)}</td></tr>
+  ${c.releasedToDate ? `<tr><td>Retention released to date</td><td class="n">${m(c.releasedToDate)}</td></tr>` : ''}
+  <tr><td>Net value to date</td><td class="n">${m(c.netToDate)}</td></tr>
+  <tr><td>Less previously certified</td><td class="n">−${m(c.previousNet)}</td></tr>
+  <tr class="due"><td>Amount due this claim</td><td class="n">${m(c.amountDue)}</td></tr>
+  <tr><td class="sub">Gross this period</td><td class="n sub">${m(c.grossToDate - previousGross)}</td></tr>
+  <tr><td class="sub">Retention held</td><td class="n sub">${m(c.retentionHeld)}</td></tr>
+</table>
+${c.notes ? `<p style="margin-top:18px">${esc(c.notes)}</p>` : ''}
+<div class="sign"><div>Submitted by</div><div>Certified by</div></div>
+</body></html>`;
+}
+
+function exportClaimCsv(c) {
+  const rows = (c.lines || []).map(l => ({
+    code: l.itemCode || '', description: l.description, basis: BASIS_LABEL[l.basis] || l.basis,
+    detail: lineDetail(l), valueToDate: l.valueToDate, previousValue: l.previousValue, thisPeriod: l.thisPeriod,
+  }));
+  const total = (label, v) => ({ code: '', description: label, basis: '', detail: '', valueToDate: v, previousValue: '', thisPeriod: '' });
+  rows.push(
+    total('Gross value to date', c.grossToDate),
+    total(`Less retention (${c.retentionPct}%)`, -c.retentionToDate),
+    total('Retention released to date', c.releasedToDate),
+    total('Net value to date', c.netToDate),
+    total('Less previously certified', -c.previousNet),
+    total('Amount due this claim', c.amountDue),
+  );
+  csvExport(rows, [
+    { key: 'code',          label: 'Code' },
+    { key: 'description',   label: 'Description' },
+    { key: 'basis',         label: 'Basis' },
+    { key: 'detail',        label: 'Detail' },
+    { key: 'valueToDate',   label: `Value to date (${c.currency})` },
+    { key: 'previousValue', label: 'Previously claimed' },
+    { key: 'thisPeriod',    label: 'This period' },
+  ], `progress-claim-${c.claimNo}-${c.periodEnd}.csv`);
+}
+
+const BLANK_MS = { kind: 'item', name: '', boqItemId: '', billPct: '', triggerPct: '100', stageKey: '', amount: '' };
+
+const input = {
+  fontSize: 12, padding: '4px 7px', border: `1px solid ${C.line}`, borderRadius: 5, boxSizing: 'border-box',
+};
+const smallBtn = {
+  fontSize: 11, padding: '4px 10px', borderRadius: 5, border: `1px solid ${C.line}`,
+  background: '#fff', cursor: 'pointer',
+};
+
+export default function ProjectBoQBilling({ handoverId, bill, items, onChanged }) {
+  const [milestones, setMilestones] = useState([]);
+  const [claims, setClaims]         = useState([]);
+  const [stages, setStages]         = useState([]);
+  const [canIssue, setCanIssue]     = useState(false);
+  const [busy, setBusy]             = useState(false);
+  const [flash, setFlash]           = useState(null);
+  const [msForm, setMsForm]         = useState(null);     // null = closed
+  const [periodEnd, setPeriodEnd]   = useState(todayStr());
+  const [releasePct, setReleasePct] = useState('0');
+  const [preview, setPreview]       = useState(null);
+  const [notes, setNotes]           = useState('');
+  const [viewer, setViewer]         = useState(null);     // { claim, html }
+
+  const cur = bill.currency;
+  const say = (kind, msg) => { setFlash({ kind, msg }); setTimeout(() => setFlash(null), 5000); };
+
+  const load = useCallback(async () => {
+    try {
+      const [m, c] = await Promise.all([
+        apiService.handovers.boqMilestones(bill.id),
+        apiService.handovers.boqClaims(bill.id),
+      ]);
+      setMilestones(m.data?.milestones || []);
+      setClaims(c.data?.claims || []);
+    } catch (err) {
+      say('error', errMsg(err, 'Could not load billing'));
+    }
+  }, [bill.id]);
+
+  useEffect(() => { load(); }, [load]);
+  useEffect(() => {
+    let dead = false;
+    apiService.handovers.listStages(handoverId)
+      .then(r => { if (!dead) setStages(r.data?.stages || []); })
+      .catch(() => { if (!dead) setStages([]); });
+    apiService.handovers.canRebaseline(handoverId)
+      .then(r => { if (!dead) setCanIssue(Boolean(r.data && r.data.canRebaseline)); })
+      .catch(() => { if (!dead) setCanIssue(false); });
+    return () => { dead = true; };
+  }, [handoverId]);
+
+  // A preview is only true for the ledger it was computed from.
+  useEffect(() => { setPreview(null); }, [items, periodEnd, releasePct, milestones, bill.retentionPct]);
+
+  const run = async (fn, okMsg) => {
+    setBusy(true);
+    try { await fn(); if (okMsg) say('ok', okMsg); }
+    catch (err) { say('error', errMsg(err, 'Something went wrong')); }
+    finally { setBusy(false); }
+  };
+
+  // ── Milestones ─────────────────────────────────────────────────────────────
+  const saveMilestone = () => run(async () => {
+    const f = msForm;
+    const payload = { name: f.name.trim() };
+    if (f.kind === 'item') {
+      payload.boqItemId  = f.boqItemId ? parseInt(f.boqItemId, 10) : null;
+      payload.billPct    = f.billPct;
+      payload.triggerPct = f.triggerPct;
+    } else {
+      payload.stageKey = f.stageKey;
+      payload.amount   = f.amount;
+    }
+    await apiService.handovers.addBoqMilestone(bill.id, payload);
+    setMsForm(null);
+    await load();
+  }, 'Milestone added.');
+
+  const editMilestone = (m) => {
+    if (m.kind === 'item') {
+      const share = window.prompt(`Share of the line billed by "${m.name}" (%)`, String(m.billPct));
+      if (share === null) return;
+      const trig = window.prompt('Measured completion that earns it (%)', String(m.triggerPct));
+      if (trig === null) return;
+      run(async () => {
+        await apiService.handovers.updateBoqMilestone(m.id, { billPct: share, triggerPct: trig });
+        await load();
+      }, 'Milestone updated.');
+    } else {
+      const amt = window.prompt(`Amount billed when "${m.stageName || m.stageKey}" is complete`, String(m.amount));
+      if (amt === null) return;
+      run(async () => {
+        await apiService.handovers.updateBoqMilestone(m.id, { amount: amt });
+        await load();
+      }, 'Milestone updated.');
+    }
+  };
+
+  const removeMilestone = (m) => {
+    if (!window.confirm(`Delete milestone "${m.name}"?`)) return;
+    run(async () => {
+      await apiService.handovers.removeBoqMilestone(m.id);
+      await load();
+    }, 'Milestone deleted.');
+  };
+
+  // ── Claims ─────────────────────────────────────────────────────────────────
+  const doPreview = () => run(async () => {
+    const r = await apiService.handovers.previewBoqClaim(bill.id, periodEnd, releasePct || 0);
+    setPreview(r.data);
+  });
+
+  const issue = () => {
+    if (!preview) return;
+    if (!window.confirm(
+      `Issue claim ${preview.claimNo} for ${money2(preview.amountDue, cur)}? ` +
+      'An issued claim cannot be edited, only voided.')) return;
+    run(async () => {
+      await apiService.handovers.issueBoqClaim(handoverId, bill.id, {
+        periodEnd, releaseRetentionPct: releasePct || 0,
+        expectedAmountDue: preview.amountDue, notes: notes.trim() || undefined,
+      });
+      setPreview(null); setNotes('');
+      await load();
+      if (onChanged) onChanged();
+    }, 'Claim issued.');
+  };
+
+  const openDocument = (claimId) => run(async () => {
+    const r = await apiService.handovers.boqClaim(claimId);
+    const claim = r.data?.claim;
+    if (!claim) throw new Error('Claim not found');
+    setViewer({ claim, html: claimDocumentHtml(claim) });
+  });
+
+  const downloadCsv = (claimId) => run(async () => {
+    const r = await apiService.handovers.boqClaim(claimId);
+    if (r.data?.claim) exportClaimCsv(r.data.claim);
+  });
+
+  const voidClaim = (c) => {
+    const reason = window.prompt(`Why is claim ${c.claimNo} being voided?`);
+    if (reason === null) return;
+    if (!reason.trim()) { say('error', 'A reason is required.'); return; }
+    run(async () => {
+      await apiService.handovers.voidBoqClaim(handoverId, c.id, reason.trim());
+      await load();
+    }, `Claim ${c.claimNo} voided.`);
+  };
+
+  const latestIssued = claims.find(c => c.status === 'issued');
+  const itemLabel = it => `${it.itemCode ? it.itemCode + ' · ' : ''}${it.description}`;
+
+  return (
+    <div style={{ marginTop: 26, borderTop: `1px solid ${C.line}`, paddingTop: 16 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10 }}>
+        <span style={{ fontSize: 14, fontWeight: 600 }}>Billing</span>
+        <span style={{ fontSize: 11, color: C.muted }}>
+          Retention {bill.retentionPct || 0}% · change it in Bill settings
+        </span>
+      </div>
+
+      {flash && (
+        <div style={{ marginBottom: 10, padding: '7px 11px', borderRadius: 6, fontSize: 12,
+                      background: flash.kind === 'ok' ? '#ecfdf5' : '#fee2e2',
+                      color: flash.kind === 'ok' ? C.ok : C.danger }}>{flash.msg}</div>
+      )}
+
+      {/* ── Milestones ── */}
+      <div style={{ fontSize: 12, fontWeight: 600, color: C.head, margin: '4px 0 6px' }}>Billing milestones</div>
+      {milestones.length === 0 ? (
+        <div style={{ fontSize: 12, color: C.muted, marginBottom: 8 }}>
+          None. Every line is claimed by measure: executed value, up to what was sanctioned for it.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12, marginBottom: 8 }}>
+          <tbody>
+            {milestones.map(m => (
+              <tr key={m.id} style={{ borderTop: `1px solid ${C.line}` }}>
+                <td style={{ padding: '6px 6px', fontWeight: 500 }}>{m.name}</td>
+                <td style={{ padding: '6px 6px', color: C.muted }}>
+                  {m.kind === 'item'
+                    ? `${m.itemCode || m.itemDescription} — ${m.billPct}% of the line at ${m.triggerPct}% complete`
+                    : `Stage “${m.stageName || m.stageKey}” complete — ${money(m.amount, cur)}`}
+                </td>
+                <td style={{ padding: '6px 6px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                  <button onClick={() => editMilestone(m)} disabled={busy} style={smallBtn}>Edit</button>{' '}
+                  <button onClick={() => removeMilestone(m)} disabled={busy}
+                          style={{ ...smallBtn, color: C.danger }}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {msForm ? (
+        <div style={{ background: '#f9fafb', border: `1px solid ${C.line}`, borderRadius: 8, padding: '10px 12px',
+                      display: 'flex', gap: 10, flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 12 }}>
+          <label style={{ fontSize: 11, color: C.muted }}>
+            Tied to
+            <select value={msForm.kind} onChange={e => setMsForm({ ...msForm, kind: e.target.value })}
+                    style={{ ...input, display: 'block', marginTop: 3 }}>
+              <option value="item">A bill line</option>
+              <option value="stage">A project stage</option>
+            </select>
+          </label>
+          <label style={{ fontSize: 11, color: C.muted }}>
+            Name
+            <input value={msForm.name} placeholder="e.g. On delivery"
+                   onChange={e => setMsForm({ ...msForm, name: e.target.value })}
+                   style={{ ...input, display: 'block', marginTop: 3, width: 160 }} />
+          </label>
+          {msForm.kind === 'item' ? (
+            <>
+              <label style={{ fontSize: 11, color: C.muted }}>
+                Line
+                <select value={msForm.boqItemId} onChange={e => setMsForm({ ...msForm, boqItemId: e.target.value })}
+                        style={{ ...input, display: 'block', marginTop: 3, maxWidth: 260 }}>
+                  <option value="">Choose…</option>
+                  {items.map(it => <option key={it.id} value={it.id}>{itemLabel(it)}</option>)}
+                </select>
+              </label>
+              <label style={{ fontSize: 11, color: C.muted }}>
+                Bill % of line
+                <input type="number" min="0" max="100" value={msForm.billPct}
+                       onChange={e => setMsForm({ ...msForm, billPct: e.target.value })}
+                       style={{ ...input, display: 'block', marginTop: 3, width: 80 }} />
+              </label>
+              <label style={{ fontSize: 11, color: C.muted }}>
+                When % complete
+                <input type="number" min="0" max="100" value={msForm.triggerPct}
+                       onChange={e => setMsForm({ ...msForm, triggerPct: e.target.value })}
+                       style={{ ...input, display: 'block', marginTop: 3, width: 80 }} />
+              </label>
+            </>
+          ) : (
+            <>
+              <label style={{ fontSize: 11, color: C.muted }}>
+                Stage
+                <select value={msForm.stageKey} onChange={e => setMsForm({ ...msForm, stageKey: e.target.value })}
+                        style={{ ...input, display: 'block', marginTop: 3 }}>
+                  <option value="">Choose…</option>
+                  {stages.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+                </select>
+              </label>
+              <label style={{ fontSize: 11, color: C.muted }}>
+                Amount ({cur})
+                <input type="number" min="0" value={msForm.amount}
+                       onChange={e => setMsForm({ ...msForm, amount: e.target.value })}
+                       style={{ ...input, display: 'block', marginTop: 3, width: 120 }} />
+              </label>
+            </>
+          )}
+          <button onClick={saveMilestone} disabled={busy}
+                  style={{ ...smallBtn, background: C.accent, color: '#fff', border: 'none' }}>Add</button>
+          <button onClick={() => setMsForm(null)} disabled={busy} style={smallBtn}>Cancel</button>
+          <div style={{ flexBasis: '100%', fontSize: 11, color: C.muted, lineHeight: 1.6 }}>
+            {msForm.kind === 'item'
+              ? 'A line with milestones is claimed only through them, never also by measure. Use 0% complete for an advance.'
+              : 'Earned once every play in the stage is completed (cancelled and skipped plays do not count). For lump sums that are not a bill line.'}
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => setMsForm(BLANK_MS)} disabled={busy} style={{ ...smallBtn, marginBottom: 14 }}>
+          Add milestone
+        </button>
+      )}
+
+      {/* ── New claim ── */}
+      <div style={{ fontSize: 12, fontWeight: 600, color: C.head, margin: '10px 0 6px' }}>New progress claim</div>
+      {bill.status !== 'active' ? (
+        <div style={{ fontSize: 12, color: C.muted, marginBottom: 12 }}>
+          Claims can be raised once the bill is active.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 10 }}>
+          <label style={{ fontSize: 11, color: C.muted }}>
+            Period end
+            <input type="date" value={periodEnd} max={todayStr()} onChange={e => setPeriodEnd(e.target.value)}
+                   style={{ ...input, display: 'block', marginTop: 3 }} />
+          </label>
+          <label style={{ fontSize: 11, color: C.muted }}>
+            Release retention held (%)
+            <input type="number" min="0" max="100" value={releasePct} onChange={e => setReleasePct(e.target.value)}
+                   style={{ ...input, display: 'block', marginTop: 3, width: 90 }} />
+          </label>
+          <button onClick={doPreview} disabled={busy || !periodEnd} style={smallBtn}>Preview</button>
+        </div>
+      )}
+
+      {preview && (
+        <div style={{ border: `1px solid ${C.line}`, borderRadius: 8, padding: '10px 12px', marginBottom: 14 }}>
+          <div style={{ fontSize: 12, color: C.head, marginBottom: 6 }}>
+            Claim {preview.claimNo} · {preview.periodStart} to {preview.periodEnd}
+            {preview.previousClaimNo ? ` · after claim ${preview.previousClaimNo}` : ''}
+          </div>
+          {preview.warnings.length > 0 && (
+            <div style={{ background: C.warnBg, color: '#78350f', borderRadius: 6, padding: '6px 10px',
+                          fontSize: 11, marginBottom: 8, lineHeight: 1.6 }}>
+              {preview.warnings.map((w, i) => <div key={i}>{w}</div>)}
+            </div>
+          )}
+          <div style={{ maxHeight: 280, overflow: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: C.muted, fontSize: 11 }}>
+                  <th style={{ padding: '4px 6px', fontWeight: 500 }}>Line</th>
+                  <th style={{ padding: '4px 6px', fontWeight: 500 }}>Basis</th>
+                  <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>To date</th>
+                  <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>Previous</th>
+                  <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>This period</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.lines.map(l => (
+                  <tr key={l.key} style={{ borderTop: `1px solid ${C.line}` }}>
+                    <td style={{ padding: '4px 6px' }}>{l.itemCode ? `${l.itemCode} · ` : ''}{l.description}</td>
+                    <td style={{ padding: '4px 6px', color: C.muted, fontSize: 11 }}>
+                      {BASIS_LABEL[l.basis]} · {lineDetail(l)}
+                    </td>
+                    <td style={{ padding: '4px 6px', textAlign: 'right' }}>{money(l.valueToDate, cur)}</td>
+                    <td style={{ padding: '4px 6px', textAlign: 'right', color: C.muted }}>{money(l.previousValue, cur)}</td>
+                    <td style={{ padding: '4px 6px', textAlign: 'right',
+                                 color: l.thisPeriod < 0 ? C.danger : undefined }}>{money(l.thisPeriod, cur)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'auto auto', justifyContent: 'end', columnGap: 18,
+                        rowGap: 3, fontSize: 12, marginTop: 10 }}>
+            <span>Gross value to date</span><span style={{ textAlign: 'right' }}>{money2(preview.grossToDate, cur)}</span>
+            <span>Less retention ({preview.retentionPct}%)</span>
+            <span style={{ textAlign: 'right' }}>−{money2(preview.retentionToDate, cur)}</span>
+            {preview.releasedToDate > 0 && (
+              <>
+                <span>Retention released to date</span>
+                <span style={{ textAlign: 'right' }}>{money2(preview.releasedToDate, cur)}</span>
+              </>
+            )}
+            <span>Less previously certified</span>
+            <span style={{ textAlign: 'right' }}>−{money2(preview.previousNet, cur)}</span>
+            <span style={{ fontWeight: 700 }}>Amount due</span>
+            <span style={{ textAlign: 'right', fontWeight: 700, color: preview.amountDue < 0 ? C.danger : undefined }}>
+              {money2(preview.amountDue, cur)}
+            </span>
+          </div>
+          {canIssue ? (
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 10 }}>
+              <input value={notes} onChange={e => setNotes(e.target.value)} placeholder="Note on the claim (optional)"
+                     style={{ ...input, flex: 1 }} />
+              <button onClick={issue} disabled={busy}
+                      style={{ ...smallBtn, background: C.accent, color: '#fff', border: 'none', padding: '5px 13px' }}>
+                Issue claim {preview.claimNo}
+              </button>
+            </div>
+          ) : (
+            <div style={{ fontSize: 11, color: C.muted, marginTop: 10 }}>
+              Issuing a claim needs project management rights.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ── Claims ── */}
+      {claims.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, fontWeight: 600, color: C.head, margin: '10px 0 6px' }}>Claims</div>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: C.muted, fontSize: 11 }}>
+                <th style={{ padding: '4px 6px', fontWeight: 500 }}>No.</th>
+                <th style={{ padding: '4px 6px', fontWeight: 500 }}>Period</th>
+                <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>Gross to date</th>
+                <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>Retention held</th>
+                <th style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'right' }}>Amount due</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {claims.map(c => (
+                <tr key={c.id} style={{ borderTop: `1px solid ${C.line}`, color: c.status === 'void' ? C.muted : undefined }}>
+                  <td style={{ padding: '6px 6px' }}>
+                    {c.claimNo}
+                    {c.status === 'void' && (
+                      <span title={c.voidReason || ''} style={{ marginLeft: 6, fontSize: 10, color: C.danger }}>void</span>
+                    )}
+                  </td>
+                  <td style={{ padding: '6px 6px' }}>{c.periodStart} – {c.periodEnd}</td>
+                  <td style={{ padding: '6px 6px', textAlign: 'right' }}>{money(c.grossToDate, cur)}</td>
+                  <td style={{ padding: '6px 6px', textAlign: 'right' }}>{money(c.retentionHeld, cur)}</td>
+                  <td style={{ padding: '6px 6px', textAlign: 'right', fontWeight: 600,
+                               textDecoration: c.status === 'void' ? 'line-through' : 'none' }}>
+                    {money2(c.amountDue, cur)}
+                  </td>
+                  <td style={{ padding: '6px 6px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => openDocument(c.id)} disabled={busy} style={smallBtn}>Document</button>{' '}
+                    <button onClick={() => downloadCsv(c.id)} disabled={busy} style={smallBtn}>CSV</button>
+                    {canIssue && latestIssued && latestIssued.id === c.id && (
+                      <>{' '}<button onClick={() => voidClaim(c)} disabled={busy}
+                                     style={{ ...smallBtn, color: C.danger }}>Void</button></>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div style={{ fontSize: 11, color: C.muted, marginTop: 12, lineHeight: 1.7 }}>
+        Each claim is cumulative: value to date, less retention, less the previous claim. A reversal or late
+        measurement after a claim is issued shows up in the next one. Measured work beyond a line's sanctioned
+        amount is not claimed until a variation is approved.
+      </div>
+
+      {viewer && (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(17,24,39,.55)', zIndex: 1000,
+                      display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+             onClick={e => e.target === e.currentTarget && setViewer(null)}>
+          <div style={{ background: '#fff', borderRadius: 10, width: 'min(920px, 94vw)', height: '90vh',
+                        display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+                          padding: '10px 14px', borderBottom: `1px solid ${C.line}` }}>
+              <strong style={{ fontSize: 14 }}>Progress claim {viewer.claim.claimNo}</strong>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button style={smallBtn} onClick={() => {
+                  const w = window.open('', '_blank');
+                  w.document.write(viewer.html); w.document.close(); w.focus(); w.print();
+                }}>Print / PDF</button>
+                <button style={smallBtn} onClick={() => exportClaimCsv(viewer.claim)}>CSV</button>
+                <button style={smallBtn} onClick={() => setViewer(null)}>Close</button>
+              </div>
+            </div>
+            <iframe title="progress-claim" srcDoc={viewer.html} style={{ border: 0, flex: 1, width: '100%' }} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ProjectHealth.js — the project's health score, explained (2026_145)
+//
+// Reads GET /handovers/sales/:id/health. The score is 0–100 from five weighted
+// components; each row shows what it scored and why, so a red can be traced to
+// the thing that caused it. Components that do not apply (no bill, internal
+// project) are listed greyed out and carry no weight.
+//
+// The nightly sweep scores every active project and keeps one point per day;
+// "Recompute" scores now — after closing an overdue gate, say — and replaces
+// today's point rather than adding one.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+const RYG = { red: '#dc2626', yellow: '#d97706', green: '#16a34a' };
+const RYG_LABEL = { red: 'Red', yellow: 'Yellow', green: 'Green' };
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function fmtWhen(s) {
+  if (!s) return '—';
+  return new Date(s).toLocaleString(undefined,
+    { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+const barColor = (score) => (score >= 75 ? RYG.green : score >= 50 ? RYG.yellow : RYG.red);
+
+// Score over time. Bands at 50 and 75 so a dip reads against the thresholds.
+function History({ points }) {
+  if (points.length < 2) {
+    return <div style={{ fontSize: 12, color: '#9ca3af' }}>
+      {points.length ? 'One day of history so far — the trend fills in nightly.' : 'No history yet.'}
+    </div>;
+  }
+  const W = 560, H = 90, pad = 4;
+  const x = (i) => pad + (i / (points.length - 1)) * (W - pad * 2);
+  const y = (v) => pad + (1 - v / 100) * (H - pad * 2);
+  const line = points.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p.score).toFixed(1)}`).join(' ');
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" height={H} style={{ maxWidth: W, display: 'block' }}>
+        <rect x={0} y={y(100)} width={W} height={y(75) - y(100)} fill="#f0fdf4" />
+        <rect x={0} y={y(75)}  width={W} height={y(50) - y(75)}  fill="#fffbeb" />
+        <rect x={0} y={y(50)}  width={W} height={y(0) - y(50)}   fill="#fef2f2" />
+        <path d={line} fill="none" stroke="#0369a1" strokeWidth={2} />
+        {points.map((p, i) => (
+          <circle key={p.date} cx={x(i)} cy={y(p.score)} r={2.5} fill={RYG[p.status] || '#0369a1'}>
+            <title>{`${p.date}: ${p.score}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, color: '#9ca3af', maxWidth: W }}>
+        <span>{points[0].date}</span>
+        <span>{points[points.length - 1].date}</span>
+      </div>
+    </div>
+  );
+}
+
+export default function ProjectHealth({ handoverId }) {
+  const [data,  setData]  = useState(null);
+  const [error, setError] = useState('');
+  const [busy,  setBusy]  = useState(false);
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      const r = await apiService.handovers.health(handoverId);
+      setData(r.data);
+    } catch (err) {
+      setError(errMsg(err, 'Could not load project health'));
+    }
+  }, [handoverId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const recompute = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await apiService.handovers.recomputeHealth(handoverId);
+      setData(r.data);
+    } catch (err) {
+      setError(errMsg(err, 'Could not recompute'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!data && !error) {
+    return <div style={{ padding: '16px 20px', fontSize: 13, color: '#9ca3af' }}>Loading…</div>;
+  }
+
+  return (
+    <div style={{ padding: '16px 20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 14, flexWrap: 'wrap' }}>
+        <h4 style={{ margin: 0, fontSize: 14, color: '#374151' }}>Project health</h4>
+        {data?.score != null && (
+          <>
+            <span style={{ fontSize: 22, fontWeight: 700, color: RYG[data.status] }}>{data.score}</span>
+            <span style={{ fontSize: 11, fontWeight: 700, padding: '2px 8px', borderRadius: 10,
+                           background: `${RYG[data.status]}1a`, color: RYG[data.status], textTransform: 'uppercase' }}>
+              {RYG_LABEL[data.status]}
+            </span>
+            <span style={{ fontSize: 12, color: '#9ca3af' }}>scored {fmtWhen(data.scoredAt)}</span>
+          </>
+        )}
+        {data?.scored && (
+          <button onClick={recompute} disabled={busy}
+            style={{ marginLeft: 'auto', fontSize: 12, padding: '4px 12px', borderRadius: 6,
+                     border: '1px solid #d1d5db', background: '#fff', color: '#374151',
+                     cursor: busy ? 'default' : 'pointer' }}>
+            {busy ? 'Scoring…' : 'Recompute'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 6, padding: '8px 12px', fontSize: 12, marginBottom: 12 }}>
+          {error}
+        </div>
+      )}
+
+      {data && !data.scored && (
+        <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 14 }}>
+          Only active projects are scored — this one is {data.projectStatus}.
+          {data.score != null ? ' The last score it had is shown below.' : ''}
+        </div>
+      )}
+      {data?.scored && data.score == null && (
+        <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 14 }}>
+          Not scored yet. The nightly sweep will score it, or recompute now.
+        </div>
+      )}
+
+      {/* The status can be set by a hard rule (an overdue commitment, go-live
+          passed) as well as by the score, so the reasons are shown too. */}
+      {data?.status && data.status !== 'green' && data.reasons?.length > 0 && (
+        <ul style={{ margin: '0 0 14px', paddingLeft: 18, fontSize: 12, color: '#374151' }}>
+          {data.reasons.map(r => <li key={r}>{r}</li>)}
+        </ul>
+      )}
+
+      {data?.components?.length > 0 && (
+        <section style={{ marginBottom: 20 }}>
+          {data.components.map(c => (
+            <div key={c.key} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '6px 0',
+                                      borderTop: '1px solid #f3f4f6', opacity: c.applicable ? 1 : 0.5 }}>
+              <span style={{ width: 140, fontSize: 12, fontWeight: 600, color: '#374151' }}>{c.label}</span>
+              <span style={{ width: 44, fontSize: 11, color: '#9ca3af' }}>{c.applicable ? `×${c.weight}` : 'n/a'}</span>
+              <span style={{ width: 120, height: 8, borderRadius: 4, background: '#f3f4f6', overflow: 'hidden' }}>
+                {c.applicable && (
+                  <span style={{ display: 'block', height: '100%', width: `${c.score}%`, background: barColor(c.score) }} />
+                )}
+              </span>
+              <span style={{ width: 30, fontSize: 12, fontWeight: 600, textAlign: 'right',
+                             color: c.applicable ? barColor(c.score) : '#9ca3af' }}>
+                {c.applicable ? c.score : '—'}
+              </span>
+              <span style={{ flex: 1, fontSize: 12, color: '#6b7280' }}>{c.detail}</span>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {data && (
+        <section>
+          <h5 style={{ margin: '0 0 8px', fontSize: 13, color: '#374151' }}>Last 90 days</h5>
+          <History points={data.history || []} />
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ProjectPlanImportModal.js
+//
+// DROP-IN LOCATION: frontend/src/ProjectPlanImportModal.js
+//
+// Import a CSV or MS Project XML plan into one project's checklist. Parsing is
+// projectPlanIO.js; this file is the preview and the write-back.
+//
+// Writes go through the same endpoints the checklist uses, in three passes:
+//   1. stages  — POST /stages for each stage name the project does not have,
+//                in file order, so the plan's phases keep their sequence
+//   2. plays   — POST /plays, then PATCH durationDays / effortHours
+//   3. links   — PUT /plays/:id/dependencies once every task has an id
+// Links come last because a predecessor may appear later in the file than the
+// task that depends on it.
+//
+// Imported tasks are ADDED to the project; nothing existing is changed or
+// removed. A failed row is reported and skipped, not rolled back — the rows
+// that succeeded are ordinary checklist items and can be edited or removed
+// like any other.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState } from 'react';
+import { apiService } from './apiService';
+import { parsePlanFile } from './projectPlanIO';
+
+const MAX_ROWS = 500;
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+export default function ProjectPlanImportModal({ handoverId, users, stages, onClose, onImported }) {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed]     = useState(null);   // { tasks, warnings }
+  const [running, setRunning]   = useState(false);
+  const [progress, setProgress] = useState('');
+  const [result, setResult]     = useState(null);   // { created, linked, errors }
+
+  const pick = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResult(null);
+    const reader = new FileReader();
+    reader.onload = () => setParsed(parsePlanFile(file.name, String(reader.result || ''), users));
+    reader.onerror = () => setParsed({ tasks: [], warnings: ['Could not read that file.'] });
+    reader.readAsText(file);
+  };
+
+  const run = async () => {
+    const tasks = parsed.tasks;
+    setRunning(true);
+    const errors = [];
+    let created = 0, linked = 0;
+
+    // 1. Stages. Matched by name or key, case-insensitively, so "UAT" in the
+    // file lands in the project's existing "uat" stage instead of a twin.
+    const known = new Map();
+    for (const s of stages || []) {
+      known.set(String(s.name || '').toLowerCase(), s.key);
+      known.set(String(s.key || '').toLowerCase(), s.key);
+    }
+    const stageKeyFor = {};
+    for (const name of [...new Set(tasks.map(t => t.stageName).filter(Boolean))]) {
+      const hit = known.get(name.toLowerCase());
+      if (hit) { stageKeyFor[name] = hit; continue; }
+      setProgress(`Adding stage “${name}”…`);
+      try {
+        const r = await apiService.handovers.addStage(handoverId, { name });
+        stageKeyFor[name] = r.data?.stage?.key;
+      } catch (err) {
+        errors.push(`Stage “${name}”: ${errMsg(err, 'could not be added')} — its tasks go to “Added on this project”.`);
+      }
+    }
+
+    // 2. Plays.
+    const idByKey = {};
+    for (let i = 0; i < tasks.length; i++) {
+      const t = tasks[i];
+      setProgress(`Adding task ${i + 1} of ${tasks.length}…`);
+      try {
+        const r = await apiService.handovers.addPlay(handoverId, {
+          title:       t.title,
+          description: t.description,
+          dueDate:     t.dueDate,
+          ownerUserId: t.ownerUserId,
+          isGate:      t.isGate,
+          stageKey:    (t.stageName && stageKeyFor[t.stageName]) || 'custom',
+        });
+        const id = r.data?.play?.playInstanceId;
+        if (!id) throw new Error('no id returned');
+        idByKey[t.key] = id;
+        created += 1;
+        const extra = {};
+        if (t.durationDays != null) extra.durationDays = t.durationDays;
+        if (t.effortHours != null)  extra.effortHours  = t.effortHours;
+        if (Object.keys(extra).length) await apiService.handovers.updatePlay(handoverId, id, extra);
+      } catch (err) {
+        errors.push(`“${t.title}”: ${errMsg(err, 'could not be added')}`);
+      }
+    }
+
+    // 3. Dependencies.
+    for (const t of tasks) {
+      const id = idByKey[t.key];
+      const deps = t.predecessorKeys.map(k => idByKey[k]).filter(Boolean);
+      if (!id || !deps.length) continue;
+      setProgress(`Linking “${t.title}”…`);
+      try {
+        await apiService.handovers.setPlayDependencies(handoverId, id, deps);
+        linked += 1;
+      } catch (err) {
+        errors.push(`Dependencies of “${t.title}”: ${errMsg(err, 'could not be set')}`);
+      }
+    }
+
+    setProgress('');
+    setRunning(false);
+    setResult({ created, linked, errors });
+    if (created) onImported();
+  };
+
+  const tasks = parsed ? parsed.tasks : [];
+  const tooMany = tasks.length > MAX_ROWS;
+  const userName = id => (users || []).find(u => u.id === id)?.name;
+
+  return (
+    <div onClick={running ? undefined : onClose}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.35)', zIndex: 1000,
+               display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: '#fff', borderRadius: 10, width: 'min(860px, 94vw)', maxHeight: '86vh', overflow: 'auto',
+                 boxShadow: '0 10px 40px rgba(0,0,0,0.2)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '14px 18px', borderBottom: '1px solid #e5e7eb' }}>
+          <h3 style={{ margin: 0, fontSize: 15, color: '#111827' }}>Import plan</h3>
+          <button onClick={onClose} disabled={running}
+            style={{ border: 'none', background: 'none', fontSize: 20, color: '#9ca3af', cursor: 'pointer', lineHeight: 1 }}>×</button>
+        </div>
+
+        <div style={{ padding: '16px 18px' }}>
+          <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 10, lineHeight: 1.5 }}>
+            CSV with columns such as <b>Task, Stage, Start, Due, Duration, Predecessors, Assignee, Milestone, Gate, Effort (h)</b>,
+            or an MS Project XML file (File → Save As → XML). Tasks are added to this project; nothing already here is changed.
+            Assignees are matched to your organisation by email, then name. Dates as YYYY-MM-DD are safest.
+          </div>
+
+          {!result && (
+            <input type="file" accept=".csv,.xml,text/csv,application/xml,text/xml" onChange={pick} disabled={running}
+              style={{ fontSize: 12, marginBottom: 12 }} />
+          )}
+
+          {parsed && parsed.warnings.length > 0 && !result && (
+            <div style={{ background: '#fef3c7', color: '#78350f', borderRadius: 6, padding: '8px 12px', fontSize: 12,
+                          marginBottom: 12, maxHeight: 120, overflowY: 'auto', lineHeight: 1.5 }}>
+              {parsed.warnings.map((w, i) => <div key={i}>{w}</div>)}
+            </div>
+          )}
+
+          {parsed && tasks.length > 0 && !result && (
+            <>
+              <div style={{ fontSize: 12, color: '#374151', marginBottom: 6 }}>
+                {fileName}: <b>{tasks.length}</b> task{tasks.length === 1 ? '' : 's'} in{' '}
+                <b>{new Set(tasks.map(t => t.stageName || '')).size}</b> stage group{new Set(tasks.map(t => t.stageName || '')).size === 1 ? '' : 's'},{' '}
+                <b>{tasks.reduce((n, t) => n + t.predecessorKeys.length, 0)}</b> dependencies
+              </div>
+              <div style={{ maxHeight: 300, overflow: 'auto', border: '1px solid #e5e7eb', borderRadius: 6 }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', color: '#6b7280', background: '#f9fafb', position: 'sticky', top: 0 }}>
+                      {['Task', 'Stage', 'Due', 'Days', 'After', 'Owner'].map(h => (
+                        <th key={h} style={{ padding: '5px 8px', fontWeight: 500 }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tasks.slice(0, 200).map(t => (
+                      <tr key={t.key} style={{ borderTop: '1px solid #f3f4f6' }}>
+                        <td style={{ padding: '4px 8px' }}>
+                          {t.isMilestone ? '◆ ' : ''}{t.isGate ? '🔒 ' : ''}{t.title}
+                        </td>
+                        <td style={{ padding: '4px 8px', color: '#6b7280' }}>{t.stageName || '—'}</td>
+                        <td style={{ padding: '4px 8px' }}>{t.dueDate || '—'}</td>
+                        <td style={{ padding: '4px 8px' }}>{t.durationDays ?? '—'}</td>
+                        <td style={{ padding: '4px 8px', color: '#6b7280' }}>
+                          {t.predecessorKeys.map(k => tasks.find(x => x.key === k)?.title).filter(Boolean).join(', ') || '—'}
+                        </td>
+                        <td style={{ padding: '4px 8px', color: t.ownerLabel && !t.ownerUserId ? '#b45309' : '#374151' }}>
+                          {t.ownerUserId ? userName(t.ownerUserId) : (t.ownerLabel ? `${t.ownerLabel} (no match)` : '—')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {tasks.length > 200 && (
+                  <div style={{ fontSize: 11, color: '#9ca3af', padding: '6px 8px' }}>…and {tasks.length - 200} more</div>
+                )}
+              </div>
+              {tooMany && (
+                <div style={{ fontSize: 12, color: '#991b1b', marginTop: 8 }}>
+                  A single import is limited to {MAX_ROWS} tasks. Split the plan by stage and import each part.
+                </div>
+              )}
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 12 }}>
+                <button onClick={run} disabled={running || tooMany}
+                  style={{ fontSize: 13, padding: '7px 14px', borderRadius: 6, border: 'none', fontWeight: 600,
+                           background: running || tooMany ? '#cbd5e1' : '#0369a1', color: '#fff',
+                           cursor: running || tooMany ? 'default' : 'pointer' }}>
+                  {running ? 'Importing…' : `Add ${tasks.length} task${tasks.length === 1 ? '' : 's'}`}
+                </button>
+                {progress && <span style={{ fontSize: 12, color: '#6b7280' }}>{progress}</span>}
+              </div>
+            </>
+          )}
+
+          {result && (
+            <div>
+              <div style={{ fontSize: 13, color: '#065f46', marginBottom: 8 }}>
+                Added {result.created} task{result.created === 1 ? '' : 's'}
+                {result.linked ? ` and linked ${result.linked}` : ''}.
+              </div>
+              {result.errors.length > 0 && (
+                <div style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 6, padding: '8px 12px', fontSize: 12,
+                              maxHeight: 160, overflowY: 'auto', lineHeight: 1.5 }}>
+                  {result.errors.map((e, i) => <div key={i}>{e}</div>)}
+                </div>
+              )}
+              <button onClick={onClose}
+                style={{ marginTop: 12, fontSize: 13, padding: '7px 14px', borderRadius: 6, border: '1px solid #d1d5db',
+                         background: '#fff', cursor: 'pointer' }}>
+                Done
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
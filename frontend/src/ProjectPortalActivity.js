@@ -0,0 +1,204 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ProjectPortalActivity.js — what the client did in the portal (2026_144)
+//
+// Reads GET /handovers/sales/:id/portal. Three lists:
+//
+//   Files       uploads against the client's tasks. Pending ones are accepted
+//               as evidence — an ordinary play_evidence row, attributed to
+//               whoever clicked Accept — or rejected with a reason the client
+//               sees next to the task.
+//   Sign-offs   every stage decision, newest first. The latest per stage is
+//               the current position; earlier rows are the history.
+//   Comments    the client's recent comments across tasks. They are also in
+//               each task's notes thread; this is the place to catch them
+//               without opening every task.
+//
+// Which tasks the client sees as theirs is the "Client's task" tick on the
+// checklist edit form.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function fmtWhen(s) {
+  if (!s) return '—';
+  return new Date(s).toLocaleString(undefined,
+    { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function fmtSize(n) {
+  if (n == null) return '';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const STATUS_TONE = {
+  pending:  { bg: '#fef3c7', color: '#92400e' },
+  accepted: { bg: '#dcfce7', color: '#166534' },
+  rejected: { bg: '#fee2e2', color: '#991b1b' },
+};
+
+const sectionTitle = { margin: '0 0 8px', fontSize: 13, color: '#374151' };
+
+export default function ProjectPortalActivity({ handoverId }) {
+  const [data,    setData]    = useState(null);
+  const [error,   setError]   = useState('');
+  const [busyId,  setBusyId]  = useState(null);
+  const [rejecting, setRejecting] = useState(null);   // submission id
+  const [reason,  setReason]  = useState('');
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      const r = await apiService.handovers.portalActivity(handoverId);
+      setData(r.data);
+    } catch (err) {
+      setError(errMsg(err, 'Could not load portal activity'));
+    }
+  }, [handoverId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const review = async (id, decision, note) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await apiService.handovers.reviewPortalSubmission(handoverId, id, decision, note);
+      setRejecting(null);
+      setReason('');
+      await load();
+    } catch (err) {
+      setError(errMsg(err, 'Could not record the review'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!data && !error) {
+    return <div style={{ padding: '16px 20px', fontSize: 13, color: '#9ca3af' }}>Loading…</div>;
+  }
+
+  const pending = (data?.submissions || []).filter(s => s.status === 'pending').length;
+
+  return (
+    <div style={{ padding: '16px 20px' }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: 10, marginBottom: 12 }}>
+        <h4 style={{ margin: 0, fontSize: 14, color: '#374151' }}>Client portal</h4>
+        {data && (
+          <span style={{ fontSize: 12, color: '#6b7280' }}>
+            {data.portalUsers
+              ? `${data.portalUsers} portal user${data.portalUsers === 1 ? '' : 's'} can see this project`
+              : 'No one at the client has portal access to this project yet'}
+            {pending ? ` · ${pending} file${pending === 1 ? '' : 's'} to review` : ''}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 6, padding: '8px 12px', fontSize: 12, marginBottom: 12 }}>
+          {error}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <section style={{ marginBottom: 20 }}>
+            <h5 style={sectionTitle}>Files from the client</h5>
+            {!data.submissions.length && <div style={{ fontSize: 12, color: '#9ca3af' }}>Nothing uploaded yet.</div>}
+            {data.submissions.map(s => {
+              const tone = STATUS_TONE[s.status] || STATUS_TONE.pending;
+              return (
+                <div key={s.id} style={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: '8px 12px', marginBottom: 6 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: 10, fontWeight: 700, padding: '1px 7px', borderRadius: 10,
+                                   background: tone.bg, color: tone.color, textTransform: 'uppercase' }}>{s.status}</span>
+                    {s.webUrl
+                      ? <a href={s.webUrl} target="_blank" rel="noopener noreferrer" style={{ fontSize: 13, color: '#0369a1' }}>{s.fileName}</a>
+                      : <span style={{ fontSize: 13, color: '#111827' }}>{s.fileName}</span>}
+                    <span style={{ fontSize: 11, color: '#9ca3af' }}>{fmtSize(s.fileSize)}</span>
+                    <span style={{ fontSize: 12, color: '#6b7280', flex: 1 }}>on “{s.playTitle}”</span>
+                    <span style={{ fontSize: 11, color: '#9ca3af' }}>{s.from || 'Client'} · {fmtWhen(s.submittedAt)}</span>
+                  </div>
+                  {s.note && <div style={{ fontSize: 12, color: '#374151', marginTop: 4 }}>“{s.note}”</div>}
+                  {s.status !== 'pending' && (
+                    <div style={{ fontSize: 11, color: '#6b7280', marginTop: 4 }}>
+                      {s.status === 'accepted' ? 'Accepted as evidence' : 'Rejected'}
+                      {s.reviewedByName ? ` by ${s.reviewedByName}` : ''} · {fmtWhen(s.reviewedAt)}
+                      {s.reviewNote ? ` — ${s.reviewNote}` : ''}
+                    </div>
+                  )}
+                  {s.status === 'pending' && rejecting !== s.id && (
+                    <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+                      <button onClick={() => review(s.id, 'accept')} disabled={busyId === s.id || !s.fileLive}
+                        title={s.fileLive ? 'Record this file as evidence on the task' : 'The file is no longer in storage'}
+                        style={{ fontSize: 12, padding: '4px 12px', borderRadius: 6, border: 'none', fontWeight: 600,
+                                 background: busyId === s.id || !s.fileLive ? '#cbd5e1' : '#0369a1', color: '#fff',
+                                 cursor: busyId === s.id || !s.fileLive ? 'default' : 'pointer' }}>
+                        Accept as evidence
+                      </button>
+                      <button onClick={() => { setRejecting(s.id); setReason(''); }} disabled={busyId === s.id}
+                        style={{ fontSize: 12, padding: '4px 12px', borderRadius: 6, border: '1px solid #d1d5db',
+                                 background: '#fff', color: '#374151', cursor: 'pointer' }}>
+                        Reject…
+                      </button>
+                    </div>
+                  )}
+                  {rejecting === s.id && (
+                    <div style={{ display: 'flex', gap: 8, marginTop: 6, alignItems: 'center' }}>
+                      <input value={reason} onChange={e => setReason(e.target.value)} autoFocus
+                        placeholder="Why — the client sees this"
+                        style={{ flex: 1, fontSize: 12, padding: '5px 8px', borderRadius: 4, border: '1px solid #d1d5db' }} />
+                      <button onClick={() => review(s.id, 'reject', reason.trim())} disabled={busyId === s.id || !reason.trim()}
+                        style={{ fontSize: 12, padding: '4px 12px', borderRadius: 6, border: 'none', fontWeight: 600,
+                                 background: busyId === s.id || !reason.trim() ? '#cbd5e1' : '#b91c1c', color: '#fff',
+                                 cursor: busyId === s.id || !reason.trim() ? 'default' : 'pointer' }}>
+                        Reject
+                      </button>
+                      <button onClick={() => setRejecting(null)}
+                        style={{ fontSize: 12, padding: '4px 10px', borderRadius: 6, border: '1px solid #d1d5db',
+                                 background: '#fff', color: '#374151', cursor: 'pointer' }}>
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </section>
+
+          <section style={{ marginBottom: 20 }}>
+            <h5 style={sectionTitle}>Stage sign-offs</h5>
+            {!data.signoffs.length && <div style={{ fontSize: 12, color: '#9ca3af' }}>No stage has been signed off yet.</div>}
+            {data.signoffs.map(s => (
+              <div key={s.id} style={{ display: 'flex', gap: 8, fontSize: 12, padding: '5px 0', borderTop: '1px solid #f3f4f6' }}>
+                <span style={{ fontWeight: 600, color: s.decision === 'approved' ? '#166534' : '#92400e', minWidth: 130 }}>
+                  {s.decision === 'approved' ? '✓ Approved' : '↩ Changes requested'}
+                </span>
+                <span style={{ color: '#111827', minWidth: 140 }}>{s.stageName}</span>
+                <span style={{ color: '#374151', flex: 1 }}>{s.comment || ''}</span>
+                <span style={{ color: '#9ca3af' }}>{s.byName || 'Client'} · {fmtWhen(s.at)}</span>
+              </div>
+            ))}
+          </section>
+
+          <section>
+            <h5 style={sectionTitle}>Recent client comments</h5>
+            {!data.comments.length && <div style={{ fontSize: 12, color: '#9ca3af' }}>No comments from the client.</div>}
+            {data.comments.map(c => (
+              <div key={c.id} style={{ fontSize: 12, padding: '6px 0', borderTop: '1px solid #f3f4f6' }}>
+                <div style={{ color: '#6b7280' }}>
+                  {c.byName || 'Client'} on “{c.playTitle}” · {fmtWhen(c.at)}
+                </div>
+                <div style={{ color: '#111827', whiteSpace: 'pre-wrap', marginTop: 2 }}>{c.body}</div>
+              </div>
+            ))}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
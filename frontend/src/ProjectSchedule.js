@@ -0,0 +1,368 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ProjectSchedule.js — Gantt, critical path and slip propagation (2026_141)
+//
+// Reads GET /handovers/sales/:id/schedule. Each row draws what the schedule
+// service computed, not what the checklist says:
+//
+//   bar         earliest start → forecast finish. Red = critical (no float).
+//   pale tail   float: how far the finish can move before the project does.
+//   tick        the current due date. A bar running past its tick is a play
+//               forecast to miss its promise.
+//
+// "Review slips" fetches the propagation preview — successor due dates that a
+// late predecessor makes impossible — and applies only the rows left ticked.
+// Nothing moves without that review: every move is a revision in Plan vs
+// actual, and a cascade nobody looked at is exactly the kind of silent
+// date-shuffling the revision history exists to expose.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+const C = {
+  critical: '#dc2626',
+  normal:   '#2563eb',
+  done:     '#9ca3af',
+  float:    '#dbeafe',
+  late:     '#b91c1c',
+  early:    '#047857',
+  neutral:  '#6b7280',
+  warn:     '#b45309',
+  warnBg:   '#fef3c7',
+  line:     '#e5e7eb',
+  today:    '#f59e0b',
+  goLive:   '#7c3aed',
+};
+
+const LABEL_W = 240;
+const ROW_H   = 26;
+const DAY_MS  = 86400000;
+
+// Schedule dates are plain YYYY-MM-DD strings; keep them as UTC day numbers
+// so the chart cannot drift a day across a timezone boundary.
+function dayNum(s) {
+  if (!s) return null;
+  const [y, m, d] = String(s).slice(0, 10).split('-').map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+function fmtDate(s) {
+  if (!s) return '—';
+  const n = dayNum(s);
+  return new Date(n * DAY_MS).toLocaleDateString(undefined,
+    { day: '2-digit', month: 'short', timeZone: 'UTC' });
+}
+
+function Metric({ label, value, tone }) {
+  return (
+    <div style={{ background: '#f9fafb', borderRadius: 8, padding: '12px 14px', minWidth: 132, flex: '1 1 132px' }}>
+      <div style={{ fontSize: 11, color: C.neutral, marginBottom: 4 }}>{label}</div>
+      <div style={{ fontSize: 20, fontWeight: 600, color: tone || '#111827' }}>
+        {value === null || value === undefined ? '—' : value}
+      </div>
+    </div>
+  );
+}
+
+function PropagationPanel({ handoverId, onApplied, onClose }) {
+  const [state,   setState]   = useState({ loading: true, error: null, changes: [] });
+  const [picked,  setPicked]  = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const load = useCallback(async () => {
+    setState(s => ({ ...s, loading: true, error: null }));
+    try {
+      const r = await apiService.handovers.previewPropagation(handoverId);
+      const changes = r.data?.changes || [];
+      setState({ loading: false, error: null, changes });
+      setPicked(Object.fromEntries(changes.map(c => [c.playInstanceId, true])));
+    } catch (err) {
+      setState({ loading: false, changes: [],
+        error: err?.response?.data?.error?.message || err.message || 'Could not load the preview' });
+    }
+  }, [handoverId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const apply = async () => {
+    const chosen = state.changes
+      .filter(c => picked[c.playInstanceId])
+      .map(c => ({ playInstanceId: c.playInstanceId, toDueDate: c.toDueDate }));
+    if (!chosen.length) return;
+    setApplying(true);
+    try {
+      await apiService.handovers.applyPropagation(handoverId, chosen);
+      onApplied();
+    } catch (err) {
+      const code = err?.response?.data?.error?.code;
+      // The plan moved under the preview — show the fresh one rather than
+      // leaving a list of dates the server has already refused.
+      if (code === 'STALE_PREVIEW') await load();
+      setState(s => ({ ...s,
+        error: err?.response?.data?.error?.message || err.message || 'Could not apply the changes' }));
+    } finally { setApplying(false); }
+  };
+
+  const count = state.changes.filter(c => picked[c.playInstanceId]).length;
+
+  return (
+    <div style={{ border: `1px solid ${C.line}`, borderRadius: 8, padding: '12px 14px', marginBottom: 14, background: '#fff' }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, flex: 1 }}>Due dates moved by late predecessors</div>
+        <button onClick={onClose} style={{ fontSize: 12, background: 'none', border: 'none', color: C.neutral, cursor: 'pointer' }}>Close</button>
+      </div>
+      {state.loading && <div style={{ fontSize: 12, color: C.neutral }}>Working out what would move…</div>}
+      {state.error && (
+        <div style={{ background: '#fee2e2', color: '#991b1b', padding: '6px 10px', borderRadius: 6, fontSize: 12, marginBottom: 8 }}>
+          {state.error}
+        </div>
+      )}
+      {!state.loading && state.changes.length === 0 && !state.error && (
+        <div style={{ fontSize: 12, color: C.neutral }}>
+          Every open task still fits after its predecessors. Nothing to move.
+        </div>
+      )}
+      {state.changes.length > 0 && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: C.neutral, fontSize: 11 }}>
+                <th style={{ padding: '4px 6px', width: 24 }} />
+                <th style={{ padding: '4px 6px' }}>Task</th>
+                <th style={{ padding: '4px 6px' }}>Due now</th>
+                <th style={{ padding: '4px 6px' }}>Would be</th>
+                <th style={{ padding: '4px 6px' }}>Because of</th>
+              </tr>
+            </thead>
+            <tbody>
+              {state.changes.map(c => (
+                <tr key={c.playInstanceId} style={{ borderTop: `1px solid ${C.line}` }}>
+                  <td style={{ padding: '4px 6px' }}>
+                    <input type="checkbox" checked={!!picked[c.playInstanceId]}
+                      onChange={e => setPicked(p => ({ ...p, [c.playInstanceId]: e.target.checked }))} />
+                  </td>
+                  <td style={{ padding: '4px 6px' }}>{c.title}</td>
+                  <td style={{ padding: '4px 6px' }}>{fmtDate(c.fromDueDate)}</td>
+                  <td style={{ padding: '4px 6px', color: C.late, fontWeight: 600 }}>
+                    {fmtDate(c.toDueDate)} <span style={{ fontWeight: 400 }}>(+{c.shiftDays}d)</span>
+                  </td>
+                  <td style={{ padding: '4px 6px', color: C.neutral }}>{c.drivenByTitle}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 10 }}>
+            <button onClick={apply} disabled={applying || count === 0}
+              style={{ fontSize: 12, padding: '6px 12px', borderRadius: 6, border: 'none',
+                       background: count ? '#0369a1' : '#cbd5e1', color: '#fff',
+                       cursor: count && !applying ? 'pointer' : 'default' }}>
+              {applying ? 'Applying…' : `Move ${count} due date${count === 1 ? '' : 's'}`}
+            </button>
+            <span style={{ fontSize: 11, color: C.neutral }}>
+              Each move is recorded as a date revision, with the predecessor as the reason.
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function ProjectSchedule({ handoverId }) {
+  const [state, setState] = useState({ loading: true, error: null, data: null });
+  const [reviewing, setReviewing] = useState(false);
+  const [criticalOnly, setCriticalOnly] = useState(false);
+
+  const load = useCallback(async () => {
+    setState(s => ({ ...s, loading: true, error: null }));
+    try {
+      const r = await apiService.handovers.schedule(handoverId);
+      setState({ loading: false, error: null, data: r.data });
+    } catch (err) {
+      setState({ loading: false, data: null,
+        error: err?.response?.data?.error?.message || err.message || 'Could not load the schedule' });
+    }
+  }, [handoverId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  if (state.loading && !state.data) {
+    return <div style={{ padding: 20, fontSize: 13, color: C.neutral }}>Loading schedule…</div>;
+  }
+  if (state.error) {
+    return (
+      <div style={{ padding: 20 }}>
+        <div style={{ background: '#fee2e2', color: '#991b1b', padding: '8px 12px', borderRadius: 6, fontSize: 13 }}>
+          {state.error}
+        </div>
+        <button onClick={load} style={{ marginTop: 10, fontSize: 12, padding: '5px 10px', cursor: 'pointer' }}>Retry</button>
+      </div>
+    );
+  }
+
+  const data    = state.data || {};
+  const summary = data.summary || {};
+  const all     = Array.isArray(data.plays) ? data.plays : [];
+
+  if (!all.length) {
+    return (
+      <div style={{ padding: 20, fontSize: 13, color: C.neutral }}>
+        This project has no open or completed tasks to schedule yet.
+      </div>
+    );
+  }
+
+  const plays = criticalOnly ? all.filter(p => p.isCritical) : all;
+
+  // Chart window: earliest start to the latest of finish, due dates and
+  // go-live, with a couple of days either side so end markers are not clipped.
+  const points = [data.windowStart, data.projectFinish, data.goLiveDate, data.today,
+                  ...all.map(p => p.dueDate), ...all.map(p => p.lateFinish)]
+    .map(dayNum).filter(n => n != null);
+  const from  = Math.min(...points) - 2;
+  const to    = Math.max(...points) + 2;
+  const span  = Math.max(to - from, 1);
+  const pxDay = Math.max(4, Math.min(28, Math.floor(760 / span)));
+  const chartW = span * pxDay;
+  const x = s => (dayNum(s) - from) * pxDay;
+
+  // Week ticks on Mondays (day 0 of the epoch was a Thursday).
+  const ticks = [];
+  for (let d = from; d <= to; d++) if ((d + 3) % 7 === 0) ticks.push(d);
+
+  const slack = data.goLiveSlackDays;
+
+  return (
+    <div style={{ padding: '16px 20px 28px' }}>
+
+      <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap', marginBottom: 14 }}>
+        <Metric label="Forecast finish" value={fmtDate(data.projectFinish)} />
+        <Metric label="vs go-live"
+                value={slack == null ? null : (slack >= 0 ? `${slack}d spare` : `${-slack}d late`)}
+                tone={slack == null ? undefined : (slack < 0 ? C.late : C.early)} />
+        <Metric label="Critical tasks" value={summary.critical}
+                tone={summary.critical > 0 ? C.critical : undefined} />
+        <Metric label="Forecast to miss due" value={summary.slipping}
+                tone={summary.slipping > 0 ? C.late : undefined} />
+      </div>
+
+      {summary.unestimated > 0 && (
+        <div style={{ background: C.warnBg, color: '#78350f', borderRadius: 6,
+                      padding: '8px 12px', fontSize: 12, marginBottom: 14, lineHeight: 1.5 }}>
+          {summary.unestimated} of {summary.plays} tasks have no duration, so each is scheduled as one day
+          (dashed bars). Set “Days” when editing a task in the checklist to make the critical path real.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 12 }}>
+        <button onClick={() => setReviewing(true)} disabled={reviewing}
+          style={{ fontSize: 12, padding: '6px 12px', borderRadius: 6, border: `1px solid ${C.line}`,
+                   background: '#fff', cursor: reviewing ? 'default' : 'pointer' }}>
+          Review slips…
+        </button>
+        <label style={{ fontSize: 12, color: C.neutral, display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+          <input type="checkbox" checked={criticalOnly} onChange={e => setCriticalOnly(e.target.checked)} />
+          Critical path only
+        </label>
+        <span style={{ flex: 1 }} />
+        <span style={{ fontSize: 11, color: C.neutral, display: 'inline-flex', gap: 12 }}>
+          <span><span style={{ display: 'inline-block', width: 10, height: 8, background: C.critical, marginRight: 4 }} />Critical</span>
+          <span><span style={{ display: 'inline-block', width: 10, height: 8, background: C.normal, marginRight: 4 }} />Has float</span>
+          <span><span style={{ display: 'inline-block', width: 10, height: 8, background: C.float, marginRight: 4 }} />Float</span>
+          <span><span style={{ display: 'inline-block', width: 10, height: 8, background: C.done, marginRight: 4 }} />Done</span>
+        </span>
+      </div>
+
+      {reviewing && (
+        <PropagationPanel handoverId={handoverId}
+          onClose={() => setReviewing(false)}
+          onApplied={() => { setReviewing(false); load(); }} />
+      )}
+
+      <div style={{ overflowX: 'auto', border: `1px solid ${C.line}`, borderRadius: 8 }}>
+        <div style={{ position: 'relative', width: LABEL_W + chartW, minWidth: '100%' }}>
+
+          {/* Scale */}
+          <div style={{ display: 'flex', height: 22, borderBottom: `1px solid ${C.line}`, background: '#f9fafb' }}>
+            <div style={{ width: LABEL_W, flexShrink: 0, fontSize: 11, color: C.neutral, padding: '4px 8px' }}>Task</div>
+            <div style={{ position: 'relative', width: chartW }}>
+              {ticks.map(d => (
+                <div key={d} style={{ position: 'absolute', left: (d - from) * pxDay, top: 4,
+                                      fontSize: 10, color: C.neutral, whiteSpace: 'nowrap' }}>
+                  {fmtDate(new Date(d * DAY_MS).toISOString())}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Rows */}
+          {plays.map((p, i) => {
+            const colour = p.isDone ? C.done : (p.isCritical ? C.critical : C.normal);
+            const left   = x(p.earlyStart);
+            // A milestone has no width; draw it as a small diamond-ish block.
+            const width  = Math.max((dayNum(p.earlyFinish) - dayNum(p.earlyStart)) * pxDay, p.durationDays === 0 ? 8 : 3);
+            const stageChanged = i === 0 || plays[i - 1].stageKey !== p.stageKey;
+            const tip = [
+              p.title,
+              `Start ${fmtDate(p.earlyStart)} · finish ${fmtDate(p.earlyFinish)}`,
+              p.dueDate ? `Due ${fmtDate(p.dueDate)}` : 'No due date',
+              p.totalFloat != null ? `Float ${p.totalFloat}d` : null,
+              p.durationEstimated ? `${p.durationDays}d planned` : 'Duration not estimated (1d assumed)',
+            ].filter(Boolean).join('\n');
+            return (
+              <React.Fragment key={p.id}>
+                {stageChanged && !criticalOnly && (
+                  <div style={{ fontSize: 10, color: '#9ca3af', letterSpacing: '0.05em', textTransform: 'uppercase',
+                                padding: '6px 8px 2px', borderTop: i ? `1px solid ${C.line}` : 'none' }}>
+                    {p.stageName || p.stageKey || 'Added on this project'}
+                  </div>
+                )}
+                <div style={{ display: 'flex', height: ROW_H, alignItems: 'center' }} title={tip}>
+                  <div style={{ width: LABEL_W, flexShrink: 0, padding: '0 8px', fontSize: 12,
+                                whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis',
+                                color: p.isDone ? C.neutral : '#111827',
+                                fontWeight: p.isCritical ? 600 : 400 }}>
+                    {p.isGate ? '🔒 ' : ''}{p.title}
+                    {p.forecastSlipDays > 0 && (
+                      <span style={{ color: C.late, fontSize: 11, marginLeft: 6 }}>+{p.forecastSlipDays}d</span>
+                    )}
+                  </div>
+                  <div style={{ position: 'relative', width: chartW, height: ROW_H }}>
+                    {p.totalFloat > 0 && (
+                      <div style={{ position: 'absolute', top: 9, height: 8, left: x(p.earlyFinish),
+                                    width: p.totalFloat * pxDay, background: C.float, borderRadius: 2 }} />
+                    )}
+                    <div style={{ position: 'absolute', top: 6, height: 14, left, width,
+                                  background: p.durationEstimated ? colour : 'transparent',
+                                  border: p.durationEstimated ? 'none' : `1px dashed ${colour}`,
+                                  boxSizing: 'border-box', borderRadius: 3,
+                                  transform: p.durationDays === 0 ? 'rotate(45deg) scale(0.8)' : 'none' }} />
+                    {p.dueDate && !p.isDone && (
+                      <div style={{ position: 'absolute', top: 3, height: 20, width: 2, left: x(p.dueDate) - 1,
+                                    background: p.forecastSlipDays > 0 ? C.late : '#111827', opacity: 0.6 }} />
+                    )}
+                  </div>
+                </div>
+              </React.Fragment>
+            );
+          })}
+
+          {/* Today and go-live run the full height of the chart. */}
+          {[{ d: data.today, c: C.today, label: 'Today' },
+            { d: data.goLiveDate, c: C.goLive, label: 'Go-live' }]
+            .filter(m => m.d)
+            .map(m => (
+              <div key={m.label} title={`${m.label} ${fmtDate(m.d)}`}
+                   style={{ position: 'absolute', top: 0, bottom: 0, left: LABEL_W + x(m.d),
+                            width: 0, borderLeft: `2px dashed ${m.c}`, pointerEvents: 'none' }} />
+            ))}
+        </div>
+      </div>
+
+      {criticalOnly && plays.length === 0 && (
+        <div style={{ fontSize: 12, color: C.neutral, marginTop: 10 }}>
+          No open task is on the critical path — every remaining task has float.
+        </div>
+      )}
+    </div>
+  );
+}
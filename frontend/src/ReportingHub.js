@@ -16,7 +16,7 @@ import DealsReporting from './DealsReporting';
 // gate === undefined → always visible (core module). Otherwise gated on orgModules[gate].
 const MODULES = [
   { key: 'deals',       label: 'Deals',        icon: 'ti-briefcase',
-    reports: [{ k: 'pipeline_health', label: 'Pipeline health', live: true }, { k: 'funnel', label: 'Funnel', live: true }, { k: 'forecast', label: 'Forecast', live: true }, { k: 'winloss', label: 'Win / loss', live: true }] },
+    reports: [{ k: 'pipeline_health', label: 'Pipeline health', live: true }, { k: 'funnel', label: 'Funnel', live: true }, { k: 'forecast', label: 'Forecast', live: true }, { k: 'forecast_calls', label: 'Forecast calls', live: true }, { k: 'winloss', label: 'Win / loss', live: true }] },
   { key: 'prospecting', label: 'Prospecting',  icon: 'ti-target', gate: 'prospecting', prospecting: true },
   { key: 'projects',    label: 'Projects',     icon: 'ti-checklist', gate: 'handovers',
     reports: [{ k: 'delivery_health', label: 'Delivery health', live: true }, { k: 'ontime', label: 'On-time delivery' }, { k: 'throughput', label: 'Throughput' }] },
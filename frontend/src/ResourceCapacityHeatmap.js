@@ -0,0 +1,255 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ResourceCapacityHeatmap.js
+//
+// DROP-IN LOCATION: frontend/src/ResourceCapacityHeatmap.js
+//
+// Team utilisation across every active project (2026_142). Used in
+// Handovers → Dashboard. Reads GET /handovers/capacity: one row per person who
+// owns open work or has capacity set, one column per week, each cell hours
+// booked vs hours available.
+//
+// Clicking a cell shows which projects the hours come from and lets an admin
+// or the person's manager override that week's capacity (leave, holidays).
+// Clicking the hours-per-week figure edits the standard week. Permission is
+// enforced by the API; a 403 is shown inline rather than hiding the control,
+// so nobody wonders why the numbers cannot be changed.
+//
+// "No estimate" and "No date" are shown beside each name on purpose: an empty
+// cell only means free time if the work has been estimated and dated.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from './apiService';
+
+const DAY_MS = 86400000;
+
+function fmtWeek(s) {
+  return new Date(`${s}T00:00:00Z`).toLocaleDateString(undefined,
+    { day: '2-digit', month: 'short', timeZone: 'UTC' });
+}
+
+function shiftWeeks(s, n) {
+  return new Date(Date.parse(`${s}T00:00:00Z`) + n * 7 * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Under 70% is headroom, up to 100% is a full week, over is overbooked.
+function cellTone(c) {
+  if (c.overloaded)               return { bg: '#fee2e2', fg: '#991b1b' };
+  if (c.hours === 0)              return { bg: '#f9fafb', fg: '#9ca3af' };
+  if (c.utilisationPct >= 70)     return { bg: '#fef3c7', fg: '#92400e' };
+  return { bg: '#dcfce7', fg: '#065f46' };
+}
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function CellDetail({ member, cell, onSaved, onClose }) {
+  const [hours, setHours] = useState(String(cell.capacity));
+  const [note,  setNote]  = useState(cell.capacityNote || '');
+  const [busy,  setBusy]  = useState(false);
+  const [err,   setErr]   = useState('');
+
+  const save = async () => {
+    setBusy(true); setErr('');
+    try {
+      await apiService.handovers.setWeekCapacity(member.userId, cell.weekStart, { hours: Number(hours), note });
+      onSaved();
+    } catch (e) { setErr(errMsg(e, 'Could not save capacity')); }
+    finally { setBusy(false); }
+  };
+  const clear = async () => {
+    setBusy(true); setErr('');
+    try {
+      await apiService.handovers.clearWeekCapacity(member.userId, cell.weekStart);
+      onSaved();
+    } catch (e) { setErr(errMsg(e, 'Could not reset capacity')); }
+    finally { setBusy(false); }
+  };
+
+  return (
+    <div style={{ marginTop: 12, border: '1px solid #e5e7eb', borderRadius: 8, padding: '12px 14px', background: '#fff' }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, flex: 1 }}>
+          {member.name} · week of {fmtWeek(cell.weekStart)} · {cell.hours}h of {cell.capacity}h
+        </div>
+        <button onClick={onClose} style={{ fontSize: 12, background: 'none', border: 'none', color: '#6b7280', cursor: 'pointer' }}>Close</button>
+      </div>
+      {cell.projects.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#9ca3af', marginBottom: 10 }}>No estimated work lands in this week.</div>
+      ) : (
+        <div style={{ marginBottom: 10 }}>
+          {cell.projects.map(p => (
+            <div key={p.handoverId} style={{ display: 'flex', fontSize: 12, padding: '3px 0', borderBottom: '1px solid #f3f4f6' }}>
+              <a href={`#/handovers/${p.handoverId}/schedule`} style={{ flex: 1, color: '#0369a1', textDecoration: 'none' }}>
+                {p.project || `Project ${p.handoverId}`}
+              </a>
+              <span style={{ fontWeight: 600 }}>{p.hours}h</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <label style={{ fontSize: 11, color: '#6b7280' }}>Available this week
+          <input type="number" min={0} max={168} value={hours} onChange={e => setHours(e.target.value)}
+            style={{ marginLeft: 6, width: 64, fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid #d1d5db' }} />
+          <span style={{ marginLeft: 4 }}>h</span>
+        </label>
+        <input value={note} onChange={e => setNote(e.target.value)} placeholder="Reason (e.g. annual leave)"
+          style={{ flex: '1 1 180px', fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid #d1d5db' }} />
+        <button onClick={save} disabled={busy || hours === ''}
+          style={{ fontSize: 12, padding: '5px 10px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' }}>
+          Save
+        </button>
+        {cell.capacityNote !== null && (
+          <button onClick={clear} disabled={busy}
+            style={{ fontSize: 12, padding: '5px 10px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#fff', cursor: 'pointer' }}>
+            Back to standard week
+          </button>
+        )}
+      </div>
+      {err && <div style={{ fontSize: 12, color: '#991b1b', marginTop: 6 }}>{err}</div>}
+    </div>
+  );
+}
+
+export default function ResourceCapacityHeatmap() {
+  const [weeks, setWeeks]   = useState(8);
+  const [from, setFrom]     = useState(null);   // null = this week
+  const [data, setData]     = useState(null);
+  const [err, setErr]       = useState('');
+  const [open, setOpen]     = useState(null);   // { userId, weekStart }
+  const [editing, setEditing] = useState(null); // userId whose standard week is being edited
+  const [stdHours, setStdHours] = useState('');
+  const [stdErr, setStdErr] = useState('');
+
+  const load = useCallback(async () => {
+    setErr('');
+    try {
+      const r = await apiService.handovers.capacity(weeks, from);
+      setData(r.data);
+    } catch (e) { setErr(errMsg(e, 'Could not load team capacity')); }
+  }, [weeks, from]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const saveStandard = async (userId) => {
+    setStdErr('');
+    try {
+      await apiService.handovers.setCapacity(userId, stdHours === '' ? null : Number(stdHours));
+      setEditing(null);
+      load();
+    } catch (e) { setStdErr(errMsg(e, 'Could not save capacity')); }
+  };
+
+  if (err)   return <div style={{ padding: 16, color: '#991b1b', fontSize: 13 }}>{err}</div>;
+  if (!data) return <div style={{ padding: 16, color: '#9ca3af', fontSize: 13 }}>Loading team capacity…</div>;
+
+  const members = data.members || [];
+  const summary = data.summary || {};
+  const openMember = open && members.find(m => m.userId === open.userId);
+  const openCell = openMember && openMember.cells.find(c => c.weekStart === open.weekStart);
+  const first = (data.weeks || [])[0];
+
+  return (
+    <div style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 10, padding: '14px 16px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 12, flexWrap: 'wrap' }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: '#374151', flex: 1 }}>
+          Team capacity
+          {summary.overloadedMembers > 0 && (
+            <span style={{ marginLeft: 8, fontSize: 11, fontWeight: 500, color: '#991b1b' }}>
+              {summary.overloadedMembers} overbooked in {summary.overloadedCells} week{summary.overloadedCells === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+        <button onClick={() => first && setFrom(shiftWeeks(first, -weeks))}
+          style={{ fontSize: 12, padding: '3px 8px', border: '1px solid #e5e7eb', borderRadius: 6, background: '#fff', cursor: 'pointer' }}>‹</button>
+        <button onClick={() => setFrom(null)}
+          style={{ fontSize: 12, padding: '3px 8px', border: '1px solid #e5e7eb', borderRadius: 6, background: '#fff', cursor: 'pointer' }}>This week</button>
+        <button onClick={() => first && setFrom(shiftWeeks(first, weeks))}
+          style={{ fontSize: 12, padding: '3px 8px', border: '1px solid #e5e7eb', borderRadius: 6, background: '#fff', cursor: 'pointer' }}>›</button>
+        <select value={weeks} onChange={e => setWeeks(parseInt(e.target.value, 10))}
+          style={{ fontSize: 12, padding: '3px 6px', borderRadius: 6, border: '1px solid #e5e7eb' }}>
+          {[4, 8, 12, 26].map(n => <option key={n} value={n}>{n} weeks</option>)}
+        </select>
+      </div>
+
+      {members.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#9ca3af' }}>
+          Nobody owns open work on an active project yet. Assign task owners and effort estimates in a project checklist.
+        </div>
+      ) : (
+        <div className="gw-table-scroll">
+          <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 2, fontSize: 12 }}>
+            <thead>
+              <tr style={{ color: '#6b7280', textAlign: 'left' }}>
+                <th style={{ padding: '4px 6px', fontWeight: 500 }}>Person</th>
+                <th style={{ padding: '4px 6px', fontWeight: 500 }}>Week</th>
+                {data.weeks.map(w => (
+                  <th key={w} style={{ padding: '4px 6px', fontWeight: 500, textAlign: 'center', whiteSpace: 'nowrap' }}>{fmtWeek(w)}</th>
+                ))}
+                <th style={{ padding: '4px 6px', fontWeight: 500 }}>Not planned</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(m => (
+                <tr key={m.userId}>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>{m.name}</td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap', color: '#6b7280' }}>
+                    {editing === m.userId ? (
+                      <span>
+                        <input type="number" min={0} max={168} value={stdHours} autoFocus
+                          onChange={e => setStdHours(e.target.value)}
+                          onKeyDown={e => { if (e.key === 'Enter') saveStandard(m.userId); if (e.key === 'Escape') setEditing(null); }}
+                          placeholder={String(data.defaultWeeklyHours)}
+                          style={{ width: 52, fontSize: 12, padding: '2px 4px' }} />
+                        <button onClick={() => saveStandard(m.userId)}
+                          style={{ fontSize: 11, marginLeft: 4, cursor: 'pointer' }}>Save</button>
+                      </span>
+                    ) : (
+                      <button onClick={() => { setEditing(m.userId); setStdErr(''); setStdHours(m.hasCustomCapacity ? String(m.weeklyHours) : ''); }}
+                        title="Standard hours per week for project work"
+                        style={{ background: 'none', border: 'none', padding: 0, fontSize: 12, color: '#6b7280', cursor: 'pointer',
+                                 textDecoration: 'underline dotted' }}>
+                        {m.weeklyHours}h{m.hasCustomCapacity ? '' : '*'}
+                      </button>
+                    )}
+                    {editing === m.userId && stdErr && <div style={{ color: '#991b1b', fontSize: 11 }}>{stdErr}</div>}
+                  </td>
+                  {m.cells.map(c => {
+                    const t = cellTone(c);
+                    const isOpen = open && open.userId === m.userId && open.weekStart === c.weekStart;
+                    return (
+                      <td key={c.weekStart}
+                        onClick={() => setOpen(isOpen ? null : { userId: m.userId, weekStart: c.weekStart })}
+                        title={`${c.hours}h booked of ${c.capacity}h${c.capacityNote ? ` (${c.capacityNote})` : ''}`}
+                        style={{ background: t.bg, color: t.fg, textAlign: 'center', padding: '6px 4px', borderRadius: 4,
+                                 cursor: 'pointer', fontWeight: c.overloaded ? 700 : 500,
+                                 outline: isOpen ? '2px solid #0369a1' : 'none' }}>
+                        {c.utilisationPct == null ? (c.hours > 0 ? `${c.hours}h` : 'off') : `${c.utilisationPct}%`}
+                        {c.capacityNote !== null && <span style={{ fontSize: 9, marginLeft: 2 }}>◆</span>}
+                      </td>
+                    );
+                  })}
+                  <td style={{ padding: '4px 6px', color: '#6b7280', whiteSpace: 'nowrap', fontSize: 11 }}>
+                    {m.unestimatedPlays > 0 && <div>{m.unestimatedPlays} no estimate</div>}
+                    {m.unscheduledHours > 0 && <div>{m.unscheduledHours}h no date</div>}
+                    {!m.unestimatedPlays && !m.unscheduledHours && '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 6 }}>
+            * standard {data.defaultWeeklyHours}h week · ◆ week has its own capacity · hours are spread over each task's
+            duration up to its due date
+          </div>
+        </div>
+      )}
+
+      {openCell && (
+        <CellDetail key={`${open.userId}:${open.weekStart}`} member={openMember} cell={openCell}
+          onClose={() => setOpen(null)} onSaved={load} />
+      )}
+    </div>
+  );
+}
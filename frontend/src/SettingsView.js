@@ -14,6 +14,7 @@ import PersonalizeConfigBlock from './PersonalizeConfigBlock';
 import MyOutreachStyleSettings from './MyOutreachStyleSettings';
 import MyLinkedInAutoConnectSettings from './MyLinkedInAutoConnectSettings';
 import OrgSendingScheduleSettings from './OrgSendingScheduleSettings';
+import UserSecuritySettings from './UserSecuritySettings';
 
 // ── Sidebar nav structure ────────────────────────────────────────────────────
 // Each group has a label and items. Items with `children` expand inline.
@@ -34,6 +35,7 @@ const NAV_GROUPS = [
       },
       { id: 'usage',                 label: 'Usage & Billing',           icon: '📊' },
       { id: 'preferences',           label: 'My Preferences',            icon: '🎛️' },
+      { id: 'security',              label: 'Security',                  icon: '🔒' },
       { id: 'personalize-linkedin',  label: 'LinkedIn Personalization',  icon: '✨' },
       { id: 'outreach-style',        label: 'My Outreach Style',         icon: '🎯' },
       { id: 'linkedin-auto-connect', label: 'LinkedIn Auto-Connect',     icon: '🤝' },
@@ -253,6 +255,7 @@ export default function SettingsView({ initialTab }) {
           {activeId === 'connections-org'  && <OrgConnectionsSettings />}
           {activeId === 'usage'                && <UserAIUsageSettings />}
           {activeId === 'preferences'          && <UserPreferencesSettings />}
+          {activeId === 'security'             && <UserSecuritySettings />}
           {activeId === 'personalize-linkedin' && <PersonalizeLinkedInSettings />}
           {activeId === 'outreach-style'       && <MyOutreachStyleSettings />}
           {activeId === 'linkedin-auto-connect' && <MyLinkedInAutoConnectSettings />}
@@ -682,12 +685,13 @@ function OrgConnectionsSettings() {
         </div>
         <div className="sv-panel-body">
           <div className="sv-org-integrations-grid">
-            {['salesforce', 'hubspot', 'slack'].map(type => {
+            {['salesforce', 'hubspot', 'pipedrive', 'slack'].map(type => {
               const integration = getOrgStatus(type);
               const enabled = integration?.status === 'active';
               const meta = {
                 salesforce: { label: 'Salesforce CRM', icon: '☁️' },
                 hubspot:    { label: 'HubSpot CRM',    icon: '🟠' },
+                pipedrive:  { label: 'Pipedrive CRM',  icon: '🟢' },
                 slack:      { label: 'Slack',           icon: '💬' },
               }[type];
               return (
@@ -703,7 +707,7 @@ function OrgConnectionsSettings() {
               );
             })}
           </div>
-          {orgIntegrations !== null && !['salesforce','hubspot','slack'].some(t => getOrgStatus(t)?.status === 'active') && (
+          {orgIntegrations !== null && !['salesforce','hubspot','pipedrive','slack'].some(t => getOrgStatus(t)?.status === 'active') && (
             <p className="sv-hint" style={{ marginTop: 12 }}>
               No CRM or messaging tools connected yet.{isAdmin ? ' Set them up in Org Admin → Integrations.' : ' Ask your admin to connect one.'}
             </p>
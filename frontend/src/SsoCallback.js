@@ -0,0 +1,50 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// SsoCallback.js
+//
+// DROP-IN LOCATION: frontend/src/SsoCallback.js
+//
+// Public (unauthenticated) page reached at #/sso-callback?code=… (or ?error=…).
+// The backend's SAML ACS (/sso/saml/:slug/acs) redirects here with a one-time,
+// 60-second code; onCode (useAuth.loginWithSsoCode) swaps it for the normal
+// { user, token } session. The code is single-use, so the exchange is guarded
+// against React StrictMode's double effect. When the user's 2FA (or an org
+// policy) still needs a code, onMfa gets { code, message, challengeToken } and
+// the login screen's 2FA step takes over.
+// ─────────────────────────────────────────────────────────────────────────────
+import React, { useState, useEffect, useRef } from 'react';
+
+export default function SsoCallback({ onCode, onMfa }) {
+  const [err, setErr] = useState('');
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    const params = new URLSearchParams((window.location.hash.split('?')[1]) || '');
+    const code  = params.get('code');
+    const error = params.get('error');
+    if (error || !code) { setErr(error || 'Single sign-on did not return a sign-in code.'); return; }
+    onCode(code).catch(e => {
+      if (e.challengeToken && onMfa) onMfa({ code: e.code, message: e.message, challengeToken: e.challengeToken });
+      else setErr(e.message || 'Single sign-on failed.');
+    });
+  }, [onCode, onMfa]);
+
+  const wrap = { minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#f8fafc' };
+  const card = { width: 400, maxWidth: '90vw', background: '#fff', borderRadius: 12, padding: 28, boxShadow: '0 4px 24px rgba(0,0,0,0.08)' };
+
+  return (
+    <div style={wrap}>
+      <div style={card}>
+        <h2 style={{ margin: '0 0 4px', fontSize: 22 }}>GoWarmCRM</h2>
+        {!err && <p style={{ color: '#6b7280' }}>Signing you in…</p>}
+        {err && (
+          <>
+            <p style={{ color: '#991b1b', fontSize: 14 }}>{err}</p>
+            <a href="/" style={{ fontSize: 13, color: '#1d4ed8' }}>Back to sign in</a>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1371,6 +1371,7 @@ function SAUsers({ initialNew30d = false }) {
   const [search, setSearch]   = useState('');
   const [new30d, setNew30d]   = useState(initialNew30d);
   const [activeOnly, setActiveOnly] = useState(false);
+  const [mfaFilter, setMfaFilter]   = useState('');   // '' | 'on' | 'off'
   const [page, setPage]       = useState(1);
   const [error, setError]     = useState('');
 
@@ -1383,6 +1384,7 @@ function SAUsers({ initialNew30d = false }) {
         search,
         new_30d: new30d ? 'true' : undefined,
         active:  activeOnly ? 'true' : undefined,
+        mfa:     mfaFilter || undefined,
         page,
         limit: LIMIT,
       });
@@ -1393,7 +1395,7 @@ function SAUsers({ initialNew30d = false }) {
     } finally {
       setLoading(false);
     }
-  }, [search, new30d, activeOnly, page]);
+  }, [search, new30d, activeOnly, mfaFilter, page]);
 
   useEffect(() => { load(); }, [load]);
 
@@ -1418,6 +1420,22 @@ function SAUsers({ initialNew30d = false }) {
     }
   };
 
+  const handleReset2fa = async (u) => {
+    const who = u.name?.trim() || u.email;
+    if (!window.confirm(
+      `Reset two-factor authentication for "${who}"?\n\n` +
+      `Only do this after verifying their identity. Their authenticator and recovery codes stop working; ` +
+      `they sign in with their password and re-enrol if their org requires 2FA. This is logged.`
+    )) return;
+    try {
+      setError('');
+      await apiService.superAdmin.resetUser2fa(u.user_id);
+      load();
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to reset 2FA');
+    }
+  };
+
   const totalPages = Math.max(Math.ceil(total / LIMIT), 1);
 
   return (
@@ -1446,6 +1464,15 @@ function SAUsers({ initialNew30d = false }) {
             onChange={e => { setActiveOnly(e.target.checked); setPage(1); }}
           /> Active only
         </label>
+        <select
+          className="sa-select"
+          value={mfaFilter}
+          onChange={e => { setMfaFilter(e.target.value); setPage(1); }}
+        >
+          <option value="">2FA: any</option>
+          <option value="on">2FA on</option>
+          <option value="off">2FA off</option>
+        </select>
       </div>
 
       {loading ? (
@@ -1460,12 +1487,13 @@ function SAUsers({ initialNew30d = false }) {
                   <th>Organisations</th>
                   <th>Joined</th>
                   <th>Status</th>
+                  <th>2FA</th>
                   <th></th>
                 </tr>
               </thead>
               <tbody>
                 {users.length === 0 && (
-                  <tr><td colSpan={5} className="sa-empty">No users match.</td></tr>
+                  <tr><td colSpan={6} className="sa-empty">No users match.</td></tr>
                 )}
                 {users.map(u => (
                   <tr key={u.user_id}>
@@ -1492,6 +1520,30 @@ function SAUsers({ initialNew30d = false }) {
                       </span>
                     </td>
                     <td>
+                      {u.mfa_enabled_at ? (
+                        <span
+                          className="sa-chip sa-chip--active"
+                          title={`On since ${new Date(u.mfa_enabled_at).toLocaleDateString()} · ${u.mfa_recovery_remaining} recovery codes left`}
+                        >
+                          On
+                        </span>
+                      ) : (
+                        <span className="sa-chip sa-chip--inactive">
+                          {u.mfa_required ? 'Off · required' : 'Off'}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      {u.mfa_enabled_at && (
+                        <button
+                          className="sa-btn-secondary"
+                          title="Reset 2FA (lost device)"
+                          onClick={() => handleReset2fa(u)}
+                          style={{ marginRight: 6 }}
+                        >
+                          🔑 Reset 2FA
+                        </button>
+                      )}
                       <button
                         className="sa-btn-secondary"
                         disabled={u.is_super_admin || (u.orgs || []).length === 0}
@@ -1651,6 +1703,7 @@ function SAAuditLog() {
     create_org: '🏢', update_org: '✏️', suspend_org: '⏸', unsuspend_org: '▶',
     impersonate_org: '🔧', add_user_to_org: '➕', remove_user_from_org: '➖',
     update_user_in_org: '👤', grant_super_admin: '🔐', revoke_super_admin: '🔒',
+    reset_user_2fa: '🔑',
   };
 
   useEffect(() => {
@@ -1898,27 +1951,32 @@ function SAPlatformSettings() {
 
 function SAPlatformIntegrations() {
   const [writeBackEnabled, setWriteBackEnabled] = React.useState(false);
+  const [hsWriteBackEnabled, setHsWriteBackEnabled] = React.useState(false);
   const [loading,  setLoading]  = React.useState(true);
   const [saving,   setSaving]   = React.useState(false);
   const [dirty,    setDirty]    = React.useState(false);
   const [error,    setError]    = React.useState('');
   const [success,  setSuccess]  = React.useState('');
 
+  const loadFlags = React.useCallback(() => Promise.all([
+    apiService.superAdmin.getPlatformSetting('sf_write_back_enabled')
+      .then(r => setWriteBackEnabled(r.data?.value?.enabled || false))
+      .catch(() => setWriteBackEnabled(false)),
+    apiService.superAdmin.getPlatformSetting('hubspot_write_back_enabled')
+      .then(r => setHsWriteBackEnabled(r.data?.value?.enabled || false))
+      .catch(() => setHsWriteBackEnabled(false)),
+  ]).then(() => setDirty(false)), []);
+
   React.useEffect(() => {
     setLoading(true);
-    apiService.superAdmin.getPlatformSetting('sf_write_back_enabled')
-      .then(r => {
-        setWriteBackEnabled(r.data?.value?.enabled || false);
-        setDirty(false);
-      })
-      .catch(() => setWriteBackEnabled(false))
-      .finally(() => setLoading(false));
-  }, []);
+    loadFlags().finally(() => setLoading(false));
+  }, [loadFlags]);
 
   const handleSave = async () => {
     setSaving(true); setError(''); setSuccess('');
     try {
       await apiService.superAdmin.updatePlatformSetting('sf_write_back_enabled', { enabled: writeBackEnabled });
+      await apiService.superAdmin.updatePlatformSetting('hubspot_write_back_enabled', { enabled: hsWriteBackEnabled });
       setSuccess('Integration settings saved ✓');
       setTimeout(() => setSuccess(''), 4000);
       setDirty(false);
@@ -1934,7 +1992,7 @@ function SAPlatformIntegrations() {
       <div className="sa-warning-box" style={{ marginBottom: 20 }}>
         <strong>⚠️ Platform-wide effect</strong> — These settings control what Org Admins are
         allowed to configure. Enabling write-back here does not turn it on for any org —
-        each Org Admin must enable it separately in their Salesforce settings.
+        each Org Admin must enable it separately in their Salesforce or HubSpot settings.
       </div>
 
       {error   && <div className="sa-alert sa-alert--error">⚠️ {error}<button onClick={() => setError('')}>✕</button></div>}
@@ -1985,10 +2043,47 @@ function SAPlatformIntegrations() {
         </div>
       </div>
 
+      {/* HubSpot section */}
+      <div className="sa-card" style={{ marginBottom: 16 }}>
+        <h3 style={{ margin: '0 0 4px', fontSize: 15, fontWeight: 700, color: '#111827' }}>
+          🟠 HubSpot
+        </h3>
+        <p style={{ margin: '0 0 16px', fontSize: 13, color: '#6b7280' }}>
+          Controls what HubSpot features Org Admins can configure.
+        </p>
+
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '12px 14px', background: '#f8fafc', border: '1px solid #e5e7eb', borderRadius: 8 }}>
+          <div>
+            <div style={{ fontSize: 14, fontWeight: 600, color: '#111827' }}>
+              Enable HubSpot write-back capability
+            </div>
+            <div style={{ fontSize: 12, color: '#6b7280', marginTop: 2, lineHeight: 1.5 }}>
+              When on, Org Admins can configure GoWarm to push completed actions back to
+              HubSpot as engagements (calls, emails, meetings, tasks, notes). Off by default.
+            </div>
+          </div>
+          <div
+            style={{
+              width: 44, height: 24, borderRadius: 12, flexShrink: 0, marginLeft: 20,
+              background: hsWriteBackEnabled ? '#1A3A5C' : '#d1d5db',
+              position: 'relative', cursor: 'pointer', transition: 'background 0.2s',
+            }}
+            onClick={() => { setHsWriteBackEnabled(p => !p); setDirty(true); }}
+          >
+            <div style={{
+              position: 'absolute', top: 3,
+              left: hsWriteBackEnabled ? 23 : 3,
+              width: 18, height: 18, borderRadius: '50%', background: '#fff',
+              transition: 'left 0.2s', boxShadow: '0 1px 3px rgba(0,0,0,0.2)',
+            }} />
+          </div>
+        </div>
+      </div>
+
       {/* Future CRMs placeholder */}
       <div className="sa-card" style={{ marginBottom: 20, opacity: 0.6 }}>
         <h3 style={{ margin: '0 0 4px', fontSize: 15, fontWeight: 700, color: '#6b7280' }}>
-          🔜 HubSpot / Zoho / Pipedrive
+          🔜 Zoho / Pipedrive
         </h3>
         <p style={{ margin: 0, fontSize: 13, color: '#9ca3af' }}>
           Coming in future phases. These integrations will use the same <code>external_refs</code> schema
@@ -2006,11 +2101,7 @@ function SAPlatformIntegrations() {
         </button>
         <button
           className="sa-btn-secondary"
-          onClick={() => {
-            apiService.superAdmin.getPlatformSetting('sf_write_back_enabled')
-              .then(r => { setWriteBackEnabled(r.data?.value?.enabled || false); setDirty(false); })
-              .catch(() => {});
-          }}
+          onClick={() => { loadFlags(); }}
           disabled={saving || !dirty}
         >
           Discard changes
@@ -391,7 +391,9 @@ export default function UserAIProviderSettings() {
                       {c.status === 'invalid' && <Pill tone="danger">invalid</Pill>}
                     </div>
                     <div style={{ fontSize: 12, color: '#6b7280', fontFamily: 'monospace' }}>
-                      ••••{c.key_last4}{c.endpoint_url ? `  ·  ${c.endpoint_url}` : ''}
+                      {providers.find(p => p.id === c.provider)?.keyOptional
+                        ? c.endpoint_url
+                        : <>••••{c.key_last4}{c.endpoint_url ? `  ·  ${c.endpoint_url}` : ''}</>}
                     </div>
                   </div>
                   <button onClick={() => handleRevoke(c.id)} style={dangerBtnStyle}>Revoke</button>
@@ -445,7 +447,9 @@ export default function UserAIProviderSettings() {
                 );
               })()}
               <div style={{ marginBottom: 12 }}>
-                <label style={fieldLabelStyle}>API key</label>
+                <label style={fieldLabelStyle}>
+                  API key{providers.find(p => p.id === newKey.provider)?.keyOptional ? ' (optional)' : ''}
+                </label>
                 <input
                   type="password"
                   value={newKey.api_key}
@@ -459,7 +463,8 @@ export default function UserAIProviderSettings() {
               </div>
               <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
                 <button onClick={() => setShowAddKey(false)} style={ghostBtnStyle} disabled={addingKey}>Cancel</button>
-                <button onClick={handleAddKey} style={primaryBtnStyle} disabled={addingKey || !newKey.api_key}>
+                <button onClick={handleAddKey} style={primaryBtnStyle}
+                        disabled={addingKey || (!newKey.api_key && !providers.find(p => p.id === newKey.provider)?.keyOptional)}>
                   {addingKey ? 'Validating…' : 'Add & validate'}
                 </button>
               </div>
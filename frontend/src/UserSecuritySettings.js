@@ -0,0 +1,177 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// UserSecuritySettings.js
+// Two-factor authentication for the signed-in user
+//
+// Rendered in SettingsView → Personal → Security.
+//
+//   off      → "Set up" → QR + key → confirm a code → recovery codes (once)
+//   on       → regenerate recovery codes (needs a code), turn off (needs
+//              password + code; blocked while an org policy requires 2FA)
+//
+// API: /me/2fa (routes/me-2fa.routes.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect, useCallback } from 'react';
+
+const API = process.env.REACT_APP_API_URL;
+
+const S = {
+  card:    { background: '#fff', border: '1px solid #e5e7eb', borderRadius: 10, padding: 20, maxWidth: 620 },
+  heading: { fontSize: 14, fontWeight: 700, color: '#111827', marginBottom: 4 },
+  sub:     { fontSize: 13, color: '#6b7280', lineHeight: 1.5, marginBottom: 14 },
+  chip:    (on) => ({ display: 'inline-block', fontSize: 11, fontWeight: 700, padding: '2px 8px', borderRadius: 10,
+                      background: on ? '#dcfce7' : '#f3f4f6', color: on ? '#166534' : '#6b7280', marginLeft: 8 }),
+  input:   { fontSize: 13, padding: '7px 10px', borderRadius: 6, border: '1px solid #d1d5db', width: 180, boxSizing: 'border-box' },
+  btn:     { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' },
+  ghost:   { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: '1px solid #d1d5db', background: '#fff', color: '#374151', cursor: 'pointer' },
+  danger:  { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: '1px solid #fecaca', background: '#fff', color: '#991b1b', cursor: 'pointer' },
+  codes:   { background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: 8, padding: '12px 14px', margin: '14px 0' },
+  row:     { display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginTop: 10 },
+};
+
+export default function UserSecuritySettings() {
+  const token   = localStorage.getItem('token');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [status, setStatus]   = useState(null);
+  const [setup, setSetup]     = useState(null);    // { secret, qrDataUrl } while enrolling
+  const [codes, setCodes]     = useState(null);    // recovery codes, shown once
+  const [action, setAction]   = useState(null);    // 'disable' | 'regenerate'
+  const [code, setCode]       = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy]       = useState(false);
+  const [err, setErr]         = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}/me/2fa${path}`, { headers, ...opts });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data?.error?.message || 'Request failed');
+    return data;
+  };
+
+  const load = useCallback(async () => {
+    try { setStatus(await call('')); } catch (e) { setErr(e.message); }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (fn) => {
+    setBusy(true); setErr('');
+    try { await fn(); } catch (e) { setErr(e.message); } finally { setBusy(false); }
+  };
+
+  const reset = () => { setAction(null); setCode(''); setPassword(''); };
+
+  const begin = () => run(async () => {
+    setCodes(null);
+    setSetup(await call('/setup', { method: 'POST' }));
+  });
+
+  const enable = () => run(async () => {
+    const data = await call('/enable', { method: 'POST', body: JSON.stringify({ code }) });
+    setSetup(null); setCodes(data.recoveryCodes); reset();
+    await load();
+  });
+
+  const submitAction = () => run(async () => {
+    if (action === 'disable') {
+      await call('/disable', { method: 'POST', body: JSON.stringify({ code, password }) });
+      setCodes(null);
+    } else {
+      const data = await call('/recovery-codes', { method: 'POST', body: JSON.stringify({ code }) });
+      setCodes(data.recoveryCodes);
+    }
+    reset();
+    await load();
+  });
+
+  if (!status) {
+    return <div style={{ fontSize: 13, color: err ? '#991b1b' : '#6b7280' }}>{err || 'Loading…'}</div>;
+  }
+
+  const required = status.requiredBy.length > 0;
+
+  return (
+    <div style={S.card}>
+      <div style={S.heading}>
+        Two-factor authentication
+        <span style={S.chip(status.enabled)}>{status.enabled ? 'On' : 'Off'}</span>
+      </div>
+      <div style={S.sub}>
+        After your password, sign-in asks for a 6-digit code from an authenticator app on your phone.
+        {required && <> <b>{status.requiredBy.join(', ')}</b> requires it.</>}
+        {' '}Single sign-on logins use your identity provider's own checks instead.
+      </div>
+
+      {codes && (
+        <div style={S.codes}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#92400e' }}>Recovery codes</div>
+          <div style={{ fontSize: 12, color: '#92400e', margin: '4px 0 8px' }}>
+            Each one signs you in once if you lose your phone. Save them now — they won't be shown again.
+          </div>
+          <pre style={{ fontSize: 13, margin: 0, columns: 2 }}>{codes.join('\n')}</pre>
+          <div style={S.row}>
+            <button style={S.ghost} onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}>Copy</button>
+            <button style={S.ghost} onClick={() => setCodes(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <button style={S.btn} disabled={busy} onClick={begin}>Set up two-factor authentication</button>
+      )}
+
+      {!status.enabled && setup && (
+        <div>
+          <div style={{ fontSize: 13, color: '#374151', marginBottom: 8 }}>
+            1. Scan with Google Authenticator, 1Password, Authy or similar.
+          </div>
+          <img src={setup.qrDataUrl} alt="Authenticator QR code" width={180} height={180} />
+          <div style={{ fontSize: 11, color: '#6b7280', wordBreak: 'break-all' }}>
+            Can't scan? Enter this key: <code>{setup.secret}</code>
+          </div>
+          <div style={{ fontSize: 13, color: '#374151', margin: '12px 0 0' }}>2. Enter the code it shows.</div>
+          <div style={S.row}>
+            <input style={S.input} value={code} placeholder="123456" inputMode="numeric" autoComplete="one-time-code"
+              onChange={e => setCode(e.target.value)} />
+            <button style={S.btn} disabled={busy || !code.trim()} onClick={enable}>Turn on</button>
+            <button style={S.ghost} disabled={busy} onClick={() => { setSetup(null); reset(); }}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && (
+        <>
+          <div style={{ fontSize: 12, color: '#6b7280' }}>
+            On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesRemaining} recovery code
+            {status.recoveryCodesRemaining === 1 ? '' : 's'} left
+          </div>
+          {!action && (
+            <div style={S.row}>
+              <button style={S.ghost} onClick={() => setAction('regenerate')}>New recovery codes</button>
+              <button style={S.danger} disabled={required}
+                title={required ? 'Required by your organization' : undefined}
+                onClick={() => setAction('disable')}>Turn off</button>
+            </div>
+          )}
+          {action && (
+            <div style={S.row}>
+              {action === 'disable' && (
+                <input style={S.input} type="password" value={password} placeholder="Password"
+                  onChange={e => setPassword(e.target.value)} />
+              )}
+              <input style={S.input} value={code} placeholder="Code or recovery code" autoComplete="one-time-code"
+                onChange={e => setCode(e.target.value)} />
+              <button style={action === 'disable' ? S.danger : S.btn} disabled={busy || !code.trim()} onClick={submitAction}>
+                {action === 'disable' ? 'Turn off 2FA' : 'Generate'}
+              </button>
+              <button style={S.ghost} disabled={busy} onClick={reset}>Cancel</button>
+            </div>
+          )}
+        </>
+      )}
+
+      {err && <div style={{ fontSize: 12, color: '#991b1b', marginTop: 10 }}>{err}</div>}
+    </div>
+  );
+}
@@ -292,6 +292,7 @@ twilio: {
     impersonateOrg: (orgId) => api.post(`/super/orgs/${orgId}/impersonate`),
     impersonateUser: (userId) => api.post(`/super/users/${userId}/impersonate`),
     getUsers: (params = {}) => api.get('/super/users', { params }),
+    resetUser2fa: (userId) => api.post(`/super/users/${userId}/reset-2fa`),
     addUserToOrg: (orgId, data) => api.post(`/super/orgs/${orgId}/users`, data),
     createUserForOrg: (orgId, data) => api.post(`/super/orgs/${orgId}/users/create`, data),
     updateUserInOrg: (orgId, userId, data) => api.patch(`/super/orgs/${orgId}/users/${userId}`, data),
@@ -549,6 +550,45 @@ twilio: {
     syncValue: (dealId) => api.post(`/products/deals/${dealId}/items/sync-value`),
   },
 
+  // Quotes (CPQ) and price books — 2026_146
+  quotes: {
+    getByDeal:   (dealId) => api.get(`/quotes/deal/${dealId}`),
+    create:      (dealId, data = {}) => api.post(`/quotes/deal/${dealId}`, data),
+    getById:     (id) => api.get(`/quotes/${id}`),
+    update:      (id, data) => api.patch(`/quotes/${id}`, data),
+    saveLines:   (id, lines) => api.put(`/quotes/${id}/lines`, { lines }),
+    reprice:     (id) => api.post(`/quotes/${id}/reprice`),
+    delete:      (id) => api.delete(`/quotes/${id}`),
+    newVersion:  (id) => api.post(`/quotes/${id}/new-version`),
+    send:        (id) => api.post(`/quotes/${id}/send`),
+    accept:      (id, note) => api.post(`/quotes/${id}/accept`, { note }),
+    reject:      (id, note) => api.post(`/quotes/${id}/reject`, { note }),
+    priceBooks:      (includeInactive = false) => api.get(`/quotes/price-books${includeInactive ? '?includeInactive=true' : ''}`),
+    getPriceBook:    (id) => api.get(`/quotes/price-books/${id}`),
+    createPriceBook: (data) => api.post('/quotes/price-books', data),
+    updatePriceBook: (id, data) => api.patch(`/quotes/price-books/${id}`, data),
+    deletePriceBook: (id) => api.delete(`/quotes/price-books/${id}`),
+    setEntry:        (bookId, productId, data) => api.put(`/quotes/price-books/${bookId}/entries/${productId}`, data),
+    removeEntry:     (bookId, productId) => api.delete(`/quotes/price-books/${bookId}/entries/${productId}`),
+    setAccountSegment: (accountId, segment) => api.put(`/quotes/accounts/${accountId}/segment`, { segment }),
+    // Discount approval — 2026_147
+    requestApproval:   (id) => api.post(`/quotes/${id}/request-approval`),
+    pendingApprovals:  () => api.get('/quotes/approvals/pending'),
+    decideApproval:    (approvalId, decision, note) => api.post(`/quotes/approvals/${approvalId}/decide`, { decision, note }),
+    discountBands:     () => api.get('/quotes/discount-bands'),
+    saveDiscountBands: (bands) => api.put('/quotes/discount-bands', { bands }),
+    // Branded PDF — 2026_148
+    generatePdf:       (id, data = {}) => api.post(`/quotes/${id}/pdf`, data),
+  },
+
+  // Generated PDFs + document branding — 2026_148
+  documents: {
+    list:         (params = {}) => api.get(`/documents?${new URLSearchParams(params).toString()}`),
+    mergeFields:  () => api.get('/documents/merge-fields'),
+    branding:     () => api.get('/documents/branding'),
+    saveBranding: (data) => api.put('/documents/branding', data),
+  },
+
   teamNotifications: {
     getPreferences:   () => api.get('/team-notifications/preferences'),
     updatePreferences:(data) => api.patch('/team-notifications/preferences', data),
@@ -596,6 +636,11 @@ twilio: {
     saveWorkflowConfig: (data) => api.put('/contracts/admin/workflow-config', data),
     getApprovalConfig:  () => api.get('/contracts/admin/approval-config'),
     saveApprovalConfig: (rules) => api.put('/contracts/admin/approval-config', { rules }),
+    getRenewalConfig:   () => api.get('/contracts/admin/renewal-config'),
+    saveRenewalConfig:  (data) => api.put('/contracts/admin/renewal-config', data),
+    getRenewals:        (params = {}) => api.get('/contracts/renewals', { params }),
+    updateRenewalTerms: (id, data) => api.put(`/contracts/${id}/renewal`, data),
+    createRenewalDeal:  (id) => api.post(`/contracts/${id}/renewal-deal`),
     getLegalQueue:    () => api.get('/contracts/legal/queue'),
     getLegalAssigned: () => api.get('/contracts/legal/assigned'),
     getPendingApprovals: () => api.get('/contracts/approvals/pending'),
@@ -607,6 +652,12 @@ twilio: {
     delete:   (id) => api.delete(`/contracts/${id}`),
     getVersions:   (id) => api.get(`/contracts/${id}/versions`),
     uploadVersion: (id, data) => api.post(`/contracts/${id}/versions`, data),
+    generateDocument: (id, data) => api.post(`/contracts/${id}/generate`, data),
+    compareVersions:  (id, from, to) => api.get(`/contracts/${id}/versions/compare`, { params: { from, to } }),
+    getVersionText:   (id, versionId) => api.get(`/contracts/${id}/versions/${versionId}/text`),
+    extractVersionText: (id, versionId) => api.post(`/contracts/${id}/versions/${versionId}/extract`),
+    setVersionText:   (id, versionId, text) => api.put(`/contracts/${id}/versions/${versionId}/text`, { text }),
+    checkVersionClauses: (id, versionId) => api.post(`/contracts/${id}/versions/${versionId}/check`),
     submitForLegal: (id, data) => api.post(`/contracts/${id}/submit-legal`, data),
     pickUp:   (id) => api.post(`/contracts/${id}/pick-up`),
     reassign: (id, newAssigneeId) => api.post(`/contracts/${id}/reassign`, { newAssigneeId }),
@@ -635,6 +686,10 @@ twilio: {
     createTemplate:     (data) => api.post('/contracts/templates', data),
     updateTemplate:     (id, data) => api.put(`/contracts/templates/${id}`, data),
     deleteTemplate:     (id) => api.delete(`/contracts/templates/${id}`),
+    getClauses:   (contractType) => api.get('/contracts/clauses', { params: contractType ? { contractType } : {} }),
+    createClause: (data) => api.post('/contracts/clauses', data),
+    updateClause: (id, data) => api.put(`/contracts/clauses/${id}`, data),
+    deleteClause: (id) => api.delete(`/contracts/clauses/${id}`),
     addSignatory:    (id, data) => api.post(`/contracts/${id}/signatories`, data),
     removeSignatory: (id, sigId) => api.delete(`/contracts/${id}/signatories/${sigId}`),
     addNote: (id, note) => api.post(`/contracts/${id}/notes`, { note }),
@@ -807,6 +862,16 @@ twilio: {
     dealsLeaderboard: (window = 90) => api.get(`/reporting/deals/leaderboard?window=${window}`),
     dealsSlippage:    () => api.get('/reporting/deals/slippage'),
     dealsAging:       (threshold = 30) => api.get(`/reporting/deals/aging?threshold=${threshold}`),
+    // Forecast calls (routes/forecast.routes.js). period = 'YYYY-Qn' | 'YYYY-MM'.
+    forecastView:        (period, userId) => api.get('/forecast', { params: { period, ...(userId && { userId }) } }),
+    forecastSubmit:      (data)           => api.post('/forecast/submissions', data),
+    forecastSubmissions: (period, userId) => api.get('/forecast/submissions', { params: { period, ...(userId && { userId }) } }),
+    forecastQuotas:      (period)         => api.get('/forecast/quotas', { params: { period } }),
+    forecastSetQuota:    (userId, periodKey, amount) => api.put('/forecast/quotas', { userId, periodKey, amount }),
+    forecastSetCategory: (dealId, category) => api.patch(`/forecast/deals/${dealId}/category`, { category }),
+    forecastSnapshots:   (period)         => api.get('/forecast/snapshots', { params: { period } }),
+    forecastWaterfall:   (period, userId, snapshotId) =>
+      api.get('/forecast/waterfall', { params: { period, ...(userId && { userId }), ...(snapshotId && { snapshotId }) } }),
     communications: (id)     => api.get(`/handovers/sales/${id}/communications`),
     getById:   (id)          => api.get(`/handovers/sales/${id}`),
     update:    (id, data)    => api.put(`/handovers/sales/${id}`, data),
@@ -904,7 +969,29 @@ twilio: {
     addBoqVariation:  (boqId, data) => api.post(`/handovers/boq/${boqId}/variations`, data),
     decideBoqVariation: (id, variationId, decision, reason) =>
       api.post(`/handovers/sales/${id}/boq/variations/${variationId}/decision`, { decision, reason }),
+    // Billing milestones and progress claims (2026_143)
+    boqMilestones:      (boqId) => api.get(`/handovers/boq/${boqId}/milestones`),
+    addBoqMilestone:    (boqId, data) => api.post(`/handovers/boq/${boqId}/milestones`, data),
+    updateBoqMilestone: (milestoneId, data) => api.patch(`/handovers/boq/milestones/${milestoneId}`, data),
+    removeBoqMilestone: (milestoneId) => api.delete(`/handovers/boq/milestones/${milestoneId}`),
+    boqClaims:          (boqId) => api.get(`/handovers/boq/${boqId}/claims`),
+    previewBoqClaim:    (boqId, periodEnd, releaseRetentionPct = 0) =>
+      api.get(`/handovers/boq/${boqId}/claims/preview?periodEnd=${encodeURIComponent(periodEnd)}&releaseRetentionPct=${releaseRetentionPct}`),
+    boqClaim:           (claimId) => api.get(`/handovers/boq/claims/${claimId}`),
+    issueBoqClaim:      (id, boqId, data) => api.post(`/handovers/sales/${id}/boq/${boqId}/claims`, data),
+    voidBoqClaim:       (id, claimId, reason) =>
+      api.post(`/handovers/sales/${id}/boq/claims/${claimId}/void`, { reason }),
+    // Client portal activity (2026_144)
+    portalActivity:     (id) => api.get(`/handovers/sales/${id}/portal`),
+    reviewPortalSubmission: (id, submissionId, decision, note) =>
+      api.post(`/handovers/sales/${id}/portal/submissions/${submissionId}/review`, { decision, note }),
     varianceStages: (id) => api.get(`/handovers/sales/${id}/variance/stages`),
+    // Schedule / critical path (2026_141)
+    schedule:           (id) => api.get(`/handovers/sales/${id}/schedule`),
+    health:             (id) => api.get(`/handovers/sales/${id}/health`),
+    recomputeHealth:    (id) => api.post(`/handovers/sales/${id}/health/recompute`),
+    previewPropagation: (id) => api.get(`/handovers/sales/${id}/schedule/propagation`),
+    applyPropagation:   (id, changes) => api.post(`/handovers/sales/${id}/schedule/propagation`, { changes }),
     playRevisions:  (id, instanceId) =>
       api.get(`/handovers/sales/${id}/plays/${instanceId}/revisions`),
     playEvidence:   (id, instanceId) =>
@@ -915,6 +1002,13 @@ twilio: {
       api.post(`/handovers/sales/${id}/evidence/${evidenceId}/revoke`, { reason }),
     teamMemberProjects: (userId) => api.get(`/handovers/team-members/${userId}/projects`),
     personDashboard: (userId) => api.get(`/handovers/team-members/${userId}/dashboard`),
+    // Resource capacity (2026_142)
+    capacity:          (weeks = 8, from) =>
+      api.get(`/handovers/capacity?weeks=${weeks}${from ? `&from=${from}` : ''}`),
+    capacityCheck:     (data) => api.post('/handovers/capacity/check', data),
+    setCapacity:       (userId, weeklyHours) => api.put(`/handovers/capacity/${userId}`, { weeklyHours }),
+    setWeekCapacity:   (userId, weekStart, data) => api.put(`/handovers/capacity/${userId}/weeks/${weekStart}`, data),
+    clearWeekCapacity: (userId, weekStart) => api.delete(`/handovers/capacity/${userId}/weeks/${weekStart}`),
     contactCommunications: (contactId) => api.get(`/handovers/contacts/${contactId}/communications`),
     projectActions:        (id) => api.get(`/handovers/sales/${id}/actions`),
     tabViewers:            (id, tab = 'commercial') => api.get(`/handovers/sales/${id}/tab-viewers?tab=${tab}`),
@@ -1490,3 +1584,43 @@ export const hubspotAPI = {
     return response.json();
   },
 };
+
+export const pipedriveAPI = {
+  getAuthUrl: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/connect`, { headers: getAuthHeaders() });
+    if (!response.ok) { const e = await response.json().catch(() => ({})); throw new Error(e.error || 'Failed to get Pipedrive auth URL'); }
+    return response.json();
+  },
+  getStatus: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/status`, { headers: getAuthHeaders() });
+    if (!response.ok) throw new Error('Failed to get Pipedrive status');
+    return response.json();
+  },
+  disconnect: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/disconnect`, { method: 'POST', headers: getAuthHeaders() });
+    if (!response.ok) throw new Error('Failed to disconnect Pipedrive');
+    return response.json();
+  },
+  triggerSync: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/trigger`, { method: 'POST', headers: getAuthHeaders() });
+    if (!response.ok) throw new Error('Failed to trigger Pipedrive sync');
+    return response.json();
+  },
+  getSettings: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/settings`, { headers: getAuthHeaders() });
+    if (!response.ok) throw new Error('Failed to get Pipedrive settings');
+    return response.json();
+  },
+  updateSettings: async (settings) => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/settings`, {
+      method: 'PATCH', headers: getAuthHeaders(), body: JSON.stringify(settings),
+    });
+    if (!response.ok) { const e = await response.json().catch(() => ({})); throw new Error(e.error || 'Failed to save Pipedrive settings'); }
+    return response.json();
+  },
+  getStages: async () => {
+    const response = await fetch(`${API_BASE_URL}/pipedrive/stages`, { headers: getAuthHeaders() });
+    if (!response.ok) throw new Error('Failed to fetch Pipedrive stages');
+    return response.json();
+  },
+};
@@ -57,7 +57,7 @@ function resolvePath(obj, path) {
   return path.split('.').reduce((acc, key) => (acc != null ? acc[key] : undefined), obj);
 }
 
-function downloadBlob(content, filename, mimeType) {
+export function downloadBlob(content, filename, mimeType) {
   const BOM = '\uFEFF'; // UTF-8 BOM so Excel handles unicode
   const blob = new Blob([BOM + content], { type: mimeType });
   const url = URL.createObjectURL(blob);
@@ -9,6 +9,9 @@ export const STATIC_NAV_GROUPS = [
       { id: 'hierarchy',       icon: '🏢', label: 'Hierarchy' },
       { id: 'teams',           icon: '🏷️', label: 'Teams' },
       { id: 'invitations',     icon: '✉️', label: 'Invitations' },
+      { id: 'sso',             icon: '🔐', label: 'Single Sign-On' },
+      { id: 'scim',            icon: '🔄', label: 'SCIM Provisioning' },
+      { id: 'security',        icon: '🛡️', label: 'Two-Factor Auth' },
       { id: 'approvals',       icon: '✅', label: 'Approvals' },
       { id: 'team-dimensions', icon: '🏷️', label: 'Team Dimensions' },
     ],
@@ -20,6 +23,10 @@ export const STATIC_NAV_GROUPS = [
       { id: 'stages',    icon: '🏷️', label: 'Stages' },
       { id: 'org-roles', icon: '🎭', label: 'Org Roles' },
       { id: 'products',  icon: '📦', label: 'Products' },
+      { id: 'currencies', icon: '💱', label: 'Currencies' },
+      { id: 'price-books', icon: '🏷️', label: 'Price Books' },
+      { id: 'discount-bands', icon: '🎚️', label: 'Discount Bands' },
+      { id: 'document-branding', icon: '🖨️', label: 'Document Branding' },
     ],
   },
   {
@@ -35,6 +42,7 @@ export const STATIC_NAV_GROUPS = [
     items: [
       { id: 'ai-agent',  icon: '🤖', label: 'AI Agent' },
       { id: 'ai-providers', icon: '🧠', label: 'AI Providers' },
+      { id: 'skills',    icon: '🧩', label: 'Skills' },
       { id: 'action-ai', icon: '✨', label: 'Actions AI' },
       { id: 'ai-usage',  icon: '📊', label: 'AI Usage' },
     ],
@@ -58,6 +66,8 @@ export const STATIC_NAV_GROUPS = [
       { id: 'integrations', icon: '🔌', label: 'Integrations' },
       { id: 'salesforce',   icon: '☁️', label: 'Salesforce' },
       { id: 'hubspot',      icon: '🟠', label: 'HubSpot' },
+      { id: 'pipedrive',    icon: '🟢', label: 'Pipedrive' },
+      { id: 'webhooks',     icon: '🪝', label: 'Webhooks' },
       { id: 'assessment',   icon: '📊', label: 'Assessment & Baseline' },
       { id: 'settings', icon: '⚙️', label: 'Org Settings' },
     ],
@@ -77,12 +87,19 @@ export const TAB_META = {
   hierarchy:     { title: 'Hierarchy',     desc: 'Reporting structure and team visibility' },
   teams:         { title: 'Teams',         desc: 'Organise users by market segment, role, product, geo, and motion' },
   invitations:   { title: 'Invitations',   desc: 'Invite new members to your organisation' },
+  sso:           { title: 'Single Sign-On', desc: 'Sign in through your SAML identity provider, create accounts on first login, and optionally require SSO' },
+  scim:          { title: 'SCIM Provisioning', desc: 'Let your identity provider create and deactivate members, sync groups to teams, and hand off departing members\' work' },
+  security:      { title: 'Two-Factor Auth', desc: 'Require an authenticator app at sign-in for admins or everyone, and see who has it on' },
   approvals:     { title: 'Approvals',     desc: 'Approve or reject module access, invites, and project-team requests' },
   'team-dimensions': { title: 'Team Dimensions', desc: 'Configure the dimension vocabulary used for internal and customer-side teams' },
   playbooks:     { title: 'Playbooks',     desc: 'Configure deal playbooks and templates' },
   'stages':      { title: 'Stages',       desc: 'Customise your deal and prospecting pipeline stages' },
   'org-roles':   { title: 'Organization Roles', desc: 'Manage roles used across deals, prospecting, and all playbooks' },
   'products':    { title: 'Product Catalog', desc: 'Manage products and services available for deal line items' },
+  'currencies':  { title: 'Currencies',    desc: 'Corporate reporting currency and dated exchange rates for multi-currency deals' },
+  'price-books': { title: 'Price Books',  desc: 'Segment pricing, volume and tiered bands, and tax rates for quotes' },
+  'discount-bands': { title: 'Discount Bands', desc: 'Discount limits per product group and who approves beyond them' },
+  'document-branding': { title: 'Document Branding', desc: 'Logo, colours and footer on generated quote and contract PDFs' },
   health:        { title: 'Deal Health',   desc: 'Configure health scoring parameters' },
   'diagnostic-rules': { title: 'Diagnostic Rules', desc: 'Configure thresholds for nightly and real-time diagnostic alerts across all modules' },
   'icp-scoring': { title: 'ICP Scoring',   desc: 'Define your Ideal Customer Profile and scoring criteria' },
@@ -97,11 +114,12 @@ export const TAB_META = {
   'wf-log':      { title: 'Execution Log', desc: 'Workflow execution history and open violations' },
   'ai-agent':    { title: 'AI Agent',      desc: 'Agentic framework settings and token usage' },
   'ai-providers': { title: 'AI Providers', desc: 'Choose AI provider and model, manage API keys, and set user policy for your organisation' },
+  skills:        { title: 'Skills',        desc: 'Fork AI skills, edit their instructions and templates, preview against real prospects and deals, and publish your own versions' },
   'action-ai':   { title: 'Actions AI',    desc: 'Configure how AI generates and enhances actions across modules' },
   'ai-usage':    { title: 'AI Usage',      desc: 'Token usage and AI cost breakdown for your organisation' },
   modules:             { title: 'Modules',                           desc: 'Enable or disable product modules for your organisation' },
   'mod-prospecting':   { title: 'Prospecting',                       desc: 'Prospecting module settings' },
-  'mod-contracts':     { title: 'Contract Lifecycle Management',      desc: 'CLM module settings — eSign configuration and contract templates' },
+  'mod-contracts':     { title: 'Contract Lifecycle Management',      desc: 'CLM module settings — eSign configuration, contract templates, the clause library and renewals' },
   'mod-handovers':     { title: 'Sales → Implementation Project',    desc: 'Project module settings' },
   'mod-service':       { title: 'Customer Support & Service',         desc: 'Service module settings — SLA tiers and general configuration' },
   'mod-agency':        { title: 'Agency Client Management',           desc: 'Agency module settings — client portal and team configuration' },
@@ -110,6 +128,8 @@ export const TAB_META = {
   'integrations-meeting': { title: 'Meeting & Transcript Integrations', desc: 'Configure transcript providers — Zoom, Teams, Fireflies, and more' },
   salesforce:    { title: 'Salesforce Integration', desc: 'Sync contacts, accounts, deals, and leads with Salesforce. Configure stage/field mapping and write-back settings.' },
   hubspot:       { title: 'HubSpot Integration',    desc: 'Sync companies, contacts, and deals with HubSpot. Configure stage and field mapping.' },
+  pipedrive:     { title: 'Pipedrive Integration',  desc: 'Sync organizations, people, and deals from Pipedrive. Configure stage and field mapping.' },
+  webhooks:      { title: 'Outbound Webhooks',      desc: 'Notify your own systems when deals, prospects, contracts, projects and cases change. Signed with HMAC-SHA256.' },
   settings:      { title: 'Org Settings',  desc: 'Organisation name, plan, and preferences' },
 
 };
@@ -0,0 +1,240 @@
+/* OACLMClauses.js — 2026_149
+ *
+ * The clause library. Every uploaded contract version is read and its
+ * clauses compared with the wordings here:
+ *
+ *   approved    our standard — matches need no review
+ *   fallback    acceptable if the customer pushes back — shown to legal
+ *   forbidden   never acceptable — flagged, and legal is notified
+ *
+ * Match terms are the phrases that find the clause in a document
+ * ("limitation of liability", "liable"); with none, any paragraph worded
+ * like one of the variants counts. A required clause that cannot be found
+ * is flagged as missing. The API also takes edits from legal team members.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../../apiService';
+
+const CONTRACT_TYPE_LABELS = {
+  nda:        'NDA',
+  msa:        'MSA',
+  sow:        'SOW',
+  order_form: 'Order Form',
+  amendment:  'Amendment',
+  custom:     'Custom',
+};
+
+const POSITIONS = {
+  approved:  { label: 'Approved',  bg: '#d1fae5', text: '#065f46' },
+  fallback:  { label: 'Fallback',  bg: '#e0f2fe', text: '#075985' },
+  forbidden: { label: 'Forbidden', bg: '#fee2e2', text: '#991b1b' },
+};
+
+const EMPTY_VARIANT = { position: 'approved', label: '', body: '', notes: '' };
+const EMPTY_FORM = { name: '', guidance: '', contractTypes: [], matchTerms: '', isRequired: false, variants: [{ ...EMPTY_VARIANT }] };
+
+const toForm = (cl) => ({
+  name: cl.name,
+  guidance: cl.guidance || '',
+  contractTypes: cl.contract_types || [],
+  matchTerms: (cl.match_terms || []).join(', '),
+  isRequired: cl.is_required,
+  variants: (cl.variants || []).map(v => ({ position: v.position, label: v.label || '', body: v.body, notes: v.notes || '' })),
+});
+
+function ClauseForm({ initial, saving, onSave, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const set = (key, value) => setForm(f => ({ ...f, [key]: value }));
+  const setVariant = (i, key, value) =>
+    setForm(f => ({ ...f, variants: f.variants.map((v, j) => (j === i ? { ...v, [key]: value } : v)) }));
+  const toggleType = (t) => set('contractTypes',
+    form.contractTypes.includes(t) ? form.contractTypes.filter(x => x !== t) : [...form.contractTypes, t]);
+
+  return (
+    <div style={{ background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 10, padding: 20, marginBottom: 20 }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
+        <div>
+          <label className="sv-label">Clause</label>
+          <input className="sv-input" placeholder="e.g. Limitation of liability"
+            value={form.name} onChange={e => set('name', e.target.value)} />
+        </div>
+        <div>
+          <label className="sv-label">Match terms (comma-separated)</label>
+          <input className="sv-input" placeholder="limitation of liability, liable"
+            value={form.matchTerms} onChange={e => set('matchTerms', e.target.value)} />
+        </div>
+      </div>
+      <div style={{ marginBottom: 12 }}>
+        <label className="sv-label">Guidance for reviewers (optional)</label>
+        <input className="sv-input" placeholder="Cap at 12 months' fees; 24 months only with CFO sign-off"
+          value={form.guidance} onChange={e => set('guidance', e.target.value)} />
+      </div>
+      <div style={{ display: 'flex', gap: 16, alignItems: 'center', flexWrap: 'wrap', marginBottom: 16, fontSize: 13 }}>
+        <span className="sv-label" style={{ margin: 0 }}>Applies to</span>
+        {Object.entries(CONTRACT_TYPE_LABELS).map(([t, l]) => (
+          <label key={t} style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+            <input type="checkbox" checked={form.contractTypes.includes(t)} onChange={() => toggleType(t)} /> {l}
+          </label>
+        ))}
+        <span style={{ fontSize: 11, color: '#9ca3af' }}>{form.contractTypes.length ? '' : '(none ticked = every type)'}</span>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer', marginLeft: 'auto' }}>
+          <input type="checkbox" checked={form.isRequired} onChange={e => set('isRequired', e.target.checked)} />
+          Required — flag when missing
+        </label>
+      </div>
+
+      <label className="sv-label">Variants</label>
+      {form.variants.map((v, i) => (
+        <div key={i} style={{ background: '#fff', border: '1px solid #e5e7eb', borderRadius: 8, padding: 12, marginBottom: 10 }}>
+          <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+            <select className="sv-input" style={{ width: 140 }} value={v.position}
+              onChange={e => setVariant(i, 'position', e.target.value)}>
+              {Object.entries(POSITIONS).map(([p, s]) => <option key={p} value={p}>{s.label}</option>)}
+            </select>
+            <input className="sv-input" placeholder="Label (optional), e.g. 12 months' fees"
+              value={v.label} onChange={e => setVariant(i, 'label', e.target.value)} />
+            <button className="sv-btn" style={{ color: '#dc2626', whiteSpace: 'nowrap' }}
+              onClick={() => set('variants', form.variants.filter((_, j) => j !== i))}>Remove</button>
+          </div>
+          <textarea className="sv-input" rows={4} placeholder="The clause wording"
+            value={v.body} onChange={e => setVariant(i, 'body', e.target.value)}
+            style={{ resize: 'vertical', lineHeight: 1.5 }} />
+          <input className="sv-input" style={{ marginTop: 8 }} placeholder="Notes (optional) — when this variant is acceptable"
+            value={v.notes} onChange={e => setVariant(i, 'notes', e.target.value)} />
+        </div>
+      ))}
+      <button className="sv-btn" style={{ marginBottom: 16 }}
+        onClick={() => set('variants', [...form.variants, { ...EMPTY_VARIANT, position: form.variants.length ? 'fallback' : 'approved' }])}>
+        + Add variant
+      </button>
+
+      <div style={{ display: 'flex', gap: 10 }}>
+        <button className="sv-btn sv-btn-primary" disabled={saving} onClick={() => onSave(form)}>
+          {saving ? 'Saving…' : 'Save clause'}
+        </button>
+        <button className="sv-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default function OACLMClauses() {
+  const [clauses, setClauses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);   // 'new' | clause id
+  const [saving, setSaving]   = useState(false);
+  const [error, setError]     = useState('');
+  const [success, setSuccess] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const r = await apiService.contracts.getClauses();
+      setClauses(r.data.clauses || []);
+    } catch (e) {
+      setError('Failed to load clause library');
+    } finally { setLoading(false); }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const flash = (msg) => { setSuccess(msg); setTimeout(() => setSuccess(''), 2500); };
+
+  const handleSave = async (form) => {
+    setSaving(true); setError('');
+    const payload = {
+      name: form.name, guidance: form.guidance, contractTypes: form.contractTypes,
+      matchTerms: form.matchTerms.split(','), isRequired: form.isRequired, variants: form.variants,
+    };
+    try {
+      if (editing === 'new') await apiService.contracts.createClause(payload);
+      else await apiService.contracts.updateClause(editing, payload);
+      setEditing(null);
+      flash('Clause saved — new versions are checked against it');
+      load();
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to save clause');
+    } finally { setSaving(false); }
+  };
+
+  const handleDelete = async (cl) => {
+    if (!window.confirm(`Remove "${cl.name}" from the clause library?`)) return;
+    try {
+      await apiService.contracts.deleteClause(cl.id);
+      flash('Clause removed');
+      load();
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to remove clause');
+    }
+  };
+
+  return (
+    <div className="sv-panel">
+      <div className="sv-panel-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <div>
+          <h2>📚 Clause Library</h2>
+          <p className="sv-panel-desc">
+            Approved, fallback and forbidden wordings for the clauses legal cares about. Each uploaded
+            contract version is checked against them; forbidden, non-standard and missing clauses are
+            flagged on the version and legal is notified.
+          </p>
+        </div>
+        <button className="sv-btn sv-btn-primary" style={{ whiteSpace: 'nowrap', marginLeft: 16 }}
+          onClick={() => setEditing('new')}>
+          + Add Clause
+        </button>
+      </div>
+
+      {error   && <div className="sv-error">⚠️ {error}</div>}
+      {success && <div className="sv-success">{success}</div>}
+
+      {editing === 'new' && (
+        <ClauseForm initial={EMPTY_FORM} saving={saving} onSave={handleSave} onCancel={() => setEditing(null)} />
+      )}
+
+      {loading ? (
+        <div className="sv-loading">Loading clause library…</div>
+      ) : clauses.length === 0 && editing !== 'new' ? (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '12px 0' }}>
+          No clauses yet — versions are still compared with each other, but nothing is flagged.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {clauses.map(cl => editing === cl.id ? (
+            <ClauseForm key={cl.id} initial={toForm(cl)} saving={saving} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={cl.id} style={{ padding: '10px 14px', background: '#fff', border: '1px solid #e5e7eb', borderRadius: 8 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <div style={{ fontWeight: 600, fontSize: 13, color: '#1f2937' }}>{cl.name}</div>
+                {cl.is_required && (
+                  <span style={{ fontSize: 10, fontWeight: 600, color: '#92400e', background: '#fef3c7', borderRadius: 10, padding: '1px 7px' }}>
+                    Required
+                  </span>
+                )}
+                <span style={{ fontSize: 11, color: '#9ca3af' }}>
+                  {cl.contract_types?.length ? cl.contract_types.map(t => CONTRACT_TYPE_LABELS[t] || t).join(', ') : 'All types'}
+                </span>
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: 8 }}>
+                  <button className="sv-btn" style={{ fontSize: 12, padding: '4px 12px' }} onClick={() => setEditing(cl.id)}>Edit</button>
+                  <button className="sv-btn" style={{ fontSize: 12, padding: '4px 12px', color: '#dc2626' }} onClick={() => handleDelete(cl)}>Remove</button>
+                </div>
+              </div>
+              {cl.guidance && <div style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>{cl.guidance}</div>}
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginTop: 6 }}>
+                {cl.variants.map(v => (
+                  <span key={v.id} title={v.body}
+                    style={{ fontSize: 11, fontWeight: 600, padding: '2px 8px', borderRadius: 4,
+                             background: POSITIONS[v.position].bg, color: POSITIONS[v.position].text }}>
+                    {POSITIONS[v.position].label}{v.label ? ` · ${v.label}` : ''}
+                  </span>
+                ))}
+                {cl.match_terms?.length > 0 && (
+                  <span style={{ fontSize: 11, color: '#9ca3af' }}>finds: {cl.match_terms.join(', ')}</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
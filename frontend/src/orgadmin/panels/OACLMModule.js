@@ -6,6 +6,8 @@ import { apiService } from '../../apiService';
 import { ModuleSubTabs, OAModuleGeneral, OAModuleSeedPanel } from '../shared';
 import OACLMESignConfig from './OACLMESignConfig';
 import OACLMTemplates from './OACLMTemplates';
+import OACLMClauses from './OACLMClauses';
+import OACLMRenewals from './OACLMRenewals';
 
 export default function OACLMModule() {
   const API    = process.env.REACT_APP_API_URL;
@@ -62,7 +64,7 @@ export default function OACLMModule() {
 
   const tabs = [
     ['general', 'General'],
-    ...(enabled ? [['esign', 'eSign Configuration'], ['templates', 'CLM Templates'], ['playbook', 'Playbook']] : []),
+    ...(enabled ? [['esign', 'eSign Configuration'], ['templates', 'CLM Templates'], ['clauses', 'Clause Library'], ['renewals', 'Renewals'], ['playbook', 'Playbook']] : []),
   ];
 
   if (loading) return <div className="sv-loading">Loading…</div>;
@@ -87,6 +89,8 @@ export default function OACLMModule() {
       )}
       {subTab === 'esign'     && enabled && <OACLMESignConfig />}
       {subTab === 'templates' && enabled && <OACLMTemplates />}
+      {subTab === 'clauses'   && enabled && <OACLMClauses />}
+      {subTab === 'renewals'  && enabled && <OACLMRenewals />}
       {subTab === 'playbook'  && enabled && (
         <OAModuleSeedPanel
           seedDone={seedDone}
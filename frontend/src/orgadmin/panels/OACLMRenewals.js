@@ -0,0 +1,106 @@
+/* OACLMRenewals.js — 2026_150
+ *
+ * Renewal pipeline settings. Every morning the renewal sweep opens a renewal
+ * deal for each signed or active contract of the chosen types whose end date
+ * is within the lead time, owned by the account owner and carrying the
+ * recurring line items of the original deal. Notice-deadline reminders for
+ * those types still go out with automatic deals switched off; auto-renewal
+ * follows each contract's own terms whatever its type.
+ */
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../../apiService';
+
+const CONTRACT_TYPE_LABELS = {
+  nda:        'NDA',
+  msa:        'MSA',
+  sow:        'SOW',
+  order_form: 'Order Form',
+  amendment:  'Amendment',
+  custom:     'Custom',
+};
+
+export default function OACLMRenewals() {
+  const [form, setForm]       = useState(null);
+  const [saving, setSaving]   = useState(false);
+  const [error, setError]     = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    apiService.contracts.getRenewalConfig()
+      .then(r => {
+        const c = r.data.config;
+        setForm({
+          renewalDealsEnabled:  c.renewal_deals_enabled,
+          renewalLeadDays:      c.renewal_lead_days,
+          renewalContractTypes: c.renewal_contract_types || [],
+        });
+      })
+      .catch(() => setError('Failed to load renewal settings'));
+  }, []);
+
+  const set = (key, value) => setForm(f => ({ ...f, [key]: value }));
+  const toggleType = (t) => set('renewalContractTypes',
+    form.renewalContractTypes.includes(t)
+      ? form.renewalContractTypes.filter(x => x !== t)
+      : [...form.renewalContractTypes, t]);
+
+  const handleSave = async () => {
+    setSaving(true); setError('');
+    try {
+      await apiService.contracts.saveRenewalConfig({ ...form, renewalLeadDays: Number(form.renewalLeadDays) });
+      setSuccess('Renewal settings saved');
+      setTimeout(() => setSuccess(''), 2500);
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to save renewal settings');
+    } finally { setSaving(false); }
+  };
+
+  return (
+    <div className="sv-panel">
+      <div className="sv-panel-header">
+        <div>
+          <h2>🔁 Renewals</h2>
+          <p className="sv-panel-desc">
+            Renewal deals are opened automatically ahead of each contract's end date, on the same account
+            and owned by the account owner. Auto-renew and notice periods are set per contract, on its
+            Details tab.
+          </p>
+        </div>
+      </div>
+
+      {error   && <div className="sv-error">⚠️ {error}</div>}
+      {success && <div className="sv-success">{success}</div>}
+
+      {!form ? (
+        !error && <div className="sv-loading">Loading renewal settings…</div>
+      ) : (
+        <div style={{ background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 10, padding: 20 }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, fontWeight: 600, cursor: 'pointer', marginBottom: 16 }}>
+            <input type="checkbox" checked={form.renewalDealsEnabled}
+              onChange={e => set('renewalDealsEnabled', e.target.checked)} />
+            Create renewal deals automatically
+          </label>
+
+          <div style={{ marginBottom: 16, maxWidth: 260 }}>
+            <label className="sv-label">Lead time (days before the end date)</label>
+            <input className="sv-input" type="number" min="1" max="365" disabled={!form.renewalDealsEnabled}
+              value={form.renewalLeadDays} onChange={e => set('renewalLeadDays', e.target.value)} />
+          </div>
+
+          <label className="sv-label">Contract types that renew</label>
+          <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', marginBottom: 20, fontSize: 13 }}>
+            {Object.entries(CONTRACT_TYPE_LABELS).map(([t, l]) => (
+              <label key={t} style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+                <input type="checkbox" checked={form.renewalContractTypes.includes(t)} onChange={() => toggleType(t)} /> {l}
+              </label>
+            ))}
+          </div>
+
+          <button className="sv-btn sv-btn-primary" disabled={saving} onClick={handleSave}>
+            {saving ? 'Saving…' : 'Save settings'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
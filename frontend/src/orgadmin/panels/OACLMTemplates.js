@@ -12,14 +12,65 @@ const CONTRACT_TYPE_LABELS = {
   amendment:  'Amendment',
 };
 
+const EMPTY_FORM = { contractType: 'nda', name: '', description: '', fileUrl: '', fileName: '', body: '' };
+
+// Template text → branded PDF (2026_148). Syntax mirrors documentGeneration.service.
+const BODY_HELP = '# Heading · ## Sub-heading · blank line between paragraphs · **bold** · - bullet · --- rule · '
+  + '{{line_items}}, {{signatures}} and {{page_break}} on a line of their own';
+
+function MergeFieldList({ groups }) {
+  const [open, setOpen] = useState(false);
+  if (!groups.length) return null;
+  return (
+    <div style={{ fontSize: 11, color: '#6b7280', marginTop: 6 }}>
+      <button type="button" onClick={() => setOpen(o => !o)}
+        style={{ fontSize: 11, background: 'none', border: 'none', color: '#0369a1', cursor: 'pointer', padding: 0 }}>
+        {open ? '▾' : '▸'} Merge fields
+      </button>
+      {open && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(210px, 1fr))', gap: '8px 16px', marginTop: 6 }}>
+          {groups.map(g => (
+            <div key={g.group}>
+              <div style={{ fontWeight: 600, color: '#374151', marginBottom: 2 }}>{g.group}</div>
+              {g.fields.map(f => (
+                <div key={f.key}><code style={{ fontSize: 11 }}>{`{{${f.key}}}`}</code> {f.label}</div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BodyInput({ value, onChange, groups }) {
+  return (
+    <div>
+      <textarea
+        className="sv-input"
+        rows={12}
+        placeholder={'# Mutual Non-Disclosure Agreement\n\nThis agreement is between **{{contract.company_entity}}** and **{{contract.customer_legal_name}}** …'}
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        style={{ fontFamily: 'ui-monospace, Menlo, monospace', fontSize: 12, lineHeight: 1.5, resize: 'vertical' }}
+      />
+      <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 4 }}>{BODY_HELP}</div>
+      <MergeFieldList groups={groups} />
+    </div>
+  );
+}
+
 export default function OACLMTemplates() {
   const [templates, setTemplates] = useState([]);
   const [loading, setLoading]     = useState(true);
   const [error, setError]         = useState('');
   const [success, setSuccess]     = useState('');
   const [uploading, setUploading] = useState(null); // contract_type being uploaded
-  const [form, setForm]           = useState({ contractType: 'nda', name: '', description: '', fileUrl: '', fileName: '' });
+  const [form, setForm]           = useState(EMPTY_FORM);
   const [showForm, setShowForm]   = useState(false);
+  const [fieldGroups, setFieldGroups] = useState([]);
+  const [editing, setEditing]     = useState(null); // { id, body }
+  const [savingBody, setSavingBody] = useState(false);
 
   const load = useCallback(async () => {
     try {
@@ -32,9 +83,15 @@ export default function OACLMTemplates() {
 
   useEffect(() => { load(); }, [load]);
 
+  useEffect(() => {
+    apiService.documents.mergeFields()
+      .then(r => setFieldGroups(r.data.groups || []))
+      .catch(() => {});
+  }, []);
+
   const handleCreate = async () => {
-    if (!form.name.trim() || !form.fileUrl.trim()) {
-      setError('Name and file URL are required'); return;
+    if (!form.name.trim() || (!form.fileUrl.trim() && !form.body.trim())) {
+      setError('A name and either a file URL or template text are required'); return;
     }
     try {
       setUploading(form.contractType);
@@ -42,13 +99,26 @@ export default function OACLMTemplates() {
       setSuccess('Template added');
       setTimeout(() => setSuccess(''), 2500);
       setShowForm(false);
-      setForm({ contractType: 'nda', name: '', description: '', fileUrl: '', fileName: '' });
+      setForm(EMPTY_FORM);
       load();
     } catch (e) {
       setError(e.response?.data?.error?.message || 'Failed to add template');
     } finally { setUploading(null); }
   };
 
+  const handleSaveBody = async () => {
+    setSavingBody(true); setError('');
+    try {
+      await apiService.contracts.updateTemplate(editing.id, { body: editing.body });
+      setSuccess('Template text saved');
+      setTimeout(() => setSuccess(''), 2500);
+      setEditing(null);
+      load();
+    } catch (e) {
+      setError(e.response?.data?.error?.message || 'Failed to save template text');
+    } finally { setSavingBody(false); }
+  };
+
   const handleDelete = async (id, name) => {
     if (!window.confirm(`Remove template "${name}"?`)) return;
     try {
@@ -71,7 +141,8 @@ export default function OACLMTemplates() {
           <h2>📄 CLM Contract Templates</h2>
           <p className="sv-panel-desc">
             Upload master templates for each contract type. Team members can download these,
-            fill them in Word, and upload back into a contract as v1.0.
+            fill them in Word, and upload back into a contract as v1.0 — or give a template
+            text with merge fields and reps generate a branded PDF straight onto the contract.
           </p>
         </div>
         <button
@@ -117,7 +188,7 @@ export default function OACLMTemplates() {
             </div>
           </div>
           <div style={{ marginBottom: 12 }}>
-            <label className="sv-label">File URL (paste link from Google Drive / OneDrive / SharePoint)</label>
+            <label className="sv-label">File URL (optional with template text — paste link from Google Drive / OneDrive / SharePoint)</label>
             <input
               className="sv-input"
               placeholder="https://docs.google.com/…"
@@ -134,7 +205,7 @@ export default function OACLMTemplates() {
               onChange={e => setForm(f => ({ ...f, fileName: e.target.value }))}
             />
           </div>
-          <div style={{ marginBottom: 16 }}>
+          <div style={{ marginBottom: 12 }}>
             <label className="sv-label">Description (optional)</label>
             <input
               className="sv-input"
@@ -143,6 +214,11 @@ export default function OACLMTemplates() {
               onChange={e => setForm(f => ({ ...f, description: e.target.value }))}
             />
           </div>
+          <div style={{ marginBottom: 16 }}>
+            <label className="sv-label">Template text (optional — generates branded PDFs)</label>
+            <BodyInput value={form.body} groups={fieldGroups}
+              onChange={body => setForm(f => ({ ...f, body }))} />
+          </div>
           <div style={{ display: 'flex', gap: 10 }}>
             <button
               className="sv-btn sv-btn-primary"
@@ -183,13 +259,19 @@ export default function OACLMTemplates() {
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
                   {groupedByType[type].map(t => (
                     <div key={t.id} style={{
-                      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+                      display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap',
                       padding: '10px 14px', background: '#fff', border: '1px solid #e5e7eb',
                       borderRadius: 8, gap: 12,
                     }}>
                       <div style={{ flex: 1, minWidth: 0 }}>
                         <div style={{ fontWeight: 600, fontSize: 13, color: '#1f2937' }}>
                           📄 {t.name}
+                          {t.body && (
+                            <span style={{ marginLeft: 8, fontSize: 10, fontWeight: 600, color: '#065f46',
+                                           background: '#d1fae5', borderRadius: 10, padding: '1px 7px' }}>
+                              PDF
+                            </span>
+                          )}
                         </div>
                         {t.description && (
                           <div style={{ fontSize: 12, color: '#6b7280', marginTop: 2 }}>{t.description}</div>
@@ -200,15 +282,24 @@ export default function OACLMTemplates() {
                         </div>
                       </div>
                       <div style={{ display: 'flex', gap: 8, flexShrink: 0 }}>
-                        <a
-                          href={t.file_url}
-                          target="_blank"
-                          rel="noopener noreferrer"
+                        {t.file_url && (
+                          <a
+                            href={t.file_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="sv-btn"
+                            style={{ fontSize: 12, padding: '4px 12px', textDecoration: 'none' }}
+                          >
+                            ↓ Download
+                          </a>
+                        )}
+                        <button
                           className="sv-btn"
-                          style={{ fontSize: 12, padding: '4px 12px', textDecoration: 'none' }}
+                          style={{ fontSize: 12, padding: '4px 12px' }}
+                          onClick={() => setEditing(editing?.id === t.id ? null : { id: t.id, body: t.body || '' })}
                         >
-                          ↓ Download
-                        </a>
+                          {t.body ? 'Edit text' : '+ Text'}
+                        </button>
                         <button
                           className="oa-btn-remove"
                           style={{ fontSize: 12 }}
@@ -217,6 +308,18 @@ export default function OACLMTemplates() {
                           Remove
                         </button>
                       </div>
+                      {editing?.id === t.id && (
+                        <div style={{ flexBasis: '100%' }}>
+                          <BodyInput value={editing.body} groups={fieldGroups}
+                            onChange={body => setEditing(ed => ({ ...ed, body }))} />
+                          <div style={{ display: 'flex', gap: 10, marginTop: 10 }}>
+                            <button className="sv-btn sv-btn-primary" onClick={handleSaveBody} disabled={savingBody}>
+                              {savingBody ? 'Saving…' : 'Save text'}
+                            </button>
+                            <button className="sv-btn" onClick={() => setEditing(null)}>Cancel</button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
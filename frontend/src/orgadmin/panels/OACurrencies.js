@@ -0,0 +1,173 @@
+/* OACurrencies.js — 2026_132
+ *
+ * Corporate currency and the org's dated exchange-rate table. Reporting
+ * converts every deal to the corporate currency using the latest rate on or
+ * before its close date, so a missing rate shows up as "unconverted" deals in
+ * the reports rather than as a wrong total.
+ *
+ * Rates are stored against the corporate currency they were entered for.
+ * Switching the corporate currency rebases them onto the new one through its
+ * rate against the old one, so that rate has to be in the table first.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const COMMON = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'SGD', 'AED', 'JPY', 'CHF'];
+
+export default function OACurrencies() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [corporate, setCorporate] = useState(null);
+  const [rates, setRates]         = useState([]);
+  const [draft, setDraft]         = useState({ currency: '', rate: '', effectiveDate: new Date().toISOString().slice(0, 10) });
+  const [saving, setSaving]       = useState(false);
+  const [msg, setMsg]             = useState('');
+  const [err, setErr]             = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}/org/admin${path}`, { headers, ...opts });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data?.error?.message || 'Request failed');
+    return data;
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const data = await call('/exchange-rates');
+      setCorporate(data.corporateCurrency);
+      setRates(data.rates || []);
+    } catch (e) {
+      setErr(e.message || 'Could not load exchange rates');
+    }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const changeCorporate = async (code) => {
+    if (code === corporate) return;
+    if (!window.confirm(`Switch the corporate currency from ${corporate} to ${code}? Existing deals keep their currency; exchange rates are converted to ${code} using the ${code} rate.`)) return;
+    setSaving(true); setErr('');
+    try {
+      const data = await call('/currency-settings', { method: 'PATCH', body: JSON.stringify({ corporateCurrency: code }) });
+      flash(`Corporate currency is now ${data.corporateCurrency}`);
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addRate = async () => {
+    setSaving(true); setErr('');
+    try {
+      await call('/exchange-rates', { method: 'PUT', body: JSON.stringify({ ...draft, rate: Number(draft.rate) }) });
+      setDraft(d => ({ ...d, currency: '', rate: '' }));
+      flash('Saved ✓');
+      await load();
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeRate = async (id) => {
+    setErr('');
+    try {
+      await call(`/exchange-rates/${id}`, { method: 'DELETE' });
+      setRates(rs => rs.filter(r => r.id !== id));
+    } catch (e) {
+      setErr(e.message);
+    }
+  };
+
+  if (err && !corporate) {
+    return <div style={{ fontSize: 13, color: '#991b1b', padding: 16 }}>{err}</div>;
+  }
+  if (!corporate) {
+    return <div style={{ fontSize: 13, color: '#6b7280', padding: 16 }}>Loading…</div>;
+  }
+
+  const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db' };
+  const options = [...new Set([corporate, ...COMMON])];
+
+  return (
+    <div style={{ maxWidth: 780 }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 16, padding: '16px 0', borderBottom: '1px solid #f1f5f9' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: '#111827' }}>Corporate currency</div>
+          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 3, lineHeight: 1.55 }}>
+            Every report, forecast and quota is shown in this currency. Deals keep their own
+            currency and amount; only the roll-ups convert. Rates below are entered against it.
+          </div>
+        </div>
+        <select value={corporate} disabled={saving} onChange={e => changeCorporate(e.target.value)} style={input}>
+          {options.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+
+      <div style={{ fontSize: 14, fontWeight: 600, color: '#111827', marginTop: 18 }}>Exchange rates</div>
+      <div style={{ fontSize: 12, color: '#6b7280', marginTop: 3, marginBottom: 10, lineHeight: 1.55 }}>
+        1 unit of the currency = rate × {corporate}, from the effective date on. A deal uses the
+        latest rate on or before its close date.
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12, flexWrap: 'wrap' }}>
+        <input placeholder="EUR" maxLength={3} value={draft.currency}
+          onChange={e => setDraft(d => ({ ...d, currency: e.target.value.toUpperCase() }))} style={{ ...input, width: 70 }} />
+        <span style={{ fontSize: 12, color: '#6b7280' }}>=</span>
+        <input type="number" min="0" step="any" placeholder="1.08" value={draft.rate}
+          onChange={e => setDraft(d => ({ ...d, rate: e.target.value }))} style={{ ...input, width: 120 }} />
+        <span style={{ fontSize: 12, color: '#6b7280' }}>{corporate} from</span>
+        <input type="date" value={draft.effectiveDate}
+          onChange={e => setDraft(d => ({ ...d, effectiveDate: e.target.value }))} style={input} />
+        <button onClick={addRate} disabled={saving || !draft.currency || !draft.rate}
+          style={{ fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none',
+                   background: '#0369a1', color: '#fff', cursor: 'pointer', opacity: (saving || !draft.currency || !draft.rate) ? 0.6 : 1 }}>
+          Save rate
+        </button>
+      </div>
+
+      {rates.length === 0 ? (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '8px 0' }}>
+          No rates yet — deals in other currencies are left out of report totals until one is added.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+          <thead>
+            <tr style={{ color: '#6b7280', fontSize: 11, textAlign: 'left' }}>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Currency</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Rate</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Effective</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Entered by</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map(r => (
+              <tr key={r.id} style={{ borderTop: '1px solid #f1f5f9' }}>
+                <td style={{ padding: '7px 8px', fontWeight: 600 }}>{r.currency}</td>
+                <td style={{ padding: '7px 8px' }}>{r.rate} {corporate}</td>
+                <td style={{ padding: '7px 8px' }}>{r.effective_date}</td>
+                <td style={{ padding: '7px 8px', color: '#6b7280' }}>{r.created_by_name || '—'}</td>
+                <td style={{ padding: '7px 8px', textAlign: 'right' }}>
+                  <button onClick={() => removeRate(r.id)}
+                    style={{ fontSize: 12, background: 'none', border: 'none', color: '#991b1b', cursor: 'pointer' }}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ marginTop: 14, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
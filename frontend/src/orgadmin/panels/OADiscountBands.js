@@ -0,0 +1,170 @@
+/* OADiscountBands.js — 2026_147
+ *
+ * How much discount a rep can give before someone has to approve it, per
+ * product group. A group with no band of its own uses its parent's, then the
+ * org-wide band; with no bands at all nothing needs approval.
+ *
+ *   up to the rep limit       the rep decides
+ *   up to the manager limit   the deal owner's manager approves
+ *   above that                manager, then finance
+ *   above the ceiling         refused outright (blank = no ceiling)
+ *
+ * Quotes over a limit cannot be sent until approved; deal line items over the
+ * rep limit are refused and the rep is pointed at a quote. Saved wholesale.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../../apiService';
+
+const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db' };
+
+const fromRow = (b) => ({
+  groupId: b.group_id || '',
+  repMaxPct: b.rep_max_pct ?? '',
+  managerMaxPct: b.manager_max_pct ?? '',
+  ceilingPct: b.ceiling_pct ?? '',
+});
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+// Indented group options from the flat product_groups list.
+function groupOptions(groups) {
+  const kids = {};
+  groups.forEach(g => { (kids[g.parent_id || 0] = kids[g.parent_id || 0] || []).push(g); });
+  const out = [];
+  const walk = (pid, depth) => (kids[pid] || []).forEach(g => {
+    out.push({ id: g.id, label: `${'  '.repeat(depth)}${g.name}` });
+    walk(g.id, depth + 1);
+  });
+  walk(0, 0);
+  return out;
+}
+
+export default function OADiscountBands() {
+  const [bands, setBands]   = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [dirty, setDirty]   = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg]       = useState('');
+  const [err, setErr]       = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const [b, g] = await Promise.all([apiService.quotes.discountBands(), apiService.products.getGroups()]);
+      setBands((b.data.bands || []).map(fromRow));
+      setGroups(g.data?.data?.groups || []);
+      setDirty(false);
+    } catch (e) {
+      setErr(errMsg(e, 'Could not load discount bands'));
+      setBands(bs => bs || []);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const set = (i, field, value) => {
+    setBands(bs => bs.map((b, j) => (j === i ? { ...b, [field]: value } : b)));
+    setDirty(true);
+  };
+
+  const add = () => {
+    setBands(bs => [...bs, { groupId: bs.some(b => !b.groupId) ? (groups[0]?.id || '') : '',
+                             repMaxPct: 10, managerMaxPct: 20, ceilingPct: '' }]);
+    setDirty(true);
+  };
+
+  const remove = (i) => {
+    setBands(bs => bs.filter((_, j) => j !== i));
+    setDirty(true);
+  };
+
+  const save = async () => {
+    setSaving(true); setErr('');
+    try {
+      const r = await apiService.quotes.saveDiscountBands(bands.map(b => ({ ...b, groupId: b.groupId || null })));
+      setBands((r.data.bands || []).map(fromRow));
+      setDirty(false);
+      setMsg('Saved ✓');
+      setTimeout(() => setMsg(''), 3000);
+    } catch (e) {
+      setErr(errMsg(e, 'Could not save discount bands'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!bands) return <div style={{ fontSize: 13, color: '#6b7280', padding: 16 }}>Loading…</div>;
+
+  const options = groupOptions(groups);
+  const th = { padding: '6px 8px', fontWeight: 500 };
+
+  return (
+    <div style={{ maxWidth: 780 }}>
+      <div style={{ fontSize: 12, color: '#6b7280', padding: '16px 0 12px', lineHeight: 1.55, borderBottom: '1px solid #f1f5f9' }}>
+        Discounts are measured off the price-book price, so a lowered unit price counts as well as a
+        discount %. Up to the rep limit no approval is needed; up to the manager limit the deal owner's
+        manager approves; above it finance approves after the manager. Nothing above the ceiling can be
+        quoted. A group without its own band uses its parent's, then the org-wide band.
+      </div>
+
+      {bands.length === 0 ? (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '12px 0' }}>
+          No bands — any discount can be given without approval.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13, marginTop: 8 }}>
+          <thead>
+            <tr style={{ color: '#6b7280', fontSize: 11, textAlign: 'left' }}>
+              <th style={th}>Applies to</th>
+              <th style={th}>Rep limit %</th>
+              <th style={th}>Manager limit %</th>
+              <th style={th}>Ceiling %</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {bands.map((b, i) => (
+              <tr key={i} style={{ borderTop: '1px solid #f1f5f9' }}>
+                <td style={{ padding: '7px 8px' }}>
+                  <select value={b.groupId} onChange={e => set(i, 'groupId', e.target.value ? parseInt(e.target.value, 10) : '')} style={input}>
+                    <option value="">All products (org-wide)</option>
+                    {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                  </select>
+                </td>
+                {['repMaxPct', 'managerMaxPct', 'ceilingPct'].map(f => (
+                  <td key={f} style={{ padding: '7px 8px' }}>
+                    <input type="number" min="0" max="100" step="any" value={b[f]}
+                      placeholder={f === 'ceilingPct' ? 'none' : ''}
+                      onChange={e => set(i, f, e.target.value)} style={{ ...input, width: 80 }} />
+                  </td>
+                ))}
+                <td style={{ padding: '7px 8px', textAlign: 'right' }}>
+                  <button onClick={() => remove(i)}
+                    style={{ fontSize: 12, background: 'none', border: 'none', color: '#991b1b', cursor: 'pointer' }}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 12, alignItems: 'center' }}>
+        <button onClick={add}
+          style={{ fontSize: 12, padding: '7px 14px', borderRadius: 6, border: '1px solid #d1d5db', background: '#fff', cursor: 'pointer' }}>
+          + Add band
+        </button>
+        {dirty && (
+          <button onClick={save} disabled={saving}
+            style={{ fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none',
+                     background: '#0369a1', color: '#fff', cursor: 'pointer', opacity: saving ? 0.6 : 1 }}>
+            {saving ? 'Saving…' : 'Save bands'}
+          </button>
+        )}
+        {dirty && <button onClick={load} style={{ fontSize: 12, background: 'none', border: 'none', color: '#6b7280', cursor: 'pointer' }}>Discard</button>}
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
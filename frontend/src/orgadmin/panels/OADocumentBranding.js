@@ -0,0 +1,138 @@
+/* OADocumentBranding.js — 2026_148
+ *
+ * What generated quote and contract PDFs look like: company name in the
+ * header (falls back to the org name), a logo, the heading and table colours,
+ * and a footer line stamped on every page beside the page number.
+ *
+ * The logo is either uploaded (PNG or JPEG, kept with the settings) or an
+ * https link, which the server downloads once on Save and keeps the same way
+ * — so after saving, a linked logo shows as uploaded. A link that can't be
+ * downloaded is refused on Save.
+ */
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../../apiService';
+
+const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db', width: '100%', boxSizing: 'border-box' };
+const label = { display: 'block', fontSize: 12, fontWeight: 600, color: '#374151', marginBottom: 4 };
+const LOGO_MAX = 400 * 1024;
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+export default function OADocumentBranding() {
+  const [form, setForm]     = useState(null);
+  const [dirty, setDirty]   = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg]       = useState('');
+  const [err, setErr]       = useState('');
+
+  useEffect(() => {
+    apiService.documents.branding()
+      .then(r => setForm({ ...r.data.branding, companyName: r.data.branding.companyName || '', logoUrl: r.data.branding.logoUrl || '' }))
+      .catch(e => { setErr(errMsg(e, 'Could not load branding')); setForm({}); });
+  }, []);
+
+  const set = (key, value) => { setForm(f => ({ ...f, [key]: value })); setDirty(true); setMsg(''); };
+
+  const pickLogo = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!['image/png', 'image/jpeg'].includes(file.type)) { setErr('Logo must be a PNG or JPEG'); return; }
+    if (file.size > LOGO_MAX) { setErr('Logo must be under 400 KB'); return; }
+    const reader = new FileReader();
+    reader.onload = () => { setErr(''); set('logoUrl', reader.result); };
+    reader.readAsDataURL(file);
+  };
+
+  const save = async () => {
+    setSaving(true); setErr(''); setMsg('');
+    try {
+      const r = await apiService.documents.saveBranding({
+        companyName: form.companyName, logoUrl: form.logoUrl,
+        primaryColor: form.primaryColor, accentColor: form.accentColor, footerText: form.footerText,
+      });
+      setForm({ ...r.data.branding, companyName: r.data.branding.companyName || '', logoUrl: r.data.branding.logoUrl || '' });
+      setDirty(false);
+      setMsg('Saved — new PDFs use this branding');
+    } catch (e) {
+      setErr(errMsg(e, 'Could not save branding'));
+    } finally { setSaving(false); }
+  };
+
+  if (!form) return <div style={{ fontSize: 13, color: '#9ca3af', padding: 16 }}>Loading…</div>;
+
+  const uploaded = (form.logoUrl || '').startsWith('data:');
+
+  return (
+    <div style={{ maxWidth: 640 }}>
+      <div style={{ fontSize: 12, color: '#6b7280', padding: '16px 0 12px', lineHeight: 1.55, borderBottom: '1px solid #f1f5f9' }}>
+        Applies to quote PDFs and contracts generated from template text. Documents already generated keep
+        the branding they were rendered with.
+      </div>
+
+      <div style={{ display: 'grid', gap: 16, marginTop: 16 }}>
+        <div>
+          <label style={label}>Company name</label>
+          <input style={input} value={form.companyName} maxLength={120}
+            placeholder="Defaults to the organisation name"
+            onChange={e => set('companyName', e.target.value)} />
+        </div>
+
+        <div>
+          <label style={label}>Logo</label>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+            {form.logoUrl && (
+              <img src={form.logoUrl} alt="Logo" style={{ maxHeight: 48, maxWidth: 160, border: '1px solid #e5e7eb', borderRadius: 4, padding: 4 }} />
+            )}
+            <label style={{ fontSize: 12, padding: '6px 12px', border: '1px solid #d1d5db', borderRadius: 6, cursor: 'pointer', background: '#fff' }}>
+              Upload PNG / JPEG
+              <input type="file" accept="image/png,image/jpeg" onChange={pickLogo} style={{ display: 'none' }} />
+            </label>
+            {form.logoUrl && (
+              <button onClick={() => set('logoUrl', '')}
+                style={{ fontSize: 12, background: 'none', border: 'none', color: '#dc2626', cursor: 'pointer' }}>
+                Remove
+              </button>
+            )}
+          </div>
+          {!uploaded && (
+            <input style={{ ...input, marginTop: 8 }} value={form.logoUrl}
+              placeholder="…or an https:// link to the logo"
+              onChange={e => set('logoUrl', e.target.value)} />
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: 24 }}>
+          {[['primaryColor', 'Headings & table header'], ['accentColor', 'Rules & highlights']].map(([key, text]) => (
+            <div key={key}>
+              <label style={label}>{text}</label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input type="color" value={form[key] || '#000000'} onChange={e => set(key, e.target.value)}
+                  style={{ width: 36, height: 30, padding: 0, border: '1px solid #d1d5db', borderRadius: 4 }} />
+                <code style={{ fontSize: 12, color: '#6b7280' }}>{form[key]}</code>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <label style={label}>Footer text</label>
+          <input style={input} value={form.footerText || ''} maxLength={500}
+            placeholder="Acme Ltd · Registered in England 01234567 · acme.com"
+            onChange={e => set('footerText', e.target.value)} />
+        </div>
+      </div>
+
+      {err && <div style={{ fontSize: 12, color: '#dc2626', marginTop: 12 }}>{err}</div>}
+      {msg && <div style={{ fontSize: 12, color: '#059669', marginTop: 12 }}>{msg}</div>}
+
+      <button onClick={save} disabled={!dirty || saving}
+        style={{ marginTop: 16, fontSize: 13, fontWeight: 600, padding: '8px 18px', borderRadius: 6, border: 'none',
+                 background: dirty ? '#0369a1' : '#cbd5e1', color: '#fff', cursor: dirty ? 'pointer' : 'default' }}>
+        {saving ? 'Saving…' : 'Save branding'}
+      </button>
+    </div>
+  );
+}
@@ -54,11 +54,13 @@ export default function OAMembers({ currentUserId }) {
   };
 
   const handleRemove = async (userId, name) => {
-    if (!window.confirm(`Remove ${name} from the organisation?`)) return;
+    if (!window.confirm(`Remove ${name} from the organisation? Their open prospects, deals, actions and sequences move to their manager (or an owner).`)) return;
     try {
-      await apiService.orgAdmin.removeMember(userId);
-      setSuccess(`${name} removed`);
-      setTimeout(() => setSuccess(''), 2000);
+      const { data } = await apiService.orgAdmin.removeMember(userId);
+      const c = data.counts || {};
+      const moved = (c.prospects || 0) + (c.deals || 0) + (c.actions || 0) + (c.prospectingActions || 0) + (c.enrollments || 0);
+      setSuccess(moved ? `${name} removed — ${moved} open item${moved === 1 ? '' : 's'} reassigned` : `${name} removed`);
+      setTimeout(() => setSuccess(''), 4000);
       load();
     } catch (e) {
       setError(e.response?.data?.error?.message || 'Failed to remove member');
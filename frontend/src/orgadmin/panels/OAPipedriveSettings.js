@@ -0,0 +1,21 @@
+/* Panel: OAPipedriveSettings — Pipedrive integration settings tab.
+ * Same shape as OAHubSpotSettings; all logic lives in PipedriveConnect. */
+import React from 'react';
+import PipedriveConnect from '../../PipedriveConnect';
+
+export default function OAPipedriveSettings() {
+  return (
+    <div className="oa-panel">
+      <div style={{ marginBottom: 20 }}>
+        <h2 style={{ margin: '0 0 4px', fontSize: 17, fontWeight: 700, color: '#111827' }}>
+          🟢 Pipedrive Integration
+        </h2>
+        <p style={{ margin: 0, fontSize: 13, color: '#6b7280' }}>
+          Connect your Pipedrive company to sync organizations, people, and deals.
+          Records sync nightly at 04:45 UTC. Stage and field mapping is configurable per org.
+        </p>
+      </div>
+      <PipedriveConnect />
+    </div>
+  );
+}
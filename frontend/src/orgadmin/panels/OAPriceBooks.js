@@ -0,0 +1,367 @@
+/* OAPriceBooks.js — 2026_146
+ *
+ * Price books for quotes. Each book prices some or all of the catalog for a
+ * segment (SMB, enterprise, public sector …); a product the book does not
+ * list is quoted at its catalog list price. A new quote starts from the book
+ * whose segment matches the account's pricing segment, else the default book.
+ *
+ * Entries are flat (one price), volume (the whole quantity at the band it
+ * lands in) or tiered (each band's units at that band's price). Bands are
+ * keyed by the quantity they start at; the first band also covers anything
+ * below it.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../../apiService';
+
+const EMPTY_BOOK = { name: '', segment: '', description: '', currency: '', taxRate: 0, isDefault: false };
+
+const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db' };
+const small = { fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid #d1d5db' };
+const primary = { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none',
+                  background: '#0369a1', color: '#fff', cursor: 'pointer' };
+const link = (color = '#0369a1') => ({ fontSize: 12, background: 'none', border: 'none', color, cursor: 'pointer' });
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.error?.message || err.message || fallback;
+}
+
+function EntryRow({ entry, onSave, onRemove }) {
+  const [model, setModel] = useState(entry.pricing_model);
+  const [price, setPrice] = useState(String(entry.unit_price));
+  const [tiers, setTiers] = useState(entry.tiers || []);
+  const [dirty, setDirty] = useState(false);
+
+  const touch = (fn) => (...a) => { fn(...a); setDirty(true); };
+  const setTier = touch((i, field, v) => setTiers(ts => ts.map((t, j) => (j === i ? { ...t, [field]: v } : t))));
+
+  return (
+    <tr style={{ borderTop: '1px solid #f1f5f9', verticalAlign: 'top' }}>
+      <td style={{ padding: '7px 8px' }}>
+        <div style={{ fontWeight: 600 }}>{entry.product_name}</div>
+        <div style={{ fontSize: 11, color: '#9ca3af' }}>
+          {entry.sku ? `${entry.sku} · ` : ''}list {entry.list_price}{entry.product_currency ? ` ${entry.product_currency}` : ''}
+          {entry.product_status !== 'active' ? ` · ${entry.product_status}` : ''}
+        </div>
+      </td>
+      <td style={{ padding: '7px 8px' }}>
+        <select value={model} onChange={touch(e => setModel(e.target.value))} style={small}>
+          <option value="flat">Flat</option>
+          <option value="volume">Volume</option>
+          <option value="tiered">Tiered</option>
+        </select>
+      </td>
+      <td style={{ padding: '7px 8px' }}>
+        {model === 'flat' ? (
+          <input type="number" min="0" step="any" value={price} onChange={touch(e => setPrice(e.target.value))}
+            style={{ ...small, width: 100 }} />
+        ) : (
+          <div>
+            {tiers.map((t, i) => (
+              <div key={i} style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 4, fontSize: 12, color: '#6b7280' }}>
+                from
+                <input type="number" min="1" value={t.minQuantity} onChange={e => setTier(i, 'minQuantity', e.target.value)}
+                  style={{ ...small, width: 64 }} />
+                at
+                <input type="number" min="0" step="any" value={t.unitPrice} onChange={e => setTier(i, 'unitPrice', e.target.value)}
+                  style={{ ...small, width: 90 }} />
+                <button onClick={touch(() => setTiers(ts => ts.filter((_, j) => j !== i)))} style={link('#991b1b')}>×</button>
+              </div>
+            ))}
+            <button onClick={touch(() => setTiers(ts => [...ts, { minQuantity: ts.length ? Number(ts[ts.length - 1].minQuantity) + 10 : 1, unitPrice: '' }]))}
+              style={link()}>+ band</button>
+          </div>
+        )}
+      </td>
+      <td style={{ padding: '7px 8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+        {dirty && (
+          <button onClick={async () => { if (await onSave({ pricingModel: model, unitPrice: price, tiers })) setDirty(false); }}
+            style={link()}>Save</button>
+        )}
+        <button onClick={onRemove} style={link('#991b1b')}>Remove</button>
+      </td>
+    </tr>
+  );
+}
+
+export default function OAPriceBooks() {
+  const [books, setBooks]       = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [openId, setOpenId]     = useState(null);
+  const [book, setBook]         = useState(null);
+  const [form, setForm]         = useState(null);      // { id?, ...EMPTY_BOOK }
+  const [catalog, setCatalog]   = useState([]);
+  const [addProduct, setAddProduct] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  const [accountFilter, setAccountFilter] = useState('');
+  const [msg, setMsg]           = useState('');
+  const [err, setErr]           = useState('');
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const load = useCallback(async () => {
+    try {
+      const [b, cat, acc] = await Promise.all([
+        apiService.quotes.priceBooks(true),
+        apiService.products.getAll(),
+        apiService.accounts.getAll('org'),
+      ]);
+      setBooks(b.data.priceBooks || []);
+      setSegments(b.data.segments || []);
+      setCatalog(cat.data?.data?.products || []);
+      setAccounts(acc.data.accounts || []);
+    } catch (e) {
+      setErr(errMsg(e, 'Could not load price books'));
+      setBooks(b => b || []);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const loadBook = useCallback(async (id) => {
+    if (!id) { setBook(null); return; }
+    try {
+      const r = await apiService.quotes.getPriceBook(id);
+      setBook(r.data.priceBook);
+    } catch (e) {
+      setErr(errMsg(e, 'Could not load price book'));
+    }
+  }, []);
+
+  useEffect(() => { loadBook(openId); }, [openId, loadBook]);
+
+  const saveBook = async () => {
+    setErr('');
+    try {
+      const body = { ...form, taxRate: Number(form.taxRate) || 0 };
+      if (form.id) await apiService.quotes.updatePriceBook(form.id, body);
+      else {
+        const r = await apiService.quotes.createPriceBook(body);
+        setOpenId(r.data.priceBook.id);
+      }
+      setForm(null);
+      flash('Saved ✓');
+      await load();
+      if (form.id && form.id === openId) loadBook(openId);
+    } catch (e) {
+      setErr(errMsg(e, 'Could not save price book'));
+    }
+  };
+
+  const toggleActive = async (b) => {
+    setErr('');
+    try {
+      await apiService.quotes.updatePriceBook(b.id, { isActive: !b.is_active });
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, 'Could not update price book'));
+    }
+  };
+
+  const deleteBook = async (b) => {
+    if (!window.confirm(`Delete "${b.name}"?`)) return;
+    setErr('');
+    try {
+      await apiService.quotes.deletePriceBook(b.id);
+      if (openId === b.id) setOpenId(null);
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, 'Could not delete price book'));
+    }
+  };
+
+  const saveEntry = async (productId, data) => {
+    setErr('');
+    try {
+      await apiService.quotes.setEntry(openId, productId, data);
+      flash('Price saved ✓');
+      await loadBook(openId);
+      return true;
+    } catch (e) {
+      setErr(errMsg(e, 'Could not save price'));
+      return false;
+    }
+  };
+
+  const addEntry = async () => {
+    const p = catalog.find(c => c.id === parseInt(addProduct, 10));
+    if (!p) return;
+    if (await saveEntry(p.id, { pricingModel: 'flat', unitPrice: p.list_price })) {
+      setAddProduct('');
+      load();
+    }
+  };
+
+  const removeEntry = async (productId) => {
+    setErr('');
+    try {
+      await apiService.quotes.removeEntry(openId, productId);
+      await loadBook(openId);
+      load();
+    } catch (e) {
+      setErr(errMsg(e, 'Could not remove price'));
+    }
+  };
+
+  const setSegment = async (accountId, segment) => {
+    setErr('');
+    try {
+      const r = await apiService.quotes.setAccountSegment(accountId, segment);
+      setAccounts(as => as.map(a => (a.id === accountId ? { ...a, pricing_segment: r.data.account.pricing_segment } : a)));
+      flash('Segment saved ✓');
+    } catch (e) {
+      setErr(errMsg(e, 'Could not set segment'));
+    }
+  };
+
+  if (!books) return <div style={{ fontSize: 13, color: '#6b7280', padding: 16 }}>Loading…</div>;
+
+  const listed = new Set((book?.entries || []).map(e => e.product_id));
+  const shownAccounts = accounts
+    .filter(a => !accountFilter || a.name?.toLowerCase().includes(accountFilter.toLowerCase()))
+    .slice(0, 25);
+
+  return (
+    <div style={{ maxWidth: 880 }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 16, padding: '16px 0', borderBottom: '1px solid #f1f5f9' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: '#111827' }}>Price books</div>
+          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 3, lineHeight: 1.55 }}>
+            A quote is priced from the book matching its account's segment, or the default book.
+            Products a book does not list are quoted at their catalog list price. Changing a price
+            here does not touch quotes already created — reps can reprice a draft.
+          </div>
+        </div>
+        {!form && <button onClick={() => setForm({ ...EMPTY_BOOK })} style={primary}>+ New book</button>}
+      </div>
+
+      {form && (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', padding: '12px 0', borderBottom: '1px solid #f1f5f9' }}>
+          <input placeholder="Name" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} style={{ ...input, width: 180 }} />
+          <input placeholder="Segment (e.g. Enterprise)" value={form.segment || ''} list="oa-price-segments"
+            onChange={e => setForm(f => ({ ...f, segment: e.target.value }))} style={{ ...input, width: 170 }} />
+          <input placeholder="Currency" maxLength={3} value={form.currency || ''}
+            onChange={e => setForm(f => ({ ...f, currency: e.target.value.toUpperCase() }))} style={{ ...input, width: 80 }}
+            title="Blank = corporate currency" />
+          <label style={{ fontSize: 12, color: '#6b7280' }}>Tax %
+            <input type="number" min="0" max="100" step="any" value={form.taxRate}
+              onChange={e => setForm(f => ({ ...f, taxRate: e.target.value }))} style={{ ...input, width: 70, marginLeft: 6 }} />
+          </label>
+          <label style={{ fontSize: 12, color: '#6b7280' }}>
+            <input type="checkbox" checked={!!form.isDefault} onChange={e => setForm(f => ({ ...f, isDefault: e.target.checked }))} /> Default
+          </label>
+          <button onClick={saveBook} disabled={!form.name.trim()} style={{ ...primary, opacity: form.name.trim() ? 1 : 0.6 }}>Save</button>
+          <button onClick={() => setForm(null)} style={link('#6b7280')}>Cancel</button>
+        </div>
+      )}
+
+      {books.length === 0 ? (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '12px 0' }}>
+          No price books yet — quotes use catalog list prices.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13, marginTop: 8 }}>
+          <thead>
+            <tr style={{ color: '#6b7280', fontSize: 11, textAlign: 'left' }}>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Book</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Segment</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Currency</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Tax</th>
+              <th style={{ padding: '6px 8px', fontWeight: 500 }}>Prices</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {books.map(b => (
+              <tr key={b.id} style={{ borderTop: '1px solid #f1f5f9', opacity: b.is_active ? 1 : 0.55,
+                                      background: openId === b.id ? '#f0f9ff' : 'transparent' }}>
+                <td style={{ padding: '7px 8px' }}>
+                  <button onClick={() => setOpenId(openId === b.id ? null : b.id)}
+                    style={{ ...link('#111827'), fontWeight: 600, fontSize: 13, padding: 0 }}>{b.name}</button>
+                  {b.is_default && <span style={{ marginLeft: 6, fontSize: 10, fontWeight: 700, color: '#0369a1' }}>DEFAULT</span>}
+                  {!b.is_active && <span style={{ marginLeft: 6, fontSize: 10, fontWeight: 700, color: '#9ca3af' }}>INACTIVE</span>}
+                </td>
+                <td style={{ padding: '7px 8px', color: '#6b7280' }}>{b.segment || '—'}</td>
+                <td style={{ padding: '7px 8px', color: '#6b7280' }}>{b.currency || 'Corporate'}</td>
+                <td style={{ padding: '7px 8px', color: '#6b7280' }}>{Number(b.tax_rate)}%</td>
+                <td style={{ padding: '7px 8px', color: '#6b7280' }}>{b.entry_count}</td>
+                <td style={{ padding: '7px 8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                  <button onClick={() => setForm({ id: b.id, name: b.name, segment: b.segment || '', description: b.description || '',
+                                                   currency: b.currency || '', taxRate: b.tax_rate, isDefault: b.is_default })}
+                    style={link()}>Edit</button>
+                  <button onClick={() => toggleActive(b)} style={link('#6b7280')}>{b.is_active ? 'Deactivate' : 'Activate'}</button>
+                  <button onClick={() => deleteBook(b)} style={link('#991b1b')}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {book && (
+        <div style={{ marginTop: 18 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: '#111827' }}>{book.name} — prices</div>
+          <div style={{ fontSize: 12, color: '#6b7280', marginTop: 3, marginBottom: 10 }}>
+            In {book.currency || 'the corporate currency'}, per unit per billing period.
+          </div>
+          <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+            <select value={addProduct} onChange={e => setAddProduct(e.target.value)} style={input}>
+              <option value="">Add a product…</option>
+              {catalog.filter(p => !listed.has(p.id)).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button onClick={addEntry} disabled={!addProduct} style={{ ...primary, opacity: addProduct ? 1 : 0.6 }}>Add</button>
+          </div>
+          {book.entries.length === 0 ? (
+            <div style={{ fontSize: 13, color: '#9ca3af' }}>No prices in this book yet.</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr style={{ color: '#6b7280', fontSize: 11, textAlign: 'left' }}>
+                  <th style={{ padding: '6px 8px', fontWeight: 500 }}>Product</th>
+                  <th style={{ padding: '6px 8px', fontWeight: 500 }}>Model</th>
+                  <th style={{ padding: '6px 8px', fontWeight: 500 }}>Price</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {book.entries.map(e => (
+                  <EntryRow key={`${e.id}-${e.updated_at}`} entry={e}
+                    onSave={data => saveEntry(e.product_id, data)} onRemove={() => removeEntry(e.product_id)} />
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <div style={{ fontSize: 14, fontWeight: 600, color: '#111827', marginTop: 24 }}>Account segments</div>
+      <div style={{ fontSize: 12, color: '#6b7280', marginTop: 3, marginBottom: 10, lineHeight: 1.55 }}>
+        Which book an account's new quotes start from. Blank = the default book.
+      </div>
+      <input placeholder="Filter accounts…" value={accountFilter} onChange={e => setAccountFilter(e.target.value)}
+        style={{ ...input, width: 240, marginBottom: 8 }} />
+      <datalist id="oa-price-segments">
+        {segments.map(s => <option key={s} value={s} />)}
+      </datalist>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+        <tbody>
+          {shownAccounts.map(a => (
+            <tr key={a.id} style={{ borderTop: '1px solid #f1f5f9' }}>
+              <td style={{ padding: '6px 8px' }}>{a.name}</td>
+              <td style={{ padding: '6px 8px' }}>
+                <input list="oa-price-segments" defaultValue={a.pricing_segment || ''} key={`${a.id}-${a.pricing_segment || ''}`}
+                  placeholder="Default"
+                  onBlur={e => (e.target.value.trim() || null) !== (a.pricing_segment || null) && setSegment(a.id, e.target.value.trim())}
+                  style={{ ...small, width: 180 }} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 14, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
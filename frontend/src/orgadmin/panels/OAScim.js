@@ -0,0 +1,223 @@
+/* OAScim.js — 2026_135
+ *
+ * SCIM 2.0 provisioning. The IdP (Okta, Entra ID, …) gets the base URL and a
+ * bearer token from here, then creates, updates and deactivates members and
+ * pushes groups as teams in the chosen dimension. Only addresses in the org's
+ * verified domains (OASso.js) can be provisioned.
+ *
+ * A deactivation — from the IdP or the Members screen — hands the person's
+ * open prospects, deals, actions and sequences to their manager, else the
+ * fallback owner below, else the longest-standing owner. The log at the
+ * bottom shows what moved.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const fmtTime = (t) => (t ? new Date(t).toLocaleString() : '—');
+
+const COUNT_LABELS = [
+  ['prospects', 'prospects'], ['deals', 'deals'], ['actions', 'actions'],
+  ['prospectingActions', 'prospecting actions'], ['enrollments', 'enrollments'],
+  ['senderAccounts', 'mailboxes off'], ['oauthTokens', 'tokens revoked'],
+];
+
+export default function OAScim() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [config, setConfig]         = useState(null);
+  const [draft, setDraft]           = useState({ enabled: false, groupDimension: 'function', fallbackOwnerId: '' });
+  const [dimensions, setDimensions] = useState([]);
+  const [members, setMembers]       = useState([]);
+  const [log, setLog]               = useState([]);
+  const [newToken, setNewToken]     = useState(null);   // shown once
+  const [saving, setSaving]         = useState(false);
+  const [msg, setMsg]               = useState('');
+  const [err, setErr]               = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}${path}`, { headers, ...opts });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data?.error?.message || 'Request failed');
+    return data;
+  };
+
+  const apply = (scim) => {
+    setConfig(scim);
+    setDraft({
+      enabled:         scim.enabled,
+      groupDimension:  scim.groupDimension,
+      fallbackOwnerId: scim.fallbackOwnerId ? String(scim.fallbackOwnerId) : '',
+    });
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const [cfg, dims, mem, off] = await Promise.all([
+        call('/org/admin/scim'),
+        call('/org/admin/team-dimensions'),
+        call('/org/admin/members'),
+        call('/org/admin/scim/offboardings'),
+      ]);
+      apply(cfg.scim);
+      setDimensions(dims.dimensions || []);
+      setMembers((mem.members || []).filter(m => m.is_active));
+      setLog(off.offboardings || []);
+    } catch (e) {
+      setErr(e.message || 'Could not load SCIM settings');
+    }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  const run = async (fn) => {
+    setSaving(true); setErr('');
+    try { await fn(); } catch (e) { setErr(e.message); } finally { setSaving(false); }
+  };
+
+  const save = () => run(async () => {
+    const data = await call('/org/admin/scim', {
+      method: 'PUT',
+      body: JSON.stringify({ ...draft, fallbackOwnerId: draft.fallbackOwnerId || null }),
+    });
+    apply(data.scim);
+    flash('Saved ✓');
+  });
+
+  const generate = () => {
+    if (config.hasToken && !window.confirm('Generate a new token? The current one stops working immediately — update your IdP.')) return;
+    run(async () => {
+      const data = await call('/org/admin/scim/token', { method: 'POST' });
+      setNewToken(data.scim.token);
+      apply(data.scim);
+    });
+  };
+
+  const revoke = () => {
+    if (!window.confirm('Revoke the SCIM token? Your IdP will no longer be able to provision or deactivate members.')) return;
+    run(async () => {
+      const data = await call('/org/admin/scim/token', { method: 'DELETE' });
+      apply(data.scim);
+      flash('Token revoked');
+    });
+  };
+
+  if (!config) {
+    return <div style={{ fontSize: 13, color: err ? '#991b1b' : '#6b7280', padding: 16 }}>{err || 'Loading…'}</div>;
+  }
+
+  const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db', width: '100%', boxSizing: 'border-box' };
+  const label = { display: 'block', fontSize: 12, fontWeight: 600, color: '#374151', margin: '12px 0 4px' };
+  const hint  = { fontSize: 11, color: '#6b7280', marginTop: 3 };
+  const btn   = { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' };
+  const link  = { fontSize: 12, background: 'none', border: 'none', color: '#0369a1', cursor: 'pointer', padding: '0 6px' };
+  const check = { display: 'flex', gap: 8, alignItems: 'baseline', fontSize: 13, padding: '4px 0', cursor: 'pointer' };
+  const th    = { textAlign: 'left', fontSize: 11, fontWeight: 600, color: '#6b7280', padding: '6px 8px', borderBottom: '1px solid #e5e7eb' };
+  const td    = { fontSize: 12, padding: '6px 8px', borderBottom: '1px solid #f3f4f6', verticalAlign: 'top' };
+
+  return (
+    <div style={{ maxWidth: 820 }}>
+      {newToken && (
+        <div style={{ background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: 8, padding: '12px 14px', marginBottom: 16 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#92400e' }}>SCIM bearer token</div>
+          <div style={{ fontSize: 12, color: '#92400e', margin: '4px 0 8px' }}>
+            Copy it now — it will not be shown again. Paste it into your IdP's SCIM connector as the API token.
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <code style={{ fontSize: 12, background: '#fff', padding: '6px 10px', borderRadius: 6, border: '1px solid #fde68a', flex: 1, wordBreak: 'break-all' }}>
+              {newToken}
+            </code>
+            <button style={btn} onClick={() => navigator.clipboard?.writeText(newToken).then(() => flash('Copied ✓'))}>Copy</button>
+            <button style={{ ...link, color: '#92400e' }} onClick={() => setNewToken(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ background: '#f8fafc', border: '1px solid #e5e7eb', borderRadius: 8, padding: '12px 14px', marginBottom: 16 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', marginBottom: 6 }}>Connector details for your IdP</div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, padding: '3px 0' }}>
+          <span style={{ width: 150, color: '#6b7280', flexShrink: 0 }}>SCIM base URL</span>
+          <code style={{ flex: 1, wordBreak: 'break-all' }}>{config.baseUrl}</code>
+          <button style={link} onClick={() => navigator.clipboard?.writeText(config.baseUrl).then(() => flash('Copied ✓'))}>Copy</button>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, padding: '3px 0' }}>
+          <span style={{ width: 150, color: '#6b7280', flexShrink: 0 }}>Bearer token</span>
+          <span style={{ flex: 1 }}>
+            {config.hasToken ? <>…{config.tokenLast4} · created {fmtTime(config.tokenCreatedAt)}</> : 'None yet'}
+          </span>
+          <button style={link} disabled={saving} onClick={generate}>{config.hasToken ? 'Rotate' : 'Generate'}</button>
+          {config.hasToken && <button style={{ ...link, color: '#991b1b' }} disabled={saving} onClick={revoke}>Revoke</button>}
+        </div>
+        <div style={hint}>
+          userName is the member's email, and must be in a domain verified under Single Sign-On. New members use the default roles from Single Sign-On (Member if SSO isn't set up) and take a seat.
+          Someone who also belongs to another organization can't be created here (invite them), and their email and name can't be changed from the IdP.
+        </div>
+      </div>
+
+      <label style={check}>
+        <input type="checkbox" checked={draft.enabled} disabled={!config.hasToken} onChange={e => set('enabled', e.target.checked)} />
+        <span><b>Enable SCIM provisioning</b></span>
+      </label>
+
+      <div style={{ display: 'flex', gap: 12 }}>
+        <div style={{ flex: 1 }}>
+          <label style={label}>Groups map to teams in</label>
+          <select style={input} value={draft.groupDimension} onChange={e => set('groupDimension', e.target.value)}>
+            {dimensions.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+          </select>
+          <div style={hint}>A pushed group links to an existing team with the same name, or creates one.</div>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={label}>Fallback owner for reassigned work</label>
+          <select style={input} value={draft.fallbackOwnerId} onChange={e => set('fallbackOwnerId', e.target.value)}>
+            <option value="">— Longest-standing owner —</option>
+            {members.map(m => <option key={m.user_id} value={m.user_id}>{m.name || m.email}</option>)}
+          </select>
+          <div style={hint}>Used when the departing person has no active manager in the hierarchy.</div>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16 }}>
+        <button style={{ ...btn, opacity: saving ? 0.6 : 1 }} disabled={saving} onClick={save}>Save</button>
+        <span style={{ flex: 1 }} />
+        <span style={{ fontSize: 11, color: '#9ca3af' }}>Last IdP request: {fmtTime(config.lastRequestAt)}</span>
+      </div>
+
+      <div style={{ marginTop: 14, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+
+      <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', margin: '20px 0 6px' }}>Recent deactivations</div>
+      {log.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#6b7280' }}>No one has been deactivated yet.</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={th}>When</th><th style={th}>Member</th><th style={th}>Source</th>
+              <th style={th}>Handed to</th><th style={th}>Moved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {log.map(o => (
+              <tr key={o.id}>
+                <td style={td}>{fmtTime(o.created_at)}</td>
+                <td style={td}>{o.user_name?.trim() || o.user_email}</td>
+                <td style={td}>{o.source === 'scim' ? 'IdP (SCIM)' : 'Admin'}</td>
+                <td style={td}>{o.successor_name?.trim() || '—'}</td>
+                <td style={{ ...td, color: '#6b7280' }}>
+                  {COUNT_LABELS.filter(([k]) => o.counts?.[k]).map(([k, l]) => `${o.counts[k]} ${l}`).join(' · ') || 'Nothing open'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
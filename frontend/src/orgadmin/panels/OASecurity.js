@@ -0,0 +1,116 @@
+/* OASecurity.js — 2026_136
+ *
+ * Org two-factor policy. Members covered by the policy who haven't enrolled
+ * are walked through authenticator setup at their next sign-in — password
+ * or SSO — before they get in; sessions already open run to expiry.
+ *
+ * The roster shows who has 2FA on, so admins can chase people before
+ * switching the requirement on.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const POLICIES = [
+  { key: 'off',    label: 'Optional',              hint: 'Members can turn on 2FA in Settings → Security.' },
+  { key: 'admins', label: 'Required for admins',   hint: 'Owners and admins must use 2FA.' },
+  { key: 'all',    label: 'Required for everyone', hint: 'Every member must use 2FA.' },
+];
+
+export default function OASecurity() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [data, setData]     = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg]       = useState('');
+  const [err, setErr]       = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}${path}`, { headers, ...opts });
+    const body = await r.json();
+    if (!r.ok) throw new Error(body?.error?.message || 'Request failed');
+    return body;
+  };
+
+  const load = useCallback(async () => {
+    try { setData(await call('/org/admin/security')); }
+    catch (e) { setErr(e.message || 'Could not load security settings'); }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const choose = async (policy) => {
+    if (policy === data.mfaPolicy) return;
+    const missing = data.members.filter(m => !m.mfa_enabled &&
+      (policy === 'all' || (policy === 'admins' && ['owner', 'admin'].includes(m.role)))).length;
+    if (missing && !window.confirm(`${missing} member${missing === 1 ? '' : 's'} will have to set up 2FA at their next sign-in. Continue?`)) return;
+    setSaving(true); setErr('');
+    try {
+      setData(await call('/org/admin/security', { method: 'PUT', body: JSON.stringify({ mfaPolicy: policy }) }));
+      flash('Saved ✓');
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!data) {
+    return <div style={{ fontSize: 13, color: err ? '#991b1b' : '#6b7280', padding: 16 }}>{err || 'Loading…'}</div>;
+  }
+
+  const enrolled = data.members.filter(m => m.mfa_enabled).length;
+  const th = { textAlign: 'left', fontSize: 11, fontWeight: 600, color: '#6b7280', padding: '6px 8px', borderBottom: '1px solid #e5e7eb' };
+  const td = { fontSize: 12, padding: '6px 8px', borderBottom: '1px solid #f3f4f6' };
+  const chip = (bg, fg) => ({ fontSize: 11, fontWeight: 600, padding: '2px 8px', borderRadius: 10, background: bg, color: fg });
+
+  return (
+    <div style={{ maxWidth: 760 }}>
+      <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', marginBottom: 8 }}>Two-factor authentication</div>
+      {POLICIES.map(p => (
+        <label key={p.key} style={{ display: 'flex', gap: 8, alignItems: 'baseline', fontSize: 13, padding: '4px 0', cursor: 'pointer' }}>
+          <input type="radio" name="mfaPolicy" checked={data.mfaPolicy === p.key} disabled={saving}
+            onChange={() => choose(p.key)} />
+          <span>
+            <b>{p.label}</b>
+            <div style={{ fontSize: 11, color: '#6b7280', marginTop: 2 }}>{p.hint}</div>
+          </span>
+        </label>
+      ))}
+
+      <div style={{ marginTop: 8, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+
+      <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', margin: '16px 0 6px' }}>
+        Members <span style={{ fontWeight: 400, color: '#6b7280' }}>· {enrolled} of {data.members.length} using 2FA</span>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr><th style={th}>Member</th><th style={th}>Role</th><th style={th}>2FA</th></tr>
+        </thead>
+        <tbody>
+          {data.members.map(m => (
+            <tr key={m.user_id}>
+              <td style={td}>
+                {m.name?.trim() || m.email}
+                <div style={{ fontSize: 11, color: '#9ca3af' }}>{m.email}</div>
+              </td>
+              <td style={td}>{m.role}</td>
+              <td style={td}>
+                {m.mfa_enabled
+                  ? <span style={chip('#dcfce7', '#166534')}>On</span>
+                  : m.covered
+                    ? <span style={chip('#fef3c7', '#92400e')}>Setup at next sign-in</span>
+                    : <span style={chip('#f3f4f6', '#6b7280')}>Off</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,309 @@
+/* OASkills.js — 2026_139
+ *
+ * Org-authored skills. Fork a skill (whatever version the org runs today)
+ * into the org's draft, edit SKILL.md / templates / reference files
+ * in the browser, preview the draft against a real prospect or deal, and
+ * publish it as an org version. Publishing pins the org to the new version
+ * by default, so every run picks it up straight away.
+ *
+ * Publishing goes through the same eval gate as repo publishes: if the skill
+ * has eval sets, the draft needs a passing comparison run first (or an
+ * explicit skip).
+ *
+ * API: /skill-bundles/authoring, /skill-bundles/drafts/*
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const DIRS = ['templates', 'reference', 'schema', 'methodologies'];
+const EMAIL_INTENTS    = ['first_touch', 'follow_up', 'breakup'];
+const LINKEDIN_INTENTS = ['connection_request', 'post_accept_message', 'nurture_dm'];
+
+const S = {
+  btn:   { fontSize: 12, fontWeight: 600, padding: '6px 12px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' },
+  ghost: { fontSize: 12, fontWeight: 600, padding: '6px 12px', borderRadius: 6, border: '1px solid #d1d5db', background: '#fff', color: '#374151', cursor: 'pointer' },
+  danger: { fontSize: 12, fontWeight: 600, padding: '6px 12px', borderRadius: 6, border: '1px solid #fecaca', background: '#fff', color: '#991b1b', cursor: 'pointer' },
+  input: { fontSize: 12, padding: '6px 8px', borderRadius: 6, border: '1px solid #d1d5db', boxSizing: 'border-box' },
+  label: { fontSize: 11, fontWeight: 600, color: '#6b7280', marginBottom: 4 },
+  box:   { border: '1px solid #e5e7eb', borderRadius: 8, padding: 12, background: '#fff' },
+};
+
+export default function OASkills() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [skills, setSkills] = useState(null);
+  const [draft, setDraft]   = useState(null);
+  const [file, setFile]     = useState('SKILL.md');
+  const [text, setText]     = useState('');
+  const [busy, setBusy]     = useState(false);
+  const [msg, setMsg]       = useState('');
+  const [err, setErr]       = useState('');
+
+  const [target, setTarget]     = useState('');
+  const [option, setOption]     = useState('');
+  const [preview, setPreview]   = useState(null);
+  const [version, setVersion]   = useState('');
+  const [notes, setNotes]       = useState('');
+  const [pin, setPin]           = useState(true);
+  const [gate, setGate]         = useState(null);
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}/skill-bundles${path}`, { headers, ...opts });
+    const body = await r.json();
+    if (!r.ok) throw Object.assign(new Error(body?.error || 'Request failed'), { body });
+    return body;
+  };
+
+  const loadSkills = useCallback(async () => {
+    try { setSkills((await call('/authoring')).skills); }
+    catch (e) { setErr(e.message); }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { loadSkills(); }, [loadSkills]);
+
+  const flash = (t) => { setMsg(t); setTimeout(() => setMsg(''), 3000); };
+
+  const run = async (fn) => {
+    setBusy(true); setErr('');
+    try { await fn(); } catch (e) { setErr(e.message); } finally { setBusy(false); }
+  };
+
+  const openDraft = (d, path = 'SKILL.md') => {
+    setDraft(d);
+    setFile(path);
+    setText(d.files[path] || '');
+    setVersion(d.next_version);
+    setPreview(null); setGate(null);
+  };
+
+  const fork = (name) => run(async () => {
+    openDraft((await call('/drafts', { method: 'POST', body: JSON.stringify({ skill_name: name }) })).draft);
+    loadSkills();
+  });
+
+  const edit = (id) => run(async () => openDraft((await call(`/drafts/${id}`)).draft));
+
+  const dirty = draft && text !== (draft.files[file] || '');
+
+  const pick = (path) => {
+    if (dirty && !window.confirm('Discard unsaved changes to this file?')) return;
+    setFile(path); setText(draft.files[path] || '');
+  };
+
+  const save = () => run(async () => {
+    const d = (await call(`/drafts/${draft.id}/files/${encodeURIComponent(file)}`, {
+      method: 'PUT', body: JSON.stringify({ content: text }),
+    })).draft;
+    setDraft(d); flash('Saved ✓');
+  });
+
+  const addFile = () => {
+    const name = window.prompt(`New file path (${DIRS.map(d => `${d}/`).join(', ')}):`, 'templates/');
+    if (!name) return;
+    run(async () => {
+      const d = (await call(`/drafts/${draft.id}/files/${encodeURIComponent(name.trim())}`, {
+        method: 'PUT', body: JSON.stringify({ content: '' }),
+      })).draft;
+      openDraft(d, name.trim());
+    });
+  };
+
+  const removeFile = () => {
+    if (!window.confirm(`Delete ${file} from the draft?`)) return;
+    run(async () => openDraft((await call(`/drafts/${draft.id}/files/${encodeURIComponent(file)}`, { method: 'DELETE' })).draft));
+  };
+
+  const discard = () => {
+    if (!window.confirm(`Discard the ${draft.skill_name} draft? Published versions are kept.`)) return;
+    run(async () => {
+      await call(`/drafts/${draft.id}`, { method: 'DELETE' });
+      setDraft(null); loadSkills();
+    });
+  };
+
+  const runPreview = () => run(async () => {
+    if (dirty) throw new Error('Save the file before previewing');
+    setPreview(null);
+    const isDeal = draft.entity === 'deal';
+    const body = isDeal
+      ? { deal_id: target, methodology: option || null }
+      : { prospect_id: target, step_intent: option || null };
+    setPreview((await call(`/drafts/${draft.id}/preview`, { method: 'POST', body: JSON.stringify(body) })).result);
+  });
+
+  const publish = (skipEvalGate = false) => run(async () => {
+    if (dirty) throw new Error('Save the file before publishing');
+    setGate(null);
+    try {
+      const r = await call(`/drafts/${draft.id}/publish`, {
+        method: 'POST',
+        body: JSON.stringify({ version, notes: notes || undefined, pin, skip_eval_gate: skipEvalGate }),
+      });
+      flash(`Published ${draft.skill_name} ${r.version}${r.pinned ? ' — now live for your org' : ''}`);
+      setNotes('');
+      openDraft((await call(`/drafts/${draft.id}`)).draft, file);
+      loadSkills();
+    } catch (e) {
+      if (e.body?.code === 'EVAL_GATE') { setGate(e.body.gate); return; }
+      throw e;
+    }
+  });
+
+  if (!skills) {
+    return <div style={{ fontSize: 13, color: err ? '#991b1b' : '#6b7280', padding: 16 }}>{err || 'Loading…'}</div>;
+  }
+
+  const status = (
+    <div style={{ minHeight: 18, margin: '6px 0' }}>
+      {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+      {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+    </div>
+  );
+
+  // ── skill list ─────────────────────────────────────────────────────────────
+  if (!draft) {
+    const th = { textAlign: 'left', fontSize: 11, fontWeight: 600, color: '#6b7280', padding: '6px 8px', borderBottom: '1px solid #e5e7eb' };
+    const td = { fontSize: 12, padding: '8px', borderBottom: '1px solid #f3f4f6' };
+    return (
+      <div style={{ maxWidth: 820 }}>
+        <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 10 }}>
+          Fork a skill to change how it writes for your organisation. Your draft is private until you publish it.
+        </div>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr><th style={th}>Skill</th><th style={th}>Runs on</th><th style={th}>Live version</th><th style={th}>Draft</th><th style={th} /></tr>
+          </thead>
+          <tbody>
+            {skills.map(s => (
+              <tr key={s.name}>
+                <td style={td}><b>{s.name}</b></td>
+                <td style={td}>{s.entity === 'deal' ? 'Deals' : 'Prospects'}</td>
+                <td style={td}>{s.current ? s.current.label : '—'}</td>
+                <td style={td}>
+                  {s.draft ? `Forked from ${s.draft.base_label || '—'} · edited ${new Date(s.draft.updated_at).toLocaleDateString()}` : '—'}
+                </td>
+                <td style={{ ...td, textAlign: 'right' }}>
+                  {s.draft
+                    ? <button style={S.btn} disabled={busy} onClick={() => edit(s.draft.id)}>Edit draft</button>
+                    : <button style={S.ghost} disabled={busy} onClick={() => fork(s.name)}>Fork</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {status}
+      </div>
+    );
+  }
+
+  // ── editor ─────────────────────────────────────────────────────────────────
+  const paths = Object.keys(draft.files).sort((a, b) => (a === 'SKILL.md' ? -1 : b === 'SKILL.md' ? 1 : a.localeCompare(b)));
+  const isDeal = draft.entity === 'deal';
+  const options = isDeal ? ['meddic', 'challenger']
+    : draft.skill_name === 'outreach-linkedin' ? LINKEDIN_INTENTS : EMAIL_INTENTS;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+        <button style={S.ghost} onClick={() => { if (!dirty || window.confirm('Discard unsaved changes?')) { setDraft(null); loadSkills(); } }}>← Skills</button>
+        <div style={{ fontSize: 14, fontWeight: 700, color: '#111827' }}>{draft.skill_name}</div>
+        <div style={{ fontSize: 11, color: '#6b7280' }}>
+          draft forked from {draft.base_label || '—'}
+          {draft.latest_org_version && <> · latest org version {draft.latest_org_version}</>}
+        </div>
+        <div style={{ flex: 1 }} />
+        <button style={S.danger} disabled={busy} onClick={discard}>Discard draft</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 12, alignItems: 'stretch' }}>
+        <div style={{ width: 220, flexShrink: 0 }}>
+          {paths.map(p => (
+            <div key={p} onClick={() => pick(p)}
+              style={{ fontSize: 12, padding: '5px 8px', borderRadius: 5, cursor: 'pointer', wordBreak: 'break-all',
+                       background: p === file ? '#e0f2fe' : 'transparent', color: p === file ? '#075985' : '#374151' }}>
+              {p}{p === file && dirty ? ' •' : ''}
+            </div>
+          ))}
+          <button style={{ ...S.ghost, marginTop: 8, width: '100%' }} disabled={busy} onClick={addFile}>+ Add file</button>
+        </div>
+
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <textarea value={text} onChange={e => setText(e.target.value)} spellCheck={false}
+            style={{ width: '100%', height: 460, boxSizing: 'border-box', fontFamily: 'ui-monospace, Menlo, monospace',
+                     fontSize: 12, lineHeight: 1.5, padding: 10, border: '1px solid #d1d5db', borderRadius: 6 }} />
+          <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+            <button style={S.btn} disabled={busy || !dirty} onClick={save}>Save file</button>
+            <button style={S.ghost} disabled={busy || !dirty} onClick={() => setText(draft.files[file] || '')}>Revert</button>
+            <div style={{ flex: 1 }} />
+            {file !== 'SKILL.md' && <button style={S.danger} disabled={busy} onClick={removeFile}>Delete file</button>}
+          </div>
+          {status}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 12, marginTop: 12, alignItems: 'flex-start' }}>
+        <div style={{ ...S.box, flex: 1 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 8 }}>Preview</div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div>
+              <div style={S.label}>{isDeal ? 'Deal ID' : 'Prospect ID'}</div>
+              <input style={{ ...S.input, width: 110 }} value={target} inputMode="numeric" onChange={e => setTarget(e.target.value)} />
+            </div>
+            <div>
+              <div style={S.label}>{isDeal ? 'Methodology' : 'Step intent'}</div>
+              <select style={S.input} value={option} onChange={e => setOption(e.target.value)}>
+                <option value="">Default</option>
+                {options.map(o => <option key={o} value={o}>{o}</option>)}
+              </select>
+            </div>
+            <button style={S.btn} disabled={busy || !/^\d+$/.test(target)} onClick={runPreview}>
+              {busy ? 'Running…' : 'Run preview'}
+            </button>
+          </div>
+          {preview && (
+            <div style={{ marginTop: 10 }}>
+              <div style={{ fontSize: 12, color: '#374151', marginBottom: 4 }}>
+                {preview.status}
+                {preview.validation && <> · route <b>{preview.validation.route}</b></>}
+                {preview.runId && <> · run {preview.runId}</>}
+              </div>
+              {preview.validation?.blocking?.length > 0 && (
+                <div style={{ fontSize: 12, color: '#991b1b', marginBottom: 4 }}>{preview.validation.blocking.join(' · ')}</div>
+              )}
+              <pre style={{ fontSize: 11, background: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: 6, padding: 8,
+                            maxHeight: 320, overflow: 'auto', whiteSpace: 'pre-wrap', margin: 0 }}>
+                {JSON.stringify(preview.output || preview.error || preview.reasons, null, 2)}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        <div style={{ ...S.box, width: 300, flexShrink: 0 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 8 }}>Publish</div>
+          <div style={S.label}>Version</div>
+          <input style={{ ...S.input, width: '100%' }} value={version} onChange={e => setVersion(e.target.value)} placeholder="1.1.0" />
+          <div style={{ ...S.label, marginTop: 8 }}>Notes</div>
+          <textarea style={{ ...S.input, width: '100%', height: 54 }} value={notes} onChange={e => setNotes(e.target.value)} />
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 12, margin: '8px 0' }}>
+            <input type="checkbox" checked={pin} onChange={e => setPin(e.target.checked)} />
+            Make it live for the org now
+          </label>
+          <button style={S.btn} disabled={busy || !version.trim()} onClick={() => publish(false)}>Publish version</button>
+          {gate && (
+            <div style={{ marginTop: 10, fontSize: 12, color: '#92400e', background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: 6, padding: 8 }}>
+              <div style={{ marginBottom: 4 }}>{gate.message}</div>
+              <div style={{ color: '#6b7280', marginBottom: 6 }}>
+                Run the skill's eval sets with candidate <code>draft:{draft.id}</code> to clear the gate.
+              </div>
+              <button style={S.danger} disabled={busy}
+                onClick={() => window.confirm('Publish without a passing eval run?') && publish(true)}>
+                Publish anyway
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,281 @@
+/* OASso.js — 2026_134
+ *
+ * Per-org SAML single sign-on. The top block is what the IdP admin needs from
+ * us (entity ID, ACS URL, metadata URL); the form below is what we need from
+ * them. People whose email domain is listed sign in through the IdP and are
+ * created on first login with the default roles chosen here.
+ *
+ * Each listed domain gets a DNS TXT record to publish; SSO can only be turned
+ * on once every listed domain has been verified through it.
+ *
+ * "Require SSO" turns password login off for everyone except owners, who keep
+ * it as a way back in if the IdP is down or misconfigured.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const EMPTY = {
+  enabled: false, idpEntityId: '', idpSsoUrl: '', idpCert: '', emailDomains: '',
+  defaultRole: 'member', defaultOrgRoleId: '', jitProvisioning: true, enforceSso: false,
+};
+
+const fmtTime = (t) => (t ? new Date(t).toLocaleString() : '—');
+
+export default function OASso() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [config, setConfig]   = useState(null);
+  const [draft, setDraft]     = useState(EMPTY);
+  const [orgRoles, setOrgRoles] = useState([]);
+  const [saving, setSaving]   = useState(false);
+  const [msg, setMsg]         = useState('');
+  const [err, setErr]         = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}${path}`, { headers, ...opts });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data?.error?.message || 'Request failed');
+    return data;
+  };
+
+  const apply = (sso) => {
+    setConfig(sso);
+    setDraft({
+      enabled:          sso.enabled,
+      idpEntityId:      sso.idpEntityId,
+      idpSsoUrl:        sso.idpSsoUrl,
+      idpCert:          sso.idpCert,
+      emailDomains:     (sso.emailDomains || []).join(', '),
+      defaultRole:      sso.defaultRole,
+      defaultOrgRoleId: sso.defaultOrgRoleId ? String(sso.defaultOrgRoleId) : '',
+      jitProvisioning:  sso.jitProvisioning,
+      enforceSso:       sso.enforceSso,
+    });
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const [cfg, roles] = await Promise.all([call('/org/admin/sso'), call('/org-roles')]);
+      apply(cfg.sso);
+      setOrgRoles(roles.roles || []);
+    } catch (e) {
+      setErr(e.message || 'Could not load SSO settings');
+    }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  const save = async () => {
+    if (draft.enforceSso && !config.enforceSso &&
+        !window.confirm('Require SSO? Everyone except owners will have to sign in through your identity provider.')) return;
+    setSaving(true); setErr('');
+    try {
+      const data = await call('/org/admin/sso', {
+        method: 'PUT',
+        body: JSON.stringify({
+          ...draft,
+          emailDomains:     draft.emailDomains.split(/[\s,]+/).filter(Boolean),
+          defaultOrgRoleId: draft.defaultOrgRoleId || null,
+        }),
+      });
+      apply(data.sso);
+      flash('Saved ✓');
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const verifyDomain = async (domain) => {
+    setSaving(true); setErr('');
+    try {
+      await call(`/org/admin/sso/domains/${encodeURIComponent(domain)}/verify`, { method: 'POST' });
+      const data = await call('/org/admin/sso');
+      setConfig(c => ({ ...c, domains: data.sso.domains }));
+      flash(`${domain} verified ✓`);
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeDomain = async (domain) => {
+    if (!window.confirm(`Remove ${domain}? Verifying it again will need a new DNS record.`)) return;
+    setSaving(true); setErr('');
+    try {
+      await call(`/org/admin/sso/domains/${encodeURIComponent(domain)}`, { method: 'DELETE' });
+      setConfig(c => ({ ...c, domains: c.domains.filter(d => d.domain !== domain) }));
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm('Remove the SSO configuration? Password login is restored for everyone.')) return;
+    setSaving(true); setErr('');
+    try {
+      await call('/org/admin/sso', { method: 'DELETE' });
+      await load();
+      flash('SSO removed');
+    } catch (e) {
+      setErr(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config) {
+    return <div style={{ fontSize: 13, color: err ? '#991b1b' : '#6b7280', padding: 16 }}>{err || 'Loading…'}</div>;
+  }
+
+  const input = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db', width: '100%', boxSizing: 'border-box' };
+  const label = { display: 'block', fontSize: 12, fontWeight: 600, color: '#374151', margin: '12px 0 4px' };
+  const hint  = { fontSize: 11, color: '#6b7280', marginTop: 3 };
+  const btn   = { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' };
+  const link  = { fontSize: 12, background: 'none', border: 'none', color: '#0369a1', cursor: 'pointer', padding: '0 6px' };
+  const check = { display: 'flex', gap: 8, alignItems: 'baseline', fontSize: 13, padding: '4px 0', cursor: 'pointer' };
+
+  const spRows = [
+    ['Entity ID / Audience', config.sp.entityId],
+    ['ACS URL (HTTP-POST)',  config.sp.acsUrl],
+    ['Metadata URL',         config.sp.metadataUrl],
+    ['Sign-in URL',          config.sp.loginUrl],
+  ];
+
+  return (
+    <div style={{ maxWidth: 760 }}>
+      <div style={{ background: '#f8fafc', border: '1px solid #e5e7eb', borderRadius: 8, padding: '12px 14px', marginBottom: 16 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: '#111827', marginBottom: 6 }}>Service provider details for your IdP</div>
+        {spRows.map(([k, v]) => (
+          <div key={k} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, padding: '3px 0' }}>
+            <span style={{ width: 150, color: '#6b7280', flexShrink: 0 }}>{k}</span>
+            <code style={{ flex: 1, wordBreak: 'break-all' }}>{v}</code>
+            <button style={link} onClick={() => navigator.clipboard?.writeText(v).then(() => flash('Copied ✓'))}>Copy</button>
+          </div>
+        ))}
+        <div style={hint}>
+          NameID format: email address. Send <code>email</code>, <code>firstName</code> and <code>lastName</code> attributes
+          (or the standard claim URIs). Assertions must be signed.
+        </div>
+      </div>
+
+      <label style={check}>
+        <input type="checkbox" checked={draft.enabled} onChange={e => set('enabled', e.target.checked)} />
+        <span><b>Enable SAML single sign-on</b></span>
+      </label>
+
+      <label style={label}>IdP SSO URL</label>
+      <input style={input} value={draft.idpSsoUrl} placeholder="https://idp.example.com/sso/saml"
+        onChange={e => set('idpSsoUrl', e.target.value)} />
+
+      <label style={label}>IdP entity ID (issuer)</label>
+      <input style={input} value={draft.idpEntityId} placeholder="Optional — when set, the response issuer must match"
+        onChange={e => set('idpEntityId', e.target.value)} />
+
+      <label style={label}>IdP signing certificate</label>
+      <textarea style={{ ...input, fontFamily: 'monospace', fontSize: 11, minHeight: 110 }} value={draft.idpCert}
+        placeholder="-----BEGIN CERTIFICATE-----" onChange={e => set('idpCert', e.target.value)} />
+      {config.idpCertInfo && (
+        <div style={hint}>
+          {config.idpCertInfo.subject.replace(/\n/g, ', ')} · expires {config.idpCertInfo.validTo}
+        </div>
+      )}
+
+      <label style={label}>Email domains</label>
+      <input style={input} value={draft.emailDomains} placeholder="acme.com, acme.co.uk"
+        onChange={e => set('emailDomains', e.target.value)} />
+      <div style={hint}>
+        People with these addresses are sent to your IdP from the login screen. Save to get a DNS record for each new
+        domain; SSO can be enabled once every domain is verified.
+      </div>
+      {(config.domains || []).length > 0 && (
+        <div style={{ border: '1px solid #e5e7eb', borderRadius: 6, marginTop: 8 }}>
+          {config.domains.map(d => (
+            <div key={d.domain} style={{ fontSize: 12, padding: '6px 10px', borderTop: '1px solid #f3f4f6' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <b>{d.domain}</b>
+                <span style={{
+                  fontSize: 10, fontWeight: 600, padding: '1px 7px', borderRadius: 10,
+                  background: d.verified ? '#d1fae5' : '#fef3c7', color: d.verified ? '#065f46' : '#92400e',
+                }}>{d.verified ? 'Verified' : 'Not verified'}</span>
+                <span style={{ flex: 1 }} />
+                {!d.verified && <button style={link} disabled={saving} onClick={() => verifyDomain(d.domain)}>Verify</button>}
+                {!config.emailDomains.includes(d.domain) && (
+                  <button style={{ ...link, color: '#991b1b' }} disabled={saving} onClick={() => removeDomain(d.domain)}>Remove</button>
+                )}
+              </div>
+              {!d.verified && (
+                <div style={{ ...hint, display: 'grid', gridTemplateColumns: '48px 1fr auto', gap: '2px 8px', alignItems: 'center' }}>
+                  <span>TXT</span>
+                  <code style={{ wordBreak: 'break-all' }}>{d.txtHost}</code>
+                  <button style={link} onClick={() => navigator.clipboard?.writeText(d.txtHost).then(() => flash('Copied ✓'))}>Copy</button>
+                  <span>Value</span>
+                  <code style={{ wordBreak: 'break-all' }}>{d.txtValue}</code>
+                  <button style={link} onClick={() => navigator.clipboard?.writeText(d.txtValue).then(() => flash('Copied ✓'))}>Copy</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 12 }}>
+        <div style={{ flex: 1 }}>
+          <label style={label}>Default access role</label>
+          <select style={input} value={draft.defaultRole} onChange={e => set('defaultRole', e.target.value)}>
+            <option value="member">Member</option>
+            <option value="viewer">Viewer</option>
+            <option value="admin">Admin</option>
+          </select>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={label}>Default org role</label>
+          <select style={input} value={draft.defaultOrgRoleId} onChange={e => set('defaultOrgRoleId', e.target.value)}>
+            <option value="">— None —</option>
+            {orgRoles.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <label style={{ ...check, marginTop: 12 }}>
+        <input type="checkbox" checked={draft.jitProvisioning} onChange={e => set('jitProvisioning', e.target.checked)} />
+        <span>
+          Create accounts on first sign-in
+          <div style={hint}>Uses a seat and the default roles above. When off, only existing members can sign in with SSO.</div>
+        </span>
+      </label>
+
+      <label style={check}>
+        <input type="checkbox" checked={draft.enforceSso} disabled={!draft.enabled}
+          onChange={e => set('enforceSso', e.target.checked)} />
+        <span>
+          Require SSO — turn off password login
+          <div style={hint}>Owners can still sign in with a password, so you can't be locked out if the IdP is down.</div>
+        </span>
+      </label>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16 }}>
+        <button style={{ ...btn, opacity: saving ? 0.6 : 1 }} disabled={saving} onClick={save}>Save</button>
+        {config.updatedAt && (
+          <button style={{ ...link, color: '#991b1b' }} disabled={saving} onClick={remove}>Remove SSO</button>
+        )}
+        <span style={{ flex: 1 }} />
+        <span style={{ fontSize: 11, color: '#9ca3af' }}>Last SSO sign-in: {fmtTime(config.lastLoginAt)}</span>
+      </div>
+
+      <div style={{ marginTop: 14, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
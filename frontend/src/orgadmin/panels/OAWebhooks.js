@@ -0,0 +1,325 @@
+/* OAWebhooks.js — 2026_133
+ *
+ * Outbound webhook subscriptions: HTTPS endpoints that receive a signed POST
+ * when a subscribed event happens. Deliveries retry with backoff on the worker;
+ * the log below each endpoint shows every attempt and lets an admin re-send.
+ *
+ * The signing secret is returned exactly once — on create and on rotate — and
+ * is shown in a banner until dismissed. After that only its last 4 characters
+ * are available.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+
+const STATUS_STYLE = {
+  delivered: { bg: '#dcfce7', fg: '#166534' },
+  pending:   { bg: '#fef3c7', fg: '#92400e' },
+  failed:    { bg: '#fee2e2', fg: '#991b1b' },
+};
+
+function StatusPill({ status }) {
+  const s = STATUS_STYLE[status] || { bg: '#f3f4f6', fg: '#374151' };
+  return (
+    <span style={{ fontSize: 11, fontWeight: 600, padding: '2px 8px', borderRadius: 10, background: s.bg, color: s.fg }}>
+      {status}
+    </span>
+  );
+}
+
+const fmtTime = (t) => (t ? new Date(t).toLocaleString() : '—');
+
+export default function OAWebhooks() {
+  const API     = process.env.REACT_APP_API_URL;
+  const token   = localStorage.getItem('token') || localStorage.getItem('authToken');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const [events, setEvents]       = useState([]);
+  const [hooks, setHooks]         = useState(null);
+  const [draft, setDraft]         = useState({ name: '', url: '', events: [] });
+  const [showForm, setShowForm]   = useState(false);
+  const [secret, setSecret]       = useState(null);   // { name, value } — shown once
+  const [openId, setOpenId]       = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [detail, setDetail]       = useState(null);
+  const [saving, setSaving]       = useState(false);
+  const [msg, setMsg]             = useState('');
+  const [err, setErr]             = useState('');
+
+  const call = async (path, opts = {}) => {
+    const r = await fetch(`${API}/org/admin/webhooks${path}`, { headers, ...opts });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data?.error?.message || 'Request failed');
+    return data;
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const [ev, list] = await Promise.all([call('/events'), call('/')]);
+      setEvents(ev.events || []);
+      setHooks(list.webhooks || []);
+    } catch (e) {
+      setErr(e.message || 'Could not load webhooks');
+      setHooks([]);
+    }
+  }, []); // eslint-disable-line
+
+  useEffect(() => { load(); }, [load]);
+
+  const loadDeliveries = useCallback(async (id) => {
+    try {
+      const data = await call(`/${id}/deliveries?limit=50`);
+      setDeliveries(data.deliveries || []);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }, []); // eslint-disable-line
+
+  const flash = (text) => { setMsg(text); setTimeout(() => setMsg(''), 3000); };
+
+  const run = async (fn, okText) => {
+    setSaving(true); setErr('');
+    try {
+      const out = await fn();
+      if (okText) flash(okText);
+      return out;
+    } catch (e) {
+      setErr(e.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEvent = (key) => setDraft(d => ({
+    ...d, events: d.events.includes(key) ? d.events.filter(e => e !== key) : [...d.events, key],
+  }));
+
+  const create = () => run(async () => {
+    const data = await call('/', { method: 'POST', body: JSON.stringify(draft) });
+    setSecret({ name: data.webhook.name, value: data.webhook.secret });
+    setDraft({ name: '', url: '', events: [] });
+    setShowForm(false);
+    await load();
+  }, 'Webhook created ✓');
+
+  const update = (id, patch) => run(async () => {
+    await call(`/${id}`, { method: 'PATCH', body: JSON.stringify(patch) });
+    await load();
+  }, 'Saved ✓');
+
+  const remove = (h) => {
+    if (!window.confirm(`Delete webhook "${h.name}"? Its delivery log is deleted too.`)) return;
+    run(async () => {
+      await call(`/${h.id}`, { method: 'DELETE' });
+      if (openId === h.id) setOpenId(null);
+      await load();
+    }, 'Deleted');
+  };
+
+  const rotate = (h) => {
+    if (!window.confirm(`Rotate the signing secret for "${h.name}"? Deliveries are signed with the new secret immediately.`)) return;
+    run(async () => {
+      const data = await call(`/${h.id}/rotate-secret`, { method: 'POST' });
+      setSecret({ name: h.name, value: data.webhook.secret });
+      await load();
+    });
+  };
+
+  const test = (h) => run(async () => {
+    await call(`/${h.id}/test`, { method: 'POST' });
+    if (openId === h.id) setTimeout(() => loadDeliveries(h.id), 1500);
+  }, 'Test delivery queued');
+
+  const redeliver = (d) => run(async () => {
+    await call(`/deliveries/${d.id}/redeliver`, { method: 'POST' });
+    setTimeout(() => loadDeliveries(openId), 1500);
+  }, 'Re-delivery queued');
+
+  const toggleLog = (id) => {
+    setDetail(null);
+    if (openId === id) { setOpenId(null); return; }
+    setOpenId(id);
+    setDeliveries([]);
+    loadDeliveries(id);
+  };
+
+  const showDetail = async (d) => {
+    if (detail?.id === d.id) { setDetail(null); return; }
+    try {
+      const data = await call(`/deliveries/${d.id}`);
+      setDetail(data.delivery);
+    } catch (e) {
+      setErr(e.message);
+    }
+  };
+
+  if (hooks === null) {
+    return <div style={{ fontSize: 13, color: '#6b7280', padding: 16 }}>Loading…</div>;
+  }
+
+  const input  = { fontSize: 13, padding: '6px 10px', borderRadius: 6, border: '1px solid #d1d5db' };
+  const btn    = { fontSize: 12, fontWeight: 600, padding: '7px 14px', borderRadius: 6, border: 'none', background: '#0369a1', color: '#fff', cursor: 'pointer' };
+  const link   = { fontSize: 12, background: 'none', border: 'none', color: '#0369a1', cursor: 'pointer', padding: '0 6px' };
+  const canCreate = draft.name.trim() && draft.url.trim() && draft.events.length && !saving;
+
+  return (
+    <div style={{ maxWidth: 880 }}>
+      {secret && (
+        <div style={{ background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: 8, padding: '12px 14px', marginBottom: 16 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#92400e' }}>Signing secret for "{secret.name}"</div>
+          <div style={{ fontSize: 12, color: '#92400e', margin: '4px 0 8px' }}>
+            Copy it now — it will not be shown again. Verify each request by computing
+            HMAC-SHA256 over <code>{'{X-GoWarm-Timestamp}.{raw body}'}</code> and comparing with <code>X-GoWarm-Signature</code>.
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <code style={{ fontSize: 12, background: '#fff', padding: '6px 10px', borderRadius: 6, border: '1px solid #fde68a', flex: 1, wordBreak: 'break-all' }}>
+              {secret.value}
+            </code>
+            <button style={btn} onClick={() => navigator.clipboard?.writeText(secret.value).then(() => flash('Copied ✓'))}>Copy</button>
+            <button style={{ ...link, color: '#92400e' }} onClick={() => setSecret(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ flex: 1, fontSize: 12, color: '#6b7280', lineHeight: 1.55 }}>
+          Each endpoint receives a JSON POST per event. Failed deliveries are retried with
+          backoff for about an hour; the log keeps every attempt.
+        </div>
+        {!showForm && <button style={btn} onClick={() => setShowForm(true)}>+ Add endpoint</button>}
+      </div>
+
+      {showForm && (
+        <div style={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: 14, marginBottom: 16 }}>
+          <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+            <input placeholder="Name (e.g. Data warehouse)" value={draft.name}
+              onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} style={{ ...input, width: 220 }} />
+            <input placeholder="https://example.com/gowarm/webhook" value={draft.url}
+              onChange={e => setDraft(d => ({ ...d, url: e.target.value }))} style={{ ...input, flex: 1 }} />
+          </div>
+          <div style={{ fontSize: 12, fontWeight: 600, color: '#374151', marginBottom: 6 }}>Events</div>
+          {events.map(ev => (
+            <label key={ev.key} style={{ display: 'flex', gap: 8, alignItems: 'baseline', fontSize: 13, padding: '3px 0', cursor: 'pointer' }}>
+              <input type="checkbox" checked={draft.events.includes(ev.key)} onChange={() => toggleEvent(ev.key)} />
+              <code style={{ fontSize: 12 }}>{ev.key}</code>
+              <span style={{ color: '#6b7280', fontSize: 12 }}>{ev.description}</span>
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button style={{ ...btn, opacity: canCreate ? 1 : 0.6 }} disabled={!canCreate} onClick={create}>Create webhook</button>
+            <button style={link} onClick={() => { setShowForm(false); setDraft({ name: '', url: '', events: [] }); }}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {hooks.length === 0 && !showForm && (
+        <div style={{ fontSize: 13, color: '#9ca3af', padding: '8px 0' }}>No webhooks yet.</div>
+      )}
+
+      {hooks.map(h => (
+        <div key={h.id} style={{ border: '1px solid #e5e7eb', borderRadius: 8, marginBottom: 10 }}>
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: 12, padding: '12px 14px' }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: 14, fontWeight: 600, color: h.isActive ? '#111827' : '#9ca3af' }}>
+                {h.name} {!h.isActive && <span style={{ fontSize: 11, fontWeight: 500 }}>(disabled)</span>}
+              </div>
+              <div style={{ fontSize: 12, color: '#6b7280', marginTop: 2, wordBreak: 'break-all' }}>{h.url}</div>
+              <div style={{ fontSize: 11, color: '#6b7280', marginTop: 6, display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                {h.events.map(e => (
+                  <code key={e} style={{ background: '#f3f4f6', padding: '1px 6px', borderRadius: 4 }}>{e}</code>
+                ))}
+              </div>
+              <div style={{ fontSize: 11, color: '#9ca3af', marginTop: 6 }}>
+                Secret …{h.secretLast4}
+                {h.lastDelivery && <> · last delivery <StatusPill status={h.lastDelivery.status} /> {fmtTime(h.lastDelivery.at)}</>}
+              </div>
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: 2, maxWidth: 300 }}>
+              <button style={link} onClick={() => toggleLog(h.id)}>{openId === h.id ? 'Hide log' : 'Deliveries'}</button>
+              <button style={link} disabled={saving || !h.isActive} onClick={() => test(h)}>Send test</button>
+              <button style={link} disabled={saving} onClick={() => update(h.id, { isActive: !h.isActive })}>
+                {h.isActive ? 'Disable' : 'Enable'}
+              </button>
+              <button style={link} disabled={saving} onClick={() => rotate(h)}>Rotate secret</button>
+              <button style={{ ...link, color: '#991b1b' }} disabled={saving} onClick={() => remove(h)}>Delete</button>
+            </div>
+          </div>
+
+          {openId === h.id && (
+            <div style={{ borderTop: '1px solid #f1f5f9', padding: '8px 14px 12px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', marginBottom: 6 }}>
+                <div style={{ flex: 1, fontSize: 12, fontWeight: 600, color: '#374151' }}>Recent deliveries</div>
+                <button style={link} onClick={() => loadDeliveries(h.id)}>Refresh</button>
+              </div>
+              {deliveries.length === 0 ? (
+                <div style={{ fontSize: 12, color: '#9ca3af' }}>Nothing delivered yet.</div>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+                  <thead>
+                    <tr style={{ color: '#6b7280', fontSize: 11, textAlign: 'left' }}>
+                      <th style={{ padding: '4px 6px', fontWeight: 500 }}>Event</th>
+                      <th style={{ padding: '4px 6px', fontWeight: 500 }}>Status</th>
+                      <th style={{ padding: '4px 6px', fontWeight: 500 }}>HTTP</th>
+                      <th style={{ padding: '4px 6px', fontWeight: 500 }}>Attempts</th>
+                      <th style={{ padding: '4px 6px', fontWeight: 500 }}>Created</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map(d => (
+                      <React.Fragment key={d.id}>
+                        <tr style={{ borderTop: '1px solid #f1f5f9' }}>
+                          <td style={{ padding: '5px 6px' }}>
+                            <code>{d.event_type}</code>
+                            {d.redelivery_of && <span style={{ color: '#9ca3af' }}> (re-delivery)</span>}
+                          </td>
+                          <td style={{ padding: '5px 6px' }}><StatusPill status={d.status} /></td>
+                          <td style={{ padding: '5px 6px' }} title={d.last_error || ''}>
+                            {d.last_response_status || (d.last_error ? 'error' : '—')}
+                          </td>
+                          <td style={{ padding: '5px 6px' }}>{d.attempt_count}</td>
+                          <td style={{ padding: '5px 6px', color: '#6b7280' }}>{fmtTime(d.created_at)}</td>
+                          <td style={{ padding: '5px 6px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                            <button style={link} onClick={() => showDetail(d)}>{detail?.id === d.id ? 'Hide' : 'View'}</button>
+                            <button style={link} disabled={saving || !h.isActive} onClick={() => redeliver(d)}>Re-deliver</button>
+                          </td>
+                        </tr>
+                        {detail?.id === d.id && (
+                          <tr>
+                            <td colSpan={6} style={{ padding: '4px 6px 10px' }}>
+                              {detail.last_error && (
+                                <div style={{ color: '#991b1b', marginBottom: 6 }}>{detail.last_error}</div>
+                              )}
+                              <div style={{ fontSize: 11, color: '#6b7280', marginBottom: 3 }}>Payload · event id {detail.event_id}</div>
+                              <pre style={{ fontSize: 11, background: '#f8fafc', padding: 8, borderRadius: 6, overflowX: 'auto', margin: 0 }}>
+                                {JSON.stringify(detail.payload, null, 2)}
+                              </pre>
+                              {detail.last_response_body && (
+                                <>
+                                  <div style={{ fontSize: 11, color: '#6b7280', margin: '8px 0 3px' }}>
+                                    Response {detail.last_response_status} · {detail.duration_ms} ms
+                                  </div>
+                                  <pre style={{ fontSize: 11, background: '#f8fafc', padding: 8, borderRadius: 6, overflowX: 'auto', margin: 0, whiteSpace: 'pre-wrap' }}>
+                                    {detail.last_response_body}
+                                  </pre>
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div style={{ marginTop: 14, minHeight: 18 }}>
+        {msg && <span style={{ fontSize: 12, color: '#059669' }}>{msg}</span>}
+        {err && <span style={{ fontSize: 12, color: '#991b1b' }}>{err}</span>}
+      </div>
+    </div>
+  );
+}
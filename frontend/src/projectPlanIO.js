@@ -0,0 +1,460 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// projectPlanIO.js — project plan import/export: CSV and MS Project XML
+//
+// DROP-IN LOCATION: frontend/src/projectPlanIO.js
+//
+// Pure conversion between files and a neutral task list; no API calls. The
+// import modal (ProjectPlanImportModal.js) turns the task list into calls to
+// the existing stage / play / dependency endpoints, so an imported plan goes
+// through exactly the validation a hand-built one does — cycle detection,
+// stage registration, provisional baselines — with nothing to keep in step.
+//
+// Neutral task shape (import):
+//   { key, title, description, stageName, startDate, dueDate, durationDays,
+//     effortHours, isGate, isMilestone, predecessorKeys[], ownerLabel,
+//     ownerUserId }
+//
+// Durations are CALENDAR days ending on the due date (2026_141): a 3-day play
+// due on the 10th is worked on the 8th, 9th and 10th, so the "Start" written
+// to a file is the first of those days, not due - duration. MS Project counts
+// working time, so on import the span is taken from Start→Finish when both
+// are present (that is calendar time already) and only falls back to
+// Duration (8h = 1 day) when they are not. On export tasks are written as
+// manually scheduled with explicit Start/Finish, so MS Project keeps our dates
+// instead of re-deriving them from its own calendar.
+// ─────────────────────────────────────────────────────────────────────────────
+import { csvParse } from './csvUtils';
+
+const DAY_MS = 86400000;
+
+// What the checklist calls the 'custom' stage. Written on export and read
+// back as "no stage" on import, so a round trip does not invent a stage of
+// that name.
+const CUSTOM_STAGE_LABEL = 'Added on this project';
+
+function stageOrNull(name) {
+  const s = String(name || '').trim();
+  return !s || s.toLowerCase() === CUSTOM_STAGE_LABEL.toLowerCase() ? null : s;
+}
+
+// ── Dates ────────────────────────────────────────────────────────────────────
+
+function isoDay(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  // DD/MM/YYYY is read day-first, the way every non-US spreadsheet writes
+  // it. A US file with an unambiguous day (e.g. 12/31/2026) still parses.
+  const dmy = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (dmy) {
+    let [d, m] = [parseInt(dmy[1], 10), parseInt(dmy[2], 10)];
+    if (m > 12 && d <= 12) [d, m] = [m, d];
+    if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+    return `${dmy[3]}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t).toISOString().slice(0, 10);
+}
+
+function dayDiff(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "5", "5d", "5 days", "2w", "16h" → calendar days. Hours assume an 8h day,
+// matching MS Project's default.
+function parseDuration(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim().toLowerCase();
+  if (!s) return null;
+  const m = s.match(/^(\d+(?:\.\d+)?)\s*(d|day|days|w|wk|wks|week|weeks|h|hr|hrs|hour|hours)?\??$/);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  const unit = m[2] || 'd';
+  if (unit.startsWith('w')) return Math.round(n * 7);
+  if (unit.startsWith('h')) return Math.max(Math.round(n / 8), n > 0 ? 1 : 0);
+  return Math.round(n);
+}
+
+function truthy(v) {
+  return /^(1|y|yes|true|x|✓)$/i.test(String(v || '').trim());
+}
+
+// ── Assignee matching ───────────────────────────────────────────────────────
+
+/**
+ * Match a free-text assignee (email or name) to an org user. Email first —
+ * names collide, and MS Project resource names are often initials.
+ */
+export function matchUser(label, users) {
+  const s = String(label || '').trim().toLowerCase();
+  if (!s) return null;
+  const list = users || [];
+  return list.find(u => (u.email || '').toLowerCase() === s)
+      || list.find(u => (u.name || '').toLowerCase() === s)
+      || null;
+}
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+// Header aliases, lower-cased. Every header PLAN_CSV_COLUMNS writes is listed,
+// so an exported plan re-imports unchanged.
+const CSV_ALIASES = {
+  key:          ['id', 'task id', 'wbs', '#', 'unique id'],
+  title:        ['task', 'name', 'task name', 'title'],
+  stageName:    ['stage', 'phase', 'summary', 'group'],
+  startDate:    ['start', 'start date'],
+  dueDate:      ['due', 'due date', 'finish', 'finish date', 'end', 'end date'],
+  durationDays: ['duration', 'duration (days)', 'days'],
+  effortHours:  ['effort', 'effort (h)', 'effort hours', 'work', 'hours'],
+  predecessors: ['predecessors', 'depends on', 'dependencies'],
+  owner:        ['assignee', 'owner', 'resource names', 'resource', 'assigned to'],
+  isMilestone:  ['milestone'],
+  isGate:       ['gate'],
+  description:  ['description', 'notes'],
+};
+
+/**
+ * Parse a CSV plan. Predecessors refer to the ID column, or to the 1-based
+ * row number when there is no ID column, and may use MS Project notation
+ * ("3FS+2d") — only the task reference is kept.
+ *
+ * @returns {{ tasks: object[], warnings: string[] }}
+ */
+export function parseCsvPlan(text, users) {
+  const { headers, rows } = csvParse(String(text || '').replace(/^\uFEFF/, ''));
+  const warnings = [];
+  const col = {};
+  headers.forEach((h, i) => {
+    const k = h.trim().toLowerCase();
+    for (const [field, names] of Object.entries(CSV_ALIASES)) {
+      if (names.includes(k) && col[field] === undefined) col[field] = i;
+    }
+  });
+  if (col.title === undefined) {
+    return { tasks: [], warnings: ['No task name column found. Expected a header such as "Task" or "Name".'] };
+  }
+  const get = (row, f) => (col[f] === undefined ? '' : (row[col[f]] || '').trim());
+
+  const tasks = [];
+  rows.forEach((row, i) => {
+    const title = get(row, 'title');
+    if (!title) return;
+    const key = get(row, 'key') || String(i + 1);
+    const isMilestone = truthy(get(row, 'isMilestone'));
+    let durationDays = parseDuration(get(row, 'durationDays'));
+    if (isMilestone) durationDays = 0;
+    const startDate = isoDay(get(row, 'startDate'));
+    let dueDate = isoDay(get(row, 'dueDate'));
+    if (!dueDate && startDate && durationDays != null) dueDate = addDays(startDate, Math.max(durationDays - 1, 0));
+    if (durationDays == null && startDate && dueDate) durationDays = Math.max(dayDiff(startDate, dueDate) + 1, 1);
+    const effortRaw = get(row, 'effortHours').replace(/h(ours?|rs?)?$/i, '').trim();
+    const effort = effortRaw === '' ? null : Number(effortRaw);
+
+    const ownerLabel = get(row, 'owner').split(/[;,]/)[0].trim();
+    const owner = matchUser(ownerLabel, users);
+    if (ownerLabel && !owner) warnings.push(`Row ${i + 2}: assignee "${ownerLabel}" is not a member of this organisation — left unassigned.`);
+
+    tasks.push({
+      key,
+      title,
+      description:     get(row, 'description') || null,
+      stageName:       stageOrNull(get(row, 'stageName')),
+      startDate,
+      dueDate,
+      durationDays,
+      effortHours:     Number.isFinite(effort) ? effort : null,
+      isGate:          truthy(get(row, 'isGate')),
+      isMilestone,
+      predecessorKeys: get(row, 'predecessors')
+        .split(/[;,]/)
+        .map(s => s.trim().match(/^([A-Za-z0-9._-]+?)(?:(FS|SS|FF|SF)([+-]\d+\w*)?)?$/i))
+        .filter(Boolean)
+        .map(m => m[1]),
+      ownerLabel:      ownerLabel || null,
+      ownerUserId:     owner ? owner.id : null,
+    });
+  });
+  return { tasks, warnings: warnings.concat(_checkPredecessors(tasks)) };
+}
+
+// ── MS Project XML (MSPDI) ───────────────────────────────────────────────────
+
+function _text(el, tag) {
+  const n = el.getElementsByTagName(tag)[0];
+  return n ? n.textContent.trim() : '';
+}
+
+// Direct children only — getElementsByTagName would also find the <UID> of a
+// nested <PredecessorLink>.
+function _child(el, tag) {
+  for (const c of Array.from(el.children)) if (c.localName === tag) return c.textContent.trim();
+  return '';
+}
+
+// ISO-8601 duration as MS Project writes it: PT40H0M0S.
+function _isoHours(v) {
+  const m = String(v || '').match(/^P(?:(\d+)D)?T?(?:(\d+(?:\.\d+)?)H)?(?:(\d+)M)?/);
+  if (!m) return null;
+  return (parseFloat(m[1] || 0) * 24) + parseFloat(m[2] || 0) + parseFloat(m[3] || 0) / 60;
+}
+
+/**
+ * Parse an MS Project XML (File → Save As → XML) plan. Top-level summary
+ * tasks become stages; every non-summary task under them becomes a play.
+ * Deeper summary levels are flattened into the top-level stage — a project
+ * here has one level of grouping.
+ *
+ * @returns {{ tasks: object[], warnings: string[] }}
+ */
+export function parseMsProjectXml(text, users) {
+  const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    return { tasks: [], warnings: ['This file is not valid XML.'] };
+  }
+  if (!doc.getElementsByTagName('Project').length || !doc.getElementsByTagName('Tasks').length) {
+    return { tasks: [], warnings: ['This XML is not an MS Project plan (no <Project>/<Tasks>).'] };
+  }
+  const warnings = [];
+
+  const resources = new Map();
+  for (const r of Array.from(doc.getElementsByTagName('Resource'))) {
+    resources.set(_child(r, 'UID'), { name: _child(r, 'Name'), email: _child(r, 'EmailAddress') });
+  }
+  const assignments = new Map();   // taskUID -> [resourceUID]
+  for (const a of Array.from(doc.getElementsByTagName('Assignment'))) {
+    const t = _child(a, 'TaskUID'), r = _child(a, 'ResourceUID');
+    if (!resources.has(r)) continue;   // -65535 = unassigned placeholder
+    if (!assignments.has(t)) assignments.set(t, []);
+    assignments.get(t).push(r);
+  }
+
+  const tasks = [];
+  let stageName = null;
+  let lagWarned = false;
+  for (const t of Array.from(doc.getElementsByTagName('Task'))) {
+    const uid = _child(t, 'UID');
+    const level = parseInt(_child(t, 'OutlineLevel') || '1', 10);
+    const name = _child(t, 'Name');
+    if (level === 0 || !name) continue;          // project summary task
+    if (_child(t, 'Summary') === '1') {
+      if (level === 1) stageName = stageOrNull(name);
+      continue;
+    }
+    if (level === 1) stageName = null;
+
+    const isMilestone = _child(t, 'Milestone') === '1';
+    const startDate = isoDay(_child(t, 'Start'));
+    const dueDate = isoDay(_child(t, 'Finish'));
+    let durationDays;
+    if (isMilestone) durationDays = 0;
+    else if (startDate && dueDate) durationDays = Math.max(dayDiff(startDate, dueDate) + 1, 1);
+    else {
+      const h = _isoHours(_child(t, 'Duration'));
+      durationDays = h == null ? null : Math.max(Math.round(h / 8), 1);
+    }
+    const workH = _isoHours(_child(t, 'Work'));
+
+    const preds = [];
+    for (const link of Array.from(t.getElementsByTagName('PredecessorLink'))) {
+      preds.push(_text(link, 'PredecessorUID'));
+      const type = _text(link, 'Type');
+      if (((type && type !== '1') || parseInt(_text(link, 'LinkLag') || '0', 10) !== 0) && !lagWarned) {
+        warnings.push('Some links are start-to-start, finish-to-finish or have lag. They are imported as plain "depends on".');
+        lagWarned = true;
+      }
+    }
+
+    const resUids = assignments.get(uid) || [];
+    const res = resUids.length ? resources.get(resUids[0]) : null;
+    const owner = res ? (matchUser(res.email, users) || matchUser(res.name, users)) : null;
+    if (res && !owner) warnings.push(`"${name}": resource "${res.name || res.email}" is not a member of this organisation — left unassigned.`);
+    if (resUids.length > 1) warnings.push(`"${name}": has ${resUids.length} resources; only the first becomes the owner.`);
+
+    tasks.push({
+      key:             uid,
+      title:           name,
+      description:     _child(t, 'Notes') || null,
+      stageName,
+      startDate,
+      dueDate,
+      durationDays,
+      effortHours:     workH ? Math.round(workH * 10) / 10 : null,
+      isGate:          false,
+      isMilestone,
+      predecessorKeys: preds.filter(Boolean),
+      ownerLabel:      res ? (res.name || res.email) : null,
+      ownerUserId:     owner ? owner.id : null,
+    });
+  }
+  return { tasks, warnings: warnings.concat(_checkPredecessors(tasks)) };
+}
+
+// Predecessors pointing at summary rows or missing tasks cannot be linked.
+// Dropped here, with a warning, rather than failing the whole import.
+function _checkPredecessors(tasks) {
+  const keys = new Set(tasks.map(t => t.key));
+  const out = [];
+  for (const t of tasks) {
+    const bad = t.predecessorKeys.filter(k => !keys.has(k));
+    if (bad.length) {
+      out.push(`"${t.title}": predecessor${bad.length > 1 ? 's' : ''} ${bad.join(', ')} not found among the imported tasks — dropped.`);
+      t.predecessorKeys = t.predecessorKeys.filter(k => keys.has(k));
+    }
+  }
+  return out;
+}
+
+export function parsePlanFile(name, text, users) {
+  return /\.xml$/i.test(name || '') || /^\s*(<\?xml|<Project)/.test(text || '')
+    ? parseMsProjectXml(text, users)
+    : parseCsvPlan(text, users);
+}
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+// First day worked. A milestone starts and finishes on its due date.
+function _start(p) {
+  if (!p.dueDate) return null;
+  const due = String(p.dueDate).slice(0, 10);
+  return addDays(due, -Math.max((p.durationDays ?? 1) - 1, 0));
+}
+
+function _stageLabel(p) {
+  return p.stageName || (p.stageKey && p.stageKey !== 'custom' ? p.stageKey : CUSTOM_STAGE_LABEL);
+}
+
+/**
+ * Rows for csvExport(). ID is the row number, so Predecessors stays readable
+ * in a spreadsheet and the file re-imports as-is.
+ */
+export function planCsvRows(plays, users) {
+  const rowOf = new Map(plays.map((p, i) => [p.playInstanceId, i + 1]));
+  const email = new Map((users || []).map(u => [u.id, u.email]));
+  return plays.map((p, i) => ({
+    id:           i + 1,
+    task:         p.title,
+    stage:        _stageLabel(p),
+    start:        _start(p) || '',
+    due:          p.dueDate ? String(p.dueDate).slice(0, 10) : '',
+    duration:     p.durationDays ?? '',
+    effort:       p.effortHours ?? '',
+    predecessors: (p.dependsOn || []).map(id => rowOf.get(id)).filter(Boolean).join(';'),
+    assignee:     (p.ownerUserId && email.get(p.ownerUserId)) || p.ownerName || '',
+    milestone:    p.durationDays === 0 ? 'Yes' : '',
+    gate:         p.isGate ? 'Yes' : '',
+    status:       p.status,
+    description:  p.description || '',
+  }));
+}
+
+export const PLAN_CSV_COLUMNS = [
+  { key: 'id',           label: 'ID' },
+  { key: 'task',         label: 'Task' },
+  { key: 'stage',        label: 'Stage' },
+  { key: 'start',        label: 'Start' },
+  { key: 'due',          label: 'Due' },
+  { key: 'duration',     label: 'Duration' },
+  { key: 'effort',       label: 'Effort (h)' },
+  { key: 'predecessors', label: 'Predecessors' },
+  { key: 'assignee',     label: 'Assignee' },
+  { key: 'milestone',    label: 'Milestone' },
+  { key: 'gate',         label: 'Gate' },
+  { key: 'status',       label: 'Status' },
+  { key: 'description',  label: 'Description' },
+];
+
+function _xml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * MSPDI document for MS Project / ProjectLibre / anything that reads the
+ * Project XML schema. Stages become summary tasks in checklist order.
+ */
+export function planToMsProjectXml(projectName, plays, users) {
+  const email = new Map((users || []).map(u => [u.id, u.email]));
+  const lines = [];
+  const tasks = [];
+  const resources = new Map();   // userId -> { uid, name, email }
+  const assignments = [];
+  let uid = 0;
+  let stage = null;
+  const uidOf = new Map();
+
+  // UIDs for plays first so predecessor links can refer forward.
+  const stageUid = new Map();
+  plays.forEach(p => {
+    const s = _stageLabel(p);
+    if (!stageUid.has(s)) stageUid.set(s, ++uid);
+    uidOf.set(p.playInstanceId, ++uid);
+  });
+
+  const starts = plays.map(_start).filter(Boolean).sort();
+  const projectStart = starts[0] || new Date().toISOString().slice(0, 10);
+
+  let id = 0;
+  for (const p of plays) {
+    const s = _stageLabel(p);
+    if (s !== stage) {
+      stage = s;
+      tasks.push(
+        `    <Task><UID>${stageUid.get(s)}</UID><ID>${++id}</ID><Name>${_xml(s)}</Name>`
+        + '<OutlineLevel>1</OutlineLevel><Summary>1</Summary></Task>');
+    }
+    const u = uidOf.get(p.playInstanceId);
+    const due = p.dueDate ? String(p.dueDate).slice(0, 10) : null;
+    const start = _start(p);
+    const days = p.durationDays ?? 1;
+    const parts = [
+      `<UID>${u}</UID>`, `<ID>${++id}</ID>`, `<Name>${_xml(p.title)}</Name>`,
+      '<OutlineLevel>2</OutlineLevel>', '<Manual>1</Manual>',
+      `<Duration>PT${days * 8}H0M0S</Duration>`, '<DurationFormat>7</DurationFormat>',
+      `<Milestone>${p.durationDays === 0 ? 1 : 0}</Milestone>`,
+      `<PercentComplete>${p.status === 'completed' ? 100 : 0}</PercentComplete>`,
+    ];
+    if (start && due) {
+      parts.push(`<Start>${start}T08:00:00</Start>`, `<Finish>${due}T17:00:00</Finish>`,
+                 `<ManualStart>${start}T08:00:00</ManualStart>`, `<ManualFinish>${due}T17:00:00</ManualFinish>`);
+    }
+    if (p.effortHours != null) parts.push(`<Work>PT${p.effortHours}H0M0S</Work>`);
+    if (p.description) parts.push(`<Notes>${_xml(p.description)}</Notes>`);
+    for (const dep of p.dependsOn || []) {
+      if (uidOf.has(dep)) parts.push(`<PredecessorLink><PredecessorUID>${uidOf.get(dep)}</PredecessorUID><Type>1</Type></PredecessorLink>`);
+    }
+    tasks.push(`    <Task>${parts.join('')}</Task>`);
+
+    if (p.ownerUserId) {
+      if (!resources.has(p.ownerUserId)) {
+        resources.set(p.ownerUserId, { uid: resources.size + 1, name: p.ownerName || '', email: email.get(p.ownerUserId) || '' });
+      }
+      assignments.push({ task: u, res: resources.get(p.ownerUserId).uid });
+    }
+  }
+
+  lines.push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+  lines.push('<Project xmlns="http://schemas.microsoft.com/project">');
+  lines.push(`  <Name>${_xml(projectName)}</Name>`);
+  lines.push(`  <Title>${_xml(projectName)}</Title>`);
+  lines.push(`  <StartDate>${projectStart}T08:00:00</StartDate>`);
+  lines.push('  <ScheduleFromStart>1</ScheduleFromStart>');
+  lines.push('  <Tasks>', ...tasks, '  </Tasks>');
+  lines.push('  <Resources>');
+  for (const r of resources.values()) {
+    lines.push(`    <Resource><UID>${r.uid}</UID><ID>${r.uid}</ID><Name>${_xml(r.name)}</Name>`
+      + `${r.email ? `<EmailAddress>${_xml(r.email)}</EmailAddress>` : ''}<Type>1</Type></Resource>`);
+  }
+  lines.push('  </Resources>');
+  lines.push('  <Assignments>');
+  assignments.forEach((a, i) => {
+    lines.push(`    <Assignment><UID>${i + 1}</UID><TaskUID>${a.task}</TaskUID><ResourceUID>${a.res}</ResourceUID><Units>1</Units></Assignment>`);
+  });
+  lines.push('  </Assignments>');
+  lines.push('</Project>');
+  return lines.join('\n');
+}